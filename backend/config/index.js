@@ -57,7 +57,9 @@ function getConfig() {
     strava: {
       clientId: process.env.STRAVA_CLIENT_ID,
       clientSecret: process.env.STRAVA_CLIENT_SECRET,
-      redirectUri: process.env.STRAVA_REDIRECT_URI || `${process.env.NGROK_URL}/auth/strava/callback`
+      redirectUri: process.env.STRAVA_REDIRECT_URI || `${process.env.NGROK_URL}/auth/strava/callback`,
+      webhookVerifyToken: process.env.STRAVA_WEBHOOK_VERIFY_TOKEN,
+      webhookSubscriptionId: process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID
     },
     
     mapbox: {
@@ -70,6 +72,11 @@ function getConfig() {
       accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
       storeUrl: process.env.SHOPIFY_STORE_URL,
       webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+      shopDomain: process.env.SHOPIFY_SHOP_DOMAIN,                                        // <shop>.myshopify.com; defaults to the store URL's host
+      apiVersion: process.env.SHOPIFY_API_VERSION || '2025-01',                           // Admin API version every request is pinned to
+      adminApiUrl: process.env.SHOPIFY_ADMIN_API_URL,                                     // Overrides https://<shopDomain>, e.g. a local mock Admin API
+      adminApiMaxRetries: parseInt(process.env.SHOPIFY_ADMIN_API_MAX_RETRIES) || 5,
+      uploadPrintFiles: process.env.SHOPIFY_UPLOAD_PRINT_FILES === 'true',                // Attach print files to orders through staged uploads
       productVariantIds: {
         A4: process.env.SHOPIFY_PRODUCT_VARIANT_ID_A4,
         A3: process.env.SHOPIFY_PRODUCT_VARIANT_ID_A3
@@ -80,7 +87,18 @@ function getConfig() {
     storage: {
       generatedMapsDir: path.join(__dirname, '..', process.env.GENERATED_MAPS_DIR || 'generated-maps'),
       maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB
-      cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 3600000 // 1 hour
+      cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 3600000, // 1 hour
+      driver: process.env.STORAGE_DRIVER || 'local',                                       // 'local' or 's3'
+      s3: {
+        endpoint: process.env.S3_ENDPOINT,                                                  // e.g. http://localhost:9000 for MinIO; AWS when unset
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,                                          // unset: AWS SDK credential provider chain
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        sessionToken: process.env.S3_SESSION_TOKEN,                                         // for temporary (STS) keys
+        prefix: process.env.S3_PREFIX || '',
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined
+      }
     },
     
     // Logging configuration
@@ -107,6 +125,44 @@ function getConfig() {
       quality: parseInt(process.env.MAP_QUALITY) || 300,
       format: process.env.MAP_FORMAT || 'png'
     },
+
+    // Raster basemap tiles for the Canvas fallback renderer (services/tileSources.js)
+    tileSource: {
+      driver: process.env.TILE_SOURCE || 'mapbox',                                       // 'mapbox', 'mbtiles' or 'xyz'
+      mbtilesPath: process.env.TILE_MBTILES_PATH,                                        // e.g. ./tiles/europe.mbtiles
+      url: process.env.TILE_SERVER_URL,                                                  // e.g. http://localhost:8080/styles/basic/{z}/{x}/{y}.png
+      scheme: process.env.TILE_SERVER_SCHEME || 'xyz',                                   // 'xyz' or 'tms'
+      tileSize: parseInt(process.env.TILE_SIZE) || null,                                 // pixel size of the source's tiles
+      minZoom: process.env.TILE_MIN_ZOOM ? parseInt(process.env.TILE_MIN_ZOOM) : null,   // defaults to the source's own range
+      maxZoom: process.env.TILE_MAX_ZOOM ? parseInt(process.env.TILE_MAX_ZOOM) : null,
+      timeout: parseInt(process.env.TILE_TIMEOUT) || 10000                               // per tile request
+    },
+
+    // Browser pool for concurrent rendering (services/browserPool.js)
+    renderPool: {
+      maxBrowsers: parseInt(process.env.RENDER_POOL_BROWSERS) || 1,
+      pagesPerBrowser: parseInt(process.env.RENDER_POOL_PAGES_PER_BROWSER) || 2,
+      memoryBudgetMB: parseInt(process.env.RENDER_POOL_MEMORY_MB) || 2048,              // estimated render memory across the pool
+      renderTimeout: parseInt(process.env.RENDER_TIMEOUT) || 3 * 60 * 1000,             // 3 minutes per render
+      maxRendersPerBrowser: parseInt(process.env.RENDER_POOL_RECYCLE_AFTER) || 100,     // relaunch a browser after this many renders
+      maxQueueSize: parseInt(process.env.RENDER_POOL_MAX_QUEUE) || 100,
+      queueTimeout: parseInt(process.env.RENDER_POOL_QUEUE_TIMEOUT) || 5 * 60 * 1000,   // 5 minutes
+      healthCheckInterval: parseInt(process.env.RENDER_POOL_HEALTH_INTERVAL) || 60 * 1000 // idle browser health checks
+    },
+
+    // Print finishing configuration - bleed and safe zone default per format (MapService.PRINT_FINISHING)
+    printOutput: {
+      bleed: process.env.PRINT_BLEED_MM ? parseFloat(process.env.PRINT_BLEED_MM) : null,        // mm, overrides every format
+      safeZone: process.env.PRINT_SAFE_ZONE_MM ? parseFloat(process.env.PRINT_SAFE_ZONE_MM) : null, // mm, overrides every format
+      cropMarks: process.env.PRINT_CROP_MARKS === 'true',
+      // PDF/X output intent: the lab's printing condition, and optionally its ICC profile
+      outputIntent: {
+        identifier: process.env.PRINT_OUTPUT_CONDITION || 'FOGRA39',
+        info: process.env.PRINT_OUTPUT_CONDITION_INFO || 'Coated FOGRA39 (ISO 12647-2:2004)',
+        registryName: 'http://www.color.org',
+        profilePath: process.env.PRINT_OUTPUT_ICC_PROFILE
+      }
+    },
     
     // Cache configuration
     cache: {
@@ -121,6 +177,83 @@ function getConfig() {
         activityStreams: parseInt(process.env.CACHE_TTL_ACTIVITY_STREAMS) || 24 * 60 * 60 * 1000, // 24 hours
         athlete: parseInt(process.env.CACHE_TTL_ATHLETE) || 15 * 60 * 1000             // 15 minutes
       }
+    },
+
+    // Shared state for running several instances (services/sharedState.js)
+    sharedState: {
+      driver: process.env.SHARED_STATE_DRIVER || 'memory',                               // 'memory' or 'redis'
+      redisUrl: process.env.REDIS_URL,                                                   // e.g. redis://localhost:6379/0
+      keyPrefix: process.env.SHARED_STATE_PREFIX || 'maps:',
+      connectTimeout: parseInt(process.env.REDIS_CONNECT_TIMEOUT) || 5000,
+      components: (process.env.SHARED_STATE_COMPONENTS || '')                            // cache,crossDomainTokens,rateLimits,sessions
+        .split(',').map(component => component.trim()).filter(Boolean)
+    },
+
+    // Background job queue configuration
+    jobQueue: {
+      persistenceFile: process.env.JOB_QUEUE_FILE,
+      jobTimeout: parseInt(process.env.JOB_TIMEOUT) || 5 * 60 * 1000,                   // 5 minutes
+      leaseDuration: parseInt(process.env.JOB_LEASE_DURATION) || 60 * 1000,            // 1 minute
+      heartbeatInterval: parseInt(process.env.JOB_HEARTBEAT_INTERVAL) || 15 * 1000,    // 15 seconds
+      maxRetries: Number.isNaN(parseInt(process.env.JOB_MAX_RETRIES)) ? 2 : parseInt(process.env.JOB_MAX_RETRIES), // 0 disables retries
+      retryBackoff: parseInt(process.env.JOB_RETRY_BACKOFF) || 30 * 1000,               // 30 seconds, doubled per retry
+      maxConcurrentJobs: parseInt(process.env.JOB_MAX_CONCURRENT) || null               // defaults to the render pool's page capacity
+    },
+
+    // Processed webhook ledger configuration
+    webhookLedger: {
+      persistenceFile: process.env.WEBHOOK_LEDGER_FILE,
+      retentionPeriod: parseInt(process.env.WEBHOOK_LEDGER_RETENTION) || 7 * 24 * 60 * 60 * 1000, // 7 days
+      processingTimeout: parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT) || 10 * 60 * 1000       // 10 minutes
+    },
+
+    // Local per-athlete activity index used for full-history search
+    activityIndex: {
+      directory: process.env.ACTIVITY_INDEX_DIR,
+      pagesPerSync: parseInt(process.env.ACTIVITY_INDEX_PAGES_PER_SYNC) || 5,
+      refreshInterval: parseInt(process.env.ACTIVITY_INDEX_REFRESH_INTERVAL) || 15 * 60 * 1000   // 15 minutes
+    },
+
+    // Per-athlete settings (route privacy zones)
+    userSettings: {
+      persistenceFile: process.env.USER_SETTINGS_FILE
+    },
+
+    // Server-saved poster designs and their share links
+    designDrafts: {
+      directory: process.env.DESIGN_DRAFTS_DIR,
+      maxVersions: parseInt(process.env.DESIGN_DRAFTS_MAX_VERSIONS) || 20,
+      publicUrl: process.env.DRAFTS_PUBLIC_URL || process.env.NGROK_URL,                    // backend origin used in share links
+      designerUrl: process.env.DESIGNER_URL ||
+        (process.env.SHOPIFY_STORE_URL ? `${process.env.SHOPIFY_STORE_URL}/pages/map-design` : null)
+    },
+
+    // Print-on-demand lab that prints and ships finished posters
+    printLab: {
+      provider: process.env.PRINT_LAB_PROVIDER || 'none',                                  // 'none', 'stub' or 'http'
+      apiUrl: process.env.PRINT_LAB_API_URL,
+      apiKey: process.env.PRINT_LAB_API_KEY,
+      callbackSecret: process.env.PRINT_LAB_CALLBACK_SECRET,                                // HMAC key for status callbacks
+      callbackUrl: process.env.PRINT_LAB_CALLBACK_URL ||
+        (process.env.NGROK_URL ? `${process.env.NGROK_URL}/api/shopify-integration/webhook/print-lab` : null),
+      defaultPaper: process.env.PRINT_LAB_DEFAULT_PAPER || 'matte',
+      pollInterval: parseInt(process.env.PRINT_LAB_POLL_INTERVAL) || 15 * 60 * 1000,       // 15 minutes
+      maxSubmitAttempts: parseInt(process.env.PRINT_LAB_MAX_SUBMIT_ATTEMPTS) || 5,
+      directory: process.env.PRINT_LAB_DIR
+    },
+
+    // Shopify privacy webhooks: customer data exports and the erasure audit log
+    privacyRequests: {
+      directory: process.env.PRIVACY_REQUESTS_DIR
+    },
+
+    // Signed, expiring download links for generated map files
+    fileAccess: {
+      signingSecret: process.env.FILE_URL_SECRET,                                           // defaults to a key derived from SESSION_SECRET
+      publicUrl: process.env.FILES_PUBLIC_URL || process.env.NGROK_URL,                     // backend origin used in links
+      previewTtl: parseInt(process.env.FILE_URL_PREVIEW_TTL) || 60 * 60 * 1000,            // 1 hour
+      printTtl: parseInt(process.env.FILE_URL_PRINT_TTL) || 7 * 24 * 60 * 60 * 1000,       // 7 days
+      revocationsFile: process.env.FILE_URL_REVOCATIONS_FILE
     }
   };
 
@@ -180,6 +313,9 @@ function getSanitizedConfig() {
   if (sanitized.strava?.clientSecret) {
     sanitized.strava.clientSecret = '[HIDDEN]';
   }
+  if (sanitized.strava?.webhookVerifyToken) {
+    sanitized.strava.webhookVerifyToken = '[HIDDEN]';
+  }
   if (sanitized.mapbox?.accessToken) {
     sanitized.mapbox.accessToken = '[HIDDEN]';
   }
@@ -189,7 +325,32 @@ function getSanitizedConfig() {
   if (sanitized.shopify?.webhookSecret) {
     sanitized.shopify.webhookSecret = '[HIDDEN]';
   }
-  
+  if (sanitized.shopify?.accessToken) {
+    sanitized.shopify.accessToken = '[HIDDEN]';
+  }
+  if (sanitized.printLab?.apiKey) {
+    sanitized.printLab.apiKey = '[HIDDEN]';
+  }
+  if (sanitized.printLab?.callbackSecret) {
+    sanitized.printLab.callbackSecret = '[HIDDEN]';
+  }
+  if (sanitized.storage?.s3?.secretAccessKey) {
+    sanitized.storage.s3.secretAccessKey = '[HIDDEN]';
+  }
+  if (sanitized.storage?.s3?.sessionToken) {
+    sanitized.storage.s3.sessionToken = '[HIDDEN]';
+  }
+  if (sanitized.fileAccess?.signingSecret) {
+    sanitized.fileAccess.signingSecret = '[HIDDEN]';
+  }
+  if (sanitized.tileSource?.url) {
+    sanitized.tileSource.url = sanitized.tileSource.url.replace(/\?.*$/, '?[HIDDEN]');
+  }
+
+  if (sanitized.sharedState?.redisUrl) {
+    sanitized.sharedState.redisUrl = sanitized.sharedState.redisUrl.replace(/\/\/([^@/]*)@/, '//[HIDDEN]@');
+  }
+
   return sanitized;
 }
 
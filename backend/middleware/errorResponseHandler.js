@@ -354,8 +354,8 @@ class ErrorResponseHandler {
       case ErrorResponseHandler.ERROR_CODES.INVALID_FILE_FORMAT:
         suggestions.push({
           action: 'check_file_format',
-          description: 'Ensure your file is in GPX or TCX format',
-          supportedFormats: ['gpx', 'tcx'],
+          description: 'Ensure your file is in GPX, TCX or FIT format',
+          supportedFormats: ['gpx', 'tcx', 'fit'],
           priority: 'high'
         });
         suggestions.push({
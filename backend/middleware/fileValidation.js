@@ -4,28 +4,39 @@
  * Provides secure file serving with proper access controls
  */
 
-const path = require('path');
-const fs = require('fs').promises;
 const fsSync = require('fs');
 const FileNaming = require('../utils/fileNaming');
 const fileStorageService = require('../services/fileStorageService');
+const signedUrlService = require('../services/signedUrlService');
 const { FileErrorHandler } = require('../utils/fileErrors');
 
 class FileValidationMiddleware {
   /**
    * Validate file access permissions
    * Ensures users can only access their own files
+   * With allowSignedLinks, a valid signed link (?token=) stands in for the owner's session
    */
   static validateFileAccess(options = {}) {
-    const { requireAuth = true, allowAdminAccess = false } = options;
+    const { requireAuth = true, allowAdminAccess = false, allowSignedLinks = false } = options;
 
     return async (req, res, next) => {
       try {
         const { filename, type = 'permanent' } = req.params;
         const userId = req.session?.strava?.athlete?.id;
 
+        let signedLink = null;
+        if (allowSignedLinks && req.query.token) {
+          signedLink = await signedUrlService.verifyToken(`${type}/${filename}`, req.query.token);
+          if (!signedLink.valid) {
+            return res.status(['expired', 'revoked'].includes(signedLink.reason) ? 410 : 403).json({
+              error: 'Download link rejected',
+              message: `Signed link rejected (${signedLink.reason})`
+            });
+          }
+        }
+
         // Check authentication if required
-        if (requireAuth && !userId) {
+        if (requireAuth && !userId && !signedLink) {
           return res.status(401).json({
             error: 'Authentication required',
             message: 'You must be logged in to access files'
@@ -51,7 +62,7 @@ class FileValidationMiddleware {
         }
 
         // Check if user owns the file (unless admin access is allowed)
-        if (requireAuth && !allowAdminAccess && parsed.userId !== userId.toString()) {
+        if (requireAuth && !allowAdminAccess && !signedLink && parsed.userId !== userId.toString()) {
           return res.status(403).json({
             error: 'Access denied',
             message: 'You do not have permission to access this file'
@@ -68,10 +79,8 @@ class FileValidationMiddleware {
         }
 
         // Check if file exists
-        const filePath = path.join(storageService.directories[type], filename);
-        try {
-          await fs.access(filePath);
-        } catch (error) {
+        const filePath = storageService.getFileLocation(filename, type);
+        if (!(await storageService.fileExists(filename, type))) {
           return res.status(404).json({
             error: 'File not found',
             message: 'The requested file does not exist'
@@ -85,7 +94,8 @@ class FileValidationMiddleware {
           type,
           parsed,
           userId: parsed.userId,
-          isOwner: parsed.userId === userId?.toString()
+          isOwner: parsed.userId === userId?.toString(),
+          signedLink
         };
 
         next();
@@ -1,16 +1,52 @@
 /**
  * Rate Limiting Middleware
  * Provides protection against excessive requests and Strava API rate limit handling
+ *
+ * With shared state (SHARED_STATE_COMPONENTS=rateLimits) client request counts are kept
+ * in the shared store, so limits hold across instances, and the latest Strava quota
+ * reading is broadcast to every instance. If the shared store is unreachable, clients
+ * are counted in memory until it comes back.
  */
 
 const oauthErrorHandler = require('./errorHandler');
+const { getSharedState } = require('../services/sharedState');
+
+const CLIENT_KEY_PREFIX = 'ratelimit:client:';
+const STRAVA_RATE_LIMIT_KEY = 'ratelimit:strava';
+const STRAVA_RATE_LIMIT_CHANNEL = 'strava-rate-limit';
 
 class RateLimitManager {
-  constructor() {
-    // In-memory storage for rate limiting (in production, use Redis)
+  /**
+   * @param {Object} options - { sharedState } adapter to share counters between instances
+   */
+  constructor(options = {}) {
+    // In-memory storage for rate limiting, used when no shared store is configured
     this.requestCounts = new Map();
     this.stravaRateLimits = new Map();
     this.cleanupInterval = setInterval(() => this.cleanup(), 60000); // Cleanup every minute
+
+    this.sharedState = options.sharedState || null;
+    if (this.sharedState) {
+      this.loadSharedStravaRateLimit();
+      this.sharedState.on('resync', () => this.loadSharedStravaRateLimit());
+      this.sharedState.subscribe(STRAVA_RATE_LIMIT_CHANNEL, rateLimitInfo => this.stravaRateLimits.set('current', rateLimitInfo))
+        .catch(error => console.error('[SharedState] Strava rate limit sync unavailable:', error.message));
+    }
+  }
+
+  /**
+   * Load the latest Strava quota reading recorded by any instance
+   */
+  async loadSharedStravaRateLimit() {
+    try {
+      const rateLimitInfo = await this.sharedState.get(STRAVA_RATE_LIMIT_KEY);
+      const current = this.stravaRateLimits.get('current');
+      if (rateLimitInfo && (!current || rateLimitInfo.timestamp > current.timestamp)) {
+        this.stravaRateLimits.set('current', rateLimitInfo);
+      }
+    } catch (error) {
+      console.error('[SharedState] Failed to load Strava rate limit:', error.message);
+    }
   }
 
   /**
@@ -31,49 +67,79 @@ class RateLimitManager {
     return (req, res, next) => {
       const clientId = this.getClientIdentifier(req);
       const now = Date.now();
-      const windowStart = now - config.windowMs;
 
-      // Get or create request history for this client
-      if (!this.requestCounts.has(clientId)) {
-        this.requestCounts.set(clientId, []);
+      if (!this.sharedState) {
+        return this.applyClientRateLimit(req, res, next, config, clientId, now, this.countClientRequest(clientId, config, now));
       }
 
-      const requests = this.requestCounts.get(clientId);
-      
-      // Remove old requests outside the window
-      const validRequests = requests.filter(timestamp => timestamp > windowStart);
-      
-      // Check if limit exceeded
-      if (validRequests.length >= config.maxRequests) {
-        console.warn('Client rate limit exceeded:', {
-          clientId,
-          requestCount: validRequests.length,
-          limit: config.maxRequests,
-          windowMs: config.windowMs,
-          timestamp: new Date().toISOString()
-        });
+      this.sharedState.recordHit(CLIENT_KEY_PREFIX + clientId, config.windowMs, config.maxRequests)
+        .catch(error => {
+          console.error('[SharedState] Rate limit counter unavailable, counting in memory:', error.message);
+          return this.countClientRequest(clientId, config, now);
+        })
+        .then(result => this.applyClientRateLimit(req, res, next, config, clientId, now, result))
+        .catch(next);
+    };
+  }
 
-        const rateLimitError = new Error(config.message);
-        rateLimitError.code = 'client_rate_limited';
-        rateLimitError.status = 429;
-        rateLimitError.retryAfter = Math.ceil(config.windowMs / 1000);
-        
-        return oauthErrorHandler.handleOAuthError(rateLimitError, req, res, next, 'rate_limiting');
-      }
+  /**
+   * Count a request against the in-memory sliding window
+   * @returns {Object} { count, allowed } - count includes this request when allowed
+   */
+  countClientRequest(clientId, config, now) {
+    const windowStart = now - config.windowMs;
+
+    // Get or create request history for this client
+    if (!this.requestCounts.has(clientId)) {
+      this.requestCounts.set(clientId, []);
+    }
+
+    const requests = this.requestCounts.get(clientId);
+    
+    // Remove old requests outside the window
+    const validRequests = requests.filter(timestamp => timestamp > windowStart);
+    
+    // Check if limit exceeded
+    if (validRequests.length >= config.maxRequests) {
+      return { count: validRequests.length, allowed: false };
+    }
 
-      // Add current request
-      validRequests.push(now);
-      this.requestCounts.set(clientId, validRequests);
+    // Add current request
+    validRequests.push(now);
+    this.requestCounts.set(clientId, validRequests);
 
-      // Add rate limit headers
-      res.set({
-        'X-RateLimit-Limit': config.maxRequests,
-        'X-RateLimit-Remaining': Math.max(0, config.maxRequests - validRequests.length - 1),
-        'X-RateLimit-Reset': new Date(now + config.windowMs).toISOString()
+    return { count: validRequests.length, allowed: true };
+  }
+
+  /**
+   * Reject the request or add rate limit headers and continue
+   */
+  applyClientRateLimit(req, res, next, config, clientId, now, { count, allowed }) {
+    if (!allowed) {
+      console.warn('Client rate limit exceeded:', {
+        clientId,
+        requestCount: count,
+        limit: config.maxRequests,
+        windowMs: config.windowMs,
+        timestamp: new Date().toISOString()
       });
 
-      next();
-    };
+      const rateLimitError = new Error(config.message);
+      rateLimitError.code = 'client_rate_limited';
+      rateLimitError.status = 429;
+      rateLimitError.retryAfter = Math.ceil(config.windowMs / 1000);
+      
+      return oauthErrorHandler.handleOAuthError(rateLimitError, req, res, next, 'rate_limiting');
+    }
+
+    // Add rate limit headers
+    res.set({
+      'X-RateLimit-Limit': config.maxRequests,
+      'X-RateLimit-Remaining': Math.max(0, config.maxRequests - count - 1),
+      'X-RateLimit-Reset': new Date(now + config.windowMs).toISOString()
+    });
+
+    next();
   }
 
   /**
@@ -113,6 +179,12 @@ class RateLimitManager {
       };
 
       this.stravaRateLimits.set('current', rateLimitInfo);
+      if (this.sharedState) {
+        Promise.all([
+          this.sharedState.set(STRAVA_RATE_LIMIT_KEY, rateLimitInfo, 24 * 60 * 60 * 1000),
+          this.sharedState.publish(STRAVA_RATE_LIMIT_CHANNEL, rateLimitInfo)
+        ]).catch(error => console.error('[SharedState] Failed to share Strava rate limit:', error.message));
+      }
 
       // Log rate limit status
       console.log('Strava rate limit status:', {
@@ -311,6 +383,10 @@ class RateLimitManager {
    */
   resetClientRateLimit(clientId) {
     this.requestCounts.delete(clientId);
+    if (this.sharedState) {
+      this.sharedState.delete(CLIENT_KEY_PREFIX + clientId)
+        .catch(error => console.error('[SharedState] Failed to reset shared rate limit:', error.message));
+    }
     console.log(`Rate limit reset for client: ${clientId}`);
   }
 
@@ -327,10 +403,11 @@ class RateLimitManager {
 }
 
 // Create singleton instance
-const rateLimitManager = new RateLimitManager();
+const rateLimitManager = new RateLimitManager({ sharedState: getSharedState('rateLimits') });
 
 // Graceful shutdown
 process.on('SIGTERM', () => rateLimitManager.destroy());
 process.on('SIGINT', () => rateLimitManager.destroy());
 
-module.exports = rateLimitManager;
\ No newline at end of file
+module.exports = rateLimitManager;
+module.exports.RateLimitManager = RateLimitManager;
\ No newline at end of file
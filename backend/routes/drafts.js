@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { requireAuth } = require('./auth');
+const rateLimitManager = require('../middleware/rateLimiting');
+const designDraftService = require('../services/designDraftService');
+
+/**
+ * Design draft routes
+ * Server-saved poster designs, addressed by a short ID that doubles as the share link
+ *
+ * ROUTE STRUCTURE:
+ * ================
+ * - POST /api/drafts - Save a new draft
+ * - GET /api/drafts - List the athlete's drafts
+ * - GET /api/drafts/:id - Get one of the athlete's drafts (?version=N for an earlier version)
+ * - PUT /api/drafts/:id - Save a new version (baseVersion guards against overwriting newer saves)
+ * - DELETE /api/drafts/:id - Delete a draft
+ * - GET /api/drafts/:id/public - Read-only view for anyone with the link (no auth)
+ *
+ * The share page and its social preview image are served by routes/share.js.
+ */
+
+function getAthleteId(req) {
+  return req.auth?.athlete?.id || req.session?.athlete?.id || null;
+}
+
+/**
+ * Require an identified athlete; responds 401 and returns null otherwise
+ */
+function requireAthleteId(req, res) {
+  const athleteId = getAthleteId(req);
+  if (!athleteId) {
+    res.status(401).json({
+      error: 'Authentication required',
+      message: 'Unable to identify the Strava athlete for this session'
+    });
+  }
+  return athleteId;
+}
+
+/**
+ * Map service errors (400/403/404/409) to responses, anything else to 500
+ */
+function handleDraftError(res, error, action) {
+  const errors = {
+    400: 'Invalid draft',
+    403: 'Forbidden',
+    404: 'Draft not found',
+    409: 'Draft version conflict'
+  };
+
+  if (errors[error.status]) {
+    return res.status(error.status).json({
+      error: errors[error.status],
+      message: error.message,
+      ...(error.currentVersion !== undefined ? { currentVersion: error.currentVersion } : {})
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: `Failed ${action}`,
+    message: error.message
+  });
+}
+
+/**
+ * Build the share link for a draft
+ */
+function getShareUrl(req, id) {
+  const publicUrl = config.getConfig().designDrafts?.publicUrl || `${req.protocol}://${req.get('host')}`;
+  return `${publicUrl.replace(/\/$/, '')}/share/${id}`;
+}
+
+/**
+ * Save a new draft
+ * Body parameters:
+ * - settings: the designer's full settings
+ * - route: { activityId, activity } - activity summary including map.summary_polyline
+ * - data: { elevationProfile, routeMetricSamples } - optional stream data the design uses
+ */
+router.post('/', rateLimitManager.createClientRateLimit(), requireAuth, async (req, res) => {
+  try {
+    const athleteId = requireAthleteId(req, res);
+    if (!athleteId) return;
+
+    const draft = await designDraftService.createDraft(athleteId, req.body || {});
+    res.status(201).json({
+      success: true,
+      draft,
+      shareUrl: getShareUrl(req, draft.id)
+    });
+  } catch (error) {
+    handleDraftError(res, error, 'saving draft');
+  }
+});
+
+/**
+ * List the athlete's drafts
+ */
+router.get('/', rateLimitManager.createClientRateLimit(), requireAuth, async (req, res) => {
+  try {
+    const athleteId = requireAthleteId(req, res);
+    if (!athleteId) return;
+
+    res.json({
+      success: true,
+      drafts: await designDraftService.listDrafts(athleteId)
+    });
+  } catch (error) {
+    handleDraftError(res, error, 'listing drafts');
+  }
+});
+
+/**
+ * Read-only view of a draft for anyone with the link
+ */
+router.get('/:id/public', rateLimitManager.createClientRateLimit(), async (req, res) => {
+  try {
+    const draft = await designDraftService.getPublicDraft(req.params.id);
+    res.json({
+      success: true,
+      draft,
+      shareUrl: getShareUrl(req, draft.id)
+    });
+  } catch (error) {
+    handleDraftError(res, error, 'fetching shared draft');
+  }
+});
+
+/**
+ * Get one of the athlete's drafts
+ * Query parameters:
+ * - version: an earlier saved version to restore
+ */
+router.get('/:id', rateLimitManager.createClientRateLimit(), requireAuth, async (req, res) => {
+  try {
+    const athleteId = requireAthleteId(req, res);
+    if (!athleteId) return;
+
+    const draft = await designDraftService.getOwnerDraft(req.params.id, athleteId, req.query.version);
+    res.json({
+      success: true,
+      draft,
+      shareUrl: getShareUrl(req, draft.id)
+    });
+  } catch (error) {
+    handleDraftError(res, error, 'fetching draft');
+  }
+});
+
+/**
+ * Save a new version of a draft
+ * Body parameters: as for POST, plus baseVersion - the version the edit started from
+ */
+router.put('/:id', rateLimitManager.createClientRateLimit(), requireAuth, async (req, res) => {
+  try {
+    const athleteId = requireAthleteId(req, res);
+    if (!athleteId) return;
+
+    const draft = await designDraftService.updateDraft(req.params.id, athleteId, req.body || {});
+    res.json({
+      success: true,
+      draft,
+      shareUrl: getShareUrl(req, draft.id)
+    });
+  } catch (error) {
+    handleDraftError(res, error, 'saving draft');
+  }
+});
+
+/**
+ * Delete a draft
+ */
+router.delete('/:id', rateLimitManager.createClientRateLimit(), requireAuth, async (req, res) => {
+  try {
+    const athleteId = requireAthleteId(req, res);
+    if (!athleteId) return;
+
+    await designDraftService.deleteDraft(req.params.id, athleteId);
+    res.json({ success: true });
+  } catch (error) {
+    handleDraftError(res, error, 'deleting draft');
+  }
+});
+
+module.exports = router;
+module.exports.getShareUrl = getShareUrl;
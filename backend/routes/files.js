@@ -0,0 +1,92 @@
+const express = require('express');
+const fs = require('fs').promises;
+const router = express.Router();
+const rateLimitManager = require('../middleware/rateLimiting');
+const signedUrlService = require('../services/signedUrlService');
+const fileStorageService = require('../services/fileStorageService');
+
+/**
+ * Generated file downloads (no session)
+ * - GET /generated-maps/:directory/:filename?token=... - Serve a generated file to anyone holding a signed link
+ *
+ * Links are issued by services/signedUrlService.js: print lab links on fulfilled orders,
+ * and POST /api/maps/files/:type/:filename/signed-url for a customer's own files.
+ * Storage types (temporary, permanent, ...) are read through fileStorageService's driver;
+ * other directories (e.g. print output) from the local disk.
+ */
+
+const LINK_ERRORS = {
+  missing: [403, 'A signed download link is required'],
+  malformed: [403, 'This download link is not valid'],
+  signature: [403, 'This download link is not valid'],
+  scope: [403, 'This download link does not cover this file'],
+  expired: [410, 'This download link has expired'],
+  revoked: [410, 'This download link has been revoked']
+};
+
+router.get('/:directory/:filename', rateLimitManager.createClientRateLimit(), async (req, res) => {
+  const relativePath = `${req.params.directory}/${req.params.filename}`;
+
+  try {
+    const link = await signedUrlService.verifyToken(relativePath, req.query.token);
+    if (!link.valid) {
+      const [status, message] = LINK_ERRORS[link.reason];
+      return res.status(status).json({
+        error: 'Download link rejected',
+        message
+      });
+    }
+
+    const { directory, filename } = req.params;
+    const fromStorage = Boolean(fileStorageService.directories[directory]);
+    const filePath = signedUrlService.resolvePath(relativePath);
+    const exists = fromStorage ?
+      await fileStorageService.fileExists(filename, directory) :
+      await fs.access(filePath).then(() => true, () => false);
+    if (!exists) {
+      return res.status(404).json({
+        error: 'File not found',
+        message: 'The requested file does not exist'
+      });
+    }
+
+    // The token is part of the URL: keep it out of shared caches and Referer headers
+    const maxAge = Math.max(0, Math.floor((new Date(link.expiresAt).getTime() - Date.now()) / 1000));
+    res.set({
+      'Cache-Control': `private, max-age=${Math.min(maxAge, 3600)}`,
+      'Referrer-Policy': 'no-referrer',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    if (link.scope === 'print') {
+      res.attachment(filename);
+    }
+
+    if (fromStorage) {
+      res.type(filename);
+      const stream = await fileStorageService.createReadStream(filename, directory);
+      stream.on('error', error => {
+        console.error('Error streaming generated file:', error);
+        res.destroy(error);
+      });
+      return stream.pipe(res);
+    }
+
+    res.sendFile(filePath, error => {
+      if (error && !res.headersSent) {
+        console.error('Error sending generated file:', error);
+        res.status(500).json({
+          error: 'Download failed',
+          message: 'Unable to send the requested file'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error serving generated file:', error);
+    res.status(500).json({
+      error: 'Download failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -13,10 +13,12 @@ const fileCleanupService = require('../services/fileCleanupService');
 const { MapService } = require('../services/mapService');
 const FileValidationMiddleware = require('../middleware/fileValidation');
 const FileNaming = require('../utils/fileNaming');
-const FileCompressionUtils = require('../utils/fileCompressionUtils');
 const CanvasProcessor = require('../services/canvasProcessor');
 const ErrorHandlingService = require('../services/errorHandlingService');
 const MapConfigurationService = require('../services/mapConfigurationService');
+const userSettingsService = require('../services/userSettingsService');
+const signedUrlService = require('../services/signedUrlService');
+const PrivacyZones = require('@print-my-ride/map-engines/privacy-zones');
 const { validateMapSession, validatePurchaseSession, saveSessionForRecovery } = require('../middleware/sessionValidation');
 
 const appConfig = config.getConfig();
@@ -78,6 +80,46 @@ function decodePolyline(encoded) {
   return poly;
 }
 
+/**
+ * Helper function to load the athlete's route privacy zones
+ * The stored settings are what every render applies; returns null when nothing is trimmed
+ */
+async function getAthletePrivacyZones(req) {
+  const athleteId = req.auth?.athlete?.id || req.session?.strava?.athlete?.id;
+  if (!athleteId) return null;
+
+  const privacyZones = await userSettingsService.getPrivacyZones(athleteId);
+  return PrivacyZones.isActive(privacyZones) ? privacyZones : null;
+}
+
+/**
+ * Helper functions to validate composite style options from the request body
+ * These values end up in the page script of the server-side renderer, so only
+ * finite numbers and hex or rgb() colours are accepted
+ */
+const COLOR_PATTERN = /^(#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\(\s*\d{1,3}\s*(?:,\s*\d{1,3}\s*){2}(?:,\s*(?:0|1|0?\.\d+)\s*)?\))$/i;
+
+function sanitizeColor(value) {
+  return typeof value === 'string' && COLOR_PATTERN.test(value.trim()) ? value.trim() : undefined;
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = value === null || value === '' ? NaN : Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function sanitizeHeatmapOptions(heatmap = {}) {
+  const colorRamp = Array.isArray(heatmap.colorRamp) ? heatmap.colorRamp.map(sanitizeColor) : [];
+
+  return {
+    radius: clampNumber(heatmap.radius, 1, 50, 6),
+    intensity: clampNumber(heatmap.intensity, 0.1, 10, 1),
+    opacity: clampNumber(heatmap.opacity, 0, 1, 0.85),
+    // MapService falls back to its default ramp unless every stop is a valid colour
+    ...(colorRamp.length >= 2 && colorRamp.length <= 10 && colorRamp.every(Boolean) ? { colorRamp } : {})
+  };
+}
+
 /**
  * Configure multer for canvas image uploads
  * Memory storage for processing canvas blobs
@@ -220,15 +262,26 @@ router.post('/generate-preview', requireAuth, async (req, res) => {
       format: '[lng, lat]'
     });
 
+    // The render trims the route; the trimmed copy here only drives fallback framing and markers
+    const privacyZones = await getAthletePrivacyZones(req);
+    const visibleCoordinates = privacyZones ? PrivacyZones.apply(routeCoordinates, privacyZones) : routeCoordinates;
+
+    if (visibleCoordinates.length === 0) {
+      return res.status(400).json({
+        error: 'No route data',
+        message: 'The whole route lies within your privacy zones'
+      });
+    }
+
     // Use map configuration from frontend if provided, otherwise calculate bounds
     let bounds = mapConfiguration.bounds;
     let center = mapConfiguration.center;
 
     if (!bounds || !center) {
-      // Fallback: calculate bounds from route coordinates
+      // Fallback: calculate bounds from the visible route coordinates
       // decodePolyline returns coordinates in [longitude, latitude] format
-      const lngs = routeCoordinates.map(coord => coord[0]); // longitude is coord[0]
-      const lats = routeCoordinates.map(coord => coord[1]); // latitude is coord[1]
+      const lngs = visibleCoordinates.map(coord => coord[0]); // longitude is coord[0]
+      const lats = visibleCoordinates.map(coord => coord[1]); // latitude is coord[1]
       
       bounds = {
         north: Math.max(...lats),
@@ -278,9 +331,10 @@ router.post('/generate-preview', requireAuth, async (req, res) => {
         width: mapConfiguration.customization?.routeWidth || 3
       },
       markers: mapConfiguration.customization?.showMarkers ? {
-        start: routeCoordinates[0],
-        end: routeCoordinates[routeCoordinates.length - 1]
+        start: visibleCoordinates[0],
+        end: visibleCoordinates[visibleCoordinates.length - 1]
       } : null,
+      privacyZones,
       customization: mapConfiguration.customization || {}
     };
 
@@ -345,6 +399,241 @@ router.post('/generate-preview', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Generate a composite ("year in review") preview from multiple activities
+ * Each activity becomes its own route layer; renderMode 'heatmap' renders route density instead
+ */
+router.post('/generate-composite-preview', requireAuth, async (req, res) => {
+  try {
+    const {
+      activityIds,
+      mapConfiguration = {},
+      format = 'A4',
+      orientation = 'portrait'
+    } = req.body;
+
+    const MAX_COMPOSITE_ACTIVITIES = 100;
+
+    if (!Array.isArray(activityIds) || activityIds.length === 0) {
+      return res.status(400).json({
+        error: 'Missing activity IDs',
+        message: 'At least one activity ID is required for composite preview generation'
+      });
+    }
+
+    if (activityIds.length > MAX_COMPOSITE_ACTIVITIES) {
+      return res.status(400).json({
+        error: 'Too many activities',
+        message: `A composite poster supports up to ${MAX_COMPOSITE_ACTIVITIES} activities`
+      });
+    }
+
+    const renderMode = mapConfiguration.renderMode || 'lines';
+    if (!MapService.ROUTE_RENDER_MODES.includes(renderMode)) {
+      return res.status(400).json({
+        error: 'Invalid render mode',
+        message: `Render mode must be one of: ${MapService.ROUTE_RENDER_MODES.join(', ')}`
+      });
+    }
+
+    // Define preview dimensions (web quality - 96 DPI)
+    const previewDimensions = {
+      A4: {
+        portrait: { width: 595, height: 842 },
+        landscape: { width: 842, height: 595 }
+      },
+      A3: {
+        portrait: { width: 842, height: 1191 },
+        landscape: { width: 1191, height: 842 }
+      }
+    };
+
+    const selectedFormat = format.toUpperCase();
+    const selectedOrientation = orientation.toLowerCase();
+    
+    if (!previewDimensions[selectedFormat]?.[selectedOrientation]) {
+      return res.status(400).json({
+        error: 'Invalid format or orientation',
+        message: 'Format must be A4/A3 and orientation must be portrait/landscape'
+      });
+    }
+
+    const dimensions = previewDimensions[selectedFormat][selectedOrientation];
+
+    // Ensure the request has the proper token access method for the service
+    if (!req.getAccessToken && req.session.strava?.access_token) {
+      req.getAccessToken = () => req.session.strava.access_token;
+    }
+    
+    if (!req.getAccessToken || !req.getAccessToken()) {
+      return res.status(401).json({
+        error: 'Strava authentication required',
+        message: 'Please authenticate with Strava first'
+      });
+    }
+
+    // Fetch activities sequentially to stay within Strava rate limits
+    const stravaService = require('../services/stravaService');
+    const customization = mapConfiguration.customization || {};
+    const routeStyles = mapConfiguration.routeStyles || {};
+    const routes = [];
+    const skipped = [];
+
+    for (const activityId of activityIds) {
+      try {
+        const activityData = await stravaService.getActivityDetails(req, activityId);
+        const coordinates = activityData.map?.summary_polyline
+          ? decodePolyline(activityData.map.summary_polyline)
+          : [];
+
+        if (coordinates.length === 0) {
+          skipped.push({ activityId, reason: 'No route data' });
+          continue;
+        }
+
+        const style = routeStyles[activityId] || {};
+        routes.push({
+          activityId: String(activityId),
+          activityName: activityData.name,
+          startDate: activityData.start_date,
+          coordinates,
+          color: sanitizeColor(style.color) || sanitizeColor(customization.routeColor),
+          width: style.width || customization.routeWidth,
+          opacity: clampNumber(style.opacity ?? customization.routeOpacity, 0, 1, undefined)
+        });
+      } catch (error) {
+        // Auth and rate-limit failures affect every remaining activity, so stop early
+        if (error.status === 401) {
+          return res.status(401).json({
+            error: 'Token expired',
+            message: 'Strava access token has expired. Please re-authenticate.'
+          });
+        } else if (error.status === 429) {
+          return res.status(429).json({
+            error: 'Rate limit exceeded',
+            message: 'Strava API rate limit exceeded. Please try again later.'
+          });
+        }
+
+        console.warn('Skipping activity in composite preview:', { activityId, error: error.message });
+        skipped.push({ activityId, reason: error.message });
+      }
+    }
+
+    if (routes.length === 0) {
+      return res.status(400).json({
+        error: 'No route data',
+        message: 'None of the selected activities contain route coordinates',
+        skipped
+      });
+    }
+
+    // Initialize MapService for style normalization and composite bounds
+    const mapService = require('../services/mapService');
+    await mapService.initialize();
+
+    const privacyZones = await getAthletePrivacyZones(req);
+
+    let bounds = mapConfiguration.bounds;
+    let center = mapConfiguration.center;
+
+    if (!bounds || !center) {
+      const routeBounds = mapService.calculateCompositeBounds(mapService.normalizeRouteLayers({ routes, privacyZones }));
+      const latPadding = (routeBounds.north - routeBounds.south) * 0.1;
+      const lngPadding = (routeBounds.east - routeBounds.west) * 0.1;
+
+      bounds = {
+        north: routeBounds.north + latPadding,
+        south: routeBounds.south - latPadding,
+        east: routeBounds.east + lngPadding,
+        west: routeBounds.west - lngPadding
+      };
+
+      center = [
+        (bounds.north + bounds.south) / 2,
+        (bounds.east + bounds.west) / 2
+      ];
+    }
+
+    const previewId = `preview_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const previewConfig = {
+      id: previewId,
+      center: center,
+      bounds: bounds,
+      style: MapService.normalizeMapboxStyleURL(mapConfiguration.style),
+      width: dimensions.width,
+      height: dimensions.height,
+      format: selectedFormat,
+      orientation: selectedOrientation,
+      dpi: 96, // Web quality for preview
+      routes: routes.map(({ activityId, coordinates, color, width, opacity }) => ({
+        activityId, coordinates, color, width, opacity
+      })),
+      renderMode,
+      heatmap: sanitizeHeatmapOptions(mapConfiguration.heatmap),
+      markers: null,
+      privacyZones,
+      customization
+    };
+
+    console.log('Generating composite preview image:', {
+      previewId,
+      routeCount: previewConfig.routes.length,
+      skipped: skipped.length,
+      renderMode
+    });
+    const previewPath = await mapService.generatePreviewImage(previewConfig);
+    
+    if (!req.session.mapPreviews) {
+      req.session.mapPreviews = {};
+    }
+
+    const activityName = mapConfiguration.title || `${routes.length} activities`;
+    const previewData = {
+      id: previewId,
+      config: previewConfig,
+      filePath: previewPath,
+      createdAt: new Date().toISOString(),
+      approved: false,
+      activityIds: routes.map(route => route.activityId),
+      activityName,
+      mapConfiguration: mapConfiguration
+    };
+    
+    req.session.mapPreviews[previewId] = previewData;
+
+    // Also store in cross-domain token store for cross-domain flows
+    const crossDomainToken = req.query.token || req.headers['x-session-token'];
+    if (crossDomainToken) {
+      const crossDomainTokenStore = require('../services/crossDomainTokenStore');
+      crossDomainTokenStore.storeMapPreview(crossDomainToken, previewId, previewData);
+    }
+
+    res.json({
+      success: true,
+      preview: {
+        id: previewId,
+        url: `/api/maps/preview-image/${previewId}`,
+        config: previewConfig,
+        dimensions: dimensions,
+        activityName,
+        activities: routes.map(({ activityId, activityName, startDate }) => ({ activityId, activityName, startDate })),
+        skipped,
+        createdAt: new Date().toISOString()
+      },
+      message: 'Composite preview generated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error generating composite preview:', error);
+    res.status(500).json({
+      error: 'Composite preview generation failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Generate a map preview from activity data
  * Returns map configuration for frontend rendering
@@ -360,7 +649,12 @@ router.post('/preview', requireAuth, async (req, res) => {
       orientation = 'portrait',
       showStartEnd = true,
       lineColor = '#ff4444',
-      lineWidth = 3
+      lineWidth = 3,
+      mainTitle = '',
+      subtitle = '',
+      typography = {},
+      elevationProfile = null,
+      colorByMetric = null
     } = req.body;
 
     // Define poster dimensions for preview (scaled from print dimensions)
@@ -420,10 +714,21 @@ router.post('/preview', requireAuth, async (req, res) => {
       });
     }
 
+    // The render trims the route; frame and mark the part that stays visible
+    const privacyZones = await getAthletePrivacyZones(req);
+    const visibleCoordinates = privacyZones ? PrivacyZones.apply(routeCoordinates, privacyZones) : routeCoordinates;
+
+    if (visibleCoordinates.length === 0) {
+      return res.status(400).json({
+        error: 'No route data',
+        message: 'The whole route lies within your privacy zones'
+      });
+    }
+
     // Calculate bounding box for the route
     // decodePolyline returns coordinates in [longitude, latitude] format
-    const lngs = routeCoordinates.map(coord => coord[0]); // longitude is coord[0]
-    const lats = routeCoordinates.map(coord => coord[1]); // latitude is coord[1]
+    const lngs = visibleCoordinates.map(coord => coord[0]); // longitude is coord[0]
+    const lats = visibleCoordinates.map(coord => coord[1]); // latitude is coord[1]
     
     const bounds = {
       north: Math.max(...lats),
@@ -464,9 +769,20 @@ router.post('/preview', requireAuth, async (req, res) => {
         width: lineWidth
       },
       markers: showStartEnd ? {
-        start: routeCoordinates[0],
-        end: routeCoordinates[routeCoordinates.length - 1]
-      } : null
+        start: visibleCoordinates[0],
+        end: visibleCoordinates[visibleCoordinates.length - 1]
+      } : null,
+      privacyZones,
+      // Title, font, alignment and stats, laid out by the shared typography engine at render time
+      settings: {
+        ...(typography && typeof typography === 'object' ? typography : {}),
+        mainTitle: mainTitle || typography?.mainTitle || '',
+        subtitle: subtitle || typography?.subtitle || ''
+      },
+      // Optional altitude band below or over the map, drawn at print resolution
+      elevationProfile: elevationProfile && typeof elevationProfile === 'object' ? elevationProfile : null,
+      // Optional route gradient by speed, heart rate, gradient or elevation stream samples
+      colorByMetric: colorByMetric && typeof colorByMetric === 'object' ? colorByMetric : null
     };
 
     // Generate unique preview ID
@@ -1081,7 +1397,9 @@ router.post('/reset-error-metrics', requireAuth, (req, res) => {
 /**
  * Generate high-resolution map from validated preview configuration
  * This optimized endpoint reuses the configuration from a successful preview,
- * avoiding duplicate validation and processing
+ * avoiding duplicate validation and processing.
+ * `outputFormat` selects 'png' (default), 'pdf' (vector overlays, optional bleed/cropMarks)
+ * or 'svg' (route and typography layers only)
  */
 router.post('/generate-from-preview/:previewId', requireAuth, async (req, res) => {
   try {
@@ -1089,7 +1407,10 @@ router.post('/generate-from-preview/:previewId', requireAuth, async (req, res) =
     const { 
       format = 'A4', 
       orientation = 'portrait',
-      dpi = 300 
+      dpi = 300,
+      outputFormat = 'png',
+      bleed,
+      cropMarks
     } = req.body;
 
     // Validate preview exists in session
@@ -1125,6 +1446,15 @@ router.post('/generate-from-preview/:previewId', requireAuth, async (req, res) =
 
     const selectedFormat = format.toUpperCase();
     const selectedOrientation = orientation.toLowerCase();
+    const selectedOutputFormat = String(outputFormat).toLowerCase();
+    const { PrintDocumentService } = require('../services/printDocumentService');
+
+    if (!PrintDocumentService.OUTPUT_FORMATS.includes(selectedOutputFormat)) {
+      return res.status(400).json({
+        error: 'Invalid output format',
+        message: `Output format must be one of: ${PrintDocumentService.OUTPUT_FORMATS.join(', ')}`
+      });
+    }
     
     if (!highResDimensions[selectedFormat]?.[selectedOrientation]) {
       return res.status(400).json({
@@ -1155,7 +1485,9 @@ router.post('/generate-from-preview/:previewId', requireAuth, async (req, res) =
     console.log('MapService: Starting high-res generation with reused config');
     const startTime = Date.now();
     
-    const mapPath = await mapService.generateHighResFromPreviewConfig(highResConfig);
+    // PDF and SVG are built by the print document service; PNG uses the raster pipeline
+    const printDocumentService = require('../services/printDocumentService');
+    const mapPath = await printDocumentService.generate(highResConfig, selectedOutputFormat, { bleed, cropMarks });
     
     const generationTime = Date.now() - startTime;
     console.log(`MapService: High-res map generated in ${generationTime}ms using preview config`);
@@ -1168,6 +1500,7 @@ router.post('/generate-from-preview/:previewId', requireAuth, async (req, res) =
       config: {
         dimensions: targetDimensions,
         format: selectedFormat,
+        outputFormat: selectedOutputFormat,
         orientation: selectedOrientation,
         dpi: dpi,
         generationTime: `${generationTime}ms`,
@@ -1416,6 +1749,7 @@ router.post('/generate', requireAuth, async (req, res) => {
       center: center,
       title: title,
       showStartEnd: showStartEnd,
+      privacyZones: await getAthletePrivacyZones(req),
       customization: customization,
       createdAt: new Date().toISOString()
     };
@@ -1915,18 +2249,19 @@ router.get('/events/status', requireAuth, async (req, res) => {
 /**
  * Serve files from different storage types with streaming support
  * GET /api/maps/files/:type/:filename
+ * Owner session required, unless a signed link token is given (?token=)
  */
 router.get('/files/:type/:filename', 
-  FileValidationMiddleware.validateFileAccess({ requireAuth: true }),
+  FileValidationMiddleware.validateFileAccess({ requireAuth: true, allowSignedLinks: true }),
   FileValidationMiddleware.validateFileIntegrity(),
   FileValidationMiddleware.rateLimit({ maxRequests: 200, windowMs: 15 * 60 * 1000 }),
   FileValidationMiddleware.setCacheHeaders(),
   FileValidationMiddleware.handleConditionalRequests(),
   FileValidationMiddleware.setSecurityHeaders(),
   FileValidationMiddleware.logFileAccess(),
-  (req, res) => {
+  async (req, res) => {
     try {
-      const { filePath, parsed, metadata } = req.fileInfo;
+      const { filename, type, filePath, metadata } = req.fileInfo;
 
       // Set content length if available
       if (metadata?.size) {
@@ -1936,7 +2271,7 @@ router.get('/files/:type/:filename',
       // Handle range requests for streaming
       const range = req.get('Range');
       if (range) {
-        const stat = fsSync.statSync(filePath);
+        const stat = await fileStorageService.statFile(filename, type);
         const fileSize = stat.size;
         const parts = range.replace(/bytes=/, "").split("-");
         const start = parseInt(parts[0], 10);
@@ -1950,7 +2285,7 @@ router.get('/files/:type/:filename',
           'Content-Length': chunksize.toString()
         });
 
-        const stream = fsSync.createReadStream(filePath, { start, end });
+        const stream = await fileStorageService.createReadStream(filename, type, { start, end });
         
         // Handle stream errors
         stream.on('error', (error) => {
@@ -1964,7 +2299,7 @@ router.get('/files/:type/:filename',
         stream.pipe(res);
       } else {
         // Regular file serving
-        const stream = fsSync.createReadStream(filePath);
+        const stream = await fileStorageService.createReadStream(filename, type);
         
         // Handle stream errors
         stream.on('error', (error) => {
@@ -2030,9 +2365,8 @@ router.post('/files/:type/:filename/thumbnail',
 
       // Check if thumbnail already exists
       const thumbnailFilename = FileNaming.getThumbnailFilename(filename);
-      const thumbnailPath = path.join(fileStorageService.directories.temporary, thumbnailFilename);
 
-      if (fsSync.existsSync(thumbnailPath)) {
+      if (await fileStorageService.fileExists(thumbnailFilename, 'temporary')) {
         return res.json({
           success: true,
           thumbnailUrl: `/api/maps/files/temporary/${thumbnailFilename}`,
@@ -2142,6 +2476,89 @@ router.get('/storage-stats', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Issue a signed, expiring link to one of the user's files
+ * POST /api/maps/files/:type/:filename/signed-url
+ * Body parameters:
+ * - scope: 'preview' (default, preview directories only) or 'print'
+ * - expiresIn: link lifetime in ms, capped at the scope's maximum
+ */
+router.post('/files/:type/:filename/signed-url',
+  FileValidationMiddleware.validateFileAccess({ requireAuth: true }),
+  async (req, res) => {
+    try {
+      const { filename, type } = req.fileInfo;
+      const { scope = 'preview', expiresIn } = req.body || {};
+
+      const link = signedUrlService.createSignedUrl(`${type}/${filename}`, {
+        scope,
+        expiresIn: parseInt(expiresIn) || null
+      });
+
+      res.json({
+        success: true,
+        link
+      });
+
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({
+          error: 'Invalid link request',
+          message: error.message
+        });
+      }
+
+      console.error('Error issuing signed link:', error);
+      res.status(500).json({
+        error: 'Failed to issue signed link',
+        message: 'Unable to create a download link for this file'
+      });
+    }
+  }
+);
+
+/**
+ * Revoke signed links to one of the user's files
+ * DELETE /api/maps/files/:type/:filename/signed-url
+ * Body parameters:
+ * - linkId: revoke only this link (default: every link issued for the file so far)
+ * - expiresAt: the link's expiry, so the revocation can be pruned afterwards
+ */
+router.delete('/files/:type/:filename/signed-url',
+  FileValidationMiddleware.validateFileAccess({ requireAuth: true }),
+  async (req, res) => {
+    try {
+      const { filename, type } = req.fileInfo;
+      const { linkId, expiresAt } = req.body || {};
+
+      if (linkId) {
+        await signedUrlService.revokeLink(linkId, expiresAt);
+      } else {
+        await signedUrlService.revokeFile(`${type}/${filename}`);
+      }
+
+      res.json({
+        success: true,
+        revoked: linkId ? 'link' : 'file'
+      });
+
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({
+          error: 'Invalid revocation request',
+          message: error.message
+        });
+      }
+
+      console.error('Error revoking signed links:', error);
+      res.status(500).json({
+        error: 'Failed to revoke signed links',
+        message: 'Unable to revoke download links for this file'
+      });
+    }
+  }
+);
+
 /**
  * Move file between storage types
  * POST /api/maps/files/:type/:filename/move
@@ -2328,13 +2745,7 @@ router.post('/maintenance/compress', requireAuth, async (req, res) => {
       });
     }
 
-    const directoryPath = fileStorageService.directories[storageType];
-    const files = await fs.readdir(directoryPath);
-    const mapFiles = files.filter(file => file.endsWith('.png') || file.endsWith('.jpg'));
-    
-    const filePaths = mapFiles.map(file => path.join(directoryPath, file));
-    
-    const results = await FileCompressionUtils.batchCompress(filePaths, {
+    const results = await fileStorageService.compressFiles(storageType, {
       compressionLevel,
       concurrency: 2
     });
@@ -2377,8 +2788,7 @@ router.get('/maintenance/compression-stats/:storageType', requireAuth, async (re
       });
     }
 
-    const directoryPath = fileStorageService.directories[storageType];
-    const stats = await FileCompressionUtils.getDirectoryCompressionStats(directoryPath);
+    const stats = await fileStorageService.getCompressionStats(storageType);
     
     res.json({
       success: true,
@@ -2760,6 +3170,64 @@ router.post('/validate-print-config', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Print preflight report for a preview's design
+ * GET /api/maps/preflight/:previewId?format=A3&orientation=landscape
+ * Checks basemap resolution, route width and contrast, text safe area and route framing
+ * at the print size; the approval page shows the warnings before the customer approves
+ */
+router.get('/preflight/:previewId', requireAuth, async (req, res) => {
+  try {
+    const { previewId } = req.params;
+    let preview = req.session.mapPreviews?.[previewId];
+
+    if (!preview) {
+      const crossDomainToken = req.query.token || req.headers['x-session-token'];
+      if (crossDomainToken) {
+        const crossDomainTokenStore = require('../services/crossDomainTokenStore');
+        preview = crossDomainTokenStore.getMapPreview(crossDomainToken, previewId);
+      }
+    }
+
+    if (!preview?.config) {
+      return res.status(404).json({
+        error: 'Preview not found',
+        message: 'Preview ID not found in session or has expired'
+      });
+    }
+
+    const printPreflightService = require('../services/printPreflightService');
+    let report;
+    try {
+      report = await printPreflightService.runPreflight(preview.config, {
+        format: req.query.format,
+        orientation: req.query.orientation
+      });
+    } catch (dimensionError) {
+      if (!/^Unsupported (format|orientation)/.test(dimensionError.message)) {
+        throw dimensionError;
+      }
+      return res.status(400).json({
+        error: 'Invalid print configuration',
+        message: dimensionError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      previewId,
+      preflight: report
+    });
+
+  } catch (error) {
+    console.error('Error running print preflight:', error);
+    res.status(500).json({
+      error: 'Preflight failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Handle OPTIONS requests for preview images (CORS preflight)
  */
@@ -3173,11 +3641,6 @@ router.post('/confirm/:previewId', requireAuth, validateMapSession, saveSessionF
       style: preview.config.style,
       center: preview.config.center,
       bounds: preview.config.bounds,
-      route: {
-        coordinates: preview.config.route.coordinates,
-        color: preview.config.route.color || '#ff4444',
-        width: preview.config.route.width || 4
-      },
       markers: preview.config.markers,
       title: preview.config.title || `Strava Activity Map - ${preview.activityId}`,
       activityId: preview.activityId,
@@ -3185,8 +3648,27 @@ router.post('/confirm/:previewId', requireAuth, validateMapSession, saveSessionF
       selfContained: true
     };
 
+    // Composite previews carry one route layer per activity
+    if (Array.isArray(preview.config.routes) && preview.config.routes.length > 0) {
+      highResConfig.routes = preview.config.routes;
+      highResConfig.renderMode = preview.config.renderMode || 'lines';
+      highResConfig.heatmap = sanitizeHeatmapOptions(preview.config.heatmap);
+      highResConfig.activityIds = preview.activityIds;
+      highResConfig.title = preview.config.title || `Strava Composite Map - ${preview.activityName}`;
+    } else {
+      highResConfig.route = {
+        coordinates: preview.config.route.coordinates,
+        color: preview.config.route.color || '#ff4444',
+        width: preview.config.route.width || 4
+      };
+    }
+
+    const routeCoordinatesCount = highResConfig.routes
+      ? highResConfig.routes.reduce((sum, route) => sum + (route.coordinates?.length || 0), 0)
+      : (highResConfig.route.coordinates?.length || 0);
+
     // Validate route coordinates exist
-    if (!highResConfig.route.coordinates || highResConfig.route.coordinates.length === 0) {
+    if (routeCoordinatesCount === 0) {
       return res.status(400).json({
         error: 'Missing route data',
         message: 'Preview does not contain valid route coordinates for high-resolution generation'
@@ -3222,7 +3704,7 @@ router.post('/confirm/:previewId', requireAuth, validateMapSession, saveSessionF
     console.log('[Map Confirmation] Background generation started:', {
       purchaseId,
       jobId: job.id,
-      routeCoordinatesCount: highResConfig.route.coordinates.length
+      routeCoordinatesCount
     });
 
     // Return immediately - don't wait for generation
@@ -3317,11 +3799,13 @@ router.post('/purchase/:purchaseId', requireAuth, validatePurchaseSession, saveS
       purchaseId: purchaseId,
       jobId: confirmedMap.jobId,
       activityId: confirmedMap.highResConfig.activityId,
+      activityIds: confirmedMap.highResConfig.activityIds,
       printSize: confirmedMap.printSize,
       printOrientation: confirmedMap.orientation,
       mapStyle: confirmedMap.highResConfig.style,
-      routeColor: confirmedMap.highResConfig.route.color,
-      routeWidth: confirmedMap.highResConfig.route.width,
+      routeColor: confirmedMap.highResConfig.route?.color,
+      routeWidth: confirmedMap.highResConfig.route?.width,
+      renderMode: confirmedMap.highResConfig.renderMode,
       showMarkers: !!confirmedMap.highResConfig.markers,
       customization: confirmedMap.highResConfig.customization || {},
       center: confirmedMap.highResConfig.center,
@@ -0,0 +1,104 @@
+const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
+const router = express.Router();
+const config = require('../config');
+const rateLimitManager = require('../middleware/rateLimiting');
+const designDraftService = require('../services/designDraftService');
+const { getShareUrl } = require('./drafts');
+
+/**
+ * Share link routes (no auth)
+ * - GET /share/:id - Share page: social preview tags for link unfurling, then opens the design in the designer
+ * - GET /share/:id/preview.jpg - Social preview image, rendered once per draft version
+ */
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build the designer link that opens a draft read-only
+ */
+function getDesignerUrl(id) {
+  const designerUrl = config.getConfig().designDrafts?.designerUrl || '/pages/map-design';
+  return `${designerUrl}?draft=${encodeURIComponent(id)}`;
+}
+
+/**
+ * Share page
+ * Link unfurlers read the Open Graph tags; browsers are sent on to the designer
+ */
+router.get('/:id', rateLimitManager.createClientRateLimit(), async (req, res) => {
+  try {
+    const draft = await designDraftService.getPublicDraft(req.params.id);
+    const shareUrl = getShareUrl(req, draft.id);
+    const designerUrl = getDesignerUrl(draft.id);
+    const title = draft.settings.mainTitle || draft.route.activity.name || 'Custom Map Poster';
+    const description = draft.settings.subtitle || 'A custom map poster of my route';
+
+    // The page's own policy replaces the app-wide one so the redirect script can run
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.set('Content-Security-Policy', `default-src 'none'; img-src 'self'; script-src 'nonce-${nonce}'`);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <meta property="og:type" content="website">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(shareUrl)}">
+  <meta property="og:image" content="${escapeHtml(`${shareUrl}/preview.jpg?v=${draft.version}`)}">
+  <meta name="twitter:card" content="summary_large_image">
+  <meta name="twitter:title" content="${escapeHtml(title)}">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+  <meta name="twitter:image" content="${escapeHtml(`${shareUrl}/preview.jpg?v=${draft.version}`)}">
+  <script nonce="${nonce}">window.location.replace(${JSON.stringify(designerUrl).replace(/</g, '\\u003c')});</script>
+</head>
+<body>
+  <p><a href="${escapeHtml(designerUrl)}">Open ${escapeHtml(title)} in the map designer</a></p>
+</body>
+</html>`);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).type('text').send('This design is no longer available.');
+    }
+
+    console.error('Error serving share page:', error);
+    res.status(500).type('text').send('Failed to load this design.');
+  }
+});
+
+/**
+ * Social preview image for a draft's current version
+ */
+router.get('/:id/preview.jpg', rateLimitManager.createClientRateLimit(), async (req, res) => {
+  try {
+    const imagePath = await designDraftService.getSocialImage(req.params.id);
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.sendFile(path.resolve(imagePath));
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({
+        error: 'Preview not found',
+        message: error.message
+      });
+    }
+
+    console.error('Error generating draft preview image:', error);
+    res.status(500).json({
+      error: 'Preview generation failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
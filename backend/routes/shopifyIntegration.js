@@ -1,7 +1,10 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const ShopifyIntegrationService = require('../services/shopifyIntegration');
 const sessionSecurity = require('../middleware/sessionSecurity');
+const privacyRequestService = require('../services/privacyRequestService');
+const printLabService = require('../services/printLabService');
 const { requireAuth } = require('./auth');
 
 /**
@@ -358,58 +361,115 @@ router.post('/complete-flow', requireAuth, (req, res) => {
 });
 
 /**
- * Shopify Webhook Handler for Order Processing
- * Handles orders/create and orders/paid webhooks to trigger map generation
+ * Verify a Shopify webhook's HMAC signature against the preserved raw body
+ * Shared by the order and privacy webhooks. On success the parsed delivery is
+ * available as req.shopifyWebhook ({ topic, shopDomain, webhookId, payload }).
  */
-router.post('/webhook/order', async (req, res) => {
+function verifyShopifyWebhook(req, res, next) {
+  const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
+  const topic = req.get('X-Shopify-Topic');
+
+  if (!hmacHeader || !topic) {
+    console.log('[Shopify Webhook] Missing required headers');
+    return res.status(400).json({ error: 'Missing required webhook headers' });
+  }
+
+  // Verify webhook authenticity using preserved raw body
+  const rawBody = req.rawBody;
+
+  if (!rawBody) {
+    console.log('[Shopify Webhook] Raw body not available for HMAC verification');
+    return res.status(400).json({ error: 'Raw body required for webhook verification' });
+  }
+
+  const calculatedHmac = crypto
+    .createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_SECRET_KEY)
+    .update(rawBody, 'utf8')
+    .digest('base64');
+
+  const calculated = Buffer.from(calculatedHmac);
+  const received = Buffer.from(hmacHeader);
+  if (calculated.length !== received.length || !crypto.timingSafeEqual(calculated, received)) {
+    console.log('[Shopify Webhook] HMAC verification failed', { topic });
+    return res.status(401).json({ error: 'Webhook verification failed' });
+  }
+
+  console.log('[Shopify Webhook] HMAC verification successful');
+
+  let payload;
   try {
-    console.log('[Shopify Webhook] Order webhook received');
-    
-    const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
-    const topic = req.get('X-Shopify-Topic');
-    const shopDomain = req.get('X-Shopify-Shop-Domain');
-    
-    if (!hmacHeader || !topic) {
-      console.log('[Shopify Webhook] Missing required headers');
-      return res.status(400).json({ error: 'Missing required webhook headers' });
-    }
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    console.log('[Shopify Webhook] Webhook body is not valid JSON');
+    return res.status(400).json({ error: 'Invalid webhook payload' });
+  }
 
-    // Verify webhook authenticity using preserved raw body
-    const crypto = require('crypto');
-    const rawBody = req.rawBody;
-    
-    if (!rawBody) {
-      console.log('[Shopify Webhook] Raw body not available for HMAC verification');
-      return res.status(400).json({ error: 'Raw body required for webhook verification' });
-    }
-    
-    const calculatedHmac = crypto
-      .createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_SECRET_KEY)
-      .update(rawBody, 'utf8')
-      .digest('base64');
-
-    if (calculatedHmac !== hmacHeader) {
-      console.log('[Shopify Webhook] HMAC verification failed', {
-        calculated: calculatedHmac,
-        received: hmacHeader
-      });
-      return res.status(401).json({ error: 'Webhook verification failed' });
-    }
+  req.shopifyWebhook = {
+    topic,
+    shopDomain: req.get('X-Shopify-Shop-Domain'),
+    webhookId: req.get('X-Shopify-Webhook-Id'),
+    payload
+  };
+  next();
+}
 
-    console.log('[Shopify Webhook] HMAC verification successful');
+/**
+ * Shopify Webhook Handler for Order Processing
+ * Handles orders/create and orders/paid webhooks to trigger map generation.
+ * orders/cancelled, refunds/create and orders/updated withdraw maps for cancelled,
+ * refunded or removed line items: queued jobs are cancelled and generated files quarantined.
+ * Duplicate deliveries are acknowledged without being processed again.
+ */
+router.post('/webhook/order', verifyShopifyWebhook, async (req, res) => {
+  try {
+    console.log('[Shopify Webhook] Order webhook received');
 
-    // Parse the raw body as JSON for processing
-    const orderData = JSON.parse(rawBody);
+    // refunds/create delivers a refund; every other topic delivers the order
+    const { topic, shopDomain, webhookId, payload: orderData } = req.shopifyWebhook;
+    const isRefund = topic === 'refunds/create';
+    const orderId = isRefund ? orderData.order_id : orderData.id;
     console.log('[Shopify Webhook] Processing order:', {
-      id: orderData.id,
+      id: orderId,
       name: orderData.name,
+      refundId: isRefund ? orderData.id : undefined,
       topic: topic,
-      shopDomain: shopDomain
+      shopDomain: shopDomain,
+      webhookId: webhookId
+    });
+
+    // Acknowledge retried/re-sent deliveries without regenerating the map
+    const webhookLedger = require('../services/webhookLedger');
+    const delivery = await webhookLedger.beginDelivery({
+      webhookId,
+      topic,
+      orderId,
+      resourceId: isRefund ? orderData.id : null,
+      shopDomain
     });
 
-    // Only process paid orders or order creation for map items
-    if (topic === 'orders/paid' || topic === 'orders/create') {
-      await processMapOrder(orderData, topic);
+    if (delivery.duplicate) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Webhook already processed'
+      });
+    }
+
+    try {
+      const reconciliation = isRefund
+        ? await reconcileRefundWebhook(orderData)
+        : await reconcileOrderWebhook(orderData, topic);
+
+      // Only process paid orders or order creation for map items
+      if (!reconciliation.skipGeneration && (topic === 'orders/paid' || topic === 'orders/create')) {
+        await processMapOrder(orderData, topic);
+      }
+
+      await webhookLedger.completeDelivery(delivery.key, reconciliation);
+    } catch (error) {
+      // Leave the delivery retryable so Shopify's next attempt is processed
+      await webhookLedger.failDelivery(delivery.key, error);
+      throw error;
     }
 
     res.status(200).json({ success: true, message: 'Webhook processed successfully' });
@@ -420,6 +480,212 @@ router.post('/webhook/order', async (req, res) => {
   }
 });
 
+/**
+ * Shopify mandatory privacy webhooks
+ * customers/data_request stores a JSON export of the customer's data for the merchant;
+ * customers/redact and shop/redact erase it and append a record to the erasure audit log.
+ * An incomplete erasure answers 500 so Shopify retries it; erasure can safely be repeated.
+ */
+router.post('/webhook/customers/data_request', verifyShopifyWebhook, handlePrivacyWebhook(
+  'customers/data_request',
+  async payload => {
+    const result = await privacyRequestService.exportCustomerData(payload);
+    return { exportId: result.exportId, counts: result.counts };
+  }
+));
+
+router.post('/webhook/customers/redact', verifyShopifyWebhook, handlePrivacyWebhook(
+  'customers/redact',
+  (payload, context) => privacyRequestService.redactCustomer(payload, context)
+));
+
+router.post('/webhook/shop/redact', verifyShopifyWebhook, handlePrivacyWebhook(
+  'shop/redact',
+  (payload, context) => privacyRequestService.redactShop(payload, context)
+));
+
+/**
+ * Print lab status callback
+ * The print provider verifies the callback (the HTTP provider checks its HMAC signature);
+ * a shipped print order is fulfilled in Shopify with the lab's tracking number.
+ */
+router.post('/webhook/print-lab', async (req, res) => {
+  try {
+    const record = await printLabService.handleCallback({ headers: req.headers, rawBody: req.rawBody || '' });
+    res.status(200).json({ success: true, jobId: record.jobId, status: record.status });
+  } catch (error) {
+    const statusCodes = { INVALID_SIGNATURE: 401, INVALID_CALLBACK: 400, ORDER_NOT_FOUND: 404, CALLBACKS_DISABLED: 404 };
+    console.error('[Print Lab] Callback failed:', error.message);
+    res.status(statusCodes[error.code] || 500).json({ error: 'Print lab callback failed', message: error.message });
+  }
+});
+
+/**
+ * Build the route handler for a privacy webhook topic
+ * Duplicate deliveries are acknowledged through the webhook ledger, like order webhooks.
+ */
+function handlePrivacyWebhook(expectedTopic, handler) {
+  return async (req, res) => {
+    const { topic, shopDomain, webhookId, payload } = req.shopifyWebhook;
+
+    try {
+      console.log('[Shopify Webhook] Privacy webhook received:', { topic, shopDomain, webhookId });
+
+      if (topic !== expectedTopic) {
+        return res.status(400).json({ error: 'Unexpected webhook topic', topic });
+      }
+
+      const webhookLedger = require('../services/webhookLedger');
+      const delivery = await webhookLedger.beginDelivery({
+        webhookId,
+        topic,
+        orderId: null,
+        resourceId: payload.customer?.id ?? payload.shop_id ?? null,
+        shopDomain
+      });
+
+      if (delivery.duplicate) {
+        return res.status(200).json({
+          success: true,
+          duplicate: true,
+          message: 'Webhook already processed'
+        });
+      }
+
+      let outcome;
+      try {
+        const result = await handler(payload, { webhookId });
+        outcome = result.status
+          ? { erasureId: result.id, status: result.status, deleted: result.deleted }
+          : result;
+
+        if (result.status === 'partial') {
+          throw new Error(`Erasure ${result.id} incomplete: ${result.errors.map(error => error.step).join(', ')}`);
+        }
+
+        await webhookLedger.completeDelivery(delivery.key, outcome);
+      } catch (error) {
+        await webhookLedger.failDelivery(delivery.key, error);
+        throw error;
+      }
+
+      res.status(200).json({ success: true, message: 'Webhook processed successfully', ...outcome });
+
+    } catch (error) {
+      console.error('[Shopify Webhook] Error processing privacy webhook:', { topic, error: error.message });
+      res.status(500).json({ error: 'Webhook processing failed', message: error.message });
+    }
+  };
+}
+
+/**
+ * Reconcile an order webhook against what has already been seen for the order
+ * Webhooks can arrive late or out of order, e.g. orders/paid after orders/cancelled,
+ * or orders/cancelled after a generation job has been queued.
+ */
+async function reconcileOrderWebhook(orderData, webhookTopic) {
+  const webhookLedger = require('../services/webhookLedger');
+  const { state, stale } = await webhookLedger.recordOrderEvent(orderData, webhookTopic);
+
+  // Order payloads carry their refunds, which covers a missed or late refunds/create
+  for (const refund of orderData.refunds || []) {
+    await webhookLedger.recordRefund({ ...refund, order_id: orderData.id });
+  }
+
+  if (stale) {
+    console.log('[Shopify Webhook] Stale order payload received:', {
+      orderId: orderData.id,
+      topic: webhookTopic,
+      payloadUpdatedAt: orderData.updated_at,
+      lastSeenUpdatedAt: state.lastOrderUpdatedAt
+    });
+  }
+
+  const orderWithdrawalReason = webhookLedger.getWithdrawalReason(orderData.id);
+  const cancelledJobs = await withdrawOrderMaps(orderData.id, orderData.line_items);
+
+  if (orderWithdrawalReason) {
+    console.log('[Shopify Webhook] Order withdrawn - generation stopped:', {
+      orderId: orderData.id,
+      orderName: orderData.name,
+      topic: webhookTopic,
+      reason: orderWithdrawalReason,
+      cancelledJobs
+    });
+  }
+
+  return {
+    orderId: orderData.id,
+    topic: webhookTopic,
+    stale,
+    cancelled: !!state.cancelledAt,
+    withdrawalReason: orderWithdrawalReason,
+    skipGeneration: !!orderWithdrawalReason,
+    cancelledJobs
+  };
+}
+
+/**
+ * Reconcile a refunds/create webhook
+ * Fully refunded line items are withdrawn; partial refunds leave the map in place
+ */
+async function reconcileRefundWebhook(refund) {
+  const webhookLedger = require('../services/webhookLedger');
+  const { fullyRefunded } = await webhookLedger.recordRefund(refund);
+  const cancelledJobs = await withdrawOrderMaps(refund.order_id);
+
+  console.log('[Shopify Webhook] Refund recorded:', {
+    orderId: refund.order_id,
+    refundId: refund.id,
+    fullyRefundedLineItems: fullyRefunded,
+    cancelledJobs
+  });
+
+  return {
+    orderId: refund.order_id,
+    refundId: refund.id,
+    topic: 'refunds/create',
+    fullyRefundedLineItems: fullyRefunded,
+    skipGeneration: true,
+    cancelledJobs
+  };
+}
+
+/**
+ * Cancel jobs (and quarantine their files) for every line item the ledger says is withdrawn
+ * Covers order-based jobs and legacy jobs linked to a line item through its Purchase ID
+ */
+async function withdrawOrderMaps(orderId, lineItems = []) {
+  const webhookLedger = require('../services/webhookLedger');
+  const backgroundJobManager = require('../services/backgroundJobManager');
+
+  const candidates = backgroundJobManager.getJobsByOrderId(orderId)
+    .map(job => ({ job, lineItemId: job.lineItemId }));
+
+  for (const lineItem of lineItems || []) {
+    const purchaseId = (lineItem.properties || []).find(p => p.name === 'Purchase ID')?.value;
+    const legacyJob = purchaseId ? backgroundJobManager.getJobByPurchaseId(purchaseId) : null;
+    if (legacyJob && !candidates.some(candidate => candidate.job.id === legacyJob.id)) {
+      candidates.push({ job: legacyJob, lineItemId: lineItem.id });
+    }
+  }
+
+  const cancelledJobs = [];
+  for (const { job, lineItemId } of candidates) {
+    const reason = webhookLedger.getWithdrawalReason(orderId, lineItemId);
+    if (!reason || job.status === 'cancelled') {
+      continue;
+    }
+
+    const cancelled = await backgroundJobManager.cancelJob(job.id, reason);
+    if (cancelled) {
+      cancelledJobs.push(cancelled.id);
+    }
+  }
+
+  return cancelledJobs;
+}
+
 // Order processing state tracker to prevent duplicates
 const orderProcessingState = new Map();
 const configProcessingState = new Map();
@@ -606,6 +872,18 @@ async function processMapLineItem(lineItem, orderData, webhookTopic) {
     const mapStyle = properties.find(p => p.name === 'Map Style')?.value || 'streets';
     const mapType = properties.find(p => p.name === 'Map Type')?.value;
 
+    // Line items can be refunded or removed before (or while) the order is paid
+    const webhookLedger = require('../services/webhookLedger');
+    const withdrawalReason = webhookLedger.getWithdrawalReason(orderData.id, lineItem.id);
+    if (withdrawalReason) {
+      console.log('[Map Line Item] Line item withdrawn - skipping generation:', {
+        orderId: orderData.id,
+        lineItemId: lineItem.id,
+        reason: withdrawalReason
+      });
+      return;
+    }
+
     console.log('[Map Line Item] Processing with JSON file-based approach:', {
       configurationId,
       activityId,
@@ -629,28 +907,43 @@ async function processMapLineItem(lineItem, orderData, webhookTopic) {
       }
       
       if (webhookTopic === 'orders/paid') {
-        console.log('[Map Line Item] Order paid - generating high-resolution map');
-        
+        console.log('[Map Line Item] Order paid - queueing high-resolution map generation');
+
         // Mark configuration as processing
         markConfigurationAsProcessing(configurationId);
-        
+
         try {
-          // Use OrderMapService to generate map from configuration
-          const orderMapService = require('../services/orderMapService');
-          const result = await orderMapService.generateMapFromOrder(orderData, lineItem, webhookTopic);
-          
-          console.log('[Map Line Item] Map generation completed successfully:', {
+          // Queue durably so a crash or restart can't leave a paid order without a poster.
+          // The queue is idempotent on order + line item, so redelivered webhooks reuse the existing job.
+          const backgroundJobManager = require('../services/backgroundJobManager');
+          const job = await backgroundJobManager.createJob({
+            type: 'order',
             orderId: orderData.id,
-            configurationId: result.configId,
-            mapPath: result.mapPath,
-            configSource: result.configSource
+            lineItemId: lineItem.id,
+            orderData: buildOrderJobSnapshot(orderData),
+            lineItem: {
+              id: lineItem.id,
+              title: lineItem.title,
+              quantity: lineItem.quantity,
+              properties: properties
+            },
+            webhookTopic,
+            printSize,
+            orientation
           });
-          
+
+          console.log('[Map Line Item] Map generation queued:', {
+            orderId: orderData.id,
+            configurationId,
+            jobId: job.id,
+            status: job.status
+          });
+
           // Mark configuration processing as complete
           markConfigurationProcessingComplete(configurationId);
-          
+
         } catch (error) {
-          console.error('[Map Line Item] Map generation failed:', error);
+          console.error('[Map Line Item] Failed to queue map generation:', error);
           // Mark as complete to prevent stuck state
           markConfigurationProcessingComplete(configurationId);
           throw error;
@@ -686,6 +979,25 @@ async function processMapLineItem(lineItem, orderData, webhookTopic) {
   }
 }
 
+/**
+ * Reduce webhook order payload to the fields needed by queued generation jobs
+ * The queue is persisted to disk, so avoid storing addresses, payment details etc.
+ */
+function buildOrderJobSnapshot(orderData) {
+  return {
+    id: orderData.id,
+    name: orderData.name,
+    email: orderData.email,
+    created_at: orderData.created_at,
+    customer: orderData.customer ? {
+      id: orderData.customer.id,
+      email: orderData.customer.email,
+      first_name: orderData.customer.first_name,
+      last_name: orderData.customer.last_name
+    } : null
+  };
+}
+
 /**
  * Process completed purchase - add map file to order if generation is complete
  */
@@ -721,7 +1033,7 @@ async function processCompletedPurchase(job, orderData, lineItem) {
       // Set up listener for job completion (if not already set)
       setupJobCompletionListener(job, orderData);
       
-    } else if (job.status === 'failed') {
+    } else if (job.status === 'failed' || job.status === 'dead_letter') {
       // Map generation failed
       console.error('[Completed Purchase] Map generation failed for job:', job.id);
       
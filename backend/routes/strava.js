@@ -15,6 +15,8 @@ const {
 } = require('../utils/activityFilters');
 const { cache, generateStravaKey, getCachedOrFetch } = require('../services/cacheManager');
 const stravaService = require('../services/stravaService');
+const activityIndexService = require('../services/activityIndexService');
+const userSettingsService = require('../services/userSettingsService');
 const { transformElevationForChart } = require('../utils/dataTransformers');
 
 /**
@@ -54,7 +56,11 @@ const { transformElevationForChart } = require('../utils/dataTransformers');
  * - GET /api/strava/activities - List user activities with pagination
  * - GET /api/strava/activities/:id - Get detailed activity data
  * - GET /api/strava/activities/:id/streams - Get GPS/sensor data for maps
- * - GET /api/strava/activities/search - Search activities by criteria
+ * - GET /api/strava/activities/search - Search the athlete's whole history by criteria
+ * - GET /api/strava/activities/index - Local activity index status
+ * - POST /api/strava/activities/index/sync - Continue backfilling the local activity index
+ * - GET/PUT /api/strava/settings/privacy-zones - Route privacy zones applied to every render
+ * - GET/POST /api/strava/webhook - Strava push subscription (no session auth)
  * 
  * INTEGRATION WITH MAP GENERATION:
  * ===============================
@@ -65,7 +71,7 @@ const { transformElevationForChart } = require('../utils/dataTransformers');
 
 /**
  * Multer configuration for file uploads
- * Supports GPX and TCX files with size limits and validation
+ * Supports GPX, TCX and FIT files with size limits and validation
  */
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -75,10 +81,11 @@ const upload = multer({
     files: 1 // Single file upload
   },
   fileFilter: (req, file, cb) => {
-    const allowedExtensions = ['.gpx', '.tcx'];
+    const allowedExtensions = ['.gpx', '.tcx', '.fit'];
     const allowedMimeTypes = [
       'application/gpx+xml',
       'application/tcx+xml',
+      'application/vnd.ant.fit',
       'text/xml',
       'application/xml',
       'text/plain'
@@ -91,7 +98,7 @@ const upload = multer({
     if (isValidExtension || isValidMimeType) {
       cb(null, true);
     } else {
-      cb(new Error(`Invalid file type. Only GPX and TCX files are allowed. Received: ${file.originalname} (${file.mimetype})`), false);
+      cb(new Error(`Invalid file type. Only GPX, TCX and FIT files are allowed. Received: ${file.originalname} (${file.mimetype})`), false);
     }
   }
 });
@@ -126,6 +133,14 @@ async function stravaApiRequest(url, accessToken) {
   return response.json();
 }
 
+/**
+ * Get the Strava athlete ID for an authenticated request
+ * (session auth and cross-domain tokens both expose the athlete on req.auth)
+ */
+function getAthleteId(req) {
+  return req.auth?.athlete?.id || req.session?.athlete?.id || null;
+}
+
 /**
  * Get authenticated athlete information
  * INTEGRATION: Uses full middleware chain - rate limiting + auth + token refresh + Strava rate limit protection + caching
@@ -148,16 +163,16 @@ router.get('/athlete', rateLimitManager.createClientRateLimit(), requireAuth, re
 });
 
 /**
- * Upload and process GPX/TCX route files
+ * Upload and process GPX/TCX/FIT route files
  * POST /api/strava/upload
- * Accepts GPX or TCX files and processes them for map generation
+ * Accepts GPX, TCX or FIT files and processes them for map generation
  */
 router.post('/upload', rateLimitManager.createClientRateLimit(), requireAuth, upload.single('routeFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
         error: 'No file uploaded',
-        message: 'Please select a GPX or TCX file to upload'
+        message: 'Please select a GPX, TCX or FIT file to upload'
       });
     }
 
@@ -181,10 +196,14 @@ router.post('/upload', rateLimitManager.createClientRateLimit(), requireAuth, up
         parsedData = await gpxTcxParser.parseGPXFile(file.buffer, file.originalname);
       } else if (fileExtension === '.tcx') {
         parsedData = await gpxTcxParser.parseTCXFile(file.buffer, file.originalname);
+      } else if (fileExtension === '.fit') {
+        parsedData = await gpxTcxParser.parseFITFile(file.buffer, file.originalname);
       } else {
         // Try to detect format from content
         const content = file.buffer.toString('utf8');
-        if (gpxTcxParser.validateGPXFormat(content)) {
+        if (gpxTcxParser.validateFITFormat(file.buffer)) {
+          parsedData = await gpxTcxParser.parseFITFile(file.buffer, file.originalname);
+        } else if (gpxTcxParser.validateGPXFormat(content)) {
           parsedData = await gpxTcxParser.parseGPXFile(file.buffer, file.originalname);
         } else if (gpxTcxParser.validateTCXFormat(content)) {
           parsedData = await gpxTcxParser.parseTCXFile(file.buffer, file.originalname);
@@ -197,7 +216,7 @@ router.post('/upload', rateLimitManager.createClientRateLimit(), requireAuth, up
       return res.status(400).json({
         error: 'File parsing failed',
         message: `Unable to parse the uploaded file: ${parseError.message}`,
-        details: 'Please ensure the file is a valid GPX or TCX format'
+        details: 'Please ensure the file is a valid GPX, TCX or FIT format'
       });
     }
 
@@ -481,6 +500,190 @@ router.get('/activities/load-more', rateLimitManager.createClientRateLimit(), re
   }
 });
 
+/**
+ * Search activities by criteria across the athlete's whole history
+ * Runs against the local activity index, which is backfilled from the paginated
+ * Strava API and refreshed when stale, instead of a single Strava page.
+ * Query parameters (backward compatible + enhanced):
+ * - q: Search query (activity name) - maps to search_name parameter
+ * - type: Activity type filter - maps to activity_types parameter  
+ * - start_date: Start date filter (YYYY-MM-DD) - converted to after timestamp
+ * - end_date: End date filter (YYYY-MM-DD) - converted to before timestamp
+ * - page: Page of results (default: 1)
+ * - per_page: Results per page (default: 30, max: 200)
+ * - bbox: Only activities passing through west,south,east,north (degrees)
+ * - near: Only activities passing within radius of lat,lng
+ * - place: Only activities passing within radius of a named place (geocoded)
+ * - radius: Radius in meters for near/place (default: 5000)
+ * 
+ * Plus all enhanced filtering parameters from the main activities endpoint
+ */
+router.get('/activities/search', rateLimitManager.createClientRateLimit(), requireAuth, refreshTokenIfNeeded, rateLimitManager.checkStravaRateLimit(), async (req, res) => {
+  try {
+    // Convert legacy search parameters to new format for backward compatibility
+    const enhancedQuery = { ...req.query };
+    
+    // Map legacy 'q' parameter to 'search_name'
+    if (req.query.q) {
+      enhancedQuery.search_name = req.query.q;
+    }
+    
+    // Map legacy 'type' parameter to 'activity_types'
+    if (req.query.type) {
+      enhancedQuery.activity_types = req.query.type;
+    }
+    
+    // Convert date strings to timestamps
+    for (const [field, target] of [['start_date', 'after'], ['end_date', 'before']]) {
+      if (req.query[field]) {
+        const timestamp = new Date(req.query[field]).getTime();
+        if (isNaN(timestamp)) {
+          return res.status(400).json({
+            error: `Invalid ${field}`,
+            message: `${field} must be in YYYY-MM-DD format`
+          });
+        }
+        enhancedQuery[target] = Math.floor(timestamp / 1000).toString();
+      }
+    }
+
+    // Validate and parse query parameters using enhanced filtering system
+    let parsedParams;
+    try {
+      parsedParams = validateAndParseQuery(enhancedQuery);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: validationError.message
+      });
+    }
+
+    const athleteId = getAthleteId(req);
+    if (!athleteId) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Unable to identify the Strava athlete for this session'
+      });
+    }
+
+    // Backfill or refresh the index as needed, then search everything indexed so far
+    await activityIndexService.ensureFresh(athleteId, req.getAccessToken());
+    const result = await activityIndexService.search(athleteId, parsedParams);
+
+    // Get filter summary for logging
+    const filterSummary = getFilterSummary(parsedParams, result.indexed, result.total);
+    
+    // Log search operation
+    if (filterSummary.activeFilters.length > 0) {
+      console.log(`Search executed: ${filterSummary.activeFilters.join(', ')} - Found ${filterSummary.filteredCount} activities out of ${filterSummary.originalCount}`);
+    }
+
+    res.json({
+      success: true,
+      activities: result.activities,
+      search_criteria: {
+        // Backward compatibility fields
+        q: req.query.q || null,
+        type: req.query.type || null,
+        start_date: req.query.start_date || null,
+        end_date: req.query.end_date || null,
+        // Enhanced filtering info
+        filters_applied: filterSummary.activeFilters,
+        sort_by: filterSummary.sortBy,
+        sort_order: filterSummary.sortOrder,
+        location: result.location || null
+      },
+      results: {
+        total_results: result.total,
+        original_count: result.indexed,
+        filtered_count: result.total,
+        page: parsedParams.page,
+        per_page: parsedParams.per_page,
+        has_more_results: parsedParams.page * parsedParams.per_page < result.total
+      },
+      index: result.index
+    });
+
+  } catch (error) {
+    console.error('Error searching activities:', error);
+    
+    if (error.status === 401) {
+      return res.status(401).json({
+        error: 'Token expired',
+        message: 'Strava access token has expired. Please re-authenticate.'
+      });
+    }
+
+    if (error.status === 404 || error.status === 503) {
+      return res.status(error.status).json({
+        error: 'Place search failed',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to search activities',
+      message: 'Unable to search activities'
+    });
+  }
+});
+
+/**
+ * Get the status of the athlete's local activity index
+ */
+router.get('/activities/index', rateLimitManager.createClientRateLimit(), requireAuth, async (req, res) => {
+  try {
+    const athleteId = getAthleteId(req);
+    if (!athleteId) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Unable to identify the Strava athlete for this session'
+      });
+    }
+
+    const index = await activityIndexService.getIndex(athleteId);
+    res.json({
+      success: true,
+      index: activityIndexService.getStatus(index)
+    });
+  } catch (error) {
+    console.error('Error reading activity index:', error);
+    res.status(500).json({
+      error: 'Failed to read activity index',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Continue backfilling / refresh the athlete's local activity index
+ * Body parameters:
+ * - max_pages: Strava pages to fetch in this call (default: 5, max: 20)
+ */
+router.post('/activities/index/sync', rateLimitManager.createClientRateLimit(), requireAuth, refreshTokenIfNeeded, rateLimitManager.checkStravaRateLimit(), async (req, res) => {
+  try {
+    const athleteId = getAthleteId(req);
+    if (!athleteId) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Unable to identify the Strava athlete for this session'
+      });
+    }
+
+    const maxPages = Math.min(parseInt(req.body?.max_pages) || activityIndexService.pagesPerSync, 20); // Safety limit
+    const index = await activityIndexService.sync(athleteId, req.getAccessToken(), { maxPages });
+
+    res.json({
+      success: true,
+      index
+    });
+  } catch (error) {
+    console.error('Error syncing activity index:', error);
+    const errorResponse = stravaService.handleStravaError(error);
+    res.status(errorResponse.status).json(errorResponse);
+  }
+});
+
 /**
  * Get detailed information for a specific activity
  * Includes full polyline data for map generation + caching
@@ -627,155 +830,65 @@ router.get('/activities/:id/elevation', rateLimitManager.createClientRateLimit()
 });
 
 /**
- * Search activities by criteria - Enhanced version using new filtering utilities
- * Query parameters (backward compatible + enhanced):
- * - q: Search query (activity name) - maps to search_name parameter
- * - type: Activity type filter - maps to activity_types parameter  
- * - start_date: Start date filter (YYYY-MM-DD) - converted to after timestamp
- * - end_date: End date filter (YYYY-MM-DD) - converted to before timestamp
- * - page: Page number (default: 1)
- * - per_page: Activities per page (default: 30, max: 200)
- * 
- * Plus all enhanced filtering parameters from the main activities endpoint
+ * Get the athlete's route privacy zones
  */
-router.get('/activities/search', rateLimitManager.createClientRateLimit(), requireAuth, refreshTokenIfNeeded, rateLimitManager.checkStravaRateLimit(), async (req, res) => {
+router.get('/settings/privacy-zones', rateLimitManager.createClientRateLimit(), requireAuth, async (req, res) => {
   try {
-    // Convert legacy search parameters to new format for backward compatibility
-    const enhancedQuery = { ...req.query };
-    
-    // Map legacy 'q' parameter to 'search_name'
-    if (req.query.q) {
-      enhancedQuery.search_name = req.query.q;
-    }
-    
-    // Map legacy 'type' parameter to 'activity_types'
-    if (req.query.type) {
-      enhancedQuery.activity_types = req.query.type;
-    }
-    
-    // Convert date strings to timestamps for Strava API compatibility
-    if (req.query.start_date) {
-      try {
-        const startTimestamp = Math.floor(new Date(req.query.start_date).getTime() / 1000);
-        enhancedQuery.after = startTimestamp.toString();
-      } catch (dateError) {
-        return res.status(400).json({
-          error: 'Invalid start_date',
-          message: 'start_date must be in YYYY-MM-DD format'
-        });
-      }
-    }
-    
-    if (req.query.end_date) {
-      try {
-        const endTimestamp = Math.floor(new Date(req.query.end_date).getTime() / 1000);
-        enhancedQuery.before = endTimestamp.toString();
-      } catch (dateError) {
-        return res.status(400).json({
-          error: 'Invalid end_date',
-          message: 'end_date must be in YYYY-MM-DD format'
-        });
-      }
-    }
-
-    // Validate and parse query parameters using enhanced filtering system
-    let parsedParams;
-    try {
-      parsedParams = validateAndParseQuery(enhancedQuery);
-    } catch (validationError) {
-      return res.status(400).json({
-        error: 'Invalid query parameters',
-        message: validationError.message
+    const athleteId = getAthleteId(req);
+    if (!athleteId) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Unable to identify the Strava athlete for this session'
       });
     }
 
-    // Build Strava API parameters (only supported parameters)
-    const stravaParams = buildStravaApiParams(parsedParams);
-
-    // Generate cache key for search (include all search parameters)
-    const cacheKey = generateStravaKey(req, 'activities-search', enhancedQuery);
-
-    // Fetch activities using cache-first strategy
-    const activities = await getCachedOrFetch('activities', cacheKey, async () => {
-      return await stravaApiRequest(
-        `https://www.strava.com/api/v3/athlete/activities?${stravaParams}`,
-        req.getAccessToken()
-      );
+    res.json({
+      success: true,
+      privacyZones: await userSettingsService.getPrivacyZones(athleteId)
     });
+  } catch (error) {
+    console.error('Error fetching privacy zones:', error);
+    res.status(500).json({
+      error: 'Failed to fetch privacy zones',
+      message: error.message
+    });
+  }
+});
 
-    // Format activity data (lighter format for search results)
-    const formattedActivities = activities.map(activity => ({
-      id: activity.id,
-      name: activity.name,
-      type: activity.type,
-      sport_type: activity.sport_type,
-      start_date: activity.start_date,
-      start_date_local: activity.start_date_local,
-      distance: activity.distance,
-      moving_time: activity.moving_time,
-      elapsed_time: activity.elapsed_time,
-      total_elevation_gain: activity.total_elevation_gain,
-      start_latlng: activity.start_latlng,
-      end_latlng: activity.end_latlng,
-      average_speed: activity.average_speed,
-      max_speed: activity.max_speed,
-      map: activity.map ? {
-        id: activity.map.id,
-        summary_polyline: activity.map.summary_polyline,
-        resource_state: activity.map.resource_state
-      } : null
-    }));
-
-    // Apply client-side filtering using enhanced filtering system
-    const filteredActivities = filterActivities(formattedActivities, parsedParams);
-    
-    // Apply sorting
-    const sortedActivities = sortActivities(filteredActivities, parsedParams.sort_by, parsedParams.sort_order);
-
-    // Get filter summary for logging
-    const filterSummary = getFilterSummary(parsedParams, formattedActivities.length, sortedActivities.length);
-    
-    // Log search operation
-    if (filterSummary.activeFilters.length > 0) {
-      console.log(`Search executed: ${filterSummary.activeFilters.join(', ')} - Found ${filterSummary.filteredCount} activities out of ${filterSummary.originalCount}`);
+/**
+ * Replace the athlete's route privacy zones
+ * Body parameters:
+ * - zones: [{ lat, lng, radius, label }] - circles whose route start/end points are hidden (max 10)
+ * - hideFirstMeters / hideLastMeters: distance cut from the start / end of every route (max 5000)
+ */
+router.put('/settings/privacy-zones', rateLimitManager.createClientRateLimit(), requireAuth, async (req, res) => {
+  try {
+    const athleteId = getAthleteId(req);
+    if (!athleteId) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Unable to identify the Strava athlete for this session'
+      });
     }
 
+    const privacyZones = await userSettingsService.updatePrivacyZones(athleteId, req.body || {});
+
     res.json({
       success: true,
-      activities: sortedActivities,
-      search_criteria: {
-        // Backward compatibility fields
-        q: req.query.q || null,
-        type: req.query.type || null,
-        start_date: req.query.start_date || null,
-        end_date: req.query.end_date || null,
-        // Enhanced filtering info
-        filters_applied: filterSummary.activeFilters,
-        sort_by: filterSummary.sortBy,
-        sort_order: filterSummary.sortOrder
-      },
-      results: {
-        total_results: sortedActivities.length,
-        original_count: formattedActivities.length,
-        filtered_count: sortedActivities.length,
-        page: parsedParams.page,
-        per_page: parsedParams.per_page
-      }
+      privacyZones
     });
-
   } catch (error) {
-    console.error('Error searching activities:', error);
-    
-    if (error.status === 401) {
-      return res.status(401).json({
-        error: 'Token expired',
-        message: 'Strava access token has expired. Please re-authenticate.'
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid privacy zones',
+        message: error.message
       });
     }
 
+    console.error('Error updating privacy zones:', error);
     res.status(500).json({
-      error: 'Failed to search activities',
-      message: 'Unable to search activities'
+      error: 'Failed to update privacy zones',
+      message: error.message
     });
   }
 });
@@ -1101,7 +1214,8 @@ router.get('/activities/:id/geojson', rateLimitManager.createClientRateLimit(),
       includeElevation: true,
       includeTimestamps: true,
       validateOutput: true,
-      optimizeForMapbox: true
+      optimizeForMapbox: true,
+      privacyZones: await userSettingsService.getPrivacyZones(getAthleteId(req))
     });
 
     res.json({
@@ -1141,4 +1255,44 @@ router.get('/activities/:id/geojson', rateLimitManager.createClientRateLimit(),
   }
 });
 
+/**
+ * Strava webhook subscription validation
+ * Strava calls this once when the push subscription is created; echo the challenge
+ * back when the verify token matches. No session auth: Strava calls it directly.
+ */
+router.get('/webhook', (req, res) => {
+  const stravaWebhookService = require('../services/stravaWebhookService');
+  const verification = stravaWebhookService.verifyChallenge(req.query);
+
+  if (!verification.valid) {
+    console.warn('[StravaWebhook] Subscription validation rejected:', verification.reason);
+    return res.status(403).json({ error: 'Webhook verification failed', message: verification.reason });
+  }
+
+  res.status(200).json({ 'hub.challenge': verification.challenge });
+});
+
+/**
+ * Strava webhook events
+ * Activity create/update/delete invalidates the athlete's cached activity data and
+ * updates their activity index; athlete deauthorization purges their tokens and data once
+ * Strava confirms the athlete's token is revoked. Failures return 500 so Strava retries the event.
+ */
+router.post('/webhook', async (req, res) => {
+  const stravaWebhookService = require('../services/stravaWebhookService');
+
+  try {
+    const outcome = await stravaWebhookService.handleEvent(req.body);
+    res.status(200).json({ success: true, ...outcome });
+  } catch (error) {
+    if (error.status === 400) {
+      console.warn('[StravaWebhook] Event rejected:', error.message);
+      return res.status(400).json({ error: 'Invalid webhook event', message: error.message });
+    }
+
+    console.error('[StravaWebhook] Error processing event:', error);
+    res.status(500).json({ error: 'Webhook processing failed', message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
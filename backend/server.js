@@ -9,6 +9,8 @@ const cookieParser = require('cookie-parser');
 const config = require('./config');
 const sessionSecurity = require('./middleware/sessionSecurity');
 const ProgressService = require('./services/progressService');
+const SharedSessionStore = require('./services/sharedSessionStore');
+const { getSharedState, closeSharedState } = require('./services/sharedState');
 
 const app = express();
 const appConfig = config.getConfig();
@@ -100,7 +102,16 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
 // 7. Session configuration with enhanced security
+// The store is shared with tokenManager so a Strava deauthorization can purge sessions.
+// With SHARED_STATE_COMPONENTS=sessions, sessions live in the shared store so any instance can serve them.
+const sessionSharedState = getSharedState('sessions');
+const sessionStore = sessionSharedState
+  ? new SharedSessionStore({ sharedState: sessionSharedState, ttl: appConfig.session.cookie.maxAge })
+  : new session.MemoryStore();
+require('./services/tokenManager').setSessionStore(sessionStore);
+
 app.use(session({
+  store: sessionStore,
   secret: appConfig.session.secret,
   resave: appConfig.session.resave,
   saveUninitialized: appConfig.session.saveUninitialized,
@@ -112,8 +123,12 @@ app.use(session({
 // 8. Session security middleware
 app.use(sessionSecurity.getAllMiddleware());
 
-// Static files
-app.use('/generated-maps', express.static(appConfig.storage.generatedMapsDir));
+// Generated files
+// Quarantined maps belong to cancelled/refunded orders and must never be served;
+// everything else is only served through signed, expiring links (routes/files.js)
+app.use('/generated-maps/quarantine', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
 
 // Additional CORS middleware for API routes and auth routes accessed from Shopify
 app.use(['/api', '/auth'], (req, res, next) => {
@@ -178,12 +193,18 @@ const authRoutes = require('./routes/auth');
 const stravaRoutes = require('./routes/strava');
 const mapRoutes = require('./routes/maps');
 const shopifyIntegrationRoutes = require('./routes/shopifyIntegration');
+const draftRoutes = require('./routes/drafts');
+const shareRoutes = require('./routes/share');
+const fileRoutes = require('./routes/files');
 
 // Mount routes
 app.use('/auth', authRoutes);
 app.use('/api/strava', stravaRoutes);
 app.use('/api/maps', mapRoutes);
 app.use('/api/shopify-integration', shopifyIntegrationRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/share', shareRoutes);
+app.use('/generated-maps', fileRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -196,7 +217,10 @@ app.get('/', (req, res) => {
       config: '/config',
       auth: '/auth',
       strava: '/api/strava',
-      maps: '/api/maps'
+      maps: '/api/maps',
+      drafts: '/api/drafts',
+      share: '/share/:id',
+      files: '/generated-maps/:directory/:filename?token='
     }
   });
 });
@@ -412,7 +436,10 @@ app.get('/api/integration-health', (req, res) => {
       strava_routes: [
         '/api/strava/athlete',
         '/api/strava/activities',
-        '/api/strava/activities/search'
+        '/api/strava/activities/search',
+        '/api/strava/activities/index',
+        '/api/strava/settings/privacy-zones',
+        '/api/strava/webhook'
       ],
       server_routes: [
         '/health',
@@ -540,7 +567,29 @@ const server = app.listen(appConfig.port, async () => {
   } catch (error) {
     console.error('Failed to initialize file monitoring service:', error);
   }
-  
+
+  // Initialize background job queue (recovers jobs orphaned by a previous crash)
+  try {
+    const backgroundJobManager = require('./services/backgroundJobManager');
+    await backgroundJobManager.ready;
+    console.log('Background job manager initialized successfully:', backgroundJobManager.getStats());
+  } catch (error) {
+    console.error('Failed to initialize background job manager:', error);
+  }
+
+  // Send finished order maps to the print lab and track them until they ship
+  try {
+    const printLabService = require('./services/printLabService');
+    await printLabService.initialize();
+  } catch (error) {
+    console.error('Failed to initialize print lab integration:', error);
+  }
+
+  // Report render pool metrics (browsers, queued/active renders, reserved memory) to the performance monitor
+  const performanceMonitor = require('./services/performanceMonitor');
+  const mapService = require('./services/mapService');
+  performanceMonitor.registerMetricsSource('renderPool', () => mapService.renderPool.getMetrics());
+
   // Create storage directory if it doesn't exist (fallback)
   const fs = require('fs');
   if (!fs.existsSync(appConfig.storage.generatedMapsDir)) {
@@ -588,6 +637,22 @@ const gracefulShutdown = async (signal) => {
       console.error('Error shutting down file monitoring service:', error);
     }
     
+    try {
+      const printLabService = require('./services/printLabService');
+      await printLabService.shutdown();
+      console.log('Print lab integration shut down successfully');
+    } catch (error) {
+      console.error('Error shutting down print lab integration:', error);
+    }
+
+    try {
+      const backgroundJobManager = require('./services/backgroundJobManager');
+      await backgroundJobManager.shutdown();
+      console.log('Background job manager shut down successfully');
+    } catch (error) {
+      console.error('Error shutting down background job manager:', error);
+    }
+    
     try {
       const mapService = require('./services/mapService');
       await mapService.cleanup();
@@ -596,6 +661,13 @@ const gracefulShutdown = async (signal) => {
       console.error('Error cleaning up map service:', error);
     }
     
+    try {
+      await closeSharedState();
+      console.log('Shared state connections closed');
+    } catch (error) {
+      console.error('Error closing shared state connections:', error);
+    }
+    
     console.log('Graceful shutdown completed');
     process.exit(0);
   });
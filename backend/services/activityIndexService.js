@@ -0,0 +1,408 @@
+/**
+ * Activity Index Service
+ *
+ * Keeps a local, per-athlete index of Strava activity summaries so search,
+ * filtering and sorting run against the athlete's whole history instead of
+ * the single Strava page a request happens to fetch.
+ *
+ * The index is filled incrementally through the paginated activities API:
+ * - backfill walks back through history with `before=<oldest indexed start>`
+ * - refresh picks up new activities with `after=<newest indexed start>`, overlapping
+ *   the last few days so recent renames and edits are picked up too
+ * Each sync call fetches a bounded number of pages, so large histories are indexed
+ * over several searches without exhausting the Strava rate limit.
+ *
+ * Indexes are persisted as one JSON file per athlete.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const stravaService = require('./stravaService');
+const { filterActivities, sortActivities } = require('../utils/activityFilters');
+
+class ActivityIndexService {
+  /**
+   * Activities per Strava API page (the API maximum)
+   */
+  static PAGE_SIZE = 200;
+
+  /**
+   * How far back each refresh re-fetches already indexed activities
+   */
+  static REFRESH_OVERLAP = 7 * 24 * 60 * 60; // seconds
+
+  constructor(options = {}) {
+    const indexConfig = config.getConfig().activityIndex || {};
+
+    this.indexes = new Map(); // athlete ID -> index
+    this.loading = new Map(); // athlete ID -> load promise
+    this.syncs = new Map(); // athlete ID -> in-flight sync promise
+    this.persistChains = new Map(); // athlete ID -> persistence chain
+    this.directory = options.directory || indexConfig.directory ||
+      path.join(__dirname, '..', 'jobs', 'activity-index');
+    this.pagesPerSync = options.pagesPerSync || indexConfig.pagesPerSync || 5;
+    this.refreshInterval = options.refreshInterval || indexConfig.refreshInterval || 15 * 60 * 1000;
+    this.pageSize = options.pageSize || ActivityIndexService.PAGE_SIZE;
+    this.fetchPage = options.fetchPage || ((accessToken, params) => stravaService.stravaApiRequest(
+      `https://www.strava.com/api/v3/athlete/activities?${params}`,
+      accessToken
+    ));
+    this.geocode = options.geocode || (place => this.geocodePlace(place));
+  }
+
+  /**
+   * Get an athlete's index, loading it from disk on first use
+   */
+  async getIndex(athleteId) {
+    const key = String(athleteId);
+    if (this.indexes.has(key)) {
+      return this.indexes.get(key);
+    }
+
+    if (!this.loading.has(key)) {
+      this.loading.set(key, this.loadIndex(key).finally(() => this.loading.delete(key)));
+    }
+    return this.loading.get(key);
+  }
+
+  /**
+   * Bring an athlete's index up to date with Strava
+   * Concurrent calls for the same athlete share one sync.
+   * @param {string|number} athleteId - Strava athlete ID
+   * @param {string} accessToken - Athlete's Strava access token
+   * @param {Object} options - { maxPages } page budget for this call
+   * @returns {Promise<Object>} - Index status
+   */
+  async sync(athleteId, accessToken, options = {}) {
+    const key = String(athleteId);
+    if (!this.syncs.has(key)) {
+      const running = this.runSync(key, accessToken, options.maxPages || this.pagesPerSync)
+        .finally(() => this.syncs.delete(key));
+      this.syncs.set(key, running);
+    }
+    return this.syncs.get(key);
+  }
+
+  async runSync(athleteId, accessToken, maxPages) {
+    const index = await this.getIndex(athleteId);
+    const budget = { pages: maxPages };
+
+    // New activities first, so fresh uploads are searchable even mid-backfill
+    if (index.activities.size > 0) {
+      await this.refreshRecent(index, accessToken, budget);
+    }
+    if (!index.sync.backfillComplete) {
+      await this.backfill(index, accessToken, budget);
+    }
+
+    index.sync.lastSyncedAt = new Date().toISOString();
+    await this.persist(index);
+
+    console.log('[ActivityIndex] Synced athlete index:', {
+      athleteId,
+      activities: index.activities.size,
+      pagesFetched: maxPages - budget.pages,
+      backfillComplete: index.sync.backfillComplete
+    });
+
+    return this.getStatus(index);
+  }
+
+  /**
+   * Fetch activities started since the newest indexed one
+   */
+  async refreshRecent(index, accessToken, budget) {
+    const after = Math.max(0, this.getNewestStart(index) - ActivityIndexService.REFRESH_OVERLAP);
+    let page = 1;
+
+    while (budget.pages > 0) {
+      budget.pages--;
+      const activities = await this.fetchPage(accessToken, this.buildParams({ after, page }));
+      this.upsertActivities(index, activities);
+
+      if (activities.length < this.pageSize) {
+        return;
+      }
+      page++;
+    }
+  }
+
+  /**
+   * Walk back through history from the oldest indexed activity
+   */
+  async backfill(index, accessToken, budget) {
+    while (budget.pages > 0 && !index.sync.backfillComplete) {
+      budget.pages--;
+      const before = index.activities.size > 0 ? this.getOldestStart(index) : null;
+      const activities = await this.fetchPage(accessToken, this.buildParams({ before, page: 1 }));
+      this.upsertActivities(index, activities);
+
+      if (activities.length < this.pageSize) {
+        index.sync.backfillComplete = true;
+      }
+    }
+  }
+
+  /**
+   * Sync when the index has never been synced or is older than the refresh interval
+   */
+  async ensureFresh(athleteId, accessToken) {
+    const index = await this.getIndex(athleteId);
+    const lastSyncedAt = index.sync.lastSyncedAt ? new Date(index.sync.lastSyncedAt).getTime() : 0;
+
+    if (!index.sync.backfillComplete || Date.now() - lastSyncedAt > this.refreshInterval) {
+      return this.sync(athleteId, accessToken);
+    }
+    return this.getStatus(index);
+  }
+
+  /**
+   * Search an athlete's whole indexed history
+   * @param {string|number} athleteId - Strava athlete ID
+   * @param {Object} params - Parsed parameters from activityFilters.validateAndParseQuery
+   * @returns {Promise<Object>} - { activities, total, index }
+   */
+  async search(athleteId, params) {
+    const index = await this.getIndex(athleteId);
+    const filters = { ...params };
+
+    if (filters.place && !filters.near) {
+      const location = await this.geocode(filters.place);
+      if (!location) {
+        const error = new Error(`Place not found: ${filters.place}`);
+        error.status = 404;
+        throw error;
+      }
+      filters.near = location;
+    }
+
+    // Date bounds are applied by Strava for live pages; the index applies them itself
+    const before = filters.before ? parseInt(filters.before) * 1000 : null;
+    const after = filters.after ? parseInt(filters.after) * 1000 : null;
+    const inRange = Array.from(index.activities.values()).filter(activity => {
+      const start = new Date(activity.start_date).getTime();
+      return (!before || start < before) && (!after || start > after);
+    });
+
+    const matches = sortActivities(filterActivities(inRange, filters), filters.sort_by, filters.sort_order);
+    const offset = (filters.page - 1) * filters.per_page;
+
+    return {
+      activities: matches.slice(offset, offset + filters.per_page),
+      total: matches.length,
+      indexed: index.activities.size,
+      location: filters.near,
+      index: this.getStatus(index)
+    };
+  }
+
+  /**
+   * Apply a pushed activity change (Strava webhook) to an athlete's index
+   * Webhooks carry no token, so the change is applied as far as the event allows
+   * and the index is marked stale for the next sync to fetch the full summary.
+   * @param {string|number} athleteId - Strava athlete ID
+   * @param {string} aspectType - 'create', 'update' or 'delete'
+   * @param {string|number} activityId - Activity ID
+   * @param {Object} updates - Changed fields from the event, e.g. { title, type }
+   * @returns {Promise<boolean>} True when an index exists for the athlete
+   */
+  async applyActivityEvent(athleteId, aspectType, activityId, updates = {}) {
+    const index = await this.getIndex(athleteId);
+    if (index.activities.size === 0 && !index.sync.lastSyncedAt) {
+      return false;
+    }
+
+    const record = index.activities.get(String(activityId));
+    if (aspectType === 'delete') {
+      index.activities.delete(String(activityId));
+    } else if (record) {
+      if (updates.title !== undefined) record.name = updates.title;
+      if (updates.type !== undefined) record.type = updates.type;
+    }
+
+    if (aspectType !== 'delete') {
+      index.sync.lastSyncedAt = null;
+    }
+    await this.persist(index);
+    return true;
+  }
+
+  /**
+   * Drop an athlete's index from memory and disk (e.g. after deauthorization)
+   */
+  async deleteIndex(athleteId) {
+    const key = String(athleteId);
+    await (this.persistChains.get(key) || Promise.resolve());
+    this.indexes.delete(key);
+    this.persistChains.delete(key);
+
+    try {
+      await fs.unlink(this.getIndexFile(key));
+      console.log('[ActivityIndex] Deleted athlete index:', { athleteId: key });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Add or replace activity summaries in an index
+   */
+  upsertActivities(index, activities) {
+    if (!Array.isArray(activities)) {
+      return;
+    }
+
+    for (const record of stravaService.formatActivitiesForMap(activities)) {
+      index.activities.set(String(record.id), this.toRecord(record));
+    }
+  }
+
+  /**
+   * Build the stored record for an activity, with route bounds for fast geographic rejection
+   */
+  toRecord(activity) {
+    let bounds = null;
+    if (activity.map?.summary_polyline) {
+      try {
+        const polyline = require('@mapbox/polyline');
+        bounds = stravaService.calculateBounds(polyline.decode(activity.map.summary_polyline));
+      } catch (error) {
+        bounds = null;
+      }
+    }
+    return { ...activity, bounds };
+  }
+
+  buildParams({ before = null, after = null, page = 1 }) {
+    const params = new URLSearchParams({ page: String(page), per_page: String(this.pageSize) });
+    if (before) params.append('before', String(before));
+    if (after) params.append('after', String(after));
+    return params;
+  }
+
+  getNewestStart(index) {
+    return this.getStartTimes(index).reduce((newest, start) => Math.max(newest, start), 0);
+  }
+
+  getOldestStart(index) {
+    return this.getStartTimes(index).reduce((oldest, start) => Math.min(oldest, start), Infinity);
+  }
+
+  getStartTimes(index) {
+    return Array.from(index.activities.values())
+      .map(activity => Math.floor(new Date(activity.start_date).getTime() / 1000))
+      .filter(start => Number.isFinite(start));
+  }
+
+  /**
+   * Resolve a place name to [lat, lng] with the Mapbox Geocoding API
+   */
+  async geocodePlace(place) {
+    const accessToken = config.getConfig().mapbox?.accessToken;
+    if (!accessToken) {
+      const error = new Error('Place search is unavailable: no Mapbox access token configured');
+      error.status = 503;
+      throw error;
+    }
+
+    const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(place)}.json?access_token=${accessToken}&limit=1`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      const error = new Error(`Geocoding request failed: ${response.status}`);
+      error.status = 502;
+      throw error;
+    }
+
+    const data = await response.json();
+    const center = data.features?.[0]?.center;
+    return center ? [center[1], center[0]] : null;
+  }
+
+  /**
+   * Get index status for API responses
+   */
+  getStatus(index) {
+    return {
+      athlete_id: index.athleteId,
+      activity_count: index.activities.size,
+      backfill_complete: index.sync.backfillComplete,
+      last_synced_at: index.sync.lastSyncedAt
+    };
+  }
+
+  getIndexFile(athleteId) {
+    return path.join(this.directory, `athlete-${String(athleteId).replace(/[^\w-]/g, '')}.json`);
+  }
+
+  /**
+   * Load an athlete's index from disk, or start an empty one
+   */
+  async loadIndex(athleteId) {
+    const index = {
+      athleteId,
+      activities: new Map(),
+      sync: { backfillComplete: false, lastSyncedAt: null }
+    };
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.getIndexFile(athleteId), 'utf8'));
+      for (const activity of data.activities || []) {
+        index.activities.set(String(activity.id), activity);
+      }
+      index.sync = { ...index.sync, ...data.sync };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[ActivityIndex] Failed to load athlete index:', { athleteId, error: error.message });
+      }
+    }
+
+    this.indexes.set(athleteId, index);
+    return index;
+  }
+
+  /**
+   * Persist an athlete's index atomically (temp file + rename)
+   */
+  persist(index) {
+    const previous = this.persistChains.get(index.athleteId) || Promise.resolve();
+    const next = previous
+      .then(async () => {
+        const file = this.getIndexFile(index.athleteId);
+        const data = {
+          athleteId: index.athleteId,
+          sync: index.sync,
+          activities: Array.from(index.activities.values())
+        };
+        await fs.mkdir(this.directory, { recursive: true });
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(data));
+        await fs.rename(tempFile, file);
+      })
+      .catch(error => {
+        console.error('[ActivityIndex] Index persistence failed:', error);
+      });
+
+    this.persistChains.set(index.athleteId, next);
+    return next;
+  }
+
+  /**
+   * Get index statistics
+   */
+  getStats() {
+    const indexes = Array.from(this.indexes.values());
+    return {
+      athletes: indexes.length,
+      activities: indexes.reduce((total, index) => total + index.activities.size, 0),
+      backfilling: indexes.filter(index => !index.sync.backfillComplete).length,
+      syncing: this.syncs.size
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ActivityIndexService();
+module.exports.ActivityIndexService = ActivityIndexService;
@@ -1,40 +1,100 @@
 /**
  * Background Job Manager
- * 
+ *
  * Manages asynchronous high-resolution map generation jobs.
  * Provides job queuing, status tracking, and completion handling
  * for non-blocking user experience during map purchases.
+ *
+ * DURABILITY:
+ * - Every state change is written atomically to disk (temp file + rename)
+ * - Jobs being processed hold a lease that is renewed by a heartbeat
+ * - Jobs left in `processing` with an expired lease (e.g. after a crash)
+ *   are re-queued on startup and by a periodic lease sweep
+ * - Order jobs are idempotent on Shopify order ID + line item ID
+ * - Jobs that exhaust their retries move to `dead_letter` for manual action
+ * - Jobs for cancelled/refunded orders move to `cancelled` and their files to quarantine
  */
 
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const EventEmitter = require('events');
+const config = require('../config');
 
 class BackgroundJobManager extends EventEmitter {
-  constructor() {
+  /**
+   * Job statuses
+   * pending -> processing -> completed
+   *                       -> pending (retry) -> ... -> dead_letter
+   * any unfinished or completed state -> cancelled (order cancelled or refunded)
+   */
+  static STATUSES = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed', // Legacy terminal state, kept for previously persisted jobs
+    DEAD_LETTER: 'dead_letter',
+    CANCELLED: 'cancelled'
+  };
+
+  /**
+   * Build the idempotency key for a Shopify order line item
+   */
+  static buildIdempotencyKey(orderId, lineItemId) {
+    if (!orderId || !lineItemId) {
+      return null;
+    }
+    return `order_${orderId}_line_${lineItemId}`;
+  }
+
+  constructor(options = {}) {
     super();
-    this.jobs = new Map(); // In-memory job storage
+    const queueConfig = config.getConfig().jobQueue || {};
+    const renderPoolConfig = config.getConfig().renderPool || {};
+
+    this.jobs = new Map(); // In-memory view of the persisted queue
     this.isProcessing = false;
     this.processingQueue = [];
-    this.maxConcurrentJobs = 1; // Process one at a time to manage resources
-    this.jobTimeout = 300000; // 5 minutes timeout per job
-    this.persistenceFile = path.join(__dirname, '..', 'jobs', 'generation-queue.json');
-    
-    // Ensure jobs directory exists
-    this.initializeStorage();
-    
-    console.log('[BackgroundJobManager] Service initialized');
+    // Run as many jobs as the browser pool has pages; further renders would only wait in its queue
+    this.maxConcurrentJobs = options.maxConcurrentJobs || queueConfig.maxConcurrentJobs ||
+      (renderPoolConfig.maxBrowsers || 1) * (renderPoolConfig.pagesPerBrowser || 1);
+    this.jobTimeout = options.jobTimeout || queueConfig.jobTimeout || 300000; // 5 minutes timeout per job
+    this.maxRetries = options.maxRetries ?? queueConfig.maxRetries ?? 2;
+    this.retryBackoff = options.retryBackoff ?? queueConfig.retryBackoff ?? 30000;
+    this.leaseDuration = options.leaseDuration || queueConfig.leaseDuration || 60000;
+    this.heartbeatInterval = options.heartbeatInterval || queueConfig.heartbeatInterval || 15000;
+    this.persistenceFile = options.persistenceFile || queueConfig.persistenceFile ||
+      path.join(__dirname, '..', 'jobs', 'generation-queue.json');
+
+    // Unique per process so leases from a previous (crashed) process are never mistaken as ours
+    this.workerId = `${os.hostname()}:${process.pid}:${Date.now().toString(36)}`;
+    this.heartbeats = new Map();
+    this.leaseSweepTimer = null;
+    this.persistChain = Promise.resolve();
+    this.isShuttingDown = false;
+
+    // Ensure jobs directory exists and recover any orphaned jobs
+    this.ready = this.initializeStorage();
+
+    console.log('[BackgroundJobManager] Service initialized:', { workerId: this.workerId });
   }
 
   async initializeStorage() {
     try {
-      const jobsDir = path.join(__dirname, '..', 'jobs');
-      await fs.mkdir(jobsDir, { recursive: true });
-      
+      await fs.mkdir(path.dirname(this.persistenceFile), { recursive: true });
+
       // Load persisted jobs if they exist
       await this.loadPersistedJobs();
-      
+
+      // Re-queue anything a previous process left behind
+      await this.recoverOrphanedJobs();
+
+      this.startLeaseSweep();
+
       console.log('[BackgroundJobManager] Storage initialized');
+
+      // Resume processing pending jobs
+      this.processQueue();
     } catch (error) {
       console.error('[BackgroundJobManager] Storage initialization failed:', error);
     }
@@ -42,16 +102,45 @@ class BackgroundJobManager extends EventEmitter {
 
   /**
    * Create a new map generation job
+   * Supported types:
+   * - 'preview_config': renders a stored preview configuration (mapConfig)
+   * - 'order': generates the poster for a Shopify order line item (orderData + lineItem)
+   * Returns the existing job when one already exists for the same idempotency key
    */
   async createJob(jobData) {
+    await this.ready;
+
+    const idempotencyKey = jobData.idempotencyKey ||
+      BackgroundJobManager.buildIdempotencyKey(jobData.orderId, jobData.lineItemId);
+
+    // Check and insert without awaiting in between so concurrent deliveries can't both enqueue
+    if (idempotencyKey) {
+      const existingJob = this.getJobByIdempotencyKey(idempotencyKey);
+      if (existingJob) {
+        console.log('[BackgroundJobManager] Duplicate job request ignored:', {
+          idempotencyKey,
+          existingJobId: existingJob.id,
+          status: existingJob.status
+        });
+        return existingJob;
+      }
+    }
+
     const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
+
     const job = {
       id: jobId,
+      type: jobData.type || 'preview_config',
+      idempotencyKey: idempotencyKey,
       purchaseId: jobData.purchaseId,
       previewId: jobData.previewId,
-      status: 'pending',
+      orderId: jobData.orderId || null,
+      lineItemId: jobData.lineItemId || null,
+      status: BackgroundJobManager.STATUSES.PENDING,
       mapConfig: jobData.mapConfig,
+      orderData: jobData.orderData || null,
+      lineItem: jobData.lineItem || null,
+      webhookTopic: jobData.webhookTopic || null,
       printSize: jobData.printSize || 'A4',
       orientation: jobData.orientation || 'portrait',
       filePath: null,
@@ -60,22 +149,28 @@ class BackgroundJobManager extends EventEmitter {
       startedAt: null,
       completedAt: null,
       error: null,
+      errorHistory: [],
       retryCount: 0,
-      maxRetries: 2
+      maxRetries: jobData.maxRetries ?? this.maxRetries,
+      nextAttemptAt: null,
+      lease: null,
+      deadLetteredAt: null
     };
 
     this.jobs.set(jobId, job);
     await this.persistJobs();
-    
+
     console.log('[BackgroundJobManager] Created job:', {
       jobId,
+      type: job.type,
       purchaseId: job.purchaseId,
+      idempotencyKey: job.idempotencyKey,
       status: job.status
     });
 
     // Start processing if not already running
     this.processQueue();
-    
+
     return job;
   }
 
@@ -98,6 +193,25 @@ class BackgroundJobManager extends EventEmitter {
     return null;
   }
 
+  /**
+   * Get job by idempotency key
+   */
+  getJobByIdempotencyKey(idempotencyKey) {
+    for (const job of this.jobs.values()) {
+      if (job.idempotencyKey === idempotencyKey) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get all jobs for a Shopify order
+   */
+  getJobsByOrderId(orderId) {
+    return Array.from(this.jobs.values()).filter(job => String(job.orderId) === String(orderId));
+  }
+
   /**
    * Update job status
    */
@@ -115,6 +229,10 @@ class BackgroundJobManager extends EventEmitter {
       job.startedAt = new Date().toISOString();
     } else if (status === 'completed' || status === 'failed') {
       job.completedAt = new Date().toISOString();
+    } else if (status === 'dead_letter') {
+      job.deadLetteredAt = new Date().toISOString();
+    } else if (status === 'cancelled') {
+      job.cancelledAt = new Date().toISOString();
     }
 
     this.jobs.set(jobId, job);
@@ -136,15 +254,18 @@ class BackgroundJobManager extends EventEmitter {
    * Process the job queue
    */
   async processQueue() {
-    if (this.isProcessing) {
+    if (this.isProcessing || this.isShuttingDown) {
       return; // Already processing
     }
 
     this.isProcessing = true;
 
     try {
+      const now = Date.now();
       const pendingJobs = Array.from(this.jobs.values())
         .filter(job => job.status === 'pending')
+        .filter(job => !job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now)
+        .filter(job => !this.processingQueue.includes(job.id))
         .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
 
       for (const job of pendingJobs) {
@@ -168,58 +289,80 @@ class BackgroundJobManager extends EventEmitter {
   async processJob(jobId) {
     const job = this.jobs.get(jobId);
     if (!job || job.status !== 'pending') {
+      const index = this.processingQueue.indexOf(jobId);
+      if (index > -1) {
+        this.processingQueue.splice(index, 1);
+      }
       return;
     }
 
+    let timeoutHandle = null;
+    let execution = null;
+    // Aborted when the job times out, so the render stops and frees its browser page
+    const abortController = new AbortController();
+
     try {
-      await this.updateJobStatus(jobId, 'processing');
+      await this.updateJobStatus(jobId, 'processing', {
+        lease: this.createLease(),
+        nextAttemptAt: null
+      });
+      this.startHeartbeat(jobId);
 
       console.log('[BackgroundJobManager] Starting job processing:', {
         jobId,
+        type: job.type,
         purchaseId: job.purchaseId,
-        printSize: job.printSize
-      });
-
-      // Generate filename
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-      const fileName = `map_${job.purchaseId}_${timestamp}_${job.printSize}-${job.orientation}.png`;
-      const filePath = path.join(__dirname, '..', 'generated-maps', 'completed', fileName);
-
-      // Ensure completed directory exists
-      await fs.mkdir(path.dirname(filePath), { recursive: true });
-
-      // Import mapService and generate high-res map
-      const mapService = require('./mapService');
-      
-      // Set timeout for map generation
-      const generationPromise = mapService.generateHighResFromPreviewConfig({
-        ...job.mapConfig,
-        dpi: 300, // Ensure high-res
-        fileName: fileName
+        orderId: job.orderId,
+        printSize: job.printSize,
+        attempt: job.retryCount + 1
       });
 
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Job timeout exceeded')), this.jobTimeout);
+        timeoutHandle = setTimeout(() => {
+          const error = new Error('Job timeout exceeded');
+          abortController.abort(error);
+          reject(error);
+        }, this.jobTimeout);
       });
 
-      const resultPath = await Promise.race([generationPromise, timeoutPromise]);
+      execution = this.executeJob(job, { signal: abortController.signal });
+      const result = await Promise.race([execution, timeoutPromise]);
+
+      // The lease may have been lost (e.g. job cancelled or reclaimed) while we were rendering
+      if (!this.holdsLease(jobId)) {
+        console.warn('[BackgroundJobManager] Lease lost before completion, discarding result:', {
+          jobId,
+          status: this.jobs.get(jobId)?.status
+        });
+
+        // A poster rendered for a cancelled order must not stay printable
+        const current = this.jobs.get(jobId);
+        if (current?.status === 'cancelled' && result?.filePath) {
+          await this.quarantineJobFile(current, result.filePath);
+          await this.quarantineJobDocuments(current, result.metadata?.documents);
+        }
+        return;
+      }
 
       // Verify file was created
-      const fileExists = await fs.access(resultPath).then(() => true).catch(() => false);
+      const fileExists = await fs.access(result.filePath).then(() => true).catch(() => false);
       if (!fileExists) {
-        throw new Error(`Generated file not found: ${resultPath}`);
+        throw new Error(`Generated file not found: ${result.filePath}`);
       }
 
       // Update job with success
       await this.updateJobStatus(jobId, 'completed', {
-        filePath: resultPath,
-        fileName: fileName
+        filePath: result.filePath,
+        fileName: result.fileName,
+        result: result.metadata || null,
+        lease: null,
+        error: null
       });
 
       console.log('[BackgroundJobManager] Job completed successfully:', {
         jobId,
-        fileName,
-        filePath: resultPath
+        fileName: result.fileName,
+        filePath: result.filePath
       });
 
     } catch (error) {
@@ -229,23 +372,22 @@ class BackgroundJobManager extends EventEmitter {
         retryCount: job.retryCount
       });
 
-      // Check if we should retry
-      if (job.retryCount < job.maxRetries) {
-        await this.updateJobStatus(jobId, 'pending', {
-          retryCount: job.retryCount + 1,
-          error: error.message
-        });
-        
-        console.log('[BackgroundJobManager] Job queued for retry:', {
-          jobId,
-          retryCount: job.retryCount + 1
-        });
-      } else {
-        await this.updateJobStatus(jobId, 'failed', {
-          error: error.message
-        });
+      // Wait for the aborted render to wind down before a retry can start a second one
+      if (abortController.signal.aborted && execution) {
+        await execution.catch(() => {});
+      }
+
+      if (this.holdsLease(jobId)) {
+        if (error.code === 'ORDER_CANCELLED') {
+          await this.cancelJob(jobId, error.message);
+        } else {
+          await this.handleJobFailure(jobId, error);
+        }
       }
     } finally {
+      clearTimeout(timeoutHandle);
+      this.stopHeartbeat(jobId);
+
       // Remove from processing queue
       const index = this.processingQueue.indexOf(jobId);
       if (index > -1) {
@@ -253,10 +395,419 @@ class BackgroundJobManager extends EventEmitter {
       }
 
       // Continue processing other jobs
-      setTimeout(() => this.processQueue(), 1000);
+      if (!this.isShuttingDown) {
+        setTimeout(() => this.processQueue(), 1000).unref();
+      }
     }
   }
 
+  /**
+   * Run the generation work for a job and return { filePath, fileName, metadata }
+   * @param {Object} options - { signal } aborted when the job times out
+   */
+  async executeJob(job, { signal } = {}) {
+    if (job.type === 'order') {
+      const orderMapService = require('./orderMapService');
+      const result = await orderMapService.generateMapFromOrder(job.orderData, job.lineItem, job.webhookTopic, { signal });
+
+      if (!result || !result.mapPath) {
+        throw new Error('OrderMapService did not return a map path');
+      }
+
+      return {
+        filePath: result.mapPath,
+        fileName: path.basename(result.mapPath),
+        metadata: {
+          configSource: result.configSource,
+          configId: result.configId,
+          documents: result.documents || null
+        }
+      };
+    }
+
+    // Generate filename
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const fileName = `map_${job.purchaseId}_${timestamp}_${job.printSize}-${job.orientation}.png`;
+    const filePath = path.join(__dirname, '..', 'generated-maps', 'completed', fileName);
+
+    // Ensure completed directory exists
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Import mapService and generate high-res map
+    const mapService = require('./mapService');
+    const resultPath = await mapService.generateHighResFromPreviewConfig({
+      ...job.mapConfig,
+      dpi: 300, // Ensure high-res
+      fileName: fileName
+    }, { signal });
+
+    return { filePath: resultPath, fileName: fileName };
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job once retries are exhausted
+   */
+  async handleJobFailure(jobId, error) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const errorHistory = [...(job.errorHistory || []), {
+      attempt: job.retryCount + 1,
+      error: error.message,
+      at: new Date().toISOString()
+    }];
+
+    // Check if we should retry
+    if (job.retryCount < job.maxRetries) {
+      const delay = this.retryBackoff * Math.pow(2, job.retryCount);
+
+      await this.updateJobStatus(jobId, 'pending', {
+        retryCount: job.retryCount + 1,
+        error: error.message,
+        errorHistory,
+        lease: null,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+      });
+
+      console.log('[BackgroundJobManager] Job queued for retry:', {
+        jobId,
+        retryCount: job.retryCount,
+        retryInMs: delay
+      });
+
+      // Make sure the retry is picked up even if nothing else wakes the queue
+      setTimeout(() => this.processQueue(), delay + 100).unref();
+      return job;
+    }
+
+    return this.moveToDeadLetter(jobId, error.message, { errorHistory });
+  }
+
+  /**
+   * Move a job to the dead-letter state for manual intervention
+   */
+  async moveToDeadLetter(jobId, reason, additionalData = {}) {
+    const job = await this.updateJobStatus(jobId, 'dead_letter', {
+      error: reason,
+      lease: null,
+      nextAttemptAt: null,
+      ...additionalData
+    });
+
+    if (job) {
+      console.error('[BackgroundJobManager] Job moved to dead letter - manual intervention required:', {
+        jobId,
+        type: job.type,
+        orderId: job.orderId,
+        lineItemId: job.lineItemId,
+        purchaseId: job.purchaseId,
+        reason
+      });
+      this.emit('jobDeadLettered', job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Return a dead-lettered (or legacy failed) job to the queue with a fresh retry budget
+   */
+  async requeueJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !['dead_letter', 'failed'].includes(job.status)) {
+      return null;
+    }
+
+    console.log('[BackgroundJobManager] Re-queueing job:', { jobId, previousStatus: job.status });
+
+    const requeued = await this.updateJobStatus(jobId, 'pending', {
+      retryCount: 0,
+      nextAttemptAt: null,
+      lease: null,
+      deadLetteredAt: null,
+      completedAt: null
+    });
+
+    this.processQueue();
+    return requeued;
+  }
+
+  /**
+   * Cancel a job and withdraw its output
+   * A job being processed loses its lease, so its result is discarded when rendering finishes.
+   * A completed job has its generated file moved to quarantine.
+   */
+  async cancelJob(jobId, reason) {
+    const job = this.jobs.get(jobId);
+    if (!job || !['pending', 'processing', 'completed', 'dead_letter', 'failed'].includes(job.status)) {
+      return null;
+    }
+
+    const previousStatus = job.status;
+    this.stopHeartbeat(jobId);
+
+    const cancelled = await this.updateJobStatus(jobId, 'cancelled', {
+      cancelReason: reason,
+      previousStatus,
+      lease: null,
+      nextAttemptAt: null
+    });
+
+    if (previousStatus === 'completed' && job.filePath) {
+      await this.quarantineJobFile(cancelled, job.filePath);
+    }
+    if (previousStatus === 'completed') {
+      await this.quarantineJobDocuments(cancelled, job.result?.documents);
+    }
+
+    console.log('[BackgroundJobManager] Job cancelled:', {
+      jobId,
+      orderId: job.orderId,
+      previousStatus,
+      reason
+    });
+    this.emit('jobCancelled', cancelled);
+
+    return cancelled;
+  }
+
+  /**
+   * Cancel all jobs for a Shopify order
+   */
+  async cancelJobsForOrder(orderId, reason) {
+    const cancelled = [];
+    for (const job of this.getJobsByOrderId(orderId)) {
+      const result = await this.cancelJob(job.id, reason);
+      if (result) {
+        cancelled.push(result);
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * Remove every job record for a Shopify order, e.g. when the customer's data is erased
+   * Unfinished jobs are cancelled first so nothing is rendered for the order afterwards.
+   * Generated files are left to the caller, which gets the removed jobs back.
+   */
+  async removeJobsForOrder(orderId, reason) {
+    const removed = [];
+    for (const job of this.getJobsByOrderId(orderId)) {
+      if (['pending', 'processing'].includes(job.status)) {
+        await this.cancelJob(job.id, reason);
+      }
+      this.jobs.delete(job.id);
+      removed.push(job);
+    }
+
+    if (removed.length > 0) {
+      await this.persistJobs();
+      console.log('[BackgroundJobManager] Removed jobs for order:', { orderId, count: removed.length, reason });
+    }
+    return removed;
+  }
+
+  /**
+   * Move a job's generated file to quarantine and record where it went
+   * Failures are logged rather than thrown - the cancellation itself has already been recorded
+   */
+  async quarantineJobFile(job, filePath) {
+    try {
+      const fileStorageService = require('./fileStorageService');
+      await this.revokeFileLinks(filePath);
+      const quarantined = await fileStorageService.quarantineFile(filePath, {
+        reason: job.cancelReason,
+        orderId: job.orderId,
+        lineItemId: job.lineItemId,
+        jobId: job.id
+      });
+
+      job.filePath = null;
+      job.quarantinedPath = quarantined.newPath;
+      await this.persistJobs();
+
+      return quarantined;
+    } catch (error) {
+      console.error('[BackgroundJobManager] Failed to quarantine job file - manual action required:', {
+        jobId: job.id,
+        orderId: job.orderId,
+        filePath,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Revoke signed download links already handed out for a file (e.g. to the print lab)
+   */
+  async revokeFileLinks(filePath) {
+    const signedUrlService = require('./signedUrlService');
+    if (filePath && signedUrlService.isLinkable(filePath)) {
+      await signedUrlService.revokeFile(filePath);
+    }
+  }
+
+  /**
+   * Move a job's PDF/SVG print documents to quarantine alongside its map
+   */
+  async quarantineJobDocuments(job, documents) {
+    const entries = Object.entries(documents || {});
+    if (entries.length === 0) {
+      return;
+    }
+
+    const fileStorageService = require('./fileStorageService');
+    const quarantinedDocuments = {};
+
+    for (const [format, filePath] of entries) {
+      try {
+        await this.revokeFileLinks(filePath);
+        const quarantined = await fileStorageService.quarantineFile(filePath, {
+          reason: job.cancelReason,
+          orderId: job.orderId,
+          lineItemId: job.lineItemId,
+          jobId: job.id
+        });
+        quarantinedDocuments[format] = quarantined.newPath;
+      } catch (error) {
+        console.error('[BackgroundJobManager] Failed to quarantine print document - manual action required:', {
+          jobId: job.id,
+          orderId: job.orderId,
+          filePath,
+          error: error.message
+        });
+      }
+    }
+
+    job.quarantinedDocuments = quarantinedDocuments;
+    if (job.result) {
+      job.result.documents = null;
+    }
+    await this.persistJobs();
+  }
+
+  /**
+   * Create a lease owned by this worker
+   */
+  createLease() {
+    const now = Date.now();
+    return {
+      owner: this.workerId,
+      acquiredAt: new Date(now).toISOString(),
+      heartbeatAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.leaseDuration).toISOString()
+    };
+  }
+
+  /**
+   * Check whether this worker still holds the processing lease for a job
+   */
+  holdsLease(jobId) {
+    const job = this.jobs.get(jobId);
+    return !!job && job.status === 'processing' && job.lease?.owner === this.workerId;
+  }
+
+  /**
+   * Periodically extend the lease of a job while it is being processed
+   */
+  startHeartbeat(jobId) {
+    this.stopHeartbeat(jobId);
+
+    const timer = setInterval(() => {
+      const job = this.jobs.get(jobId);
+      if (!this.holdsLease(jobId)) {
+        this.stopHeartbeat(jobId);
+        return;
+      }
+
+      const now = Date.now();
+      job.lease.heartbeatAt = new Date(now).toISOString();
+      job.lease.expiresAt = new Date(now + this.leaseDuration).toISOString();
+      this.persistJobs();
+    }, this.heartbeatInterval);
+
+    timer.unref();
+    this.heartbeats.set(jobId, timer);
+  }
+
+  /**
+   * Stop the heartbeat for a job
+   */
+  stopHeartbeat(jobId) {
+    const timer = this.heartbeats.get(jobId);
+    if (timer) {
+      clearInterval(timer);
+      this.heartbeats.delete(jobId);
+    }
+  }
+
+  /**
+   * Re-queue jobs stuck in `processing` whose lease has expired or which have no lease
+   * Each recovery counts as an attempt so a job that crashes the worker ends up dead-lettered
+   */
+  async recoverOrphanedJobs() {
+    const now = Date.now();
+    const orphaned = Array.from(this.jobs.values()).filter(job => {
+      if (job.status !== 'processing' || this.heartbeats.has(job.id)) {
+        return false;
+      }
+      if (!job.lease || !job.lease.expiresAt) {
+        return true;
+      }
+      return new Date(job.lease.expiresAt).getTime() <= now;
+    });
+
+    for (const job of orphaned) {
+      const reason = `Recovered after worker ${job.lease?.owner || 'unknown'} stopped responding`;
+      console.warn('[BackgroundJobManager] Recovering orphaned job:', {
+        jobId: job.id,
+        orderId: job.orderId,
+        leaseOwner: job.lease?.owner,
+        leaseExpiredAt: job.lease?.expiresAt
+      });
+
+      await this.handleJobFailure(job.id, new Error(reason));
+      const recovered = this.jobs.get(job.id);
+      if (recovered && recovered.status === 'pending') {
+        // Orphans were interrupted rather than failing on their own - retry without waiting
+        recovered.nextAttemptAt = null;
+        recovered.recoveredAt = new Date().toISOString();
+      }
+    }
+
+    if (orphaned.length > 0) {
+      await this.persistJobs();
+      console.log('[BackgroundJobManager] Recovered orphaned jobs:', orphaned.length);
+    }
+
+    return orphaned.length;
+  }
+
+  /**
+   * Periodically reclaim jobs whose lease holder has gone away
+   */
+  startLeaseSweep() {
+    if (this.leaseSweepTimer) {
+      return;
+    }
+
+    this.leaseSweepTimer = setInterval(async () => {
+      try {
+        const recovered = await this.recoverOrphanedJobs();
+        if (recovered > 0 || this.processingQueue.length === 0) {
+          this.processQueue();
+        }
+      } catch (error) {
+        console.error('[BackgroundJobManager] Lease sweep failed:', error);
+      }
+    }, this.heartbeatInterval);
+
+    this.leaseSweepTimer.unref();
+  }
+
   /**
    * Get all jobs with optional status filter
    */
@@ -269,7 +820,15 @@ class BackgroundJobManager extends EventEmitter {
   }
 
   /**
-   * Clean up old completed jobs
+   * Get jobs awaiting manual intervention
+   */
+  getDeadLetterJobs() {
+    return this.getJobs('dead_letter');
+  }
+
+  /**
+   * Clean up old completed and cancelled jobs
+   * Dead-lettered jobs are kept until they are handled manually
    */
   async cleanup(olderThanDays = 30) {
     const cutoffDate = new Date();
@@ -277,14 +836,17 @@ class BackgroundJobManager extends EventEmitter {
 
     const jobsToRemove = [];
     for (const [jobId, job] of this.jobs) {
-      if (job.status === 'completed' && new Date(job.completedAt) < cutoffDate) {
+      if (job.status === 'cancelled' && new Date(job.cancelledAt) < cutoffDate) {
         jobsToRemove.push(jobId);
-        
-        // Clean up file if it exists
-        if (job.filePath) {
+      } else if (job.status === 'completed' && new Date(job.completedAt) < cutoffDate) {
+        jobsToRemove.push(jobId);
+
+        // Clean up the map and any print documents if they exist
+        const files = [job.filePath, ...Object.values(job.result?.documents || {})].filter(Boolean);
+        for (const filePath of files) {
           try {
-            await fs.unlink(job.filePath);
-            console.log('[BackgroundJobManager] Cleaned up file:', job.filePath);
+            await fs.unlink(filePath);
+            console.log('[BackgroundJobManager] Cleaned up file:', filePath);
           } catch (error) {
             console.warn('[BackgroundJobManager] File cleanup failed:', error.message);
           }
@@ -304,14 +866,22 @@ class BackgroundJobManager extends EventEmitter {
 
   /**
    * Persist jobs to disk
+   * Writes are serialized and atomic (temp file + rename) so a crash mid-write
+   * never leaves a truncated queue file behind
    */
-  async persistJobs() {
-    try {
-      const jobsArray = Array.from(this.jobs.values());
-      await fs.writeFile(this.persistenceFile, JSON.stringify(jobsArray, null, 2));
-    } catch (error) {
-      console.error('[BackgroundJobManager] Job persistence failed:', error);
-    }
+  persistJobs() {
+    this.persistChain = this.persistChain
+      .then(async () => {
+        const jobsArray = Array.from(this.jobs.values());
+        const tempFile = `${this.persistenceFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(jobsArray, null, 2));
+        await fs.rename(tempFile, this.persistenceFile);
+      })
+      .catch(error => {
+        console.error('[BackgroundJobManager] Job persistence failed:', error);
+      });
+
+    return this.persistChain;
   }
 
   /**
@@ -321,20 +891,53 @@ class BackgroundJobManager extends EventEmitter {
     try {
       const data = await fs.readFile(this.persistenceFile, 'utf8');
       const jobsArray = JSON.parse(data);
-      
+
       for (const job of jobsArray) {
         this.jobs.set(job.id, job);
       }
-      
+
       console.log('[BackgroundJobManager] Loaded persisted jobs:', jobsArray.length);
-      
-      // Resume processing pending jobs
-      this.processQueue();
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        console.error('[BackgroundJobManager] Failed to load persisted jobs:', error);
+      if (error.code === 'ENOENT') {
+        return;
       }
+
+      console.error('[BackgroundJobManager] Failed to load persisted jobs:', error);
+
+      // Keep the unreadable file for inspection instead of overwriting it with an empty queue
+      if (error instanceof SyntaxError) {
+        const backupFile = `${this.persistenceFile}.corrupt-${Date.now()}`;
+        await fs.rename(this.persistenceFile, backupFile).catch(() => {});
+        console.error('[BackgroundJobManager] Corrupt queue file moved to:', backupFile);
+      }
+    }
+  }
+
+  /**
+   * Stop timers and release leases held by this worker so another process can pick the jobs up immediately
+   */
+  async shutdown() {
+    this.isShuttingDown = true;
+
+    if (this.leaseSweepTimer) {
+      clearInterval(this.leaseSweepTimer);
+      this.leaseSweepTimer = null;
     }
+
+    for (const jobId of Array.from(this.heartbeats.keys())) {
+      this.stopHeartbeat(jobId);
+    }
+
+    for (const job of this.jobs.values()) {
+      if (this.holdsLease(job.id)) {
+        job.status = 'pending';
+        job.lease = null;
+        job.nextAttemptAt = null;
+        console.log('[BackgroundJobManager] Released lease on shutdown:', job.id);
+      }
+    }
+
+    await this.persistJobs();
   }
 
   /**
@@ -348,11 +951,15 @@ class BackgroundJobManager extends EventEmitter {
       processing: jobs.filter(j => j.status === 'processing').length,
       completed: jobs.filter(j => j.status === 'completed').length,
       failed: jobs.filter(j => j.status === 'failed').length,
+      deadLetter: jobs.filter(j => j.status === 'dead_letter').length,
+      cancelled: jobs.filter(j => j.status === 'cancelled').length,
       isProcessing: this.isProcessing,
-      processingQueue: this.processingQueue.length
+      processingQueue: this.processingQueue.length,
+      workerId: this.workerId
     };
   }
 }
 
 // Export singleton instance
-module.exports = new BackgroundJobManager();
\ No newline at end of file
+module.exports = new BackgroundJobManager();
+module.exports.BackgroundJobManager = BackgroundJobManager;
@@ -0,0 +1,506 @@
+/**
+ * Browser Pool
+ * Bounded pool of Puppeteer browsers for concurrent map rendering. Each render gets its
+ * own incognito browser context and page, which are closed afterwards so renders never
+ * share cookies, storage or GPU memory.
+ *
+ * - Concurrency: at most maxBrowsers browsers with pagesPerBrowser renders each
+ * - Memory-aware admission: a render is admitted only while the estimated memory of the
+ *   running renders (ResolutionManager.calculateMemoryRequirements) fits memoryBudgetMB.
+ *   Renders are admitted in arrival order so large renders aren't starved; a render
+ *   larger than the whole budget runs on its own.
+ * - Per-render timeouts: a render that overruns is failed with RENDER_TIMEOUT and its
+ *   context closed, and the browser is health checked before it is used again
+ * - Cancellation: a render given an AbortSignal is failed with RENDER_ABORTED when the
+ *   signal fires, whether it is queued or running; run() settles once its context is closed
+ * - Health checks: browsers that failed a render and idle browsers are checked with the
+ *   verifyHealth callback; unhealthy ones are closed and replaced. launchBrowser is
+ *   expected to return a browser that has already passed its health check.
+ * - Recycling: a browser is retired after maxRendersPerBrowser renders and closed once
+ *   its last render finishes, so long-running Chrome processes don't accumulate leaks
+ *
+ * Metrics (getMetrics) are reported to performanceMonitor by mapService.
+ */
+
+const EventEmitter = require('events');
+const { getConfig } = require('../config');
+
+class BrowserPool extends EventEmitter {
+  /**
+   * @param {Object} options - Pool settings (defaults from config.renderPool) and callbacks:
+   *   launchBrowser() -> browser, verifyHealth(browser) -> boolean, closeBrowser(browser)
+   */
+  constructor(options = {}) {
+    super();
+    const poolConfig = getConfig().renderPool || {};
+
+    this.launchBrowser = options.launchBrowser;
+    this.verifyHealth = options.verifyHealth || (async () => true);
+    this.closeBrowser = options.closeBrowser || (browser => browser.close());
+
+    this.maxBrowsers = options.maxBrowsers || poolConfig.maxBrowsers || 1;
+    this.pagesPerBrowser = options.pagesPerBrowser || poolConfig.pagesPerBrowser || 2;
+    this.memoryBudgetMB = options.memoryBudgetMB || poolConfig.memoryBudgetMB || 2048;
+    this.renderTimeout = options.renderTimeout || poolConfig.renderTimeout || 180000;
+    this.maxRendersPerBrowser = options.maxRendersPerBrowser || poolConfig.maxRendersPerBrowser || 100;
+    this.maxQueueSize = options.maxQueueSize || poolConfig.maxQueueSize || 100;
+    this.queueTimeout = options.queueTimeout || poolConfig.queueTimeout || 5 * 60 * 1000;
+    this.healthCheckInterval = options.healthCheckInterval || poolConfig.healthCheckInterval || 60000;
+
+    this.browsers = []; // { id, browser, activePages, renders, healthy, checking, needsCheck, retiring, launchedAt, lastUsedAt }
+    this.launches = new Set(); // in-flight launch promises
+    this.queue = []; // { memoryMB, enqueuedAt, resolve, reject, timer, attempts }
+    this.reservedMemoryMB = 0;
+    this.activeRenders = 0;
+    this.nextBrowserId = 1;
+    this.closing = false;
+
+    this.stats = {
+      launched: 0,
+      launchFailures: 0,
+      renders: 0,
+      succeeded: 0,
+      failed: 0,
+      timedOut: 0,
+      aborted: 0,
+      rejected: 0,
+      recycled: 0,
+      unhealthy: 0,
+      totalRenderMs: 0,
+      totalQueueWaitMs: 0,
+      maxQueueWaitMs: 0,
+      peakActiveRenders: 0,
+      peakReservedMemoryMB: 0
+    };
+
+    this.healthTimer = setInterval(() => this.checkIdleBrowsers(), this.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Run a render on a pooled page
+   * @param {Function} task - async (page, lease) => result
+   * @param {Object} options - { memoryMB (estimated), timeout (ms), label (for logs), signal (AbortSignal) }
+   * @returns {Promise<*>} The task's result
+   */
+  async run(task, { memoryMB = 0, timeout = this.renderTimeout, label = 'render', signal = null } = {}) {
+    if (signal?.aborted) {
+      throw this.createAbortError(label, signal);
+    }
+
+    const enqueuedAt = Date.now();
+    const lease = await this.acquire(memoryMB, signal, label);
+    const startedAt = Date.now();
+    this.recordQueueWait(startedAt - enqueuedAt);
+
+    let timer = null;
+    let onAbort = null;
+    let outcome = 'failed';
+    try {
+      const result = await Promise.race([
+        task(lease.page, lease),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            outcome = 'timedOut';
+            const error = new Error(`Render timed out after ${timeout}ms (${label})`);
+            error.code = 'RENDER_TIMEOUT';
+            error.status = 504;
+            reject(error);
+          }, timeout);
+
+          if (signal) {
+            onAbort = () => {
+              outcome = 'aborted';
+              reject(this.createAbortError(label, signal));
+            };
+            // The signal may have fired while the page was being opened
+            if (signal.aborted) {
+              onAbort();
+            } else {
+              signal.addEventListener('abort', onAbort, { once: true });
+            }
+          }
+        })
+      ]);
+      outcome = 'succeeded';
+      return result;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      const duration = Date.now() - startedAt;
+      this.stats[outcome]++;
+      this.stats.renders++;
+      this.stats.totalRenderMs += duration;
+
+      if (outcome === 'timedOut') {
+        console.warn(`[BrowserPool] ${label} timed out after ${timeout}ms on browser ${lease.entry.id}`);
+        this.emit('renderTimeout', { label, browserId: lease.entry.id, timeout });
+      }
+      this.emit('renderComplete', { label, browserId: lease.entry.id, outcome, duration, memoryMB });
+
+      await this.release(lease, outcome !== 'succeeded');
+    }
+  }
+
+  /**
+   * Wait for a page slot and memory headroom
+   * @returns {Promise<Object>} Lease { entry, context, page, memoryMB }
+   */
+  acquire(memoryMB, signal = null, label = 'render') {
+    if (this.closing) {
+      return Promise.reject(this.createError('Browser pool is shutting down', 'RENDER_POOL_CLOSED', 503));
+    }
+    if (this.queue.length >= this.maxQueueSize) {
+      this.stats.rejected++;
+      return Promise.reject(this.createError(
+        `Render queue is full (${this.maxQueueSize} waiting)`, 'RENDER_QUEUE_FULL', 503
+      ));
+    }
+
+    let waiter = null;
+    return new Promise((resolve, reject) => {
+      waiter = { memoryMB, enqueuedAt: Date.now(), resolve, reject, attempts: 0 };
+      this.armQueueTimeout(waiter);
+      this.queue.push(waiter);
+
+      // Leave the queue as soon as the caller gives up on the render
+      if (signal) {
+        waiter.onAbort = () => {
+          if (!this.queue.includes(waiter)) return;
+          this.queue = this.queue.filter(queued => queued !== waiter);
+          clearTimeout(waiter.timer);
+          reject(this.createAbortError(label, signal));
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      this.dispatch();
+    }).finally(() => {
+      if (waiter.onAbort) signal.removeEventListener('abort', waiter.onAbort);
+    });
+  }
+
+  armQueueTimeout(waiter) {
+    waiter.timer = setTimeout(() => {
+      this.queue = this.queue.filter(queued => queued !== waiter);
+      this.stats.rejected++;
+      waiter.reject(this.createError(`Timed out waiting ${this.queueTimeout}ms for a render slot`, 'RENDER_QUEUE_TIMEOUT', 503));
+    }, this.queueTimeout - (Date.now() - waiter.enqueuedAt));
+  }
+
+  /**
+   * Hand out free slots to queued renders, in arrival order
+   */
+  dispatch() {
+    while (this.queue.length > 0 && !this.closing) {
+      const waiter = this.queue[0];
+      if (this.activeRenders > 0 && this.reservedMemoryMB + waiter.memoryMB > this.memoryBudgetMB) {
+        return;
+      }
+
+      const entry = this.findAvailableBrowser();
+      if (!entry) {
+        if (this.browsers.length + this.launches.size < this.maxBrowsers) {
+          this.launch().catch(() => {}); // failures are handled in launch()
+        }
+        return;
+      }
+
+      this.queue.shift();
+      clearTimeout(waiter.timer);
+      entry.activePages++;
+      this.activeRenders++;
+      this.reservedMemoryMB += waiter.memoryMB;
+      this.stats.peakActiveRenders = Math.max(this.stats.peakActiveRenders, this.activeRenders);
+      this.stats.peakReservedMemoryMB = Math.max(this.stats.peakReservedMemoryMB, this.reservedMemoryMB);
+
+      this.openPage(entry, waiter.memoryMB)
+        .then(waiter.resolve)
+        .catch(error => {
+          // The browser couldn't open a page: check it before reuse, free the slot and retry once
+          entry.needsCheck = true;
+          this.releaseSlot(entry, waiter.memoryMB);
+
+          if (waiter.attempts++ < 1 && !this.closing) {
+            console.warn(`[BrowserPool] Page creation failed on browser ${entry.id}, retrying:`, error.message);
+            this.armQueueTimeout(waiter);
+            this.queue.unshift(waiter);
+            this.dispatch();
+          } else {
+            waiter.reject(error);
+          }
+        });
+    }
+  }
+
+  findAvailableBrowser() {
+    return this.browsers
+      .filter(entry => entry.healthy && !entry.retiring && !entry.checking && !entry.needsCheck &&
+        entry.activePages < this.pagesPerBrowser && entry.browser.isConnected())
+      .sort((a, b) => a.activePages - b.activePages)[0] || null;
+  }
+
+  async openPage(entry, memoryMB) {
+    const context = await entry.browser.createIncognitoBrowserContext();
+    try {
+      const page = await context.newPage();
+      entry.lastUsedAt = Date.now();
+      return { entry, context, page, memoryMB };
+    } catch (error) {
+      await context.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Close a render's context and return its slot to the pool
+   */
+  async release(lease, failed) {
+    await lease.context.close().catch(() => {});
+
+    const { entry } = lease;
+    entry.renders++;
+    entry.lastUsedAt = Date.now();
+    if (failed) {
+      entry.needsCheck = true;
+    }
+    if (!entry.retiring && entry.renders >= this.maxRendersPerBrowser) {
+      entry.retiring = true;
+      this.stats.recycled++;
+      console.log(`[BrowserPool] Recycling browser ${entry.id} after ${entry.renders} renders`);
+      this.emit('browserRecycled', { browserId: entry.id, renders: entry.renders });
+    }
+
+    this.releaseSlot(entry, lease.memoryMB);
+  }
+
+  releaseSlot(entry, memoryMB) {
+    entry.activePages--;
+    this.activeRenders--;
+    this.reservedMemoryMB -= memoryMB;
+
+    if (entry.activePages === 0 && entry.retiring) {
+      this.removeBrowser(entry, 'recycled');
+    } else if (entry.activePages === 0 && entry.needsCheck) {
+      this.checkBrowser(entry);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Launch a browser and add it to the pool
+   * @returns {Promise<Object>} Pool entry
+   */
+  launch() {
+    const launch = (async () => {
+      const browser = await this.launchBrowser();
+      const entry = {
+        id: this.nextBrowserId++,
+        browser,
+        activePages: 0,
+        renders: 0,
+        healthy: true,
+        checking: false,
+        needsCheck: false,
+        retiring: false,
+        launchedAt: Date.now(),
+        lastUsedAt: Date.now()
+      };
+      browser.on('disconnected', () => this.removeBrowser(entry, 'disconnected'));
+
+      if (this.closing) {
+        await this.safeClose(browser);
+        throw this.createError('Browser pool is shutting down', 'RENDER_POOL_CLOSED', 503);
+      }
+
+      this.browsers.push(entry);
+      this.stats.launched++;
+      console.log(`[BrowserPool] Browser ${entry.id} ready (${this.browsers.length}/${this.maxBrowsers})`);
+      return entry;
+    })();
+
+    this.launches.add(launch);
+    launch.then(() => {
+      this.launches.delete(launch);
+      this.dispatch();
+    }, error => {
+      this.launches.delete(launch);
+      this.stats.launchFailures++;
+      console.error('[BrowserPool] Browser launch failed:', error.message);
+      this.failWaitersIfNoBrowsers(error);
+    });
+
+    return launch;
+  }
+
+  /**
+   * With no browser left to serve them, queued renders fail now instead of at the queue timeout
+   */
+  failWaitersIfNoBrowsers(error) {
+    if (this.browsers.length > 0 || this.launches.size > 0) {
+      return;
+    }
+    const waiters = this.queue.splice(0);
+    waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(error);
+    });
+  }
+
+  /**
+   * Health check a browser that isn't rendering; replace it if it fails
+   */
+  async checkBrowser(entry) {
+    if (entry.checking || entry.activePages > 0 || !this.browsers.includes(entry)) {
+      return;
+    }
+
+    entry.checking = true;
+    let healthy = false;
+    try {
+      healthy = entry.browser.isConnected() && await this.verifyHealth(entry.browser);
+    } catch (error) {
+      healthy = false;
+    }
+    entry.checking = false;
+    entry.needsCheck = false;
+    entry.lastUsedAt = Date.now();
+
+    if (!healthy) {
+      entry.healthy = false;
+      this.stats.unhealthy++;
+      console.warn(`[BrowserPool] Browser ${entry.id} failed its health check, replacing it`);
+      this.emit('browserUnhealthy', { browserId: entry.id });
+      await this.removeBrowser(entry, 'unhealthy');
+    }
+    this.dispatch();
+  }
+
+  checkIdleBrowsers() {
+    const idleSince = Date.now() - this.healthCheckInterval;
+    this.browsers
+      .filter(entry => entry.activePages === 0 && !entry.checking && entry.lastUsedAt <= idleSince)
+      .forEach(entry => this.checkBrowser(entry));
+  }
+
+  async removeBrowser(entry, reason) {
+    if (!this.browsers.includes(entry)) {
+      return;
+    }
+    this.browsers = this.browsers.filter(candidate => candidate !== entry);
+    console.log(`[BrowserPool] Removing browser ${entry.id} (${reason})`);
+
+    await this.safeClose(entry.browser);
+    this.dispatch();
+  }
+
+  async safeClose(browser) {
+    try {
+      if (browser.isConnected()) {
+        await this.closeBrowser(browser);
+      }
+    } catch (error) {
+      console.warn('[BrowserPool] Error closing browser:', error.message);
+    }
+  }
+
+  /**
+   * Make sure at least one healthy browser is running
+   */
+  async warmUp() {
+    if (this.browsers.some(entry => entry.healthy && entry.browser.isConnected())) {
+      return;
+    }
+    if (this.launches.size > 0) {
+      await Promise.any([...this.launches]).catch(() => {});
+      if (this.browsers.length > 0) {
+        return;
+      }
+    }
+    await this.launch();
+  }
+
+  /**
+   * A connected browser from the pool (for callers that only need browser-level APIs)
+   */
+  getBrowser() {
+    const entry = this.browsers.find(candidate => !candidate.retiring && candidate.browser.isConnected());
+    return entry ? entry.browser : null;
+  }
+
+  recordQueueWait(waitMs) {
+    this.stats.totalQueueWaitMs += waitMs;
+    this.stats.maxQueueWaitMs = Math.max(this.stats.maxQueueWaitMs, waitMs);
+  }
+
+  createAbortError(label, signal) {
+    const reason = signal.reason?.message || 'aborted';
+    return this.createError(`Render aborted (${label}): ${reason}`, 'RENDER_ABORTED', 503);
+  }
+
+  createError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Pool metrics for performanceMonitor and status endpoints
+   */
+  getMetrics() {
+    const { totalRenderMs, totalQueueWaitMs, ...counters } = this.stats;
+    return {
+      browsers: this.browsers.map(entry => ({
+        id: entry.id,
+        activePages: entry.activePages,
+        renders: entry.renders,
+        healthy: entry.healthy,
+        retiring: entry.retiring,
+        uptimeMs: Date.now() - entry.launchedAt
+      })),
+      launching: this.launches.size,
+      activeRenders: this.activeRenders,
+      queuedRenders: this.queue.length,
+      reservedMemoryMB: this.reservedMemoryMB,
+      limits: {
+        maxBrowsers: this.maxBrowsers,
+        pagesPerBrowser: this.pagesPerBrowser,
+        memoryBudgetMB: this.memoryBudgetMB,
+        renderTimeout: this.renderTimeout,
+        maxRendersPerBrowser: this.maxRendersPerBrowser,
+        maxQueueSize: this.maxQueueSize
+      },
+      totals: counters,
+      averageRenderMs: this.stats.renders > 0 ? Math.round(totalRenderMs / this.stats.renders) : 0,
+      averageQueueWaitMs: this.stats.renders > 0 ? Math.round(totalQueueWaitMs / this.stats.renders) : 0
+    };
+  }
+
+  /**
+   * Fail queued renders and close every browser. The pool can be used again afterwards.
+   */
+  async close() {
+    this.closing = true;
+
+    const waiters = this.queue.splice(0);
+    waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(this.createError('Browser pool is shutting down', 'RENDER_POOL_CLOSED', 503));
+    });
+
+    await Promise.allSettled([...this.launches]);
+    const entries = this.browsers.splice(0);
+    await Promise.all(entries.map(entry => this.safeClose(entry.browser)));
+
+    this.closing = false;
+  }
+
+  /**
+   * Stop the idle health checks (for tests and shutdown)
+   */
+  destroy() {
+    clearInterval(this.healthTimer);
+  }
+}
+
+module.exports = BrowserPool;
@@ -5,13 +5,14 @@
 
 const CacheService = require('./cacheService');
 const { getConfig } = require('../config');
+const { getSharedState } = require('./sharedState');
 
 // Get cache configuration from environment
 const config = getConfig();
 const cacheConfig = config.cache;
 
 // Create singleton cache instance
-const cacheManager = new CacheService(cacheConfig);
+const cacheManager = new CacheService(cacheConfig, { sharedState: getSharedState('cache') });
 
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
@@ -37,7 +38,7 @@ module.exports = {
    * @returns {string} Cache key
    */
   generateStravaKey(req, endpoint, additionalParams = {}) {
-    const userId = req.session?.athlete?.id || 'anonymous';
+    const userId = req.auth?.athlete?.id || req.session?.athlete?.id || 'anonymous';
     const queryParams = { ...req.query, ...additionalParams };
     
     // Remove pagination params for certain cache types to increase hit rate
@@ -64,6 +65,12 @@ module.exports = {
       return cached;
     }
 
+    // Another instance may already have fetched it
+    const shared = await cacheManager.fetchShared(cacheType, key);
+    if (shared !== null) {
+      return shared;
+    }
+
     // Cache miss - fetch from API
     try {
       const freshData = await apiCall();
@@ -96,11 +103,15 @@ module.exports = {
   /**
    * Invalidate cache when user performs actions that change data
    * @param {string} userId - User ID
-   * @param {string} action - Action performed (e.g., 'activity_updated', 'activity_deleted')
+   * @param {string} action - Action performed (e.g., 'activity_created', 'activity_updated', 'activity_deleted')
    * @param {string} activityId - Activity ID if applicable
    */
   invalidateOnUserAction(userId, action, activityId = null) {
     switch (action) {
+      case 'activity_created':
+        this.invalidateUserCache(userId, ['activities']);
+        break;
+
       case 'activity_updated':
       case 'activity_deleted':
         // Invalidate activities list and specific activity details
@@ -122,6 +133,12 @@ module.exports = {
         this.invalidateUserCache(userId);
         break;
 
+      case 'athlete_deauthorized':
+      case 'customer_redacted':
+        // Nothing fetched with the athlete's tokens may be served again
+        this.invalidateUserCache(userId, ['activities', 'activityDetails', 'activityStreams', 'athlete']);
+        break;
+
       default:
         console.warn(`Unknown cache invalidation action: ${action}`);
     }
@@ -1,10 +1,22 @@
 /**
  * Cache Service for Strava API Integration
  * Provides in-memory caching to reduce API calls and improve performance
+ *
+ * With shared state (SHARED_STATE_COMPONENTS=cache) entries are also written to the
+ * shared store, where other instances find them on a local miss (fetchShared), and
+ * deletions, invalidations and clears are broadcast so no instance keeps serving
+ * data another instance has dropped.
  */
 
+const CACHE_KEY_PREFIX = 'cache:';
+const CACHE_CHANNEL = 'cache-invalidation';
+
 class CacheService {
-  constructor(config = {}) {
+  /**
+   * @param {Object} config - Cache configuration (config.cache)
+   * @param {Object} options - { sharedState } adapter to share entries between instances
+   */
+  constructor(config = {}, options = {}) {
     // Cache storage using Maps for different data types
     this.caches = {
       activities: new Map(),      // Activity lists
@@ -36,6 +48,7 @@ class CacheService {
       evictions: { activities: 0, activityDetails: 0, activityStreams: 0, athlete: 0 },
       totalRequests: 0,
       totalHits: 0,
+      sharedHits: 0,
       memoryUsage: 0
     };
 
@@ -47,6 +60,14 @@ class CacheService {
       athlete: new Map()
     };
 
+    // Shared store, and whether a change being applied came from it (so it isn't re-broadcast)
+    this.sharedState = options.sharedState || null;
+    this.applyingSharedChange = false;
+    if (this.sharedState) {
+      this.sharedState.subscribe(CACHE_CHANNEL, message => this.applySharedChange(message))
+        .catch(error => console.error('[SharedState] Cache invalidation sync unavailable:', error.message));
+    }
+
     // Start cleanup interval
     if (this.config.enabled) {
       this.cleanupInterval = setInterval(() => this.cleanup(), this.config.cleanupInterval);
@@ -172,6 +193,11 @@ class CacheService {
     this.updateAccessOrder(cacheType, key);
     this.stats.sets[cacheType]++;
 
+    if (this.isSharing()) {
+      this.sharedState.set(this.getSharedKey(cacheType, key), { data, expiresAt: entry.expiresAt }, ttl)
+        .catch(error => console.error('[SharedState] Failed to share cache entry:', error.message));
+    }
+
     console.log(`Cache SET: ${cacheType}:${key.substring(0, 20)}... (TTL: ${ttl}ms)`);
   }
 
@@ -227,6 +253,10 @@ class CacheService {
     this.caches[cacheType].delete(key);
     this.accessOrder[cacheType].delete(key);
     console.log(`Cache DELETE: ${cacheType}:${key.substring(0, 20)}...`);
+
+    if (this.isSharing()) {
+      this.shareRemoval({ action: 'delete', cacheType, key }, [key]);
+    }
   }
 
   /**
@@ -254,6 +284,10 @@ class CacheService {
     }
 
     console.log(`Cache INVALIDATE: ${cacheType} - ${invalidatedCount} entries removed`);
+
+    if (this.isSharing()) {
+      this.shareRemoval({ action: 'invalidate', cacheType, pattern: regex.source, flags: regex.flags }, regex);
+    }
   }
 
   /**
@@ -270,6 +304,95 @@ class CacheService {
     this.accessOrder[cacheType].clear();
     
     console.log(`Cache CLEAR: ${cacheType} - ${size} entries removed`);
+
+    if (this.isSharing()) {
+      this.shareRemoval({ action: 'clear', cacheType }, /(?:)/);
+    }
+  }
+
+  /**
+   * Whether local changes should be written to the shared store
+   * @returns {boolean}
+   */
+  isSharing() {
+    return Boolean(this.sharedState) && !this.applyingSharedChange;
+  }
+
+  getSharedKey(cacheType, key) {
+    return `${CACHE_KEY_PREFIX}${cacheType}:${key}`;
+  }
+
+  /**
+   * Look up an entry other instances have cached after a local miss, keeping a local copy
+   * @param {string} cacheType - Type of cache
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached data or null
+   */
+  async fetchShared(cacheType, key) {
+    if (!this.sharedState || !this.config.enabled || !this.caches[cacheType]) {
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = await this.sharedState.get(this.getSharedKey(cacheType, key));
+    } catch (error) {
+      console.error('[SharedState] Shared cache lookup failed:', error.message);
+      return null;
+    }
+
+    const ttl = entry ? entry.expiresAt - Date.now() : 0;
+    if (ttl <= 0) {
+      return null;
+    }
+
+    this.stats.sharedHits++;
+    this.applyingSharedChange = true;
+    try {
+      this.set(cacheType, key, entry.data, ttl);
+    } finally {
+      this.applyingSharedChange = false;
+    }
+    return entry.data;
+  }
+
+  /**
+   * Remove entries from the shared store and tell the other instances
+   * @param {Object} message - Change to broadcast
+   * @param {Array<string>|RegExp} keys - Cache keys, or a pattern matching them
+   */
+  shareRemoval(message, keys) {
+    const prefix = this.getSharedKey(message.cacheType, '');
+    const sharedKeys = Array.isArray(keys)
+      ? Promise.resolve(keys.map(key => prefix + key))
+      : this.sharedState.keys(`${prefix}*`)
+        .then(found => found.filter(sharedKey => keys.test(sharedKey.slice(prefix.length))));
+
+    sharedKeys
+      .then(found => Promise.all([
+        this.sharedState.delete(...found),
+        this.sharedState.publish(CACHE_CHANNEL, message)
+      ]))
+      .catch(error => console.error('[SharedState] Failed to share cache removal:', error.message));
+  }
+
+  /**
+   * Apply a deletion, invalidation or clear broadcast by another instance
+   * @param {Object} message - { action, cacheType, key, pattern, flags }
+   */
+  applySharedChange({ action, cacheType, key, pattern, flags }) {
+    this.applyingSharedChange = true;
+    try {
+      if (action === 'delete') {
+        this.delete(cacheType, key);
+      } else if (action === 'invalidate') {
+        this.invalidate(cacheType, new RegExp(pattern, flags));
+      } else if (action === 'clear') {
+        this.clear(cacheType);
+      }
+    } finally {
+      this.applyingSharedChange = false;
+    }
   }
 
   /**
@@ -292,6 +415,7 @@ class CacheService {
 
     this.stats.totalRequests = 0;
     this.stats.totalHits = 0;
+    this.stats.sharedHits = 0;
     this.stats.memoryUsage = 0;
 
     console.log('All caches cleared');
@@ -349,6 +473,8 @@ class CacheService {
       totalRequests: this.stats.totalRequests,
       totalHits: this.stats.totalHits,
       totalMisses: this.stats.totalRequests - this.stats.totalHits,
+      sharedHits: this.stats.sharedHits,
+      shared: Boolean(this.sharedState),
       memoryUsage: this.formatBytes(this.stats.memoryUsage),
       cacheDetails: Object.keys(this.caches).reduce((details, cacheType) => {
         const cache = this.caches[cacheType];
@@ -512,7 +638,13 @@ class CacheService {
       this.cleanupInterval = null;
     }
     
-    this.clearAll();
+    // Only this instance is shutting down; leave the shared entries in place
+    this.applyingSharedChange = true;
+    try {
+      this.clearAll();
+    } finally {
+      this.applyingSharedChange = false;
+    }
     console.log('Cache service destroyed');
   }
 }
@@ -2,21 +2,114 @@
  * Cross-Domain Token Store
  * Manages temporary tokens for cross-domain authentication
  * Provides persistent storage that works across session contexts
+ *
+ * With shared state (SHARED_STATE_COMPONENTS=crossDomainTokens) every instance keeps a
+ * mirror of all tokens: changes are written through to the shared store and broadcast
+ * to the other instances, so lookups stay synchronous. Concurrent changes to the same
+ * token on two instances are last-write-wins.
  */
 
+const { getSharedState } = require('./sharedState');
+
+const TOKEN_KEY_PREFIX = 'cdt:';
+const TOKEN_CHANNEL = 'cross-domain-tokens';
+
 class CrossDomainTokenStore {
-  constructor() {
-    // In-memory store for tokens (could be replaced with Redis in production)
+  /**
+   * @param {Object} options - { sharedState } adapter to share tokens between instances
+   */
+  constructor(options = {}) {
+    // In-memory store for tokens, mirrored from the shared store when one is configured
     this.tokens = new Map();
+    this.sharedState = null;
+    this.ready = Promise.resolve();
     
     // Cleanup interval for expired tokens
     this.cleanupInterval = setInterval(() => {
       this.cleanupExpiredTokens();
     }, 60000); // Cleanup every minute
     
+    if (options.sharedState) {
+      this.useSharedState(options.sharedState);
+    }
+
     console.log('Cross-domain token store initialized');
   }
 
+  /**
+   * Share tokens with other instances through a shared state adapter
+   * @param {Object} sharedState - Shared state adapter (see sharedState.js)
+   */
+  useSharedState(sharedState) {
+    this.sharedState = sharedState;
+
+    sharedState.on('resync', () => this.loadSharedTokens());
+    this.ready = sharedState.subscribe(TOKEN_CHANNEL, message => this.applySharedChange(message))
+      .then(() => this.loadSharedTokens())
+      .catch(error => console.error('[SharedState] Cross-domain token sync unavailable:', error.message));
+  }
+
+  /**
+   * Load every token from the shared store into the local mirror
+   */
+  async loadSharedTokens() {
+    try {
+      const keys = await this.sharedState.keys(`${TOKEN_KEY_PREFIX}*`);
+      const values = await this.sharedState.getMany(keys);
+
+      keys.forEach((key, index) => {
+        if (values[index] && Date.now() <= values[index].expiryTime) {
+          this.tokens.set(key.slice(TOKEN_KEY_PREFIX.length), values[index]);
+        }
+      });
+    } catch (error) {
+      console.error('[SharedState] Failed to load cross-domain tokens:', error.message);
+    }
+  }
+
+  /**
+   * Apply a change broadcast by another instance
+   * @param {Object} message - { action: 'set'|'remove', token, tokenData }
+   */
+  applySharedChange({ action, token, tokenData }) {
+    if (action === 'set') {
+      this.tokens.set(token, tokenData);
+    } else if (action === 'remove') {
+      this.tokens.delete(token);
+    }
+  }
+
+  /**
+   * Write a token through to the shared store and tell the other instances
+   * @param {string} token - The cross-domain token
+   */
+  shareToken(token) {
+    const tokenData = this.tokens.get(token);
+    if (!this.sharedState || !tokenData) {
+      return;
+    }
+
+    Promise.all([
+      this.sharedState.set(TOKEN_KEY_PREFIX + token, tokenData, tokenData.expiryTime - Date.now()),
+      this.sharedState.publish(TOKEN_CHANNEL, { action: 'set', token, tokenData })
+    ]).catch(error => console.error('[SharedState] Failed to share cross-domain token:', error.message));
+  }
+
+  /**
+   * Remove tokens from the shared store and the other instances
+   * @param {Array<string>} tokens - Removed cross-domain tokens
+   */
+  unshareTokens(tokens) {
+    if (!this.sharedState || tokens.length === 0) {
+      return;
+    }
+
+    Promise.all([
+      this.sharedState.delete(...tokens.map(token => TOKEN_KEY_PREFIX + token)),
+      ...tokens.map(token => this.sharedState.publish(TOKEN_CHANNEL, { action: 'remove', token }))
+    ]).catch(error => console.error('[SharedState] Failed to remove shared cross-domain tokens:', error.message));
+  }
+
   /**
    * Store a cross-domain token with user session info
    * @param {string} token - The cross-domain token
@@ -33,6 +126,7 @@ class CrossDomainTokenStore {
       expiryTime,
       createdAt: Date.now()
     });
+    this.shareToken(token);
 
     console.log('Cross-domain token stored:', {
       token: token.substring(0, 8) + '...',
@@ -97,6 +191,7 @@ class CrossDomainTokenStore {
 
     const newExpiryTime = Date.now() + expiresIn;
     tokenData.expiryTime = newExpiryTime;
+    this.shareToken(token);
     
     console.log('Cross-domain token extended:', {
       token: token.substring(0, 8) + '...',
@@ -131,6 +226,7 @@ class CrossDomainTokenStore {
       ...previewData,
       storedAt: new Date().toISOString()
     };
+    this.shareToken(token);
 
     console.log('Map preview stored in cross-domain token:', {
       token: token.substring(0, 8) + '...',
@@ -185,6 +281,7 @@ class CrossDomainTokenStore {
       ...mapData,
       confirmedAt: new Date().toISOString()
     };
+    this.shareToken(token);
 
     console.log('Confirmed map stored in cross-domain token:', {
       token: token.substring(0, 8) + '...',
@@ -221,11 +318,36 @@ class CrossDomainTokenStore {
    */
   removeToken(token) {
     const existed = this.tokens.delete(token);
+    this.unshareTokens([token]);
     if (existed) {
       console.log('Cross-domain token removed:', token.substring(0, 8) + '...');
     }
   }
 
+  /**
+   * Remove every token issued to an athlete
+   * @param {string|number} athleteId - Strava athlete ID
+   * @returns {number} Number of tokens removed
+   */
+  removeAthleteTokens(athleteId) {
+    const removed = [];
+
+    for (const [token, tokenData] of this.tokens.entries()) {
+      if (String(tokenData.athlete?.id) === String(athleteId)) {
+        this.tokens.delete(token);
+        removed.push(token);
+      }
+    }
+    this.unshareTokens(removed);
+
+    const removedCount = removed.length;
+
+    if (removedCount > 0) {
+      console.log(`Removed ${removedCount} cross-domain tokens for athlete ${athleteId}`);
+    }
+    return removedCount;
+  }
+
   /**
    * Clean up expired tokens
    */
@@ -271,7 +393,7 @@ class CrossDomainTokenStore {
   }
 
   /**
-   * Destroy the token store and cleanup interval
+   * Destroy the token store and cleanup interval (shared tokens are kept)
    */
   destroy() {
     if (this.cleanupInterval) {
@@ -283,10 +405,11 @@ class CrossDomainTokenStore {
 }
 
 // Create singleton instance
-const tokenStore = new CrossDomainTokenStore();
+const tokenStore = new CrossDomainTokenStore({ sharedState: getSharedState('crossDomainTokens') });
 
 // Graceful shutdown handling
 process.on('SIGTERM', () => tokenStore.destroy());
 process.on('SIGINT', () => tokenStore.destroy());
 
-module.exports = tokenStore;
\ No newline at end of file
+module.exports = tokenStore;
+module.exports.CrossDomainTokenStore = CrossDomainTokenStore;
\ No newline at end of file
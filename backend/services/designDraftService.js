@@ -0,0 +1,597 @@
+/**
+ * Design Draft Service
+ *
+ * Stores poster designs on the server under a short ID, so a design follows the
+ * athlete across devices and can be shared as a link. A draft holds the designer's
+ * full settings, a reference to the route (activity summary with its polyline) and
+ * the stream data the design uses (elevation band and colour-by-metric samples), so
+ * a shared design renders without the viewer having access to the athlete's Strava data.
+ *
+ * Every save bumps the draft version and keeps the previous settings in a bounded
+ * history. Saves carry the version they were based on; a save from a stale tab is
+ * rejected with 409 instead of silently overwriting newer work. The designer's
+ * undo/redo history is saved alongside, so it is there when the draft is reopened
+ * on another device; it is never part of the shared view.
+ *
+ * Shared (public) views apply the owner's privacy zones to the route and samples and
+ * drop the activity ID and exact start/end coordinates.
+ *
+ * Drafts are persisted as one JSON file per draft.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { decodePolyline, encodePolyline } = require('../utils/dataTransformers');
+const PrivacyZones = require('@print-my-ride/map-engines/privacy-zones');
+const PosterElevationProfile = require('@print-my-ride/map-engines/poster-elevation-profile');
+const RouteColorMetrics = require('@print-my-ride/map-engines/route-color-metrics');
+const DesignHistory = require('@print-my-ride/map-engines/design-history');
+
+class DesignDraftService {
+  static ID_LENGTH = 8;
+  static ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  static ID_PATTERN = /^[A-Za-z0-9]{8}$/;
+
+  /**
+   * Largest accepted settings object (serialized)
+   */
+  static MAX_SETTINGS_SIZE = 64 * 1024;
+  static MAX_POLYLINE_LENGTH = 100000;
+
+  /**
+   * Largest undo/redo history kept with a draft (serialized); older entries are dropped to fit
+   */
+  static MAX_EDIT_HISTORY_SIZE = 512 * 1024;
+
+  /**
+   * Activity summary fields kept with a draft (enough for the poster title and stats)
+   */
+  static ACTIVITY_FIELDS = [
+    'id', 'name', 'type', 'sport_type', 'distance', 'moving_time', 'elapsed_time',
+    'total_elevation_gain', 'average_speed', 'start_date', 'start_date_local', 'timezone',
+    'location_city', 'location_state', 'location_country', 'start_latlng', 'end_latlng'
+  ];
+
+  /**
+   * Poster preview size in points (A-series, so every print size shares the ratio)
+   */
+  static PREVIEW_SIZE = { width: 595, height: 842 };
+
+  constructor(options = {}) {
+    const draftConfig = config.getConfig().designDrafts || {};
+
+    this.drafts = new Map(); // draft ID -> draft record
+    this.persistChains = new Map(); // draft ID -> persistence chain
+    this.socialImages = new Map(); // `<id>_v<version>` -> preview image path promise
+    this.directory = options.directory || draftConfig.directory ||
+      path.join(__dirname, '..', 'jobs', 'design-drafts');
+    this.maxVersions = options.maxVersions || draftConfig.maxVersions || 20;
+
+    // Collaborators are resolved lazily so the service can be loaded without the render stack
+    this.userSettingsService = options.userSettingsService || null;
+    this.renderPreview = options.renderPreview || (previewConfig => require('./mapService').generatePreviewImage(previewConfig));
+  }
+
+  getUserSettingsService() {
+    if (!this.userSettingsService) {
+      this.userSettingsService = require('./userSettingsService');
+    }
+    return this.userSettingsService;
+  }
+
+  /**
+   * Save a new draft
+   * @param {string|number} athleteId - Owner's Strava athlete ID
+   * @param {Object} payload - { settings, route: { activityId, activity }, data: { elevationProfile, routeMetricSamples }, editHistory }
+   * @returns {Promise<Object>} Owner view of the draft
+   * @throws {Error} With status 400 when the payload is invalid
+   */
+  async createDraft(athleteId, payload = {}) {
+    const content = this.normalizePayload(payload);
+    const now = new Date().toISOString();
+    const draft = {
+      id: await this.generateId(),
+      athleteId: String(athleteId),
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+      ...content,
+      history: []
+    };
+
+    this.drafts.set(draft.id, draft);
+    await this.persist(draft);
+
+    console.log('[DesignDrafts] Draft created:', { id: draft.id, athleteId: draft.athleteId });
+    return this.toOwnerView(draft);
+  }
+
+  /**
+   * Save a new version of a draft
+   * @param {Object} payload - As for createDraft, plus baseVersion: the version the edit started from
+   * @returns {Promise<Object>} Owner view of the draft
+   * @throws {Error} With status 404/403 for unknown or foreign drafts, 409 when baseVersion is stale
+   */
+  async updateDraft(id, athleteId, payload = {}) {
+    const draft = await this.getOwnedDraft(id, athleteId);
+
+    if (payload.baseVersion !== undefined && Number(payload.baseVersion) !== draft.version) {
+      const error = this.createError(`Draft has been saved elsewhere since version ${payload.baseVersion}`, 409);
+      error.currentVersion = draft.version;
+      throw error;
+    }
+
+    const content = this.normalizePayload(payload);
+    draft.history.push({ version: draft.version, savedAt: draft.updatedAt, settings: draft.settings, route: draft.route });
+    draft.history = draft.history.slice(-(this.maxVersions - 1));
+    Object.assign(draft, content);
+    draft.version++;
+    draft.updatedAt = new Date().toISOString();
+    await this.persist(draft);
+
+    console.log('[DesignDrafts] Draft updated:', { id: draft.id, version: draft.version });
+    return this.toOwnerView(draft);
+  }
+
+  /**
+   * Get a draft for its owner, optionally at an earlier version
+   * @throws {Error} With status 404/403 for unknown or foreign drafts and unknown versions
+   */
+  async getOwnerDraft(id, athleteId, version = null) {
+    const draft = await this.getOwnedDraft(id, athleteId);
+    if (version === null || version === undefined || Number(version) === draft.version) {
+      return this.toOwnerView(draft);
+    }
+
+    const earlier = draft.history.find(entry => entry.version === Number(version));
+    if (!earlier) {
+      throw this.createError(`Draft ${id} has no version ${version}`, 404);
+    }
+    return { ...this.toOwnerView(draft), settings: earlier.settings, route: earlier.route, editHistory: null, viewingVersion: earlier.version };
+  }
+
+  /**
+   * Get the read-only view of a draft that anyone with the link may open
+   * @throws {Error} With status 404 for unknown drafts
+   */
+  async getPublicDraft(id) {
+    const draft = await this.getDraft(id);
+    if (!draft) {
+      throw this.createError(`Draft ${id} not found`, 404);
+    }
+
+    const privacyZones = await this.getUserSettingsService().getPrivacyZones(draft.athleteId);
+    return this.toPublicView(draft, privacyZones);
+  }
+
+  /**
+   * List an athlete's drafts, most recently saved first
+   */
+  async listDrafts(athleteId) {
+    const drafts = await this.loadAthleteDrafts(athleteId);
+    return drafts
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(draft => ({
+        id: draft.id,
+        version: draft.version,
+        title: draft.settings.mainTitle || draft.route.activity.name || null,
+        activityName: draft.route.activity.name || null,
+        createdAt: draft.createdAt,
+        updatedAt: draft.updatedAt
+      }));
+  }
+
+  /**
+   * Delete one of an athlete's drafts
+   * @throws {Error} With status 404/403 for unknown or foreign drafts
+   */
+  async deleteDraft(id, athleteId) {
+    const draft = await this.getOwnedDraft(id, athleteId);
+    await this.removeDraft(draft.id);
+    console.log('[DesignDrafts] Draft deleted:', { id: draft.id });
+  }
+
+  /**
+   * Delete every draft an athlete owns (e.g. after deauthorization)
+   * @returns {Promise<number>} Number of drafts deleted
+   */
+  async deleteAthleteDrafts(athleteId) {
+    const drafts = await this.loadAthleteDrafts(athleteId);
+    for (const draft of drafts) {
+      await this.removeDraft(draft.id);
+    }
+
+    if (drafts.length > 0) {
+      console.log('[DesignDrafts] Deleted athlete drafts:', { athleteId: String(athleteId), drafts: drafts.length });
+    }
+    return drafts.length;
+  }
+
+  /**
+   * Get the social preview image for a draft's current version, rendering it on first request
+   * Concurrent requests for the same version share one render.
+   * @returns {Promise<string>} Image file path
+   * @throws {Error} With status 404 for unknown drafts
+   */
+  async getSocialImage(id) {
+    const draft = await this.getDraft(id);
+    if (!draft) {
+      throw this.createError(`Draft ${id} not found`, 404);
+    }
+
+    const key = `${draft.id}_v${draft.version}`;
+    const cached = this.socialImages.get(key);
+    if (cached) {
+      const filePath = await cached.catch(() => null);
+      if (filePath && await this.fileExists(filePath)) {
+        return filePath;
+      }
+      this.socialImages.delete(key);
+    }
+
+    if (!this.socialImages.has(key)) {
+      const rendering = this.getUserSettingsService().getPrivacyZones(draft.athleteId)
+        .then(privacyZones => this.renderPreview(this.buildPreviewConfig(draft, privacyZones)))
+        .catch(error => {
+          this.socialImages.delete(key);
+          throw error;
+        });
+      this.socialImages.set(key, rendering);
+    }
+    return this.socialImages.get(key);
+  }
+
+  /**
+   * Build the mapService preview config for a draft, trimmed with the owner's privacy zones
+   * @throws {Error} With status 404 when no part of the route is left visible
+   */
+  buildPreviewConfig(draft, privacyZones = null) {
+    const { MapService } = require('./mapService');
+    const settings = draft.settings;
+    const activity = draft.route.activity;
+    const zones = PrivacyZones.isActive(privacyZones) ? privacyZones : null;
+    const coordinates = decodePolyline(activity.map.summary_polyline);
+    const visible = zones ? PrivacyZones.apply(coordinates, zones) : coordinates;
+
+    if (visible.length === 0) {
+      throw this.createError(`Draft ${draft.id} has no visible route`, 404);
+    }
+
+    const lngs = visible.map(coord => coord[0]);
+    const lats = visible.map(coord => coord[1]);
+    const bounds = { north: Math.max(...lats), south: Math.min(...lats), east: Math.max(...lngs), west: Math.min(...lngs) };
+    const latPadding = (bounds.north - bounds.south) * 0.1;
+    const lngPadding = (bounds.east - bounds.west) * 0.1;
+    const orientation = settings.layout === 'landscape' ? 'landscape' : 'portrait';
+    const { width, height } = DesignDraftService.PREVIEW_SIZE;
+    const colorMetric = settings.colorByMetric || {};
+    const samples = draft.data.routeMetricSamples[colorMetric.metric];
+
+    return {
+      id: `draft_${draft.id}_v${draft.version}`,
+      center: [(bounds.north + bounds.south) / 2, (bounds.east + bounds.west) / 2],
+      bounds: {
+        north: bounds.north + latPadding,
+        south: bounds.south - latPadding,
+        east: bounds.east + lngPadding,
+        west: bounds.west - lngPadding
+      },
+      style: MapService.normalizeMapboxStyleURL(settings.mapStyle),
+      width: orientation === 'landscape' ? height : width,
+      height: orientation === 'landscape' ? width : height,
+      format: String(settings.printSize || 'A4').toUpperCase(),
+      orientation,
+      dpi: 96,
+      route: {
+        coordinates,
+        color: settings.routeColor || '#ff4444',
+        width: settings.routeThickness || 3
+      },
+      markers: { start: visible[0], end: visible[visible.length - 1] },
+      privacyZones: zones,
+      settings: {
+        mainTitle: settings.mainTitle || '',
+        subtitle: settings.subtitle || '',
+        fontFamily: settings.fontFamily,
+        textAlign: settings.textAlign,
+        showStats: settings.showStats,
+        statsFields: settings.statsFields,
+        statsTemplate: settings.statsTemplate,
+        units: settings.units,
+        showCoordinates: settings.showCoordinates,
+        stats: {
+          distance: activity.distance,
+          elevation: activity.total_elevation_gain || 0,
+          date: activity.start_date_local,
+          movingTime: activity.moving_time,
+          averageSpeed: activity.average_speed,
+          activityType: activity.sport_type || activity.type,
+          location: [activity.location_city, activity.location_state].filter(Boolean).join(', ') || null
+        },
+        coordinates: { lat: visible[0][1], lng: visible[0][0] }
+      },
+      elevationProfile: settings.elevationProfile?.enabled && draft.data.elevationProfile
+        ? { enabled: true, placement: settings.elevationProfile.placement, points: draft.data.elevationProfile }
+        : null,
+      colorByMetric: colorMetric.enabled && samples
+        ? { enabled: true, metric: colorMetric.metric, showLegend: colorMetric.showLegend, units: settings.units, samples }
+        : null
+    };
+  }
+
+  /**
+   * Validate the designer's undo/redo history, dropping its oldest entries until it fits
+   * @returns {Object|null} Serialized history, or null when none was sent
+   * @throws {Error} With status 400 when the history is malformed
+   */
+  normalizeEditHistory(editHistory) {
+    if (editHistory === undefined || editHistory === null) {
+      return null;
+    }
+
+    let history = DesignHistory.restore(editHistory);
+    if (!history) {
+      throw this.createError('editHistory must be a design history');
+    }
+
+    while (JSON.stringify(DesignHistory.serialize(history)).length > DesignDraftService.MAX_EDIT_HISTORY_SIZE) {
+      if (history.index === 0) {
+        return null;
+      }
+      history = { entries: history.entries.slice(1), index: history.index - 1 };
+    }
+
+    return DesignHistory.serialize(history);
+  }
+
+  /**
+   * Owner's view: everything stored, plus the saved versions available to restore
+   */
+  toOwnerView(draft) {
+    return {
+      id: draft.id,
+      version: draft.version,
+      createdAt: draft.createdAt,
+      updatedAt: draft.updatedAt,
+      editable: true,
+      settings: draft.settings,
+      route: draft.route,
+      data: draft.data,
+      editHistory: draft.editHistory || null,
+      versions: [
+        ...draft.history.map(entry => ({ version: entry.version, savedAt: entry.savedAt })),
+        { version: draft.version, savedAt: draft.updatedAt }
+      ]
+    };
+  }
+
+  /**
+   * Shared view: the route and samples trimmed by the owner's privacy zones, with
+   * the activity ID and exact start/end coordinates left out
+   */
+  toPublicView(draft, privacyZones = null) {
+    const zones = PrivacyZones.isActive(privacyZones) ? privacyZones : null;
+    const { id, start_latlng, end_latlng, map, ...summary } = draft.route.activity;
+    const coordinates = decodePolyline(map.summary_polyline);
+    const visible = zones ? PrivacyZones.apply(coordinates, zones) : coordinates;
+
+    const routeMetricSamples = {};
+    for (const [metric, samples] of Object.entries(draft.data.routeMetricSamples)) {
+      // Trimming can start the route at an interpolated point, which has no sample value
+      routeMetricSamples[metric] = zones ? RouteColorMetrics.normalizeSamples(PrivacyZones.apply(samples, zones)) : samples;
+    }
+
+    return {
+      id: draft.id,
+      version: draft.version,
+      updatedAt: draft.updatedAt,
+      editable: false,
+      settings: draft.settings,
+      route: {
+        activityId: null,
+        activity: {
+          ...summary,
+          id: null,
+          start_latlng: visible.length > 0 ? [visible[0][1], visible[0][0]] : null,
+          map: { summary_polyline: zones ? encodePolyline(visible) : map.summary_polyline }
+        }
+      },
+      data: {
+        elevationProfile: draft.data.elevationProfile,
+        routeMetricSamples
+      }
+    };
+  }
+
+  /**
+   * Validate a draft payload and keep only what a draft stores
+   * @throws {Error} With status 400 when the payload is invalid
+   */
+  normalizePayload({ settings, route, data, editHistory } = {}) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw this.createError('settings must be an object');
+    }
+    if (JSON.stringify(settings).length > DesignDraftService.MAX_SETTINGS_SIZE) {
+      throw this.createError('settings are too large');
+    }
+
+    const activity = route?.activity;
+    const polyline = activity?.map?.summary_polyline;
+    if (!activity || typeof activity !== 'object') {
+      throw this.createError('route.activity must be an object');
+    }
+    if (typeof polyline !== 'string' || polyline.length === 0 || polyline.length > DesignDraftService.MAX_POLYLINE_LENGTH) {
+      throw this.createError('route.activity.map.summary_polyline must be an encoded polyline');
+    }
+    try {
+      decodePolyline(polyline);
+    } catch (error) {
+      throw this.createError(error.message);
+    }
+
+    const summary = {};
+    for (const field of DesignDraftService.ACTIVITY_FIELDS) {
+      if (activity[field] !== undefined) {
+        summary[field] = activity[field];
+      }
+    }
+    summary.map = { summary_polyline: polyline };
+
+    const routeMetricSamples = {};
+    for (const [metric, samples] of Object.entries(data?.routeMetricSamples || {})) {
+      const normalized = RouteColorMetrics.METRICS[metric] ? RouteColorMetrics.normalizeSamples(samples, metric) : [];
+      if (normalized.length >= 2) {
+        routeMetricSamples[metric] = normalized;
+      }
+    }
+    const elevationProfile = PosterElevationProfile.normalizePoints(data?.elevationProfile);
+
+    return {
+      settings,
+      route: {
+        activityId: route.activityId || activity.id ? String(route.activityId || activity.id) : null,
+        activity: summary
+      },
+      data: {
+        elevationProfile: elevationProfile.length >= 2 ? elevationProfile : null,
+        routeMetricSamples
+      },
+      editHistory: this.normalizeEditHistory(editHistory)
+    };
+  }
+
+  /**
+   * Get a draft record, loading it from disk on first use
+   * @returns {Promise<Object|null>} Draft record, or null when it does not exist
+   */
+  async getDraft(id) {
+    if (!DesignDraftService.ID_PATTERN.test(String(id))) {
+      return null;
+    }
+    if (this.drafts.has(id)) {
+      return this.drafts.get(id);
+    }
+
+    try {
+      const draft = JSON.parse(await fs.readFile(this.getDraftFile(id), 'utf8'));
+      this.drafts.set(id, draft);
+      return draft;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[DesignDrafts] Failed to load draft:', { id, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  async getOwnedDraft(id, athleteId) {
+    const draft = await this.getDraft(id);
+    if (!draft) {
+      throw this.createError(`Draft ${id} not found`, 404);
+    }
+    if (draft.athleteId !== String(athleteId)) {
+      throw this.createError(`Draft ${id} belongs to another athlete`, 403);
+    }
+    return draft;
+  }
+
+  /**
+   * Load every draft an athlete owns from disk
+   */
+  async loadAthleteDrafts(athleteId) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const drafts = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.getDraft(path.basename(file, '.json'))));
+    return drafts.filter(draft => draft && draft.athleteId === String(athleteId));
+  }
+
+  async removeDraft(id) {
+    await (this.persistChains.get(id) || Promise.resolve());
+    this.drafts.delete(id);
+    this.persistChains.delete(id);
+
+    try {
+      await fs.unlink(this.getDraftFile(id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Generate an unused short ID
+   */
+  async generateId() {
+    const alphabet = DesignDraftService.ID_ALPHABET;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      // 248 is the largest multiple of 62 that fits a byte, so every character is equally likely
+      const bytes = Array.from(crypto.randomBytes(DesignDraftService.ID_LENGTH * 2)).filter(byte => byte < 248);
+      if (bytes.length < DesignDraftService.ID_LENGTH) {
+        continue;
+      }
+
+      const id = bytes.slice(0, DesignDraftService.ID_LENGTH).map(byte => alphabet[byte % alphabet.length]).join('');
+      if (!(await this.getDraft(id))) {
+        return id;
+      }
+    }
+    throw new Error('Could not generate a unique draft ID');
+  }
+
+  getDraftFile(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Persist a draft atomically (temp file + rename)
+   */
+  persist(draft) {
+    const chain = (this.persistChains.get(draft.id) || Promise.resolve())
+      .then(async () => {
+        await fs.mkdir(this.directory, { recursive: true });
+        const file = this.getDraftFile(draft.id);
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(draft, null, 2));
+        await fs.rename(tempFile, file);
+      })
+      .catch(error => {
+        console.error('[DesignDrafts] Draft persistence failed:', { id: draft.id, error: error.message });
+      });
+
+    this.persistChains.set(draft.id, chain);
+    return chain;
+  }
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+// Export singleton instance
+module.exports = new DesignDraftService();
+module.exports.DesignDraftService = DesignDraftService;
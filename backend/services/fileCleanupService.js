@@ -2,18 +2,19 @@
  * File Cleanup Service
  * Automated cleanup of temporary files, expired maps, and storage management
  * Implements configurable retention policies and safe deletion procedures
+ *
+ * Works through fileStorageService's storage driver, so the same policies apply to
+ * local directories and to S3 prefixes.
  */
 
-const fs = require('fs').promises;
-const fsSync = require('fs');
-const path = require('path');
 const config = require('../config');
 const fileStorageService = require('./fileStorageService');
 const FileNaming = require('../utils/fileNaming');
 
 class FileCleanupService {
-  constructor() {
+  constructor(options = {}) {
     this.appConfig = config.getConfig();
+    this.storageService = options.storageService || fileStorageService;
     this.isRunning = false;
     this.cleanupTimer = null;
     this.isInitialized = false;
@@ -35,6 +36,11 @@ class FileCleanupService {
         maxFiles: 10000,
         description: 'Completed, paid maps'
       },
+      quarantine: {
+        maxAge: 90 * 24 * 60 * 60 * 1000, // 90 days, long enough to investigate disputes
+        maxFiles: 5000,
+        description: 'Maps withdrawn from cancelled or refunded orders'
+      },
       metadata: {
         maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
         maxFiles: 20000,
@@ -82,7 +88,7 @@ class FileCleanupService {
       console.log('FileCleanupService: Initializing cleanup service...');
 
       // Ensure file storage service is initialized
-      await fileStorageService.initialize();
+      await this.storageService.initialize();
 
       // Start periodic cleanup if configured
       const cleanupInterval = this.appConfig.storage?.cleanupInterval || 3600000; // 1 hour default
@@ -217,14 +223,14 @@ class FileCleanupService {
    * Clean a directory based on its retention policy
    */
   async cleanDirectoryByPolicy(directoryType, policy, options = {}) {
-    const storageService = fileStorageService;
-    const directories = storageService.directories;
+    const storageService = this.storageService;
+    const driver = storageService.driver;
     
-    if (!directories[directoryType]) {
+    if (!storageService.directories[directoryType]) {
       throw new Error(`Unknown directory type: ${directoryType}`);
     }
 
-    const directoryPath = directories[directoryType];
+    const directoryPath = driver.getLocation(directoryType);
     const result = {
       type: directoryType,
       policy: policy,
@@ -235,27 +241,16 @@ class FileCleanupService {
 
     try {
       // Get all files in the directory
-      const files = await fs.readdir(directoryPath);
+      const files = await driver.list(directoryType);
       
       // Filter and sort files by age
-      const fileInfos = [];
-      for (const file of files) {
-        try {
-          const filePath = path.join(directoryPath, file);
-          const stats = await fs.stat(filePath);
-          
-          fileInfos.push({
-            name: file,
-            path: filePath,
-            size: stats.size,
-            mtime: stats.mtime,
-            age: Date.now() - stats.mtime.getTime()
-          });
-        } catch (error) {
-          // Skip files that can't be accessed
-          console.warn(`FileCleanupService: Could not stat file ${file}:`, error.message);
-        }
-      }
+      const fileInfos = files.map(file => ({
+        name: file.name,
+        path: driver.getLocation(directoryType, file.name),
+        size: file.size,
+        mtime: file.mtime,
+        age: Date.now() - file.mtime.getTime()
+      }));
 
       // Sort by age (oldest first)
       fileInfos.sort((a, b) => b.age - a.age);
@@ -293,7 +288,7 @@ class FileCleanupService {
 
           // Validate file before deletion for safety
           if (await this.isFileSafeToDelete(fileInfo, directoryType)) {
-            await fs.unlink(fileInfo.path);
+            await driver.delete(directoryType, fileInfo.name);
             console.log(`FileCleanupService: Deleted ${fileInfo.path} (${this.formatBytes(fileInfo.size)})`);
             
             result.filesDeleted++;
@@ -303,9 +298,8 @@ class FileCleanupService {
             if (directoryType !== 'metadata') {
               try {
                 const metadataFilename = FileNaming.getMetadataFilename(fileInfo.name);
-                const metadataPath = path.join(directories.metadata, metadataFilename);
-                await fs.unlink(metadataPath);
-                console.log(`FileCleanupService: Deleted associated metadata ${metadataPath}`);
+                await driver.delete('metadata', metadataFilename);
+                console.log(`FileCleanupService: Deleted associated metadata ${driver.getLocation('metadata', metadataFilename)}`);
               } catch (metadataError) {
                 // Metadata might not exist, that's okay
               }
@@ -343,23 +337,22 @@ class FileCleanupService {
     };
 
     try {
-      const metadataDir = fileStorageService.directories.metadata;
-      const files = await fs.readdir(metadataDir);
+      const driver = this.storageService.driver;
+      const files = await driver.list('metadata');
       
-      const metadataFiles = files.filter(file => file.endsWith('_metadata.json'));
+      const metadataFiles = files.filter(file => file.name.endsWith('_metadata.json'));
 
       for (const metadataFile of metadataFiles) {
         try {
           // Extract the corresponding map filename
-          const mapFilename = metadataFile.replace('_metadata.json', '.png');
+          const mapFilename = metadataFile.name.replace('_metadata.json', '.png');
           
           // Check if the map file exists in any directory
           let mapFileExists = false;
-          for (const [type, dirPath] of Object.entries(fileStorageService.directories)) {
+          for (const type of Object.keys(this.storageService.directories)) {
             if (type === 'metadata') continue;
             
-            const mapFilePath = path.join(dirPath, mapFilename);
-            if (fsSync.existsSync(mapFilePath)) {
+            if (await driver.exists(type, mapFilename)) {
               mapFileExists = true;
               break;
             }
@@ -367,20 +360,17 @@ class FileCleanupService {
 
           // If map file doesn't exist, the metadata is orphaned
           if (!mapFileExists) {
-            const metadataPath = path.join(metadataDir, metadataFile);
-            const stats = await fs.stat(metadataPath);
-            
-            await fs.unlink(metadataPath);
-            console.log(`FileCleanupService: Deleted orphaned metadata ${metadataPath}`);
+            await driver.delete('metadata', metadataFile.name);
+            console.log(`FileCleanupService: Deleted orphaned metadata ${driver.getLocation('metadata', metadataFile.name)}`);
             
             result.filesDeleted++;
-            result.spaceFreed += stats.size;
+            result.spaceFreed += metadataFile.size;
           }
 
         } catch (error) {
-          console.error(`FileCleanupService: Error processing metadata ${metadataFile}:`, error);
+          console.error(`FileCleanupService: Error processing metadata ${metadataFile.name}:`, error);
           result.errors.push({
-            file: metadataFile,
+            file: metadataFile.name,
             error: error.message
           });
         }
@@ -400,7 +390,7 @@ class FileCleanupService {
   async isFileSafeToDelete(fileInfo, directoryType) {
     try {
       // Check if file is currently being accessed (basic check)
-      const currentStats = await fs.stat(fileInfo.path);
+      const currentStats = await this.storageService.driver.stat(directoryType, fileInfo.name);
       
       // If the file was modified very recently, it might be in use
       const timeSinceModification = Date.now() - currentStats.mtime.getTime();
@@ -418,6 +408,10 @@ class FileCleanupService {
           // For permanent files, require explicit age threshold
           return fileInfo.age > this.retentionPolicies.permanent.maxAge;
 
+        case 'quarantine':
+          // Quarantined files are kept for the full retention period
+          return fileInfo.age > this.retentionPolicies.quarantine.maxAge;
+
         case 'temporary':
           // Temporary files are generally safe to delete
           return true;
@@ -451,27 +445,23 @@ class FileCleanupService {
 
     try {
       // Get statistics for each directory
-      for (const [type, dirPath] of Object.entries(fileStorageService.directories)) {
+      const driver = this.storageService.driver;
+      for (const type of Object.keys(this.storageService.directories)) {
+        const dirPath = driver.getLocation(type);
         try {
-          const files = await fs.readdir(dirPath);
+          const files = await driver.list(type);
           let totalSize = 0;
           let oldestFile = null;
           let newestFile = null;
 
           for (const file of files) {
-            try {
-              const filePath = path.join(dirPath, file);
-              const fileStat = await fs.stat(filePath);
-              totalSize += fileStat.size;
+            totalSize += file.size;
 
-              if (!oldestFile || fileStat.mtime < oldestFile.mtime) {
-                oldestFile = { name: file, mtime: fileStat.mtime };
-              }
-              if (!newestFile || fileStat.mtime > newestFile.mtime) {
-                newestFile = { name: file, mtime: fileStat.mtime };
-              }
-            } catch (error) {
-              // Skip inaccessible files
+            if (!oldestFile || file.mtime < oldestFile.mtime) {
+              oldestFile = { name: file.name, mtime: file.mtime };
+            }
+            if (!newestFile || file.mtime > newestFile.mtime) {
+              newestFile = { name: file.name, mtime: file.mtime };
             }
           }
 
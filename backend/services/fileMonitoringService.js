@@ -9,7 +9,6 @@ const fsSync = require('fs');
 const path = require('path');
 const config = require('../config');
 const fileStorageService = require('./fileStorageService');
-const FileCompressionUtils = require('../utils/fileCompressionUtils');
 
 class FileMonitoringService {
   constructor() {
@@ -191,11 +190,11 @@ class FileMonitoringService {
       // Calculate compression savings if compression is used
       try {
         let totalCompressionSavings = 0;
-        for (const [type, dirPath] of Object.entries(fileStorageService.directories)) {
+        for (const type of Object.keys(fileStorageService.directories)) {
           if (type === 'metadata') continue;
           
           try {
-            const compressionStats = await FileCompressionUtils.getDirectoryCompressionStats(dirPath);
+            const compressionStats = await fileStorageService.getCompressionStats(type);
             totalCompressionSavings += compressionStats.totalSpaceSaved || 0;
           } catch (compressionError) {
             // Compression stats not available for this directory
@@ -2,13 +2,17 @@
  * File Storage Service for Map Generation
  * Handles hierarchical file organization, naming conventions, and file operations
  * Implements secure, organized storage for generated maps
+ *
+ * Files are kept by a storage driver (see storageDrivers.js): the local filesystem by
+ * default, or an S3-compatible bucket when several backend instances share storage.
  */
 
 const fs = require('fs').promises;
-const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const config = require('../config');
+const { createStorageDriver } = require('./storageDrivers');
+const FileCompressionUtils = require('../utils/fileCompressionUtils');
 const {
   FileOperationError,
   FileNotFoundError,
@@ -22,16 +26,18 @@ const {
 } = require('../utils/fileErrors');
 
 class FileStorageService {
-  constructor() {
+  constructor(options = {}) {
     this.appConfig = config.getConfig();
-    this.baseDir = this.appConfig.storage.generatedMapsDir;
+    this.baseDir = options.baseDir || this.appConfig.storage.generatedMapsDir;
+    this.driver = options.driver || createStorageDriver({ ...this.appConfig.storage, generatedMapsDir: this.baseDir });
     this.isInitialized = false;
     
-    // Define directory structure
+    // Define directory structure (storage types; local paths for the filesystem driver)
     this.directories = {
       permanent: path.join(this.baseDir, 'permanent'),
       temporary: path.join(this.baseDir, 'temporary'), 
       processing: path.join(this.baseDir, 'processing'),
+      quarantine: path.join(this.baseDir, 'quarantine'), // Withdrawn maps (cancelled/refunded orders), never served
       metadata: path.join(this.baseDir, 'metadata')
     };
   }
@@ -46,15 +52,11 @@ class FileStorageService {
     }
 
     try {
-      console.log('FileStorageService: Initializing storage directories...');
+      console.log(`FileStorageService: Initializing ${this.driver.name} storage...`);
 
-      // Create base directory if it doesn't exist
-      await this.ensureDirectoryExists(this.baseDir);
-
-      // Create all subdirectories
-      for (const [type, dirPath] of Object.entries(this.directories)) {
-        await this.ensureDirectoryExists(dirPath);
-        console.log(`FileStorageService: Created ${type} directory at ${dirPath}`);
+      await this.driver.initialize(Object.keys(this.directories));
+      for (const type of Object.keys(this.directories)) {
+        console.log(`FileStorageService: Prepared ${type} storage at ${this.driver.getLocation(type)}`);
       }
 
       this.isInitialized = true;
@@ -67,16 +69,11 @@ class FileStorageService {
   }
 
   /**
-   * Ensure a directory exists, create it if it doesn't
+   * Throw for unknown storage types
    */
-  async ensureDirectoryExists(dirPath) {
-    try {
-      await fs.mkdir(dirPath, { recursive: true });
-    } catch (error) {
-      if (error.code !== 'EEXIST') {
-        console.error(`Error creating directory ${dirPath}:`, error);
-        throw error;
-      }
+  assertStorageType(type) {
+    if (!this.directories[type]) {
+      throw new InvalidFileFormatError(type, Object.keys(this.directories), 'storage_type');
     }
   }
 
@@ -139,7 +136,7 @@ class FileStorageService {
       userId,
       activityId,
       format,
-      type = 'temporary', // 'temporary', 'permanent', 'processing'
+      type = 'temporary', // 'temporary', 'permanent', 'processing', 'quarantine'
       metadata = {}
     } = options;
 
@@ -164,9 +161,7 @@ class FileStorageService {
       }
 
       // Validate type
-      if (!this.directories[type]) {
-        throw new InvalidFileFormatError(type, Object.keys(this.directories), 'storage_type');
-      }
+      this.assertStorageType(type);
 
       // Check available storage space
       await this.checkStorageSpace(buffer.length, type);
@@ -179,15 +174,12 @@ class FileStorageService {
         type: 'map'
       });
 
-      // Construct file paths
-      const filePath = path.join(this.directories[type], filename);
-      const metadataFilename = this.getMetadataFilename(filename);
-      const metadataPath = path.join(this.directories.metadata, metadataFilename);
+      // Construct file locations
+      const filePath = this.driver.getLocation(type, filename);
+      const metadataPath = this.driver.getLocation('metadata', this.getMetadataFilename(filename));
 
       // Save the map file with atomic operation
-      const tempFilePath = `${filePath}.tmp`;
-      await fs.writeFile(tempFilePath, buffer);
-      await fs.rename(tempFilePath, filePath);
+      await this.driver.writeFile(type, filename, buffer);
       console.log(`FileStorageService: Map file saved to ${filePath}`);
 
       // Create and save metadata
@@ -206,9 +198,7 @@ class FileStorageService {
       };
 
       // Save metadata atomically
-      const tempMetadataPath = `${metadataPath}.tmp`;
-      await fs.writeFile(tempMetadataPath, JSON.stringify(fileMetadata, null, 2));
-      await fs.rename(tempMetadataPath, metadataPath);
+      await this.writeMetadata(filename, fileMetadata);
       console.log(`FileStorageService: Metadata saved to ${metadataPath}`);
 
       return {
@@ -232,19 +222,11 @@ class FileStorageService {
    */
   async checkStorageSpace(requiredBytes, storageType) {
     try {
-      const dirPath = this.directories[storageType];
-      const stats = await fs.statSync(dirPath);
-      
-      // Get filesystem stats (this is platform dependent)
-      // On most systems, we can check available space
-      const fs_stats = await fs.statvfs ? await fs.statvfs(dirPath) : null;
+      // Free space on the disk holding this storage type (null for buckets and unknown filesystems)
+      const availableBytes = await this.driver.getFreeSpace(storageType);
       
-      if (fs_stats) {
-        const availableBytes = fs_stats.bavail * fs_stats.frsize;
-        
-        if (availableBytes < requiredBytes) {
-          throw new StorageFullError(storageType, availableBytes, requiredBytes);
-        }
+      if (availableBytes !== null && availableBytes < requiredBytes) {
+        throw new StorageFullError(storageType, availableBytes, requiredBytes);
       }
       
       // Additional check: ensure we don't exceed configured limits
@@ -267,9 +249,10 @@ class FileStorageService {
 
   /**
    * Get the URL for accessing a stored file via the web server
+   * The file route checks the owner's session; signedUrlService issues links that work without one
    */
   getFileUrl(filename, type = 'permanent') {
-    return `/generated-maps/${type}/${filename}`;
+    return `/api/maps/files/${type}/${filename}`;
   }
 
   /**
@@ -281,26 +264,22 @@ class FileStorageService {
     }
 
     try {
-      const sourcePath = path.join(this.directories[fromType], filename);
-      const destinationPath = path.join(this.directories[toType], filename);
-      
-      // Check if source file exists
-      await fs.access(sourcePath);
+      this.assertStorageType(fromType);
+      this.assertStorageType(toType);
+
+      const destinationPath = this.driver.getLocation(toType, filename);
       
-      // Move the file
-      await fs.rename(sourcePath, destinationPath);
+      // Move the file (fails with FileNotFoundError when the source is missing)
+      await this.driver.move(fromType, filename, toType);
       
       // Update metadata
-      const metadataFilename = this.getMetadataFilename(filename);
-      const metadataPath = path.join(this.directories.metadata, metadataFilename);
-      
       try {
-        const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+        const metadata = await this.readMetadata(filename);
         metadata.type = toType;
         metadata.originalPath = destinationPath;
         metadata.movedAt = new Date().toISOString();
         
-        await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+        await this.writeMetadata(filename, metadata);
         
         console.log(`FileStorageService: Moved ${filename} from ${fromType} to ${toType}`);
         
@@ -320,6 +299,103 @@ class FileStorageService {
     }
   }
 
+  /**
+   * Move a generated file into quarantine so it can no longer be printed or downloaded
+   * Accepts any file under the generated maps directory (e.g. print-ready output),
+   * and records why it was quarantined in the file's metadata
+   */
+  async quarantineFile(filePath, details = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const sourcePath = path.resolve(filePath);
+    const baseDir = path.resolve(this.baseDir);
+
+    // Only files produced by the app may be moved
+    if (!sourcePath.startsWith(baseDir + path.sep)) {
+      throw new FileAccessDeniedError(filePath, details.userId, { operation: 'quarantineFile' });
+    }
+
+    const parsed = path.parse(sourcePath);
+    const relativeDir = path.relative(baseDir, parsed.dir);
+
+    if (relativeDir === 'quarantine') {
+      console.log(`FileStorageService: ${filePath} is already quarantined`);
+      return { filename: parsed.base, newPath: this.driver.getLocation('quarantine', parsed.base), alreadyQuarantined: true };
+    }
+
+    // Storage types are kept by the driver; other output (e.g. print-ready files) is on the local disk
+    const sourceType = this.directories[relativeDir] && relativeDir !== 'metadata' ? relativeDir : null;
+    const sourceExists = sourceType ?
+      await this.driver.exists(sourceType, parsed.base) :
+      await fs.access(sourcePath).then(() => true, () => false);
+    if (!sourceExists) {
+      throw new FileNotFoundError(sourcePath);
+    }
+
+    // Keep names unique - the same filename can exist in several source directories
+    let filename = parsed.base;
+    if (await this.driver.exists('quarantine', filename)) {
+      filename = `${parsed.name}_${Date.now()}${parsed.ext}`;
+    }
+
+    // Retention is based on mtime, so start the quarantine period now
+    const destinationPath = this.driver.getLocation('quarantine', filename);
+    if (sourceType) {
+      await this.driver.move(sourceType, parsed.base, 'quarantine', filename, { touch: true });
+    } else {
+      await this.driver.importFile(sourcePath, 'quarantine', filename);
+    }
+
+    // Carry over existing metadata when the file was saved through this service
+    // (a record already marked as quarantined belongs to an earlier file with the same name)
+    let metadata = {};
+    try {
+      metadata = await this.readMetadata(parsed.base);
+      if (metadata.type === 'quarantine') {
+        metadata = {};
+      }
+    } catch (error) {
+      // Files rendered outside this service have no metadata yet
+    }
+
+    const quarantineMetadata = {
+      ...metadata,
+      filename,
+      type: 'quarantine',
+      previousType: metadata.type || path.relative(baseDir, parsed.dir) || null,
+      sourcePath,
+      originalPath: destinationPath,
+      status: 'quarantined',
+      quarantinedAt: new Date().toISOString(),
+      quarantineReason: details.reason || 'unspecified',
+      orderId: details.orderId ?? metadata.orderId ?? null,
+      lineItemId: details.lineItemId ?? metadata.lineItemId ?? null,
+      jobId: details.jobId ?? metadata.jobId ?? null
+    };
+
+    const metadataPath = this.driver.getLocation('metadata', this.getMetadataFilename(filename));
+    await this.writeMetadata(filename, quarantineMetadata);
+
+    if (filename !== parsed.base && metadata.filename) {
+      await this.driver.delete('metadata', this.getMetadataFilename(parsed.base)).catch(() => {});
+    }
+
+    console.log(`FileStorageService: Quarantined ${sourcePath}:`, {
+      reason: quarantineMetadata.quarantineReason,
+      orderId: quarantineMetadata.orderId,
+      destination: destinationPath
+    });
+
+    return {
+      filename,
+      newPath: destinationPath,
+      metadataPath,
+      reason: quarantineMetadata.quarantineReason
+    };
+  }
+
   /**
    * Delete a file and its metadata
    */
@@ -334,43 +410,35 @@ class FileStorageService {
         throw new FileValidationError('filename', ['Filename must be a non-empty string']);
       }
 
-      if (!this.directories[type]) {
-        throw new InvalidFileFormatError(type, Object.keys(this.directories), 'storage_type');
-      }
+      this.assertStorageType(type);
 
-      const filePath = path.join(this.directories[type], filename);
+      const filePath = this.driver.getLocation(type, filename);
       const metadataFilename = this.getMetadataFilename(filename);
-      const metadataPath = path.join(this.directories.metadata, metadataFilename);
+      const metadataPath = this.driver.getLocation('metadata', metadataFilename);
 
       // Check if file exists before attempting deletion
-      try {
-        await fs.access(filePath);
-      } catch (error) {
+      if (!(await this.driver.exists(type, filename))) {
         throw new FileNotFoundError(filePath);
       }
 
       // Delete the main file
       try {
-        await fs.unlink(filePath);
+        await this.driver.delete(type, filename);
         console.log(`FileStorageService: Deleted file ${filePath}`);
       } catch (error) {
-        if (error.code === 'ENOENT') {
+        if (error instanceof FileNotFoundError) {
           console.warn(`FileStorageService: File ${filePath} was already deleted`);
         } else {
-          throw FileErrorHandler.handleSystemError(error, {
-            operation: 'deleteFile',
-            filePath,
-            filename
-          });
+          throw error;
         }
       }
 
       // Delete metadata
       try {
-        await fs.unlink(metadataPath);
+        await this.driver.delete('metadata', metadataFilename);
         console.log(`FileStorageService: Deleted metadata ${metadataPath}`);
       } catch (error) {
-        if (error.code !== 'ENOENT') {
+        if (!(error instanceof FileNotFoundError)) {
           console.warn(`FileStorageService: Could not delete metadata ${metadataPath}:`, error.message);
           // Don't throw for metadata deletion failures - the main file is already deleted
         }
@@ -385,6 +453,111 @@ class FileStorageService {
     });
   }
 
+  /**
+   * Find stored files whose metadata ties them to the given users or Shopify orders
+   * @param {Object} criteria - { userIds, orderIds }
+   * @returns {Promise<Array>} [{ filename, type, metadata }]
+   */
+  async findFiles({ userIds = [], orderIds = [] } = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const wantedUsers = new Set(userIds.map(String));
+    const wantedOrders = new Set(orderIds.map(String));
+    const matches = [];
+
+    for (const file of await this.driver.list('metadata')) {
+      if (!file.name.endsWith('_metadata.json')) continue;
+
+      let metadata;
+      try {
+        metadata = JSON.parse((await this.driver.readFile('metadata', file.name)).toString('utf8'));
+      } catch (error) {
+        console.warn(`FileStorageService: Could not read metadata ${file.name}:`, error.message);
+        continue;
+      }
+
+      const ownedByUser = metadata.userId != null && wantedUsers.has(String(metadata.userId));
+      const ownedByOrder = metadata.orderId != null && wantedOrders.has(String(metadata.orderId));
+      if (metadata.filename && (ownedByUser || ownedByOrder)) {
+        matches.push({ filename: metadata.filename, type: metadata.type, metadata });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Permanently remove a stored file and its metadata, tolerating either being gone already
+   * Unlike deleteFile this never throws for missing files, so it can be used for erasure
+   * @returns {Promise<boolean>} Whether the file itself was still there
+   */
+  async purgeFile(filename, type) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    this.assertStorageType(type);
+
+    let existed = true;
+    try {
+      await this.driver.delete(type, filename);
+    } catch (error) {
+      if (!(error instanceof FileNotFoundError)) {
+        throw error;
+      }
+      existed = false;
+    }
+
+    await this.driver.delete('metadata', this.getMetadataFilename(filename)).catch(error => {
+      if (!(error instanceof FileNotFoundError)) {
+        console.warn(`FileStorageService: Could not delete metadata for ${filename}:`, error.message);
+      }
+    });
+
+    console.log(`FileStorageService: Purged ${this.driver.getLocation(type, filename)}`);
+    return existed;
+  }
+
+  /**
+   * Permanently remove a generated file by path, e.g. a job's map or print documents
+   * Accepts any file under the generated maps directory, like quarantineFile
+   * @returns {Promise<boolean>} Whether the file was still there
+   */
+  async purgeGeneratedFile(filePath) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const sourcePath = path.resolve(filePath);
+    const baseDir = path.resolve(this.baseDir);
+
+    // Only files produced by the app may be removed
+    if (!sourcePath.startsWith(baseDir + path.sep)) {
+      throw new FileAccessDeniedError(filePath, null, { operation: 'purgeGeneratedFile' });
+    }
+
+    const parsed = path.parse(sourcePath);
+    const relativeDir = path.relative(baseDir, parsed.dir);
+    if (this.directories[relativeDir] && relativeDir !== 'metadata') {
+      return this.purgeFile(parsed.base, relativeDir);
+    }
+
+    // Other output (e.g. print-ready files) is on the local disk
+    try {
+      await fs.unlink(sourcePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return false;
+    }
+
+    console.log(`FileStorageService: Purged ${sourcePath}`);
+    return true;
+  }
+
   /**
    * Get file metadata
    */
@@ -394,15 +567,11 @@ class FileStorageService {
     }
 
     try {
-      const metadataFilename = this.getMetadataFilename(filename);
-      const metadataPath = path.join(this.directories.metadata, metadataFilename);
-      
-      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      const metadata = await this.readMetadata(filename);
       
       // Add current file stats if file exists
       try {
-        const filePath = path.join(this.directories[metadata.type], filename);
-        const stats = await fs.stat(filePath);
+        const stats = await this.driver.stat(metadata.type, filename);
         metadata.currentSize = stats.size;
         metadata.lastModified = stats.mtime.toISOString();
         metadata.exists = true;
@@ -413,13 +582,65 @@ class FileStorageService {
       return metadata;
 
     } catch (error) {
-      if (error.code === 'ENOENT') {
+      if (error instanceof FileNotFoundError) {
         throw new Error(`Metadata not found for file: ${filename}`);
       }
       throw error;
     }
   }
 
+  /**
+   * Read a map file's metadata record
+   * @throws {FileNotFoundError} When the file has no metadata
+   */
+  async readMetadata(filename) {
+    const data = await this.driver.readFile('metadata', this.getMetadataFilename(filename));
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  /**
+   * Write a map file's metadata record atomically
+   */
+  async writeMetadata(filename, metadata) {
+    await this.driver.writeFile('metadata', this.getMetadataFilename(filename), JSON.stringify(metadata, null, 2));
+  }
+
+  /**
+   * Whether a file exists in a storage type
+   */
+  async fileExists(filename, type) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    this.assertStorageType(type);
+    return this.driver.exists(type, filename);
+  }
+
+  /**
+   * Current size and modification time of a stored file
+   * @returns {Promise<Object>} { size, mtime }
+   */
+  async statFile(filename, type) {
+    this.assertStorageType(type);
+    return this.driver.stat(type, filename);
+  }
+
+  /**
+   * Stream a stored file, optionally a byte range ({ start, end } inclusive)
+   */
+  async createReadStream(filename, type, range = {}) {
+    this.assertStorageType(type);
+    return this.driver.createReadStream(type, filename, range);
+  }
+
+  /**
+   * Location of a stored file (local path or s3:// URL), for logs and metadata
+   */
+  getFileLocation(filename, type) {
+    return this.driver.getLocation(type, filename);
+  }
+
   /**
    * List files in a storage type with optional filtering
    */
@@ -431,11 +652,11 @@ class FileStorageService {
     const { userId, format, limit, offset = 0 } = options;
 
     try {
-      const dirPath = this.directories[type];
-      const files = await fs.readdir(dirPath);
+      this.assertStorageType(type);
+      const files = await this.driver.list(type);
       
       // Filter out non-map files
-      const mapFiles = files.filter(file => 
+      const mapFiles = files.map(file => file.name).filter(file => 
         file.startsWith('map_') && file.endsWith('.png')
       );
 
@@ -494,27 +715,16 @@ class FileStorageService {
       }
     };
 
-    for (const [type, dirPath] of Object.entries(this.directories)) {
+    for (const type of Object.keys(this.directories)) {
       try {
-        const files = await fs.readdir(dirPath);
-        let totalSize = 0;
-        let fileCount = 0;
-
-        for (const file of files) {
-          try {
-            const filePath = path.join(dirPath, file);
-            const stat = await fs.stat(filePath);
-            totalSize += stat.size;
-            fileCount++;
-          } catch (error) {
-            // Skip files that can't be accessed
-          }
-        }
+        const files = await this.driver.list(type);
+        const fileCount = files.length;
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
 
         stats.directories[type] = {
           files: fileCount,
           size: totalSize,
-          path: dirPath
+          path: this.driver.getLocation(type)
         };
 
         stats.total.files += fileCount;
@@ -543,17 +753,11 @@ class FileStorageService {
         throw new FileValidationError('filename', ['Filename must be a non-empty string']);
       }
 
-      if (!this.directories[type]) {
-        throw new InvalidFileFormatError(type, Object.keys(this.directories), 'storage_type');
-      }
-
-      const filePath = path.join(this.directories[type], filename);
+      this.assertStorageType(type);
       
       // Check if file exists
-      try {
-        await fs.access(filePath);
-      } catch (error) {
-        throw new FileNotFoundError(filePath);
+      if (!(await this.driver.exists(type, filename))) {
+        throw new FileNotFoundError(this.driver.getLocation(type, filename));
       }
 
       // Get metadata
@@ -567,12 +771,17 @@ class FileStorageService {
         });
       }
 
-      // Read file and calculate checksum
-      const fileBuffer = await fs.readFile(filePath);
-      const currentChecksum = crypto.createHash('md5').update(fileBuffer).digest('hex');
+      // Stream the file through the checksum so large print files aren't held in memory
+      const hash = crypto.createHash('md5');
+      let size = 0;
+      for await (const chunk of await this.driver.createReadStream(type, filename)) {
+        hash.update(chunk);
+        size += chunk.length;
+      }
+      const currentChecksum = hash.digest('hex');
 
       const isValid = currentChecksum === metadata.checksum;
-      const sizeMatches = fileBuffer.length === metadata.size;
+      const sizeMatches = size === metadata.size;
 
       // If integrity check fails, throw corruption error
       if (!isValid || !sizeMatches) {
@@ -580,7 +789,7 @@ class FileStorageService {
           checksumMismatch: !isValid,
           sizeMismatch: !sizeMatches,
           expected: { checksum: metadata.checksum, size: metadata.size },
-          actual: { checksum: currentChecksum, size: fileBuffer.length }
+          actual: { checksum: currentChecksum, size }
         });
       }
 
@@ -589,7 +798,7 @@ class FileStorageService {
         isValid,
         originalChecksum: metadata.checksum,
         currentChecksum,
-        size: fileBuffer.length,
+        size,
         originalSize: metadata.size,
         verifiedAt: new Date().toISOString()
       };
@@ -601,12 +810,40 @@ class FileStorageService {
     });
   }
 
+  /**
+   * Gzip the map images in a storage type, next to the originals (`<name>.gz` plus `<name>.gz.meta`)
+   */
+  async compressFiles(type, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    this.assertStorageType(type);
+    const files = await this.driver.list(type);
+    const imageFiles = files.map(file => file.name).filter(file => file.endsWith('.png') || file.endsWith('.jpg'));
+
+    return FileCompressionUtils.batchCompressStored(this.driver, type, imageFiles, options);
+  }
+
+  /**
+   * Compression statistics for the gzipped files in a storage type
+   */
+  async getCompressionStats(type) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    this.assertStorageType(type);
+    return FileCompressionUtils.getStoredCompressionStats(this.driver, type);
+  }
+
   /**
    * Get service status
    */
   getStatus() {
     return {
       initialized: this.isInitialized,
+      driver: this.driver.name,
       baseDirectory: this.baseDir,
       directories: this.directories,
       supportedTypes: Object.keys(this.directories).filter(key => key !== 'metadata')
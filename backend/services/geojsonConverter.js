@@ -11,6 +11,7 @@
  * - GeoJSON specification validation
  * - Error handling and data validation
  * - Optimized output for Mapbox GL JS rendering
+ * - Route privacy zones trimming the start/end of the route
  * 
  * SUPPORTED INPUT FORMATS:
  * - GPX parsed data (from gpxTcxParser)
@@ -26,10 +27,11 @@
  */
 
 const { calculateBounds, handleAntimeridianCrossing, handlePolarCoordinates } = require('../utils/dataTransformers');
+const PrivacyZones = require('@print-my-ride/map-engines/privacy-zones');
 
 class GeoJSONConverter {
   constructor() {
-    this.supportedSources = ['gpx', 'tcx', 'strava_polyline', 'coordinates'];
+    this.supportedSources = ['gpx', 'tcx', 'fit', 'strava_polyline', 'coordinates'];
     this.validationRules = {
       maxCoordinates: 50000, // Limit for performance
       minCoordinates: 2,     // Minimum for a valid line
@@ -43,7 +45,7 @@ class GeoJSONConverter {
    * Main entry point for all conversions
    * 
    * @param {Object} routeData - Route data from various sources
-   * @param {Object} options - Conversion options
+   * @param {Object} options - Conversion options (options.privacyZones trims the route ends)
    * @returns {Object} - GeoJSON Feature or FeatureCollection
    */
   async convertToGeoJSON(routeData, options = {}) {
@@ -69,6 +71,9 @@ class GeoJSONConverter {
         case 'tcx':
           geoJSON = this.convertFromTCXData(routeData, options);
           break;
+        case 'fit':
+          geoJSON = this.convertFromFITData(routeData, options);
+          break;
         case 'strava_polyline':
           geoJSON = this.convertFromStravaData(routeData, options);
           break;
@@ -81,6 +86,10 @@ class GeoJSONConverter {
       }
 
       // Apply post-processing
+      if (options.privacyZones) {
+        geoJSON = this.applyPrivacyZones(geoJSON, options.privacyZones);
+      }
+
       if (handleMultiSegment) {
         geoJSON = this.handleMultiSegmentRoutes(geoJSON, options);
       }
@@ -220,6 +229,30 @@ class GeoJSONConverter {
     return feature;
   }
 
+  /**
+   * Convert FIT parsed data to GeoJSON
+   * FIT output shares the TCX activity structure (sport, laps flattened to points)
+   * @param {Object} fitData - Parsed FIT data
+   * @param {Object} options - Conversion options
+   * @returns {Object} - GeoJSON Feature
+   */
+  convertFromFITData(fitData, options = {}) {
+    if (!fitData.coordinates || !Array.isArray(fitData.coordinates)) {
+      throw new Error('Invalid FIT data: missing coordinates array');
+    }
+
+    const feature = this.convertFromTCXData(fitData, options);
+
+    feature.properties.name = fitData.name || 'FIT Activity';
+    feature.properties.source = 'fit';
+    feature.properties.format = 'fit';
+    if (fitData.moving_time) {
+      feature.properties.movingTime = fitData.moving_time;
+    }
+
+    return feature;
+  }
+
   /**
    * Convert Strava polyline/activity data to GeoJSON
    * @param {Object} stravaData - Strava activity or polyline data
@@ -352,6 +385,10 @@ class GeoJSONConverter {
       return this.convertFromTCXData(routeData, options);
     }
     
+    if (routeData.format === 'fit' || routeData.source === 'fit_upload') {
+      return this.convertFromFITData(routeData, options);
+    }
+    
     if (routeData.activity_id || routeData.map || routeData.polyline) {
       return this.convertFromStravaData(routeData, { ...options, source: 'strava_polyline' });
     }
@@ -408,6 +445,39 @@ class GeoJSONConverter {
     };
   }
 
+  /**
+   * Trim the start/end of a LineString route according to the athlete's privacy zones
+   * Bounds and point count are recomputed from the trimmed route; activity totals are kept
+   * @param {Object} geoJSON - GeoJSON Feature
+   * @param {Object} privacyZones - Privacy settings (see PrivacyZones.normalize)
+   * @returns {Object} - GeoJSON Feature with trimmed coordinates
+   */
+  applyPrivacyZones(geoJSON, privacyZones) {
+    const settings = PrivacyZones.normalize(privacyZones);
+    if (!PrivacyZones.isActive(settings) || geoJSON.type !== 'Feature' || geoJSON.geometry.type !== 'LineString') {
+      return geoJSON;
+    }
+
+    const coordinates = PrivacyZones.apply(geoJSON.geometry.coordinates, settings);
+    if (coordinates.length < this.validationRules.minCoordinates) {
+      throw new Error('Route lies entirely within privacy zones');
+    }
+
+    return {
+      ...geoJSON,
+      geometry: {
+        ...geoJSON.geometry,
+        coordinates
+      },
+      properties: {
+        ...geoJSON.properties,
+        totalPoints: coordinates.length,
+        bounds: calculateBounds(coordinates),
+        privacyTrimmed: true
+      }
+    };
+  }
+
   /**
    * Optimize GeoJSON for Mapbox GL JS rendering
    * @param {Object} geoJSON - GeoJSON object
@@ -559,7 +629,8 @@ class GeoJSONConverter {
       'skiing': 'skiing',
       'gpx track': 'gpx',
       'gpx route': 'gpx',
-      'tcx activity': 'activity'
+      'tcx activity': 'activity',
+      'fit activity': 'activity'
     };
 
     return typeMap[normalized] || normalized;
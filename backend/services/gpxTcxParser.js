@@ -1,13 +1,14 @@
 /**
- * GPX/TCX Parser Service
+ * GPX/TCX/FIT Parser Service
  * 
- * This service provides robust parsing capabilities for GPX and TCX file formats.
+ * This service provides robust parsing capabilities for GPX, TCX and FIT file formats.
  * It extracts coordinate data, timestamps, elevation, and metadata from uploaded
  * route files, handling various format versions and malformed data gracefully.
  * 
  * FEATURES:
  * - Support for GPX 1.0 and 1.1 formats
  * - Support for TCX (Training Center XML) format
+ * - Support for FIT (Garmin/ANT+ binary) activity files
  * - Robust error handling for malformed files
  * - Extraction of coordinates, elevation, timestamps, and metadata
  * - Data validation and integrity checks
@@ -17,6 +18,7 @@
  * - xml2js: For XML parsing
  * - xmldom: For DOM manipulation
  * - @mapbox/togeojson: For GPX to GeoJSON conversion
+ * - FIT files are decoded natively (no external dependency)
  */
 
 const togeojson = require('@mapbox/togeojson');
@@ -24,9 +26,51 @@ const xml2js = require('xml2js');
 const { DOMParser } = require('xmldom');
 const geojsonConverter = require('./geojsonConverter');
 
+// FIT protocol constants
+const FIT_EPOCH_OFFSET = 631065600; // Seconds between Unix epoch and FIT epoch (1989-12-31T00:00:00Z)
+const FIT_SEMICIRCLES_TO_DEGREES = 180 / Math.pow(2, 31);
+const FIT_MESSAGES = {
+  FILE_ID: 0,
+  SESSION: 18,
+  RECORD: 20
+};
+const FIT_SPORTS = {
+  0: 'Generic',
+  1: 'Running',
+  2: 'Cycling',
+  4: 'Fitness Equipment',
+  5: 'Swimming',
+  10: 'Training',
+  11: 'Walking',
+  12: 'Cross Country Skiing',
+  13: 'Alpine Skiing',
+  15: 'Rowing',
+  16: 'Mountaineering',
+  17: 'Hiking',
+  21: 'E-Biking'
+};
+
+// FIT base types keyed by the low 5 bits of the base type byte
+const FIT_BASE_TYPES = {
+  0x00: { size: 1, read: 'readUInt8', invalid: 0xFF },          // enum
+  0x01: { size: 1, read: 'readInt8', invalid: 0x7F },           // sint8
+  0x02: { size: 1, read: 'readUInt8', invalid: 0xFF },          // uint8
+  0x03: { size: 2, read: 'readInt16', invalid: 0x7FFF },        // sint16
+  0x04: { size: 2, read: 'readUInt16', invalid: 0xFFFF },       // uint16
+  0x05: { size: 4, read: 'readInt32', invalid: 0x7FFFFFFF },    // sint32
+  0x06: { size: 4, read: 'readUInt32', invalid: 0xFFFFFFFF },   // uint32
+  0x07: { size: 1, read: 'string', invalid: null },             // string
+  0x08: { size: 4, read: 'readFloat', invalid: null },          // float32
+  0x09: { size: 8, read: 'readDouble', invalid: null },         // float64
+  0x0A: { size: 1, read: 'readUInt8', invalid: 0x00 },          // uint8z
+  0x0B: { size: 2, read: 'readUInt16', invalid: 0x0000 },       // uint16z
+  0x0C: { size: 4, read: 'readUInt32', invalid: 0x00000000 },   // uint32z
+  0x0D: { size: 1, read: 'readUInt8', invalid: 0xFF }           // byte
+};
+
 class GPXTCXParser {
   constructor() {
-    this.supportedFormats = ['gpx', 'tcx'];
+    this.supportedFormats = ['gpx', 'tcx', 'fit'];
     this.xml2jsParser = new xml2js.Parser({ 
       explicitArray: false,
       ignoreAttrs: false,
@@ -251,6 +295,382 @@ class GPXTCXParser {
     }
   }
 
+  /**
+   * Parse FIT file and extract route data
+   * Produces the same normalized structure as the GPX/TCX parsers
+   * @param {Buffer} buffer - File buffer
+   * @param {string} filename - Original filename
+   * @returns {Promise<Object>} - Parsed route data
+   */
+  async parseFITFile(buffer, filename) {
+    try {
+      // Validate FIT format
+      if (!this.validateFITFormat(buffer)) {
+        throw new Error('Invalid FIT file format');
+      }
+
+      const messages = this.decodeFITMessages(buffer);
+
+      const coordinates = [];
+      const elevation = [];
+      const timestamps = [];
+
+      messages.records.forEach(record => {
+        if (record.position_lat === undefined || record.position_long === undefined) {
+          return; // Indoor or GPS-less samples
+        }
+
+        const lat = record.position_lat * FIT_SEMICIRCLES_TO_DEGREES;
+        const lng = record.position_long * FIT_SEMICIRCLES_TO_DEGREES;
+
+        if (isNaN(lat) || isNaN(lng)) {
+          return;
+        }
+
+        coordinates.push([lat, lng]);
+
+        // Prefer enhanced altitude (higher range) over the legacy field
+        const rawAltitude = record.enhanced_altitude !== undefined ? record.enhanced_altitude : record.altitude;
+        if (rawAltitude !== undefined) {
+          const alt = rawAltitude / 5 - 500;
+          elevation.push({
+            index: coordinates.length - 1,
+            elevation_meters: alt,
+            elevation_feet: alt * 3.28084
+          });
+        }
+
+        if (record.timestamp !== undefined) {
+          const isoString = new Date((record.timestamp + FIT_EPOCH_OFFSET) * 1000).toISOString();
+          timestamps.push({
+            index: coordinates.length - 1,
+            timestamp: isoString,
+            iso_string: isoString
+          });
+        }
+      });
+
+      if (coordinates.length === 0) {
+        throw new Error('No coordinate data found in FIT file');
+      }
+
+      // Validate extracted data
+      if (!this.validateCoordinateData(coordinates)) {
+        throw new Error('Invalid coordinate data extracted from FIT file');
+      }
+
+      const metadata = this.extractFITMetadata(messages, filename);
+
+      const resultData = {
+        id: `fit_${Date.now()}`,
+        name: metadata.name,
+        description: metadata.description,
+        type: metadata.type,
+        source: 'fit_upload',
+        format: 'fit',
+        coordinates: coordinates,
+        elevation: elevation,
+        timestamps: timestamps,
+        distance: this.calculateDistance(coordinates),
+        total_elevation_gain: this.calculateElevationGain(elevation),
+        moving_time: metadata.moving_time,
+        bounds: this.calculateBounds(coordinates),
+        metadata: {
+          ...metadata,
+          total_points: coordinates.length,
+          has_elevation: elevation.length > 0,
+          has_timestamps: timestamps.length > 0,
+          filename: filename
+        }
+      };
+
+      return this.standardizeOutputFormat(resultData);
+
+    } catch (error) {
+      return this.handleParsingError(error, 'FIT', filename);
+    }
+  }
+
+  /**
+   * Decode the messages of a FIT file needed for route extraction
+   * Handles definition/data messages, compressed timestamp headers,
+   * developer fields, big/little endian architectures and chained FIT files
+   * @param {Buffer} buffer - FIT file buffer
+   * @returns {Object} - { fileId, sessions, records }
+   */
+  decodeFITMessages(buffer) {
+    const result = { fileId: null, sessions: [], records: [] };
+    let fileOffset = 0;
+
+    // A single .fit upload may contain several chained FIT files
+    while (fileOffset + 12 <= buffer.length) {
+      const headerSize = buffer.readUInt8(fileOffset);
+      const dataSize = buffer.readUInt32LE(fileOffset + 4);
+      const dataStart = fileOffset + headerSize;
+      const dataEnd = dataStart + dataSize;
+
+      if (buffer.toString('ascii', fileOffset + 8, fileOffset + 12) !== '.FIT') {
+        if (fileOffset === 0) {
+          throw new Error('FIT parsing failed - missing .FIT signature');
+        }
+        break; // Trailing padding after the last chained file
+      }
+
+      if (dataEnd + 2 > buffer.length) {
+        throw new Error('FIT parsing failed - malformed FIT file (truncated data)');
+      }
+
+      const storedCRC = buffer.readUInt16LE(dataEnd);
+      if (storedCRC !== 0 && storedCRC !== this.calculateFITCRC(buffer, fileOffset, dataEnd)) {
+        throw new Error('FIT parsing failed - malformed FIT file (CRC mismatch)');
+      }
+
+      this.decodeFITDataRecords(buffer, dataStart, dataEnd, result);
+      fileOffset = dataEnd + 2;
+    }
+
+    return result;
+  }
+
+  /**
+   * Decode the data records section of a single FIT file
+   * @param {Buffer} buffer - FIT file buffer
+   * @param {number} start - Offset of the first record
+   * @param {number} end - Offset after the last record
+   * @param {Object} result - Accumulator for decoded messages
+   */
+  decodeFITDataRecords(buffer, start, end, result) {
+    const definitions = {};
+    let lastTimestamp = null;
+    let offset = start;
+
+    while (offset < end) {
+      const recordHeader = buffer.readUInt8(offset);
+      offset += 1;
+
+      let localType;
+      let isDefinition = false;
+      let hasDeveloperData = false;
+      let compressedTimeOffset = null;
+
+      if (recordHeader & 0x80) {
+        // Compressed timestamp header - always a data message
+        localType = (recordHeader >> 5) & 0x03;
+        compressedTimeOffset = recordHeader & 0x1F;
+      } else {
+        localType = recordHeader & 0x0F;
+        isDefinition = (recordHeader & 0x40) !== 0;
+        hasDeveloperData = (recordHeader & 0x20) !== 0;
+      }
+
+      if (isDefinition) {
+        const littleEndian = buffer.readUInt8(offset + 1) === 0;
+        const globalMessage = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+        const fieldCount = buffer.readUInt8(offset + 4);
+        offset += 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+          fields.push({
+            number: buffer.readUInt8(offset),
+            size: buffer.readUInt8(offset + 1),
+            baseType: buffer.readUInt8(offset + 2) & 0x1F
+          });
+          offset += 3;
+        }
+
+        let developerDataSize = 0;
+        if (hasDeveloperData) {
+          const developerFieldCount = buffer.readUInt8(offset);
+          offset += 1;
+          for (let i = 0; i < developerFieldCount; i++) {
+            developerDataSize += buffer.readUInt8(offset + 1);
+            offset += 3;
+          }
+        }
+
+        definitions[localType] = { littleEndian, globalMessage, fields, developerDataSize };
+        continue;
+      }
+
+      const definition = definitions[localType];
+      if (!definition) {
+        throw new Error(`FIT parsing failed - malformed FIT file (no definition for local message ${localType})`);
+      }
+
+      const message = {};
+      for (const field of definition.fields) {
+        const value = this.readFITFieldValue(buffer, offset, field, definition.littleEndian);
+        if (value !== null) {
+          message[field.number] = value;
+        }
+        offset += field.size;
+      }
+      offset += definition.developerDataSize;
+
+      // Track timestamps so compressed headers can be resolved
+      if (message[253] !== undefined) {
+        lastTimestamp = message[253];
+      } else if (compressedTimeOffset !== null && lastTimestamp !== null) {
+        const rollover = compressedTimeOffset >= (lastTimestamp & 0x1F) ? 0 : 0x20;
+        lastTimestamp = (lastTimestamp & ~0x1F) + compressedTimeOffset + rollover;
+        message[253] = lastTimestamp;
+      }
+
+      switch (definition.globalMessage) {
+        case FIT_MESSAGES.RECORD:
+          result.records.push({
+            timestamp: message[253],
+            position_lat: message[0],
+            position_long: message[1],
+            altitude: message[2],
+            heart_rate: message[3],
+            cadence: message[4],
+            distance: message[5],
+            speed: message[6],
+            enhanced_speed: message[73],
+            enhanced_altitude: message[78]
+          });
+          break;
+        case FIT_MESSAGES.SESSION:
+          result.sessions.push({
+            start_time: message[2],
+            sport: message[5],
+            total_elapsed_time: message[7],
+            total_timer_time: message[8],
+            total_distance: message[9],
+            total_ascent: message[22]
+          });
+          break;
+        case FIT_MESSAGES.FILE_ID:
+          if (!result.fileId) {
+            result.fileId = {
+              type: message[0],
+              manufacturer: message[1],
+              product: message[2],
+              time_created: message[4]
+            };
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Read a single FIT field value, returning null for invalid/unsupported values
+   * Array fields return their first element
+   * @param {Buffer} buffer - FIT file buffer
+   * @param {number} offset - Field offset
+   * @param {Object} field - Field definition { size, baseType }
+   * @param {boolean} littleEndian - Message architecture
+   * @returns {number|string|null} - Decoded value
+   */
+  readFITFieldValue(buffer, offset, field, littleEndian) {
+    const baseType = FIT_BASE_TYPES[field.baseType];
+    if (!baseType || field.size < baseType.size) {
+      return null;
+    }
+
+    if (baseType.read === 'string') {
+      const raw = buffer.toString('utf8', offset, offset + field.size);
+      const terminated = raw.split('\0')[0];
+      return terminated.length > 0 ? terminated : null;
+    }
+
+    const method = baseType.size === 1 ? baseType.read : `${baseType.read}${littleEndian ? 'LE' : 'BE'}`;
+    const value = buffer[method](offset);
+
+    if (value === baseType.invalid || (typeof value === 'number' && isNaN(value))) {
+      return null;
+    }
+
+    return value;
+  }
+
+  /**
+   * Calculate the FIT CRC-16 over a buffer range
+   * @param {Buffer} buffer - FIT file buffer
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @returns {number} - CRC value
+   */
+  calculateFITCRC(buffer, start, end) {
+    const crcTable = [
+      0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+      0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+    ];
+
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+      const byte = buffer[i];
+      let tmp = crcTable[crc & 0xF];
+      crc = (crc >> 4) & 0x0FFF;
+      crc = crc ^ tmp ^ crcTable[byte & 0xF];
+      tmp = crcTable[crc & 0xF];
+      crc = (crc >> 4) & 0x0FFF;
+      crc = crc ^ tmp ^ crcTable[(byte >> 4) & 0xF];
+    }
+
+    return crc;
+  }
+
+  /**
+   * Validate FIT file format
+   * @param {Buffer} buffer - File buffer
+   * @returns {boolean} - True if valid FIT format
+   */
+  validateFITFormat(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 14) {
+      return false;
+    }
+
+    const headerSize = buffer.readUInt8(0);
+    return (headerSize === 12 || headerSize === 14) &&
+           buffer.toString('ascii', 8, 12) === '.FIT';
+  }
+
+  /**
+   * Extract metadata from decoded FIT messages
+   * @param {Object} messages - Decoded FIT messages
+   * @param {string} filename - Original filename
+   * @returns {Object} - Extracted metadata
+   */
+  extractFITMetadata(messages, filename) {
+    const metadata = {
+      name: filename.replace(/\.[^/.]+$/, ''),
+      description: '',
+      type: 'FIT Activity',
+      sport: 'Unknown',
+      created_at: null,
+      moving_time: 0
+    };
+
+    const session = messages.sessions[0];
+    const startTime = session?.start_time ?? messages.fileId?.time_created ?? messages.records[0]?.timestamp;
+
+    if (session && FIT_SPORTS[session.sport]) {
+      metadata.sport = FIT_SPORTS[session.sport];
+      metadata.type = `${metadata.sport} Activity`;
+    }
+
+    if (startTime !== undefined && startTime !== null) {
+      metadata.created_at = new Date((startTime + FIT_EPOCH_OFFSET) * 1000).toISOString();
+      metadata.name = `${metadata.sport} - ${new Date(metadata.created_at).toLocaleDateString()}`;
+    }
+
+    if (session) {
+      // Session times are stored in milliseconds, distance in centimeters
+      metadata.moving_time = session.total_timer_time ? Math.round(session.total_timer_time / 1000) : 0;
+      metadata.elapsed_time = session.total_elapsed_time ? Math.round(session.total_elapsed_time / 1000) : 0;
+      metadata.device_distance = session.total_distance ? session.total_distance / 100 : null;
+      metadata.device_elevation_gain = session.total_ascent ?? null;
+    }
+
+    return metadata;
+  }
+
   /**
    * Validate GPX file format
    * @param {string} content - File content
@@ -584,7 +1004,7 @@ class GPXTCXParser {
   /**
    * Handle parsing errors with detailed error information
    * @param {Error} error - Original error
-   * @param {string} format - File format (GPX or TCX)
+   * @param {string} format - File format (GPX, TCX or FIT)
    * @param {string} filename - Original filename
    * @returns {Object} - Error response
    */
@@ -603,14 +1023,16 @@ class GPXTCXParser {
     };
 
     // Provide more specific error guidance
-    if (error.message.includes('malformed') || error.message.includes('XML parsing failed')) {
+    if (format === 'FIT' && (error.message.includes('malformed') || error.message.includes('FIT parsing failed') || error.message.includes('out of range'))) {
+      errorResponse.error.suggestion = 'The FIT file appears to be corrupted or incomplete. Please try copying the activity from your device again.';
+    } else if (error.message.includes('malformed') || error.message.includes('XML parsing failed')) {
       errorResponse.error.suggestion = 'The file appears to be corrupted or not a valid XML format. Please try re-exporting the file from your GPS device or application.';
     } else if (error.message.includes('No track') || error.message.includes('No coordinate data')) {
       errorResponse.error.suggestion = 'The file does not contain any route or track data. Please ensure the file was exported with GPS coordinates.';
     } else if (error.message.includes('Invalid coordinate data')) {
       errorResponse.error.suggestion = 'The coordinate data in the file is invalid or corrupted. Please check the file integrity.';
     } else {
-      errorResponse.error.suggestion = 'Please ensure the file is a valid GPX or TCX format exported from a GPS device or fitness application.';
+      errorResponse.error.suggestion = 'Please ensure the file is a valid GPX, TCX or FIT format exported from a GPS device or fitness application.';
     }
 
     throw errorResponse;
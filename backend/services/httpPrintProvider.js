@@ -0,0 +1,159 @@
+/**
+ * HTTP Print Provider
+ * Sends print orders to a print-on-demand lab's REST API:
+ * - POST   <apiUrl>/orders              Create an order (Idempotency-Key: submission reference)
+ * - GET    <apiUrl>/orders/<id>         Order status and shipments
+ * - POST   <apiUrl>/orders/<id>/cancel  Cancel an order that has not shipped
+ * Requests carry `Authorization: Bearer <apiKey>`. Orders and callbacks are JSON
+ * ({ id, status, shipments: [{ carrier, trackingNumber, trackingUrl }] }); callbacks are
+ * signed with `X-Print-Lab-Signature: sha256=<hex HMAC-SHA256 of the body>` using callbackSecret.
+ *
+ * The lab's own status names are mapped onto the normalized statuses; statusMap adds
+ * or overrides names for a particular lab.
+ *
+ * Implements the print provider interface described in printProviders.js.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { PrintProviderError } = require('../utils/printProviderErrors');
+
+const DEFAULT_STATUS_MAP = {
+  received: 'submitted',
+  accepted: 'submitted',
+  submitted: 'submitted',
+  pending: 'submitted',
+  printing: 'in_production',
+  production: 'in_production',
+  in_production: 'in_production',
+  packed: 'in_production',
+  shipped: 'shipped',
+  dispatched: 'shipped',
+  delivered: 'shipped',
+  cancelled: 'cancelled',
+  canceled: 'cancelled',
+  failed: 'failed',
+  rejected: 'failed',
+  error: 'failed'
+};
+
+class HttpPrintProvider {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.apiUrl = options.apiUrl.replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.callbackSecret = options.callbackSecret || null;
+    this.timeout = options.timeout || 30000;
+    this.statusMap = { ...DEFAULT_STATUS_MAP, ...(options.statusMap || {}) };
+  }
+
+  async submitOrder(submission) {
+    const response = await this.request('POST', '/orders', {
+      data: {
+        reference: submission.reference,
+        name: submission.orderName,
+        items: [{
+          fileUrl: submission.file.url,
+          fileFormat: submission.file.format,
+          size: submission.printSize,
+          orientation: submission.orientation,
+          paper: submission.paper,
+          quantity: submission.quantity
+        }],
+        shippingAddress: submission.shippingAddress,
+        email: submission.email,
+        callbackUrl: submission.callbackUrl
+      },
+      headers: { 'Idempotency-Key': submission.reference }
+    });
+
+    return { providerOrderId: String(response.data.id), status: this.normalizeStatus(response.data.status) };
+  }
+
+  async getOrderStatus(providerOrderId) {
+    const response = await this.request('GET', `/orders/${encodeURIComponent(providerOrderId)}`);
+    return this.toOrderStatus(response.data);
+  }
+
+  async cancelOrder(providerOrderId) {
+    const response = await this.request('POST', `/orders/${encodeURIComponent(providerOrderId)}/cancel`);
+    return { providerOrderId, status: this.normalizeStatus(response.data?.status) || 'cancelled' };
+  }
+
+  async parseCallback({ headers = {}, rawBody = '' }) {
+    if (!this.callbackSecret) {
+      throw new PrintProviderError('Print lab callbacks need PRINT_LAB_CALLBACK_SECRET', 'CALLBACKS_DISABLED');
+    }
+
+    const expected = `sha256=${crypto.createHmac('sha256', this.callbackSecret).update(rawBody).digest('hex')}`;
+    const received = String(headers['x-print-lab-signature'] || '');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))) {
+      throw new PrintProviderError('Invalid print lab callback signature', 'INVALID_SIGNATURE');
+    }
+
+    try {
+      return this.toOrderStatus(JSON.parse(rawBody));
+    } catch (error) {
+      throw new PrintProviderError('Print lab callback is not valid JSON', 'INVALID_CALLBACK');
+    }
+  }
+
+  toOrderStatus(order = {}) {
+    return {
+      providerOrderId: String(order.id),
+      status: this.normalizeStatus(order.status),
+      shipments: (order.shipments || []).map(shipment => ({
+        carrier: shipment.carrier || null,
+        trackingNumber: shipment.trackingNumber || null,
+        trackingUrl: shipment.trackingUrl || null
+      }))
+    };
+  }
+
+  /**
+   * Map a lab status onto a normalized one; null when the status is unknown
+   */
+  normalizeStatus(status) {
+    return this.statusMap[String(status || '').toLowerCase()] || null;
+  }
+
+  async request(method, endpoint, { data, headers = {} } = {}) {
+    let response;
+    try {
+      response = await axios({
+        method,
+        url: `${this.apiUrl}${endpoint}`,
+        data,
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+          Accept: 'application/json',
+          ...headers
+        },
+        timeout: this.timeout,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw new PrintProviderError(`Print lab request failed: ${error.message}`, 'REQUEST_FAILED', { retryable: true });
+    }
+
+    if (response.status >= 300) {
+      const message = response.data?.error || response.data?.message || `HTTP ${response.status}`;
+      throw new PrintProviderError(`Print lab ${method} ${endpoint} failed: ${message}`,
+        response.status === 404 ? 'ORDER_NOT_FOUND' : 'REQUEST_FAILED', {
+          status: response.status,
+          retryable: response.status === 429 || response.status >= 500
+        });
+    }
+    return response;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      apiUrl: this.apiUrl,
+      callbacks: Boolean(this.callbackSecret)
+    };
+  }
+}
+
+module.exports = HttpPrintProvider;
@@ -0,0 +1,169 @@
+/**
+ * Local Storage Driver
+ * Stores generated files on the local filesystem, one directory per storage type
+ * (generated-maps/permanent, generated-maps/temporary, ...)
+ *
+ * Implements the storage driver interface described in storageDrivers.js.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { FileNotFoundError, FileErrorHandler } = require('../utils/fileErrors');
+
+class LocalStorageDriver {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.baseDir = path.resolve(options.baseDir);
+  }
+
+  /**
+   * Create the directory for each storage type
+   */
+  async initialize(types) {
+    for (const type of types) {
+      await fs.mkdir(this.getPath(type), { recursive: true });
+    }
+  }
+
+  getPath(type, name = '') {
+    return path.join(this.baseDir, type, name);
+  }
+
+  /**
+   * Local path of a file (or of a storage type's directory)
+   */
+  getLocation(type, name = '') {
+    return this.getPath(type, name);
+  }
+
+  /**
+   * Write a file atomically (temp file + rename)
+   */
+  async writeFile(type, name, data) {
+    const filePath = this.getPath(type, name);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async readFile(type, name) {
+    try {
+      return await fs.readFile(this.getPath(type, name));
+    } catch (error) {
+      throw this.toFileError(error, 'readFile', type, name);
+    }
+  }
+
+  /**
+   * Open a read stream, optionally for a byte range ({ start, end } inclusive)
+   */
+  async createReadStream(type, name, range = {}) {
+    await this.stat(type, name);
+    return fsSync.createReadStream(this.getPath(type, name), range);
+  }
+
+  /**
+   * @returns {Promise<Object>} { size, mtime }
+   */
+  async stat(type, name) {
+    try {
+      const stats = await fs.stat(this.getPath(type, name));
+      return { size: stats.size, mtime: stats.mtime };
+    } catch (error) {
+      throw this.toFileError(error, 'stat', type, name);
+    }
+  }
+
+  async exists(type, name) {
+    try {
+      await fs.access(this.getPath(type, name));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * List the files stored under a type
+   * @returns {Promise<Array>} [{ name, size, mtime }]
+   */
+  async list(type) {
+    const dirPath = this.getPath(type);
+    const files = [];
+
+    for (const name of await fs.readdir(dirPath)) {
+      try {
+        const stats = await fs.stat(path.join(dirPath, name));
+        if (stats.isFile()) {
+          files.push({ name, size: stats.size, mtime: stats.mtime });
+        }
+      } catch (error) {
+        // Removed while listing
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Move a file between storage types
+   * With touch, the file's modification time (used for retention) restarts at the move
+   */
+  async move(fromType, name, toType, toName = name, { touch = false } = {}) {
+    const sourcePath = this.getPath(fromType, name);
+    const destinationPath = this.getPath(toType, toName);
+
+    try {
+      await fs.rename(sourcePath, destinationPath);
+    } catch (error) {
+      throw this.toFileError(error, 'move', fromType, name);
+    }
+
+    if (touch) {
+      const now = new Date();
+      await fs.utimes(destinationPath, now, now);
+    }
+  }
+
+  /**
+   * Move a file from elsewhere on the local disk (e.g. print output) into storage
+   * The file's modification time restarts at the import
+   */
+  async importFile(sourcePath, type, name) {
+    const destinationPath = this.getPath(type, name);
+    await fs.rename(sourcePath, destinationPath);
+
+    const now = new Date();
+    await fs.utimes(destinationPath, now, now);
+  }
+
+  async delete(type, name) {
+    try {
+      await fs.unlink(this.getPath(type, name));
+    } catch (error) {
+      throw this.toFileError(error, 'delete', type, name);
+    }
+  }
+
+  /**
+   * Free bytes on the disk holding a storage type, or null when unknown
+   */
+  async getFreeSpace(type) {
+    if (typeof fs.statfs !== 'function') {
+      return null;
+    }
+
+    const stats = await fs.statfs(this.getPath(type));
+    return stats.bavail * stats.bsize;
+  }
+
+  toFileError(error, operation, type, name) {
+    if (error.code === 'ENOENT') {
+      return new FileNotFoundError(this.getPath(type, name));
+    }
+    return FileErrorHandler.handleSystemError(error, { operation, filePath: this.getPath(type, name) });
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -16,8 +16,8 @@ const path = require('path');
 const crypto = require('crypto');
 
 class MapConfigurationService {
-  constructor() {
-    this.basePath = path.join(__dirname, '..', 'map-configurations');
+  constructor(options = {}) {
+    this.basePath = options.basePath || path.join(__dirname, '..', 'map-configurations');
     this.activePath = path.join(this.basePath, 'active');
     this.processedPath = path.join(this.basePath, 'processed');
     this.failedPath = path.join(this.basePath, 'failed');
@@ -299,6 +299,32 @@ class MapConfigurationService {
     }
   }
 
+  /**
+   * Find configurations in every folder by configuration ID or owning user (Strava athlete ID)
+   * @param {Object} criteria - { configurationIds, userIds }
+   * @returns {Promise<Array>} [{ configId, folder, configuration }]
+   */
+  async findConfigurations({ configurationIds = [], userIds = [] } = {}) {
+    await this.initialize();
+
+    const wantedIds = new Set(configurationIds.map(String));
+    const wantedUsers = new Set(userIds.map(String));
+    const matches = [];
+
+    for (const folder of ['active', 'processed', 'failed']) {
+      for (const configId of await this.listConfigurations(folder)) {
+        const configuration = await this.loadConfiguration(configId, folder).catch(() => null);
+        const userId = configuration?.mapConfiguration?.userId;
+
+        if (wantedIds.has(configId) || (userId !== undefined && wantedUsers.has(String(userId)))) {
+          matches.push({ configId, folder, configuration });
+        }
+      }
+    }
+
+    return matches;
+  }
+
   /**
    * Cleanup old configurations
    */
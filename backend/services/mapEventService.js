@@ -9,10 +9,10 @@ const path = require('path');
 const config = require('../config');
 
 class MapEventService {
-  constructor() {
+  constructor(options = {}) {
     this.appConfig = config.getConfig();
-    this.eventLogPath = path.join(__dirname, '..', 'logs', 'map-events.log');
-    this.analyticsPath = path.join(__dirname, '..', 'logs', 'map-analytics.json');
+    this.eventLogPath = options.eventLogPath || path.join(__dirname, '..', 'logs', 'map-events.log');
+    this.analyticsPath = options.analyticsPath || path.join(__dirname, '..', 'logs', 'map-analytics.json');
     this.isInitialized = false;
     
     // In-memory event buffer for performance
@@ -385,6 +385,84 @@ class MapEventService {
     return recommendations;
   }
 
+  /**
+   * Get every logged event and analytics session recorded for the given users
+   * @param {Array} userIds - Strava athlete IDs
+   * @returns {Promise<Object>} { events, sessions }
+   */
+  async getUserEvents(userIds) {
+    const wanted = new Set(userIds.map(String));
+    const isWanted = entry => entry.userId !== null && entry.userId !== undefined && wanted.has(String(entry.userId));
+
+    const logged = (await this.readEventLog()).filter(isWanted);
+    const buffered = this.eventBuffer.filter(isWanted);
+    const sessions = Object.values(this.analytics.userSessions).filter(isWanted);
+
+    return { events: [...logged, ...buffered], sessions };
+  }
+
+  /**
+   * Remove the given users' events from the event log and the analytics sessions
+   * Aggregate counters carry no user data and are kept.
+   * @param {Array} userIds - Strava athlete IDs
+   * @returns {Promise<Object>} { events, sessions } number of records removed
+   */
+  async deleteUserEvents(userIds) {
+    const wanted = new Set(userIds.map(String));
+    const isWanted = entry => entry.userId !== null && entry.userId !== undefined && wanted.has(String(entry.userId));
+
+    // Write buffered events out first so the log is the only place left to filter
+    await this.flushEventBuffer();
+
+    const logged = await this.readEventLog();
+    const kept = logged.filter(entry => !isWanted(entry));
+    const removedEvents = logged.length - kept.length;
+    if (removedEvents > 0) {
+      // Rewrite atomically so a crash never leaves a truncated log behind
+      const tempFile = `${this.eventLogPath}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+      await fs.rename(tempFile, this.eventLogPath);
+    }
+
+    let removedSessions = 0;
+    for (const [key, session] of Object.entries(this.analytics.userSessions)) {
+      if (isWanted(session)) {
+        delete this.analytics.userSessions[key];
+        removedSessions++;
+      }
+    }
+    if (removedSessions > 0) {
+      await this.saveAnalytics();
+    }
+
+    console.log('MapEventService: Deleted user events:', { events: removedEvents, sessions: removedSessions });
+    return { events: removedEvents, sessions: removedSessions };
+  }
+
+  /**
+   * Read the event log, skipping lines that can't be parsed
+   */
+  async readEventLog() {
+    let content;
+    try {
+      content = await fs.readFile(this.eventLogPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return content.split('\n').filter(Boolean).reduce((entries, line) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn('MapEventService: Skipping unreadable event log line');
+      }
+      return entries;
+    }, []);
+  }
+
   /**
    * Clear old analytics data
    */
@@ -11,6 +11,16 @@ const fsPromises = require('fs').promises;
 const sharp = require('sharp');
 const fetch = require('node-fetch');
 const config = require('../config');
+const BrowserPool = require('./browserPool');
+const { createTileSource } = require('./tileSources');
+
+// Typography layout shared with the theme, so print text matches the approved preview
+const POSTER_TYPOGRAPHY_PATH = require.resolve('@print-my-ride/map-engines/poster-typography');
+const PosterTypography = require(POSTER_TYPOGRAPHY_PATH);
+const PosterElevationProfile = require('@print-my-ride/map-engines/poster-elevation-profile');
+const PrivacyZones = require('@print-my-ride/map-engines/privacy-zones');
+const RouteColorMetrics = require('@print-my-ride/map-engines/route-color-metrics');
+let posterTypographySource = null;
 
 /**
  * Resolution Management System
@@ -287,9 +297,22 @@ class ResolutionManager {
 class MapService {
   constructor() {
     this.appConfig = config.getConfig();
-    this.browser = null;
     this.isInitialized = false;
     this.resolutionManager = new ResolutionManager();
+
+    // Renders run on pooled browser pages (config.renderPool)
+    this.renderPool = new BrowserPool({
+      launchBrowser: () => this.launchBrowserWithRetries(),
+      verifyHealth: browser => this.verifyBrowserHealth(browser),
+      closeBrowser: browser => this.safeBrowserClose(browser)
+    });
+  }
+
+  /**
+   * A connected browser from the render pool, or null before initialization
+   */
+  get browser() {
+    return this.renderPool.getBrowser();
   }
 
   /**
@@ -366,20 +389,29 @@ class MapService {
   }
 
   /**
-   * Initialize Puppeteer browser instance with macOS ARM64 optimizations
+   * Initialize the render pool, making sure at least one browser is running
    */
   async initialize() {
-    if (this.isInitialized && this.browser && this.browser.isConnected()) {
+    if (this.isInitialized && this.browser) {
       return this;
     }
 
-    // Clean up any existing browser instance
-    if (this.browser) {
-      await this.safeBrowserClose(this.browser);
-      this.browser = null;
+    try {
+      await this.renderPool.warmUp();
+    } catch (error) {
       this.isInitialized = false;
+      throw error;
     }
 
+    this.isInitialized = true;
+    console.log('MapService: Browser initialized successfully');
+    return this;
+  }
+
+  /**
+   * Launch a browser for the render pool with macOS ARM64 optimizations, retrying with backoff
+   */
+  async launchBrowserWithRetries() {
     const maxRetries = 3;
     let lastError;
 
@@ -389,10 +421,7 @@ class MapService {
         
         const browser = await this.launchBrowserWithRetry(attempt);
         if (browser) {
-          this.browser = browser;
-          this.isInitialized = true;
-          console.log('MapService: Browser initialized successfully');
-          return this;
+          return browser;
         }
       } catch (error) {
         lastError = error;
@@ -407,8 +436,6 @@ class MapService {
     }
 
     console.error('MapService: All browser launch attempts failed');
-    this.browser = null;
-    this.isInitialized = false;
     throw lastError || new Error('Failed to initialize browser after multiple attempts');
   }
 
@@ -935,210 +962,178 @@ class MapService {
     // Ensure browser is initialized with retry logic
     await this.ensureBrowserReady();
 
-    let page;
-    const maxPageRetries = 2;
+    console.log(`MapService: Generating ${format} ${orientation} map at ${dpi} DPI...`);
+
+    // Get base dimensions for format and orientation
+    const baseDimensions = this.getPrintDimensions(format, orientation);
     
-    for (let pageAttempt = 1; pageAttempt <= maxPageRetries; pageAttempt++) {
-      try {
-        page = await this.browser.newPage();
-        console.log(`MapService: Page created successfully (attempt ${pageAttempt})`);
-        break;
-      } catch (pageError) {
-        console.log(`MapService: Page creation failed (attempt ${pageAttempt}):`, pageError.message);
-        
-        if (pageAttempt === maxPageRetries) {
-          throw new Error(`Failed to create browser page after ${maxPageRetries} attempts: ${pageError.message}`);
-        }
-        
-        // Try reinitializing browser
-        console.log('MapService: Reinitializing browser for page creation...');
-        await this.initialize();
+    // Get resolution settings and optimize if needed
+    let resolutionConfig;
+    if (memoryOptimization) {
+      resolutionConfig = this.resolutionManager.optimizeForMemory(
+        baseDimensions.width, 
+        baseDimensions.height, 
+        dpi, 
+        maxMemoryMB
+      );
+      
+      if (resolutionConfig.optimized) {
+        console.log(`MapService: Memory optimization applied. Reduced from ${resolutionConfig.originalMemoryMB}MB to ${resolutionConfig.memoryMB}MB`);
       }
+    } else {
+      // No optimization, use full dimensions
+      const qualitySettings = this.resolutionManager.getQualitySettings(dpi);
+      resolutionConfig = {
+        width: baseDimensions.width,
+        height: baseDimensions.height,
+        dpi,
+        scalingFactor: qualitySettings.scalingFactor,
+        memoryMB: this.resolutionManager.calculateMemoryRequirements(baseDimensions.width, baseDimensions.height, dpi).estimatedMB,
+        optimized: false
+      };
     }
 
-    try {
-      console.log(`MapService: Generating ${format} ${orientation} map at ${dpi} DPI...`);
-
-      // Get base dimensions for format and orientation
-      const baseDimensions = this.getPrintDimensions(format, orientation);
-      
-      // Get resolution settings and optimize if needed
-      let resolutionConfig;
-      if (memoryOptimization) {
-        resolutionConfig = this.resolutionManager.optimizeForMemory(
-          baseDimensions.width, 
-          baseDimensions.height, 
-          dpi, 
-          maxMemoryMB
-        );
-        
-        if (resolutionConfig.optimized) {
-          console.log(`MapService: Memory optimization applied. Reduced from ${resolutionConfig.originalMemoryMB}MB to ${resolutionConfig.memoryMB}MB`);
-        }
-      } else {
-        // No optimization, use full dimensions
-        const qualitySettings = this.resolutionManager.getQualitySettings(dpi);
-        resolutionConfig = {
-          width: baseDimensions.width,
-          height: baseDimensions.height,
-          dpi,
-          scalingFactor: qualitySettings.scalingFactor,
-          memoryMB: this.resolutionManager.calculateMemoryRequirements(baseDimensions.width, baseDimensions.height, dpi).estimatedMB,
-          optimized: false
-        };
-      }
-
-      // Validate resolution parameters
-      this.resolutionManager.validateResolutionParams({
-        width: resolutionConfig.width,
-        height: resolutionConfig.height,
-        dpi: resolutionConfig.dpi
-      });
-
-      // Get quality settings for the target DPI
-      const qualitySettings = this.resolutionManager.getQualitySettings(resolutionConfig.dpi);
-      
-      console.log(`MapService: Using resolution ${resolutionConfig.width}x${resolutionConfig.height} at ${resolutionConfig.dpi} DPI (${resolutionConfig.memoryMB}MB estimated)`);
+    // Validate resolution parameters
+    this.resolutionManager.validateResolutionParams({
+      width: resolutionConfig.width,
+      height: resolutionConfig.height,
+      dpi: resolutionConfig.dpi
+    });
 
-      // Set viewport with calculated device pixel ratio
-      await page.setViewport({
-        width: resolutionConfig.width,
-        height: resolutionConfig.height,
-        deviceScaleFactor: qualitySettings.scalingFactor
-      });
+    // Get quality settings for the target DPI
+    const qualitySettings = this.resolutionManager.getQualitySettings(resolutionConfig.dpi);
+    
+    console.log(`MapService: Using resolution ${resolutionConfig.width}x${resolutionConfig.height} at ${resolutionConfig.dpi} DPI (${resolutionConfig.memoryMB}MB estimated)`);
 
-      // Calculate poster bounds for proper framing BEFORE generating HTML
-      const posterBounds = this.calculatePosterBounds(bounds, format, orientation, 15);
-      console.log(`MapService: Original bounds:`, bounds);
-      console.log(`MapService: Poster bounds:`, posterBounds);
-
-      // Generate HTML for map rendering with resolution settings
-      const mapHTML = this.generateMapHTML({
-        routeCoordinates,
-        bounds: posterBounds, // Use poster bounds instead of tight route bounds
-        center,
-        style,
-        routeColor,
-        routeWidth,
-        showStartEnd,
-        title,
-        dimensions: {
-          ...resolutionConfig,
-          ...baseDimensions, // Include original metadata
-          actualWidth: Math.round(resolutionConfig.width * qualitySettings.scalingFactor),
-          actualHeight: Math.round(resolutionConfig.height * qualitySettings.scalingFactor)
-        },
-        format,
-        orientation,
-        qualitySettings
-      });
+    // Render on a pooled page; admission is based on the estimated render memory
+    try {
+      return await this.renderPool.run(async page => {
+        // Set viewport with calculated device pixel ratio
+        await page.setViewport({
+          width: resolutionConfig.width,
+          height: resolutionConfig.height,
+          deviceScaleFactor: qualitySettings.scalingFactor
+        });
 
-      // Set page content
-      await page.setContent(mapHTML, {
-        waitUntil: 'networkidle0',
-        timeout: 45000 // Increased timeout for high-res renders
-      });
+        // Calculate poster bounds for proper framing BEFORE generating HTML
+        const posterBounds = this.calculatePosterBounds(bounds, format, orientation, 15);
+        console.log(`MapService: Original bounds:`, bounds);
+        console.log(`MapService: Poster bounds:`, posterBounds);
+
+        // Generate HTML for map rendering with resolution settings
+        const mapHTML = this.generateMapHTML({
+          routeCoordinates,
+          bounds: posterBounds, // Use poster bounds instead of tight route bounds
+          center,
+          style,
+          routeColor,
+          routeWidth,
+          showStartEnd,
+          title,
+          dimensions: {
+            ...resolutionConfig,
+            ...baseDimensions, // Include original metadata
+            actualWidth: Math.round(resolutionConfig.width * qualitySettings.scalingFactor),
+            actualHeight: Math.round(resolutionConfig.height * qualitySettings.scalingFactor)
+          },
+          format,
+          orientation,
+          qualitySettings
+        });
 
-      // Wait for map to be fully loaded with enhanced error handling
-      try {
-        await page.waitForFunction(() => {
-          return window.mapLoaded === true;
-        }, { timeout: 45000 });
-      } catch (loadError) {
-        console.error('MapService: Map loading timeout or error:', loadError.message);
-        throw new Error(`Map failed to load within timeout: ${loadError.message}`);
-      }
+        // Set page content
+        await page.setContent(mapHTML, {
+          waitUntil: 'networkidle0',
+          timeout: 45000 // Increased timeout for high-res renders
+        });
 
-      // Configure format-specific quality settings
-      const formatQualitySettings = this.getFormatQualitySettings(exportFormat, qualityLevel);
-      
-      // Take screenshot with optimized quality settings
-      const screenshotOptions = {
-        type: exportFormat === 'jpeg' ? 'jpeg' : 'png',
-        fullPage: false,
-        clip: {
-          x: 0,
-          y: 0,
-          width: Math.round(resolutionConfig.width * qualitySettings.scalingFactor),
-          height: Math.round(resolutionConfig.height * qualitySettings.scalingFactor)
+        // Wait for map to be fully loaded with enhanced error handling
+        try {
+          await page.waitForFunction(() => {
+            return window.mapLoaded === true;
+          }, { timeout: 45000 });
+        } catch (loadError) {
+          console.error('MapService: Map loading timeout or error:', loadError.message);
+          throw new Error(`Map failed to load within timeout: ${loadError.message}`);
         }
-      };
 
-      // Add format-specific quality settings
-      if (exportFormat === 'jpeg') {
-        screenshotOptions.quality = formatQualitySettings.quality;
-        // JPEG doesn't support transparency, so no background color needed in Puppeteer
-      }
+        // Configure format-specific quality settings
+        const formatQualitySettings = this.getFormatQualitySettings(exportFormat, qualityLevel);
+    
+        // Take screenshot with optimized quality settings
+        const screenshotOptions = {
+          type: exportFormat === 'jpeg' ? 'jpeg' : 'png',
+          fullPage: false,
+          clip: {
+            x: 0,
+            y: 0,
+            width: Math.round(resolutionConfig.width * qualitySettings.scalingFactor),
+            height: Math.round(resolutionConfig.height * qualitySettings.scalingFactor)
+          }
+        };
 
-      // Add quality optimization settings
-      if (qualitySettings.optimization !== 'minimal') {
-        screenshotOptions.optimizeForSpeed = qualitySettings.optimization === 'high';
-      }
+        // Add format-specific quality settings
+        if (exportFormat === 'jpeg') {
+          screenshotOptions.quality = formatQualitySettings.quality;
+          // JPEG doesn't support transparency, so no background color needed in Puppeteer
+        }
 
-      // Add anti-aliasing configuration
-      if (antiAliasing) {
-        screenshotOptions.captureBeyondViewport = false; // Better for anti-aliasing
-      }
+        // Add quality optimization settings
+        if (qualitySettings.optimization !== 'minimal') {
+          screenshotOptions.optimizeForSpeed = qualitySettings.optimization === 'high';
+        }
 
-      const screenshot = await page.screenshot(screenshotOptions);
+        // Add anti-aliasing configuration
+        if (antiAliasing) {
+          screenshotOptions.captureBeyondViewport = false; // Better for anti-aliasing
+        }
 
-      // Save to file if output path provided
-      if (outputPath) {
-        await fsPromises.writeFile(outputPath, screenshot);
-        console.log(`MapService: Map saved to ${outputPath}`);
-      }
+        const screenshot = await page.screenshot(screenshotOptions);
 
-      console.log(`MapService: ${format} ${orientation} map generated successfully at ${resolutionConfig.dpi} DPI`);
-      
-      return {
-        image: screenshot,
-        metadata: {
-          format,
-          orientation,
-          requestedDPI: dpi,
-          actualDPI: qualitySettings.actualDPI,
-          dimensions: {
-            logical: { width: resolutionConfig.width, height: resolutionConfig.height },
-            physical: { 
-              width: Math.round(resolutionConfig.width * qualitySettings.scalingFactor), 
-              height: Math.round(resolutionConfig.height * qualitySettings.scalingFactor) 
-            }
-          },
-          memoryUsage: resolutionConfig.memoryMB,
-          optimized: resolutionConfig.optimized,
-          scalingFactor: qualitySettings.scalingFactor,
-          quality: qualitySettings
+        // Save to file if output path provided
+        if (outputPath) {
+          await fsPromises.writeFile(outputPath, screenshot);
+          console.log(`MapService: Map saved to ${outputPath}`);
         }
-      };
 
+        console.log(`MapService: ${format} ${orientation} map generated successfully at ${resolutionConfig.dpi} DPI`);
+    
+        return {
+          image: screenshot,
+          metadata: {
+            format,
+            orientation,
+            requestedDPI: dpi,
+            actualDPI: qualitySettings.actualDPI,
+            dimensions: {
+              logical: { width: resolutionConfig.width, height: resolutionConfig.height },
+              physical: { 
+                width: Math.round(resolutionConfig.width * qualitySettings.scalingFactor), 
+                height: Math.round(resolutionConfig.height * qualitySettings.scalingFactor) 
+              }
+            },
+            memoryUsage: resolutionConfig.memoryMB,
+            optimized: resolutionConfig.optimized,
+            scalingFactor: qualitySettings.scalingFactor,
+            quality: qualitySettings
+          }
+        };
+      }, { memoryMB: resolutionConfig.memoryMB, label: `${format} ${orientation} map` });
     } catch (error) {
       console.error('MapService: Browser-based map generation failed:', error);
       throw error;
-    } finally {
-      if (page) {
-        await page.close();
-      }
     }
   }
 
   /**
-   * Ensure browser is ready and healthy
+   * Ensure the render pool has a browser. Unhealthy browsers are replaced by the pool.
    */
   async ensureBrowserReady() {
-    if (!this.browser || !this.browser.isConnected()) {
+    if (!this.browser) {
       console.log('MapService: Browser not ready, initializing...');
-      await this.initialize();
-      return;
-    }
-
-    // Test browser health
-    try {
-      await this.browser.version();
-      console.log('MapService: Browser is ready and healthy');
-    } catch (error) {
-      console.log('MapService: Browser health check failed, reinitializing...');
-      await this.initialize();
+      this.isInitialized = false;
     }
+    await this.initialize();
   }
 
   /**
@@ -1346,10 +1341,44 @@ class MapService {
     }
   };
 
+  /**
+   * Print finishing per product in millimetres
+   * `bleed` is printed beyond the trim and cut off, `safeZone` is the inset from the trim
+   * that titles and other text must stay inside
+   */
+  static PRINT_FINISHING = {
+    A0: { bleed: 3, safeZone: 15 },
+    A1: { bleed: 3, safeZone: 12 },
+    A2: { bleed: 3, safeZone: 10 },
+    A3: { bleed: 3, safeZone: 8 },
+    A4: { bleed: 3, safeZone: 6 },
+    A5: { bleed: 3, safeZone: 5 },
+    SQUARE_SMALL: { bleed: 3, safeZone: 8 },
+    SQUARE_LARGE: { bleed: 3, safeZone: 10 }
+  };
+
+  /**
+   * Get bleed, safe zone and crop mark settings for a print format
+   * Environment overrides (PRINT_BLEED_MM, PRINT_SAFE_ZONE_MM) apply to every format
+   */
+  getPrintFinishing(format) {
+    const formatKey = String(format || 'A4').toUpperCase();
+    const defaults = this.constructor.PRINT_FINISHING[formatKey] || { bleed: 3, safeZone: 5 };
+    const overrides = this.appConfig.printOutput || {};
+
+    return {
+      bleed: overrides.bleed ?? defaults.bleed,
+      safeZone: overrides.safeZone ?? defaults.safeZone,
+      cropMarks: !!overrides.cropMarks
+    };
+  }
+
   /**
    * Get enhanced print dimensions for specific format and orientation
+   * `width`/`height` are the trim size; pass { includeBleed: true } to get the
+   * enlarged canvas that is rendered for print instead
    */
-  getPrintDimensions(format, orientation = 'portrait') {
+  getPrintDimensions(format, orientation = 'portrait', options = {}) {
     const formatKey = format.toUpperCase();
     const orientationKey = orientation.toLowerCase();
 
@@ -1364,12 +1393,19 @@ class MapService {
 
     const config = this.constructor.PRINT_CONFIG[formatKey];
     const dimensions = config[orientationKey];
+
+    // Bleed enlarges the rendered canvas on every edge; the safe zone sits inside the trim
+    const finishing = this.getPrintFinishing(formatKey);
+    const bleedPixels = this.calculatePixelsFromMM(finishing.bleed);
+    const safeZonePixels = this.calculatePixelsFromMM(finishing.safeZone);
+    const canvasWidth = dimensions.width + bleedPixels * 2;
+    const canvasHeight = dimensions.height + bleedPixels * 2;
     
     // Return comprehensive print information
     return {
       // Basic dimensions
-      width: dimensions.width,
-      height: dimensions.height,
+      width: options.includeBleed ? canvasWidth : dimensions.width,
+      height: options.includeBleed ? canvasHeight : dimensions.height,
       format: formatKey,
       orientation: orientationKey,
       dpi: 300,
@@ -1395,6 +1431,15 @@ class MapService {
       // Technical information
       memoryEstimateMB: config.memoryEstimateMB[orientationKey],
       totalPixels: dimensions.width * dimensions.height,
+
+      // Print finishing
+      trimWidth: dimensions.width,
+      trimHeight: dimensions.height,
+      canvasWidth,
+      canvasHeight,
+      bleed: { mm: finishing.bleed, pixels: bleedPixels },
+      safeZone: { mm: finishing.safeZone, pixels: safeZonePixels },
+      cropMarks: finishing.cropMarks,
       
       // Legacy compatibility
       widthInches: (dimensions.width / 300).toFixed(2),
@@ -1686,9 +1731,10 @@ class MapService {
    * @param {string} format - Print format (A4, A3, etc.)
    * @param {string} orientation - Portrait or landscape
    * @param {number} marginPercent - Margin percentage (default: 15%)
+   * @param {Object} options - { includeBleed } extends the bounds over the bleed so the trim keeps this framing
    * @returns {Object} Expanded bounds for poster framing
    */
-  calculatePosterBounds(routeBounds, format = 'A4', orientation = 'portrait', marginPercent = 15) {
+  calculatePosterBounds(routeBounds, format = 'A4', orientation = 'portrait', marginPercent = 15, options = {}) {
     // Get poster aspect ratio
     const dimensions = this.getPrintDimensions(format, orientation);
     const posterAspectRatio = dimensions.width / dimensions.height; // width/height ratio
@@ -1726,6 +1772,12 @@ class MapService {
     const marginMultiplier = 1 + (marginPercent / 100);
     finalLngSpan *= marginMultiplier;
     finalLatSpan *= marginMultiplier;
+
+    // The bleed is cut off, so it must show map beyond the framed trim area
+    if (options.includeBleed) {
+      finalLngSpan *= dimensions.canvasWidth / dimensions.trimWidth;
+      finalLatSpan *= dimensions.canvasHeight / dimensions.trimHeight;
+    }
     
     // Calculate final poster bounds centered on route
     const posterBounds = {
@@ -1742,6 +1794,127 @@ class MapService {
     return posterBounds;
   }
 
+  /**
+   * Enlarge a high-res config's canvas by the product's bleed
+   * Bounds are widened by the same ratio so the trim keeps the approved framing.
+   * Already-finished configs are returned unchanged.
+   * @param {Object} mapConfig - High-res config with format, orientation, width, height and bounds
+   * @param {Object} options - { bleed (mm), cropMarks } override the product's finishing
+   * @returns {Object} Config with bleed canvas size and `printFinishing` metadata
+   */
+  applyPrintFinishing(mapConfig, options = {}) {
+    if (mapConfig.printFinishing) {
+      return mapConfig;
+    }
+
+    const dimensions = this.getPrintDimensions(mapConfig.format || 'A4', mapConfig.orientation || 'portrait');
+    const trimWidth = mapConfig.width || dimensions.trimWidth;
+    const trimHeight = mapConfig.height || dimensions.trimHeight;
+    const bleed = options.bleed ?? dimensions.bleed.mm;
+    const bleedPixels = this.calculatePixelsFromMM(bleed, mapConfig.dpi || 300);
+    const width = trimWidth + bleedPixels * 2;
+    const height = trimHeight + bleedPixels * 2;
+
+    let bounds = mapConfig.bounds;
+    if (bounds && typeof bounds.north === 'number') {
+      const lngPadding = (bounds.east - bounds.west) * (width / trimWidth - 1) / 2;
+      const latPadding = (bounds.north - bounds.south) * (height / trimHeight - 1) / 2;
+      bounds = {
+        north: bounds.north + latPadding,
+        south: bounds.south - latPadding,
+        east: bounds.east + lngPadding,
+        west: bounds.west - lngPadding
+      };
+    }
+
+    return {
+      ...mapConfig,
+      width,
+      height,
+      bounds,
+      printFinishing: {
+        bleed,
+        safeZone: dimensions.safeZone.mm,
+        bleedPixels,
+        safeZonePixels: this.calculatePixelsFromMM(dimensions.safeZone.mm, mapConfig.dpi || 300),
+        cropMarks: options.cropMarks ?? dimensions.cropMarks,
+        trimWidth,
+        trimHeight,
+        trimBounds: mapConfig.bounds || null
+      }
+    };
+  }
+
+  /**
+   * Get the area (in canvas pixels) that titles must stay inside
+   * For finished configs this is the trim inset by the safe zone; otherwise the whole canvas
+   */
+  getSafeArea(mapConfig, width, height) {
+    const finishing = mapConfig.printFinishing;
+    if (!finishing) {
+      return { x: 0, y: 0, width, height };
+    }
+
+    const inset = finishing.bleedPixels + finishing.safeZonePixels;
+    return {
+      x: inset,
+      y: inset,
+      width: Math.max(1, width - inset * 2),
+      height: Math.max(1, height - inset * 2)
+    };
+  }
+
+  /**
+   * Shrink a font size until the text fits a maximum width
+   * @param {Function|number} measure - Function returning the text width at a font size,
+   *   or an average character width ratio (em) used to estimate it
+   */
+  fitFontSize(text, fontSize, maxWidth, measure = 0.6) {
+    const widthAt = typeof measure === 'function'
+      ? measure
+      : size => String(text).length * size * measure;
+
+    const textWidth = widthAt(fontSize);
+    if (!text || textWidth <= maxWidth) {
+      return fontSize;
+    }
+    return Math.floor(fontSize * maxWidth / textWidth);
+  }
+
+  /**
+   * Add crop marks around a finished raster print
+   * The image is extended with a white slug and marks are drawn at the trim corners,
+   * outside the bleed, using the same geometry as the PDF output
+   */
+  async addCropMarksToImage(filePath, mapConfig) {
+    const printDocumentService = require('./printDocumentService');
+    const dpi = mapConfig.dpi || 300;
+    const layout = printDocumentService.getPageLayout(mapConfig.format, mapConfig.orientation, {
+      bleed: mapConfig.printFinishing?.bleed ?? 0,
+      cropMarks: true,
+      dpi
+    });
+
+    const { width, height } = await sharp(filePath).metadata();
+    const slug = this.calculatePixelsFromMM(layout.bleedBox.x, dpi);
+    const pageWidth = width + slug * 2;
+    const pageHeight = height + slug * 2;
+
+    const marks = `<svg xmlns="http://www.w3.org/2000/svg" width="${pageWidth}" height="${pageHeight}" ` +
+      `viewBox="0 0 ${layout.page.width} ${layout.page.height}" preserveAspectRatio="none">` +
+      `${printDocumentService.buildCropMarks(layout)}</svg>`;
+
+    const buffer = await sharp(filePath)
+      .extend({ top: slug, bottom: slug, left: slug, right: slug, background: '#ffffff' })
+      .composite([{ input: Buffer.from(marks), top: 0, left: 0 }])
+      .png()
+      .toBuffer();
+
+    await fsPromises.writeFile(filePath, buffer);
+    console.log('MapService: Crop marks added:', { filePath, dimensions: `${pageWidth}x${pageHeight}` });
+    return filePath;
+  }
+
   /**
    * Generate HTML content for map rendering - LEGACY METHOD - Use generateValidatedMapHTML instead
    * This method is deprecated and should not be used. It lacks proper validation.
@@ -2007,8 +2180,8 @@ class MapService {
    * Handles both old-style and new-style parameter formats
    */
   generateMapHTML(options) {
-    // Check if this is new-style config (has route.coordinates) or old-style (has routeCoordinates)
-    if (options.route && options.route.coordinates) {
+    // Check if this is new-style config (has route.coordinates or a composite routes array) or old-style (has routeCoordinates)
+    if (this.hasRouteData(options)) {
       // New-style config - use validated method directly
       return this.generateValidatedMapHTML(options);
     } else {
@@ -2107,29 +2280,25 @@ class MapService {
   }
 
   /**
-   * Batch generate multiple maps
+   * Batch generate multiple maps. Maps render concurrently, bounded by the render pool.
    */
   async generateBatch(mapOptionsArray) {
-    const results = [];
-    
-    for (const mapOptions of mapOptionsArray) {
+    return Promise.all(mapOptionsArray.map(async mapOptions => {
       try {
         const screenshot = await this.generateMap(mapOptions);
-        results.push({
+        return {
           success: true,
           data: screenshot,
           options: mapOptions
-        });
+        };
       } catch (error) {
-        results.push({
+        return {
           success: false,
           error: error.message,
           options: mapOptions
-        });
+        };
       }
-    }
-
-    return results;
+    }));
   }
 
   /**
@@ -2166,6 +2335,13 @@ class MapService {
     return this.resolutionManager.getDPIPresets();
   }
 
+  /**
+   * Estimated memory (MB) for rendering a page of the given pixel size, used for render pool admission
+   */
+  estimateRenderMemoryMB(width, height) {
+    return this.resolutionManager.calculateMemoryRequirements(width, height, 96).estimatedMB;
+  }
+
   /**
    * Calculate memory requirements for given parameters
    */
@@ -2280,13 +2456,13 @@ class MapService {
         browserConnected = false;
         // Reset state if browser connection is broken
         this.isInitialized = false;
-        this.browser = null;
       }
     }
 
     return {
       initialized: this.isInitialized,
       browserConnected,
+      renderPool: this.renderPool.getMetrics(),
       supportedFormats: Object.keys(this.constructor.PRINT_CONFIG),
       supportedOrientations: ['portrait', 'landscape'],
       supportedStyles: [
@@ -2311,8 +2487,9 @@ class MapService {
    * Generate high-resolution map from validated preview configuration
    * This optimized method reuses a successful preview configuration,
    * skipping validation and normalization steps for better performance
+   * @param {Object} options - { signal } aborts the render (e.g. when its job times out)
    */
-  async generateHighResFromPreviewConfig(highResConfig) {
+  async generateHighResFromPreviewConfig(highResConfig, options = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
@@ -2326,57 +2503,61 @@ class MapService {
     });
 
     await this.ensureBrowserReady();
-    const page = await this.browser.newPage();
 
     try {
-      // Set viewport to target dimensions (already calculated for 300 DPI in PRINT_CONFIG)
-      // No scaling needed - use dimensions directly for correct output resolution
-      await page.setViewport({
-        width: highResConfig.width,
-        height: highResConfig.height,
-        deviceScaleFactor: 1
-      });
+      return await this.renderPool.run(async page => {
+        // Set viewport to target dimensions (already calculated for 300 DPI in PRINT_CONFIG)
+        // No scaling needed - use dimensions directly for correct output resolution
+        await page.setViewport({
+          width: highResConfig.width,
+          height: highResConfig.height,
+          deviceScaleFactor: 1
+        });
 
-      // Create HTML for map rendering using validated config
-      const mapHTML = this.generateMapHTML(highResConfig);
-      
-      // Set page content and wait for map to load
-      await page.setContent(mapHTML, { waitUntil: 'networkidle2' });
-      
-      // Wait for Mapbox to finish loading (reuse same validation that worked for preview)
-      await page.waitForFunction(() => {
-        if (window.mapError) {
-          throw new Error(window.mapError);
-        }
-        return window.mapboxgl && window.map && window.mapLoaded === true;
-      }, { timeout: 60000 });
-
-      // Take screenshot at high resolution
-      const timestamp = Date.now();
-      const randomString = Math.random().toString(36).substr(2, 9);
-      const filename = `map_${highResConfig.format.toLowerCase()}_${highResConfig.orientation}_${timestamp}_${randomString}.png`;
-      const filePath = path.join(this.appConfig.storage.generatedMapsDir, filename);
-
-      await page.screenshot({
-        path: filePath,
-        fullPage: true,
-        type: 'png'
-      });
+        // Create HTML for map rendering using validated config
+        const mapHTML = this.generateMapHTML(highResConfig);
+    
+        // Set page content and wait for map to load
+        await page.setContent(mapHTML, { waitUntil: 'networkidle2' });
+    
+        // Wait for Mapbox to finish loading (reuse same validation that worked for preview)
+        await page.waitForFunction(() => {
+          if (window.mapError) {
+            throw new Error(window.mapError);
+          }
+          return window.mapboxgl && window.map && window.mapLoaded === true;
+        }, { timeout: 60000 });
+
+        // Take screenshot at high resolution
+        const timestamp = Date.now();
+        const randomString = Math.random().toString(36).substr(2, 9);
+        const filename = `map_${highResConfig.format.toLowerCase()}_${highResConfig.orientation}_${timestamp}_${randomString}.png`;
+        const filePath = path.join(this.appConfig.storage.generatedMapsDir, filename);
+
+        await page.screenshot({
+          path: filePath,
+          fullPage: true,
+          type: 'png'
+        });
 
-      // Get file stats
-      const stats = fs.statSync(filePath);
-      const { width: actualWidth, height: actualHeight } = await sharp(filePath).metadata();
+        if (highResConfig.printFinishing?.cropMarks) {
+          await this.addCropMarksToImage(filePath, highResConfig);
+        }
 
-      console.log('MapService: High-res map generated successfully:', {
-        filePath,
-        fileSize: Math.round(stats.size / 1024) + ' KB',
-        dimensions: `${actualWidth}x${actualHeight}`,
-        dpi: highResConfig.dpi,
-        sourceConfig: 'preview_reused'
-      });
+        // Get file stats
+        const stats = fs.statSync(filePath);
+        const { width: actualWidth, height: actualHeight } = await sharp(filePath).metadata();
 
-      return filePath;
+        console.log('MapService: High-res map generated successfully:', {
+          filePath,
+          fileSize: Math.round(stats.size / 1024) + ' KB',
+          dimensions: `${actualWidth}x${actualHeight}`,
+          dpi: highResConfig.dpi,
+          sourceConfig: 'preview_reused'
+        });
 
+        return filePath;
+      }, { memoryMB: this.estimateRenderMemoryMB(highResConfig.width, highResConfig.height), label: `high-res map ${highResConfig.id}`, signal: options.signal });
     } catch (error) {
       console.error('MapService: Error generating high-res map from preview config:', error);
       
@@ -2392,14 +2573,77 @@ class MapService {
       }
       
       throw new Error(`High-res generation failed: ${error.message}`);
-    } finally {
-      try {
-        if (!page.isClosed()) {
-          await page.close();
-        }
-      } catch (closeError) {
-        console.warn('MapService: Page was already closed:', closeError.message);
-      }
+    }
+  }
+
+  /**
+   * Render the raster basemap for a vector print document
+   * Route lines and markers are left out so they can be drawn as vectors; their pixel
+   * positions are read from the live map so the overlay lines up with the basemap exactly.
+   * Heatmaps have no vector form, so they stay in the raster and no route positions are returned.
+   * There is no Canvas fallback - the overlay relies on the Mapbox projection.
+   * @param {Object} basemapConfig - Map config; `markers` should already be resolved by the caller
+   * @param {Object} options - { signal } aborts the render
+   * @returns {Promise<Object>} { image (PNG buffer), width, height, routes, markers }
+   */
+  async renderPrintBasemap(basemapConfig, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    await this.ensureBrowserReady();
+
+    const routes = this.normalizeRouteLayers(basemapConfig);
+    const isHeatmap = basemapConfig.renderMode === 'heatmap';
+    const markers = basemapConfig.markers || null;
+
+    console.log('MapService: Rendering print basemap:', {
+      id: basemapConfig.id,
+      dimensions: `${basemapConfig.width}x${basemapConfig.height}`,
+      vectorRoutes: !isHeatmap
+    });
+
+    try {
+      return await this.renderPool.run(async page => {
+        await page.setViewport({
+          width: basemapConfig.width,
+          height: basemapConfig.height,
+          deviceScaleFactor: 1
+        });
+
+        await page.setContent(this.generateMapHTML({ ...basemapConfig, omitRouteLayers: !isHeatmap, omitTypography: true, omitElevationProfile: true }), { waitUntil: 'networkidle2' });
+
+        await page.waitForFunction(() => {
+          if (window.mapError) {
+            throw new Error(window.mapError);
+          }
+          return window.mapboxgl && window.map && window.mapLoaded === true && window.map.areTilesLoaded();
+        }, { timeout: 60000 });
+
+        const projected = await page.evaluate((routeCoordinates, markerCoordinates) => {
+          const project = coordinate => {
+            const point = window.map.project(coordinate);
+            return [point.x, point.y];
+          };
+          return {
+            routes: routeCoordinates.map(coordinates => coordinates.map(project)),
+            markers: markerCoordinates ? { start: project(markerCoordinates.start), end: project(markerCoordinates.end) } : null
+          };
+        }, isHeatmap ? [] : routes.map(route => route.coordinates), isHeatmap ? null : markers);
+
+        const image = await page.screenshot({ type: 'png', fullPage: false });
+
+        return {
+          image,
+          width: basemapConfig.width,
+          height: basemapConfig.height,
+          routes: isHeatmap ? null : projected.routes,
+          markers: projected.markers
+        };
+      }, { memoryMB: this.estimateRenderMemoryMB(basemapConfig.width, basemapConfig.height), label: `print basemap ${basemapConfig.id}`, signal: options.signal });
+    } catch (error) {
+      console.error('MapService: Error rendering print basemap:', error);
+      throw new Error(`Print basemap rendering failed: ${error.message}`);
     }
   }
 
@@ -2419,39 +2663,63 @@ class MapService {
       dpi: previewConfig.dpi
     });
 
-    const page = await this.browser.newPage();
-    
+    let previewPath;
     try {
-      // Set viewport for preview (web quality)
-      await page.setViewport({
-        width: previewConfig.width,
-        height: previewConfig.height,
-        deviceScaleFactor: 1 // Web quality, no scaling
-      });
+      previewPath = await this.renderPool.run(async page => {
+        // Set viewport for preview (web quality)
+        await page.setViewport({
+          width: previewConfig.width,
+          height: previewConfig.height,
+          deviceScaleFactor: 1 // Web quality, no scaling
+        });
 
-      // Create HTML for map rendering
-      const mapHTML = this.generateMapHTML(previewConfig);
-      
-      // Set page content and wait for map to load
-      await page.setContent(mapHTML, { waitUntil: 'networkidle2' });
-      
-      // Wait for Mapbox to finish loading
-      try {
-        await page.waitForFunction(
-          () => {
-            if (window.mapError) {
-              throw new Error(window.mapError);
-            }
-            return window.mapboxgl && window.map && window.mapLoaded === true;
-          },
-          { timeout: 60000 }
-        );
-      } catch (error) {
-        console.log('MapService: WebGL rendering failed, trying Canvas-based fallback...');
-        console.log('WebGL error details:', error.message);
-        await page.close();
-        
-        // Use Canvas-based fallback with proper config
+        // Create HTML for map rendering
+        const mapHTML = this.generateMapHTML(previewConfig);
+    
+        // Set page content and wait for map to load
+        await page.setContent(mapHTML, { waitUntil: 'networkidle2' });
+    
+        // Wait for Mapbox to finish loading
+        try {
+          await page.waitForFunction(
+            () => {
+              if (window.mapError) {
+                throw new Error(window.mapError);
+              }
+              return window.mapboxgl && window.map && window.mapLoaded === true;
+            },
+            { timeout: 60000 }
+          );
+        } catch (error) {
+          console.log('MapService: WebGL rendering failed, trying Canvas-based fallback...');
+          console.log('WebGL error details:', error.message);
+          return null;
+        }
+
+        // Additional wait for map to settle
+        await page.waitForTimeout(2000);
+
+        // Create preview directory if it doesn't exist
+        const previewDir = path.join(this.appConfig.storage.generatedMapsDir, 'previews');
+        await this.ensureDirectoryExists(previewDir);
+
+        // Generate filename and save image
+        const filename = `${previewConfig.id}.jpg`;
+        const filePath = path.join(previewDir, filename);
+    
+        await page.screenshot({
+          path: filePath,
+          type: 'jpeg',
+          quality: 85, // Good quality for web preview
+          fullPage: false
+        });
+
+        console.log('MapService: Preview image generated successfully:', filePath);
+        return filePath;
+      }, { memoryMB: this.estimateRenderMemoryMB(previewConfig.width, previewConfig.height), label: `preview ${previewConfig.id}` });
+
+      // WebGL failed - fall back once the pooled page has been released
+      if (previewPath === null) {
         try {
           return await this.generateCanvasMapFallback(previewConfig);
         } catch (canvasError) {
@@ -2459,112 +2727,254 @@ class MapService {
           return await this.generateStaticMapFallback(previewConfig);
         }
       }
+      return previewPath;
+    } catch (error) {
+      console.error('MapService: Error generating preview image:', error);
+      throw new Error(`Preview generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Default colours assigned to composite routes that don't specify their own
+   */
+  static COMPOSITE_ROUTE_PALETTE = [
+    '#ff4444', '#2563eb', '#16a34a', '#f59e0b', '#9333ea',
+    '#0891b2', '#db2777', '#65a30d', '#ea580c', '#4f46e5'
+  ];
 
-      // Additional wait for map to settle
-      await page.waitForTimeout(2000);
+  /**
+   * Supported route render modes
+   * 'lines' draws each route as its own styled line, 'heatmap' renders point density across all routes
+   */
+  static ROUTE_RENDER_MODES = ['lines', 'heatmap'];
 
-      // Create preview directory if it doesn't exist
-      const previewDir = path.join(this.appConfig.storage.generatedMapsDir, 'previews');
-      await this.ensureDirectoryExists(previewDir);
+  /**
+   * Check whether a config describes a route to render (single route or composite routes array)
+   */
+  hasRouteData(config) {
+    if (!config) return false;
+    if (Array.isArray(config.routes) && config.routes.length > 0) return true;
+    return !!(config.route && config.route.coordinates);
+  }
 
-      // Generate filename and save image
-      const filename = `${previewConfig.id}.jpg`;
-      const filePath = path.join(previewDir, filename);
-      
-      await page.screenshot({
-        path: filePath,
-        type: 'jpeg',
-        quality: 85, // Good quality for web preview
-        fullPage: false
+  /**
+   * Resolve the athlete's privacy zones for a config
+   * @returns {Object|null} Normalized settings, or null when nothing is trimmed
+   */
+  getPrivacyZones(config) {
+    return PrivacyZones.resolveSettings(config);
+  }
+
+  /**
+   * Resolve colour-by-metric settings for a config
+   * Only single routes drawn as lines are coloured; composites and heatmaps keep their own colours
+   * @returns {Object|null} Settings, or null when the route uses a single colour
+   */
+  getColorMetric(config) {
+    if (config.renderMode === 'heatmap') {
+      return null;
+    }
+    return RouteColorMetrics.resolveSettings(config);
+  }
+
+  /**
+   * Resolve start/end markers: explicit markers win unless privacy zones trim the route,
+   * in which case markers sit on the trimmed endpoints; composites get none
+   * @param {Object} config - Map config
+   * @param {Array} routes - Normalized (and privacy-trimmed) route layers
+   */
+  resolveMarkers(config, routes) {
+    if (config.markers && !this.getPrivacyZones(config)) {
+      return config.markers;
+    }
+
+    const isComposite = Array.isArray(config.routes) && config.routes.length > 0;
+    const primaryRoute = routes[0];
+    if (isComposite || !primaryRoute || primaryRoute.coordinates.length < 2) {
+      return null;
+    }
+
+    return {
+      start: primaryRoute.coordinates[0],
+      end: primaryRoute.coordinates[primaryRoute.coordinates.length - 1]
+    };
+  }
+
+  /**
+   * Normalize single-route and composite configs into a list of styled route layers
+   * Each layer has its own coordinates, color, width and opacity; privacy zones are applied here
+   * @param {Object} config - Map config with either `route` or `routes`
+   * @returns {Array} Validated route layers
+   */
+  normalizeRouteLayers(config) {
+    const isComposite = Array.isArray(config.routes) && config.routes.length > 0;
+    const sourceRoutes = isComposite ? config.routes : [config.route || {}];
+    const defaults = config.routeStyle || {};
+    const palette = MapService.COMPOSITE_ROUTE_PALETTE;
+    const privacyZones = this.getPrivacyZones(config);
+
+    return sourceRoutes.map((route, index) => {
+      const rawCoordinates = Array.isArray(route?.coordinates) ? route.coordinates : [];
+      let coordinates = rawCoordinates.filter(coord => {
+        return Array.isArray(coord) && coord.length >= 2 &&
+               typeof coord[0] === 'number' && typeof coord[1] === 'number' &&
+               !isNaN(coord[0]) && !isNaN(coord[1]);
       });
 
-      console.log('MapService: Preview image generated successfully:', filePath);
-      return filePath;
+      if (coordinates.length !== rawCoordinates.length) {
+        console.warn('[MapService] Filtered out invalid route coordinates', { routeIndex: index });
+      }
 
-    } catch (error) {
-      console.error('MapService: Error generating preview image:', error);
-      throw new Error(`Preview generation failed: ${error.message}`);
-    } finally {
-      try {
-        if (!page.isClosed()) {
-          await page.close();
-        }
-      } catch (closeError) {
-        console.warn('MapService: Page was already closed:', closeError.message);
+      if (privacyZones) {
+        coordinates = PrivacyZones.apply(coordinates, privacyZones);
       }
+
+      const opacity = parseFloat(route?.opacity ?? defaults.opacity);
+
+      return {
+        id: index === 0 ? 'route' : `route-${index}`,
+        activityId: route?.activityId || null,
+        coordinates,
+        color: route?.color || defaults.color || (isComposite ? palette[index % palette.length] : '#ff4444'),
+        width: route?.width || defaults.width || (isComposite ? 3 : 4),
+        opacity: isNaN(opacity) ? 1 : Math.min(1, Math.max(0, opacity))
+      };
+    }).filter(route => !isComposite || route.coordinates.length > 0);
+  }
+
+  /**
+   * Calculate combined bounds for a set of route layers ([lng, lat] coordinates)
+   * @param {Array} routes - Normalized route layers
+   * @returns {Object|null} Bounds {north, south, east, west} or null when no coordinates
+   */
+  calculateCompositeBounds(routes) {
+    const allCoordinates = routes.reduce((acc, route) => acc.concat(route.coordinates), []);
+    if (allCoordinates.length === 0) {
+      return null;
+    }
+
+    let west = allCoordinates[0][0];
+    let east = allCoordinates[0][0];
+    let south = allCoordinates[0][1];
+    let north = allCoordinates[0][1];
+
+    for (const [lng, lat] of allCoordinates) {
+      west = Math.min(west, lng);
+      east = Math.max(east, lng);
+      south = Math.min(south, lat);
+      north = Math.max(north, lat);
     }
+
+    return { north, south, east, west };
+  }
+
+  /**
+   * Build heatmap point data from all route layers
+   * Points are sampled so very large composites stay within a manageable payload
+   * @param {Array} routes - Normalized route layers
+   * @param {number} maxPoints - Upper bound on the number of emitted points
+   * @returns {Object} GeoJSON FeatureCollection of points
+   */
+  buildHeatmapGeoJSON(routes, maxPoints = 50000) {
+    const totalPoints = routes.reduce((sum, route) => sum + route.coordinates.length, 0);
+    const step = Math.max(1, Math.ceil(totalPoints / maxPoints));
+    const features = [];
+
+    routes.forEach(route => {
+      for (let i = 0; i < route.coordinates.length; i += step) {
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: route.coordinates[i] },
+          properties: {}
+        });
+      }
+    });
+
+    return { type: 'FeatureCollection', features };
   }
 
   /**
    * Generate HTML content for map rendering
+   * Accepts a single `route` or a composite `routes` array, rendered as lines or as a density heatmap
    */
   generateValidatedMapHTML(config) {
+    const routes = this.normalizeRouteLayers(config);
+    const isComposite = Array.isArray(config.routes) && config.routes.length > 0;
+    const renderMode = MapService.ROUTE_RENDER_MODES.includes(config.renderMode) ? config.renderMode : 'lines';
+    const heatmapOptions = config.heatmap || {};
+    const heatmapOpacity = Number(heatmapOptions.opacity ?? 0.85);
+
     // Validate required configuration properties with comprehensive safe defaults
     const validatedConfig = {
       width: config.width || 800,
       height: config.height || 600,
       center: Array.isArray(config.center) && config.center.length === 2 ? config.center : [-0.127, 51.507], // Default to London
-      bounds: config.bounds && typeof config.bounds === 'object' ? config.bounds : {
+      bounds: config.bounds && typeof config.bounds === 'object' ? config.bounds : (isComposite && this.calculateCompositeBounds(routes)) || {
         west: -0.2,
         east: 0.0,
         south: 51.4,
         north: 51.6
       },
       style: config.style || 'mapbox://styles/mapbox/streets-v12',
-      route: {
-        coordinates: Array.isArray(config.route?.coordinates) ? config.route.coordinates : [],
-        color: config.route?.color || '#ff4444',
-        width: config.route?.width || 4
+      routes,
+      renderMode,
+      heatmap: {
+        radius: Number(heatmapOptions.radius) || 6,
+        intensity: Number(heatmapOptions.intensity) || 1,
+        opacity: Number.isFinite(heatmapOpacity) ? heatmapOpacity : 0.85,
+        colorRamp: Array.isArray(heatmapOptions.colorRamp) && heatmapOptions.colorRamp.length >= 2
+          ? heatmapOptions.colorRamp
+          : ['#2563eb', '#16a34a', '#facc15', '#f97316', '#dc2626']
       },
-      markers: config.markers || null,
+      // Derived from the route when not provided - only for single routes, composites would be cluttered
+      markers: this.resolveMarkers(config, routes),
       title: config.title || '',
       format: config.format || 'A4',
       orientation: config.orientation || 'portrait',
       dpi: config.dpi || 300
     };
 
-    // Additional validation for route coordinates
-    if (validatedConfig.route.coordinates.length > 0) {
-      // Ensure all coordinates are valid [lng, lat] pairs
-      validatedConfig.route.coordinates = validatedConfig.route.coordinates.filter(coord => {
-        return Array.isArray(coord) && coord.length >= 2 && 
-               typeof coord[0] === 'number' && typeof coord[1] === 'number' &&
-               !isNaN(coord[0]) && !isNaN(coord[1]);
-      });
-      
-      // If we filtered out invalid coordinates, log a warning
-      if (validatedConfig.route.coordinates.length !== config.route?.coordinates?.length) {
-        console.warn('[MapService] Filtered out invalid route coordinates');
-      }
-    }
-
-    // Generate markers from route if not provided but route exists
-    if (!validatedConfig.markers && validatedConfig.route.coordinates.length >= 2) {
-      validatedConfig.markers = {
-        start: validatedConfig.route.coordinates[0],
-        end: validatedConfig.route.coordinates[validatedConfig.route.coordinates.length - 1]
-      };
-    }
-
     // Log configuration validation for debugging
     console.log('[MapService] Generating HTML with validated config:', {
       hasCenter: !!validatedConfig.center,
       hasBounds: !!validatedConfig.bounds,
-      routeCoordCount: validatedConfig.route.coordinates.length,
+      routeCount: validatedConfig.routes.length,
+      routeCoordCount: validatedConfig.routes.reduce((sum, route) => sum + route.coordinates.length, 0),
+      renderMode: validatedConfig.renderMode,
       hasMarkers: !!validatedConfig.markers,
       originalStyle: config.style,
       validatedStyle: validatedConfig.style,
       normalizedStyle: MapService.normalizeMapboxStyleURL(validatedConfig.style)
     });
 
-    const routeGeoJSON = {
-      type: 'Feature',
-      geometry: {
-        type: 'LineString',
-        coordinates: validatedConfig.route.coordinates // Already in [lng, lat] format from decodePolyline
-      },
-      properties: {}
-    };
+    // Colour by metric is drawn as a gradient along the primary route
+    const colorMetric = this.getColorMetric(config);
+    const routeLayers = validatedConfig.routes.map((route, index) => ({
+      id: route.id,
+      color: route.color,
+      width: route.width,
+      opacity: route.opacity,
+      gradient: colorMetric && index === 0 && route.coordinates.length >= 2
+        ? RouteColorMetrics.toLineGradient(colorMetric, route.coordinates)
+        : null,
+      geojson: {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: route.coordinates // Already in [lng, lat] format from decodePolyline
+        },
+        properties: { activityId: route.activityId }
+      }
+    }));
+
+    const heatmapGeoJSON = validatedConfig.renderMode === 'heatmap'
+      ? this.buildHeatmapGeoJSON(validatedConfig.routes)
+      : null;
+
+    const rampStops = validatedConfig.heatmap.colorRamp.reduce((stops, color, index, ramp) => {
+      stops.push(index === 0 ? 0.01 : index / (ramp.length - 1), color);
+      return stops;
+    }, []);
 
     const markersGeoJSON = validatedConfig.markers ? {
       type: 'FeatureCollection',
@@ -2588,6 +2998,13 @@ class MapService {
       ]
     } : null;
 
+    // A band below the map shortens the map so the route is fitted above it
+    const elevationBand = this.getElevationBand(config, validatedConfig.width, validatedConfig.height);
+    const mapHeight = elevationBand ? `${elevationBand.mapHeight}px` : '100%';
+
+    // Escape "<" so route and heatmap styles can never close the script element
+    const json = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
     return `
 <!DOCTYPE html>
 <html>
@@ -2607,12 +3024,12 @@ class MapService {
         }
         #map {
             width: 100%;
-            height: 100%;
+            height: ${mapHeight};
         }
     </style>
 </head>
 <body>
-    <div id="map"></div>
+    <div id="map"></div>${this.buildElevationOverlay(config, elevationBand, validatedConfig.width, validatedConfig.height)}${this.buildColorLegendOverlay(config, validatedConfig.width, validatedConfig.height)}${this.buildTypographyOverlay(config, validatedConfig.width, validatedConfig.height)}
     <script>
         mapboxgl.accessToken = '${this.appConfig.mapbox.accessToken}';
         console.log('[MapHTML] Mapbox access token:', mapboxgl.accessToken ? 'present (' + mapboxgl.accessToken.substring(0, 8) + '...)' : 'MISSING');
@@ -2642,6 +3059,102 @@ class MapService {
         window.mapLoaded = false;
         window.mapError = null;
 
+        const routeLayers = ${json(routeLayers)};
+        const renderMode = '${validatedConfig.renderMode}';
+        const heatmapData = ${json(heatmapGeoJSON)};
+        const markersData = ${json(markersGeoJSON)};
+        const omitRouteLayers = ${config.omitRouteLayers === true};
+
+        // Add route layers (or the density heatmap) and markers to a loaded map
+        function addRouteLayers(targetMap) {
+            // Print documents draw routes and markers as vectors over a bare basemap
+            if (omitRouteLayers) {
+                return;
+            }
+
+            if (renderMode === 'heatmap' && heatmapData) {
+                targetMap.addSource('route-heatmap', {
+                    type: 'geojson',
+                    data: heatmapData
+                });
+
+                targetMap.addLayer({
+                    id: 'route-heatmap',
+                    type: 'heatmap',
+                    source: 'route-heatmap',
+                    paint: {
+                        'heatmap-weight': 1,
+                        'heatmap-intensity': ${validatedConfig.heatmap.intensity},
+                        'heatmap-radius': ${validatedConfig.heatmap.radius},
+                        'heatmap-opacity': ${validatedConfig.heatmap.opacity},
+                        'heatmap-color': ${json(['interpolate', ['linear'], ['heatmap-density'], 0, 'rgba(0,0,0,0)', ...rampStops])}
+                    }
+                });
+            } else {
+                routeLayers.forEach(function(layer) {
+                    // line-gradient needs line metrics on the source
+                    targetMap.addSource(layer.id, {
+                        type: 'geojson',
+                        data: layer.geojson,
+                        lineMetrics: !!layer.gradient
+                    });
+
+                    const paint = {
+                        'line-color': layer.color,
+                        'line-width': layer.width,
+                        'line-opacity': layer.opacity
+                    };
+                    if (layer.gradient) {
+                        paint['line-gradient'] = layer.gradient;
+                    }
+
+                    targetMap.addLayer({
+                        id: layer.id,
+                        type: 'line',
+                        source: layer.id,
+                        layout: {
+                            'line-join': 'round',
+                            'line-cap': 'round'
+                        },
+                        paint: paint
+                    });
+                });
+            }
+
+            if (markersData) {
+                targetMap.addSource('markers', {
+                    type: 'geojson',
+                    data: markersData
+                });
+
+                targetMap.addLayer({
+                    id: 'start-marker',
+                    type: 'circle',
+                    source: 'markers',
+                    filter: ['==', ['get', 'type'], 'start'],
+                    paint: {
+                        'circle-radius': 8,
+                        'circle-color': '#00ff00',
+                        'circle-stroke-color': '#ffffff',
+                        'circle-stroke-width': 2
+                    }
+                });
+
+                targetMap.addLayer({
+                    id: 'end-marker',
+                    type: 'circle',
+                    source: 'markers',
+                    filter: ['==', ['get', 'type'], 'end'],
+                    paint: {
+                        'circle-radius': 8,
+                        'circle-color': '#ff0000',
+                        'circle-stroke-color': '#ffffff',
+                        'circle-stroke-width': 2
+                    }
+                });
+            }
+        }
+
         // Check WebGL support before initializing map
         function checkWebGLSupport() {
             try {
@@ -2688,59 +3201,7 @@ class MapService {
                         // Re-setup event handlers for fallback map
                         fallbackMap.on('load', function() {
                             window.mapLoaded = true;
-                            // Add route source and layer
-                            fallbackMap.addSource('route', {
-                                type: 'geojson',
-                                data: ${JSON.stringify(routeGeoJSON)}
-                            });
-
-                            fallbackMap.addLayer({
-                                id: 'route',
-                                type: 'line',
-                                source: 'route',
-                                layout: {
-                                    'line-join': 'round',
-                                    'line-cap': 'round'
-                                },
-                                paint: {
-                                    'line-color': '${validatedConfig.route.color}',
-                                    'line-width': ${validatedConfig.route.width}
-                                }
-                            });
-
-                            ${validatedConfig.markers ? `
-                            // Add markers
-                            fallbackMap.addSource('markers', {
-                                type: 'geojson',
-                                data: ${JSON.stringify(markersGeoJSON)}
-                            });
-
-                            fallbackMap.addLayer({
-                                id: 'start-marker',
-                                type: 'circle',
-                                source: 'markers',
-                                filter: ['==', ['get', 'type'], 'start'],
-                                paint: {
-                                    'circle-radius': 8,
-                                    'circle-color': '#00ff00',
-                                    'circle-stroke-color': '#ffffff',
-                                    'circle-stroke-width': 2
-                                }
-                            });
-
-                            fallbackMap.addLayer({
-                                id: 'end-marker',
-                                type: 'circle',
-                                source: 'markers',
-                                filter: ['==', ['get', 'type'], 'end'],
-                                paint: {
-                                    'circle-radius': 8,
-                                    'circle-color': '#ff0000',
-                                    'circle-stroke-color': '#ffffff',
-                                    'circle-stroke-width': 2
-                                }
-                            });
-                            ` : ''}
+                            addRouteLayers(fallbackMap);
                         });
                         
                         fallbackMap.on('error', function() {
@@ -2768,59 +3229,7 @@ class MapService {
 
             map.on('load', function() {
             window.mapLoaded = true;
-            // Add route source and layer
-            map.addSource('route', {
-                type: 'geojson',
-                data: ${JSON.stringify(routeGeoJSON)}
-            });
-
-            map.addLayer({
-                id: 'route',
-                type: 'line',
-                source: 'route',
-                layout: {
-                    'line-join': 'round',
-                    'line-cap': 'round'
-                },
-                paint: {
-                    'line-color': '${validatedConfig.route.color}',
-                    'line-width': ${validatedConfig.route.width}
-                }
-            });
-
-            ${validatedConfig.markers ? `
-            // Add markers
-            map.addSource('markers', {
-                type: 'geojson',
-                data: ${JSON.stringify(markersGeoJSON)}
-            });
-
-            map.addLayer({
-                id: 'start-marker',
-                type: 'circle',
-                source: 'markers',
-                filter: ['==', ['get', 'type'], 'start'],
-                paint: {
-                    'circle-radius': 8,
-                    'circle-color': '#00ff00',
-                    'circle-stroke-color': '#ffffff',
-                    'circle-stroke-width': 2
-                }
-            });
-
-            map.addLayer({
-                id: 'end-marker',
-                type: 'circle',
-                source: 'markers',
-                filter: ['==', ['get', 'type'], 'end'],
-                paint: {
-                    'circle-radius': 8,
-                    'circle-color': '#ff0000',
-                    'circle-stroke-color': '#ffffff',
-                    'circle-stroke-width': 2
-                }
-            });
-            ` : ''}
+            addRouteLayers(map);
             });
 
         } catch (initError) {
@@ -2842,8 +3251,15 @@ class MapService {
     try {
       const polyline = require('@mapbox/polyline');
       
+      // Composite configs are drawn as one path overlay per route
+      const routeLayers = Array.isArray(config.routes) && config.routes.length > 0
+        ? this.normalizeRouteLayers(config)
+        : null;
+
       // Extract and validate route coordinates with improved detection
-      const coordinates = this.extractAndValidateCoordinates(config);
+      const coordinates = routeLayers
+        ? routeLayers.reduce((acc, route) => acc.concat(route.coordinates), [])
+        : this.extractAndValidateCoordinates(config);
       if (!coordinates || coordinates.length === 0) {
         throw new Error('No valid route coordinates found for static map generation');
       }
@@ -2855,18 +3271,19 @@ class MapService {
       });
       
       // Convert coordinates to [lat, lng] format for polyline encoding
-      const polylineCoords = this.convertToPolylineFormat(coordinates);
-      const routePolyline = polyline.encode(polylineCoords);
+      const pathOverlays = (routeLayers || [{ coordinates, style: config }]).map(route => {
+        const routePolyline = polyline.encode(this.convertToPolylineFormat(route.coordinates));
+        const routeStyle = this.getRouteStyleString(route.style || { route });
+        return `path${routeStyle}(${encodeURIComponent(routePolyline)})`;
+      });
+      const routeOverlays = pathOverlays.join(',');
       
-      console.log('MapService: Generated polyline with length:', routePolyline.length);
+      console.log('MapService: Generated path overlays:', { count: pathOverlays.length, length: routeOverlays.length });
       
       // Build Static API URL with proper dimensions
       const dimensions = this.getStaticMapDimensions(config);
       const retina = dimensions.retina ? '@2x' : '';
       
-      // Get route styling
-      const routeStyle = this.getRouteStyleString(config);
-      
       // Calculate bounds with padding
       const bounds = this.calculateStaticMapBounds(config.bounds || this.calculateRouteBounds(coordinates));
       const boundsString = `[${bounds.west},${bounds.south},${bounds.east},${bounds.north}]`;
@@ -2876,7 +3293,7 @@ class MapService {
       
       // Construct Static API URL
       const staticUrl = `https://api.mapbox.com/styles/v1/mapbox/${styleId}/static/` +
-        `path${routeStyle}(${encodeURIComponent(routePolyline)})/` +
+        `${routeOverlays}/` +
         `${boundsString}/${dimensions.width}x${dimensions.height}${retina}` +
         `?access_token=${this.appConfig.mapbox.accessToken}`;
       
@@ -2884,7 +3301,7 @@ class MapService {
         style: styleId,
         dimensions: `${dimensions.width}x${dimensions.height}${retina}`,
         boundsString,
-        polylineLength: routePolyline.length
+        overlayLength: routeOverlays.length
       });
       
       // Fetch with timeout and proper error handling
@@ -2959,8 +3376,9 @@ class MapService {
       console.error('MapService: Invalid coordinate format:', coordinates[0]);
       return null;
     }
-    
-    return coordinates;
+
+    const privacyZones = this.getPrivacyZones(config);
+    return privacyZones ? PrivacyZones.apply(coordinates, privacyZones) : coordinates;
   }
 
   /**
@@ -3021,8 +3439,9 @@ class MapService {
   getRouteStyleString(config) {
     const color = (config.route?.color || config.routeColor || '#ff4444').replace('#', '');
     const width = config.route?.width || config.routeWidth || 3;
+    const opacity = config.route?.opacity;
     
-    return `-${width}+${color}`;
+    return typeof opacity === 'number' && opacity < 1 ? `-${width}+${color}-${opacity}` : `-${width}+${color}`;
   }
 
   /**
@@ -3145,8 +3564,15 @@ class MapService {
         return await this.generateStaticMapFallback(config);
       }
 
+      // Composite configs draw every route layer with its own style
+      const routeLayers = Array.isArray(config.routes) && config.routes.length > 0
+        ? this.normalizeRouteLayers(config)
+        : null;
+
       // Extract and validate coordinates
-      const coordinates = this.extractAndValidateCoordinates(config);
+      const coordinates = routeLayers
+        ? routeLayers.reduce((acc, route) => acc.concat(route.coordinates), [])
+        : this.extractAndValidateCoordinates(config);
       if (!coordinates || coordinates.length === 0) {
         throw new Error('No valid coordinates found for Canvas map generation');
       }
@@ -3184,14 +3610,33 @@ class MapService {
       // Draw map background using raster tiles
       await this.drawMapTilesOnCanvas(ctx, bounds, dimensions, zoom, config);
       
-      // Draw route on top of map tiles
-      await this.drawRouteOnCanvas(ctx, coordinates, bounds, dimensions.width, dimensions.height, config);
+      // Draw route(s) on top of map tiles
+      if (routeLayers) {
+        // Heatmap mode approximates density by stacking translucent lines
+        const isHeatmap = config.renderMode === 'heatmap';
+        for (const route of routeLayers) {
+          await this.drawRouteOnCanvas(ctx, route.coordinates, bounds, dimensions.width, dimensions.height, {
+            ...config,
+            route: isHeatmap ? { ...route, opacity: 0.35 } : route,
+            showMarkers: false
+          });
+        }
+      } else {
+        await this.drawRouteOnCanvas(ctx, coordinates, bounds, dimensions.width, dimensions.height, {
+          ...config,
+          colorMetric: this.getColorMetric(config)
+        });
+      }
       
       // Add title and customizations
       await this.addMapDecorations(ctx, config, dimensions.width, dimensions.height);
       
       // Save high-resolution image
       const filePath = await this.saveCanvasImage(canvas, config, dimensions);
+
+      if (config.printFinishing?.cropMarks) {
+        await this.addCropMarksToImage(filePath, config);
+      }
       
       console.log('MapService: High-resolution Canvas map generated successfully:', filePath);
       return filePath;
@@ -3229,6 +3674,16 @@ class MapService {
     };
   }
 
+  /**
+   * Raster tile source for the Canvas renderer (config.tileSource), created on first use
+   */
+  getTileSource() {
+    if (!this.tileSource) {
+      this.tileSource = createTileSource(this.appConfig.tileSource, { accessToken: this.appConfig.mapbox.accessToken });
+    }
+    return this.tileSource;
+  }
+
   /**
    * Draw map tiles on canvas background
    */
@@ -3236,10 +3691,15 @@ class MapService {
     try {
       const styleId = this.normalizeStyleId(config.style || 'streets-v12');
       const tileSize = 512;
+
+      // Stay within the zoom levels the tile source has tiles for
+      const tileSource = this.getTileSource();
+      await tileSource.open();
+      zoom = Math.max(tileSource.minZoom, Math.min(tileSource.maxZoom, zoom));
       
       // Calculate tile grid
       const tiles = this.calculateTileGrid(bounds, zoom, dimensions.width, dimensions.height, tileSize);
-      console.log(`MapService: Loading ${tiles.length} tiles for Canvas rendering`);
+      console.log(`MapService: Loading ${tiles.length} tiles from ${tileSource.name} for Canvas rendering`);
       
       // Load tiles with proper error handling
       let tilesLoaded = 0;
@@ -3268,19 +3728,17 @@ class MapService {
 
   /**
    * Load and draw a single tile
+   * Tiles are drawn into a tileSize grid cell whatever the source's image size
    */
   async loadAndDrawTile(ctx, tile, styleId, tileSize) {
     const canvas = require('canvas');
-    const axios = require('axios');
     
-    const tileUrl = `https://api.mapbox.com/styles/v1/mapbox/${styleId}/tiles/${tileSize}/${tile.z}/${tile.x}/${tile.y}@2x?access_token=${this.appConfig.mapbox.accessToken}`;
-    
-    const response = await axios.get(tileUrl, { 
-      responseType: 'arraybuffer',
-      timeout: 10000 // 10 second timeout per tile
-    });
+    const tileData = await this.getTileSource().getTile({ z: tile.z, x: tile.x, y: tile.y, style: styleId });
+    if (!tileData) {
+      throw new Error('Tile not available from tile source');
+    }
     
-    const tileImage = await canvas.loadImage(Buffer.from(response.data));
+    const tileImage = await canvas.loadImage(tileData);
     
     // Draw tile at correct position
     ctx.drawImage(
@@ -3421,23 +3879,34 @@ class MapService {
       return [x, y];
     });
     
-    // Draw route path
-    ctx.strokeStyle = config.route?.color || '#ff4444';
+    // Draw route path - one stroke per colour run when coloured by metric
+    const runs = config.colorMetric && pixelCoords.length > 1
+      ? RouteColorMetrics.buildRuns(pixelCoords, RouteColorMetrics.getSegmentColors(
+          config.colorMetric,
+          isLngLat ? coordinates : coordinates.map(([lat, lng]) => [lng, lat])
+        ))
+      : [{ color: config.route?.color || '#ff4444', points: pixelCoords }];
+
     ctx.lineWidth = Math.max(4, width / 800); // Scale line width with resolution
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
+    ctx.globalAlpha = typeof config.route?.opacity === 'number' ? config.route.opacity : 1;
     
-    ctx.beginPath();
-    ctx.moveTo(pixelCoords[0][0], pixelCoords[0][1]);
-    
-    for (let i = 1; i < pixelCoords.length; i++) {
-      ctx.lineTo(pixelCoords[i][0], pixelCoords[i][1]);
-    }
-    
-    ctx.stroke();
+    runs.forEach(run => {
+      ctx.strokeStyle = run.color;
+      ctx.beginPath();
+      ctx.moveTo(run.points[0][0], run.points[0][1]);
+      
+      for (let i = 1; i < run.points.length; i++) {
+        ctx.lineTo(run.points[i][0], run.points[i][1]);
+      }
+      
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
     
     // Draw start/end markers
-    if (pixelCoords.length > 1) {
+    if (pixelCoords.length > 1 && config.showMarkers !== false) {
       // Start marker (green)
       ctx.fillStyle = '#22c55e';
       ctx.beginPath();
@@ -3454,36 +3923,120 @@ class MapService {
   }
 
   /**
-   * Add title, subtitle and other decorations to canvas
+   * Add title, subtitle, stats and coordinates to canvas
+   * Text is laid out inside the safe area so trimming never clips it
    */
   async addMapDecorations(ctx, config, width, height) {
-    const settings = config.settings || {};
-    
-    // Calculate font sizes based on resolution
-    const titleFontSize = Math.max(36, width / 50);
-    const subtitleFontSize = Math.max(24, width / 80);
-    
-    // Draw title
-    if (settings.mainTitle) {
-      ctx.fillStyle = settings.titleColor || '#1f2937';
-      ctx.font = `bold ${titleFontSize}px Arial, sans-serif`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'top';
-      
-      const titleY = height * 0.05; // 5% from top
-      ctx.fillText(settings.mainTitle, width / 2, titleY);
+    const elevationBand = this.getElevationBand(config, width, height);
+    if (elevationBand) {
+      PosterElevationProfile.drawToCanvas(ctx, elevationBand.settings, elevationBand);
     }
-    
-    // Draw subtitle
-    if (settings.subtitle) {
-      ctx.fillStyle = settings.subtitleColor || '#6b7280';
-      ctx.font = `${subtitleFontSize}px Arial, sans-serif`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'top';
-      
-      const subtitleY = height * 0.1; // 10% from top
-      ctx.fillText(settings.subtitle, width / 2, subtitleY);
+
+    const colorMetric = this.getColorMetric(config);
+    if (colorMetric?.showLegend) {
+      RouteColorMetrics.drawToCanvas(ctx, colorMetric, RouteColorMetrics.getLegendBox(this.getTypographyFrame(config, width, height)));
+    }
+
+    const blocks = PosterTypography.layout(
+      PosterTypography.resolveSettings(config),
+      this.getTypographyFrame(config, width, height),
+      PosterTypography.canvasMeasure(ctx)
+    );
+    PosterTypography.drawToCanvas(ctx, blocks);
+  }
+
+  /**
+   * Get the elevation-profile band for a config, or null when the poster has none
+   * @returns {Object|null} { settings, band, plot, mapHeight } in canvas pixels
+   */
+  getElevationBand(config, width, height) {
+    const settings = PosterElevationProfile.resolveSettings(config);
+    if (!settings) {
+      return null;
+    }
+
+    const finishing = config.printFinishing;
+    return {
+      settings,
+      ...PosterElevationProfile.getBand(settings, width, height, {
+        bleed: finishing?.bleedPixels || 0,
+        safe: finishing?.safeZonePixels || 0
+      })
+    };
+  }
+
+  /**
+   * Get the frame poster text is laid out in: the safe area, ending above any elevation band
+   */
+  getTypographyFrame(config, width, height) {
+    const safeArea = this.getSafeArea(config, width, height);
+    const elevationBand = this.getElevationBand(config, width, height);
+    if (!elevationBand) {
+      return safeArea;
+    }
+
+    return {
+      ...safeArea,
+      height: Math.max(1, Math.min(safeArea.height, elevationBand.band.y - safeArea.y))
+    };
+  }
+
+  /**
+   * Build the elevation-profile band for a Puppeteer map page as an SVG layer
+   */
+  buildElevationOverlay(config, elevationBand, width, height) {
+    if (!elevationBand || config.omitElevationProfile) {
+      return '';
+    }
+
+    return `
+    <svg xmlns="http://www.w3.org/2000/svg" style="position: absolute; left: 0; top: 0; z-index: 5; pointer-events: none;" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        ${PosterElevationProfile.toSVG(elevationBand.settings, elevationBand)}
+    </svg>`;
+  }
+
+  /**
+   * Build the colour-by-metric legend for a Puppeteer map page as an SVG layer
+   * Print documents draw the legend with the vector routes instead
+   */
+  buildColorLegendOverlay(config, width, height) {
+    const colorMetric = this.getColorMetric(config);
+    if (!colorMetric?.showLegend || config.omitRouteLayers) {
+      return '';
     }
+
+    return `
+    <svg xmlns="http://www.w3.org/2000/svg" style="position: absolute; left: 0; top: 0; z-index: 6; pointer-events: none;" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        ${RouteColorMetrics.toSVG(colorMetric, RouteColorMetrics.getLegendBox(this.getTypographyFrame(config, width, height)))}
+    </svg>`;
+  }
+
+  /**
+   * Build the typography overlay for a Puppeteer map page
+   * The shared layout engine is inlined so text is measured and laid out by the page's own
+   * fonts, exactly as in the designer preview
+   */
+  buildTypographyOverlay(config, width, height) {
+    const settings = PosterTypography.resolveSettings(config);
+    if (config.omitTypography || PosterTypography.layout(settings, { x: 0, y: 0, width, height }).length === 0) {
+      return '';
+    }
+
+    if (posterTypographySource === null) {
+      posterTypographySource = fs.readFileSync(POSTER_TYPOGRAPHY_PATH, 'utf8');
+    }
+
+    // Escape "<" so user text can never close the script element
+    const json = value => JSON.stringify(value).replace(/</g, '\\u003c');
+    return `
+    <div id="poster-typography" style="position: absolute; inset: 0; pointer-events: none; z-index: 10;"></div>
+    <script>${posterTypographySource}</script>
+    <script>
+        PosterTypography.renderToElement(
+            document.getElementById('poster-typography'),
+            PosterTypography.layout(${json(settings)}, ${json(this.getTypographyFrame(config, width, height))}, PosterTypography.canvasMeasure())
+        );
+    </script>`;
   }
 
   /**
@@ -3568,68 +4121,69 @@ class MapService {
       dpi: highResConfig.dpi
     });
 
-    const page = await this.browser.newPage();
-    
+    let imagePath;
     try {
-      // Set viewport to target dimensions (already calculated for 300 DPI in PRINT_CONFIG)
-      // No scaling needed - use dimensions directly for correct output resolution
-      await page.setViewport({
-        width: highResConfig.width,
-        height: highResConfig.height,
-        deviceScaleFactor: 1
-      });
+      imagePath = await this.renderPool.run(async page => {
+        // Set viewport to target dimensions (already calculated for 300 DPI in PRINT_CONFIG)
+        // No scaling needed - use dimensions directly for correct output resolution
+        await page.setViewport({
+          width: highResConfig.width,
+          height: highResConfig.height,
+          deviceScaleFactor: 1
+        });
 
-      // Create HTML for map rendering
-      const mapHTML = this.generateMapHTML(highResConfig);
-      
-      // Set page content and wait for map to load
-      await page.setContent(mapHTML, { waitUntil: 'networkidle2' });
-      
-      // Wait for Mapbox to finish loading
-      try {
-        await page.waitForFunction(
-          () => {
-            if (window.mapError) {
-              throw new Error(window.mapError);
-            }
-            return window.mapboxgl && window.map && window.mapLoaded === true;
-          },
-          { timeout: 60000 } // Longer timeout for high-res
-        );
-      } catch (error) {
-        console.log('MapService: WebGL rendering failed for high-res, using Canvas fallback...');
-        await page.close();
-        
-        // Use Canvas-based fallback for true 300 DPI generation
-        return await this.generateCanvasMapFallback(highResConfig);
-      }
+        // Create HTML for map rendering
+        const mapHTML = this.generateMapHTML(highResConfig);
+    
+        // Set page content and wait for map to load
+        await page.setContent(mapHTML, { waitUntil: 'networkidle2' });
+    
+        // Wait for Mapbox to finish loading
+        try {
+          await page.waitForFunction(
+            () => {
+              if (window.mapError) {
+                throw new Error(window.mapError);
+              }
+              return window.mapboxgl && window.map && window.mapLoaded === true;
+            },
+            { timeout: 60000 } // Longer timeout for high-res
+          );
+        } catch (error) {
+          console.log('MapService: WebGL rendering failed for high-res, using Canvas fallback...');
+          return null;
+        }
 
-      // Additional wait for map to settle (longer for high-res)
-      await page.waitForTimeout(5000);
+        // Additional wait for map to settle (longer for high-res)
+        await page.waitForTimeout(5000);
 
-      // Create print-ready directory if it doesn't exist
-      const printDir = path.join(this.appConfig.storage.generatedMapsDir, 'print-ready');
-      await this.ensureDirectoryExists(printDir);
+        // Create print-ready directory if it doesn't exist
+        const printDir = path.join(this.appConfig.storage.generatedMapsDir, 'print-ready');
+        await this.ensureDirectoryExists(printDir);
 
-      // Generate filename and save high-resolution image
-      const filename = `${highResConfig.id}.png`;
-      const filePath = path.join(printDir, filename);
-      
-      await page.screenshot({
-        path: filePath,
-        type: 'png',
-        quality: 100, // Maximum quality for print
-        fullPage: false
-      });
+        // Generate filename and save high-resolution image
+        const filename = `${highResConfig.id}.png`;
+        const filePath = path.join(printDir, filename);
+    
+        await page.screenshot({
+          path: filePath,
+          type: 'png',
+          quality: 100, // Maximum quality for print
+          fullPage: false
+        });
 
-      console.log('MapService: High-resolution image generated successfully:', filePath);
-      return filePath;
+        console.log('MapService: High-resolution image generated successfully:', filePath);
+        return filePath;
+      }, { memoryMB: this.estimateRenderMemoryMB(highResConfig.width, highResConfig.height), label: `high-res image ${highResConfig.id}` });
 
+      // WebGL failed - use the Canvas-based fallback for true 300 DPI generation once the pooled page is released
+      if (imagePath === null) {
+        return await this.generateCanvasMapFallback(highResConfig);
+      }
+      return imagePath;
     } catch (error) {
       console.error('MapService: Error generating high-resolution image:', error);
       throw new Error(`High-resolution generation failed: ${error.message}`);
-    } finally {
-      await page.close();
     }
   }
 
@@ -3716,18 +4270,13 @@ class MapService {
    * Cleanup resources
    */
   async cleanup() {
-    if (this.browser) {
-      console.log('MapService: Closing browser...');
-      try {
-        if (this.browser.isConnected()) {
-          await this.browser.close();
-        }
-      } catch (error) {
-        console.warn('MapService: Error during browser cleanup:', error.message);
-      }
-      this.browser = null;
-      this.isInitialized = false;
+    console.log('MapService: Closing browser pool...');
+    try {
+      await this.renderPool.close();
+    } catch (error) {
+      console.warn('MapService: Error during browser cleanup:', error.message);
     }
+    this.isInitialized = false;
   }
 }
 
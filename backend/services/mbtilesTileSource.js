@@ -0,0 +1,189 @@
+/**
+ * MBTiles Tile Source
+ * Serves raster tiles from a local MBTiles file (an SQLite database, read with
+ * sqliteReader.js) so the canvas renderer can run without network access.
+ *
+ * Supports the plain schema (a `tiles` table) and the deduplicated schema (`map` and
+ * `images` tables behind a `tiles` view). Rows are stored in TMS order, so the XYZ row
+ * is flipped on lookup. Vector (pbf) MBTiles can't be drawn on a canvas and are rejected.
+ *
+ * Tiles are looked up through an index on the tile columns when the file has one - an
+ * explicit index, the autoindex of a UNIQUE constraint (as GDAL writes), or the primary
+ * key of a WITHOUT ROWID table. Only files without any of these are scanned once into memory.
+ *
+ * Implements the tile source interface described in tileSources.js.
+ */
+
+const path = require('path');
+const SQLiteReader = require('./sqliteReader');
+
+const TILE_KEY = ['zoom_level', 'tile_column', 'tile_row'];
+
+class MBTilesTileSource {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('MBTiles tile source requires a file path');
+    }
+
+    this.name = 'mbtiles';
+    this.path = path.resolve(options.path);
+    this.options = options;
+    this.tileSize = options.tileSize || 256;
+    this.minZoom = options.minZoom ?? 0;
+    this.maxZoom = options.maxZoom ?? 22;
+    this.metadata = {};
+    this.reader = null;
+    this.opening = null;
+    this.scanIndexes = new Map(); // table -> Map(key -> rowid or primary key), for tables without a usable index
+  }
+
+  /**
+   * Open the file, read its metadata and work out how tiles are stored
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = this.load().catch(error => {
+        this.opening = null;
+        throw error;
+      });
+    }
+    return this.opening;
+  }
+
+  async load() {
+    const reader = new SQLiteReader(this.path);
+    await reader.open();
+
+    try {
+      const schema = reader.getSchema();
+      if (schema.tables.has('metadata')) {
+        for await (const { values } of reader.scanTable('metadata')) {
+          this.metadata[values[0]] = values[1];
+        }
+      }
+
+      const format = (this.metadata.format || 'png').toLowerCase();
+      if (format === 'pbf') {
+        throw new Error('Vector (pbf) MBTiles are not supported - the canvas renderer needs raster tiles');
+      }
+
+      // Explicit configuration wins over the file's metadata
+      if (this.options.minZoom === undefined && this.metadata.minzoom !== undefined) {
+        this.minZoom = parseInt(this.metadata.minzoom, 10);
+      }
+      if (this.options.maxZoom === undefined && this.metadata.maxzoom !== undefined) {
+        this.maxZoom = parseInt(this.metadata.maxzoom, 10);
+      }
+
+      if (schema.tables.has('tiles')) {
+        this.layout = 'tiles';
+      } else if (schema.tables.has('map') && schema.tables.has('images')) {
+        this.layout = 'deduplicated';
+      } else {
+        throw new Error('No tiles table (or map/images tables) found');
+      }
+    } catch (error) {
+      await reader.close();
+      throw new Error(`Cannot read MBTiles file ${this.path}: ${error.message}`);
+    }
+
+    this.reader = reader;
+    console.log('[MBTilesTileSource] Opened tile file:', this.describe());
+    return this;
+  }
+
+  /**
+   * Tile image for an XYZ tile, or null when the file has no tile there
+   */
+  async getTile({ z, x, y }) {
+    await this.open();
+    const tileRow = Math.pow(2, z) - 1 - y;
+
+    if (this.layout === 'tiles') {
+      const row = await this.findRow('tiles', TILE_KEY, [z, x, tileRow]);
+      return row ? row.tile_data : null;
+    }
+
+    const mapRow = await this.findRow('map', TILE_KEY, [z, x, tileRow]);
+    if (!mapRow) {
+      return null;
+    }
+    const image = await this.findRow('images', ['tile_id'], [mapRow.tile_id]);
+    return image ? image.tile_data : null;
+  }
+
+  /**
+   * Find a row by column values, through an index on those columns when the file has one
+   * @returns {Promise<Object|null>} Row keyed by column name
+   */
+  async findRow(tableName, columns, values) {
+    const table = this.reader.getTable(tableName);
+    const startsWith = keyColumns => columns.every((column, i) => keyColumns[i] === column);
+    const toObject = row => row && Object.fromEntries(table.columns.map((column, i) => [column.name, row[i]]));
+
+    // WITHOUT ROWID tables are stored in primary key order and have no rowids to look up
+    if (table.withoutRowid) {
+      const key = startsWith(table.primaryKey)
+        ? values
+        : (await this.getScanIndex(tableName, columns)).get(values.join('/'));
+      return key ? toObject(await this.reader.findRowByKey(tableName, key)) : null;
+    }
+
+    const index = [...this.reader.getSchema().indexes.values()].find(candidate =>
+      candidate.tableName === tableName && startsWith(candidate.columns)
+    );
+
+    const rowid = index
+      ? await this.reader.findRowid(index.name, values)
+      : (await this.getScanIndex(tableName, columns)).get(values.join('/'));
+    if (rowid === null || rowid === undefined) {
+      return null;
+    }
+
+    return toObject(await this.reader.getRow(tableName, rowid));
+  }
+
+  /**
+   * Key -> rowid map built with one scan, for tables written without an index
+   * WITHOUT ROWID tables map to the row's primary key values instead
+   */
+  async getScanIndex(tableName, columns) {
+    const cacheKey = `${tableName}:${columns.join(',')}`;
+    if (!this.scanIndexes.has(cacheKey)) {
+      const table = this.reader.getTable(tableName);
+      const positionsOf = names => names.map(name => table.columns.findIndex(candidate => candidate.name === name));
+      const positions = positionsOf(columns);
+      const keyPositions = positionsOf(table.primaryKey);
+      const rowids = new Map();
+      for await (const { rowid, values } of this.reader.scanTable(tableName)) {
+        const locator = table.withoutRowid ? keyPositions.map(position => values[position]) : rowid;
+        rowids.set(positions.map(position => values[position]).join('/'), locator);
+      }
+      this.scanIndexes.set(cacheKey, rowids);
+    }
+    return this.scanIndexes.get(cacheKey);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      path: this.path,
+      title: this.metadata.name,
+      format: this.metadata.format || 'png',
+      tileSize: this.tileSize,
+      minZoom: this.minZoom,
+      maxZoom: this.maxZoom
+    };
+  }
+
+  async close() {
+    if (this.reader) {
+      await this.reader.close();
+      this.reader = null;
+    }
+    this.opening = null;
+    this.scanIndexes.clear();
+  }
+}
+
+module.exports = MBTilesTileSource;
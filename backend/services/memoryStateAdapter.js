@@ -0,0 +1,107 @@
+/**
+ * Memory State Adapter
+ * Keeps shared state in this process. Components behave as they do without a shared
+ * backend, which makes this adapter useful for development and tests; it does not
+ * share anything between instances.
+ *
+ * Values are stored serialised so callers never share object references with the
+ * store, matching the Redis adapter. Published messages are only delivered to other
+ * adapters, and there are none, so publish() has no listeners to reach.
+ *
+ * Implements the shared state interface described in sharedState.js.
+ */
+
+const EventEmitter = require('events');
+
+class MemoryStateAdapter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'memory';
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.hits = new Map(); // key -> request timestamps
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), options.cleanupInterval || 60000);
+    this.cleanupInterval.unref();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  async getMany(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async set(key, value, ttlMs = null) {
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async delete(...keys) {
+    keys.forEach(key => {
+      this.entries.delete(key);
+      this.hits.delete(key);
+    });
+  }
+
+  /**
+   * @param {string} pattern - Glob pattern where * matches any characters
+   */
+  async keys(pattern = '*') {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    const now = Date.now();
+
+    return [...this.entries.entries()]
+      .filter(([key, entry]) => (!entry.expiresAt || now < entry.expiresAt) && regex.test(key))
+      .map(([key]) => key);
+  }
+
+  async recordHit(key, windowMs, limit) {
+    const now = Date.now();
+    const requests = (this.hits.get(key) || []).filter(timestamp => timestamp > now - windowMs);
+
+    if (requests.length >= limit) {
+      this.hits.set(key, requests);
+      return { count: requests.length, allowed: false };
+    }
+
+    requests.push(now);
+    this.hits.set(key, requests);
+    return { count: requests.length, allowed: true };
+  }
+
+  async publish() {
+    // No other instances to notify
+  }
+
+  async subscribe() {
+    // No other instances publish to this store
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt && now >= entry.expiresAt) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.cleanupInterval);
+    this.entries.clear();
+    this.hits.clear();
+  }
+}
+
+module.exports = MemoryStateAdapter;
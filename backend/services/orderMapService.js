@@ -2,6 +2,7 @@ const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const MapConfigurationService = require('./mapConfigurationService');
+const PrivacyZones = require('@print-my-ride/map-engines/privacy-zones');
 
 /**
  * OrderMapService - Dedicated service for generating maps from Shopify order data
@@ -15,6 +16,7 @@ class OrderMapService {
     this.mapService = null;
     this.stravaService = null;
     this.mapConfigService = new MapConfigurationService();
+    this.recordsDir = path.join(__dirname, '..', 'generated-maps', 'order-records');
     this.initialized = false;
   }
 
@@ -102,12 +104,26 @@ class OrderMapService {
   /**
    * Generate high-resolution map from Shopify order data
    * Uses multiple fallback strategies to ensure successful generation
+   * @param {Object} options - { signal } aborts the renders, e.g. when the job times out
    */
-  async generateMapFromOrder(orderData, lineItem, webhookTopic) {
-    await this.initialize();
-
+  async generateMapFromOrder(orderData, lineItem, webhookTopic, options = {}) {
     console.log('[OrderMapService] Starting map generation for order:', orderData.name);
 
+    // Cancelled or refunded orders must not produce a printable file
+    const withdrawalReason = this.getWithdrawalReason(orderData, lineItem);
+    if (withdrawalReason) {
+      console.log('[OrderMapService] Skipping map generation:', {
+        orderId: orderData.id,
+        lineItemId: lineItem?.id,
+        reason: withdrawalReason
+      });
+      const error = new Error(withdrawalReason);
+      error.code = 'ORDER_CANCELLED';
+      throw error;
+    }
+
+    await this.initialize();
+
     // Add timeout to prevent hanging
     const GENERATION_TIMEOUT = 5 * 60 * 1000; // 5 minutes
     const startTime = Date.now();
@@ -120,7 +136,7 @@ class OrderMapService {
 
     try {
       return await Promise.race([
-        this.performMapGeneration(orderData, lineItem, webhookTopic),
+        this.performMapGeneration(orderData, lineItem, webhookTopic, options),
         timeoutPromise
       ]);
     } catch (error) {
@@ -130,10 +146,23 @@ class OrderMapService {
     }
   }
 
+  /**
+   * Check whether the order or line item has been cancelled, refunded or removed
+   * Returns the reason, or null when the map may be generated
+   */
+  getWithdrawalReason(orderData, lineItem) {
+    if (orderData.cancelled_at) {
+      return `Order cancelled${orderData.cancel_reason ? ` (${orderData.cancel_reason})` : ''}`;
+    }
+
+    const webhookLedger = require('./webhookLedger');
+    return webhookLedger.getWithdrawalReason(orderData.id, lineItem?.id);
+  }
+
   /**
    * Perform the actual map generation (split out for timeout handling)
    */
-  async performMapGeneration(orderData, lineItem, webhookTopic) {
+  async performMapGeneration(orderData, lineItem, webhookTopic, options = {}) {
     const mapConfig = await this.extractMapConfiguration(orderData, lineItem);
     
     if (!mapConfig) {
@@ -143,11 +172,19 @@ class OrderMapService {
     console.log('[OrderMapService] Using configuration source:', mapConfig.source);
 
     try {
+      // Render with the product's bleed so the printer can trim cleanly
+      const printConfig = this.mapService.applyPrintFinishing(mapConfig);
+
       // Generate high-resolution map
-      const mapPath = await this.generateHighResolutionMap(mapConfig);
+      const mapPath = await this.generateHighResolutionMap(printConfig, options);
+      options.signal?.throwIfAborted();
+
+      // Vector print documents requested for this line item (PDF for print labs, SVG for engraving)
+      const documents = await this.generatePrintDocuments(printConfig, lineItem, options);
+      options.signal?.throwIfAborted();
       
       // Store generation record
-      await this.storeGenerationRecord(orderData, lineItem, mapConfig, mapPath);
+      await this.storeGenerationRecord(orderData, lineItem, printConfig, mapPath, documents);
 
       // Handle successful configuration lifecycle
       await this.handleConfigurationLifecycle(mapConfig, orderData, lineItem);
@@ -159,6 +196,7 @@ class OrderMapService {
         configSource: mapConfig.source,
         configId: mapConfig.configId || null,
         mapPath: mapPath,
+        documents: documents,
         customerEmail: orderData.customer?.email,
         webhookTopic: webhookTopic,
         completedAt: new Date().toISOString()
@@ -168,6 +206,7 @@ class OrderMapService {
 
       return {
         mapPath,
+        documents,
         configSource: mapConfig.source,
         configId: mapConfig.configId || null,
         orderId: orderData.id,
@@ -255,6 +294,16 @@ class OrderMapService {
           config.orientation = orientation;
           config.dpi = 300; // Always 300 DPI for high-res printing
 
+          // Stats panel fallback for configurations saved without client-side stats
+          const activityData = configData.activityData || configData.mapConfiguration?.activityData;
+          if (!config.stats && activityData) {
+            const { transformPosterStats } = require('../utils/dataTransformers');
+            config.stats = transformPosterStats(activityData);
+          }
+
+          // Privacy zones are trimmed at render time, including for designs saved before they were set
+          config.privacyZones = await this.getPrivacyZones(activityData, configData);
+
           // Calculate actual pixel dimensions for the format at 300 DPI
           // This is critical - dimensions must match PRINT_CONFIG values
           const printDimensions = this.mapService.getPrintDimensions(format, orientation);
@@ -463,10 +512,16 @@ class OrderMapService {
       // Calculate dimensions based on print size (300 DPI)
       const dimensions = this.getPrintDimensions(printSize, orientation);
 
-      // Use transformed coordinates and calculate bounds
+      // Use transformed coordinates; frame and mark the part left visible by privacy zones
       const coordinates = transformedActivity.coordinates;
-      const bounds = this.calculateBounds(coordinates);
+      const privacyZones = await this.getPrivacyZones(activityData, configData);
+      const visibleCoordinates = privacyZones ? PrivacyZones.apply(coordinates, privacyZones) : coordinates;
+      if (visibleCoordinates.length === 0) {
+        throw new Error('Route lies entirely within the athlete\'s privacy zones');
+      }
+      const bounds = this.calculateBounds(visibleCoordinates);
       const center = this.calculateCenter(bounds);
+      const { transformPosterStats } = require('../utils/dataTransformers');
 
       const config = {
         id: `order_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -484,10 +539,15 @@ class OrderMapService {
           width: routeWidth
         },
         markers: {
-          start: coordinates[0],
-          end: coordinates[coordinates.length - 1]
+          start: visibleCoordinates[0],
+          end: visibleCoordinates[visibleCoordinates.length - 1]
         },
+        // Trimmed from the route at render time
+        privacyZones,
         title: transformedActivity.name,
+        // Keep the customer's text and stats panel choices when the saved configuration has them
+        customization: configData?.mapConfiguration?.mapConfiguration?.customization || configData?.mapConfiguration?.customization,
+        stats: transformPosterStats(activityData),
         activityId: transformedActivity.id,
         reconstructed: true,
         originalActivity: {
@@ -512,6 +572,26 @@ class OrderMapService {
     }
   }
 
+  /**
+   * Resolve the privacy zones for a reconstructed config
+   * Zones saved with the design win; otherwise the athlete's stored settings apply
+   */
+  async getPrivacyZones(activityData, configData = null) {
+    const savedConfig = configData?.mapConfiguration?.mapConfiguration || configData?.mapConfiguration;
+    const savedZones = savedConfig ? PrivacyZones.resolveSettings(savedConfig) : null;
+    if (savedZones) {
+      return savedZones;
+    }
+
+    const athleteId = activityData?.athlete?.id;
+    if (!athleteId) {
+      return null;
+    }
+
+    const userSettingsService = require('./userSettingsService');
+    return PrivacyZones.resolveSettings({ privacyZones: await userSettingsService.getPrivacyZones(athleteId) });
+  }
+
   /**
    * Reconstruct configuration from stored activity data (without API call)
    */
@@ -556,8 +636,11 @@ class OrderMapService {
       return false;
     }
     
+    // Composite (multi-activity) configs carry a routes array instead of a single route
+    const isComposite = Array.isArray(config.routes) && config.routes.length > 0;
+
     const required = [
-      'width', 'height', 'center', 'bounds', 'style', 'route'
+      'width', 'height', 'center', 'bounds', 'style', isComposite ? 'routes' : 'route'
     ];
 
     const missing = [];
@@ -574,14 +657,17 @@ class OrderMapService {
     }
 
     // Validate nested route properties
-    if (!config.route.coordinates || !Array.isArray(config.route.coordinates)) {
-      console.warn('[OrderMapService] Invalid route coordinates - expected array');
-      return false;
-    }
-    
-    if (config.route.coordinates.length === 0) {
-      console.warn('[OrderMapService] Route coordinates array is empty');
-      return false;
+    const routes = isComposite ? config.routes : [config.route];
+    for (const [index, route] of routes.entries()) {
+      if (!route || !route.coordinates || !Array.isArray(route.coordinates)) {
+        console.warn(`[OrderMapService] Invalid route coordinates - expected array (route ${index})`);
+        return false;
+      }
+      
+      if (route.coordinates.length === 0) {
+        console.warn(`[OrderMapService] Route coordinates array is empty (route ${index})`);
+        return false;
+      }
     }
 
     // Validate center coordinates
@@ -632,7 +718,7 @@ class OrderMapService {
   /**
    * Generate high-resolution map using the map service
    */
-  async generateHighResolutionMap(config) {
+  async generateHighResolutionMap(config, options = {}) {
     try {
       console.log('[OrderMapService] Generating high-resolution map:', {
         id: config.id,
@@ -640,7 +726,7 @@ class OrderMapService {
         source: config.source
       });
 
-      const mapPath = await this.mapService.generateHighResFromPreviewConfig(config);
+      const mapPath = await this.mapService.generateHighResFromPreviewConfig(config, { signal: options.signal });
       
       if (!mapPath) {
         throw new Error('Map service returned no file path');
@@ -660,10 +746,46 @@ class OrderMapService {
     }
   }
 
+  /**
+   * Read the vector outputs requested in the line item's "Output Format" property
+   * e.g. "PDF" or "PDF, SVG" - the PNG is always generated for fulfillment
+   */
+  getRequestedOutputFormats(lineItem) {
+    const value = (lineItem?.properties || []).find(p => p.name === 'Output Format')?.value || '';
+    const formats = String(value).split(',').map(format => format.trim().toLowerCase());
+    return [...new Set(formats.filter(format => format === 'pdf' || format === 'svg'))];
+  }
+
+  /**
+   * Generate the requested PDF/SVG print documents for a line item
+   * @returns {Promise<Object>} Paths keyed by format, e.g. { pdf: '/.../order_1.pdf' }
+   */
+  async generatePrintDocuments(config, lineItem, options = {}) {
+    const formats = this.getRequestedOutputFormats(lineItem);
+    const documents = {};
+
+    if (formats.length === 0) {
+      return documents;
+    }
+
+    const printDocumentService = require('./printDocumentService');
+    for (const format of formats) {
+      try {
+        documents[format] = await printDocumentService.generate(config, format, { signal: options.signal });
+      } catch (error) {
+        console.error(`[OrderMapService] Error generating ${format.toUpperCase()} print document:`, error);
+        throw new Error(`${format.toUpperCase()} generation failed: ${error.message}`);
+      }
+    }
+
+    console.log('[OrderMapService] Print documents generated:', documents);
+    return documents;
+  }
+
   /**
    * Store generation record for tracking and debugging
    */
-  async storeGenerationRecord(orderData, lineItem, config, mapPath) {
+  async storeGenerationRecord(orderData, lineItem, config, mapPath, documents = {}) {
     try {
       const record = {
         orderId: orderData.id,
@@ -671,6 +793,7 @@ class OrderMapService {
         lineItemId: lineItem.id,
         configSource: config.source,
         mapPath: mapPath,
+        documents: documents,
         customer: {
           id: orderData.customer?.id,
           email: orderData.customer?.email
@@ -680,14 +803,15 @@ class OrderMapService {
           format: config.format,
           orientation: config.orientation,
           dpi: config.dpi,
-          style: config.style
+          style: config.style,
+          bleed: config.printFinishing?.bleed ?? null,
+          cropMarks: config.printFinishing?.cropMarks ?? false
         }
       };
 
-      const recordsDir = path.join(__dirname, '..', 'generated-maps', 'order-records');
-      await fs.mkdir(recordsDir, { recursive: true });
+      await fs.mkdir(this.recordsDir, { recursive: true });
 
-      const recordFile = path.join(recordsDir, `order_${orderData.id}_${lineItem.id}.json`);
+      const recordFile = path.join(this.recordsDir, `order_${orderData.id}_${lineItem.id}.json`);
       await fs.writeFile(recordFile, JSON.stringify(record, null, 2));
 
       console.log('[OrderMapService] Generation record stored:', recordFile);
@@ -697,6 +821,49 @@ class OrderMapService {
     }
   }
 
+  /**
+   * Read the generation records stored for an order's line items
+   * @returns {Promise<Array>} [{ filePath, record }]
+   */
+  async getGenerationRecords(orderId) {
+    let files;
+    try {
+      files = await fs.readdir(this.recordsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const prefix = `order_${orderId}_`;
+    const records = [];
+    for (const file of files.filter(name => name.startsWith(prefix) && name.endsWith('.json'))) {
+      const filePath = path.join(this.recordsDir, file);
+      try {
+        records.push({ filePath, record: JSON.parse(await fs.readFile(filePath, 'utf8')) });
+      } catch (error) {
+        console.warn('[OrderMapService] Could not read generation record:', file, error.message);
+        records.push({ filePath, record: null });
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Delete the generation records stored for an order
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async deleteGenerationRecords(orderId) {
+    const records = await this.getGenerationRecords(orderId);
+    for (const { filePath } of records) {
+      await fs.unlink(filePath).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    return records.length;
+  }
+
   /**
    * Handle configuration lifecycle after successful generation
    */
@@ -785,8 +952,8 @@ class OrderMapService {
         console.log('[OrderMapService] Using default map style');
       }
       
-      // Try to extract route coordinates from various sources
-      if (!reconstructed.route) {
+      // Try to extract route coordinates from various sources (composite configs already carry routes)
+      if (!reconstructed.route && !(Array.isArray(reconstructed.routes) && reconstructed.routes.length > 0)) {
         // Use helper functions to extract routeColor and routeWidth from all possible locations
         const routeColor = this.extractRouteColor(configData);
         const routeWidth = this.extractRouteWidth(configData);
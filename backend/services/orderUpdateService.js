@@ -3,13 +3,32 @@
  * 
  * Handles updating Shopify orders with map file information
  * and managing order fulfillment for completed maps.
+ * Print files are linked with signed, expiring URLs so the print lab can
+ * download them without a customer session, and can also be attached to the
+ * order as Shopify files (shopify.uploadPrintFiles).
+ *
+ * All Shopify calls go through the Admin GraphQL client (shopifyAdminClient.js).
  */
 
 const path = require('path');
+const shopifyAdminClient = require('./shopifyAdminClient');
+const { ShopifyAdminClient } = require('./shopifyAdminClient');
+
+const PRINT_FILE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.pdf': 'application/pdf',
+  '.svg': 'image/svg+xml'
+};
+
+// Fulfillment order statuses that still accept fulfillments
+const FULFILLABLE_STATUSES = ['OPEN', 'IN_PROGRESS'];
 
 class OrderUpdateService {
-  constructor() {
-    this.shopifyConfig = null;
+  constructor(options = {}) {
+    this.shopifyConfig = options.shopifyConfig || null;
+    this.adminClient = options.adminClient || null;
     this.initialized = false;
   }
 
@@ -21,7 +40,7 @@ class OrderUpdateService {
 
     try {
       const config = require('../config');
-      this.shopifyConfig = config.getConfig().shopify;
+      this.shopifyConfig = this.shopifyConfig || config.getConfig().shopify;
       
       if (!this.shopifyConfig) {
         throw new Error('Shopify configuration not found');
@@ -35,9 +54,17 @@ class OrderUpdateService {
     }
   }
 
+  /**
+   * Shopify Admin API client; the shared client unless one was injected
+   */
+  getAdminClient() {
+    return this.adminClient || shopifyAdminClient;
+  }
+
   /**
    * Add map file information to Shopify order
-   * This will add the map filename as an order metafield
+   * Sets custom_maps metafields (file name, print link and, when enabled, the
+   * uploaded print file) in one metafieldsSet call, then adds an order note
    */
   async addMapFileToOrder(orderId, job, orderData = null) {
     await this.initialize();
@@ -50,34 +77,53 @@ class OrderUpdateService {
         filePath: job.filePath
       });
 
-      // Create metafield data
-      const metafieldData = {
+      const adminClient = this.getAdminClient();
+      const metafields = [{
+        namespace: 'custom_maps',
         key: 'map_file_name',
-        value: job.fileName,
         type: 'single_line_text_field',
-        namespace: 'custom_maps'
-      };
+        value: job.fileName
+      }];
+
+      const downloadLinks = this.createDownloadLinks(job);
+      if (downloadLinks.map) {
+        metafields.push({
+          namespace: 'custom_maps',
+          key: 'map_file_url',
+          type: 'url',
+          value: downloadLinks.map.url
+        });
+      }
 
-      // TODO: Implement actual Shopify Admin API call
-      // For now, we'll simulate the API call and log the action
-      
-      const mockApiResponse = await this.mockShopifyApiCall('POST', `/orders/${orderId}/metafields`, {
-        metafield: metafieldData
-      });
+      const printFile = this.shopifyConfig.uploadPrintFiles ? await this.uploadPrintFile(job) : null;
+      if (printFile) {
+        metafields.push({
+          namespace: 'custom_maps',
+          key: 'map_print_file',
+          type: 'file_reference',
+          value: printFile.id
+        });
+      }
+
+      const savedMetafields = await adminClient.setMetafields(ShopifyAdminClient.toGid('Order', orderId), metafields);
+      const mapFileMetafield = savedMetafields.find(metafield => metafield.key === 'map_file_name');
 
       console.log('[OrderUpdateService] Map file metafield added successfully:', {
         orderId,
-        metafieldId: mockApiResponse.id,
-        key: metafieldData.key,
-        value: metafieldData.value
+        metafieldId: mapFileMetafield?.id,
+        keys: savedMetafields.map(metafield => metafield.key),
+        value: job.fileName
       });
 
       // Add order note with map completion information
-      await this.addOrderNote(orderId, job, orderData);
+      await this.addOrderNote(orderId, job, orderData, downloadLinks);
 
       return {
         success: true,
-        mapFileMetafield: mockApiResponse
+        mapFileMetafield,
+        metafields: savedMetafields,
+        downloadLinks,
+        printFile
       };
 
     } catch (error) {
@@ -87,10 +133,66 @@ class OrderUpdateService {
   }
 
   /**
-   * Add an order note with map completion information
+   * Upload a job's print file to Shopify Files
+   * Signed download links still work without it, so a failed upload is logged rather than thrown
+   * @returns {Promise<Object|null>} The created file ({ id, fileStatus, ... }) or null
    */
-  async addOrderNote(orderId, job, orderData = null) {
+  async uploadPrintFile(job) {
+    if (!job.filePath) return null;
+
     try {
+      const file = await this.getAdminClient().uploadFile(job.filePath, {
+        filename: job.fileName || path.basename(job.filePath),
+        mimeType: PRINT_FILE_MIME_TYPES[path.extname(job.filePath).toLowerCase()] || 'application/octet-stream',
+        alt: `Print file for map generation job ${job.id}`
+      });
+      console.log('[OrderUpdateService] Print file uploaded to Shopify:', { jobId: job.id, fileId: file.id });
+      return file;
+    } catch (error) {
+      console.warn('[OrderUpdateService] Print file upload failed, relying on download links:', {
+        jobId: job.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Signed print-scope download links for a job's map and its PDF/SVG print documents
+   * @returns {Object} { map, documents: { [format]: link } } - map is null when the file cannot be linked
+   */
+  createDownloadLinks(job) {
+    const signedUrlService = require('./signedUrlService');
+    const createLink = filePath => {
+      if (!filePath || !signedUrlService.isLinkable(filePath)) {
+        return null;
+      }
+      return signedUrlService.createSignedUrl(filePath, { scope: 'print' });
+    };
+
+    const documents = {};
+    for (const [format, filePath] of Object.entries(job.result?.documents || {})) {
+      const link = createLink(filePath);
+      if (link) {
+        documents[format] = link;
+      }
+    }
+
+    return { map: createLink(job.filePath), documents };
+  }
+
+  /**
+   * Append map completion information to the order note
+   * @returns {Promise<Object>} The updated order ({ id, note })
+   */
+  async addOrderNote(orderId, job, orderData = null, downloadLinks = this.createDownloadLinks(job)) {
+    try {
+      const linkLines = [
+        downloadLinks.map ? `Download: ${downloadLinks.map.url}` : null,
+        ...Object.entries(downloadLinks.documents).map(([format, link]) => `${format.toUpperCase()} Document: ${link.url}`),
+        downloadLinks.map ? `Links expire: ${new Date(downloadLinks.map.expiresAt).toLocaleString()}` : null
+      ].filter(Boolean);
+
       const noteText = `🗺️ Custom Map Generated Successfully
 
 Map File: ${job.fileName}
@@ -98,27 +200,18 @@ Local File Path: ${job.filePath}
 Generation Time: ${new Date(job.completedAt).toLocaleString()}
 Print Size: ${job.printSize || 'A4'}
 Orientation: ${job.orientation || 'portrait'}
-
+${linkLines.length > 0 ? `\n${linkLines.join('\n')}\n` : ''}
 The customer's high-resolution map has been saved locally and is ready for fulfillment.
 Map generation job ID: ${job.id}`;
 
-      const noteData = {
-        note: {
-          body: noteText,
-          author: 'Map Generation System'
-        }
-      };
-
-      // TODO: Implement actual Shopify Admin API call for order notes
-      const mockNoteResponse = await this.mockShopifyApiCall('POST', `/orders/${orderId}/notes`, noteData);
+      const order = await this.getAdminClient().appendOrderNote(orderId, noteText);
 
       console.log('[OrderUpdateService] Order note added successfully:', {
         orderId,
-        noteId: mockNoteResponse.id,
         noteLength: noteText.length
       });
 
-      return mockNoteResponse;
+      return order;
 
     } catch (error) {
       console.error('[OrderUpdateService] Error adding order note:', error);
@@ -127,40 +220,69 @@ Map generation job ID: ${job.id}`;
   }
 
   /**
-   * Update order fulfillment status
+   * Fulfill the job's line item through its open fulfillment orders
+   * @param {Object} options - { trackingInfo: { company, number, url } } from the print lab's shipment;
+   *   without it the job ID is used as the tracking reference
+   * @returns {Promise<Object>} { success, fulfillment } or { success: false, skipped: true, reason }
    */
-  async fulfillOrder(orderId, job, orderData = null) {
+  async fulfillOrder(orderId, job, orderData = null, options = {}) {
+    await this.initialize();
+
     try {
       console.log('[OrderUpdateService] Fulfilling order with map completion:', {
         orderId,
         jobId: job.id
       });
 
-      const fulfillmentData = {
-        fulfillment: {
-          location_id: null, // Digital fulfillment
-          tracking_number: job.id, // Use job ID as tracking reference
-          tracking_company: 'Custom Maps - Local Processing',
-          notify_customer: true,
-          line_items: [
-            {
-              id: orderData?.line_items?.[0]?.id, // First line item ID
-              quantity: 1
-            }
-          ]
-        }
-      };
+      // Never ship a poster for a cancelled or refunded order
+      const blockReason = this.getFulfillmentBlockReason(orderId, job, orderData);
+      if (blockReason) {
+        console.warn('[OrderUpdateService] Fulfillment skipped:', {
+          orderId,
+          jobId: job.id,
+          reason: blockReason
+        });
+        return { success: false, skipped: true, reason: blockReason };
+      }
+
+      const adminClient = this.getAdminClient();
+      const lineItemId = job.lineItemId ?? orderData?.line_items?.[0]?.id;
+      const lineItemGid = lineItemId != null ? ShopifyAdminClient.toGid('LineItem', lineItemId) : null;
+
+      // Shopify fulfills by fulfillment order line item, not by order line item
+      const fulfillmentOrders = await adminClient.getFulfillmentOrders(orderId);
+      const lineItemsByFulfillmentOrder = fulfillmentOrders
+        .filter(fulfillmentOrder => FULFILLABLE_STATUSES.includes(fulfillmentOrder.status))
+        .map(fulfillmentOrder => ({
+          fulfillmentOrderId: fulfillmentOrder.id,
+          fulfillmentOrderLineItems: fulfillmentOrder.lineItems.nodes
+            .filter(item => item.remainingQuantity > 0 && item.lineItem.id === lineItemGid)
+            .map(item => ({ id: item.id, quantity: item.remainingQuantity }))
+        }))
+        .filter(group => group.fulfillmentOrderLineItems.length > 0);
+
+      if (lineItemsByFulfillmentOrder.length === 0) {
+        const reason = `No open fulfillment order for line item ${lineItemId}`;
+        console.warn('[OrderUpdateService] Fulfillment skipped:', { orderId, jobId: job.id, reason });
+        return { success: false, skipped: true, reason };
+      }
 
-      // TODO: Implement actual Shopify Admin API call for fulfillment
-      const mockFulfillmentResponse = await this.mockShopifyApiCall('POST', `/orders/${orderId}/fulfillments`, fulfillmentData);
+      const fulfillment = await adminClient.createFulfillment({
+        lineItemsByFulfillmentOrder,
+        trackingInfo: options.trackingInfo || {
+          number: job.id, // Use job ID as tracking reference
+          company: 'Custom Maps - Local Processing'
+        },
+        notifyCustomer: true
+      });
 
       console.log('[OrderUpdateService] Order fulfilled successfully:', {
         orderId,
-        fulfillmentId: mockFulfillmentResponse.id,
-        trackingNumber: job.id
+        fulfillmentId: fulfillment.id,
+        trackingNumber: options.trackingInfo?.number || job.id
       });
 
-      return mockFulfillmentResponse;
+      return { success: true, fulfillment };
 
     } catch (error) {
       console.error('[OrderUpdateService] Error fulfilling order:', error);
@@ -168,6 +290,22 @@ Map generation job ID: ${job.id}`;
     }
   }
 
+  /**
+   * Check whether an order must not be fulfilled
+   * Returns the reason, or null when fulfillment may proceed
+   */
+  getFulfillmentBlockReason(orderId, job, orderData = null) {
+    if (job.status === 'cancelled') {
+      return job.cancelReason || 'Map generation job cancelled';
+    }
+
+    if (orderData?.cancelled_at) {
+      return `Order cancelled${orderData.cancel_reason ? ` (${orderData.cancel_reason})` : ''}`;
+    }
+
+    const webhookLedger = require('./webhookLedger');
+    return webhookLedger.getWithdrawalReason(orderId, job.lineItemId);
+  }
 
   /**
    * Get order metafields
@@ -176,18 +314,15 @@ Map generation job ID: ${job.id}`;
     await this.initialize();
 
     try {
-      // TODO: Implement actual Shopify Admin API call
-      const mockMetafields = await this.mockShopifyApiCall('GET', `/orders/${orderId}/metafields`, {
-        namespace: namespace
-      });
+      const metafields = await this.getAdminClient().getOrderMetafields(orderId, namespace);
 
       console.log('[OrderUpdateService] Retrieved order metafields:', {
         orderId,
         namespace,
-        count: mockMetafields.length
+        count: metafields.length
       });
 
-      return mockMetafields;
+      return metafields;
 
     } catch (error) {
       console.error('[OrderUpdateService] Error getting order metafields:', error);
@@ -208,75 +343,6 @@ Map generation job ID: ${job.id}`;
     }
   }
 
-  /**
-   * Mock Shopify API call for development/testing
-   * In production, this would be replaced with actual Shopify Admin API calls
-   */
-  async mockShopifyApiCall(method, endpoint, data = null) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const mockResponse = {
-          id: Math.floor(Math.random() * 1000000),
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-          method: method,
-          endpoint: endpoint,
-          data: data,
-          status: 'success'
-        };
-
-        console.log('[OrderUpdateService] Mock Shopify API Call:', {
-          method,
-          endpoint,
-          responseId: mockResponse.id,
-          status: 'success'
-        });
-
-        resolve(mockResponse);
-      }, 100); // Simulate API delay
-    });
-  }
-
-  /**
-   * Real Shopify Admin API implementation (for production)
-   * Uncomment and configure when ready to use actual Shopify API
-   */
-  /*
-  async makeShopifyApiCall(method, endpoint, data = null) {
-    await this.initialize();
-
-    const shopifyDomain = this.shopifyConfig.storeUrl.replace('https://', '').replace('http://', '');
-    const apiUrl = `https://${shopifyDomain}/admin/api/2023-10/orders${endpoint}`;
-
-    const headers = {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': this.shopifyConfig.accessToken
-    };
-
-    const options = {
-      method: method,
-      headers: headers
-    };
-
-    if (data && (method === 'POST' || method === 'PUT')) {
-      options.body = JSON.stringify(data);
-    }
-
-    try {
-      const response = await fetch(apiUrl, options);
-      
-      if (!response.ok) {
-        throw new Error(`Shopify API error: ${response.status} ${response.statusText}`);
-      }
-
-      return await response.json();
-    } catch (error) {
-      console.error('[OrderUpdateService] Shopify API call failed:', error);
-      throw error;
-    }
-  }
-  */
-
   /**
    * Get service statistics
    */
@@ -284,10 +350,12 @@ Map generation job ID: ${job.id}`;
     return {
       initialized: this.initialized,
       shopifyConfigured: !!this.shopifyConfig,
-      storeUrl: this.shopifyConfig?.storeUrl || null
+      storeUrl: this.shopifyConfig?.storeUrl || null,
+      adminApi: this.getAdminClient().getStats()
     };
   }
 }
 
 // Export singleton instance
-module.exports = new OrderUpdateService();
\ No newline at end of file
+module.exports = new OrderUpdateService();
+module.exports.OrderUpdateService = OrderUpdateService;
\ No newline at end of file
@@ -73,6 +73,9 @@ class PerformanceMonitor extends EventEmitter {
 
     // Performance optimization cache
     this.optimizationCache = new Map();
+
+    // Metrics reported by other components (e.g. the render pool), keyed by name
+    this.metricsSources = new Map();
     
     // Initialize monitoring
     this.initializeMonitoring();
@@ -879,7 +882,10 @@ class PerformanceMonitor extends EventEmitter {
       this.metrics.errors.shift();
     }
     
-    this.emit('error', errorRecord);
+    // 'error' throws without a listener, which would turn monitoring into a crash
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', errorRecord);
+    }
   }
 
   /**
@@ -970,6 +976,39 @@ class PerformanceMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * Register a component whose metrics are included in the performance statistics
+   * @param {string} name - Component name (key in stats.components)
+   * @param {Function} getMetrics - Returns the component's current metrics
+   */
+  registerMetricsSource(name, getMetrics) {
+    this.metricsSources.set(name, getMetrics);
+  }
+
+  /**
+   * Stop reporting a component's metrics
+   * @param {string} name - Component name
+   */
+  unregisterMetricsSource(name) {
+    this.metricsSources.delete(name);
+  }
+
+  /**
+   * Collect the current metrics of every registered component
+   * @returns {Object} Metrics keyed by component name
+   */
+  collectComponentMetrics() {
+    const components = {};
+    for (const [name, getMetrics] of this.metricsSources) {
+      try {
+        components[name] = getMetrics();
+      } catch (error) {
+        components[name] = { error: error.message };
+      }
+    }
+    return components;
+  }
+
   /**
    * Get comprehensive performance statistics
    * @returns {Object} Performance statistics
@@ -991,7 +1030,8 @@ class PerformanceMonitor extends EventEmitter {
         current: this.systemMetrics.currentMemoryUsage,
         peak: this.systemMetrics.peakMemoryUsage,
         snapshots: this.metrics.memorySnapshots.slice(-10)
-      }
+      },
+      components: this.collectComponentMetrics()
     };
   }
 
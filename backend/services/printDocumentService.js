@@ -0,0 +1,570 @@
+/**
+ * Print Document Service
+ * Produces vector print documents alongside the raster PNG pipeline:
+ * - PDF: raster basemap with the route, markers and typography kept as vectors,
+ *   at the physical page size from PRINT_CONFIG with optional bleed and crop marks
+ * - SVG: route and typography layers only, sized in millimetres for laser-cut and engraving products
+ *
+ * PDFs are rendered by Chromium, which embeds (subsetted) fonts but writes no print boxes
+ * or output intent. finishPDF() adds them with pdf-lib so labs can trim and colour-manage
+ * the file: TrimBox and BleedBox from the page layout, and a GTS_PDFX output intent for the
+ * printing condition in printOutput.outputIntent. The condition's ICC profile is embedded
+ * when PRINT_OUTPUT_ICC_PROFILE is set (required for PDF/X-4, which the file then declares);
+ * without it the intent only names the registered condition for the lab's own profile.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+const mapService = require('./mapService');
+const PosterTypography = require('@print-my-ride/map-engines/poster-typography');
+const PosterElevationProfile = require('@print-my-ride/map-engines/poster-elevation-profile');
+const RouteColorMetrics = require('@print-my-ride/map-engines/route-color-metrics');
+const config = require('../config');
+
+class PrintDocumentService {
+  /**
+   * Supported output formats - PNG is produced by MapService, PDF and SVG by this service
+   */
+  static OUTPUT_FORMATS = ['png', 'pdf', 'svg'];
+
+  /**
+   * Crop mark geometry in millimetres
+   * Marks start `offset` outside the trim (never inside the bleed) and are `length` long
+   */
+  static CROP_MARKS = { offset: 3, length: 5, strokeWidth: 0.1 };
+
+  /**
+   * Padding (px) Mapbox applies when fitting route bounds - mirrored for SVG-only exports
+   */
+  static MAP_PADDING = 40;
+
+  constructor(options = {}) {
+    const appConfig = config.getConfig();
+
+    // Bleed and crop marks default to the product's print finishing unless overridden here
+    this.outputDir = options.outputDir || path.join(appConfig.storage.generatedMapsDir, 'print-ready');
+    this.defaultBleed = options.bleed ?? null;
+    this.defaultCropMarks = options.cropMarks ?? null;
+    this.outputIntent = { ...(appConfig.printOutput?.outputIntent || {}), ...(options.outputIntent || {}) };
+    this.outputProfile = null; // Promise of the ICC profile, loaded on first use
+  }
+
+  /**
+   * Calculate the physical page layout for a print size
+   * All boxes are in millimetres from the top-left corner of the page
+   * @param {string} format - Print format (A4, A3, etc.)
+   * @param {string} orientation - Portrait or landscape
+   * @param {Object} options - { bleed (mm), safeZone (mm), cropMarks, dpi }
+   * @returns {Object} Page, bleed, trim and safe boxes plus the raster size of the bleed box
+   */
+  getPageLayout(format = 'A4', orientation = 'portrait', options = {}) {
+    const dimensions = mapService.getPrintDimensions(format, orientation);
+    const finishing = mapService.getPrintFinishing(dimensions.format);
+    const bleed = Math.max(0, parseFloat(options.bleed ?? this.defaultBleed ?? finishing.bleed) || 0);
+    const safeZone = Math.max(0, parseFloat(options.safeZone ?? finishing.safeZone) || 0);
+    const cropMarks = options.cropMarks ?? this.defaultCropMarks ?? finishing.cropMarks;
+    const dpi = options.dpi || dimensions.dpi;
+
+    const { width, height } = dimensions.physicalSize;
+    const trimWidth = dimensions.orientation === 'landscape' ? Math.max(width, height) : Math.min(width, height);
+    const trimHeight = dimensions.orientation === 'landscape' ? Math.min(width, height) : Math.max(width, height);
+
+    // Crop marks sit in a slug outside the bleed; without them the page is the bleed box
+    const markOffset = Math.max(bleed, PrintDocumentService.CROP_MARKS.offset);
+    const margin = cropMarks ? markOffset + PrintDocumentService.CROP_MARKS.length : bleed;
+
+    const bleedBox = {
+      x: margin - bleed,
+      y: margin - bleed,
+      width: trimWidth + bleed * 2,
+      height: trimHeight + bleed * 2
+    };
+
+    return {
+      format: dimensions.format,
+      orientation: dimensions.orientation,
+      unit: 'mm',
+      dpi,
+      bleed,
+      safeZone,
+      cropMarks: !!cropMarks,
+      markOffset,
+      page: { width: trimWidth + margin * 2, height: trimHeight + margin * 2 },
+      bleedBox,
+      trim: { x: margin, y: margin, width: trimWidth, height: trimHeight },
+      safeArea: {
+        x: margin + safeZone,
+        y: margin + safeZone,
+        width: trimWidth - safeZone * 2,
+        height: trimHeight - safeZone * 2
+      },
+      pixels: {
+        width: mapService.calculatePixelsFromMM(bleedBox.width, dpi),
+        height: mapService.calculatePixelsFromMM(bleedBox.height, dpi),
+        bleed: mapService.calculatePixelsFromMM(bleed, dpi),
+        safeZone: mapService.calculatePixelsFromMM(safeZone, dpi)
+      }
+    };
+  }
+
+  /**
+   * Fit bounds into a canvas using Web Mercator, the same way Mapbox fitBounds does
+   * @returns {Object} { scale (pixels per world width), offsetX, offsetY, minX, minY, project([lng, lat]) }
+   */
+  getFit(bounds, width, height, padding = PrintDocumentService.MAP_PADDING) {
+    const mercatorX = lng => (lng + 180) / 360;
+    const mercatorY = lat => {
+      const sin = Math.sin(lat * Math.PI / 180);
+      return 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+    };
+
+    const minX = mercatorX(bounds.west);
+    const maxX = mercatorX(bounds.east);
+    const minY = mercatorY(bounds.north);
+    const maxY = mercatorY(bounds.south);
+
+    const spanX = Math.max(maxX - minX, 1e-12);
+    const spanY = Math.max(maxY - minY, 1e-12);
+    const scale = Math.min(
+      Math.max(width - padding * 2, 1) / spanX,
+      Math.max(height - padding * 2, 1) / spanY
+    );
+
+    // Centre the fitted bounds in the canvas
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+
+    return {
+      scale,
+      offsetX,
+      offsetY,
+      minX,
+      minY,
+      project: ([lng, lat]) => [
+        offsetX + (mercatorX(lng) - minX) * scale,
+        offsetY + (mercatorY(lat) - minY) * scale
+      ]
+    };
+  }
+
+  /**
+   * Project [lng, lat] route layers into pixel space, fitted as by getFit
+   * @returns {Array} Arrays of [x, y] points, one per route layer
+   */
+  projectRoutes(routes, bounds, width, height, padding = PrintDocumentService.MAP_PADDING) {
+    const fit = this.getFit(bounds, width, height, padding);
+    return routes.map(coordinates => coordinates.map(fit.project));
+  }
+
+  /**
+   * Resolve start/end markers the same way the map HTML does:
+   * explicit markers win, single routes get start/end, composites get none,
+   * and privacy-trimmed routes get markers on their trimmed endpoints
+   */
+  resolveMarkers(mapConfig, routes) {
+    return mapService.resolveMarkers(mapConfig, routes);
+  }
+
+  /**
+   * Get the typography settings (text, font, alignment, stats) for a map config
+   */
+  getTypography(mapConfig) {
+    return PosterTypography.resolveSettings(mapConfig);
+  }
+
+  /**
+   * Build the vector overlay (routes, markers, typography) as SVG elements in pixel space
+   * @param {Object} layers - { routes: [{ points, coordinates, color, width, opacity }], markers: { start, end } }
+   * @param {Object} typography - Typography settings; missing fields take the layout engine defaults
+   * @param {Object} frame - Safe area in pixels { x, y, width, height } the typography is laid out in
+   * @param {Object} [elevationBand] - Elevation-profile band from mapService.getElevationBand
+   * @param {Object} [colorMetric] - Colour-by-metric settings from mapService.getColorMetric
+   * @returns {string} SVG markup
+   */
+  buildOverlayElements(layers, typography, frame, elevationBand = null, colorMetric = null) {
+    const elements = [];
+    const stroke = (id, points, color, route) =>
+      `<path id="${id}" d="${this.buildPathData(points)}" fill="none" ` +
+      `stroke="${this.escapeXml(color)}" stroke-width="${this.formatNumber(route.width)}" ` +
+      `stroke-opacity="${this.formatNumber(route.opacity ?? 1)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+
+    layers.routes.forEach((route, index) => {
+      if (route.points.length < 2) {
+        return;
+      }
+
+      // The primary route coloured by metric is one path per colour run
+      if (colorMetric && index === 0 && route.coordinates) {
+        const runs = RouteColorMetrics.buildRuns(route.points, RouteColorMetrics.getSegmentColors(colorMetric, route.coordinates));
+        elements.push(
+          `<g id="route-${index}">${runs.map((run, runIndex) => stroke(`route-${index}-${runIndex}`, run.points, run.color, route)).join('')}</g>`
+        );
+        return;
+      }
+      elements.push(stroke(`route-${index}`, route.points, route.color, route));
+    });
+
+    if (layers.markers) {
+      [['start', '#00ff00'], ['end', '#ff0000']].forEach(([type, color]) => {
+        const point = layers.markers[type];
+        if (point) {
+          elements.push(
+            `<circle class="${type}-marker" cx="${this.formatNumber(point[0])}" cy="${this.formatNumber(point[1])}" ` +
+            `r="8" fill="${color}" stroke="#ffffff" stroke-width="2"/>`
+          );
+        }
+      });
+    }
+
+    if (elevationBand) {
+      elements.push(PosterElevationProfile.toSVG(elevationBand.settings, elevationBand));
+    }
+
+    if (colorMetric?.showLegend) {
+      elements.push(RouteColorMetrics.toSVG(colorMetric, RouteColorMetrics.getLegendBox(frame)));
+    }
+
+    // Same layout as the canvas and Puppeteer renderers
+    const blocks = PosterTypography.layout(PosterTypography.resolveSettings(typography), frame);
+    if (blocks.length > 0) {
+      elements.push(PosterTypography.toSVG(blocks));
+    }
+
+    return elements.join('\n    ');
+  }
+
+  /**
+   * Build crop marks at the four trim corners, in page millimetres
+   */
+  buildCropMarks(layout) {
+    if (!layout.cropMarks) {
+      return '';
+    }
+
+    const { trim, markOffset } = layout;
+    const { length, strokeWidth } = PrintDocumentService.CROP_MARKS;
+    const left = trim.x;
+    const right = trim.x + trim.width;
+    const top = trim.y;
+    const bottom = trim.y + trim.height;
+    const lines = [];
+
+    [[left, top, -1, -1], [right, top, 1, -1], [left, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, dx, dy]) => {
+      // Horizontal mark in line with the trim edge, then the vertical one
+      lines.push([x + dx * markOffset, y, x + dx * (markOffset + length), y]);
+      lines.push([x, y + dy * markOffset, x, y + dy * (markOffset + length)]);
+    });
+
+    return lines.map(([x1, y1, x2, y2]) =>
+      `<line x1="${this.formatNumber(x1)}" y1="${this.formatNumber(y1)}" x2="${this.formatNumber(x2)}" y2="${this.formatNumber(y2)}" ` +
+      `stroke="#000000" stroke-width="${strokeWidth}"/>`
+    ).join('\n    ');
+  }
+
+  /**
+   * Generate an SVG of just the route and typography layers
+   * The document is sized to the physical trim in millimetres with a 300 DPI pixel viewBox,
+   * so laser and engraving software imports it at the right scale
+   * @param {Object} mapConfig - Map config (single route or composite routes)
+   * @param {Object} options - { includeMarkers, includeText }
+   * @returns {string} SVG document
+   */
+  generateSVG(mapConfig, options = {}) {
+    const { includeMarkers = true, includeText = true } = options;
+    const layout = this.getPageLayout(mapConfig.format, mapConfig.orientation, { bleed: 0, cropMarks: false, dpi: mapConfig.dpi });
+    const { width, height, safeZone } = layout.pixels;
+
+    const routes = mapService.normalizeRouteLayers(mapConfig).filter(route => route.coordinates.length > 0);
+    if (routes.length === 0) {
+      throw new Error('No route coordinates available for SVG export');
+    }
+
+    // Finished configs carry bounds widened for the bleed - the SVG is trim-only
+    const bounds = mapConfig.printFinishing?.trimBounds || mapConfig.bounds || mapService.calculateCompositeBounds(routes);
+    const markers = includeMarkers ? this.resolveMarkers(mapConfig, routes) : null;
+
+    // The SVG has no bleed; a band below the map leaves the routes less height to fit in
+    const trimConfig = { ...mapConfig, printFinishing: { bleedPixels: 0, safeZonePixels: safeZone } };
+    const elevationBand = mapService.getElevationBand(trimConfig, width, height);
+    const mapHeight = elevationBand ? elevationBand.mapHeight : height;
+
+    // Project markers alongside the routes so they share one fit
+    const markerPoints = markers ? [markers.start, markers.end] : [];
+    const projected = this.projectRoutes([...routes.map(route => route.coordinates), markerPoints], bounds, width, mapHeight);
+    const projectedMarkers = projected.pop();
+
+    const overlay = this.buildOverlayElements(
+      {
+        routes: routes.map((route, index) => ({ ...route, points: projected[index] })),
+        markers: markers ? { start: projectedMarkers[0], end: projectedMarkers[1] } : null
+      },
+      includeText ? this.getTypography(mapConfig) : {},
+      mapService.getTypographyFrame(trimConfig, width, height),
+      elevationBand,
+      mapService.getColorMetric(mapConfig)
+    );
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${this.formatNumber(layout.trim.width)}mm" height="${this.formatNumber(layout.trim.height)}mm" viewBox="0 0 ${width} ${height}">
+  <g id="artwork">
+    ${overlay}
+  </g>
+</svg>
+`;
+  }
+
+  /**
+   * Build the HTML page Chromium prints to PDF
+   * The raster basemap fills the bleed box, the vector overlay is laid over it in the
+   * basemap's pixel space and crop marks are drawn in page millimetres
+   * @param {Object} layout - Page layout from getPageLayout
+   * @param {Object} basemap - { image (PNG buffer), width, height }
+   * @param {string} overlay - SVG elements in basemap pixel space
+   * @returns {string} HTML document
+   */
+  buildPrintHTML(layout, basemap, overlay) {
+    const { page, bleedBox } = layout;
+    const mm = value => `${this.formatNumber(value)}mm`;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    @page { size: ${mm(page.width)} ${mm(page.height)}; margin: 0; }
+    html, body { margin: 0; padding: 0; width: ${mm(page.width)}; height: ${mm(page.height)}; overflow: hidden; background: #ffffff; }
+    .artwork { position: absolute; left: ${mm(bleedBox.x)}; top: ${mm(bleedBox.y)}; width: ${mm(bleedBox.width)}; height: ${mm(bleedBox.height)}; overflow: hidden; }
+    .artwork img, .artwork svg { position: absolute; left: 0; top: 0; width: 100%; height: 100%; }
+    .marks { position: absolute; left: 0; top: 0; width: ${mm(page.width)}; height: ${mm(page.height)}; }
+  </style>
+</head>
+<body>
+  <div class="artwork">
+    <img src="data:image/png;base64,${basemap.image.toString('base64')}" alt="">
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${basemap.width} ${basemap.height}" preserveAspectRatio="none">
+    ${overlay}
+    </svg>
+  </div>
+  <svg class="marks" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${this.formatNumber(page.width)} ${this.formatNumber(page.height)}">
+    ${this.buildCropMarks(layout)}
+  </svg>
+</body>
+</html>`;
+  }
+
+  /**
+   * Generate a print PDF: raster basemap plus vector route, markers and typography
+   * @param {Object} mapConfig - High-res map config (format, orientation, route/routes, style...)
+   * @param {Object} options - { bleed (mm), cropMarks } override the product's print finishing;
+   *   { signal } aborts the renders
+   * @returns {Promise<string>} Path to the generated PDF
+   */
+  async generatePDF(mapConfig, options = {}) {
+    // Widen the bounds for the bleed unless the config was already finished for print
+    const finishedConfig = mapService.applyPrintFinishing(mapConfig, {
+      bleed: options.bleed ?? this.defaultBleed ?? undefined,
+      cropMarks: options.cropMarks ?? this.defaultCropMarks ?? undefined
+    });
+    const layout = this.getPageLayout(mapConfig.format, mapConfig.orientation, {
+      bleed: finishedConfig.printFinishing.bleed,
+      safeZone: finishedConfig.printFinishing.safeZone,
+      cropMarks: finishedConfig.printFinishing.cropMarks,
+      dpi: mapConfig.dpi
+    });
+
+    console.log('[PrintDocumentService] Generating PDF:', {
+      id: mapConfig.id,
+      format: layout.format,
+      orientation: layout.orientation,
+      page: `${this.formatNumber(layout.page.width)}x${this.formatNumber(layout.page.height)}mm`,
+      bleed: layout.bleed,
+      cropMarks: layout.cropMarks
+    });
+
+    const routes = mapService.normalizeRouteLayers(mapConfig);
+
+    // Render the basemap at the bleed box size so the artwork runs past the trim
+    const basemap = await mapService.renderPrintBasemap({
+      ...finishedConfig,
+      width: layout.pixels.width,
+      height: layout.pixels.height,
+      markers: this.resolveMarkers(mapConfig, routes)
+    }, { signal: options.signal });
+
+    // The basemap left any elevation band out - it is drawn here as vectors
+    const pageConfig = {
+      ...finishedConfig,
+      printFinishing: { ...finishedConfig.printFinishing, bleedPixels: layout.pixels.bleed, safeZonePixels: layout.pixels.safeZone }
+    };
+    const overlay = this.buildOverlayElements(
+      {
+        // Heatmaps stay in the raster basemap - density has no vector equivalent
+        routes: basemap.routes ? routes.map((route, index) => ({ ...route, points: basemap.routes[index] || [] })) : [],
+        markers: basemap.markers
+      },
+      this.getTypography(mapConfig),
+      mapService.getTypographyFrame(pageConfig, basemap.width, basemap.height),
+      mapService.getElevationBand(pageConfig, basemap.width, basemap.height),
+      mapService.getColorMetric(mapConfig)
+    );
+
+    const html = this.buildPrintHTML(layout, basemap, overlay);
+    const filePath = await this.getOutputPath(mapConfig, 'pdf');
+
+    // The page embeds the full-size basemap, so it is admitted to the render pool at that size
+    const pdf = await mapService.renderPool.run(async page => {
+      await page.setContent(html, { waitUntil: 'load' });
+      return page.pdf({
+        width: `${this.formatNumber(layout.page.width)}mm`,
+        height: `${this.formatNumber(layout.page.height)}mm`,
+        printBackground: true,
+        preferCSSPageSize: true
+      });
+    }, { memoryMB: mapService.estimateRenderMemoryMB(basemap.width, basemap.height), label: `print PDF ${mapConfig.id}`, signal: options.signal });
+
+    await fs.writeFile(filePath, await this.finishPDF(pdf, layout));
+
+    console.log('[PrintDocumentService] PDF generated successfully:', filePath);
+    return filePath;
+  }
+
+  /**
+   * Add the print boxes and PDF/X output intent to a rendered PDF
+   * @param {Buffer|Uint8Array} pdfBytes - PDF from Chromium
+   * @param {Object} layout - Page layout from getPageLayout()
+   * @returns {Promise<Uint8Array>} The finished PDF
+   */
+  async finishPDF(pdfBytes, layout) {
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const points = mm => mm * 72 / 25.4;
+
+    // Layout boxes are measured from the top-left, PDF boxes from the bottom-left
+    for (const page of pdfDoc.getPages()) {
+      const { height } = page.getMediaBox();
+      const toBox = box => [points(box.x), height - points(box.y + box.height), points(box.width), points(box.height)];
+      page.setBleedBox(...toBox(layout.bleedBox));
+      page.setTrimBox(...toBox(layout.trim));
+    }
+
+    const profile = await this.loadOutputProfile();
+    const { context } = pdfDoc;
+    const intent = {
+      Type: 'OutputIntent',
+      S: 'GTS_PDFX',
+      OutputConditionIdentifier: PDFString.of(this.outputIntent.identifier || 'FOGRA39'),
+      RegistryName: PDFString.of(this.outputIntent.registryName || 'http://www.color.org'),
+      Info: PDFString.of(this.outputIntent.info || this.outputIntent.identifier || 'FOGRA39')
+    };
+    if (profile) {
+      intent.DestOutputProfile = context.register(context.flateStream(profile.data, { N: profile.channels }));
+    }
+    pdfDoc.catalog.set(PDFName.of('OutputIntents'), context.obj([context.obj(intent)]));
+
+    const info = pdfDoc.getInfoDict();
+    info.set(PDFName.of('Trapped'), PDFName.of('False'));
+    if (profile) {
+      info.set(PDFName.of('GTS_PDFXVersion'), PDFString.of('PDF/X-4'));
+    }
+
+    // Object streams need PDF 1.5; Chromium writes 1.4, which every PDF/X level accepts
+    return pdfDoc.save({ useObjectStreams: false });
+  }
+
+  /**
+   * Read the output intent's ICC profile, or null when none is configured
+   * @returns {Promise<Object|null>} { data, channels }
+   */
+  loadOutputProfile() {
+    if (!this.outputIntent.profilePath) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.outputProfile) {
+      this.outputProfile = fs.readFile(this.outputIntent.profilePath).then(data => {
+        // The profile header names its colour space at bytes 16-19
+        const colorSpace = data.toString('ascii', 16, 20);
+        const channels = { 'CMYK': 4, 'RGB ': 3, 'GRAY': 1 }[colorSpace];
+        if (!channels) {
+          throw new Error(`Unsupported output intent profile colour space: ${colorSpace.trim() || 'unknown'}`);
+        }
+        return { data, channels };
+      });
+      this.outputProfile.catch(() => {
+        this.outputProfile = null;
+      });
+    }
+    return this.outputProfile;
+  }
+
+  /**
+   * Write the route/typography SVG to the print-ready directory
+   * @returns {Promise<string>} Path to the generated SVG
+   */
+  async exportSVG(mapConfig, options = {}) {
+    const svg = this.generateSVG(mapConfig, options);
+    const filePath = await this.getOutputPath(mapConfig, 'svg');
+    await fs.writeFile(filePath, svg, 'utf8');
+
+    console.log('[PrintDocumentService] SVG exported successfully:', filePath);
+    return filePath;
+  }
+
+  /**
+   * Generate a document in the requested format
+   * PNG is delegated to the existing raster pipeline, rendered with the product's bleed
+   */
+  async generate(mapConfig, outputFormat = 'png', options = {}) {
+    const format = String(outputFormat).toLowerCase();
+    if (!PrintDocumentService.OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported output format: ${outputFormat}. Supported formats: ${PrintDocumentService.OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    if (format === 'pdf') {
+      return this.generatePDF(mapConfig, options);
+    }
+    if (format === 'svg') {
+      return this.exportSVG(mapConfig, options);
+    }
+    return mapService.generateHighResFromPreviewConfig(mapService.applyPrintFinishing(mapConfig, options), { signal: options.signal });
+  }
+
+  /**
+   * Build an output path in the print-ready directory for a config
+   */
+  async getOutputPath(mapConfig, extension) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    const id = mapConfig.id || `print_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return path.join(this.outputDir, `${id}.${extension}`);
+  }
+
+  /**
+   * Build SVG path data from [x, y] points
+   */
+  buildPathData(points) {
+    return points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${this.formatNumber(x)} ${this.formatNumber(y)}`).join(' ');
+  }
+
+  /**
+   * Round to two decimals without trailing zeros - keeps SVG output compact
+   */
+  formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Escape text for XML attributes and content
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+// Export singleton instance
+module.exports = new PrintDocumentService();
+module.exports.PrintDocumentService = PrintDocumentService;
@@ -0,0 +1,530 @@
+/**
+ * Print Lab Service
+ *
+ * Sends finished order maps to the print-on-demand lab and follows them until they ship.
+ * When BackgroundJobManager completes an order job, the print file (the PDF print
+ * document when one was generated, otherwise the map image) is submitted through the
+ * configured print provider with a signed print link, the print size, the paper
+ * (line item property "Paper", or printLab.defaultPaper) and the order's shipping address.
+ * The address is read from Shopify at submission time, so neither the job queue nor the
+ * submission records hold it.
+ *
+ * Status comes back through provider callbacks and a polling loop. Once the lab reports
+ * a shipment, its tracking number is passed to orderUpdateService.fulfillOrder so Shopify
+ * notifies the customer. Cancelling a job cancels its print order if it has not shipped.
+ *
+ * Submission records are kept in <directory>/submissions.json, keyed by job ID.
+ * Submissions that fail with a retryable error stay pending and are retried on the
+ * next poll, up to printLab.maxSubmitAttempts.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { createPrintProvider, PRINT_STATUSES } = require('./printProviders');
+const { PrintProviderError } = require('../utils/printProviderErrors');
+
+// Statuses the lab may still change, so they are polled
+const ACTIVE_STATUSES = ['submitted', 'in_production'];
+
+class PrintLabService {
+  constructor(options = {}) {
+    const printLabConfig = config.getConfig().printLab || {};
+
+    this.printLabConfig = { ...printLabConfig, ...(options.config || {}) };
+    this.provider = options.provider || null;
+    this.directory = options.directory || this.printLabConfig.directory ||
+      path.join(__dirname, '..', 'jobs', 'print-lab');
+    this.persistenceFile = path.join(this.directory, 'submissions.json');
+    this.pollInterval = options.pollInterval || this.printLabConfig.pollInterval || 15 * 60 * 1000;
+    this.maxSubmitAttempts = options.maxSubmitAttempts || this.printLabConfig.maxSubmitAttempts || 5;
+    this.submissions = new Map(); // job ID -> submission record
+    this.persistChain = Promise.resolve();
+    this.pollTimer = null;
+    this.polling = null;
+    this.listeners = null;
+
+    // Collaborators are resolved lazily so the service can be loaded without the rendering stack
+    this.dependencies = options.dependencies || null;
+
+    this.ready = this.initializeStorage();
+  }
+
+  getDependencies() {
+    if (!this.dependencies) {
+      this.dependencies = {
+        backgroundJobManager: require('./backgroundJobManager'),
+        orderUpdateService: require('./orderUpdateService'),
+        signedUrlService: require('./signedUrlService')
+      };
+    }
+    return this.dependencies;
+  }
+
+  async initializeStorage() {
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await this.loadSubmissions();
+    } catch (error) {
+      console.error('[PrintLabService] Storage initialization failed:', error);
+    }
+  }
+
+  /**
+   * Create the provider, follow job completions and cancellations, and start polling
+   * Does nothing when no print provider is configured
+   */
+  async initialize() {
+    await this.ready;
+
+    if (!this.provider) {
+      this.provider = createPrintProvider(this.printLabConfig);
+    }
+    if (!this.provider) {
+      console.log('[PrintLabService] No print provider configured - print orders are placed by hand');
+      return;
+    }
+    if (this.listeners) return;
+
+    const { backgroundJobManager } = this.getDependencies();
+    this.listeners = {
+      jobStatusChanged: job => {
+        if (job.type === 'order' && job.status === 'completed') {
+          this.submitJob(job).catch(error => {
+            console.error('[PrintLabService] Error submitting print order:', error);
+          });
+        }
+      },
+      jobCancelled: job => {
+        this.cancelSubmission(job.id, job.cancelReason).catch(error => {
+          console.error('[PrintLabService] Error cancelling print order:', error);
+        });
+      }
+    };
+    backgroundJobManager.on('jobStatusChanged', this.listeners.jobStatusChanged);
+    backgroundJobManager.on('jobCancelled', this.listeners.jobCancelled);
+
+    this.pollTimer = setInterval(() => {
+      this.pollStatuses().catch(error => {
+        console.error('[PrintLabService] Status polling failed:', error);
+      });
+    }, this.pollInterval);
+    this.pollTimer.unref();
+
+    console.log('[PrintLabService] Print lab integration enabled:', this.provider.describe());
+  }
+
+  /**
+   * Submit a completed order job to the print lab
+   * Idempotent: a job that was already submitted returns its existing record.
+   * @returns {Promise<Object|null>} The submission record, or null when the job is not printable here
+   */
+  async submitJob(job) {
+    await this.ready;
+    if (!this.provider || job.type !== 'order' || job.status !== 'completed') {
+      return null;
+    }
+
+    const existing = this.submissions.get(job.id);
+    if (existing && existing.status !== 'pending') {
+      return existing;
+    }
+
+    const record = existing || this.createRecord(job);
+    this.submissions.set(job.id, record);
+
+    // Never print a poster for a cancelled or refunded order
+    const { orderUpdateService } = this.getDependencies();
+    const blockReason = orderUpdateService.getFulfillmentBlockReason(job.orderId, job, job.orderData);
+    if (blockReason) {
+      record.error = blockReason;
+      this.applyStatus(record, 'cancelled');
+      await this.persist();
+      return record;
+    }
+
+    record.attempts++;
+    try {
+      const submission = await this.buildSubmission(job);
+      const result = await this.provider.submitOrder(submission);
+
+      record.providerOrderId = result.providerOrderId;
+      record.submittedAt = new Date().toISOString();
+      record.error = null;
+      this.applyStatus(record, result.status || 'submitted');
+
+      console.log('[PrintLabService] Print order submitted:', {
+        jobId: job.id,
+        orderId: job.orderId,
+        providerOrderId: record.providerOrderId,
+        paper: record.paper,
+        printSize: record.printSize
+      });
+    } catch (error) {
+      const willRetry = Boolean(error.retryable) && record.attempts < this.maxSubmitAttempts;
+      record.error = error.message;
+      if (!willRetry) {
+        this.applyStatus(record, 'failed');
+      }
+
+      console.error('[PrintLabService] Print order submission failed:', {
+        jobId: job.id,
+        orderId: job.orderId,
+        attempt: record.attempts,
+        willRetry,
+        error: error.message
+      });
+    }
+
+    await this.persist();
+    return record;
+  }
+
+  createRecord(job) {
+    const now = new Date().toISOString();
+    return {
+      jobId: job.id,
+      orderId: job.orderId,
+      orderName: job.orderData?.name || null,
+      lineItemId: job.lineItemId ?? null,
+      provider: this.provider.name,
+      providerOrderId: null,
+      status: 'pending',
+      printSize: job.printSize || this.getLineItemProperty(job, 'Print Size') || 'A4',
+      paper: this.getLineItemProperty(job, 'Paper') || this.printLabConfig.defaultPaper || 'matte',
+      attempts: 0,
+      shipments: [],
+      fulfillment: null,
+      history: [],
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      submittedAt: null
+    };
+  }
+
+  /**
+   * Build the provider submission for a job
+   */
+  async buildSubmission(job) {
+    const { signedUrlService } = this.getDependencies();
+    const record = this.submissions.get(job.id);
+    const address = await this.getShippingAddress(job);
+
+    // Labs print from the vector PDF when one was generated
+    const pdfPath = job.result?.documents?.pdf;
+    const printFile = pdfPath || job.filePath;
+    const link = signedUrlService.createSignedUrl(printFile, { scope: 'print' });
+
+    return {
+      reference: `${job.orderId}-${job.lineItemId ?? job.id}`,
+      orderName: job.orderData?.name || null,
+      file: {
+        url: link.url,
+        format: pdfPath ? 'pdf' : path.extname(printFile).slice(1).toLowerCase(),
+        expiresAt: link.expiresAt
+      },
+      printSize: record.printSize,
+      orientation: job.orientation || this.getLineItemProperty(job, 'Orientation') || 'portrait',
+      paper: record.paper,
+      quantity: job.lineItem?.quantity || 1,
+      shippingAddress: {
+        name: address.name || [address.firstName, address.lastName].filter(Boolean).join(' '),
+        company: address.company || null,
+        address1: address.address1,
+        address2: address.address2 || null,
+        city: address.city,
+        province: address.province || null,
+        provinceCode: address.provinceCode || null,
+        postalCode: address.zip || null,
+        country: address.country || null,
+        countryCode: address.countryCodeV2,
+        phone: address.phone || null
+      },
+      email: job.orderData?.email || job.orderData?.customer?.email || null,
+      callbackUrl: this.printLabConfig.callbackUrl || null
+    };
+  }
+
+  /**
+   * Read the order's shipping address from Shopify
+   * Lookups that may work later (Shopify unavailable, throttled) are retryable.
+   */
+  async getShippingAddress(job) {
+    const { orderUpdateService } = this.getDependencies();
+    let address;
+    try {
+      address = await orderUpdateService.getAdminClient().getOrderShippingAddress(job.orderId);
+    } catch (error) {
+      throw new PrintProviderError(`Could not read the shipping address of order ${job.orderId}: ${error.message}`,
+        'SHIPPING_ADDRESS_UNAVAILABLE', { retryable: error.code !== 'NOT_FOUND' });
+    }
+
+    if (!address) {
+      throw new Error(`Order ${job.orderId} has no shipping address`);
+    }
+    return address;
+  }
+
+  getLineItemProperty(job, name) {
+    const value = (job.lineItem?.properties || []).find(property => property.name === name)?.value;
+    return value ? String(value).trim() : null;
+  }
+
+  /**
+   * Move a record to a new status; statuses never move backwards and final ones stick
+   * @returns {boolean} Whether the status changed
+   */
+  applyStatus(record, status) {
+    if (!status || status === record.status) return false;
+    if (['shipped', 'cancelled', 'failed'].includes(record.status)) return false;
+    if (record.status !== 'pending' && PRINT_STATUSES.indexOf(status) < PRINT_STATUSES.indexOf(record.status)) {
+      return false;
+    }
+
+    const now = new Date().toISOString();
+    record.history.push({ status, at: now });
+    record.status = status;
+    record.updatedAt = now;
+    return true;
+  }
+
+  /**
+   * Apply a status update from the lab (poll or callback) and fulfill shipped orders
+   */
+  async recordStatus(record, update) {
+    const changed = this.applyStatus(record, update.status);
+    if (update.shipments?.length > 0) {
+      record.shipments = update.shipments;
+    }
+
+    if (changed) {
+      console.log('[PrintLabService] Print order status changed:', {
+        jobId: record.jobId,
+        providerOrderId: record.providerOrderId,
+        status: record.status
+      });
+    }
+
+    if (record.status === 'shipped' && !record.fulfillment) {
+      await this.fulfill(record);
+    }
+
+    await this.persist();
+    return record;
+  }
+
+  /**
+   * Fulfill the Shopify order with the lab's tracking number
+   * A failed fulfillment is retried on the next poll
+   */
+  async fulfill(record) {
+    const { backgroundJobManager, orderUpdateService } = this.getDependencies();
+    const job = backgroundJobManager.getJob(record.jobId) ||
+      { id: record.jobId, status: 'completed', lineItemId: record.lineItemId };
+    const shipment = record.shipments[0];
+    const options = shipment ? {
+      trackingInfo: {
+        company: shipment.carrier,
+        number: shipment.trackingNumber,
+        url: shipment.trackingUrl
+      }
+    } : {};
+
+    try {
+      const result = await orderUpdateService.fulfillOrder(record.orderId, job, job.orderData || null, options);
+      record.fulfillment = result.skipped
+        ? { skipped: true, reason: result.reason, at: new Date().toISOString() }
+        : { fulfillmentId: result.fulfillment.id, at: new Date().toISOString() };
+      record.error = null;
+    } catch (error) {
+      record.error = `Fulfillment failed: ${error.message}`;
+      console.error('[PrintLabService] Fulfillment after shipment failed:', {
+        jobId: record.jobId,
+        orderId: record.orderId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Retry pending submissions, refresh active print orders and retry failed fulfillments
+   */
+  async pollStatuses() {
+    await this.ready;
+    if (!this.provider) return;
+    if (this.polling) return this.polling;
+
+    const { backgroundJobManager } = this.getDependencies();
+    this.polling = (async () => {
+      for (const record of Array.from(this.submissions.values())) {
+        try {
+          if (record.status === 'pending') {
+            const job = backgroundJobManager.getJob(record.jobId);
+            if (job) {
+              await this.submitJob(job);
+            } else {
+              record.error = 'Map generation job no longer exists';
+              this.applyStatus(record, 'failed');
+              await this.persist();
+            }
+          } else if (ACTIVE_STATUSES.includes(record.status)) {
+            await this.recordStatus(record, await this.provider.getOrderStatus(record.providerOrderId));
+          } else if (record.status === 'shipped' && !record.fulfillment) {
+            await this.fulfill(record);
+            await this.persist();
+          }
+        } catch (error) {
+          console.warn('[PrintLabService] Could not refresh print order:', {
+            jobId: record.jobId,
+            providerOrderId: record.providerOrderId,
+            error: error.message
+          });
+        }
+      }
+    })().finally(() => {
+      this.polling = null;
+    });
+
+    return this.polling;
+  }
+
+  /**
+   * Apply a status callback from the lab
+   * @param {Object} request - { headers, rawBody }
+   * @returns {Promise<Object>} The updated submission record
+   */
+  async handleCallback(request) {
+    await this.ready;
+    if (!this.provider) {
+      throw new PrintProviderError('No print provider configured', 'CALLBACKS_DISABLED');
+    }
+
+    const update = await this.provider.parseCallback(request);
+    const record = this.getSubmissionByProviderOrderId(update.providerOrderId);
+    if (!record) {
+      throw new PrintProviderError(`Unknown print order: ${update.providerOrderId}`, 'ORDER_NOT_FOUND');
+    }
+
+    return this.recordStatus(record, update);
+  }
+
+  /**
+   * Cancel a job's print order unless it has already shipped
+   * A lab that refuses the cancellation leaves the record as it was, with the error, for follow-up
+   */
+  async cancelSubmission(jobId, reason = 'Map generation job cancelled') {
+    await this.ready;
+    const record = this.submissions.get(jobId);
+    if (!record || !['pending', ...ACTIVE_STATUSES].includes(record.status)) {
+      return record || null;
+    }
+
+    try {
+      if (record.providerOrderId) {
+        await this.provider.cancelOrder(record.providerOrderId);
+      }
+      record.error = reason;
+      this.applyStatus(record, 'cancelled');
+      console.log('[PrintLabService] Print order cancelled:', { jobId, providerOrderId: record.providerOrderId, reason });
+    } catch (error) {
+      record.error = `Cancellation failed: ${error.message}`;
+      console.error('[PrintLabService] Print lab refused cancellation - cancel it with the lab by hand:', {
+        jobId,
+        providerOrderId: record.providerOrderId,
+        error: error.message
+      });
+    }
+
+    await this.persist();
+    return record;
+  }
+
+  getSubmission(jobId) {
+    return this.submissions.get(jobId) || null;
+  }
+
+  getSubmissionByProviderOrderId(providerOrderId) {
+    return Array.from(this.submissions.values()).find(record => record.providerOrderId === providerOrderId) || null;
+  }
+
+  async getSubmissionsForOrder(orderId) {
+    await this.ready;
+    return Array.from(this.submissions.values()).filter(record => String(record.orderId) === String(orderId));
+  }
+
+  /**
+   * Remove the submission records for an order, e.g. when the customer's data is erased
+   * @returns {Promise<number>} Number of records removed
+   */
+  async deleteSubmissionsForOrder(orderId) {
+    const records = await this.getSubmissionsForOrder(orderId);
+    for (const record of records) {
+      this.submissions.delete(record.jobId);
+    }
+    if (records.length > 0) {
+      await this.persist();
+    }
+    return records.length;
+  }
+
+  persist() {
+    this.persistChain = this.persistChain
+      .then(async () => {
+        const tempFile = `${this.persistenceFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(Array.from(this.submissions.values()), null, 2));
+        await fs.rename(tempFile, this.persistenceFile);
+      })
+      .catch(error => {
+        console.error('[PrintLabService] Submission persistence failed:', error);
+      });
+
+    return this.persistChain;
+  }
+
+  async loadSubmissions() {
+    try {
+      const records = JSON.parse(await fs.readFile(this.persistenceFile, 'utf8'));
+      for (const record of records) {
+        this.submissions.set(record.jobId, record);
+      }
+      console.log('[PrintLabService] Loaded print submissions:', { count: this.submissions.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[PrintLabService] Failed to load print submissions:', error);
+      }
+    }
+  }
+
+  async shutdown() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+
+    if (this.listeners) {
+      const { backgroundJobManager } = this.getDependencies();
+      backgroundJobManager.removeListener('jobStatusChanged', this.listeners.jobStatusChanged);
+      backgroundJobManager.removeListener('jobCancelled', this.listeners.jobCancelled);
+      this.listeners = null;
+    }
+
+    await this.polling;
+    await this.persistChain;
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const record of this.submissions.values()) {
+      byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+    }
+
+    return {
+      provider: this.provider ? this.provider.describe() : null,
+      submissions: this.submissions.size,
+      byStatus,
+      pollInterval: this.pollInterval
+    };
+  }
+}
+
+module.exports = new PrintLabService();
+module.exports.PrintLabService = PrintLabService;
@@ -0,0 +1,511 @@
+/**
+ * Print Preflight Service
+ * Checks a design at its chosen print size before the customer approves it:
+ * - basemap resolution: effective DPI of the tile source's tiles at the print scale
+ * - route width: printed line width in millimetres
+ * - route contrast: route colour against the map theme's background colour
+ * - text safe area: poster text stays inside the safe area, unclipped and legible
+ * - route clipping: the route is not cut off by the trim or the elevation band
+ *
+ * Every check works on the config exactly as it is rendered for print - at print size,
+ * with the product's bleed applied - so the report describes what will be printed.
+ * Checks never block an order; they return warnings the customer confirms before approving.
+ */
+
+const mapService = require('./mapService');
+const printDocumentService = require('./printDocumentService');
+const PosterTypography = require('@print-my-ride/map-engines/poster-typography');
+const RouteColorMetrics = require('@print-my-ride/map-engines/route-color-metrics');
+
+const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+
+class PrintPreflightService {
+  /**
+   * Warning thresholds
+   * - minBasemapDpi: below this, upscaled tiles look soft in print
+   * - minRouteWidthMM: thinner lines look faint at poster viewing distance
+   * - minRouteContrast: WCAG 2.1 non-text contrast minimum for graphics
+   * - minRouteColorDifference: CIE76 delta E at which hues are clearly distinct, so a
+   *   saturated route (red on a beige map) stands out without lightness contrast
+   * - minTextPt: smallest comfortably legible printed text
+   */
+  static THRESHOLDS = {
+    minBasemapDpi: 200,
+    minRouteWidthMM: 0.3,
+    minRouteContrast: 3,
+    minRouteColorDifference: 40,
+    minTextPt: 6
+  };
+
+  /**
+   * Representative background colour of each map style
+   * Theme styles mirror `previewColor` in mapbox-config.js; stock styles use their land colour
+   */
+  static STYLE_BACKGROUNDS = {
+    'macken04/cme05849o00eb01sbh2b46dz4': { name: 'Classic', color: '#f8f8f8' },
+    'macken04/cmdowoyfi003o01r5h90e8r6l': { name: 'Classic Grey', color: '#9ca3af' },
+    'macken04/cmdowqfh4004h01sb14fe6x3u': { name: 'Classic Dark', color: '#374151' },
+    'macken04/cmdowyoil001d01sh5937dt1p': { name: 'Classic Blue', color: '#3b82f6' },
+    'macken04/cmhxe59y8001801qx91nfd6qc': { name: 'Classic Orange', color: '#f97316' },
+    'macken04/cme063epj00rq01pjamus26ma': { name: 'Classic Pink', color: '#ec4899' },
+    'macken04/cm9mvpjc8010b01quegchbmov': { name: 'Minimal Dark', color: '#1f2937' },
+    'macken04/cm9mvpk4s010c01qu4jzgccqt': { name: 'Minimal Pink', color: '#ec4899' },
+    'macken04/cm9mvpjxz001q01pgco8gefok': { name: 'Minimal Grey', color: '#6b7280' },
+    'macken04/cm9mvpjrw001801s5d2xv8t27': { name: 'Minimal Sand', color: '#d4b896' },
+    'macken04/cm9mvpjj0006y01qsckitaoib': { name: 'Minimal Sage', color: '#84a584' },
+    'macken04/cmdpqgs5y00av01qs9jat5xu9': { name: 'Bubble', color: '#8b5cf6' },
+    'mapbox/streets': { name: 'Streets', color: '#efe9e1' },
+    'mapbox/outdoors': { name: 'Outdoors', color: '#e8e6d9' },
+    'mapbox/light': { name: 'Light', color: '#f5f5f3' },
+    'mapbox/dark': { name: 'Dark', color: '#343332' },
+    'mapbox/satellite': { name: 'Satellite', color: '#3d4a35' },
+    'mapbox/satellite-streets': { name: 'Satellite', color: '#3d4a35' },
+    'mapbox/navigation-day': { name: 'Navigation Day', color: '#f4f3f0' },
+    'mapbox/navigation-night': { name: 'Navigation Night', color: '#202c3c' }
+  };
+
+  /**
+   * Run every check for a design at a print size
+   * @param {Object} mapConfig - Design config (a stored preview config: route(s), bounds, style, settings...)
+   * @param {Object} options - { format, orientation, dpi } override the config's print size
+   * @returns {Promise<Object>} Report { status, format, orientation, dpi, checks, warnings, checkedAt }
+   */
+  async runPreflight(mapConfig, options = {}) {
+    const context = this.buildContext(mapConfig, options);
+
+    const checks = [
+      await this.checkBasemapResolution(context),
+      this.checkRouteWidth(context),
+      this.checkRouteContrast(context),
+      this.checkTextSafeArea(context),
+      this.checkRouteClipping(context)
+    ];
+    const warnings = checks
+      .filter(check => check.status === 'warning')
+      .map(check => ({ check: check.id, label: check.label, message: check.message }));
+
+    console.log('[PrintPreflight] Preflight complete:', {
+      id: mapConfig.id,
+      format: context.format,
+      orientation: context.orientation,
+      warnings: warnings.map(warning => warning.check)
+    });
+
+    return {
+      status: warnings.length > 0 ? 'warning' : 'pass',
+      format: context.format,
+      orientation: context.orientation,
+      dpi: context.dpi,
+      checks,
+      warnings,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Resolve the print-ready config and the geometry every check shares
+   */
+  buildContext(mapConfig, options = {}) {
+    const format = String(options.format || mapConfig.format || 'A4').toUpperCase();
+    const orientation = String(options.orientation || mapConfig.orientation || 'portrait').toLowerCase();
+    const dpi = parseInt(options.dpi, 10) || 300;
+    const dimensions = mapService.getPrintDimensions(format, orientation);
+
+    // Previews are stored at screen size; render them at print size with the product's bleed
+    const { printFinishing, ...design } = mapConfig;
+    const config = mapService.applyPrintFinishing({
+      ...design,
+      format,
+      orientation,
+      dpi,
+      width: dimensions.width,
+      height: dimensions.height
+    });
+    const { width, height } = config;
+    const finishing = config.printFinishing;
+
+    const routes = mapService.normalizeRouteLayers(config).filter(route => route.coordinates.length > 0);
+    const bounds = config.bounds || (routes.length > 0 ? mapService.calculateCompositeBounds(routes) : null);
+    const elevationBand = mapService.getElevationBand(config, width, height);
+    const mapHeight = elevationBand ? elevationBand.mapHeight : height;
+
+    return {
+      config,
+      format,
+      orientation,
+      dpi,
+      width,
+      height,
+      mapHeight,
+      routes,
+      fit: bounds ? printDocumentService.getFit(bounds, width, mapHeight) : null,
+      trim: {
+        x: finishing.bleedPixels,
+        y: finishing.bleedPixels,
+        width: finishing.trimWidth,
+        height: finishing.trimHeight
+      },
+      safeArea: mapService.getSafeArea(config, width, height),
+      safeZoneMM: finishing.safeZone
+    };
+  }
+
+  /**
+   * Effective DPI of the basemap tiles
+   * A source can't serve tiles past its maximum zoom; beyond it the renderer upscales the
+   * last level, so print pixels per tile pixel drop below 1
+   */
+  async checkBasemapResolution(context) {
+    const check = { id: 'basemap-resolution', label: 'Basemap resolution' };
+    if (!context.fit) {
+      return { ...check, status: 'skipped', message: 'No map area to check' };
+    }
+
+    const tileSource = mapService.getTileSource();
+    try {
+      await tileSource.open();
+    } catch (error) {
+      return { ...check, status: 'skipped', message: `Tile source unavailable: ${error.message}` };
+    }
+
+    // fit.scale is print pixels per world width; a zoom level has tileSize * 2^z tile pixels
+    const zoomNeeded = Math.log2(context.fit.scale / tileSource.tileSize);
+    const tilePixels = tileSource.tileSize * Math.pow(2, tileSource.maxZoom);
+    const effectiveDpi = Math.round(context.dpi * Math.min(1, tilePixels / context.fit.scale));
+    const details = {
+      effectiveDpi,
+      targetDpi: context.dpi,
+      zoomNeeded: Math.round(zoomNeeded * 10) / 10,
+      maxZoom: tileSource.maxZoom,
+      tileSource: tileSource.name
+    };
+
+    if (effectiveDpi < PrintPreflightService.THRESHOLDS.minBasemapDpi) {
+      return {
+        ...check,
+        status: 'warning',
+        message: `The map is zoomed in past the most detailed tiles available, so the basemap prints at only ` +
+          `${effectiveDpi} DPI and will look soft at ${context.format}. Zoom out or choose a smaller size.`,
+        details
+      };
+    }
+    return { ...check, status: 'pass', message: `Basemap prints at ${effectiveDpi} DPI`, details };
+  }
+
+  /**
+   * Printed width of the route line(s) - widths are pixels at print resolution
+   */
+  checkRouteWidth(context) {
+    const check = { id: 'route-width', label: 'Route line width' };
+    if (context.config.renderMode === 'heatmap') {
+      return { ...check, status: 'skipped', message: 'Heatmaps are drawn by density, not line width' };
+    }
+    if (context.routes.length === 0) {
+      return { ...check, status: 'skipped', message: 'No route to check' };
+    }
+
+    const widthsMM = context.routes.map(route => this.roundTo(route.width * MM_PER_INCH / context.dpi, 2));
+    const thinnest = Math.min(...widthsMM);
+    const minimum = PrintPreflightService.THRESHOLDS.minRouteWidthMM;
+    const details = { widthsMM, minimumMM: minimum };
+
+    if (thinnest < minimum) {
+      return {
+        ...check,
+        status: 'warning',
+        message: `The route line prints ${thinnest} mm wide and may look faint - increase the line thickness to at least ${minimum} mm.`,
+        details
+      };
+    }
+    return { ...check, status: 'pass', message: `Route line prints ${thinnest} mm wide`, details };
+  }
+
+  /**
+   * Contrast between the route colour(s) and the map theme's background
+   * A colour passes with enough lightness contrast or a clearly different hue.
+   * Colour-by-metric routes are checked across their palette; route opacity is blended in
+   */
+  checkRouteContrast(context) {
+    const check = { id: 'route-contrast', label: 'Route contrast' };
+    if (context.config.renderMode === 'heatmap' || context.routes.length === 0) {
+      return { ...check, status: 'skipped', message: 'No route line to check' };
+    }
+
+    const background = this.getStyleBackground(context.config.style);
+    const backgroundRgb = this.parseColor(background.color);
+    const colorMetric = mapService.getColorMetric(context.config);
+    const candidates = colorMetric
+      ? colorMetric.palette.map(color => ({ color, opacity: context.routes[0].opacity }))
+      : context.routes.map(route => ({ color: route.color, opacity: route.opacity }));
+
+    const ratios = candidates
+      .map(({ color, opacity }) => {
+        const rgb = this.parseColor(color);
+        if (!rgb) {
+          return null;
+        }
+        const blended = rgb.map((channel, i) => channel * opacity + backgroundRgb[i] * (1 - opacity));
+        return {
+          color,
+          ratio: this.roundTo(this.getContrastRatio(blended, backgroundRgb), 2),
+          difference: Math.round(this.getColorDifference(blended, backgroundRgb))
+        };
+      })
+      .filter(Boolean);
+
+    if (ratios.length === 0) {
+      return { ...check, status: 'skipped', message: 'Route colour could not be read' };
+    }
+
+    const { minRouteContrast: minimum, minRouteColorDifference } = PrintPreflightService.THRESHOLDS;
+    const weak = ratios.filter(entry => entry.ratio < minimum && entry.difference < minRouteColorDifference);
+    const weakest = (weak.length > 0 ? weak : ratios).reduce((lowest, entry) => (entry.ratio < lowest.ratio ? entry : lowest));
+    const details = {
+      background: background.color,
+      theme: background.name,
+      estimated: background.estimated,
+      ratios,
+      minimumRatio: minimum,
+      minimumDifference: minRouteColorDifference
+    };
+
+    if (weak.length > 0) {
+      const lighter = this.getRelativeLuminance(backgroundRgb) < 0.18;
+      return {
+        ...check,
+        status: 'warning',
+        message: `The route colour ${weakest.color} has a contrast of only ${weakest.ratio}:1 against the ${background.name} map ` +
+          `and may be hard to see - choose a ${lighter ? 'lighter' : 'darker'} route colour.`,
+        details
+      };
+    }
+    return { ...check, status: 'pass', message: `Route contrast is ${weakest.ratio}:1 against the ${background.name} map`, details };
+  }
+
+  /**
+   * Poster text laid out exactly as the print renderers do, checked against the safe area
+   * Text widths use the layout engine's estimate; browsers measure the real font, which
+   * the layout then shrinks to fit, so the estimate is the wider of the two in practice
+   */
+  checkTextSafeArea(context) {
+    const check = { id: 'text-safe-area', label: 'Text safe area' };
+    const { config, width, height, safeArea, dpi } = context;
+
+    const blocks = PosterTypography.layout(
+      PosterTypography.resolveSettings(config),
+      mapService.getTypographyFrame(config, width, height)
+    );
+    if (blocks.length === 0) {
+      return { ...check, status: 'pass', message: 'No poster text' };
+    }
+
+    const boxes = blocks.map(block => ({ block, box: this.getTextBox(block) }));
+    const outside = boxes.filter(({ box }) => !this.containsBox(safeArea, box)).map(({ block }) => block.text);
+    const overlapping = [];
+    boxes.forEach((entry, index) => {
+      boxes.slice(index + 1).forEach(other => {
+        if (this.boxesOverlap(entry.box, other.box)) {
+          overlapping.push([entry.block.text, other.block.text]);
+        }
+      });
+    });
+    const minimum = PrintPreflightService.THRESHOLDS.minTextPt;
+    const tooSmall = blocks
+      .map(block => ({ text: block.text, pt: this.roundTo(block.fontSize * POINTS_PER_INCH / dpi, 1) }))
+      .filter(entry => entry.pt < minimum);
+
+    const problems = [];
+    if (outside.length > 0) {
+      problems.push(`"${outside[0]}" runs outside the ${context.safeZoneMM} mm safe area`);
+    }
+    if (overlapping.length > 0) {
+      problems.push(`"${overlapping[0][0]}" overlaps "${overlapping[0][1]}"`);
+    }
+    if (tooSmall.length > 0) {
+      problems.push(`"${tooSmall[0].text}" shrinks to ${tooSmall[0].pt} pt to fit`);
+    }
+
+    const details = { outside, overlapping, tooSmall, minimumPt: minimum };
+    if (problems.length > 0) {
+      return {
+        ...check,
+        status: 'warning',
+        message: `${problems.join('; ')} - shorten the text or show fewer stats.`,
+        details
+      };
+    }
+    return { ...check, status: 'pass', message: 'All text is inside the safe area', details };
+  }
+
+  /**
+   * Route points that fall outside the printed map (trim, less any elevation band)
+   * or inside the safe margin along its edges
+   */
+  checkRouteClipping(context) {
+    const check = { id: 'route-clipping', label: 'Route framing' };
+    if (!context.fit || context.routes.length === 0) {
+      return { ...check, status: 'skipped', message: 'No route to check' };
+    }
+
+    const { trim, safeArea, mapHeight } = context;
+    const visible = this.intersectBoxes(trim, { x: 0, y: 0, width: context.width, height: mapHeight });
+    const safe = this.intersectBoxes(safeArea, visible);
+
+    let total = 0;
+    let clipped = 0;
+    let nearEdge = 0;
+    context.routes.forEach(route => {
+      route.coordinates.forEach(coordinate => {
+        const [x, y] = context.fit.project(coordinate);
+        total++;
+        if (!this.containsPoint(visible, x, y)) {
+          clipped++;
+        } else if (!this.containsPoint(safe, x, y)) {
+          nearEdge++;
+        }
+      });
+    });
+
+    const clippedPercent = this.roundTo(clipped / total * 100, 1);
+    const details = { points: total, clipped, nearEdge, clippedPercent };
+
+    if (clipped > 0) {
+      return {
+        ...check,
+        status: 'warning',
+        message: `${clippedPercent < 0.1 ? 'Part' : `${clippedPercent}%`} of the route falls outside the printed poster and will be cut off - zoom out to fit the whole route.`,
+        details
+      };
+    }
+    if (nearEdge > 0) {
+      return {
+        ...check,
+        status: 'warning',
+        message: `The route runs within the ${context.safeZoneMM} mm margin at the poster edge, where trimming can cut it - zoom out slightly.`,
+        details
+      };
+    }
+    return { ...check, status: 'pass', message: 'The whole route is inside the safe area', details };
+  }
+
+  /**
+   * Background colour for a Mapbox style URL or ID
+   * Unknown styles get a light or dark estimate from their name
+   */
+  getStyleBackground(style) {
+    const id = String(style || '')
+      .replace(/^mapbox:\/\/styles\//, '')
+      .replace(/^(mapbox\/)?([a-z-]+?)(-v\d+)?$/, (match, owner, name) => `mapbox/${name}`);
+
+    const known = PrintPreflightService.STYLE_BACKGROUNDS[id];
+    if (known) {
+      return { ...known, estimated: false };
+    }
+
+    const dark = RouteColorMetrics.getTheme(style) === 'dark';
+    return { name: dark ? 'dark' : 'light', color: dark ? '#343332' : '#f5f5f3', estimated: true };
+  }
+
+  /**
+   * Parse #rgb, #rrggbb or rgb()/rgba() into [r, g, b], or null
+   */
+  parseColor(color) {
+    const value = String(color || '').trim().toLowerCase();
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(value);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+      return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+    }
+
+    const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(value);
+    return rgb ? rgb.slice(1, 4).map(Number) : null;
+  }
+
+  /**
+   * WCAG relative luminance of an [r, g, b] colour
+   */
+  getRelativeLuminance(rgb) {
+    const [r, g, b] = rgb.map(channel => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /**
+   * WCAG contrast ratio (1-21) between two [r, g, b] colours
+   */
+  getContrastRatio(first, second) {
+    const [lighter, darker] = [this.getRelativeLuminance(first), this.getRelativeLuminance(second)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+
+  /**
+   * CIE76 colour difference (delta E) between two [r, g, b] colours
+   */
+  getColorDifference(first, second) {
+    const [a, b] = [first, second].map(rgb => this.toLab(rgb));
+    return Math.sqrt(a.reduce((sum, value, i) => sum + Math.pow(value - b[i], 2), 0));
+  }
+
+  /**
+   * Convert an sRGB [r, g, b] colour to CIE L*a*b* (D65 white point)
+   */
+  toLab(rgb) {
+    const [r, g, b] = rgb.map(channel => {
+      const value = channel / 255;
+      return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    const xyz = [
+      (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047,
+      0.2126 * r + 0.7152 * g + 0.0722 * b,
+      (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883
+    ].map(value => (value > 0.008856 ? Math.cbrt(value) : 7.787 * value + 16 / 116));
+
+    return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+  }
+
+  /**
+   * Bounding box of a laid-out text block (top baseline), using the layout engine's width estimate
+   */
+  getTextBox(block) {
+    const width = String(block.text).length * block.fontSize * (block.fontWeight === 'bold' ? 0.6 : 0.5);
+    const left = block.align === 'left' ? block.x : block.align === 'right' ? block.x - width : block.x - width / 2;
+    return { x: left, y: block.y, width, height: block.fontSize };
+  }
+
+  containsBox(outer, inner, tolerance = 0.5) {
+    return inner.x >= outer.x - tolerance && inner.y >= outer.y - tolerance &&
+      inner.x + inner.width <= outer.x + outer.width + tolerance &&
+      inner.y + inner.height <= outer.y + outer.height + tolerance;
+  }
+
+  containsPoint(box, x, y) {
+    return x >= box.x && y >= box.y && x <= box.x + box.width && y <= box.y + box.height;
+  }
+
+  boxesOverlap(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+  }
+
+  intersectBoxes(a, b) {
+    const x = Math.max(a.x, b.x);
+    const y = Math.max(a.y, b.y);
+    return {
+      x,
+      y,
+      width: Math.max(0, Math.min(a.x + a.width, b.x + b.width) - x),
+      height: Math.max(0, Math.min(a.y + a.height, b.y + b.height) - y)
+    };
+  }
+
+  roundTo(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Export singleton instance
+module.exports = new PrintPreflightService();
+module.exports.PrintPreflightService = PrintPreflightService;
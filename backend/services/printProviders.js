@@ -0,0 +1,64 @@
+/**
+ * Print Providers
+ * Selects the print-on-demand lab that finished posters are sent to: none (default,
+ * files are sent to the printer by hand), a local stub for development and tests
+ * (PRINT_LAB_PROVIDER=stub) or a print lab's HTTP API (PRINT_LAB_PROVIDER=http).
+ *
+ * Every provider implements:
+ * - name                            'stub' or 'http'
+ * - submitOrder(submission)         { providerOrderId, status } - idempotent on submission.reference
+ * - getOrderStatus(providerOrderId) { providerOrderId, status, shipments }
+ * - cancelOrder(providerOrderId)    { providerOrderId, status }
+ * - parseCallback({ headers, rawBody }) Verify a status callback and return it as { providerOrderId, status, shipments }
+ * - describe()                      Provider details for logs and status, without credentials
+ *
+ * A submission is { reference, orderName, file: { url, format }, printSize, orientation,
+ * paper, quantity, shippingAddress, email, callbackUrl }. Statuses are normalized to
+ * PRINT_STATUSES, and shipments are [{ carrier, trackingNumber, trackingUrl }].
+ *
+ * Failures are reported with PrintProviderError (see utils/printProviderErrors.js);
+ * `retryable` tells the caller whether trying again later may succeed.
+ */
+
+const StubPrintProvider = require('./stubPrintProvider');
+const HttpPrintProvider = require('./httpPrintProvider');
+const { PrintProviderError } = require('../utils/printProviderErrors');
+
+// Normalized print order statuses, in the order an order moves through them
+const PRINT_STATUSES = ['submitted', 'in_production', 'shipped', 'cancelled', 'failed'];
+
+/**
+ * Create the provider selected by the print lab configuration
+ * @param {Object} printLabConfig - config.printLab ({ provider, apiUrl, apiKey, callbackSecret })
+ * @returns {Object|null} The provider, or null when print orders are placed by hand
+ */
+function createPrintProvider(printLabConfig = {}) {
+  const provider = printLabConfig.provider || 'none';
+
+  switch (provider) {
+    case 'none':
+      return null;
+
+    case 'stub':
+      return new StubPrintProvider(printLabConfig.stub || {});
+
+    case 'http': {
+      const missing = ['apiUrl', 'apiKey'].filter(key => !printLabConfig[key]);
+      if (missing.length > 0) {
+        throw new Error(`HTTP print provider is missing configuration: ${missing.join(', ')}`);
+      }
+      return new HttpPrintProvider(printLabConfig);
+    }
+
+    default:
+      throw new Error(`Unknown print provider: ${provider}`);
+  }
+}
+
+module.exports = {
+  createPrintProvider,
+  StubPrintProvider,
+  HttpPrintProvider,
+  PrintProviderError,
+  PRINT_STATUSES
+};
@@ -0,0 +1,481 @@
+/**
+ * Privacy Request Service
+ *
+ * Handles Shopify's mandatory privacy webhooks for customer data held by the app:
+ * - customers/data_request: assemble a JSON export of the customer's data
+ * - customers/redact: erase the customer's data
+ * - shop/redact: erase the data held for every order of the shop (sent after uninstall)
+ *
+ * Shopify identifies a customer by customer ID, email and order IDs, while the app stores
+ * designs against the Strava athlete who made them. The two are linked through the order
+ * generation jobs: their line item properties carry the Configuration ID and Strava User ID
+ * of each ordered map.
+ *
+ * A customer's data is:
+ * - saved map configurations and server-saved design drafts
+ * - generated files: stored maps, job output and print documents, and order generation records
+ * - print lab submissions for the customer's orders (print order and tracking details)
+ * - analytics events logged for the athlete
+ * - cached Strava data: API response cache, activity index and privacy zone settings
+ * - the order generation jobs themselves (they hold the customer's name and email)
+ *
+ * Every erasure appends an auditable record to the erasure log (one JSON object per line).
+ * Records hold IDs and counts only; the customer's email is kept as a SHA-256 hash so a
+ * request can be matched later without storing the address.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+class PrivacyRequestService {
+  /**
+   * Line item property values that don't identify an athlete
+   */
+  static UNKNOWN_ATHLETE_IDS = ['unknown', 'not provided', ''];
+
+  constructor(options = {}) {
+    const privacyConfig = config.getConfig().privacyRequests || {};
+
+    this.directory = options.directory || privacyConfig.directory ||
+      path.join(__dirname, '..', 'jobs', 'privacy-requests');
+    this.erasureLogFile = path.join(this.directory, 'erasure-log.jsonl');
+    this.exportsDirectory = path.join(this.directory, 'exports');
+
+    // Collaborators are resolved lazily so the service can be loaded without the rendering stack
+    this.dependencies = options.dependencies || null;
+  }
+
+  getDependencies() {
+    if (!this.dependencies) {
+      const MapConfigurationService = require('./mapConfigurationService');
+      this.dependencies = {
+        mapConfigurationService: new MapConfigurationService(),
+        fileStorageService: require('./fileStorageService'),
+        mapEventService: require('./mapEventService'),
+        backgroundJobManager: require('./backgroundJobManager'),
+        orderMapService: require('./orderMapService'),
+        cacheManager: require('./cacheManager'),
+        activityIndexService: require('./activityIndexService'),
+        userSettingsService: require('./userSettingsService'),
+        designDraftService: require('./designDraftService'),
+        printLabService: require('./printLabService')
+      };
+    }
+    return this.dependencies;
+  }
+
+  /**
+   * Build a customers/data_request export and store it for the merchant
+   * @param {Object} payload - Webhook body ({ shop_domain, customer, orders_requested, data_request })
+   * @returns {Promise<Object>} { exportId, filePath, counts }
+   */
+  async exportCustomerData(payload = {}) {
+    const subject = await this.resolveCustomer(payload);
+    const data = await this.collectData(subject);
+    const exportId = `data_request_${this.toFileSafe(payload.data_request?.id || Date.now())}`;
+
+    const document = {
+      exportId,
+      shopDomain: payload.shop_domain || null,
+      customer: {
+        id: payload.customer?.id ?? null,
+        email: payload.customer?.email || null
+      },
+      ordersRequested: (payload.orders_requested || []).map(String),
+      generatedAt: new Date().toISOString(),
+      orders: data.jobs.map(job => ({
+        orderId: String(job.orderId),
+        lineItemId: job.lineItemId,
+        order: job.orderData,
+        lineItem: job.lineItem,
+        printSize: job.printSize,
+        orientation: job.orientation,
+        status: job.status,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt
+      })),
+      mapConfigurations: data.configurations.map(({ configId, folder, configuration }) => ({ configId, folder, ...configuration })),
+      designDrafts: data.drafts,
+      generatedFiles: [
+        ...data.files.map(({ metadata }) => metadata),
+        ...data.jobFiles.map(filePath => ({ filename: path.basename(filePath), source: 'order_generation' }))
+      ],
+      orderRecords: data.orderRecords.map(({ record }) => record).filter(Boolean),
+      printSubmissions: data.printSubmissions,
+      analytics: data.events,
+      strava: {
+        athleteIds: subject.athleteIds,
+        activityIndexes: data.activityIndexes,
+        privacyZones: data.privacyZones
+      }
+    };
+
+    await fs.mkdir(this.exportsDirectory, { recursive: true });
+    const filePath = path.join(this.exportsDirectory, `${exportId}.json`);
+    await fs.writeFile(filePath, JSON.stringify(document, null, 2));
+
+    const counts = this.countData(data);
+    console.log('[PrivacyRequests] Customer data export stored:', { exportId, filePath, counts });
+
+    return { exportId, filePath, counts };
+  }
+
+  /**
+   * Erase a customer's data (customers/redact)
+   * @param {Object} payload - Webhook body ({ shop_domain, customer, orders_to_redact })
+   * @param {Object} context - { webhookId } for the erasure record
+   * @returns {Promise<Object>} The erasure record
+   */
+  async redactCustomer(payload = {}, context = {}) {
+    const subject = await this.resolveCustomer(payload);
+    return this.erase('customers/redact', subject, payload, context);
+  }
+
+  /**
+   * Erase the data held for every order of a shop (shop/redact)
+   * The app serves a single shop, so every order generation job belongs to it.
+   * @param {Object} payload - Webhook body ({ shop_id, shop_domain })
+   * @param {Object} context - { webhookId } for the erasure record
+   * @returns {Promise<Object>} The erasure record
+   */
+  async redactShop(payload = {}, context = {}) {
+    const { backgroundJobManager } = this.getDependencies();
+    await backgroundJobManager.ready;
+
+    const jobs = backgroundJobManager.getJobs().filter(job => job.orderId != null);
+    const subject = await this.buildSubject(jobs.map(job => job.orderId), jobs);
+    return this.erase('shop/redact', subject, payload, context);
+  }
+
+  /**
+   * Resolve the orders, configurations and athletes belonging to a Shopify customer
+   * Orders are the ones listed in the payload plus any other order job placed by the same customer.
+   */
+  async resolveCustomer(payload) {
+    const { backgroundJobManager } = this.getDependencies();
+    await backgroundJobManager.ready;
+
+    const customerId = payload.customer?.id != null ? String(payload.customer.id) : null;
+    const email = payload.customer?.email ? String(payload.customer.email).toLowerCase() : null;
+    const orderIds = [...(payload.orders_to_redact || []), ...(payload.orders_requested || [])].map(String);
+
+    const jobs = backgroundJobManager.getJobs().filter(job => {
+      if (job.orderId == null) {
+        return false;
+      }
+      const order = job.orderData || {};
+      const sameCustomer = customerId && order.customer?.id != null && String(order.customer.id) === customerId;
+      const sameEmail = email && [order.email, order.customer?.email].some(value => value && value.toLowerCase() === email);
+      return orderIds.includes(String(job.orderId)) || sameCustomer || sameEmail;
+    });
+
+    return this.buildSubject(orderIds, jobs);
+  }
+
+  /**
+   * Collect the configuration and athlete IDs referenced by a set of order jobs
+   */
+  async buildSubject(orderIds, jobs) {
+    const { mapConfigurationService } = this.getDependencies();
+
+    const allOrderIds = new Set(orderIds.map(String));
+    const configurationIds = new Set();
+    const athleteIds = new Set();
+
+    for (const job of jobs) {
+      allOrderIds.add(String(job.orderId));
+      for (const property of job.lineItem?.properties || []) {
+        if (property.name === 'Configuration ID' && property.value) {
+          configurationIds.add(String(property.value));
+        } else if (property.name === 'Strava User ID') {
+          this.addAthleteId(athleteIds, property.value);
+        }
+      }
+    }
+
+    // Configurations saved before the athlete's ID reached the order still name their owner
+    const ordered = await mapConfigurationService.findConfigurations({ configurationIds: [...configurationIds] });
+    for (const { configuration } of ordered) {
+      this.addAthleteId(athleteIds, configuration?.mapConfiguration?.userId);
+    }
+
+    return {
+      orderIds: [...allOrderIds],
+      configurationIds: [...configurationIds],
+      athleteIds: [...athleteIds],
+      jobs
+    };
+  }
+
+  addAthleteId(athleteIds, value) {
+    if (value != null && !PrivacyRequestService.UNKNOWN_ATHLETE_IDS.includes(String(value).trim())) {
+      athleteIds.add(String(value).trim());
+    }
+  }
+
+  /**
+   * Gather everything held for a subject
+   */
+  async collectData(subject) {
+    const {
+      mapConfigurationService,
+      fileStorageService,
+      mapEventService,
+      orderMapService,
+      activityIndexService,
+      userSettingsService,
+      designDraftService,
+      printLabService
+    } = this.getDependencies();
+    const { orderIds, configurationIds, athleteIds, jobs } = subject;
+
+    const configurations = await mapConfigurationService.findConfigurations({ configurationIds, userIds: athleteIds });
+    const files = await fileStorageService.findFiles({ userIds: athleteIds, orderIds });
+
+    const orderRecords = [];
+    const printSubmissions = [];
+    for (const orderId of orderIds) {
+      orderRecords.push(...await orderMapService.getGenerationRecords(orderId));
+      printSubmissions.push(...await printLabService.getSubmissionsForOrder(orderId));
+    }
+
+    const drafts = [];
+    const activityIndexes = [];
+    const privacyZones = [];
+    for (const athleteId of athleteIds) {
+      drafts.push(...await designDraftService.loadAthleteDrafts(athleteId));
+
+      const index = await activityIndexService.getIndex(athleteId);
+      if (index.activities.size > 0) {
+        activityIndexes.push({ athleteId, sync: index.sync, activities: Array.from(index.activities.values()) });
+      }
+
+      const settings = await userSettingsService.getPrivacyZones(athleteId);
+      if (settings.zones.length > 0 || settings.hideFirstMeters > 0 || settings.hideLastMeters > 0) {
+        privacyZones.push({ athleteId, ...settings });
+      }
+    }
+
+    return {
+      jobs,
+      jobFiles: this.getJobFiles(jobs),
+      configurations,
+      drafts,
+      files,
+      orderRecords,
+      printSubmissions,
+      events: athleteIds.length > 0 ? await mapEventService.getUserEvents(athleteIds) : { events: [], sessions: [] },
+      activityIndexes,
+      privacyZones
+    };
+  }
+
+  /**
+   * Paths of the maps and print documents generated by order jobs, including quarantined copies
+   */
+  getJobFiles(jobs) {
+    const files = new Set();
+    for (const job of jobs) {
+      [
+        job.filePath,
+        job.quarantinedPath,
+        ...Object.values(job.result?.documents || {}),
+        ...Object.values(job.quarantinedDocuments || {})
+      ].filter(Boolean).forEach(filePath => files.add(filePath));
+    }
+    return [...files];
+  }
+
+  /**
+   * Delete everything held for a subject and append the erasure record
+   * Each step runs even when an earlier one fails; failures are listed in the record
+   * and the erasure can simply be repeated.
+   */
+  async erase(topic, subject, payload, context) {
+    const {
+      mapConfigurationService,
+      fileStorageService,
+      mapEventService,
+      backgroundJobManager,
+      orderMapService,
+      cacheManager,
+      activityIndexService,
+      userSettingsService,
+      designDraftService,
+      printLabService
+    } = this.getDependencies();
+
+    const startedAt = new Date().toISOString();
+    const data = await this.collectData(subject);
+    const deleted = {
+      jobs: 0,
+      files: 0,
+      orderRecords: 0,
+      printSubmissions: 0,
+      configurations: 0,
+      designDrafts: 0,
+      events: 0,
+      analyticsSessions: 0,
+      activityIndexes: 0,
+      privacyZoneSettings: 0
+    };
+    const errors = [];
+
+    const step = async (name, action) => {
+      try {
+        await action();
+      } catch (error) {
+        console.error(`[PrivacyRequests] Erasure step failed (${name}):`, error.message);
+        errors.push({ step: name, error: error.message });
+      }
+    };
+
+    // Withdraw the jobs first so nothing is rendered for the orders while their files are removed
+    for (const orderId of subject.orderIds) {
+      await step(`jobs:${orderId}`, async () => {
+        deleted.jobs += (await backgroundJobManager.removeJobsForOrder(orderId, `${topic} erasure`)).length;
+      });
+    }
+
+    for (const { filename, type } of data.files) {
+      await step(`file:${filename}`, async () => {
+        await fileStorageService.purgeFile(filename, type);
+        deleted.files++;
+      });
+    }
+    for (const filePath of data.jobFiles) {
+      await step(`file:${path.basename(filePath)}`, async () => {
+        if (await fileStorageService.purgeGeneratedFile(filePath)) {
+          deleted.files++;
+        }
+      });
+    }
+
+    for (const orderId of subject.orderIds) {
+      await step(`orderRecords:${orderId}`, async () => {
+        deleted.orderRecords += await orderMapService.deleteGenerationRecords(orderId);
+      });
+      await step(`printSubmissions:${orderId}`, async () => {
+        deleted.printSubmissions += await printLabService.deleteSubmissionsForOrder(orderId);
+      });
+    }
+
+    for (const { configId, folder } of data.configurations) {
+      await step(`configuration:${configId}`, async () => {
+        if (await mapConfigurationService.deleteConfiguration(configId, folder)) {
+          deleted.configurations++;
+        }
+      });
+    }
+
+    if (subject.athleteIds.length > 0) {
+      await step('events', async () => {
+        const removed = await mapEventService.deleteUserEvents(subject.athleteIds);
+        deleted.events = removed.events;
+        deleted.analyticsSessions = removed.sessions;
+      });
+    }
+
+    for (const athleteId of subject.athleteIds) {
+      await step(`designDrafts:${athleteId}`, async () => {
+        deleted.designDrafts += await designDraftService.deleteAthleteDrafts(athleteId);
+      });
+      await step(`stravaCache:${athleteId}`, async () => {
+        cacheManager.invalidateOnUserAction(athleteId, 'customer_redacted');
+        if (data.activityIndexes.some(index => index.athleteId === athleteId)) {
+          deleted.activityIndexes++;
+        }
+        await activityIndexService.deleteIndex(athleteId);
+        if (await userSettingsService.deleteSettings(athleteId)) {
+          deleted.privacyZoneSettings++;
+        }
+      });
+    }
+
+    const record = {
+      id: `erasure_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      topic,
+      webhookId: context.webhookId || null,
+      shopDomain: payload.shop_domain || null,
+      shopId: payload.shop_id ?? null,
+      customerId: payload.customer?.id ?? null,
+      customerEmailHash: payload.customer?.email ? this.hashEmail(payload.customer.email) : null,
+      orderIds: subject.orderIds,
+      configurationIds: data.configurations.map(({ configId }) => configId),
+      athleteIds: subject.athleteIds,
+      deleted,
+      errors,
+      status: errors.length > 0 ? 'partial' : 'completed',
+      startedAt,
+      completedAt: new Date().toISOString()
+    };
+
+    await this.appendErasureRecord(record);
+
+    console.log('[PrivacyRequests] Erasure recorded:', {
+      id: record.id,
+      topic,
+      status: record.status,
+      orders: record.orderIds.length,
+      deleted
+    });
+
+    return record;
+  }
+
+  /**
+   * Append an erasure record to the audit log
+   */
+  async appendErasureRecord(record) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.appendFile(this.erasureLogFile, JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Read the erasure audit log, optionally only one customer's records
+   * @param {Object} filter - { customerId }
+   * @returns {Promise<Array>} Erasure records, oldest first
+   */
+  async getErasureRecords({ customerId = null } = {}) {
+    let content;
+    try {
+      content = await fs.readFile(this.erasureLogFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return content.split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(record => customerId == null || String(record.customerId) === String(customerId));
+  }
+
+  countData(data) {
+    return {
+      orders: data.jobs.length,
+      mapConfigurations: data.configurations.length,
+      designDrafts: data.drafts.length,
+      generatedFiles: data.files.length + data.jobFiles.length,
+      orderRecords: data.orderRecords.length,
+      printSubmissions: data.printSubmissions.length,
+      analyticsEvents: data.events.events.length,
+      activityIndexes: data.activityIndexes.length
+    };
+  }
+
+  hashEmail(email) {
+    return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+  }
+
+  toFileSafe(value) {
+    return String(value).replace(/[^\w-]/g, '');
+  }
+}
+
+module.exports = new PrivacyRequestService();
+module.exports.PrivacyRequestService = PrivacyRequestService;
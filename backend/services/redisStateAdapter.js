@@ -0,0 +1,201 @@
+/**
+ * Redis State Adapter
+ * Keeps shared state in Redis (or any server speaking the Redis protocol) so several
+ * backend instances see the same caches, tokens, rate limit counters and sessions.
+ *
+ * Values are stored as JSON under `<keyPrefix><key>`, with expiry handled by Redis.
+ * Rate limit hits are a sliding window kept in a sorted set per client. Messages are
+ * tagged with this adapter's instance ID so subscribers only see other instances'
+ * messages. Pub/sub needs its own connection, opened on the first subscribe(); when
+ * it reconnects after a drop the adapter emits 'resync', since messages sent while it
+ * was down are lost.
+ *
+ * Connections are ioredis clients, opened by the first command. They reconnect with
+ * backoff and resubscribe on their own. While Redis is down, a command fails after one
+ * reconnect attempt instead of queueing, so callers can fall back to in-process state.
+ *
+ * Implements the shared state interface described in sharedState.js.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+
+class RedisStateAdapter extends EventEmitter {
+  /**
+   * @param {Object} options - { url, keyPrefix, connectTimeout, maxReconnectDelay }
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'redis';
+    this.url = options.url || 'redis://localhost:6379';
+    this.keyPrefix = options.keyPrefix ?? 'maps:';
+    this.connectTimeout = options.connectTimeout || 5000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+    this.instanceId = crypto.randomUUID();
+    this.scanCount = options.scanCount || 100;
+
+    this.client = this.createClient();
+    this.subscriber = null;
+    this.channelHandlers = new Map(); // prefixed channel -> Set of handlers
+  }
+
+  createClient() {
+    const client = new Redis(this.url, {
+      // RESP2 works with every server speaking the Redis protocol (pub/sub already has its own connection)
+      protocol: 2,
+      lazyConnect: true,
+      connectTimeout: this.connectTimeout,
+      maxRetriesPerRequest: 1,
+      retryStrategy: attempt => Math.min(this.maxReconnectDelay, 100 * 2 ** (attempt - 1))
+    });
+    client.on('error', error => console.error('[SharedState] Redis error:', error.message));
+    return client;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.keyPrefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async getMany(keys) {
+    if (keys.length === 0) {
+      return [];
+    }
+    const values = await this.client.mget(keys.map(key => this.keyPrefix + key));
+    return values.map(value => (value === null ? null : JSON.parse(value)));
+  }
+
+  async set(key, value, ttlMs = null) {
+    if (ttlMs) {
+      await this.client.set(this.keyPrefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs)));
+    } else {
+      await this.client.set(this.keyPrefix + key, JSON.stringify(value));
+    }
+  }
+
+  async delete(...keys) {
+    if (keys.length === 0) {
+      return;
+    }
+    await this.client.del(keys.map(key => this.keyPrefix + key));
+  }
+
+  /**
+   * List keys matching a glob pattern (SCAN, so large keyspaces don't block Redis)
+   * @param {string} pattern - Glob pattern where * matches any characters
+   */
+  async keys(pattern = '*') {
+    const keys = new Set();
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', this.keyPrefix + pattern, 'COUNT', this.scanCount);
+      batch.forEach(key => keys.add(key.slice(this.keyPrefix.length)));
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return [...keys];
+  }
+
+  /**
+   * Count a request in a sliding window. Requests over the limit are not counted,
+   * so a client that keeps retrying is let through once the window has moved on.
+   * @returns {Promise<Object>} { count, allowed } - count includes this request when allowed
+   */
+  async recordHit(key, windowMs, limit) {
+    const redisKey = this.keyPrefix + key;
+    const now = Date.now();
+    const member = `${now}:${crypto.randomBytes(4).toString('hex')}`;
+
+    const results = await this.client.multi()
+      .zremrangebyscore(redisKey, '-inf', now - windowMs)
+      .zadd(redisKey, now, member)
+      .zcard(redisKey)
+      .pexpire(redisKey, windowMs)
+      .exec();
+
+    if (!results) {
+      throw new Error('Redis transaction was aborted');
+    }
+    const failed = results.find(([error]) => error);
+    if (failed) {
+      throw failed[0];
+    }
+
+    const count = results[2][1];
+    if (count > limit) {
+      await this.client.zrem(redisKey, member);
+      return { count: count - 1, allowed: false };
+    }
+    return { count, allowed: true };
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this.keyPrefix + channel, JSON.stringify({
+      source: this.instanceId,
+      message
+    }));
+  }
+
+  /**
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Called with each message published by another instance
+   */
+  async subscribe(channel, handler) {
+    if (!this.subscriber) {
+      this.subscriber = this.createClient();
+
+      let connected = false;
+      this.subscriber.on('ready', () => {
+        if (connected) {
+          this.emit('resync');
+        }
+        connected = true;
+      });
+      this.subscriber.on('message', (prefixedChannel, raw) => this.onMessage(prefixedChannel, raw));
+    }
+
+    const prefixedChannel = this.keyPrefix + channel;
+    const handlers = this.channelHandlers.get(prefixedChannel);
+    if (handlers) {
+      handlers.add(handler);
+      return;
+    }
+
+    this.channelHandlers.set(prefixedChannel, new Set([handler]));
+    await this.subscriber.subscribe(prefixedChannel);
+  }
+
+  onMessage(prefixedChannel, raw) {
+    let envelope;
+    try {
+      envelope = JSON.parse(raw);
+    } catch (error) {
+      console.warn('[SharedState] Ignoring malformed message on', prefixedChannel.slice(this.keyPrefix.length));
+      return;
+    }
+
+    if (envelope.source === this.instanceId) {
+      return;
+    }
+    for (const handler of this.channelHandlers.get(prefixedChannel) || []) {
+      try {
+        handler(envelope.message);
+      } catch (error) {
+        console.error('[SharedState] Message handler failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Close the connections (QUIT when connected, otherwise just stop reconnecting)
+   */
+  async close() {
+    await Promise.all([this.client, this.subscriber].filter(Boolean).map(client =>
+      (client.status === 'ready' ? client.quit() : client.disconnect())
+    ));
+  }
+}
+
+module.exports = RedisStateAdapter;
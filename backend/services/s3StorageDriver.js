@@ -0,0 +1,268 @@
+/**
+ * S3 Storage Driver
+ * Stores generated files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...)
+ * so several backend instances can share one store. Storage types become key prefixes:
+ * `<prefix><type>/<filename>`.
+ *
+ * Requests go through the AWS SDK. Without configured keys, credentials come from the
+ * SDK's default provider chain (AWS_* environment variables, shared config files, web
+ * identity, ECS and EC2 instance roles), so temporary credentials with a session token
+ * work either way. Imported files are streamed from disk as a multipart upload rather
+ * than read into memory. Objects get a new Last-Modified time whenever they are written,
+ * so a move (copy + delete) always restarts the retention clock.
+ *
+ * Implements the storage driver interface described in storageDrivers.js.
+ */
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const {
+  S3Client,
+  HeadBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  CopyObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { FileNotFoundError, FileOperationError } = require('../utils/fileErrors');
+
+// Smallest part S3 accepts in a multipart upload
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+class S3StorageDriver {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.prefix = options.prefix ? `${options.prefix.replace(/\/+$/, '')}/` : '';
+    this.timeout = options.timeout || 30000;
+    this.listPageSize = options.listPageSize || 1000;
+    this.partSize = Math.max(options.partSize || MIN_PART_SIZE, MIN_PART_SIZE);
+
+    this.client = options.client || new S3Client({
+      region: this.region,
+      endpoint: options.endpoint || undefined,
+      // MinIO and most self-hosted stores only support path-style addressing
+      forcePathStyle: options.forcePathStyle ?? Boolean(options.endpoint),
+      credentials: options.accessKeyId
+        ? {
+            accessKeyId: options.accessKeyId,
+            secretAccessKey: options.secretAccessKey,
+            sessionToken: options.sessionToken || undefined
+          }
+        : undefined,
+      // Only send checksums S3 requires; several S3-compatible stores reject the SDK's default trailers
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+      requestHandler: { connectionTimeout: this.timeout, requestTimeout: this.timeout }
+    });
+  }
+
+  /**
+   * Check that the bucket is reachable; storage types need no setup
+   */
+  async initialize() {
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        throw new FileOperationError(`S3 bucket not found: ${this.bucket}`, 'BUCKET_NOT_FOUND', {
+          bucket: this.bucket
+        });
+      }
+      throw this.toFileError(error, 'initialize', '');
+    }
+  }
+
+  getKey(type, name = '') {
+    return `${this.prefix}${type}/${name}`;
+  }
+
+  /**
+   * s3:// URL of a file (or of a storage type's prefix)
+   */
+  getLocation(type, name = '') {
+    return `s3://${this.bucket}/${this.getKey(type, name)}`;
+  }
+
+  /**
+   * Write a file (S3 writes are atomic)
+   */
+  async writeFile(type, name, data) {
+    const key = this.getKey(type, name);
+    await this.send('writeFile', key, new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: Buffer.isBuffer(data) ? data : Buffer.from(data)
+    }));
+  }
+
+  async readFile(type, name) {
+    const key = this.getKey(type, name);
+    const response = await this.send('readFile', key, new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * Open a read stream, optionally for a byte range ({ start, end } inclusive)
+   */
+  async createReadStream(type, name, range = {}) {
+    const key = this.getKey(type, name);
+    const response = await this.send('createReadStream', key, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Range: range.start !== undefined ? `bytes=${range.start}-${range.end ?? ''}` : undefined
+    }));
+    return response.Body;
+  }
+
+  /**
+   * @returns {Promise<Object>} { size, mtime }
+   */
+  async stat(type, name) {
+    const key = this.getKey(type, name);
+    const response = await this.send('stat', key, new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+
+    return {
+      size: response.ContentLength || 0,
+      mtime: response.LastModified
+    };
+  }
+
+  async exists(type, name) {
+    try {
+      await this.stat(type, name);
+      return true;
+    } catch (error) {
+      if (error instanceof FileNotFoundError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the files stored under a type, following continuation tokens
+   * @returns {Promise<Array>} [{ name, size, mtime }]
+   */
+  async list(type) {
+    const prefix = this.getKey(type);
+    const files = [];
+    let continuationToken;
+
+    do {
+      const result = await this.send('list', prefix, new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        Delimiter: '/',
+        MaxKeys: this.listPageSize,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of result.Contents || []) {
+        files.push({
+          name: object.Key.slice(prefix.length),
+          size: object.Size || 0,
+          mtime: object.LastModified
+        });
+      }
+
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files;
+  }
+
+  /**
+   * Move a file between storage types (server-side copy, then delete)
+   */
+  async move(fromType, name, toType, toName = name) {
+    const sourceKey = this.getKey(fromType, name);
+    const destinationKey = this.getKey(toType, toName);
+
+    // The SDK also raises copy errors S3 reports in the body of a 200 response
+    await this.send('move', sourceKey, new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: destinationKey,
+      CopySource: `${this.bucket}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`
+    }));
+    await this.deleteKey(sourceKey);
+  }
+
+  /**
+   * Upload a file from the local disk (e.g. print output) and remove the local copy
+   * The file is streamed in parts, so large print files are never held in memory
+   */
+  async importFile(sourcePath, type, name) {
+    const key = this.getKey(type, name);
+    const upload = new Upload({
+      client: this.client,
+      params: { Bucket: this.bucket, Key: key, Body: fsSync.createReadStream(sourcePath) },
+      partSize: this.partSize,
+      queueSize: 2
+    });
+
+    try {
+      await upload.done();
+    } catch (error) {
+      throw this.toFileError(error, 'importFile', key);
+    }
+    await fs.unlink(sourcePath);
+  }
+
+  async delete(type, name) {
+    // S3 deletes succeed for missing keys, so check first to report missing files like the local driver
+    if (!(await this.exists(type, name))) {
+      throw new FileNotFoundError(this.getLocation(type, name));
+    }
+    await this.deleteKey(this.getKey(type, name));
+  }
+
+  async deleteKey(key) {
+    await this.send('delete', key, new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  /**
+   * Buckets have no fixed capacity
+   */
+  async getFreeSpace() {
+    return null;
+  }
+
+  /**
+   * Send a command, turning SDK errors into file errors
+   */
+  async send(operation, key, command) {
+    try {
+      return await this.client.send(command);
+    } catch (error) {
+      throw this.toFileError(error, operation, key);
+    }
+  }
+
+  isNotFound(error) {
+    return error.$metadata?.httpStatusCode === 404 || ['NotFound', 'NoSuchKey', 'NoSuchBucket'].includes(error.name);
+  }
+
+  /**
+   * Turn an SDK error into a FileNotFoundError or FileOperationError
+   */
+  toFileError(error, operation, key) {
+    if (this.isNotFound(error) && key && error.name !== 'NoSuchBucket') {
+      return new FileNotFoundError(`s3://${this.bucket}/${key}`);
+    }
+
+    const status = error.$metadata?.httpStatusCode;
+    return new FileOperationError(`S3 ${operation} failed: ${error.message || `HTTP ${status}`}`, 'S3_REQUEST_FAILED', {
+      operation,
+      key,
+      status,
+      s3Code: error.Code || error.name
+    });
+  }
+}
+
+module.exports = S3StorageDriver;
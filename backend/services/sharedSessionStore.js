@@ -0,0 +1,96 @@
+/**
+ * Shared Session Store
+ * express-session store backed by the shared state adapter, so a session created on
+ * one backend instance is available on all of them. Sessions expire with their cookie.
+ */
+
+const session = require('express-session');
+
+class SharedSessionStore extends session.Store {
+  /**
+   * @param {Object} options - { sharedState, ttl (ms, for sessions without a cookie expiry), prefix }
+   */
+  constructor(options = {}) {
+    super();
+    this.sharedState = options.sharedState;
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+    this.prefix = options.prefix || 'sess:';
+  }
+
+  getKey(sessionId) {
+    return `${this.prefix}${sessionId}`;
+  }
+
+  /**
+   * Milliseconds until the session's cookie expires
+   */
+  getTtl(sess) {
+    const expires = sess?.cookie?.expires;
+    if (expires) {
+      return new Date(expires).getTime() - Date.now();
+    }
+    return sess?.cookie?.originalMaxAge || this.ttl;
+  }
+
+  get(sessionId, callback) {
+    this.sharedState.get(this.getKey(sessionId))
+      .then(sess => callback(null, sess))
+      .catch(error => callback(error));
+  }
+
+  set(sessionId, sess, callback = () => {}) {
+    const ttl = this.getTtl(sess);
+    const operation = ttl > 0
+      ? this.sharedState.set(this.getKey(sessionId), sess, ttl)
+      : this.sharedState.delete(this.getKey(sessionId));
+
+    operation.then(() => callback(null), error => callback(error));
+  }
+
+  /**
+   * Refresh the expiry of an unmodified session (rolling sessions)
+   */
+  touch(sessionId, sess, callback = () => {}) {
+    this.set(sessionId, sess, callback);
+  }
+
+  destroy(sessionId, callback = () => {}) {
+    this.sharedState.delete(this.getKey(sessionId))
+      .then(() => callback(null), error => callback(error));
+  }
+
+  /**
+   * All sessions, keyed by session ID (used to purge a deauthorized athlete's sessions)
+   */
+  all(callback) {
+    this.loadAll()
+      .then(sessions => callback(null, sessions))
+      .catch(error => callback(error));
+  }
+
+  length(callback) {
+    this.sharedState.keys(`${this.prefix}*`)
+      .then(keys => callback(null, keys.length))
+      .catch(error => callback(error));
+  }
+
+  clear(callback = () => {}) {
+    this.sharedState.keys(`${this.prefix}*`)
+      .then(keys => this.sharedState.delete(...keys))
+      .then(() => callback(null), error => callback(error));
+  }
+
+  async loadAll() {
+    const keys = await this.sharedState.keys(`${this.prefix}*`);
+    const values = await this.sharedState.getMany(keys);
+
+    return keys.reduce((sessions, key, index) => {
+      if (values[index]) {
+        sessions[key.slice(this.prefix.length)] = values[index];
+      }
+      return sessions;
+    }, {});
+  }
+}
+
+module.exports = SharedSessionStore;
@@ -0,0 +1,102 @@
+/**
+ * Shared State
+ * Lets components that keep state in process memory share it between backend
+ * instances. Each component opts in through SHARED_STATE_COMPONENTS:
+ * - cache              Strava API cache (read-through, invalidations broadcast)
+ * - crossDomainTokens  Cross-domain tokens and map previews/confirmations
+ * - rateLimits         Client rate limit counters and the Strava API quota
+ * - sessions           express-session store
+ * Components that have not opted in keep their in-process state.
+ *
+ * SHARED_STATE_DRIVER selects the backend: 'redis' (REDIS_URL) shares state between
+ * instances; 'memory' (default) keeps it in this process.
+ *
+ * Every adapter stores JSON values by key and implements:
+ * - get(key)                        Value or null
+ * - getMany(keys)                   Values (null for missing keys)
+ * - set(key, value, ttlMs)          Store a value, expiring after ttlMs when given
+ * - delete(...keys)                 Remove keys
+ * - keys(pattern)                   Keys matching a glob pattern (* wildcard)
+ * - recordHit(key, windowMs, limit) Count a request in a sliding window: { count, allowed }
+ * - publish(channel, message)       Send a message to the other instances
+ * - subscribe(channel, handler)     Receive messages published by other instances
+ * - close()                         Release connections
+ * Adapters are EventEmitters and emit 'resync' when published messages may have been
+ * missed (e.g. after a reconnect), so components mirroring state can reload it.
+ */
+
+const { getConfig } = require('../config');
+const MemoryStateAdapter = require('./memoryStateAdapter');
+const RedisStateAdapter = require('./redisStateAdapter');
+
+const SHARED_STATE_COMPONENTS = ['cache', 'crossDomainTokens', 'rateLimits', 'sessions'];
+
+let sharedAdapter = null;
+
+/**
+ * Create the adapter selected by the shared state configuration
+ * @param {Object} sharedStateConfig - config.sharedState ({ driver, redisUrl, keyPrefix })
+ */
+function createSharedStateAdapter(sharedStateConfig = {}) {
+  const driver = sharedStateConfig.driver || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStateAdapter();
+
+    case 'redis':
+      if (!sharedStateConfig.redisUrl) {
+        throw new Error('Redis shared state driver is missing configuration: redisUrl');
+      }
+      return new RedisStateAdapter({
+        url: sharedStateConfig.redisUrl,
+        keyPrefix: sharedStateConfig.keyPrefix,
+        connectTimeout: sharedStateConfig.connectTimeout
+      });
+
+    default:
+      throw new Error(`Unknown shared state driver: ${driver}`);
+  }
+}
+
+/**
+ * Get the shared state adapter for a component, if it has opted in
+ * @param {string} component - One of SHARED_STATE_COMPONENTS
+ * @returns {Object|null} Adapter, or null when the component keeps in-process state
+ */
+function getSharedState(component) {
+  if (!SHARED_STATE_COMPONENTS.includes(component)) {
+    throw new Error(`Unknown shared state component: ${component}`);
+  }
+
+  const sharedStateConfig = getConfig().sharedState || {};
+  if (!(sharedStateConfig.components || []).includes(component)) {
+    return null;
+  }
+
+  if (!sharedAdapter) {
+    sharedAdapter = createSharedStateAdapter(sharedStateConfig);
+    console.log(`[SharedState] Using ${sharedAdapter.name} shared state for: ${sharedStateConfig.components.join(', ')}`);
+  }
+  return sharedAdapter;
+}
+
+/**
+ * Close the shared adapter's connections (graceful shutdown)
+ */
+async function closeSharedState() {
+  if (sharedAdapter) {
+    const adapter = sharedAdapter;
+    sharedAdapter = null;
+    await adapter.close();
+  }
+}
+
+module.exports = {
+  SHARED_STATE_COMPONENTS,
+  getSharedState,
+  createSharedStateAdapter,
+  closeSharedState,
+  MemoryStateAdapter,
+  RedisStateAdapter
+};
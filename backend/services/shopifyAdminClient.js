@@ -0,0 +1,490 @@
+/**
+ * Shopify Admin API Client
+ * GraphQL client for the Shopify Admin API, pinned to one API version
+ * (shopify.apiVersion). Covers what order fulfillment needs: order metafields,
+ * order notes, shipping addresses, fulfillment orders and staged file uploads.
+ *
+ * Shopify rate-limits GraphQL by query cost: each shop has a bucket of points
+ * (throttleStatus.maximumAvailable) that refills at restoreRate points per second,
+ * and every response reports what the query cost and what is left. The client
+ * remembers the last throttle status and the cost of each operation, waits before
+ * sending a query the bucket cannot afford yet, and retries THROTTLED responses
+ * once the bucket has refilled. 429s honour Retry-After; 5xx and network errors
+ * back off exponentially.
+ *
+ * Set shopify.adminApiUrl to run against a local server that speaks the same
+ * protocol (see tests/mocks/shopify-admin-mock-server.js) instead of a store.
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const RetryUtils = require('../utils/retryUtils');
+
+const DEFAULT_API_VERSION = '2025-01';
+// Cost assumed for an operation the client has not sent yet (a typical mutation)
+const DEFAULT_QUERY_COST = 10;
+
+const METAFIELD_FIELDS = 'id namespace key type value';
+
+const QUERIES = {
+  metafieldsSet: `mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+  metafieldsSet(metafields: $metafields) {
+    metafields { ${METAFIELD_FIELDS} }
+    userErrors { field message code }
+  }
+}`,
+  orderMetafields: `query OrderMetafields($id: ID!, $namespace: String, $first: Int!) {
+  order(id: $id) {
+    id
+    metafields(namespace: $namespace, first: $first) {
+      nodes { ${METAFIELD_FIELDS} }
+    }
+  }
+}`,
+  orderNote: `query OrderNote($id: ID!) {
+  order(id: $id) {
+    id
+    note
+  }
+}`,
+  orderShippingAddress: `query OrderShippingAddress($id: ID!) {
+  order(id: $id) {
+    id
+    shippingAddress {
+      name firstName lastName company address1 address2 city
+      province provinceCode zip country countryCodeV2 phone
+    }
+  }
+}`,
+  orderUpdate: `mutation OrderUpdate($input: OrderInput!) {
+  orderUpdate(input: $input) {
+    order { id note }
+    userErrors { field message }
+  }
+}`,
+  fulfillmentOrders: `query OrderFulfillmentOrders($id: ID!, $first: Int!) {
+  order(id: $id) {
+    id
+    fulfillmentOrders(first: $first) {
+      nodes {
+        id
+        status
+        lineItems(first: 50) {
+          nodes {
+            id
+            remainingQuantity
+            lineItem { id }
+          }
+        }
+      }
+    }
+  }
+}`,
+  fulfillmentCreate: `mutation FulfillmentCreate($fulfillment: FulfillmentInput!, $message: String) {
+  fulfillmentCreate(fulfillment: $fulfillment, message: $message) {
+    fulfillment {
+      id
+      status
+      trackingInfo { company number url }
+    }
+    userErrors { field message }
+  }
+}`,
+  stagedUploadsCreate: `mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
+  stagedUploadsCreate(input: $input) {
+    stagedTargets {
+      url
+      resourceUrl
+      parameters { name value }
+    }
+    userErrors { field message }
+  }
+}`,
+  fileCreate: `mutation FileCreate($files: [FileCreateInput!]!) {
+  fileCreate(files: $files) {
+    files {
+      id
+      fileStatus
+      alt
+      ... on GenericFile { url }
+    }
+    userErrors { field message code }
+  }
+}`
+};
+
+class ShopifyApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - NOT_CONFIGURED, HTTP_ERROR, GRAPHQL_ERROR, THROTTLED, USER_ERRORS, NOT_FOUND, UPLOAD_FAILED
+   * @param {Object} details - { status, errors, userErrors }
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.code = code;
+    this.status = details.status || null;
+    this.errors = details.errors || [];
+    this.userErrors = details.userErrors || [];
+  }
+}
+
+class ShopifyAdminClient {
+  constructor(options = {}) {
+    this.options = options;
+    this.settings = null;
+    this.sleep = options.sleep || RetryUtils.sleep;
+    // Last throttle status reported by Shopify, and when it was reported
+    this.throttleStatus = null;
+    this.throttleObservedAt = 0;
+    // requestedQueryCost of each operation, so the next call can wait for enough budget
+    this.queryCosts = new Map();
+    this.servedApiVersion = null;
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      throttled: 0,
+      throttleWaitMs: 0,
+      pointsUsed: 0
+    };
+  }
+
+  /**
+   * Resolve settings from options, falling back to the shopify config section
+   */
+  getSettings() {
+    if (this.settings) return this.settings;
+
+    const shopifyConfig = this.options.shopifyConfig || require('../config').getConfig().shopify || {};
+    const settings = { ...shopifyConfig, ...this.options };
+    const apiVersion = settings.apiVersion || DEFAULT_API_VERSION;
+    const shopDomain = settings.shopDomain ||
+      (settings.storeUrl ? settings.storeUrl.replace(/^https?:\/\//, '').replace(/\/.*$/, '') : null);
+    const baseUrl = settings.adminApiUrl
+      ? settings.adminApiUrl.replace(/\/+$/, '')
+      : (shopDomain ? `https://${shopDomain}` : null);
+
+    this.settings = {
+      apiVersion,
+      accessToken: settings.accessToken,
+      endpoint: baseUrl ? `${baseUrl}/admin/api/${apiVersion}/graphql.json` : null,
+      timeout: settings.timeout || 30000,
+      maxRetries: settings.maxRetries ?? settings.adminApiMaxRetries ?? 5,
+      baseDelay: settings.baseDelay ?? 1000,
+      maxDelay: settings.maxDelay ?? 30000
+    };
+    return this.settings;
+  }
+
+  isConfigured() {
+    const settings = this.getSettings();
+    return Boolean(settings.endpoint && settings.accessToken);
+  }
+
+  /**
+   * Convert a numeric REST ID to a GraphQL global ID (GIDs pass through)
+   */
+  static toGid(type, id) {
+    const value = String(id);
+    return value.startsWith('gid://') ? value : `gid://shopify/${type}/${value}`;
+  }
+
+  /**
+   * Run a GraphQL query or mutation
+   * @returns {Promise<Object>} The response's data
+   */
+  async request(query, variables = {}) {
+    const settings = this.getSettings();
+    if (!this.isConfigured()) {
+      throw new ShopifyApiError('Shopify Admin API is not configured (shop domain and access token required)', 'NOT_CONFIGURED');
+    }
+
+    const operationName = (query.match(/^\s*(?:query|mutation)\s+(\w+)/) || [])[1] || null;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForBudget(this.queryCosts.get(operationName) || DEFAULT_QUERY_COST);
+
+      const retry = async (delay, error) => {
+        if (attempt >= settings.maxRetries) {
+          throw error;
+        }
+        this.stats.retries++;
+        console.warn(`[ShopifyAdminClient] ${operationName || 'request'} failed (${error.message}), retrying in ${delay}ms`);
+        await this.sleep(delay);
+      };
+
+      let response;
+      try {
+        this.stats.requests++;
+        response = await axios.post(settings.endpoint, { query, variables, operationName }, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': settings.accessToken
+          },
+          timeout: settings.timeout,
+          validateStatus: () => true
+        });
+      } catch (error) {
+        if (!RetryUtils.isRetryableError(error, RetryUtils.DEFAULT_CONFIG)) {
+          throw error;
+        }
+        await retry(this.getBackoffDelay(attempt), error);
+        continue;
+      }
+
+      this.checkApiVersion(response.headers['x-shopify-api-version']);
+
+      if (response.status === 429) {
+        const retryAfter = parseFloat(response.headers['retry-after']);
+        await retry(Number.isFinite(retryAfter) ? retryAfter * 1000 : this.getBackoffDelay(attempt),
+          new ShopifyApiError('Shopify Admin API rate limit exceeded', 'THROTTLED', { status: 429 }));
+        continue;
+      }
+
+      if (response.status >= 500) {
+        await retry(this.getBackoffDelay(attempt),
+          new ShopifyApiError(`Shopify Admin API error: HTTP ${response.status}`, 'HTTP_ERROR', { status: response.status }));
+        continue;
+      }
+
+      const body = response.data || {};
+      if (response.status >= 300) {
+        const message = typeof body.errors === 'string' ? body.errors : `HTTP ${response.status}`;
+        throw new ShopifyApiError(`Shopify Admin API error: ${message}`, 'HTTP_ERROR', {
+          status: response.status,
+          errors: Array.isArray(body.errors) ? body.errors : [{ message }]
+        });
+      }
+
+      const cost = body.extensions?.cost;
+      if (cost) {
+        this.recordCost(operationName, cost);
+      }
+
+      const errors = Array.isArray(body.errors) ? body.errors : [];
+      if (errors.some(error => error.extensions?.code === 'THROTTLED')) {
+        this.stats.throttled++;
+        await retry(this.getThrottleDelay(cost),
+          new ShopifyApiError('Shopify Admin API query cost exceeds the available budget', 'THROTTLED', { errors }));
+        continue;
+      }
+
+      if (errors.length > 0) {
+        throw new ShopifyApiError(`Shopify GraphQL error: ${errors.map(error => error.message).join('; ')}`, 'GRAPHQL_ERROR', {
+          status: response.status,
+          errors
+        });
+      }
+
+      return body.data;
+    }
+  }
+
+  /**
+   * Run a mutation and return its payload, throwing on userErrors
+   */
+  async mutate(query, variables, field) {
+    const data = await this.request(query, variables);
+    const payload = data?.[field];
+    if (!payload) {
+      throw new ShopifyApiError(`Shopify returned no ${field} payload`, 'GRAPHQL_ERROR');
+    }
+    if (payload.userErrors?.length > 0) {
+      throw new ShopifyApiError(`${field} failed: ${payload.userErrors.map(error => error.message).join('; ')}`, 'USER_ERRORS', {
+        userErrors: payload.userErrors
+      });
+    }
+    return payload;
+  }
+
+  recordCost(operationName, cost) {
+    if (cost.throttleStatus) {
+      this.throttleStatus = cost.throttleStatus;
+      this.throttleObservedAt = Date.now();
+    }
+    if (operationName && cost.requestedQueryCost) {
+      this.queryCosts.set(operationName, cost.requestedQueryCost);
+    }
+    this.stats.pointsUsed += cost.actualQueryCost || 0;
+  }
+
+  /**
+   * Points available now, assuming the bucket kept refilling since the last response
+   */
+  getAvailablePoints() {
+    if (!this.throttleStatus) return Infinity;
+    const { maximumAvailable, currentlyAvailable, restoreRate } = this.throttleStatus;
+    const restored = ((Date.now() - this.throttleObservedAt) / 1000) * restoreRate;
+    return Math.min(maximumAvailable, currentlyAvailable + restored);
+  }
+
+  /**
+   * Wait until the bucket can afford a query of the given cost
+   */
+  async waitForBudget(cost) {
+    const available = this.getAvailablePoints();
+    if (available >= cost || !this.throttleStatus?.restoreRate) return;
+
+    const delay = Math.ceil(((cost - available) / this.throttleStatus.restoreRate) * 1000);
+    this.stats.throttleWaitMs += delay;
+    console.log(`[ShopifyAdminClient] Waiting ${delay}ms for ${cost} query cost points`);
+    await this.sleep(delay);
+  }
+
+  /**
+   * Time for the bucket to refill enough for a THROTTLED query
+   */
+  getThrottleDelay(cost) {
+    const status = cost?.throttleStatus;
+    if (!status?.restoreRate || !cost.requestedQueryCost) {
+      return this.getBackoffDelay(0);
+    }
+    const missing = Math.max(cost.requestedQueryCost - status.currentlyAvailable, 0);
+    return Math.ceil((missing / status.restoreRate) * 1000);
+  }
+
+  getBackoffDelay(attempt) {
+    const settings = this.getSettings();
+    return RetryUtils.calculateDelay(attempt, {
+      ...RetryUtils.DEFAULT_CONFIG,
+      baseDelay: settings.baseDelay,
+      maxDelay: settings.maxDelay
+    });
+  }
+
+  /**
+   * Shopify answers an unsupported version with the oldest supported one; warn once
+   */
+  checkApiVersion(servedVersion) {
+    if (!servedVersion || servedVersion === this.servedApiVersion) return;
+    this.servedApiVersion = servedVersion;
+    if (servedVersion !== this.getSettings().apiVersion) {
+      console.warn(`[ShopifyAdminClient] Requested Admin API ${this.getSettings().apiVersion} but Shopify served ${servedVersion}; update shopify.apiVersion`);
+    }
+  }
+
+  /**
+   * Create or update metafields on a resource
+   * @param {string} ownerId - GID of the owner, e.g. gid://shopify/Order/123
+   * @param {Array<Object>} metafields - { namespace, key, type, value }
+   */
+  async setMetafields(ownerId, metafields) {
+    const payload = await this.mutate(QUERIES.metafieldsSet, {
+      metafields: metafields.map(metafield => ({ ownerId, ...metafield }))
+    }, 'metafieldsSet');
+    return payload.metafields;
+  }
+
+  async getOrderMetafields(orderId, namespace = null, first = 50) {
+    const id = ShopifyAdminClient.toGid('Order', orderId);
+    const data = await this.request(QUERIES.orderMetafields, { id, namespace, first });
+    if (!data.order) {
+      throw new ShopifyApiError(`Order not found: ${id}`, 'NOT_FOUND');
+    }
+    return data.order.metafields.nodes;
+  }
+
+  /**
+   * Read an order's shipping address (MailingAddress), or null for orders that are not shipped
+   */
+  async getOrderShippingAddress(orderId) {
+    const id = ShopifyAdminClient.toGid('Order', orderId);
+    const data = await this.request(QUERIES.orderShippingAddress, { id });
+    if (!data.order) {
+      throw new ShopifyApiError(`Order not found: ${id}`, 'NOT_FOUND');
+    }
+    return data.order.shippingAddress || null;
+  }
+
+  /**
+   * Append a paragraph to an order's note, keeping what is already there
+   * @returns {Promise<Object>} { id, note }
+   */
+  async appendOrderNote(orderId, text) {
+    const id = ShopifyAdminClient.toGid('Order', orderId);
+    const data = await this.request(QUERIES.orderNote, { id });
+    if (!data.order) {
+      throw new ShopifyApiError(`Order not found: ${id}`, 'NOT_FOUND');
+    }
+
+    const note = data.order.note ? `${data.order.note}\n\n${text}` : text;
+    const payload = await this.mutate(QUERIES.orderUpdate, { input: { id, note } }, 'orderUpdate');
+    return payload.order;
+  }
+
+  async getFulfillmentOrders(orderId, first = 20) {
+    const id = ShopifyAdminClient.toGid('Order', orderId);
+    const data = await this.request(QUERIES.fulfillmentOrders, { id, first });
+    if (!data.order) {
+      throw new ShopifyApiError(`Order not found: ${id}`, 'NOT_FOUND');
+    }
+    return data.order.fulfillmentOrders.nodes;
+  }
+
+  /**
+   * @param {Object} fulfillment - FulfillmentInput: { lineItemsByFulfillmentOrder, trackingInfo, notifyCustomer }
+   */
+  async createFulfillment(fulfillment, message = null) {
+    const payload = await this.mutate(QUERIES.fulfillmentCreate, { fulfillment, message }, 'fulfillmentCreate');
+    return payload.fulfillment;
+  }
+
+  /**
+   * Upload a local file to Shopify Files: reserve a staged upload target, POST the
+   * file to it, then create the file from the staged resource URL
+   * @returns {Promise<Object>} { id, fileStatus, alt, url }
+   */
+  async uploadFile(filePath, { filename = path.basename(filePath), mimeType = 'application/octet-stream', alt = '' } = {}) {
+    const data = await fs.readFile(filePath);
+
+    const staged = await this.mutate(QUERIES.stagedUploadsCreate, {
+      input: [{
+        filename,
+        mimeType,
+        resource: 'FILE',
+        httpMethod: 'POST',
+        fileSize: String(data.length)
+      }]
+    }, 'stagedUploadsCreate');
+    const target = staged.stagedTargets[0];
+
+    // Signed form fields go first; the storage service expects the file last
+    const form = new FormData();
+    for (const { name, value } of target.parameters) {
+      form.append(name, value);
+    }
+    form.append('file', new Blob([data], { type: mimeType }), filename);
+
+    const upload = await axios.post(target.url, form, {
+      timeout: this.getSettings().timeout,
+      maxBodyLength: Infinity,
+      validateStatus: () => true
+    });
+    if (upload.status >= 300) {
+      throw new ShopifyApiError(`Staged upload of ${filename} failed: HTTP ${upload.status}`, 'UPLOAD_FAILED', {
+        status: upload.status
+      });
+    }
+
+    const created = await this.mutate(QUERIES.fileCreate, {
+      files: [{ originalSource: target.resourceUrl, contentType: 'FILE', alt }]
+    }, 'fileCreate');
+    return created.files[0];
+  }
+
+  getStats() {
+    const settings = this.getSettings();
+    return {
+      ...this.stats,
+      configured: this.isConfigured(),
+      apiVersion: settings.apiVersion,
+      servedApiVersion: this.servedApiVersion,
+      throttleStatus: this.throttleStatus
+    };
+  }
+}
+
+module.exports = new ShopifyAdminClient();
+module.exports.ShopifyAdminClient = ShopifyAdminClient;
+module.exports.ShopifyApiError = ShopifyApiError;
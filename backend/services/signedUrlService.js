@@ -0,0 +1,331 @@
+/**
+ * Signed URL Service
+ *
+ * Issues HMAC-signed, expiring links to generated map files, so a file can be
+ * downloaded without a customer session (e.g. by the print lab from a fulfilled
+ * order) while a guessed filename is useless on its own. Each link is bound to one
+ * file and to a scope:
+ * - preview: short-lived links to preview images (preview directories only)
+ * - print: longer-lived links to full-resolution print files and documents
+ *
+ * Links can be revoked one at a time (by link ID) or per file, which rejects every
+ * link issued for the file up to that moment. Revocations are persisted as a single
+ * JSON file and pruned once the links they cover would have expired anyway.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+class SignedUrlService {
+  /**
+   * Link scopes with their default and longest lifetimes (ms)
+   */
+  static SCOPES = {
+    preview: { ttl: 60 * 60 * 1000, maxTtl: 24 * 60 * 60 * 1000 },
+    print: { ttl: 7 * 24 * 60 * 60 * 1000, maxTtl: 30 * 24 * 60 * 60 * 1000 }
+  };
+
+  /**
+   * Directories under generated-maps that are never linked (withdrawn maps, metadata, purchase records)
+   */
+  static BLOCKED_DIRECTORIES = ['quarantine', 'metadata', 'recovery', 'order-records'];
+
+  constructor(options = {}) {
+    const appConfig = config.getConfig();
+    const fileAccessConfig = appConfig.fileAccess || {};
+
+    this.baseDir = path.resolve(options.baseDir || appConfig.storage.generatedMapsDir);
+    this.publicUrl = options.publicUrl !== undefined ? options.publicUrl : fileAccessConfig.publicUrl || null;
+    this.previewDirectories = options.previewDirectories || fileAccessConfig.previewDirectories || ['temporary'];
+    this.ttls = {
+      preview: options.previewTtl || fileAccessConfig.previewTtl || SignedUrlService.SCOPES.preview.ttl,
+      print: options.printTtl || fileAccessConfig.printTtl || SignedUrlService.SCOPES.print.ttl
+    };
+    this.revokedLinks = new Map(); // link ID -> expiry (ms)
+    this.revokedFiles = new Map(); // relative path -> { revokedAt, expiresAt } (ms)
+    this.persistenceFile = options.persistenceFile || fileAccessConfig.revocationsFile ||
+      path.join(__dirname, '..', 'jobs', 'signed-url-revocations.json');
+    this.persistChain = Promise.resolve();
+
+    // A dedicated secret can be rotated on its own; otherwise one is derived from the session secret
+    const secret = options.secret || fileAccessConfig.signingSecret;
+    this.signingKey = secret || crypto.createHmac('sha256', String(appConfig.session?.secret || ''))
+      .update('signed-file-urls')
+      .digest();
+
+    this.ready = this.initializeStorage();
+  }
+
+  async initializeStorage() {
+    try {
+      await fs.mkdir(path.dirname(this.persistenceFile), { recursive: true });
+      await this.loadRevocations();
+      await this.prune();
+    } catch (error) {
+      console.error('[SignedUrls] Storage initialization failed:', error);
+    }
+  }
+
+  /**
+   * Create a signed link to a generated file
+   * @param {string} filePath - Absolute path under generated-maps, or `<directory>/<filename>`
+   * @param {Object} options - { scope: 'preview' | 'print', expiresIn (ms), capped at the scope's maximum }
+   * @returns {Object} { url, path, id, scope, expiresAt } - url is absolute when a public URL is configured
+   * @throws {Error} With status 400 for files that cannot be linked or a scope that does not cover the file
+   */
+  createSignedUrl(filePath, { scope = 'preview', expiresIn = null, now = Date.now() } = {}) {
+    const relativePath = this.toRelativePath(filePath);
+    if (!SignedUrlService.SCOPES[scope]) {
+      throw this.createError(`Unknown link scope: ${scope}`);
+    }
+    if (!this.isAllowedInScope(relativePath, scope)) {
+      throw this.createError(`A ${scope} link cannot be issued for ${relativePath}`);
+    }
+
+    const lifetime = Math.min(expiresIn || this.ttls[scope], SignedUrlService.SCOPES[scope].maxTtl);
+    const payload = {
+      id: crypto.randomBytes(12).toString('base64url'),
+      scope,
+      iat: now,
+      exp: now + lifetime
+    };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const token = `${encoded}.${this.sign(relativePath, encoded)}`;
+    const urlPath = `/generated-maps/${relativePath.split('/').map(encodeURIComponent).join('/')}?token=${token}`;
+
+    return {
+      url: this.publicUrl ? `${this.publicUrl.replace(/\/$/, '')}${urlPath}` : urlPath,
+      path: urlPath,
+      id: payload.id,
+      scope,
+      expiresAt: new Date(payload.exp).toISOString()
+    };
+  }
+
+  /**
+   * Check a link's token against the file it was used for
+   * @returns {Promise<Object>} { valid: true, id, scope, expiresAt } or { valid: false, reason }
+   *   where reason is one of missing, malformed, signature, expired, revoked, scope
+   */
+  async verifyToken(filePath, token, now = Date.now()) {
+    await this.ready;
+
+    if (!token) {
+      return { valid: false, reason: 'missing' };
+    }
+
+    let relativePath;
+    try {
+      relativePath = this.toRelativePath(filePath);
+    } catch (error) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const [encoded, signature, extra] = String(token).split('.');
+    if (!encoded || !signature || extra !== undefined) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const expected = Buffer.from(this.sign(relativePath, encoded));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return { valid: false, reason: 'signature' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { valid: false, reason: 'malformed' };
+    }
+    if (!SignedUrlService.SCOPES[payload.scope] || !Number.isFinite(payload.iat) || !Number.isFinite(payload.exp)) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    if (now >= payload.exp) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    const fileRevocation = this.revokedFiles.get(relativePath);
+    if (this.revokedLinks.has(payload.id) || (fileRevocation && payload.iat <= fileRevocation.revokedAt)) {
+      return { valid: false, reason: 'revoked' };
+    }
+
+    // Checked again at use, so a preview link stops working if previews move out of its directory list
+    if (!this.isAllowedInScope(relativePath, payload.scope)) {
+      return { valid: false, reason: 'scope' };
+    }
+
+    return {
+      valid: true,
+      id: payload.id,
+      scope: payload.scope,
+      expiresAt: new Date(payload.exp).toISOString()
+    };
+  }
+
+  /**
+   * Revoke a single link
+   * @param {string} id - Link ID returned by createSignedUrl
+   * @param {string|number} expiresAt - When the link expires; the revocation is kept until then
+   */
+  async revokeLink(id, expiresAt = null, now = Date.now()) {
+    await this.ready;
+
+    const expiry = expiresAt ? new Date(expiresAt).getTime() : NaN;
+    this.revokedLinks.set(String(id), Number.isFinite(expiry) ? expiry : now + SignedUrlService.SCOPES.print.maxTtl);
+    await this.persist();
+
+    console.log('[SignedUrls] Link revoked:', { id });
+  }
+
+  /**
+   * Revoke every link issued for a file so far
+   * Links issued afterwards are valid again (e.g. a re-generated print file).
+   */
+  async revokeFile(filePath, now = Date.now()) {
+    await this.ready;
+
+    const relativePath = this.toRelativePath(filePath);
+    this.revokedFiles.set(relativePath, {
+      revokedAt: now,
+      expiresAt: now + SignedUrlService.SCOPES.print.maxTtl
+    });
+    await this.persist();
+
+    console.log('[SignedUrls] File links revoked:', { file: relativePath });
+  }
+
+  /**
+   * Absolute path of a file addressed as `<directory>/<filename>`
+   */
+  resolvePath(relativePath) {
+    return path.join(this.baseDir, this.toRelativePath(relativePath));
+  }
+
+  /**
+   * Normalize a file reference to `<directory>/<filename>` under generated-maps
+   * @throws {Error} With status 400 for paths outside generated-maps, nested paths and blocked directories
+   */
+  toRelativePath(filePath) {
+    const resolved = path.resolve(this.baseDir, String(filePath || ''));
+    const parts = path.relative(this.baseDir, resolved).split(path.sep);
+
+    if (parts.length !== 2 || parts[0] === '..' || !parts[1] ||
+        SignedUrlService.BLOCKED_DIRECTORIES.includes(parts[0])) {
+      throw this.createError(`Not a linkable generated file: ${filePath}`);
+    }
+
+    return parts.join('/');
+  }
+
+  /**
+   * Whether links can be issued for a file at all
+   */
+  isLinkable(filePath) {
+    try {
+      this.toRelativePath(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isAllowedInScope(relativePath, scope) {
+    return scope === 'print' || this.previewDirectories.includes(relativePath.split('/')[0]);
+  }
+
+  /**
+   * Signature over the file and the encoded payload, so a token cannot be moved to another file
+   */
+  sign(relativePath, encodedPayload) {
+    return crypto.createHmac('sha256', this.signingKey)
+      .update(`${relativePath}\n${encodedPayload}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Remove revocations for links that have expired anyway
+   */
+  async prune(now = Date.now()) {
+    let removed = 0;
+
+    for (const [id, expiresAt] of this.revokedLinks) {
+      if (expiresAt <= now) {
+        this.revokedLinks.delete(id);
+        removed++;
+      }
+    }
+    for (const [relativePath, revocation] of this.revokedFiles) {
+      if (revocation.expiresAt <= now) {
+        this.revokedFiles.delete(relativePath);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      await this.persist();
+      console.log('[SignedUrls] Pruned expired revocations:', removed);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Persist revocations atomically (temp file + rename)
+   */
+  persist() {
+    this.persistChain = this.persistChain
+      .then(async () => {
+        const data = {
+          links: Array.from(this.revokedLinks, ([id, expiresAt]) => ({ id, expiresAt })),
+          files: Array.from(this.revokedFiles, ([file, revocation]) => ({ file, ...revocation }))
+        };
+        const tempFile = `${this.persistenceFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.rename(tempFile, this.persistenceFile);
+      })
+      .catch(error => {
+        console.error('[SignedUrls] Revocation persistence failed:', error);
+      });
+
+    return this.persistChain;
+  }
+
+  /**
+   * Load revocations from disk
+   */
+  async loadRevocations() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.persistenceFile, 'utf8'));
+
+      for (const { id, expiresAt } of data.links || []) {
+        this.revokedLinks.set(id, expiresAt);
+      }
+      for (const { file, revokedAt, expiresAt } of data.files || []) {
+        this.revokedFiles.set(file, { revokedAt, expiresAt });
+      }
+
+      console.log('[SignedUrls] Loaded revocations:', {
+        links: this.revokedLinks.size,
+        files: this.revokedFiles.size
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[SignedUrls] Failed to load revocations:', error);
+      }
+    }
+  }
+
+  createError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+// Export singleton instance
+module.exports = new SignedUrlService();
+module.exports.SignedUrlService = SignedUrlService;
@@ -0,0 +1,557 @@
+/**
+ * SQLite Reader
+ * Minimal read-only reader for SQLite database files, enough to serve tiles from MBTiles
+ * without a native SQLite binding. Walks table and index b-trees directly:
+ *
+ * - getSchema()                              Tables, indexes and views from sqlite_master
+ * - scanTable(tableName)                     Async iterator over { rowid, values } in rowid order
+ *                                            (primary key order, with a null rowid, for WITHOUT ROWID tables)
+ * - getRow(tableName, rowid)                 Values of one row, or null
+ * - findRowid(indexName, keyValues)          Rowid of the first row whose indexed columns start with keyValues
+ * - findRowByKey(tableName, keyValues)       Values of the first row of a WITHOUT ROWID table whose
+ *                                            primary key starts with keyValues, or null
+ *
+ * Indexes SQLite creates for UNIQUE and PRIMARY KEY constraints (sqlite_autoindex_*) have no
+ * SQL in sqlite_master, so their columns are read from the constraints of the table.
+ *
+ * Only UTF-8 databases in rollback-journal mode (or with the WAL checkpointed) are read
+ * correctly; uncheckpointed WAL content is not visible. There is no SQL support.
+ */
+
+const fs = require('fs').promises;
+
+const SQLITE_MAGIC = 'SQLite format 3\u0000';
+const PAGE_CACHE_SIZE = 256;
+
+// B-tree page types
+const INTERIOR_INDEX = 2;
+const INTERIOR_TABLE = 5;
+const LEAF_INDEX = 10;
+const LEAF_TABLE = 13;
+
+class SQLiteReader {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.handle = null;
+    this.pageCache = new Map();
+    this.schema = null;
+  }
+
+  /**
+   * Open the file and read its schema
+   */
+  async open() {
+    if (this.handle) {
+      return this;
+    }
+
+    const handle = await fs.open(this.filePath, 'r');
+    try {
+      const header = Buffer.alloc(100);
+      await handle.read(header, 0, 100, 0);
+      if (header.toString('latin1', 0, 16) !== SQLITE_MAGIC) {
+        throw new Error(`Not an SQLite database: ${this.filePath}`);
+      }
+
+      const pageSize = header.readUInt16BE(16);
+      this.pageSize = pageSize === 1 ? 65536 : pageSize;
+      this.usableSize = this.pageSize - header[20];
+      const textEncoding = header.readUInt32BE(56);
+      if (textEncoding > 1) {
+        throw new Error(`Unsupported SQLite text encoding (${textEncoding}); only UTF-8 databases can be read`);
+      }
+
+      this.handle = handle;
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+
+    this.schema = await this.readSchema();
+    return this;
+  }
+
+  async close() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+    this.pageCache.clear();
+  }
+
+  getSchema() {
+    return this.schema;
+  }
+
+  /**
+   * Tables, indexes and views described by sqlite_master (rooted at page 1)
+   */
+  async readSchema() {
+    const schema = { tables: new Map(), indexes: new Map(), views: new Map() };
+
+    for await (const { values } of this.scanTree(1)) {
+      const [type, name, tableName, rootPage, sql] = values;
+      if (type === 'table') {
+        schema.tables.set(name, { name, rootPage, sql, ...parseTable(sql) });
+      } else if (type === 'index' && rootPage) {
+        schema.indexes.set(name, { name, tableName, rootPage, sql, columns: parseIndexColumns(sql) });
+      } else if (type === 'view') {
+        schema.views.set(name, { name, sql });
+      }
+    }
+
+    // sqlite_autoindex_<table>_<n> belongs to the n-th UNIQUE or PRIMARY KEY constraint of the table
+    for (const index of schema.indexes.values()) {
+      const autoindex = !index.sql && index.name.match(/^sqlite_autoindex_(.+)_(\d+)$/);
+      const table = autoindex && schema.tables.get(index.tableName);
+      if (table) {
+        index.columns = table.keyConstraints[parseInt(autoindex[2], 10) - 1] || [];
+      }
+    }
+
+    return schema;
+  }
+
+  getTable(tableName) {
+    const table = this.schema.tables.get(tableName);
+    if (!table) {
+      throw new Error(`Table not found: ${tableName}`);
+    }
+    return table;
+  }
+
+  /**
+   * Iterate every row of a table in rowid order
+   */
+  async *scanTable(tableName) {
+    const table = this.getTable(tableName);
+    for await (const row of this.scanTree(table.rootPage)) {
+      const values = table.withoutRowid ? this.fromKeyRecord(table, row.values) : this.withRowidAlias(table, row);
+      yield { rowid: row.rowid, values };
+    }
+  }
+
+  /**
+   * Values of the row with the given rowid, or null
+   */
+  async getRow(tableName, rowid) {
+    const table = this.getTable(tableName);
+    if (table.withoutRowid) {
+      throw new Error(`Table ${tableName} is WITHOUT ROWID; look its rows up by primary key`);
+    }
+    let pageNumber = table.rootPage;
+
+    for (;;) {
+      const page = await this.readBTreePage(pageNumber);
+
+      if (page.type === INTERIOR_TABLE) {
+        let next = page.rightChild;
+        for (const cellOffset of page.cells) {
+          const key = readVarint(page.data, cellOffset + 4).value;
+          if (rowid <= key) {
+            next = page.data.readUInt32BE(cellOffset);
+            break;
+          }
+        }
+        pageNumber = next;
+      } else if (page.type === LEAF_TABLE) {
+        for (const cellOffset of page.cells) {
+          const cell = await this.readTableLeafCell(page, cellOffset);
+          if (cell.rowid === rowid) {
+            return this.withRowidAlias(table, cell);
+          }
+        }
+        return null;
+      } else {
+        throw new Error(`Unexpected page type ${page.type} in table ${tableName}`);
+      }
+    }
+  }
+
+  /**
+   * Rowid of the first index entry whose leading columns equal keyValues, or null
+   */
+  async findRowid(indexName, keyValues) {
+    const index = this.schema.indexes.get(indexName);
+    if (!index) {
+      throw new Error(`Index not found: ${indexName}`);
+    }
+    if (this.schema.tables.get(index.tableName)?.withoutRowid) {
+      throw new Error(`Index ${indexName} is on WITHOUT ROWID table ${index.tableName}, which has no rowids`);
+    }
+
+    const record = await this.searchIndexTree(index.rootPage, keyValues, `index ${indexName}`);
+    return record ? record[record.length - 1] : null;
+  }
+
+  /**
+   * Values of the first row of a WITHOUT ROWID table whose primary key columns start with
+   * keyValues, or null. These tables are stored as an index b-tree keyed on the primary key.
+   */
+  async findRowByKey(tableName, keyValues) {
+    const table = this.getTable(tableName);
+    if (!table.withoutRowid) {
+      throw new Error(`Table ${tableName} has rowids; look its rows up with findRowid and getRow`);
+    }
+
+    const record = await this.searchIndexTree(table.rootPage, keyValues, `table ${tableName}`);
+    return record ? this.fromKeyRecord(table, record) : null;
+  }
+
+  /**
+   * First record of an index b-tree whose leading values equal keyValues, or null
+   */
+  async searchIndexTree(rootPage, keyValues, description) {
+    let pageNumber = rootPage;
+
+    for (;;) {
+      const page = await this.readBTreePage(pageNumber);
+      const interior = page.type === INTERIOR_INDEX;
+      if (!interior && page.type !== LEAF_INDEX) {
+        throw new Error(`Unexpected page type ${page.type} in ${description}`);
+      }
+
+      let next = interior ? page.rightChild : null;
+      for (const cellOffset of page.cells) {
+        const record = await this.readIndexCell(page, cellOffset, interior);
+        const comparison = compareKey(record, keyValues);
+        if (comparison === 0) {
+          // Duplicate keys can continue in the left subtree, but any match will do for unique keys
+          return record;
+        }
+        if (comparison > 0) {
+          next = interior ? page.data.readUInt32BE(cellOffset) : null;
+          break;
+        }
+      }
+
+      if (!next) {
+        return null;
+      }
+      pageNumber = next;
+    }
+  }
+
+  /**
+   * Walk a table b-tree, or the index b-tree of a WITHOUT ROWID table, in order
+   * Index b-trees have no rowids, and their interior cells hold entries too
+   */
+  async *scanTree(pageNumber) {
+    const page = await this.readBTreePage(pageNumber);
+
+    if (page.type === INTERIOR_TABLE) {
+      for (const cellOffset of page.cells) {
+        yield* this.scanTree(page.data.readUInt32BE(cellOffset));
+      }
+      yield* this.scanTree(page.rightChild);
+    } else if (page.type === LEAF_TABLE) {
+      for (const cellOffset of page.cells) {
+        yield await this.readTableLeafCell(page, cellOffset);
+      }
+    } else if (page.type === INTERIOR_INDEX) {
+      for (const cellOffset of page.cells) {
+        yield* this.scanTree(page.data.readUInt32BE(cellOffset));
+        yield { rowid: null, values: await this.readIndexCell(page, cellOffset, true) };
+      }
+      yield* this.scanTree(page.rightChild);
+    } else if (page.type === LEAF_INDEX) {
+      for (const cellOffset of page.cells) {
+        yield { rowid: null, values: await this.readIndexCell(page, cellOffset, false) };
+      }
+    } else {
+      throw new Error(`Unexpected page type ${page.type} while scanning page ${pageNumber}`);
+    }
+  }
+
+  async readTableLeafCell(page, cellOffset) {
+    const payloadSize = readVarint(page.data, cellOffset);
+    const rowid = readVarint(page.data, cellOffset + payloadSize.length);
+    const payload = await this.readPayload(page, cellOffset + payloadSize.length + rowid.length, payloadSize.value, true);
+    return { rowid: rowid.value, values: parseRecord(payload) };
+  }
+
+  async readIndexCell(page, cellOffset, interior) {
+    const start = interior ? cellOffset + 4 : cellOffset;
+    const payloadSize = readVarint(page.data, start);
+    const payload = await this.readPayload(page, start + payloadSize.length, payloadSize.value, false);
+    return parseRecord(payload);
+  }
+
+  /**
+   * Read a cell payload, following overflow pages when it doesn't fit on the page
+   */
+  async readPayload(page, offset, size, isTable) {
+    const usable = this.usableSize;
+    const maxLocal = isTable ? usable - 35 : Math.floor((usable - 12) * 64 / 255) - 23;
+
+    if (size <= maxLocal) {
+      return page.data.subarray(offset, offset + size);
+    }
+
+    const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+    const spill = minLocal + ((size - minLocal) % (usable - 4));
+    const localSize = spill <= maxLocal ? spill : minLocal;
+
+    const payload = Buffer.alloc(size);
+    page.data.copy(payload, 0, offset, offset + localSize);
+
+    let written = localSize;
+    let overflowPage = page.data.readUInt32BE(offset + localSize);
+    while (written < size && overflowPage) {
+      const data = await this.readPage(overflowPage);
+      const chunk = Math.min(usable - 4, size - written);
+      data.copy(payload, written, 4, 4 + chunk);
+      written += chunk;
+      overflowPage = data.readUInt32BE(0);
+    }
+
+    if (written < size) {
+      throw new Error('Truncated overflow chain in SQLite file');
+    }
+    return payload;
+  }
+
+  async readBTreePage(pageNumber) {
+    const data = await this.readPage(pageNumber);
+    const headerOffset = pageNumber === 1 ? 100 : 0;
+    const type = data[headerOffset];
+    const interior = type === INTERIOR_INDEX || type === INTERIOR_TABLE;
+    const cellCount = data.readUInt16BE(headerOffset + 3);
+    const pointerStart = headerOffset + (interior ? 12 : 8);
+
+    const cells = [];
+    for (let i = 0; i < cellCount; i++) {
+      cells.push(data.readUInt16BE(pointerStart + i * 2));
+    }
+
+    return {
+      type,
+      data,
+      cells,
+      rightChild: interior ? data.readUInt32BE(headerOffset + 8) : null
+    };
+  }
+
+  async readPage(pageNumber) {
+    if (!this.handle) {
+      throw new Error('SQLite reader is not open');
+    }
+
+    const cached = this.pageCache.get(pageNumber);
+    if (cached) {
+      this.pageCache.delete(pageNumber);
+      this.pageCache.set(pageNumber, cached);
+      return cached;
+    }
+
+    const data = Buffer.alloc(this.pageSize);
+    const { bytesRead } = await this.handle.read(data, 0, this.pageSize, (pageNumber - 1) * this.pageSize);
+    if (bytesRead < this.pageSize) {
+      throw new Error(`Page ${pageNumber} is beyond the end of ${this.filePath}`);
+    }
+
+    this.pageCache.set(pageNumber, data);
+    if (this.pageCache.size > PAGE_CACHE_SIZE) {
+      this.pageCache.delete(this.pageCache.keys().next().value);
+    }
+    return data;
+  }
+
+  /**
+   * INTEGER PRIMARY KEY columns are stored as NULL and read from the rowid
+   */
+  withRowidAlias(table, row) {
+    if (table.rowidAliasIndex === undefined) {
+      table.rowidAliasIndex = table.columns.findIndex(column => column.rowidAlias);
+    }
+    if (table.rowidAliasIndex >= 0) {
+      const values = row.values.slice();
+      values[table.rowidAliasIndex] = row.rowid;
+      return values;
+    }
+    return row.values;
+  }
+
+  /**
+   * WITHOUT ROWID records store the primary key columns first, then the rest in table order
+   */
+  fromKeyRecord(table, record) {
+    const values = new Array(table.columns.length).fill(null);
+    table.storageOrder.forEach((columnIndex, i) => {
+      values[columnIndex] = i < record.length ? record[i] : null;
+    });
+    return values;
+  }
+}
+
+/**
+ * Read a SQLite varint (1-9 bytes, big-endian)
+ */
+function readVarint(buffer, offset) {
+  let value = 0;
+  for (let i = 0; i < 8; i++) {
+    const byte = buffer[offset + i];
+    value = value * 128 + (byte & 0x7f);
+    if (byte < 0x80) {
+      return { value, length: i + 1 };
+    }
+  }
+  return { value: value * 256 + buffer[offset + 8], length: 9 };
+}
+
+/**
+ * Decode a record (header of serial types followed by the column values)
+ */
+function parseRecord(payload) {
+  const headerSize = readVarint(payload, 0);
+  const types = [];
+  let position = headerSize.length;
+  while (position < headerSize.value) {
+    const type = readVarint(payload, position);
+    types.push(type.value);
+    position += type.length;
+  }
+
+  const values = [];
+  let offset = headerSize.value;
+  for (const type of types) {
+    switch (type) {
+      case 0: values.push(null); break;
+      case 1: values.push(payload.readInt8(offset)); offset += 1; break;
+      case 2: values.push(payload.readInt16BE(offset)); offset += 2; break;
+      case 3: values.push(payload.readIntBE(offset, 3)); offset += 3; break;
+      case 4: values.push(payload.readInt32BE(offset)); offset += 4; break;
+      case 5: values.push(payload.readIntBE(offset, 6)); offset += 6; break;
+      case 6: values.push(Number(payload.readBigInt64BE(offset))); offset += 8; break;
+      case 7: values.push(payload.readDoubleBE(offset)); offset += 8; break;
+      case 8: values.push(0); break;
+      case 9: values.push(1); break;
+      default: {
+        if (type < 12) {
+          throw new Error(`Unsupported SQLite serial type ${type}`);
+        }
+        const length = Math.floor((type - 12) / 2);
+        const bytes = payload.subarray(offset, offset + length);
+        values.push(type % 2 === 0 ? Buffer.from(bytes) : bytes.toString('utf8'));
+        offset += length;
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * SQLite ordering: NULL < numbers < text < blobs
+ */
+function compareValues(a, b) {
+  const rank = value => value === null ? 0 : typeof value === 'number' ? 1 : typeof value === 'string' ? 2 : 3;
+  const rankDifference = rank(a) - rank(b);
+  if (rankDifference !== 0) {
+    return rankDifference;
+  }
+  if (Buffer.isBuffer(a)) {
+    return Buffer.compare(a, b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareKey(record, keyValues) {
+  for (let i = 0; i < keyValues.length; i++) {
+    const comparison = compareValues(record[i], keyValues[i]);
+    if (comparison !== 0) {
+      return comparison;
+    }
+  }
+  return 0;
+}
+
+function unquoteIdentifier(identifier) {
+  return identifier.replace(/^["`[]|["`\]]$/g, '');
+}
+
+/**
+ * Split the parenthesised list of a CREATE statement at top-level commas
+ */
+function splitDefinitions(sql) {
+  const start = sql.indexOf('(');
+  const end = sql.lastIndexOf(')');
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of sql.slice(start + 1, end)) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Columns, primary key and UNIQUE/PRIMARY KEY constraints of a CREATE TABLE statement
+ * keyConstraints lists the constraint columns in declaration order, which is the order SQLite
+ * numbers their autoindexes in; an INTEGER PRIMARY KEY is the rowid and has no index.
+ */
+function parseTable(sql) {
+  const table = { columns: [], primaryKey: [], keyConstraints: [], withoutRowid: false, storageOrder: [] };
+  if (!sql) return table;
+
+  table.withoutRowid = /\bwithout\s+rowid\b/i.test(sql.slice(sql.lastIndexOf(')') + 1));
+  const constraints = [];
+
+  for (const definition of splitDefinitions(sql)) {
+    const tableConstraint = definition.replace(/^constraint\s+\S+\s+/i, '').match(/^(primary\s+key|unique)\s*\(/i);
+    if (tableConstraint) {
+      constraints.push({ primary: /^primary/i.test(tableConstraint[1]), columns: parseIndexColumns(definition) });
+    } else if (!/^(constraint|primary|unique|check|foreign)\b/i.test(definition)) {
+      const name = unquoteIdentifier(definition.split(/\s+/)[0]);
+      table.columns.push({
+        name,
+        integer: /^\S+\s+integer\b/i.test(definition),
+        descending: /\bprimary\s+key\s+desc\b/i.test(definition)
+      });
+      for (const match of definition.matchAll(/\b(primary\s+key|unique)\b/gi)) {
+        constraints.push({ primary: /^primary/i.test(match[1]), columns: [name] });
+      }
+    }
+  }
+
+  const primary = constraints.find(constraint => constraint.primary);
+  table.primaryKey = primary ? primary.columns : [];
+
+  const aliasColumn = !table.withoutRowid && table.primaryKey.length === 1 &&
+    table.columns.find(column => column.name === table.primaryKey[0] && column.integer && !column.descending);
+  table.columns = table.columns.map(({ name }) => ({ name, rowidAlias: Boolean(aliasColumn) && name === aliasColumn.name }));
+
+  // SQLite skips a constraint whose columns match an earlier one
+  const seen = new Set();
+  for (const constraint of constraints) {
+    const key = constraint.columns.join(',');
+    if (!(constraint.primary && aliasColumn) && !seen.has(key)) {
+      seen.add(key);
+      table.keyConstraints.push(constraint.columns);
+    }
+  }
+
+  const keyPositions = table.primaryKey.map(name => table.columns.findIndex(column => column.name === name));
+  table.storageOrder = [
+    ...keyPositions,
+    ...table.columns.map((column, i) => i).filter(i => !keyPositions.includes(i))
+  ];
+
+  return table;
+}
+
+function parseIndexColumns(sql) {
+  if (!sql) return [];
+  return splitDefinitions(sql).map(definition => unquoteIdentifier(definition.split(/\s+/)[0]));
+}
+
+module.exports = SQLiteReader;
+module.exports.readVarint = readVarint;
+module.exports.parseRecord = parseRecord;
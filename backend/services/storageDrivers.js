@@ -0,0 +1,60 @@
+/**
+ * Storage Drivers
+ * Selects where generated files are kept: the local filesystem (default) or an
+ * S3-compatible bucket shared by several backend instances (STORAGE_DRIVER=s3)
+ *
+ * Every driver addresses files by storage type (permanent, temporary, processing,
+ * quarantine, metadata) and filename, and implements:
+ * - initialize(types)                           Prepare storage for each type
+ * - writeFile(type, name, data)                 Write a file atomically
+ * - readFile(type, name)                        Read a file into a Buffer
+ * - createReadStream(type, name, { start, end }) Stream a file or byte range
+ * - stat(type, name)                            { size, mtime }
+ * - exists(type, name)                          Whether a file exists
+ * - list(type)                                  [{ name, size, mtime }] for a type
+ * - move(fromType, name, toType, toName, { touch }) Move a file between types
+ * - importFile(localPath, type, name)           Move a local file (e.g. print output) into storage
+ * - delete(type, name)                          Delete a file
+ * - getFreeSpace(type)                          Free bytes, or null when unbounded/unknown
+ * - getLocation(type, name)                     Local path or s3:// URL, for logs and metadata
+ *
+ * Missing files are reported with FileNotFoundError, other failures with
+ * FileOperationError (see utils/fileErrors.js).
+ */
+
+const LocalStorageDriver = require('./localStorageDriver');
+const S3StorageDriver = require('./s3StorageDriver');
+
+/**
+ * Create the driver selected by the storage configuration
+ * @param {Object} storageConfig - config.storage ({ driver, generatedMapsDir, s3 })
+ */
+function createStorageDriver(storageConfig = {}) {
+  const driver = storageConfig.driver || 'local';
+
+  switch (driver) {
+    case 'local':
+      return new LocalStorageDriver({ baseDir: storageConfig.generatedMapsDir });
+
+    case 's3': {
+      const s3Config = storageConfig.s3 || {};
+      // Keys are optional (the SDK credential chain is used without them), but must come as a pair
+      const missing = ['bucket']
+        .concat(s3Config.accessKeyId || s3Config.secretAccessKey ? ['accessKeyId', 'secretAccessKey'] : [])
+        .filter(key => !s3Config[key]);
+      if (missing.length > 0) {
+        throw new Error(`S3 storage driver is missing configuration: ${missing.join(', ')}`);
+      }
+      return new S3StorageDriver(s3Config);
+    }
+
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStorageDriver,
+  LocalStorageDriver,
+  S3StorageDriver
+};
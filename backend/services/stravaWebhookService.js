@@ -0,0 +1,186 @@
+/**
+ * Strava Webhook Service
+ *
+ * Handles Strava push-subscription events so cached activity data follows
+ * changes on Strava instead of waiting for the next poll or cache expiry:
+ * - subscription validation (hub challenge)
+ * - activity create / update / delete: invalidate the athlete's cached activity
+ *   data and update their local activity index
+ * - athlete deauthorization: purge the athlete's stored tokens, cached data, index, settings and design drafts
+ *
+ * Strava does not sign events, so anyone who knows the callback URL can post one. Events
+ * are refused unless a subscription ID is configured and matches, and a deauthorization is
+ * confirmed with Strava (the athlete's stored refresh token must be rejected) before
+ * anything is purged. An athlete with no stored session can't be confirmed; their data is
+ * left in place and a warning is logged.
+ *
+ * The subscription itself is created once per app against the Strava push_subscriptions
+ * API, with STRAVA_WEBHOOK_VERIFY_TOKEN as verify_token and
+ * <backend>/api/strava/webhook as callback_url.
+ */
+
+const config = require('../config');
+
+class StravaWebhookService {
+  static OBJECT_TYPES = ['activity', 'athlete'];
+  static ASPECT_TYPES = ['create', 'update', 'delete'];
+
+  constructor(options = {}) {
+    const stravaConfig = config.getConfig().strava || {};
+
+    this.verifyToken = options.verifyToken !== undefined ? options.verifyToken : stravaConfig.webhookVerifyToken;
+    this.subscriptionId = options.subscriptionId !== undefined ? options.subscriptionId : stravaConfig.webhookSubscriptionId;
+
+    // Collaborators are resolved lazily so the service can be loaded without the session stack
+    this.dependencies = options.dependencies || null;
+  }
+
+  getDependencies() {
+    if (!this.dependencies) {
+      this.dependencies = {
+        cacheManager: require('./cacheManager'),
+        tokenManager: require('./tokenManager'),
+        crossDomainTokenStore: require('./crossDomainTokenStore'),
+        activityIndexService: require('./activityIndexService'),
+        userSettingsService: require('./userSettingsService'),
+        designDraftService: require('./designDraftService')
+      };
+    }
+    return this.dependencies;
+  }
+
+  /**
+   * Validate a subscription challenge (GET callback)
+   * @param {Object} query - Express req.query with hub.mode, hub.verify_token, hub.challenge
+   * @returns {Object} { valid, challenge, reason }
+   */
+  verifyChallenge(query = {}) {
+    const mode = query['hub.mode'];
+    const token = query['hub.verify_token'];
+    const challenge = query['hub.challenge'];
+
+    if (!this.verifyToken) {
+      return { valid: false, reason: 'Webhook verify token is not configured' };
+    }
+    if (mode !== 'subscribe' || !challenge) {
+      return { valid: false, reason: 'Invalid subscription request' };
+    }
+    if (token !== this.verifyToken) {
+      return { valid: false, reason: 'Verify token mismatch' };
+    }
+
+    return { valid: true, challenge };
+  }
+
+  /**
+   * Validate the shape of an event and its subscription
+   * @returns {string|null} Reason the event is rejected, or null when it is valid
+   */
+  validateEvent(event) {
+    if (!event || typeof event !== 'object') {
+      return 'Event body is missing';
+    }
+    if (!StravaWebhookService.OBJECT_TYPES.includes(event.object_type) ||
+        !StravaWebhookService.ASPECT_TYPES.includes(event.aspect_type)) {
+      return `Unsupported event: ${event.object_type}/${event.aspect_type}`;
+    }
+    if (!event.owner_id || !event.object_id) {
+      return 'Event is missing owner_id or object_id';
+    }
+    if (!this.subscriptionId) {
+      return 'Webhook subscription ID is not configured';
+    }
+    if (String(event.subscription_id) !== String(this.subscriptionId)) {
+      return 'Unknown subscription';
+    }
+    return null;
+  }
+
+  /**
+   * Process a push event (POST callback)
+   * @param {Object} event - Strava event body
+   * @returns {Promise<Object>} Outcome describing what was invalidated or purged
+   */
+  async handleEvent(event) {
+    const rejection = this.validateEvent(event);
+    if (rejection) {
+      const error = new Error(rejection);
+      error.status = 400;
+      throw error;
+    }
+
+    const athleteId = String(event.owner_id);
+    const updates = event.updates || {};
+
+    console.log('[StravaWebhook] Event received:', {
+      objectType: event.object_type,
+      aspectType: event.aspect_type,
+      objectId: event.object_id,
+      athleteId,
+      updates: Object.keys(updates)
+    });
+
+    if (event.object_type === 'athlete') {
+      // Deauthorization arrives as an athlete update with authorized: "false"
+      if (String(updates.authorized) === 'false') {
+        return this.handleDeauthorization(athleteId);
+      }
+      this.getDependencies().cacheManager.invalidateOnUserAction(athleteId, 'profile_updated');
+      return { action: 'athlete_updated', athleteId };
+    }
+
+    return this.handleActivityEvent(athleteId, event.aspect_type, event.object_id, updates);
+  }
+
+  /**
+   * Invalidate cached data and update the index for an activity change
+   */
+  async handleActivityEvent(athleteId, aspectType, activityId, updates) {
+    const { cacheManager, activityIndexService } = this.getDependencies();
+    const action = `activity_${aspectType === 'create' ? 'created' : `${aspectType}d`}`;
+
+    cacheManager.invalidateOnUserAction(athleteId, action, activityId);
+    const indexed = await activityIndexService.applyActivityEvent(athleteId, aspectType, activityId, updates);
+
+    return { action, athleteId, activityId: String(activityId), indexUpdated: indexed };
+  }
+
+  /**
+   * Purge everything held for an athlete who revoked access, once Strava confirms it
+   */
+  async handleDeauthorization(athleteId) {
+    const {
+      cacheManager, tokenManager, crossDomainTokenStore, activityIndexService, userSettingsService, designDraftService
+    } = this.getDependencies();
+
+    const authorization = await tokenManager.checkAthleteAuthorization(athleteId);
+    if (authorization === 'unavailable') {
+      // Fail so Strava retries the event once it can answer
+      throw new Error('Could not confirm deauthorization with Strava');
+    }
+    if (authorization !== 'revoked') {
+      console.warn('[StravaWebhook] Deauthorization not confirmed by Strava, nothing purged:', { athleteId, authorization });
+      return { action: 'deauthorization_unconfirmed', athleteId, authorization };
+    }
+
+    const sessionsPurged = await tokenManager.purgeAthleteTokens(athleteId);
+    const crossDomainTokensPurged = crossDomainTokenStore.removeAthleteTokens(athleteId);
+    cacheManager.invalidateOnUserAction(athleteId, 'athlete_deauthorized');
+    await activityIndexService.deleteIndex(athleteId);
+    await userSettingsService.deleteSettings(athleteId);
+    const draftsDeleted = await designDraftService.deleteAthleteDrafts(athleteId);
+
+    console.log('[StravaWebhook] Athlete deauthorized, data purged:', {
+      athleteId,
+      sessionsPurged,
+      crossDomainTokensPurged,
+      draftsDeleted
+    });
+
+    return { action: 'athlete_deauthorized', athleteId, sessionsPurged, crossDomainTokensPurged, draftsDeleted };
+  }
+}
+
+// Export singleton instance
+module.exports = new StravaWebhookService();
+module.exports.StravaWebhookService = StravaWebhookService;
@@ -0,0 +1,132 @@
+/**
+ * Stub Print Provider
+ * Local stand-in for a print lab, for development and tests. Orders are kept in memory
+ * and move through production and shipping on a timer (productionDelay, shippingDelay);
+ * shipped orders get a made-up tracking number. setOrderStatus() moves an order on by hand.
+ *
+ * Callbacks are unsigned JSON ({ providerOrderId, status, shipments }), so a status
+ * change can be posted with curl.
+ *
+ * Implements the print provider interface described in printProviders.js.
+ */
+
+const crypto = require('crypto');
+const { PrintProviderError } = require('../utils/printProviderErrors');
+
+class StubPrintProvider {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.productionDelay = options.productionDelay ?? 60 * 1000;
+    this.shippingDelay = options.shippingDelay ?? 5 * 60 * 1000;
+    this.now = options.now || Date.now;
+    this.orders = new Map();
+  }
+
+  async submitOrder(submission) {
+    const missing = ['reference', 'file', 'printSize', 'shippingAddress'].filter(key => !submission[key]);
+    if (missing.length > 0) {
+      throw new PrintProviderError(`Print order is missing: ${missing.join(', ')}`, 'INVALID_ORDER');
+    }
+
+    // Resubmitting a reference returns the existing order, like a lab's idempotency key
+    const existing = Array.from(this.orders.values()).find(order => order.submission.reference === submission.reference);
+    if (existing) {
+      return { providerOrderId: existing.id, status: this.getStatus(existing) };
+    }
+
+    const order = {
+      id: `stub_${crypto.randomBytes(6).toString('hex')}`,
+      submission,
+      submittedAt: this.now(),
+      status: null
+    };
+    this.orders.set(order.id, order);
+    console.log('[StubPrintProvider] Print order received:', {
+      providerOrderId: order.id,
+      reference: submission.reference,
+      printSize: submission.printSize,
+      paper: submission.paper
+    });
+
+    return { providerOrderId: order.id, status: 'submitted' };
+  }
+
+  async getOrderStatus(providerOrderId) {
+    const order = this.getOrder(providerOrderId);
+    const status = this.getStatus(order);
+
+    return {
+      providerOrderId,
+      status,
+      shipments: status === 'shipped' ? [this.getShipment(order)] : []
+    };
+  }
+
+  async cancelOrder(providerOrderId) {
+    const order = this.getOrder(providerOrderId);
+    if (this.getStatus(order) === 'shipped') {
+      throw new PrintProviderError(`Print order ${providerOrderId} has already shipped`, 'NOT_CANCELLABLE');
+    }
+
+    order.status = 'cancelled';
+    return { providerOrderId, status: 'cancelled' };
+  }
+
+  async parseCallback({ rawBody }) {
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      throw new PrintProviderError('Print lab callback is not valid JSON', 'INVALID_CALLBACK');
+    }
+
+    if (body.status) {
+      this.setOrderStatus(body.providerOrderId, body.status);
+    }
+    return this.getOrderStatus(body.providerOrderId);
+  }
+
+  /**
+   * Move an order to a status by hand (e.g. 'failed'), overriding the timer
+   */
+  setOrderStatus(providerOrderId, status) {
+    this.getOrder(providerOrderId).status = status;
+  }
+
+  getOrder(providerOrderId) {
+    const order = this.orders.get(providerOrderId);
+    if (!order) {
+      throw new PrintProviderError(`Print order not found: ${providerOrderId}`, 'ORDER_NOT_FOUND');
+    }
+    return order;
+  }
+
+  getStatus(order) {
+    if (order.status) return order.status;
+
+    const elapsed = this.now() - order.submittedAt;
+    if (elapsed >= this.productionDelay + this.shippingDelay) return 'shipped';
+    if (elapsed >= this.productionDelay) return 'in_production';
+    return 'submitted';
+  }
+
+  getShipment(order) {
+    const trackingNumber = `STUB${order.id.slice(-8).toUpperCase()}`;
+    return {
+      carrier: 'Stub Post',
+      trackingNumber,
+      trackingUrl: `https://tracking.example.com/${trackingNumber}`
+    };
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      productionDelay: this.productionDelay,
+      shippingDelay: this.shippingDelay,
+      orders: this.orders.size
+    };
+  }
+}
+
+module.exports = StubPrintProvider;
@@ -0,0 +1,79 @@
+/**
+ * Tile Sources
+ * Selects where the canvas fallback renderer gets its raster basemap tiles: the Mapbox
+ * raster tiles API (default), a local MBTiles file (TILE_SOURCE=mbtiles) or a local XYZ
+ * tile server (TILE_SOURCE=xyz). The local sources let print renders run fully offline,
+ * deterministically in CI, and during Mapbox outages.
+ *
+ * Every source addresses tiles by XYZ coordinates and implements:
+ * - name                          'mapbox', 'mbtiles' or 'xyz'
+ * - tileSize                      Pixel size of the tile images
+ * - minZoom / maxZoom             Zoom range the source has tiles for
+ * - open()                        Prepare the source (idempotent)
+ * - getTile({ z, x, y, style })   Tile image Buffer, or null when the source has no tile there
+ * - describe()                    Source details for logs and status, without credentials
+ * - close()                       Release files or connections
+ *
+ * `style` is the Mapbox style ID of the map being rendered; local sources serve one
+ * prerendered style and ignore it (an XYZ template may use it through {style}).
+ */
+
+const XyzTileSource = require('./xyzTileSource');
+const MBTilesTileSource = require('./mbtilesTileSource');
+
+const MAPBOX_TILES_URL = 'https://api.mapbox.com';
+
+/**
+ * Create the source selected by the tile source configuration
+ * @param {Object} tileSourceConfig - config.tileSource ({ driver, mbtilesPath, url, ... })
+ * @param {Object} options - { accessToken } for the Mapbox source
+ */
+function createTileSource(tileSourceConfig = {}, options = {}) {
+  const driver = tileSourceConfig.driver || 'mapbox';
+  const zoomRange = {
+    minZoom: tileSourceConfig.minZoom ?? undefined,
+    maxZoom: tileSourceConfig.maxZoom ?? undefined
+  };
+
+  switch (driver) {
+    case 'mapbox':
+      return new XyzTileSource({
+        name: 'mapbox',
+        url: `${tileSourceConfig.mapboxUrl || MAPBOX_TILES_URL}/styles/v1/mapbox/{style}/tiles/512/{z}/{x}/{y}@2x?access_token=${options.accessToken}`,
+        tileSize: 1024, // 512px tiles at @2x
+        timeout: tileSourceConfig.timeout,
+        ...zoomRange
+      });
+
+    case 'mbtiles':
+      if (!tileSourceConfig.mbtilesPath) {
+        throw new Error('MBTiles tile source is missing configuration: mbtilesPath');
+      }
+      return new MBTilesTileSource({
+        path: tileSourceConfig.mbtilesPath,
+        tileSize: tileSourceConfig.tileSize,
+        ...zoomRange
+      });
+
+    case 'xyz':
+      if (!tileSourceConfig.url) {
+        throw new Error('XYZ tile source is missing configuration: url');
+      }
+      return new XyzTileSource({
+        url: tileSourceConfig.url,
+        scheme: tileSourceConfig.scheme,
+        tileSize: tileSourceConfig.tileSize,
+        timeout: tileSourceConfig.timeout,
+        ...zoomRange
+      });
+
+    default:
+      throw new Error(`Unknown tile source: ${driver}`);
+  }
+}
+
+module.exports = {
+  createTileSource,
+  XyzTileSource,
+  MBTilesTileSource
+};
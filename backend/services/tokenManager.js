@@ -10,6 +10,16 @@ class TokenManager {
   constructor() {
     this.sessionTokenKey = 'encrypted_strava_tokens';
     this.sessionAuthKey = 'isAuthenticated';
+    this.sessionStore = null; // express-session store, used to purge tokens outside a request
+    this.revokedAthletes = new Map(); // athlete ID -> revocation time (seconds)
+  }
+
+  /**
+   * Register the session store so tokens can be purged without a request
+   * @param {Object} store - express-session store supporting all() and destroy()
+   */
+  setSessionStore(store) {
+    this.sessionStore = store;
   }
 
   /**
@@ -71,6 +81,14 @@ class TokenManager {
         return null;
       }
 
+      // Tokens issued before the athlete deauthorized the app are no longer valid
+      const revokedAt = this.revokedAthletes.get(String(decryptedTokens.athlete?.id));
+      if (revokedAt && (decryptedTokens.storedAt || 0) <= revokedAt) {
+        console.warn('Athlete deauthorized, clearing tokens from session');
+        this.clearTokens(req);
+        return null;
+      }
+
       return decryptedTokens;
     } catch (error) {
       console.error('Failed to retrieve tokens:', error);
@@ -181,6 +199,100 @@ class TokenManager {
     }
   }
 
+  /**
+   * Find the sessions in the registered store that hold an athlete's tokens
+   * @param {string|number} athleteId - Strava athlete ID
+   * @returns {Promise<Array>} [sessionId, session, tokens] for each matching session
+   */
+  async findAthleteSessions(athleteId) {
+    if (!this.sessionStore || typeof this.sessionStore.all !== 'function') {
+      return [];
+    }
+
+    const sessions = await new Promise((resolve, reject) => {
+      this.sessionStore.all((err, all) => (err ? reject(err) : resolve(all || {})));
+    });
+
+    const matching = [];
+    for (const [sessionId, session] of Object.entries(sessions)) {
+      if (!session?.[this.sessionTokenKey]) {
+        continue;
+      }
+      try {
+        const tokens = tokenService.decryptTokens(session[this.sessionTokenKey]);
+        if (String(tokens.athlete?.id) === String(athleteId)) {
+          matching.push([sessionId, session, tokens]);
+        }
+      } catch (error) {
+        // Sessions that can't be decrypted belong to no one we can identify
+      }
+    }
+    return matching;
+  }
+
+  /**
+   * Purge every stored token for an athlete (e.g. after Strava deauthorization)
+   * Sessions in the registered store are destroyed; any session the store can't
+   * enumerate has its tokens rejected and cleared on its next request.
+   * @param {string|number} athleteId - Strava athlete ID
+   * @returns {Promise<number>} Number of sessions destroyed
+   */
+  async purgeAthleteTokens(athleteId) {
+    this.revokedAthletes.set(String(athleteId), Math.floor(Date.now() / 1000));
+
+    const matching = await this.findAthleteSessions(athleteId);
+    for (const [sessionId] of matching) {
+      await new Promise(resolve => this.sessionStore.destroy(sessionId, () => resolve()));
+    }
+
+    console.log('Purged athlete tokens:', { athleteId, sessionsDestroyed: matching.length });
+    return matching.length;
+  }
+
+  /**
+   * Ask Strava whether an athlete has revoked the app
+   * Strava rejects the refresh token of a deauthorized athlete. A successful refresh means
+   * the athlete is still authorized; the new tokens are written back to their session,
+   * since Strava may rotate the refresh token.
+   * @param {string|number} athleteId - Strava athlete ID
+   * @returns {Promise<string>} 'revoked', 'authorized', 'no_token' when no stored session
+   *   holds a refresh token, or 'unavailable' when Strava could not answer
+   */
+  async checkAthleteAuthorization(athleteId) {
+    const stored = (await this.findAthleteSessions(athleteId)).find(([, , tokens]) => tokens.refreshToken);
+    if (!stored) {
+      return 'no_token';
+    }
+
+    const [sessionId, session, tokens] = stored;
+    let response;
+    try {
+      response = await this.requestTokenRefresh(tokens.refreshToken);
+    } catch (error) {
+      console.error('Authorization check failed:', { athleteId, error: error.message });
+      return 'unavailable';
+    }
+
+    if (response.status === 400 || response.status === 401) {
+      return 'revoked';
+    }
+    if (!response.ok) {
+      console.error('Authorization check failed:', { athleteId, status: response.status });
+      return 'unavailable';
+    }
+
+    const newTokenData = await response.json();
+    session[this.sessionTokenKey] = tokenService.encryptTokens({
+      ...tokens,
+      accessToken: newTokenData.access_token,
+      refreshToken: newTokenData.refresh_token,
+      expiresAt: newTokenData.expires_at,
+      updatedAt: Math.floor(Date.now() / 1000)
+    });
+    await new Promise(resolve => this.sessionStore.set(sessionId, session, () => resolve()));
+    return 'authorized';
+  }
+
   /**
    * Regenerate session for security
    * @param {Object} req - Express request object with session
@@ -258,17 +370,7 @@ class TokenManager {
     }
 
     try {
-      const config = require('../config').getConfig();
-      const response = await fetch('https://www.strava.com/oauth/token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          client_id: config.strava.clientId,
-          client_secret: config.strava.clientSecret,
-          refresh_token: tokens.refreshToken,
-          grant_type: 'refresh_token'
-        })
-      });
+      const response = await this.requestTokenRefresh(tokens.refreshToken);
 
       if (!response.ok) {
         console.error('Token refresh failed:', response.status);
@@ -290,6 +392,25 @@ class TokenManager {
     }
   }
 
+  /**
+   * Exchange a refresh token at the Strava token endpoint
+   * @param {string} refreshToken - Strava refresh token
+   * @returns {Promise<Response>} Raw fetch response
+   */
+  requestTokenRefresh(refreshToken) {
+    const config = require('../config').getConfig();
+    return fetch('https://www.strava.com/oauth/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client_id: config.strava.clientId,
+        client_secret: config.strava.clientSecret,
+        refresh_token: refreshToken,
+        grant_type: 'refresh_token'
+      })
+    });
+  }
+
   /**
    * Middleware factory for authentication checking
    * @param {Object} options - Options for auth middleware
@@ -0,0 +1,128 @@
+/**
+ * User Settings Service
+ *
+ * Stores per-athlete settings that must follow the athlete across sessions and
+ * devices, and that the server needs when rendering without a session (order
+ * fulfillment). Currently holds route privacy zones.
+ *
+ * Settings are keyed on Strava athlete ID and persisted as a single JSON file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const PrivacyZones = require('@print-my-ride/map-engines/privacy-zones');
+
+class UserSettingsService {
+  constructor(options = {}) {
+    const settingsConfig = config.getConfig().userSettings || {};
+
+    this.settings = new Map(); // athlete ID -> settings record
+    this.persistenceFile = options.persistenceFile || settingsConfig.persistenceFile ||
+      path.join(__dirname, '..', 'jobs', 'user-settings.json');
+    this.persistChain = Promise.resolve();
+
+    this.ready = this.initializeStorage();
+  }
+
+  async initializeStorage() {
+    try {
+      await fs.mkdir(path.dirname(this.persistenceFile), { recursive: true });
+      await this.loadSettings();
+    } catch (error) {
+      console.error('[UserSettings] Storage initialization failed:', error);
+    }
+  }
+
+  /**
+   * Get an athlete's privacy zone settings
+   * @param {string|number} athleteId - Strava athlete ID
+   * @returns {Promise<Object>} Normalized settings (empty when none are stored)
+   */
+  async getPrivacyZones(athleteId) {
+    await this.ready;
+
+    const record = athleteId ? this.settings.get(String(athleteId)) : null;
+    return record?.privacyZones || PrivacyZones.normalize({});
+  }
+
+  /**
+   * Replace an athlete's privacy zone settings
+   * @throws {Error} With status 400 when the settings are invalid
+   */
+  async updatePrivacyZones(athleteId, privacyZones) {
+    await this.ready;
+
+    const normalized = PrivacyZones.normalize(privacyZones);
+    const key = String(athleteId);
+    const record = this.settings.get(key) || { athleteId: key };
+
+    record.privacyZones = normalized;
+    record.updatedAt = new Date().toISOString();
+    this.settings.set(key, record);
+    await this.persist();
+
+    console.log('[UserSettings] Privacy zones updated:', {
+      athleteId: key,
+      zones: normalized.zones.length,
+      hideFirstMeters: normalized.hideFirstMeters,
+      hideLastMeters: normalized.hideLastMeters
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Remove everything stored for an athlete
+   */
+  async deleteSettings(athleteId) {
+    await this.ready;
+
+    const removed = this.settings.delete(String(athleteId));
+    if (removed) {
+      await this.persist();
+    }
+    return removed;
+  }
+
+  /**
+   * Persist settings atomically (temp file + rename)
+   */
+  persist() {
+    this.persistChain = this.persistChain
+      .then(async () => {
+        const data = { settings: Array.from(this.settings.values()) };
+        const tempFile = `${this.persistenceFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.rename(tempFile, this.persistenceFile);
+      })
+      .catch(error => {
+        console.error('[UserSettings] Settings persistence failed:', error);
+      });
+
+    return this.persistChain;
+  }
+
+  /**
+   * Load settings from disk
+   */
+  async loadSettings() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.persistenceFile, 'utf8'));
+
+      for (const record of data.settings || []) {
+        this.settings.set(String(record.athleteId), record);
+      }
+
+      console.log('[UserSettings] Loaded settings:', { athletes: this.settings.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[UserSettings] Failed to load settings:', error);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new UserSettingsService();
+module.exports.UserSettingsService = UserSettingsService;
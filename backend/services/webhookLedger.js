@@ -0,0 +1,461 @@
+/**
+ * Webhook Ledger
+ *
+ * Records processed Shopify webhook deliveries so retried or re-sent
+ * deliveries are acknowledged without regenerating maps, and keeps a
+ * per-order view of the topics seen so late or out-of-order webhooks
+ * (e.g. orders/paid arriving after orders/cancelled) can be reconciled.
+ * The order view also records cancellations, refunds and removed line items,
+ * which generation and fulfillment check before producing anything printable.
+ *
+ * Deliveries are keyed on X-Shopify-Webhook-Id. Topics that can only
+ * happen once per order are additionally keyed on order ID + topic, so a
+ * manually re-sent webhook with a new ID is still recognised.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+class WebhookLedger {
+  /**
+   * Topics that represent a one-off order transition
+   */
+  static ONCE_PER_ORDER_TOPICS = ['orders/create', 'orders/paid', 'orders/cancelled'];
+
+  /**
+   * Financial statuses that mean nothing should be printed for the order
+   */
+  static WITHDRAWN_FINANCIAL_STATUSES = ['refunded', 'voided'];
+
+  constructor(options = {}) {
+    const ledgerConfig = config.getConfig().webhookLedger || {};
+
+    this.deliveries = new Map(); // delivery key -> delivery record
+    this.orders = new Map(); // order ID -> order event state
+    this.persistenceFile = options.persistenceFile || ledgerConfig.persistenceFile ||
+      path.join(__dirname, '..', 'jobs', 'webhook-ledger.json');
+    this.retentionPeriod = options.retentionPeriod || ledgerConfig.retentionPeriod || 7 * 24 * 60 * 60 * 1000;
+    this.processingTimeout = options.processingTimeout || ledgerConfig.processingTimeout || 10 * 60 * 1000;
+    this.persistChain = Promise.resolve();
+
+    this.ready = this.initializeStorage();
+  }
+
+  async initializeStorage() {
+    try {
+      await fs.mkdir(path.dirname(this.persistenceFile), { recursive: true });
+      await this.loadLedger();
+      await this.prune();
+    } catch (error) {
+      console.error('[WebhookLedger] Storage initialization failed:', error);
+    }
+  }
+
+  /**
+   * Build the key a delivery is recorded under
+   */
+  static buildDeliveryKey(webhookId, topic, orderId, resourceId = null) {
+    if (webhookId) {
+      return `webhook_${webhookId}`;
+    }
+    // Topics such as refunds/create can occur several times per order
+    return resourceId ? `order_${orderId}_${topic}_${resourceId}` : `order_${orderId}_${topic}`;
+  }
+
+  /**
+   * Build the order-level key for topics that can only happen once per order
+   */
+  static buildOrderTopicKey(orderId, topic) {
+    if (!orderId || !WebhookLedger.ONCE_PER_ORDER_TOPICS.includes(topic)) {
+      return null;
+    }
+    return `order_${orderId}_${topic}`;
+  }
+
+  /**
+   * Claim a delivery for processing
+   * Returns { duplicate: true } when the delivery was already processed or is in flight
+   */
+  async beginDelivery({ webhookId, topic, orderId, resourceId, shopDomain }) {
+    await this.ready;
+
+    const key = WebhookLedger.buildDeliveryKey(webhookId, topic, orderId, resourceId);
+    const orderTopicKey = WebhookLedger.buildOrderTopicKey(orderId, topic);
+
+    // Check and claim without awaiting in between so concurrent retries can't both proceed
+    for (const candidate of [key, orderTopicKey]) {
+      const existing = candidate ? this.deliveries.get(candidate) : null;
+      if (existing && this.isActive(existing)) {
+        console.log('[WebhookLedger] Duplicate delivery:', {
+          webhookId,
+          topic,
+          orderId,
+          matchedKey: candidate,
+          originalStatus: existing.status
+        });
+        return { duplicate: true, key, original: existing };
+      }
+    }
+
+    const now = new Date().toISOString();
+    const previous = this.deliveries.get(key);
+    const record = {
+      key,
+      orderTopicKey,
+      webhookId: webhookId || null,
+      topic,
+      orderId,
+      shopDomain: shopDomain || null,
+      status: 'processing',
+      attempts: (previous?.attempts || 0) + 1,
+      receivedAt: previous?.receivedAt || now,
+      startedAt: now,
+      processedAt: null,
+      outcome: null,
+      error: null
+    };
+
+    this.deliveries.set(key, record);
+    if (orderTopicKey && orderTopicKey !== key) {
+      this.deliveries.set(orderTopicKey, record);
+    }
+    await this.persist();
+
+    return { duplicate: false, key, record };
+  }
+
+  /**
+   * Mark a delivery as processed
+   */
+  async completeDelivery(key, outcome = {}) {
+    const record = this.deliveries.get(key);
+    if (!record) {
+      return null;
+    }
+
+    record.status = 'processed';
+    record.processedAt = new Date().toISOString();
+    record.outcome = outcome;
+    record.error = null;
+    await this.persist();
+
+    return record;
+  }
+
+  /**
+   * Mark a delivery as failed so the next Shopify retry is processed again
+   */
+  async failDelivery(key, error) {
+    const record = this.deliveries.get(key);
+    if (!record) {
+      return null;
+    }
+
+    record.status = 'failed';
+    record.error = error?.message || String(error);
+    await this.persist();
+
+    return record;
+  }
+
+  /**
+   * A delivery blocks duplicates once processed, or while it is being processed
+   */
+  isActive(record) {
+    if (record.status === 'processed') {
+      return true;
+    }
+    if (record.status === 'processing') {
+      return Date.now() - new Date(record.startedAt).getTime() < this.processingTimeout;
+    }
+    return false;
+  }
+
+  /**
+   * Record an order webhook and return the reconciled order state
+   * `stale` is true when the payload is older than one already seen for this order
+   */
+  async recordOrderEvent(orderData, topic) {
+    await this.ready;
+
+    const state = this.getOrCreateOrderState(orderData.id, orderData.name);
+    const now = new Date().toISOString();
+
+    const payloadUpdatedAt = orderData.updated_at ? new Date(orderData.updated_at).getTime() : null;
+    const lastSeenUpdatedAt = state.lastOrderUpdatedAt ? new Date(state.lastOrderUpdatedAt).getTime() : null;
+    const stale = payloadUpdatedAt !== null && lastSeenUpdatedAt !== null && payloadUpdatedAt < lastSeenUpdatedAt;
+
+    this.recordTopic(state, topic);
+
+    if (!stale && orderData.updated_at) {
+      state.lastOrderUpdatedAt = orderData.updated_at;
+    }
+
+    // Cancellation is sticky - a stale payload without cancelled_at must not undo it
+    if (topic === 'orders/cancelled' || orderData.cancelled_at) {
+      state.cancelledAt = state.cancelledAt || orderData.cancelled_at || now;
+      state.cancelReason = state.cancelReason || orderData.cancel_reason || null;
+    }
+
+    if (!stale && orderData.financial_status) {
+      state.financialStatus = orderData.financial_status;
+    }
+
+    // Order edits can remove a line item entirely
+    for (const item of orderData.line_items || []) {
+      if (item.current_quantity === 0 && !state.removedLineItems.includes(String(item.id))) {
+        state.removedLineItems.push(String(item.id));
+      }
+    }
+
+    state.updatedAt = now;
+    await this.persist();
+
+    return { state, stale };
+  }
+
+  /**
+   * Record a refunds/create payload against its order
+   * Returns the line items that are now fully refunded
+   */
+  async recordRefund(refund) {
+    await this.ready;
+
+    const state = this.getOrCreateOrderState(refund.order_id);
+    const now = new Date().toISOString();
+
+    this.recordTopic(state, 'refunds/create');
+
+    // Redelivered refunds must not be counted twice
+    if (!state.refunds.some(r => String(r.refundId) === String(refund.id))) {
+      const refundLineItems = refund.refund_line_items || [];
+
+      for (const refundLineItem of refundLineItems) {
+        const lineItemId = String(refundLineItem.line_item_id);
+        state.refundedQuantities[lineItemId] = (state.refundedQuantities[lineItemId] || 0) + (refundLineItem.quantity || 0);
+        if (refundLineItem.line_item?.quantity) {
+          state.lineItemQuantities[lineItemId] = refundLineItem.line_item.quantity;
+        }
+      }
+
+      state.refunds.push({
+        refundId: refund.id,
+        lineItemIds: refundLineItems.map(item => String(item.line_item_id)),
+        note: refund.note || null,
+        createdAt: refund.created_at || now
+      });
+    }
+
+    state.updatedAt = now;
+    await this.persist();
+
+    const fullyRefunded = Object.keys(state.refundedQuantities)
+      .filter(lineItemId => this.isLineItemRefunded(state.orderId, lineItemId));
+
+    return { state, fullyRefunded };
+  }
+
+  /**
+   * Track when a topic was seen for an order
+   */
+  recordTopic(state, topic) {
+    const now = new Date().toISOString();
+    state.topics[topic] = {
+      firstSeenAt: state.topics[topic]?.firstSeenAt || now,
+      lastSeenAt: now,
+      count: (state.topics[topic]?.count || 0) + 1
+    };
+  }
+
+  /**
+   * Get the recorded state for an order, creating an empty one if needed
+   */
+  getOrCreateOrderState(orderId, orderName = null) {
+    const key = String(orderId);
+    let state = this.orders.get(key);
+
+    if (!state) {
+      state = {
+        orderId: key,
+        orderName,
+        topics: {},
+        cancelledAt: null,
+        cancelReason: null,
+        financialStatus: null,
+        lastOrderUpdatedAt: null,
+        refunds: [],
+        refundedQuantities: {},
+        lineItemQuantities: {},
+        removedLineItems: [],
+        updatedAt: new Date().toISOString()
+      };
+      this.orders.set(key, state);
+    }
+
+    state.orderName = state.orderName || orderName;
+    return state;
+  }
+
+  /**
+   * Get the recorded state for an order
+   */
+  getOrderState(orderId) {
+    return this.orders.get(String(orderId)) || null;
+  }
+
+  /**
+   * Check whether a cancellation has been recorded for an order
+   */
+  isOrderCancelled(orderId) {
+    return !!this.getOrderState(orderId)?.cancelledAt;
+  }
+
+  /**
+   * Check whether a line item has been refunded in full
+   * Without a known quantity any refund of the line item counts
+   */
+  isLineItemRefunded(orderId, lineItemId) {
+    const state = this.getOrderState(orderId);
+    const refunded = state?.refundedQuantities?.[String(lineItemId)];
+    if (!refunded) {
+      return false;
+    }
+
+    const quantity = state.lineItemQuantities?.[String(lineItemId)];
+    return !quantity || refunded >= quantity;
+  }
+
+  /**
+   * Explain why a map must not be generated or fulfilled for an order line item
+   * Returns null when nothing has withdrawn it
+   */
+  getWithdrawalReason(orderId, lineItemId = null) {
+    const state = this.getOrderState(orderId);
+    if (!state) {
+      return null;
+    }
+
+    if (state.cancelledAt) {
+      return `Order cancelled${state.cancelReason ? ` (${state.cancelReason})` : ''}`;
+    }
+    if (WebhookLedger.WITHDRAWN_FINANCIAL_STATUSES.includes(state.financialStatus)) {
+      return `Order ${state.financialStatus}`;
+    }
+    if (lineItemId && this.isLineItemRefunded(orderId, lineItemId)) {
+      return 'Line item refunded';
+    }
+    if (lineItemId && (state.removedLineItems || []).includes(String(lineItemId))) {
+      return 'Line item removed from order';
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove records older than the retention period
+   * Shopify stops retrying after 48 hours, so a week leaves a comfortable margin
+   */
+  async prune() {
+    const cutoff = Date.now() - this.retentionPeriod;
+    let removed = 0;
+
+    for (const [key, record] of this.deliveries) {
+      if (new Date(record.receivedAt).getTime() < cutoff) {
+        this.deliveries.delete(key);
+        if (key === record.key) {
+          removed++;
+        }
+      }
+    }
+
+    for (const [orderId, state] of this.orders) {
+      if (new Date(state.updatedAt).getTime() < cutoff) {
+        this.orders.delete(orderId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      await this.persist();
+      console.log('[WebhookLedger] Pruned expired records:', removed);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Persist the ledger atomically (temp file + rename)
+   */
+  persist() {
+    this.persistChain = this.persistChain
+      .then(async () => {
+        const data = {
+          deliveries: Array.from(new Set(this.deliveries.values())),
+          orders: Array.from(this.orders.values())
+        };
+        const tempFile = `${this.persistenceFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.rename(tempFile, this.persistenceFile);
+      })
+      .catch(error => {
+        console.error('[WebhookLedger] Ledger persistence failed:', error);
+      });
+
+    return this.persistChain;
+  }
+
+  /**
+   * Load the ledger from disk
+   */
+  async loadLedger() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.persistenceFile, 'utf8'));
+
+      // Records are stored once and indexed under both their delivery and order-topic keys
+      for (const record of data.deliveries || []) {
+        this.deliveries.set(record.key, record);
+        if (record.orderTopicKey) {
+          this.deliveries.set(record.orderTopicKey, record);
+        }
+      }
+      for (const state of data.orders || []) {
+        this.orders.set(String(state.orderId), {
+          refunds: [],
+          refundedQuantities: {},
+          lineItemQuantities: {},
+          removedLineItems: [],
+          ...state
+        });
+      }
+
+      console.log('[WebhookLedger] Loaded ledger:', {
+        deliveries: this.deliveries.size,
+        orders: this.orders.size
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[WebhookLedger] Failed to load ledger:', error);
+      }
+    }
+  }
+
+  /**
+   * Get ledger statistics
+   */
+  getStats() {
+    const records = Array.from(new Set(this.deliveries.values()));
+    return {
+      deliveries: records.length,
+      processed: records.filter(r => r.status === 'processed').length,
+      processing: records.filter(r => r.status === 'processing').length,
+      failed: records.filter(r => r.status === 'failed').length,
+      orders: this.orders.size,
+      cancelledOrders: Array.from(this.orders.values()).filter(o => o.cancelledAt).length
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookLedger();
+module.exports.WebhookLedger = WebhookLedger;
@@ -0,0 +1,83 @@
+/**
+ * XYZ Tile Source
+ * Fetches raster tiles over HTTP from a URL template, e.g. a local tile server
+ * (http://localhost:8080/styles/basic/{z}/{x}/{y}.png) or the Mapbox raster tiles API.
+ *
+ * Template placeholders: {z}, {x}, {y}, {-y} (TMS row) and {style} (the map's style ID).
+ * With scheme 'tms', {y} is the TMS row as well.
+ *
+ * Implements the tile source interface described in tileSources.js.
+ */
+
+const axios = require('axios');
+
+class XyzTileSource {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('XYZ tile source requires a URL template');
+    }
+
+    this.name = options.name || 'xyz';
+    this.url = options.url;
+    this.scheme = options.scheme || 'xyz';
+    this.tileSize = options.tileSize || 256;
+    this.minZoom = options.minZoom ?? 0;
+    this.maxZoom = options.maxZoom ?? 22;
+    this.timeout = options.timeout || 10000;
+    this.headers = options.headers || {};
+  }
+
+  async open() {
+    return this;
+  }
+
+  getTileUrl({ z, x, y, style = '' }) {
+    const tmsY = Math.pow(2, z) - 1 - y;
+    return this.url
+      .replace(/\{z\}/g, z)
+      .replace(/\{x\}/g, x)
+      .replace(/\{-y\}/g, tmsY)
+      .replace(/\{y\}/g, this.scheme === 'tms' ? tmsY : y)
+      .replace(/\{style\}/g, style);
+  }
+
+  /**
+   * Fetch a tile; null when the server has no tile there (404/204)
+   */
+  async getTile(tile) {
+    try {
+      const response = await axios.get(this.getTileUrl(tile), {
+        responseType: 'arraybuffer',
+        timeout: this.timeout,
+        headers: this.headers
+      });
+      if (response.status === 204 || response.data.byteLength === 0) {
+        return null;
+      }
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw new Error(`Tile ${tile.z}/${tile.x}/${tile.y} request to ${this.name} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Source details for logs and status, without credentials from the URL
+   */
+  describe() {
+    return {
+      name: this.name,
+      url: this.url.replace(/\?.*$/, ''),
+      scheme: this.scheme,
+      tileSize: this.tileSize,
+      minZoom: this.minZoom,
+      maxZoom: this.maxZoom
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = XyzTileSource;
@@ -0,0 +1,292 @@
+/**
+ * Activity Index Test Suite
+ *
+ * Validates the local per-athlete activity index: incremental backfill through
+ * the paginated activities API, refreshes, whole-history search and geographic
+ * filters. Strava is replaced by an in-memory history and each test uses its
+ * own index directory in a temporary directory.
+ *
+ * Test Categories:
+ * 1. Sync Tests
+ * 2. Search Tests
+ * 3. Geographic Filter Tests
+ * 4. Persistence Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const polyline = require('@mapbox/polyline');
+const { ActivityIndexService } = require('../services/activityIndexService');
+const { validateAndParseQuery } = require('../utils/activityFilters');
+
+const ATHLETE_ID = 4242;
+const DAY = 24 * 60 * 60;
+const FIRST_START = Date.UTC(2020, 0, 1) / 1000;
+
+// Routes around London (Thames) and Paris (Seine)
+const LONDON_ROUTE = polyline.encode([[51.5007, -0.1246], [51.5055, -0.0754], [51.5081, -0.0759]]);
+const PARIS_ROUTE = polyline.encode([[48.8584, 2.2945], [48.8606, 2.3376], [48.8530, 2.3499]]);
+
+let tempDir = null;
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+/**
+ * Build an athlete history, one activity per day, oldest first
+ */
+function buildHistory(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: index + 1,
+    name: index === 3 ? 'Etape du Tour' : `Ride ${index + 1}`,
+    type: index % 2 === 0 ? 'Ride' : 'Run',
+    start_date: new Date((FIRST_START + index * DAY) * 1000).toISOString(),
+    distance: 1000 * (index + 1),
+    moving_time: 600 * (index + 1),
+    total_elevation_gain: 10 * index,
+    map: { id: `a${index + 1}`, summary_polyline: index % 3 === 0 ? PARIS_ROUTE : LONDON_ROUTE }
+  }));
+}
+
+/**
+ * In-memory stand-in for GET /athlete/activities honouring before, after and paging
+ */
+function createStrava(history) {
+  const strava = { history, requests: [] };
+  strava.fetchPage = async (accessToken, params) => {
+    strava.requests.push(params.toString());
+    const start = activity => new Date(activity.start_date).getTime() / 1000;
+    const before = params.get('before') ? Number(params.get('before')) : Infinity;
+    const after = params.get('after') ? Number(params.get('after')) : null;
+    const page = Number(params.get('page'));
+    const perPage = Number(params.get('per_page'));
+
+    // Strava lists newest first, or oldest first when `after` is given
+    const matching = strava.history
+      .filter(activity => start(activity) < before && (after === null || start(activity) > after))
+      .sort((a, b) => (after === null ? start(b) - start(a) : start(a) - start(b)));
+    return matching.slice((page - 1) * perPage, page * perPage);
+  };
+  return strava;
+}
+
+function createIndex(name, strava, options = {}) {
+  return new ActivityIndexService({
+    directory: path.join(tempDir, name),
+    pageSize: 10,
+    pagesPerSync: 2,
+    fetchPage: strava.fetchPage,
+    geocode: async place => (place === 'Paris' ? [48.8566, 2.3522] : null),
+    ...options
+  });
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Activity Index Test Suite\n');
+  console.log('=' .repeat(60));
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'activity-index-test-'));
+
+  try {
+    // 1. Sync Tests
+    console.log('\n🔄 SYNC TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should backfill history incrementally within the page budget', async () => {
+      const strava = createStrava(buildHistory(45));
+      const index = createIndex('backfill', strava);
+
+      // Later syncs spend one page refreshing recent activities before backfilling
+      const first = await index.sync(ATHLETE_ID, 'token');
+      const second = await index.sync(ATHLETE_ID, 'token');
+      const third = await index.sync(ATHLETE_ID, 'token', { maxPages: 5 });
+
+      return first.activity_count === 20 && first.backfill_complete === false &&
+             second.activity_count === 30 &&
+             third.activity_count === 45 && third.backfill_complete === true;
+    });
+
+    await runAsyncTest('Should pick up new and edited activities on refresh', async () => {
+      const strava = createStrava(buildHistory(8));
+      const index = createIndex('refresh', strava);
+      await index.sync(ATHLETE_ID, 'token');
+
+      strava.history[7].name = 'Renamed ride';
+      strava.history.push(...buildHistory(9).slice(8));
+      const status = await index.sync(ATHLETE_ID, 'token');
+      const result = await index.search(ATHLETE_ID, validateAndParseQuery({ search_name: 'renamed' }));
+
+      return status.activity_count === 9 && result.total === 1 &&
+             strava.requests[strava.requests.length - 1].includes('after=');
+    });
+
+    await runAsyncTest('Should share one sync between concurrent callers', async () => {
+      const strava = createStrava(buildHistory(5));
+      const index = createIndex('concurrent', strava);
+      const [a, b] = await Promise.all([index.sync(ATHLETE_ID, 'token'), index.sync(ATHLETE_ID, 'token')]);
+      return strava.requests.length === 1 && a.activity_count === 5 && b.activity_count === 5;
+    });
+
+    await runAsyncTest('Should only sync stale indexes', async () => {
+      const strava = createStrava(buildHistory(5));
+      const index = createIndex('fresh', strava);
+      await index.ensureFresh(ATHLETE_ID, 'token');
+      await index.ensureFresh(ATHLETE_ID, 'token');
+      return strava.requests.length === 1;
+    });
+
+    // 2. Search Tests
+    console.log('\n🔎 SEARCH TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should find activities outside the most recent Strava page', async () => {
+      const strava = createStrava(buildHistory(45));
+      const index = createIndex('search', strava);
+      await index.sync(ATHLETE_ID, 'token', { maxPages: 10 });
+
+      const result = await index.search(ATHLETE_ID, validateAndParseQuery({ search_name: 'Etape' }));
+      return result.total === 1 && result.activities[0].id === 4 && result.indexed === 45;
+    });
+
+    await runAsyncTest('Should filter, sort and paginate the whole history', async () => {
+      const strava = createStrava(buildHistory(45));
+      const index = createIndex('paginate', strava);
+      await index.sync(ATHLETE_ID, 'token', { maxPages: 10 });
+
+      const params = validateAndParseQuery({
+        activity_types: 'Ride',
+        sort_by: 'distance',
+        sort_order: 'asc',
+        per_page: '5',
+        page: '2',
+        after: String(FIRST_START + 5 * DAY)
+      });
+      const result = await index.search(ATHLETE_ID, params);
+      return result.total === 20 &&
+             result.activities.length === 5 &&
+             result.activities.map(activity => activity.id).join(',') === '17,19,21,23,25';
+    });
+
+    // 3. Geographic Filter Tests
+    console.log('\n🗺️  GEOGRAPHIC FILTER TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should find activities passing through a bounding box', async () => {
+      const strava = createStrava(buildHistory(9));
+      const index = createIndex('bbox', strava);
+      await index.sync(ATHLETE_ID, 'token');
+
+      // Tower Bridge area: London routes only
+      const result = await index.search(ATHLETE_ID, validateAndParseQuery({ bbox: '-0.09,51.50,-0.07,51.51' }));
+      return result.total === 6 && result.activities.every(activity => activity.map.summary_polyline === LONDON_ROUTE);
+    });
+
+    await runAsyncTest('Should find activities near a point or named place', async () => {
+      const strava = createStrava(buildHistory(9));
+      const index = createIndex('near', strava);
+      await index.sync(ATHLETE_ID, 'token');
+
+      const near = await index.search(ATHLETE_ID, validateAndParseQuery({ near: '51.5007,-0.1246', radius: '500' }));
+      const place = await index.search(ATHLETE_ID, validateAndParseQuery({ place: 'Paris', radius: '2000' }));
+      let unknown = null;
+      try {
+        await index.search(ATHLETE_ID, validateAndParseQuery({ place: 'Atlantis' }));
+      } catch (error) {
+        unknown = error;
+      }
+
+      return near.total === 6 && place.total === 3 && place.location[0] === 48.8566 && unknown?.status === 404;
+    });
+
+    await runAsyncTest('Should reject invalid geographic parameters', async () => {
+      const invalid = [{ bbox: '1,2,3' }, { bbox: '0,60,1,50' }, { near: '95,0' }, { near: '51,0', radius: '-1' }];
+      return invalid.every(query => {
+        try {
+          validateAndParseQuery(query);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      });
+    });
+
+    // 4. Persistence Tests
+    console.log('\n💾 PERSISTENCE TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should reload the index and resume backfill from disk', async () => {
+      const strava = createStrava(buildHistory(25));
+      await createIndex('persist', strava).sync(ATHLETE_ID, 'token');
+
+      const restarted = createIndex('persist', strava);
+      const loaded = restarted.getStatus(await restarted.getIndex(ATHLETE_ID));
+      const resumed = await restarted.sync(ATHLETE_ID, 'token');
+
+      return loaded.activity_count === 20 && loaded.backfill_complete === false &&
+             resumed.activity_count === 25 && resumed.backfill_complete === true;
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
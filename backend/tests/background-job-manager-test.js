@@ -0,0 +1,538 @@
+/**
+ * Background Job Manager Test Suite
+ *
+ * Validates durability of the map generation queue without rendering maps.
+ * Each test uses its own queue file in a temporary directory and stubs
+ * executeJob so job outcomes can be controlled.
+ *
+ * Test Categories:
+ * 1. Idempotency Tests
+ * 2. Persistence Tests
+ * 3. Crash Recovery Tests
+ * 4. Retry and Dead Letter Tests
+ * 5. Lease Tests
+ * 6. Cancellation Tests
+ * 7. Concurrency Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { BackgroundJobManager } = require('../services/backgroundJobManager');
+
+let tempDir = null;
+const managers = [];
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+/**
+ * Create a manager backed by its own queue file
+ * executeJob defaults to writing a small file so completion can be verified
+ */
+async function createManager(name, options = {}, executeJob = null) {
+  const persistenceFile = options.persistenceFile || path.join(tempDir, `${name}.json`);
+  const manager = new BackgroundJobManager({
+    retryBackoff: 0,
+    leaseDuration: 1000,
+    heartbeatInterval: 200,
+    ...options,
+    persistenceFile
+  });
+
+  manager.executeJob = executeJob || (async (job) => {
+    const filePath = path.join(tempDir, `${job.id}.png`);
+    await fs.writeFile(filePath, 'poster');
+    return { filePath, fileName: path.basename(filePath) };
+  });
+
+  managers.push(manager);
+  await manager.ready;
+  return manager;
+}
+
+async function writeQueueFile(name, jobs) {
+  const persistenceFile = path.join(tempDir, `${name}.json`);
+  await fs.writeFile(persistenceFile, JSON.stringify(jobs, null, 2));
+  return persistenceFile;
+}
+
+function buildPersistedJob(overrides = {}) {
+  return {
+    id: `job_${Math.random().toString(36).substr(2, 9)}`,
+    type: 'order',
+    idempotencyKey: 'order_1001_line_2002',
+    orderId: 1001,
+    lineItemId: 2002,
+    status: 'processing',
+    createdAt: new Date().toISOString(),
+    retryCount: 0,
+    maxRetries: 2,
+    errorHistory: [],
+    lease: null,
+    ...overrides
+  };
+}
+
+async function waitForStatus(manager, jobId, statuses, timeout = 3000) {
+  const expected = Array.isArray(statuses) ? statuses : [statuses];
+  const started = Date.now();
+
+  while (Date.now() - started < timeout) {
+    const job = manager.getJob(jobId);
+    if (job && expected.includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  return manager.getJob(jobId);
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Background Job Manager Test Suite\n');
+  console.log('=' .repeat(60));
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-manager-test-'));
+
+  try {
+    // 1. Idempotency Tests
+    console.log('\n🔁 IDEMPOTENCY TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should build idempotency keys from order and line item', async () => {
+      return BackgroundJobManager.buildIdempotencyKey(1001, 2002) === 'order_1001_line_2002' &&
+             BackgroundJobManager.buildIdempotencyKey(1001, null) === null;
+    });
+
+    await runAsyncTest('Should return the existing job for a duplicate order line item', async () => {
+      const gate = deferred();
+      const manager = await createManager('idempotency', {}, async () => gate.promise);
+
+      const first = await manager.createJob({ type: 'order', orderId: 1001, lineItemId: 2002 });
+      const second = await manager.createJob({ type: 'order', orderId: 1001, lineItemId: 2002 });
+      gate.resolve({ filePath: '/nonexistent', fileName: 'x.png' });
+
+      return first.id === second.id && manager.getJobs().length === 1;
+    });
+
+    await runAsyncTest('Should not enqueue twice for concurrent duplicate requests', async () => {
+      const gate = deferred();
+      const manager = await createManager('idempotency-concurrent', {}, async () => gate.promise);
+
+      const [a, b] = await Promise.all([
+        manager.createJob({ type: 'order', orderId: 1, lineItemId: 2 }),
+        manager.createJob({ type: 'order', orderId: 1, lineItemId: 2 })
+      ]);
+      gate.resolve({ filePath: '/nonexistent', fileName: 'x.png' });
+
+      return a.id === b.id && manager.getJobs().length === 1;
+    });
+
+    await runAsyncTest('Should keep separate jobs for different line items', async () => {
+      const manager = await createManager('idempotency-lines');
+      manager.processQueue = () => {};
+
+      await manager.createJob({ type: 'order', orderId: 1001, lineItemId: 1 });
+      await manager.createJob({ type: 'order', orderId: 1001, lineItemId: 2 });
+
+      return manager.getJobsByOrderId(1001).length === 2;
+    });
+
+    // 2. Persistence Tests
+    console.log('\n💾 PERSISTENCE TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should persist jobs atomically without leaving temp files', async () => {
+      const manager = await createManager('persistence');
+      manager.processQueue = () => {};
+
+      const job = await manager.createJob({ type: 'order', orderId: 7, lineItemId: 8 });
+      const stored = JSON.parse(await fs.readFile(manager.persistenceFile, 'utf8'));
+      const leftovers = (await fs.readdir(tempDir)).filter(file => file.endsWith('.tmp'));
+
+      return stored.length === 1 && stored[0].id === job.id && leftovers.length === 0;
+    });
+
+    await runAsyncTest('Should move a corrupt queue file aside instead of discarding it', async () => {
+      const persistenceFile = path.join(tempDir, 'corrupt.json');
+      await fs.writeFile(persistenceFile, '{"truncated": ');
+
+      const manager = await createManager('corrupt', { persistenceFile });
+      const backups = (await fs.readdir(tempDir)).filter(file => file.startsWith('corrupt.json.corrupt-'));
+
+      return manager.getJobs().length === 0 && backups.length === 1;
+    });
+
+    // 3. Crash Recovery Tests
+    console.log('\n🩹 CRASH RECOVERY TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should re-queue processing jobs whose lease expired', async () => {
+      const orphan = buildPersistedJob({
+        lease: { owner: 'crashed-host:1234:abc', expiresAt: new Date(Date.now() - 1000).toISOString() }
+      });
+      await writeQueueFile('recovery-expired', [orphan]);
+
+      const gate = deferred();
+      const manager = await createManager('recovery-expired', {}, async () => gate.promise);
+      const job = manager.getJob(orphan.id);
+      const recovered = !!job.recoveredAt && job.retryCount === 1 && job.errorHistory.length === 1;
+      gate.resolve({ filePath: '/nonexistent', fileName: 'x.png' });
+
+      return recovered;
+    });
+
+    await runAsyncTest('Should re-queue legacy processing jobs without a lease', async () => {
+      const orphan = buildPersistedJob();
+      await writeQueueFile('recovery-legacy', [orphan]);
+
+      const manager = await createManager('recovery-legacy');
+      const job = await waitForStatus(manager, orphan.id, 'completed');
+
+      return job.status === 'completed' && job.recoveredAt !== undefined;
+    });
+
+    await runAsyncTest('Should leave jobs with a live lease held by another worker', async () => {
+      const active = buildPersistedJob({
+        lease: { owner: 'other-host:99:xyz', expiresAt: new Date(Date.now() + 60000).toISOString() }
+      });
+      await writeQueueFile('recovery-live', [active]);
+
+      const manager = await createManager('recovery-live');
+      const untouched = manager.getJob(active.id).status === 'processing';
+
+      // Once the lease runs out the sweep reclaims the job
+      manager.getJob(active.id).lease.expiresAt = new Date(Date.now() - 1).toISOString();
+      const recoveredCount = await manager.recoverOrphanedJobs();
+
+      return untouched && recoveredCount === 1;
+    });
+
+    await runAsyncTest('Should dead-letter jobs that keep crashing the worker', async () => {
+      const poison = buildPersistedJob({ retryCount: 2, maxRetries: 2 });
+      await writeQueueFile('recovery-poison', [poison]);
+
+      const manager = await createManager('recovery-poison');
+      const job = manager.getJob(poison.id);
+
+      return job.status === 'dead_letter' && !!job.deadLetteredAt;
+    });
+
+    // 4. Retry and Dead Letter Tests
+    console.log('\n☠️  RETRY AND DEAD LETTER TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should complete successful jobs and release the lease', async () => {
+      const manager = await createManager('success');
+      const job = await manager.createJob({ type: 'order', orderId: 11, lineItemId: 12 });
+      const finished = await waitForStatus(manager, job.id, 'completed');
+
+      return finished.status === 'completed' && finished.lease === null && !!finished.fileName;
+    });
+
+    await runAsyncTest('Should schedule retries with exponential backoff', async () => {
+      const manager = await createManager('backoff', { retryBackoff: 60000 }, async () => {
+        throw new Error('Mapbox unavailable');
+      });
+      const job = await manager.createJob({ type: 'order', orderId: 21, lineItemId: 22 });
+      await waitForStatus(manager, job.id, 'pending');
+
+      const retried = manager.getJob(job.id);
+      const delay = new Date(retried.nextAttemptAt).getTime() - Date.now();
+
+      return retried.status === 'pending' &&
+             retried.retryCount === 1 &&
+             retried.error === 'Mapbox unavailable' &&
+             delay > 50000 && delay <= 60000;
+    });
+
+    await runAsyncTest('Should move jobs to dead letter after retries are exhausted', async () => {
+      const manager = await createManager('dead-letter', { maxRetries: 1 }, async () => {
+        throw new Error('Render crashed');
+      });
+
+      let deadLettered = null;
+      manager.on('jobDeadLettered', job => { deadLettered = job; });
+
+      const job = await manager.createJob({ type: 'order', orderId: 31, lineItemId: 32 });
+      const finished = await waitForStatus(manager, job.id, 'dead_letter', 5000);
+
+      return finished.status === 'dead_letter' &&
+             finished.errorHistory.length === 2 &&
+             deadLettered?.id === job.id &&
+             manager.getStats().deadLetter === 1;
+    });
+
+    await runAsyncTest('Should abort a timed-out render and wait for it before retrying', async () => {
+      let attempts = 0;
+      let running = 0;
+      let maxRunning = 0;
+      let firstAborted = false;
+
+      const manager = await createManager('timeout-abort', { jobTimeout: 50 }, async (job, { signal }) => {
+        attempts++;
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        try {
+          if (attempts === 1) {
+            // Like a pooled render: it stops when aborted, after closing its page
+            await new Promise((_, reject) => signal.addEventListener('abort', () => {
+              firstAborted = true;
+              setTimeout(() => reject(signal.reason), 150);
+            }));
+          }
+          const filePath = path.join(tempDir, `${job.id}.png`);
+          await fs.writeFile(filePath, 'poster');
+          return { filePath, fileName: path.basename(filePath) };
+        } finally {
+          running--;
+        }
+      });
+
+      const job = await manager.createJob({ type: 'order', orderId: 35, lineItemId: 36 });
+      const finished = await waitForStatus(manager, job.id, 'completed', 5000);
+
+      return finished.status === 'completed' && attempts === 2 && firstAborted && maxRunning === 1 &&
+             finished.errorHistory[0].error === 'Job timeout exceeded';
+    });
+
+    await runAsyncTest('Should re-queue dead-lettered jobs with a fresh retry budget', async () => {
+      let attempts = 0;
+      const manager = await createManager('requeue', { maxRetries: 0 }, async (job) => {
+        attempts++;
+        if (attempts === 1) {
+          throw new Error('Transient failure');
+        }
+        const filePath = path.join(tempDir, `${job.id}.png`);
+        await fs.writeFile(filePath, 'poster');
+        return { filePath, fileName: path.basename(filePath) };
+      });
+
+      const job = await manager.createJob({ type: 'order', orderId: 41, lineItemId: 42 });
+      await waitForStatus(manager, job.id, 'dead_letter');
+      await manager.requeueJob(job.id);
+      const finished = await waitForStatus(manager, job.id, 'completed');
+
+      return finished.status === 'completed' && attempts === 2;
+    });
+
+    await runAsyncTest('Should refuse to re-queue jobs that are not dead-lettered', async () => {
+      const manager = await createManager('requeue-guard');
+      manager.processQueue = () => {};
+      const job = await manager.createJob({ type: 'order', orderId: 51, lineItemId: 52 });
+
+      return (await manager.requeueJob(job.id)) === null;
+    });
+
+    // 5. Lease Tests
+    console.log('\n🔒 LEASE TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should extend the lease with heartbeats while processing', async () => {
+      const gate = deferred();
+      const manager = await createManager('heartbeat', { leaseDuration: 500, heartbeatInterval: 50 }, async () => gate.promise);
+
+      const job = await manager.createJob({ type: 'order', orderId: 61, lineItemId: 62 });
+      await waitForStatus(manager, job.id, 'processing');
+      const initialExpiry = manager.getJob(job.id).lease.expiresAt;
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const extendedExpiry = manager.getJob(job.id).lease.expiresAt;
+      gate.resolve({ filePath: '/nonexistent', fileName: 'x.png' });
+
+      return new Date(extendedExpiry) > new Date(initialExpiry);
+    });
+
+    await runAsyncTest('Should discard results when the lease was lost during processing', async () => {
+      const gate = deferred();
+      const manager = await createManager('lease-lost', {}, async () => gate.promise);
+
+      const job = await manager.createJob({ type: 'order', orderId: 71, lineItemId: 72 });
+      await waitForStatus(manager, job.id, 'processing');
+
+      // Another worker reclaimed the job
+      manager.getJob(job.id).lease.owner = 'other-host:1:zzz';
+      gate.resolve({ filePath: '/nonexistent', fileName: 'x.png' });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return manager.getJob(job.id).status === 'processing';
+    });
+
+    await runAsyncTest('Should release leases on shutdown', async () => {
+      const gate = deferred();
+      const manager = await createManager('shutdown', {}, async () => gate.promise);
+
+      const job = await manager.createJob({ type: 'order', orderId: 81, lineItemId: 82 });
+      await waitForStatus(manager, job.id, 'processing');
+      await manager.shutdown();
+      gate.resolve({ filePath: '/nonexistent', fileName: 'x.png' });
+
+      const stored = JSON.parse(await fs.readFile(manager.persistenceFile, 'utf8'));
+      return stored[0].status === 'pending' && stored[0].lease === null;
+    });
+
+    // 6. Cancellation Tests
+    console.log('\n🚫 CANCELLATION TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should cancel pending jobs for an order', async () => {
+      const manager = await createManager('cancel-pending');
+      manager.processQueue = () => {};
+
+      await manager.createJob({ type: 'order', orderId: 91, lineItemId: 1 });
+      await manager.createJob({ type: 'order', orderId: 91, lineItemId: 2 });
+      await manager.createJob({ type: 'order', orderId: 92, lineItemId: 1 });
+
+      const cancelled = await manager.cancelJobsForOrder(91, 'Order cancelled (customer)');
+
+      return cancelled.length === 2 &&
+             cancelled.every(job => job.status === 'cancelled' && job.cancelReason === 'Order cancelled (customer)') &&
+             manager.getJobsByOrderId(92)[0].status === 'pending' &&
+             manager.getStats().cancelled === 2;
+    });
+
+    await runAsyncTest('Should discard the result of a job cancelled while processing', async () => {
+      const gate = deferred();
+      const manager = await createManager('cancel-processing', {}, async () => gate.promise);
+
+      const job = await manager.createJob({ type: 'order', orderId: 93, lineItemId: 1 });
+      await waitForStatus(manager, job.id, 'processing');
+      await manager.cancelJob(job.id, 'Order cancelled');
+
+      const filePath = path.join(tempDir, 'cancelled.png');
+      await fs.writeFile(filePath, 'poster');
+      gate.resolve({ filePath, fileName: 'cancelled.png' });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const finished = manager.getJob(job.id);
+      return finished.status === 'cancelled' && finished.filePath === null;
+    });
+
+    await runAsyncTest('Should not re-create a job for a cancelled order line item', async () => {
+      const manager = await createManager('cancel-idempotent');
+      manager.processQueue = () => {};
+
+      const job = await manager.createJob({ type: 'order', orderId: 95, lineItemId: 1 });
+      await manager.cancelJob(job.id, 'Order cancelled');
+      const again = await manager.createJob({ type: 'order', orderId: 95, lineItemId: 1 });
+
+      return again.id === job.id && again.status === 'cancelled';
+    });
+
+    // 7. Concurrency Tests
+    console.log('\n🧵 CONCURRENCY TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should size concurrency to the render pool by default', async () => {
+      const { maxBrowsers, pagesPerBrowser } = config.getConfig().renderPool;
+      const manager = await createManager('concurrency-default');
+      const overridden = await createManager('concurrency-override', { maxConcurrentJobs: 5 });
+
+      return manager.maxConcurrentJobs === maxBrowsers * pagesPerBrowser &&
+             overridden.maxConcurrentJobs === 5;
+    });
+
+    await runAsyncTest('Should render several order jobs at once up to the limit', async () => {
+      const gate = deferred();
+      let active = 0;
+      let peak = 0;
+      const manager = await createManager('concurrency-orders', { maxConcurrentJobs: 3 }, async (job) => {
+        active++;
+        peak = Math.max(peak, active);
+        await gate.promise;
+        active--;
+
+        const filePath = path.join(tempDir, `${job.id}.png`);
+        await fs.writeFile(filePath, 'poster');
+        return { filePath, fileName: path.basename(filePath) };
+      });
+
+      const jobs = [];
+      for (let lineItemId = 1; lineItemId <= 4; lineItemId++) {
+        jobs.push(await manager.createJob({ type: 'order', orderId: 101, lineItemId }));
+      }
+      await Promise.all(jobs.slice(0, 3).map(job => waitForStatus(manager, job.id, 'processing')));
+      const waiting = manager.getJob(jobs[3].id).status;
+
+      gate.resolve();
+      const finished = await Promise.all(jobs.map(job => waitForStatus(manager, job.id, 'completed')));
+
+      return peak === 3 &&
+             waiting === 'pending' &&
+             finished.every(job => job.status === 'completed');
+    });
+  } finally {
+    for (const manager of managers) {
+      await manager.shutdown();
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
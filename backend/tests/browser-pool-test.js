@@ -0,0 +1,438 @@
+/**
+ * Browser Pool Test Suite
+ *
+ * Validates the render pool used by MapService for concurrent map rendering: bounded
+ * concurrency, memory-aware admission, per-render timeouts, health checks, recycling,
+ * queue limits and metrics reporting. The pool runs against fake browsers (connection
+ * state, incognito contexts and pages) so no Chrome install is needed.
+ *
+ * Test Categories:
+ * 1. Admission Tests
+ * 2. Failure Handling Tests
+ * 3. Lifecycle Tests
+ * 4. Integration Tests
+ */
+
+const EventEmitter = require('events');
+const BrowserPool = require('../services/browserPool');
+const { MapService } = require('../services/mapService');
+const performanceMonitor = require('../services/performanceMonitor');
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fake Puppeteer browser: incognito contexts with pages, connection state and 'disconnected'
+ */
+function createFakeBrowser(id) {
+  const browser = new EventEmitter();
+  let connected = true;
+
+  browser.id = id;
+  browser.healthy = true;
+  browser.openContexts = 0;
+  browser.failNextContexts = 0;
+  browser.isConnected = () => connected;
+  browser.pages = async () => [];
+  browser.createIncognitoBrowserContext = async () => {
+    if (browser.failNextContexts > 0) {
+      browser.failNextContexts--;
+      throw new Error('Target closed');
+    }
+    browser.openContexts++;
+    const context = {
+      closed: false,
+      newPage: async () => ({ browserId: id, context }),
+      close: async () => {
+        if (!context.closed) {
+          context.closed = true;
+          browser.openContexts--;
+        }
+      }
+    };
+    return context;
+  };
+  browser.close = async () => {
+    if (connected) {
+      connected = false;
+      browser.emit('disconnected');
+    }
+  };
+  browser.crash = () => browser.close();
+
+  return browser;
+}
+
+/**
+ * Pool over fake browsers; `launched` lists every browser it started
+ */
+function createPool(options = {}) {
+  const launched = [];
+  const healthChecks = [];
+  const pool = new BrowserPool({
+    maxBrowsers: 1,
+    pagesPerBrowser: 1,
+    memoryBudgetMB: 10000,
+    renderTimeout: 2000,
+    queueTimeout: 2000,
+    launchBrowser: async () => {
+      const browser = createFakeBrowser(launched.length + 1);
+      launched.push(browser);
+      return browser;
+    },
+    verifyHealth: async browser => {
+      healthChecks.push(browser.id);
+      return browser.healthy;
+    },
+    ...options
+  });
+  return { pool, launched, healthChecks };
+}
+
+async function runTestSuite() {
+  console.log('🧪 Starting Browser Pool Test Suite');
+  console.log('='.repeat(60));
+
+  const pools = [];
+  const track = created => {
+    pools.push(created.pool);
+    return created;
+  };
+
+  try {
+    console.log('\n📥 1. ADMISSION TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Concurrent renders are bounded by browsers and pages per browser', async () => {
+      const { pool, launched } = track(createPool({ maxBrowsers: 2, pagesPerBrowser: 2 }));
+      let running = 0;
+      let peak = 0;
+
+      const results = await Promise.all([1, 2, 3, 4, 5, 6].map(n => pool.run(async page => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(30);
+        running--;
+        return `${n}@${page.browserId}`;
+      })));
+
+      const usedBrowsers = new Set(results.map(result => result.split('@')[1]));
+      return peak === 4 && launched.length === 2 && usedBrowsers.size === 2 && results.length === 6 &&
+             launched.every(browser => browser.openContexts === 0) &&
+             pool.getMetrics().totals.succeeded === 6 && pool.activeRenders === 0;
+    });
+
+    await runAsyncTest('Renders are admitted only while their estimated memory fits the budget', async () => {
+      const { pool } = track(createPool({ pagesPerBrowser: 4, memoryBudgetMB: 1000 }));
+      let running = 0;
+      let peak = 0;
+      const render = async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(20);
+        running--;
+      };
+
+      await Promise.all([
+        pool.run(render, { memoryMB: 600 }),
+        pool.run(render, { memoryMB: 600 }),
+        pool.run(render, { memoryMB: 300 })
+      ]);
+      const boundedPeak = peak;
+
+      // A render larger than the whole budget still runs, on its own
+      const oversized = await pool.run(async () => 'done', { memoryMB: 1500 });
+      const metrics = pool.getMetrics();
+
+      return boundedPeak === 2 && oversized === 'done' && metrics.totals.peakReservedMemoryMB === 1500 &&
+             metrics.reservedMemoryMB === 0;
+    });
+
+    await runAsyncTest('Queued renders start in arrival order, so small renders cannot starve a large one', async () => {
+      const { pool } = track(createPool({ pagesPerBrowser: 4, memoryBudgetMB: 1000 }));
+      const started = [];
+      const render = name => async () => {
+        started.push(name);
+        await sleep(20);
+      };
+
+      await Promise.all([
+        pool.run(render('large-1'), { memoryMB: 600 }),
+        pool.run(render('large-2'), { memoryMB: 600 }),
+        pool.run(render('small'), { memoryMB: 100 })
+      ]);
+
+      return JSON.stringify(started) === JSON.stringify(['large-1', 'large-2', 'small']);
+    });
+
+    await runAsyncTest('A full queue rejects new renders with 503', async () => {
+      const { pool } = track(createPool({ maxQueueSize: 1 }));
+      await pool.warmUp();
+      const first = pool.run(() => sleep(50));
+      const second = pool.run(() => sleep(10));
+      await sleep(0);
+
+      let rejection = null;
+      await pool.run(() => sleep(10)).catch(error => {
+        rejection = error;
+      });
+      await Promise.all([first, second]);
+
+      return rejection && rejection.code === 'RENDER_QUEUE_FULL' && rejection.status === 503 &&
+             pool.getMetrics().totals.rejected === 1;
+    });
+
+    await runAsyncTest('Renders waiting longer than the queue timeout are rejected', async () => {
+      const { pool } = track(createPool({ queueTimeout: 40 }));
+      const first = pool.run(() => sleep(120));
+
+      let rejection = null;
+      await pool.run(() => 'never').catch(error => {
+        rejection = error;
+      });
+      await first;
+
+      return rejection && rejection.code === 'RENDER_QUEUE_TIMEOUT' && pool.queue.length === 0;
+    });
+
+    console.log('\n🩺 2. FAILURE HANDLING TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('A render that overruns its timeout fails with 504 and its context is closed', async () => {
+      const { pool, launched, healthChecks } = track(createPool());
+      let rejection = null;
+      await pool.run(() => new Promise(() => {}), { timeout: 30, label: 'stuck render' }).catch(error => {
+        rejection = error;
+      });
+      await sleep(10);
+
+      // The browser is health checked before its next render
+      const next = await pool.run(async page => page.browserId);
+
+      return rejection && rejection.code === 'RENDER_TIMEOUT' && rejection.status === 504 &&
+             rejection.message.includes('stuck render') && launched[0].openContexts === 0 &&
+             healthChecks.includes(1) && next === 1 && pool.getMetrics().totals.timedOut === 1;
+    });
+
+    await runAsyncTest('An aborted render fails with RENDER_ABORTED once its context is closed', async () => {
+      const { pool, launched } = track(createPool());
+      const running = new AbortController();
+      const queued = new AbortController();
+
+      const first = pool.run(() => new Promise(() => {}), { label: 'order render', signal: running.signal });
+      const second = pool.run(() => 'never', { signal: queued.signal });
+      await sleep(10);
+
+      queued.abort(new Error('Job timeout exceeded'));
+      const queuedRejection = await second.catch(error => error);
+      running.abort(new Error('Job timeout exceeded'));
+      const runningRejection = await first.catch(error => error);
+
+      return queuedRejection.code === 'RENDER_ABORTED' && pool.queue.length === 0 &&
+             runningRejection.code === 'RENDER_ABORTED' && runningRejection.message.includes('order render') &&
+             runningRejection.message.includes('Job timeout exceeded') &&
+             launched[0].openContexts === 0 && pool.activeRenders === 0 && pool.getMetrics().totals.aborted === 1;
+    });
+
+    await runAsyncTest('A browser that fails its health check after a failed render is replaced', async () => {
+      const { pool, launched } = track(createPool());
+      const failure = await pool.run(async page => {
+        launched[page.browserId - 1].healthy = false;
+        throw new Error('Map failed to load');
+      }).catch(error => error);
+
+      const next = await pool.run(async page => page.browserId);
+
+      return failure.message === 'Map failed to load' && next === 2 && !launched[0].isConnected() &&
+             pool.getMetrics().totals.unhealthy === 1 && pool.browsers.length === 1;
+    });
+
+    await runAsyncTest('Page creation failures are retried once', async () => {
+      const { pool, launched } = track(createPool());
+      await pool.warmUp();
+      launched[0].failNextContexts = 1;
+
+      const result = await pool.run(async page => page.browserId);
+      return result === 1 && launched.length === 1;
+    });
+
+    await runAsyncTest('A disconnected browser is dropped and replaced', async () => {
+      const { pool, launched } = track(createPool());
+      await pool.run(async () => {});
+      launched[0].crash();
+
+      const next = await pool.run(async page => page.browserId);
+      return next === 2 && pool.browsers.length === 1 && pool.browsers[0].browser === launched[1];
+    });
+
+    await runAsyncTest('Queued renders fail as soon as no browser can be launched', async () => {
+      const { pool } = track(createPool({
+        queueTimeout: 5000,
+        launchBrowser: async () => {
+          throw new Error('Failed to launch the browser process');
+        }
+      }));
+
+      const startedAt = Date.now();
+      const results = await Promise.allSettled([pool.run(() => 'a'), pool.run(() => 'b')]);
+
+      return results.every(result => result.status === 'rejected' &&
+        result.reason.message === 'Failed to launch the browser process') &&
+        Date.now() - startedAt < 1000 && pool.getMetrics().totals.launchFailures >= 1;
+    });
+
+    console.log('\n♻️  3. LIFECYCLE TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Browsers are recycled after the configured number of renders', async () => {
+      const { pool, launched } = track(createPool({ maxRendersPerBrowser: 2 }));
+      const used = [];
+      for (let i = 0; i < 3; i++) {
+        used.push(await pool.run(async page => page.browserId));
+      }
+      await sleep(0);
+
+      return JSON.stringify(used) === JSON.stringify([1, 1, 2]) && !launched[0].isConnected() &&
+             launched[1].isConnected() && pool.getMetrics().totals.recycled === 1;
+    });
+
+    await runAsyncTest('Idle browsers are health checked periodically', async () => {
+      const { pool, launched, healthChecks } = track(createPool({ healthCheckInterval: 20 }));
+      await pool.warmUp();
+      launched[0].healthy = false;
+      await sleep(80);
+
+      return healthChecks.includes(1) && pool.browsers.length === 0 && !launched[0].isConnected();
+    });
+
+    await runAsyncTest('Closing the pool rejects queued renders and closes browsers; the pool can be reused', async () => {
+      const { pool, launched } = track(createPool());
+      const running = pool.run(() => sleep(30)).catch(error => error);
+      const queued = pool.run(() => 'never').catch(error => error);
+      await sleep(5);
+
+      await pool.close();
+      const queuedError = await queued;
+      await running;
+
+      const reused = await pool.run(async page => page.browserId);
+      return queuedError.code === 'RENDER_POOL_CLOSED' && !launched[0].isConnected() && reused === 2;
+    });
+
+    console.log('\n🔗 4. INTEGRATION TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Pool metrics are reported through performanceMonitor', async () => {
+      const { pool } = track(createPool({ maxBrowsers: 2 }));
+      await Promise.all([pool.run(() => sleep(10), { memoryMB: 200 }), pool.run(() => sleep(10), { memoryMB: 300 })]);
+
+      performanceMonitor.registerMetricsSource('renderPool', () => pool.getMetrics());
+      const metrics = performanceMonitor.getPerformanceStats().components.renderPool;
+      performanceMonitor.unregisterMetricsSource('renderPool');
+
+      return metrics.totals.succeeded === 2 && metrics.browsers.length === 2 && metrics.totals.peakActiveRenders === 2 &&
+             metrics.totals.peakReservedMemoryMB === 500 && metrics.activeRenders === 0 && metrics.queuedRenders === 0 &&
+             typeof metrics.averageRenderMs === 'number' &&
+             performanceMonitor.getPerformanceStats().components.renderPool === undefined;
+    });
+
+    await runAsyncTest('MapService initializes, reports and cleans up through the pool', async () => {
+      const service = new MapService();
+      service.renderPool.destroy();
+      const { pool, launched } = track(createPool({ pagesPerBrowser: 2 }));
+      service.renderPool = pool;
+
+      await service.initialize();
+      const initialized = service.isInitialized && service.browser === launched[0];
+      const status = await service.getStatus();
+      await service.cleanup();
+
+      return initialized && status.browserConnected && status.renderPool.browsers.length === 1 &&
+             !service.isInitialized && service.browser === null && !launched[0].isConnected();
+    });
+
+    await runAsyncTest('MapService.generateBatch renders maps concurrently through the pool', async () => {
+      const service = new MapService();
+      service.renderPool.destroy();
+      const { pool } = track(createPool({ pagesPerBrowser: 3 }));
+      service.renderPool = pool;
+      service.generateMap = async mapOptions => service.renderPool.run(async () => {
+        await sleep(20);
+        if (mapOptions.fail) {
+          throw new Error('Render failed');
+        }
+        return { id: mapOptions.id };
+      });
+
+      const results = await service.generateBatch([{ id: 1 }, { id: 2, fail: true }, { id: 3 }]);
+
+      return pool.getMetrics().totals.peakActiveRenders === 3 &&
+             results.map(result => result.success).join() === 'true,false,true' &&
+             results[0].data.id === 1 && results[1].error === 'Render failed';
+    });
+  } finally {
+    await Promise.all(pools.map(pool => pool.close().catch(() => {})));
+    pools.forEach(pool => pool.destroy());
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,269 @@
+/**
+ * Composite Map Test Suite
+ *
+ * Validates multi-activity ("year in review") poster support in MapService
+ * and OrderMapService without launching a browser.
+ *
+ * Test Categories:
+ * 1. Route Layer Normalization Tests
+ * 2. Composite Bounds Tests
+ * 3. HTML Generation Tests
+ * 4. Heatmap Mode Tests
+ * 5. Order Config Validation Tests
+ */
+
+const mapService = require('../services/mapService');
+const { MapService } = require('../services/mapService');
+const orderMapService = require('../services/orderMapService');
+
+// Sample routes in [lng, lat] format
+const morningRide = [[-0.12, 51.50], [-0.11, 51.51], [-0.10, 51.52]];
+const eveningRun = [[-0.20, 51.45], [-0.19, 51.46]];
+const weekendLoop = [[-0.05, 51.55], [-0.04, 51.56], [-0.03, 51.57], [-0.02, 51.58]];
+
+const compositeConfig = {
+  width: 595,
+  height: 842,
+  center: [51.5, -0.1],
+  bounds: { north: 51.6, south: 51.4, east: 0.0, west: -0.25 },
+  style: 'mapbox://styles/mapbox/outdoors-v12',
+  routes: [
+    { activityId: '1', coordinates: morningRide, color: '#123456', width: 5, opacity: 0.5 },
+    { activityId: '2', coordinates: eveningRun },
+    { activityId: '3', coordinates: weekendLoop, opacity: 3 }
+  ]
+};
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+function runTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Composite Map Test Suite\n');
+  console.log('=' .repeat(60));
+
+  // 1. Route Layer Normalization Tests
+  console.log('\n🧭 ROUTE LAYER NORMALIZATION TESTS');
+  console.log('-'.repeat(30));
+
+  runTest('Should wrap a single route as one layer', () => {
+    const layers = mapService.normalizeRouteLayers({
+      route: { coordinates: morningRide, color: '#00ff00', width: 6 }
+    });
+    return layers.length === 1 &&
+           layers[0].id === 'route' &&
+           layers[0].color === '#00ff00' &&
+           layers[0].width === 6 &&
+           layers[0].opacity === 1;
+  });
+
+  runTest('Should keep per-route color, width and opacity', () => {
+    const layers = mapService.normalizeRouteLayers(compositeConfig);
+    return layers.length === 3 &&
+           layers[0].color === '#123456' &&
+           layers[0].width === 5 &&
+           layers[0].opacity === 0.5 &&
+           layers[1].id === 'route-1';
+  });
+
+  runTest('Should assign palette colors to unstyled composite routes', () => {
+    const layers = mapService.normalizeRouteLayers(compositeConfig);
+    return layers[1].color === MapService.COMPOSITE_ROUTE_PALETTE[1] &&
+           layers[2].color === MapService.COMPOSITE_ROUTE_PALETTE[2];
+  });
+
+  runTest('Should clamp opacity to the 0-1 range', () => {
+    const layers = mapService.normalizeRouteLayers(compositeConfig);
+    return layers[2].opacity === 1;
+  });
+
+  runTest('Should apply shared routeStyle defaults', () => {
+    const layers = mapService.normalizeRouteLayers({
+      routes: [{ coordinates: morningRide }, { coordinates: eveningRun }],
+      routeStyle: { color: '#fc4c02', width: 2, opacity: 0.6 }
+    });
+    return layers.every(layer => layer.color === '#fc4c02' && layer.width === 2 && layer.opacity === 0.6);
+  });
+
+  runTest('Should drop composite routes without valid coordinates', () => {
+    const layers = mapService.normalizeRouteLayers({
+      routes: [
+        { coordinates: morningRide },
+        { coordinates: [] },
+        { coordinates: [['a', 'b'], [null, 1]] }
+      ]
+    });
+    return layers.length === 1;
+  });
+
+  // 2. Composite Bounds Tests
+  console.log('\n📐 COMPOSITE BOUNDS TESTS');
+  console.log('-'.repeat(30));
+
+  runTest('Should calculate bounds covering every route', () => {
+    const bounds = mapService.calculateCompositeBounds(mapService.normalizeRouteLayers(compositeConfig));
+    return bounds.west === -0.20 &&
+           bounds.east === -0.02 &&
+           bounds.south === 51.45 &&
+           bounds.north === 51.58;
+  });
+
+  runTest('Should return null bounds for empty routes', () => {
+    return mapService.calculateCompositeBounds([]) === null;
+  });
+
+  // 3. HTML Generation Tests
+  console.log('\n📄 HTML GENERATION TESTS');
+  console.log('-'.repeat(30));
+
+  runTest('Should route composite configs through validated HTML generation', () => {
+    return mapService.hasRouteData(compositeConfig) === true &&
+           mapService.hasRouteData({ routes: [] }) === false;
+  });
+
+  runTest('Should render one line layer per route', () => {
+    const html = mapService.generateMapHTML(compositeConfig);
+    return html.includes('"id":"route"') &&
+           html.includes('"id":"route-1"') &&
+           html.includes('"id":"route-2"') &&
+           html.includes("const renderMode = 'lines'");
+  });
+
+  runTest('Should not add start/end markers to composite posters', () => {
+    const html = mapService.generateMapHTML(compositeConfig);
+    return html.includes('const markersData = null;');
+  });
+
+  runTest('Should still add markers for a single route', () => {
+    const html = mapService.generateMapHTML({ ...compositeConfig, routes: undefined, route: { coordinates: morningRide } });
+    return !html.includes('const markersData = null;') && html.includes('"type":"start"');
+  });
+
+  runTest('Should compute bounds from routes when none are provided', () => {
+    const html = mapService.generateMapHTML({ ...compositeConfig, bounds: undefined });
+    return html.includes('[-0.2, 51.45]') && html.includes('[-0.02, 51.58]');
+  });
+
+  // 4. Heatmap Mode Tests
+  console.log('\n🔥 HEATMAP MODE TESTS');
+  console.log('-'.repeat(30));
+
+  runTest('Should render a heatmap layer in heatmap mode', () => {
+    const html = mapService.generateMapHTML({ ...compositeConfig, renderMode: 'heatmap', heatmap: { radius: 9 } });
+    return html.includes("const renderMode = 'heatmap'") &&
+           html.includes("'heatmap-radius': 9") &&
+           html.includes('heatmap-density');
+  });
+
+  runTest('Should only write numeric heatmap settings into the page script', () => {
+    const html = mapService.generateMapHTML({
+      ...compositeConfig,
+      renderMode: 'heatmap',
+      heatmap: { radius: '1; window.injected = true', intensity: '2', opacity: 'x' }
+    });
+    return !html.includes('window.injected') &&
+           html.includes("'heatmap-radius': 6") &&
+           html.includes("'heatmap-intensity': 2") &&
+           html.includes("'heatmap-opacity': 0.85");
+  });
+
+  runTest('Should escape route and ramp colours embedded in the page script', () => {
+    const breakout = '</script><script>window.injected = true</script>';
+    const html = mapService.generateMapHTML({
+      ...compositeConfig,
+      routes: [{ ...compositeConfig.routes[0], color: breakout }],
+      renderMode: 'heatmap',
+      heatmap: { colorRamp: ['#000000', breakout] }
+    });
+    return !html.includes(breakout) && html.includes('\\u003c/script>\\u003cscript>');
+  });
+
+  runTest('Should fall back to lines for unknown render modes', () => {
+    const html = mapService.generateMapHTML({ ...compositeConfig, renderMode: 'sparkles' });
+    return html.includes("const renderMode = 'lines'") && html.includes('const heatmapData = null;');
+  });
+
+  runTest('Should build heatmap points from all routes', () => {
+    const geojson = mapService.buildHeatmapGeoJSON(mapService.normalizeRouteLayers(compositeConfig));
+    return geojson.type === 'FeatureCollection' && geojson.features.length === 9;
+  });
+
+  runTest('Should sample heatmap points when over the limit', () => {
+    const geojson = mapService.buildHeatmapGeoJSON(mapService.normalizeRouteLayers(compositeConfig), 4);
+    return geojson.features.length > 0 && geojson.features.length <= 6;
+  });
+
+  // 5. Order Config Validation Tests
+  console.log('\n📦 ORDER CONFIG VALIDATION TESTS');
+  console.log('-'.repeat(30));
+
+  runTest('Should accept composite configs for order generation', () => {
+    return orderMapService.validateMapConfig(compositeConfig) === true;
+  });
+
+  runTest('Should reject composite configs with an empty route', () => {
+    return orderMapService.validateMapConfig({
+      ...compositeConfig,
+      routes: [{ coordinates: morningRide }, { coordinates: [] }]
+    }) === false;
+  });
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
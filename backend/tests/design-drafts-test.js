@@ -0,0 +1,338 @@
+/**
+ * Design Draft Test Suite
+ *
+ * Validates server-saved poster designs: short IDs, versioned saves with conflict
+ * detection, the undo/redo history saved with a draft, ownership checks, the read-only shared view trimmed by the owner's privacy
+ * zones, and the social preview image rendered once per draft version.
+ * Each run uses its own drafts directory and settings file in a temporary directory.
+ *
+ * Test Categories:
+ * 1. Storage Tests
+ * 2. Versioning Tests
+ * 3. Sharing Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { DesignDraftService } = require('../services/designDraftService');
+const { UserSettingsService } = require('../services/userSettingsService');
+const { decodePolyline, encodePolyline } = require('../utils/dataTransformers');
+const DesignHistory = require('@print-my-ride/map-engines/design-history');
+
+const ATHLETE_ID = 8101;
+const OTHER_ATHLETE_ID = 8102;
+
+// A 2 km route heading north, with a speed sample at every point
+const coordinates = Array.from({ length: 21 }, (_, i) => [-105.27, 40.01 + i * 0.0009]);
+const route = {
+  activityId: 9101,
+  activity: {
+    id: 9101,
+    name: 'Flagstaff Climb',
+    distance: 2000,
+    start_latlng: [40.01, -105.27],
+    end_latlng: [40.028, -105.27],
+    athlete: { id: ATHLETE_ID },
+    map: { summary_polyline: encodePolyline(coordinates) }
+  }
+};
+const settings = {
+  mainTitle: 'FLAGSTAFF',
+  subtitle: 'Spring 2024',
+  mapStyle: 'outdoors',
+  routeColor: '#3366ff',
+  routeThickness: 5,
+  units: 'metric',
+  layout: 'landscape',
+  printSize: 'a3',
+  elevationProfile: { enabled: true, placement: 'below' },
+  colorByMetric: { enabled: true, metric: 'speed', showLegend: true }
+};
+const data = {
+  elevationProfile: coordinates.map((_, i) => [i * 100, 1700 + i * 10]),
+  routeMetricSamples: { speed: coordinates.map(([lng, lat], i) => [lng, lat, 2 + i * 0.1]), cadence: [[0, 0, 1], [0, 0, 2]] }
+};
+
+let tempDir = null;
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+async function expectStatus(promise, status) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.status === status;
+  }
+}
+
+/**
+ * Build a draft service with its own drafts directory and settings file
+ */
+function createService(name, options = {}) {
+  const userSettingsService = new UserSettingsService({
+    persistenceFile: path.join(tempDir, name, 'user-settings.json')
+  });
+  const service = new DesignDraftService({
+    directory: path.join(tempDir, name, 'drafts'),
+    userSettingsService,
+    ...options
+  });
+  return { service, userSettingsService };
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Design Draft Test Suite');
+  console.log('='.repeat(60));
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'design-drafts-test-'));
+
+  try {
+    // 1. Storage Tests
+    console.log('\n💾 1. STORAGE TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should save a draft under a short ID and load it in a fresh service', async () => {
+      const { service } = createService('storage');
+      const draft = await service.createDraft(ATHLETE_ID, { settings, route, data });
+      const reloaded = await createService('storage').service.getOwnerDraft(draft.id, ATHLETE_ID);
+
+      return /^[A-Za-z0-9]{8}$/.test(draft.id) && draft.version === 1 && draft.editable === true &&
+             reloaded.settings.mainTitle === 'FLAGSTAFF' && reloaded.route.activityId === '9101' &&
+             reloaded.route.activity.athlete === undefined &&
+             reloaded.data.routeMetricSamples.speed.length === coordinates.length &&
+             reloaded.data.routeMetricSamples.cadence === undefined &&
+             reloaded.data.elevationProfile.length === coordinates.length;
+    });
+
+    await runAsyncTest('Should reject drafts without settings or a decodable route', async () => {
+      const { service } = createService('invalid');
+      return await expectStatus(service.createDraft(ATHLETE_ID, { route }), 400) &&
+             await expectStatus(service.createDraft(ATHLETE_ID, { settings, route: { activity: { id: 1 } } }), 400) &&
+             await expectStatus(service.createDraft(ATHLETE_ID, { settings, route: { activity: { map: { summary_polyline: '~' } } } }), 400) &&
+             await expectStatus(service.createDraft(ATHLETE_ID, { settings: { notes: 'x'.repeat(70000) }, route }), 400);
+    });
+
+    await runAsyncTest('Should keep drafts private to their owner and list them newest first', async () => {
+      const { service } = createService('ownership');
+      const first = await service.createDraft(ATHLETE_ID, { settings: { ...settings, mainTitle: 'FIRST' }, route });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const second = await service.createDraft(ATHLETE_ID, { settings: { ...settings, mainTitle: 'SECOND' }, route });
+      await service.createDraft(OTHER_ATHLETE_ID, { settings, route });
+      const list = await service.listDrafts(ATHLETE_ID);
+
+      const forbidden = await expectStatus(service.getOwnerDraft(first.id, OTHER_ATHLETE_ID), 403) &&
+        await expectStatus(service.updateDraft(first.id, OTHER_ATHLETE_ID, { settings, route }), 403) &&
+        await expectStatus(service.deleteDraft(first.id, OTHER_ATHLETE_ID), 403);
+      const missing = await expectStatus(service.getOwnerDraft('Zz000000', ATHLETE_ID), 404) &&
+        await expectStatus(service.getPublicDraft('../../etc'), 404);
+
+      await service.deleteDraft(second.id, ATHLETE_ID);
+      const afterDelete = await service.listDrafts(ATHLETE_ID);
+
+      return forbidden && missing && list.length === 2 && list[0].id === second.id && list[0].title === 'SECOND' &&
+             afterDelete.length === 1 && afterDelete[0].id === first.id;
+    });
+
+    // 2. Versioning Tests
+    console.log('\n🕒 2. VERSIONING TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should bump the version on save and keep earlier versions', async () => {
+      const { service } = createService('versions');
+      const draft = await service.createDraft(ATHLETE_ID, { settings, route });
+      const updated = await service.updateDraft(draft.id, ATHLETE_ID, { settings: { ...settings, mainTitle: 'V2' }, route, baseVersion: 1 });
+      const earlier = await service.getOwnerDraft(draft.id, ATHLETE_ID, 1);
+
+      return updated.version === 2 && updated.settings.mainTitle === 'V2' &&
+             updated.versions.map(entry => entry.version).join() === '1,2' &&
+             earlier.viewingVersion === 1 && earlier.settings.mainTitle === 'FLAGSTAFF' && earlier.version === 2 &&
+             await expectStatus(service.getOwnerDraft(draft.id, ATHLETE_ID, 7), 404);
+    });
+
+    await runAsyncTest('Should reject saves based on a stale version', async () => {
+      const { service } = createService('conflict');
+      const draft = await service.createDraft(ATHLETE_ID, { settings, route });
+      await service.updateDraft(draft.id, ATHLETE_ID, { settings, route, baseVersion: 1 });
+
+      try {
+        await service.updateDraft(draft.id, ATHLETE_ID, { settings: { ...settings, mainTitle: 'STALE' }, route, baseVersion: 1 });
+        return false;
+      } catch (error) {
+        const current = await service.getOwnerDraft(draft.id, ATHLETE_ID);
+        return error.status === 409 && error.currentVersion === 2 && current.settings.mainTitle === 'FLAGSTAFF';
+      }
+    });
+
+    await runAsyncTest('Should cap the saved version history', async () => {
+      const { service } = createService('history', { maxVersions: 3 });
+      const draft = await service.createDraft(ATHLETE_ID, { settings, route });
+      let latest = draft;
+      for (let i = 0; i < 4; i++) {
+        latest = await service.updateDraft(draft.id, ATHLETE_ID, { settings, route, baseVersion: latest.version });
+      }
+      return latest.version === 5 && latest.versions.map(entry => entry.version).join() === '3,4,5';
+    });
+
+    await runAsyncTest('Should keep the undo/redo history with the latest version only', async () => {
+      const { service } = createService('edit-history');
+      let editHistory = DesignHistory.create({ settings }, 'Open design', 0);
+      editHistory = DesignHistory.record(editHistory, 'Title', { settings: { ...settings, mainTitle: 'V2' } }, 5000);
+      const draft = await service.createDraft(ATHLETE_ID, { settings, route, editHistory: DesignHistory.serialize(editHistory) });
+      const updated = await service.updateDraft(draft.id, ATHLETE_ID, {
+        settings: { ...settings, mainTitle: 'V2' }, route, baseVersion: 1, editHistory: DesignHistory.serialize(editHistory)
+      });
+      const reloaded = await createService('edit-history').service.getOwnerDraft(draft.id, ATHLETE_ID);
+      const earlier = await service.getOwnerDraft(draft.id, ATHLETE_ID, 1);
+      const shared = await service.getPublicDraft(draft.id);
+      const cleared = await service.updateDraft(draft.id, ATHLETE_ID, { settings, route, baseVersion: 2 });
+
+      return draft.editHistory.entries.length === 2 && updated.editHistory.index === 1 &&
+             DesignHistory.current(DesignHistory.restore(reloaded.editHistory)).settings.mainTitle === 'V2' &&
+             earlier.editHistory === null && shared.editHistory === undefined && cleared.editHistory === null &&
+             await expectStatus(service.createDraft(ATHLETE_ID, { settings, route, editHistory: { entries: [], index: 0 } }), 400);
+    });
+
+    await runAsyncTest('Should drop the oldest undo steps from an oversized history', async () => {
+      const { service } = createService('edit-history-size');
+      const padding = 'x'.repeat(Math.ceil(DesignDraftService.MAX_EDIT_HISTORY_SIZE / 4));
+      let editHistory = DesignHistory.create({ settings }, 'Open design', 0);
+      for (let i = 1; i <= 6; i++) {
+        editHistory = DesignHistory.record(editHistory, `Edit ${i}`, { settings: { ...settings, mainTitle: `${i}${padding}` } }, i * 10000);
+      }
+      const draft = await service.createDraft(ATHLETE_ID, { settings, route, editHistory: DesignHistory.serialize(editHistory) });
+
+      return draft.editHistory.entries.length === 3 && draft.editHistory.index === 2 &&
+             draft.editHistory.entries[2].label === 'Edit 6' &&
+             JSON.stringify(draft.editHistory).length <= DesignDraftService.MAX_EDIT_HISTORY_SIZE;
+    });
+
+    // 3. Sharing Tests
+    console.log('\n🔗 3. SHARING TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should trim the shared route and samples with the owner\'s privacy zones', async () => {
+      const { service, userSettingsService } = createService('public');
+      const draft = await service.createDraft(ATHLETE_ID, { settings, route, data });
+      const untrimmed = await service.getPublicDraft(draft.id);
+      await userSettingsService.updatePrivacyZones(ATHLETE_ID, { hideFirstMeters: 500 });
+      const shared = await service.getPublicDraft(draft.id);
+      const visible = decodePolyline(shared.route.activity.map.summary_polyline);
+
+      return untrimmed.route.activity.map.summary_polyline === route.activity.map.summary_polyline &&
+             shared.editable === false && shared.route.activityId === null && shared.route.activity.id === null &&
+             shared.route.activity.end_latlng === undefined && shared.route.activity.name === 'Flagstaff Climb' &&
+             visible.length < coordinates.length && visible[0][1] > coordinates[0][1] + 0.004 &&
+             visible[visible.length - 1][1] === coordinates[coordinates.length - 1][1] &&
+             Math.abs(shared.route.activity.start_latlng[0] - visible[0][1]) < 1e-5 &&
+             shared.data.routeMetricSamples.speed.every(sample => sample.length === 3 && sample[1] > coordinates[0][1] + 0.004) &&
+             shared.versions === undefined;
+    });
+
+    await runAsyncTest('Should build the preview render config from the draft settings', async () => {
+      const { service, userSettingsService } = createService('preview-config');
+      await userSettingsService.updatePrivacyZones(ATHLETE_ID, { hideFirstMeters: 500 });
+      const created = await service.createDraft(ATHLETE_ID, { settings, route, data });
+      const draft = await service.getDraft(created.id);
+      const previewConfig = service.buildPreviewConfig(draft, await userSettingsService.getPrivacyZones(ATHLETE_ID));
+
+      return previewConfig.id === `draft_${draft.id}_v1` &&
+             previewConfig.width === 842 && previewConfig.height === 595 && previewConfig.orientation === 'landscape' &&
+             previewConfig.format === 'A3' && previewConfig.style.startsWith('mapbox://styles/') &&
+             previewConfig.route.coordinates.length === coordinates.length && previewConfig.route.color === '#3366ff' &&
+             previewConfig.privacyZones.hideFirstMeters === 500 &&
+             previewConfig.bounds.south > coordinates[0][1] &&
+             previewConfig.settings.mainTitle === 'FLAGSTAFF' && previewConfig.settings.coordinates.lat > coordinates[0][1] &&
+             previewConfig.elevationProfile.points.length === coordinates.length &&
+             previewConfig.colorByMetric.metric === 'speed' && previewConfig.colorByMetric.samples.length === coordinates.length;
+    });
+
+    await runAsyncTest('Should render the social image once per draft version', async () => {
+      const renders = [];
+      const { service } = createService('social', {
+        renderPreview: async previewConfig => {
+          renders.push(previewConfig.id);
+          const file = path.join(tempDir, 'social', `${previewConfig.id}.jpg`);
+          await fs.writeFile(file, 'jpeg');
+          return file;
+        }
+      });
+      const draft = await service.createDraft(ATHLETE_ID, { settings, route });
+
+      const [first, second] = await Promise.all([service.getSocialImage(draft.id), service.getSocialImage(draft.id)]);
+      const cached = await service.getSocialImage(draft.id);
+      await fs.unlink(first);
+      const rerendered = await service.getSocialImage(draft.id);
+      await service.updateDraft(draft.id, ATHLETE_ID, { settings, route, baseVersion: 1 });
+      const updated = await service.getSocialImage(draft.id);
+
+      return first === second && cached === first && rerendered === first && updated !== first &&
+             renders.join() === `draft_${draft.id}_v1,draft_${draft.id}_v1,draft_${draft.id}_v2` &&
+             await expectStatus(service.getSocialImage('Zz000000'), 404);
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,208 @@
+/**
+ * Design History Test Suite
+ *
+ * Validates the designer's undo/redo history: recording snapshots, merging rapid edits
+ * to the same control, dropping the redo branch after a new edit, and restoring the
+ * history from storage or a saved draft after a reload.
+ *
+ * Test Categories:
+ * 1. Recording Tests
+ * 2. Undo/Redo Tests
+ * 3. Persistence Tests
+ */
+
+const DesignHistory = require('@print-my-ride/map-engines/design-history');
+
+const design = (mainTitle, routeThickness = 4) => ({
+  settings: { mainTitle, routeThickness, elevationProfile: { enabled: false, placement: 'below' } },
+  annotations: { annotations: [], textLabels: [] }
+});
+
+// Minimal localStorage stand-in
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    items
+  };
+}
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Design History Test Suite');
+  console.log('='.repeat(60));
+
+  // 1. Recording Tests
+  console.log('\n📝 1. RECORDING TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Should record edits as copies and ignore unchanged states', async () => {
+    const state = design('EPIC RIDE');
+    let history = DesignHistory.create(state, 'Open design', 0);
+    state.settings.mainTitle = 'MUTATED';
+    history = DesignHistory.record(history, 'Title', design('EPIC RIDE'), 5000);
+    const unchanged = history;
+    history = DesignHistory.record(history, 'Route width', design('EPIC RIDE', 6), 10000);
+
+    return unchanged.entries.length === 1 && unchanged.entries[0].state.settings.mainTitle === 'EPIC RIDE' &&
+           history.entries.length === 2 && history.index === 1 && history.entries[1].label === 'Route width';
+  });
+
+  await runAsyncTest('Should merge rapid edits to the same control into one entry', async () => {
+    let history = DesignHistory.create(design(''), 'Open design', 0);
+    history = DesignHistory.record(history, 'Title', design('F'), 100);
+    history = DesignHistory.record(history, 'Title', design('FL'), 600);
+    history = DesignHistory.record(history, 'Title', design('FLAG'), 1200);
+    history = DesignHistory.record(history, 'Route width', design('FLAG', 6), 1300);
+    history = DesignHistory.record(history, 'Title', design('FLAGSTAFF', 6), 1400);
+    history = DesignHistory.record(history, 'Title', design('FLAGSTAFF!', 6), 1400 + DesignHistory.COALESCE_WINDOW);
+
+    return history.entries.map(entry => entry.label).join() === 'Open design,Title,Route width,Title,Title' &&
+           history.entries[1].state.settings.mainTitle === 'FLAG';
+  });
+
+  await runAsyncTest('Should drop the oldest entries beyond the limit', async () => {
+    let history = DesignHistory.create(design('0'), 'Open design', 0);
+    for (let i = 1; i <= DesignHistory.MAX_ENTRIES + 5; i++) {
+      history = DesignHistory.record(history, `Edit ${i}`, design(String(i)), i * 10000);
+    }
+
+    return history.entries.length === DesignHistory.MAX_ENTRIES && history.index === DesignHistory.MAX_ENTRIES - 1 &&
+           history.entries[0].state.settings.mainTitle === '6';
+  });
+
+  // 2. Undo/Redo Tests
+  console.log('\n↩️ 2. UNDO/REDO TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Should step back and forward through edits', async () => {
+    let history = DesignHistory.create(design('A'), 'Open design', 0);
+    history = DesignHistory.record(history, 'Title', design('B'), 5000);
+    history = DesignHistory.record(history, 'Route width', design('B', 8), 10000);
+
+    const undone = DesignHistory.undo(history);
+    const undoneAgain = DesignHistory.undo(undone.history);
+    const redone = DesignHistory.redo(undoneAgain.history);
+
+    return undone.label === 'Route width' && undone.state.settings.routeThickness === 4 &&
+           undoneAgain.label === 'Title' && undoneAgain.state.settings.mainTitle === 'A' &&
+           DesignHistory.undo(undoneAgain.history) === null && !DesignHistory.canUndo(undoneAgain.history) &&
+           redone.label === 'Title' && redone.state.settings.mainTitle === 'B' &&
+           DesignHistory.canRedo(redone.history) && DesignHistory.redo(history) === null;
+  });
+
+  await runAsyncTest('Should discard the redo branch when editing after an undo', async () => {
+    let history = DesignHistory.create(design('A'), 'Open design', 0);
+    history = DesignHistory.record(history, 'Title', design('B'), 5000);
+    history = DesignHistory.undo(history).history;
+    history = DesignHistory.record(history, 'Title', design('C'), 5100);
+
+    return history.entries.map(entry => entry.state.settings.mainTitle).join() === 'A,C' &&
+           !DesignHistory.canRedo(history);
+  });
+
+  // 3. Persistence Tests
+  console.log('\n💾 3. PERSISTENCE TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Should survive a reload through storage at the same position', async () => {
+    const storage = createStorage();
+    let history = DesignHistory.create(design('A'), 'Open design', 0);
+    history = DesignHistory.record(history, 'Title', design('B'), 5000);
+    history = DesignHistory.undo(history).history;
+    DesignHistory.save(storage, 'draft:Ab12Cd34', history);
+
+    const reloaded = DesignHistory.load(storage, 'draft:Ab12Cd34');
+    return storage.items.has('mapDesignHistory:draft:Ab12Cd34') &&
+           reloaded.index === 0 && DesignHistory.current(reloaded).settings.mainTitle === 'A' &&
+           DesignHistory.redo(reloaded).state.settings.mainTitle === 'B' &&
+           DesignHistory.load(storage, 'activity:1') === null;
+  });
+
+  await runAsyncTest('Should reject malformed saved histories', async () => {
+    const storage = createStorage();
+    storage.setItem('mapDesignHistory:broken', '{not json');
+    const valid = DesignHistory.serialize(DesignHistory.create(design('A'), 'Open design', 0));
+
+    return DesignHistory.load(storage, 'broken') === null &&
+           DesignHistory.restore(null) === null &&
+           DesignHistory.restore({ entries: [], index: 0 }) === null &&
+           DesignHistory.restore({ ...valid, index: 1 }) === null &&
+           DesignHistory.restore({ entries: [{ label: 'Open design', state: 'A', at: 0 }], index: 0 }) === null &&
+           DesignHistory.restore(valid).entries.length === 1;
+  });
+
+  await runAsyncTest('Should report storage quota errors instead of throwing', async () => {
+    const storage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      return DesignHistory.save(storage, 'activity:1', DesignHistory.create(design('A'))) === false;
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,166 @@
+/**
+ * Elevation Profile Test Suite
+ *
+ * Validates the optional elevation-profile band shared by the designer preview,
+ * the Puppeteer and canvas print renders and the PDF/SVG exports.
+ *
+ * Test Categories:
+ * 1. Settings Tests
+ * 2. Geometry Tests
+ * 3. Print Pipeline Tests
+ */
+
+const PosterElevationProfile = require('@print-my-ride/map-engines/poster-elevation-profile');
+const mapService = require('../services/mapService');
+const { PrintDocumentService } = require('../services/printDocumentService');
+
+const points = [[0, 120], [1000, 180], [2000, 150], [3000, 240]];
+const route = { coordinates: [[-0.12, 51.50], [-0.11, 51.51]], color: '#ff4444' };
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Elevation Profile Test Suite');
+  console.log('='.repeat(60));
+
+  // 1. Settings Tests
+  console.log('\n📋 1. SETTINGS TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Should resolve band settings only when enabled with data', async () => {
+    const settings = PosterElevationProfile.resolveSettings({ route, elevationProfile: { enabled: true, points } });
+    return settings.placement === 'below' &&
+           settings.lineColor === '#ff4444' &&
+           PosterElevationProfile.resolveSettings({ route, elevationProfile: { enabled: false, points } }) === null &&
+           PosterElevationProfile.resolveSettings({ route, elevationProfile: { enabled: true, points: [[0, 1]] } }) === null &&
+           PosterElevationProfile.resolveSettings({ route }) === null;
+  });
+
+  await runAsyncTest('Should accept chart data and downsample long streams', async () => {
+    const chart = PosterElevationProfile.normalizePoints({
+      elevation: [{ distance_km: 0, elevation_meters: 10 }, { distance_km: 1.5, elevation_meters: 25 }]
+    });
+    const long = PosterElevationProfile.normalizePoints(Array.from({ length: 2000 }, (_, i) => [i, i % 50]));
+    return chart[1][0] === 1500 && chart[1][1] === 25 &&
+           long.length === PosterElevationProfile.MAX_POINTS &&
+           long[long.length - 1][0] === 1999;
+  });
+
+  await runAsyncTest('Should pick band colours for dark map themes', async () => {
+    const settings = PosterElevationProfile.resolveSettings({
+      style: 'dark-v11',
+      elevationProfile: { enabled: true, points }
+    });
+    return settings.backgroundColor === '#111827' && settings.lineColor === '#f9fafb';
+  });
+
+  // 2. Geometry Tests
+  console.log('\n📐 2. GEOMETRY TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Should shorten the map for a band below it', async () => {
+    const settings = PosterElevationProfile.resolveSettings({ elevationProfile: { enabled: true, points } });
+    const { band, plot, mapHeight } = PosterElevationProfile.getBand(settings, 1000, 1400, { bleed: 0, safe: 50 });
+    return Math.round(band.y) === 1204 && mapHeight === band.y &&
+           plot.x === 50 && plot.width === 900 &&
+           plot.y + plot.height <= 1350;
+  });
+
+  await runAsyncTest('Should keep the full map height for an overlaid band', async () => {
+    const settings = PosterElevationProfile.resolveSettings({ elevationProfile: { enabled: true, placement: 'overlay', points } });
+    const { band, mapHeight } = PosterElevationProfile.getBand(settings, 1000, 1400, { bleed: 10, safe: 50 });
+    return mapHeight === 1400 && band.y + band.height === 1340;
+  });
+
+  // 3. Print Pipeline Tests
+  console.log('\n🖨️ 3. PRINT PIPELINE TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Should draw the band in the print page and shorten the map', async () => {
+    const config = { route, width: 1000, height: 1400, elevationProfile: { enabled: true, points } };
+    const html = mapService.generateValidatedMapHTML(config);
+    const basemap = mapService.generateValidatedMapHTML({ ...config, omitElevationProfile: true });
+    return html.includes('class="elevation-line"') &&
+           /#map \{[^}]*height: \d+(\.\d+)?px/.test(html) &&
+           !basemap.includes('class="elevation-line"');
+  });
+
+  await runAsyncTest('Should keep poster text above the band', async () => {
+    const config = { route, settings: { mainTitle: 'Ride' }, elevationProfile: { enabled: true, points } };
+    const frame = mapService.getTypographyFrame(config, 1000, 1400);
+    const { band } = mapService.getElevationBand(config, 1000, 1400);
+    return frame.y + frame.height <= band.y;
+  });
+
+  await runAsyncTest('Should export the band as vectors in print documents', async () => {
+    const printDocumentService = new PrintDocumentService({ bleed: 0, cropMarks: false });
+    const svg = printDocumentService.generateSVG({
+      format: 'A4',
+      orientation: 'portrait',
+      route,
+      customization: { mainTitle: 'Ride', elevationProfile: { enabled: true, points } }
+    });
+    return svg.includes('class="elevation-profile"') && svg.includes('class="elevation-line"');
+  });
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,328 @@
+/**
+ * FIT Parser Test Suite
+ *
+ * This test suite validates FIT (binary activity file) decoding in the
+ * GPX/TCX parser service. Test files are assembled in memory so no
+ * device exports need to be checked in.
+ *
+ * Test Categories:
+ * 1. Format Detection Tests
+ * 2. FIT Decoding Tests
+ * 3. Normalized Output Tests
+ * 4. Error Handling Tests
+ */
+
+const gpxTcxParser = require('../services/gpxTcxParser');
+
+const FIT_EPOCH_OFFSET = 631065600;
+const DEGREES_TO_SEMICIRCLES = Math.pow(2, 31) / 180;
+
+// Sample activity: three points in New York, 10:00:00 - 10:02:00 UTC
+const startTime = Date.parse('2024-01-15T10:00:00Z') / 1000 - FIT_EPOCH_OFFSET;
+const samplePoints = [
+  { lat: 40.7128, lng: -74.0060, alt: 10.0, time: startTime },
+  { lat: 40.7130, lng: -74.0058, alt: 12.0, time: startTime + 60 },
+  { lat: 40.7132, lng: -74.0056, alt: 15.0, time: startTime + 120 }
+];
+
+/**
+ * Minimal FIT encoder used to build test fixtures
+ * Each message is { localType, global, fields: [[number, baseType, value]] }
+ */
+function buildFITFile(messages, options = {}) {
+  const { bigEndian = false, corruptCRC = false } = options;
+  const sizes = { 0x00: 1, 0x02: 1, 0x84: 2, 0x85: 4, 0x86: 4 };
+  const chunks = [];
+  const defined = {};
+
+  const writeValue = (baseType, value) => {
+    const buf = Buffer.alloc(sizes[baseType]);
+    const suffix = bigEndian ? 'BE' : 'LE';
+    if (baseType === 0x00 || baseType === 0x02) buf.writeUInt8(value);
+    if (baseType === 0x84) buf[`writeUInt16${suffix}`](value);
+    if (baseType === 0x85) buf[`writeInt32${suffix}`](value);
+    if (baseType === 0x86) buf[`writeUInt32${suffix}`](value);
+    return buf;
+  };
+
+  messages.forEach(message => {
+    const key = `${message.localType}:${message.global}:${message.fields.map(f => f[0]).join(',')}`;
+    if (defined[message.localType] !== key) {
+      const header = Buffer.alloc(6);
+      header.writeUInt8(0x40 | message.localType, 0);
+      header.writeUInt8(bigEndian ? 1 : 0, 2);
+      header[bigEndian ? 'writeUInt16BE' : 'writeUInt16LE'](message.global, 3);
+      header.writeUInt8(message.fields.length, 5);
+      chunks.push(header);
+      message.fields.forEach(([number, baseType]) => {
+        chunks.push(Buffer.from([number, sizes[baseType], baseType]));
+      });
+      defined[message.localType] = key;
+    }
+
+    chunks.push(Buffer.from([message.compressedOffset !== undefined
+      ? 0x80 | (message.localType << 5) | message.compressedOffset
+      : message.localType]));
+    message.fields.forEach(([, baseType, value]) => chunks.push(writeValue(baseType, value)));
+  });
+
+  const data = Buffer.concat(chunks);
+  const header = Buffer.alloc(14);
+  header.writeUInt8(14, 0);
+  header.writeUInt8(0x20, 1);
+  header.writeUInt16LE(2132, 2);
+  header.writeUInt32LE(data.length, 4);
+  header.write('.FIT', 8, 'ascii');
+  header.writeUInt16LE(gpxTcxParser.calculateFITCRC(header, 0, 12), 12);
+
+  const body = Buffer.concat([header, data]);
+  const crc = Buffer.alloc(2);
+  crc.writeUInt16LE(corruptCRC ? 0xBEEF : gpxTcxParser.calculateFITCRC(body, 0, body.length));
+  return Buffer.concat([body, crc]);
+}
+
+function recordMessage(point, options = {}) {
+  const fields = [
+    [0, 0x85, Math.round(point.lat * DEGREES_TO_SEMICIRCLES)],
+    [1, 0x85, Math.round(point.lng * DEGREES_TO_SEMICIRCLES)],
+    [2, 0x84, Math.round((point.alt + 500) * 5)]
+  ];
+  if (!options.compressed) {
+    fields.unshift([253, 0x86, point.time]);
+  }
+  return {
+    localType: 1,
+    global: 20,
+    fields,
+    compressedOffset: options.compressed ? point.time & 0x1F : undefined
+  };
+}
+
+function sampleActivityMessages() {
+  return [
+    { localType: 0, global: 0, fields: [[0, 0x00, 4], [1, 0x84, 1], [4, 0x86, startTime]] },
+    ...samplePoints.map(point => recordMessage(point)),
+    {
+      localType: 2,
+      global: 18,
+      fields: [[2, 0x86, startTime], [5, 0x00, 2], [8, 0x86, 120000], [9, 0x86, 5200], [22, 0x84, 5]]
+    }
+  ];
+}
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+function runTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message || error.error?.message}`);
+    testResults.errors.push({ test: testName, error: error.message || error.error?.message });
+  }
+}
+
+async function expectParsingError(buffer, messageFragment) {
+  try {
+    await gpxTcxParser.parseFITFile(buffer, 'broken.fit');
+    return 'Expected parsing to fail';
+  } catch (error) {
+    return error.success === false &&
+           error.error.format === 'fit' &&
+           error.error.message.includes(messageFragment);
+  }
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting FIT Parser Test Suite\n');
+  console.log('=' .repeat(60));
+
+  // 1. Format Detection Tests
+  console.log('\n🔎 FORMAT DETECTION TESTS');
+  console.log('-'.repeat(30));
+
+  runTest('Should list FIT as a supported format', () => {
+    return gpxTcxParser.isFormatSupported('fit') && gpxTcxParser.isFormatSupported('FIT');
+  });
+
+  runTest('Should detect a valid FIT header', () => {
+    return gpxTcxParser.validateFITFormat(buildFITFile(sampleActivityMessages())) === true;
+  });
+
+  runTest('Should reject XML content as FIT', () => {
+    return gpxTcxParser.validateFITFormat(Buffer.from('<gpx version="1.1"></gpx>', 'utf8')) === false;
+  });
+
+  runTest('Should calculate the reference FIT CRC', () => {
+    // CRC-16 of "123456789" using the FIT polynomial
+    return gpxTcxParser.calculateFITCRC(Buffer.from('123456789', 'ascii'), 0, 9) === 0xBB3D;
+  });
+
+  // 2. FIT Decoding Tests
+  console.log('\n🧮 FIT DECODING TESTS');
+  console.log('-'.repeat(30));
+
+  runTest('Should decode record, session and file_id messages', () => {
+    const messages = gpxTcxParser.decodeFITMessages(buildFITFile(sampleActivityMessages()));
+    return messages.records.length === 3 &&
+           messages.sessions.length === 1 &&
+           messages.fileId.manufacturer === 1;
+  });
+
+  runTest('Should resolve compressed timestamp headers', () => {
+    // Compressed headers only carry a 5-bit offset, so consecutive samples must be < 32s apart
+    const points = [0, 10, 40, 45].map(offset => ({ ...samplePoints[0], time: startTime + offset }));
+    const file = buildFITFile(points.map((point, index) => recordMessage(point, { compressed: index > 0 })));
+    const messages = gpxTcxParser.decodeFITMessages(file);
+    return messages.records.map(r => r.timestamp).join(',') === points.map(p => p.time).join(',');
+  });
+
+  runTest('Should decode big endian messages', () => {
+    const messages = gpxTcxParser.decodeFITMessages(buildFITFile(sampleActivityMessages(), { bigEndian: true }));
+    return messages.records.length === 3 && messages.sessions[0].total_timer_time === 120000;
+  });
+
+  runTest('Should decode chained FIT files', () => {
+    const file = buildFITFile(sampleActivityMessages());
+    const messages = gpxTcxParser.decodeFITMessages(Buffer.concat([file, file]));
+    return messages.records.length === 6;
+  });
+
+  // 3. Normalized Output Tests
+  console.log('\n📐 NORMALIZED OUTPUT TESTS');
+  console.log('-'.repeat(30));
+
+  await runAsyncTest('Should produce [lat, lng] coordinates', async () => {
+    const result = await gpxTcxParser.parseFITFile(buildFITFile(sampleActivityMessages()), 'morning.fit');
+    const [lat, lng] = result.coordinates[0];
+    return result.coordinates.length === 3 &&
+           Math.abs(lat - 40.7128) < 1e-6 &&
+           Math.abs(lng + 74.0060) < 1e-6;
+  });
+
+  await runAsyncTest('Should produce GPX-compatible elevation entries', async () => {
+    const result = await gpxTcxParser.parseFITFile(buildFITFile(sampleActivityMessages()), 'morning.fit');
+    return result.has_elevation === true &&
+           result.elevation[2].index === 2 &&
+           Math.abs(result.elevation[2].elevation_meters - 15) < 0.001 &&
+           Math.abs(result.total_elevation_gain - 5) < 0.001;
+  });
+
+  await runAsyncTest('Should produce ISO timestamps', async () => {
+    const result = await gpxTcxParser.parseFITFile(buildFITFile(sampleActivityMessages()), 'morning.fit');
+    return result.has_timestamps === true &&
+           result.timestamps[0].iso_string === '2024-01-15T10:00:00.000Z' &&
+           result.timestamps[2].iso_string === '2024-01-15T10:02:00.000Z';
+  });
+
+  await runAsyncTest('Should extract sport and session metadata', async () => {
+    const result = await gpxTcxParser.parseFITFile(buildFITFile(sampleActivityMessages()), 'morning.fit');
+    return result.format === 'fit' &&
+           result.source === 'fit_upload' &&
+           result.type === 'Cycling Activity' &&
+           result.metadata.moving_time === 120 &&
+           result.metadata.device_distance === 52 &&
+           result.metadata.filename === 'morning.fit';
+  });
+
+  await runAsyncTest('Should skip records without a GPS fix', async () => {
+    const messages = sampleActivityMessages();
+    messages.splice(2, 0, { localType: 3, global: 20, fields: [[253, 0x86, startTime + 30], [3, 0x02, 140]] });
+    const result = await gpxTcxParser.parseFITFile(buildFITFile(messages), 'gaps.fit');
+    return result.coordinates.length === 3;
+  });
+
+  // 4. Error Handling Tests
+  console.log('\n🚨 ERROR HANDLING TESTS');
+  console.log('-'.repeat(30));
+
+  await runAsyncTest('Should reject non-FIT buffers', async () => {
+    return expectParsingError(Buffer.from('not a fit file at all', 'utf8'), 'Invalid FIT file format');
+  });
+
+  await runAsyncTest('Should reject files with a bad CRC', async () => {
+    return expectParsingError(buildFITFile(sampleActivityMessages(), { corruptCRC: true }), 'CRC mismatch');
+  });
+
+  await runAsyncTest('Should reject truncated files', async () => {
+    const file = buildFITFile(sampleActivityMessages());
+    return expectParsingError(file.slice(0, file.length - 10), 'truncated');
+  });
+
+  await runAsyncTest('Should reject indoor activities without coordinates', async () => {
+    const messages = [{ localType: 0, global: 20, fields: [[253, 0x86, startTime], [3, 0x02, 120]] }];
+    return expectParsingError(buildFITFile(messages), 'No coordinate data found in FIT file');
+  });
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,397 @@
+/**
+ * Shopify Admin API Mock Server
+ *
+ * Local stand-in for the Shopify Admin GraphQL API, used by tests that exercise
+ * services/shopifyAdminClient.js. It speaks the same protocol as Shopify:
+ * - POST /admin/api/<version>/graphql.json with an X-Shopify-Access-Token header
+ * - unsupported versions are served by the oldest supported one, reported in
+ *   the X-Shopify-API-Version response header
+ * - a cost bucket per shop: every response carries extensions.cost, and a query
+ *   the bucket cannot afford gets a THROTTLED error
+ * - GraphQL global IDs, userErrors on mutations, and staged upload targets that
+ *   accept multipart POSTs before fileCreate
+ *
+ * Operations are dispatched on their root field and read their arguments from
+ * variables, which is how the client sends every request; this is not a GraphQL parser.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const SUPPORTED_VERSIONS = ['2024-10', '2025-01', '2025-04'];
+
+function createShopifyAdminMockServer(options = {}) {
+  const accessToken = options.accessToken || 'shpat_mock_token';
+  const supportedVersions = options.supportedVersions || SUPPORTED_VERSIONS;
+  const bucket = {
+    maximumAvailable: options.maximumAvailable || 1000,
+    restoreRate: options.restoreRate || 50,
+    currentlyAvailable: options.maximumAvailable || 1000,
+    updatedAt: Date.now()
+  };
+
+  const state = {
+    orders: new Map(),
+    files: new Map(),
+    stagedUploads: new Map(),
+    requests: [],
+    injectedResponses: []
+  };
+  let nextId = 1000;
+  let server = null;
+  let baseUrl = null;
+
+  const newId = type => `gid://shopify/${type}/${nextId++}`;
+  const toGid = (type, id) => (String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`);
+
+  function refillBucket() {
+    const now = Date.now();
+    const restored = ((now - bucket.updatedAt) / 1000) * bucket.restoreRate;
+    bucket.currentlyAvailable = Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + restored);
+    bucket.updatedAt = now;
+  }
+
+  function throttleStatus() {
+    return {
+      maximumAvailable: bucket.maximumAvailable,
+      currentlyAvailable: Math.floor(bucket.currentlyAvailable),
+      restoreRate: bucket.restoreRate
+    };
+  }
+
+  /**
+   * Rough version of Shopify's calculated cost: mutations cost 10, queries 1
+   * plus 2 per connection
+   */
+  function queryCost(query) {
+    if (/^\s*mutation\b/.test(query)) return 10;
+    return 1 + 2 * (query.match(/[(,]\s*first:/g) || []).length;
+  }
+
+  /**
+   * Add an order with one open fulfillment order covering its line items
+   * @param {Object} order - { id, name, note, shippingAddress, lineItems: [{ id, quantity }] }
+   */
+  function addOrder({ id, name = `#${id}`, note = null, shippingAddress = null, lineItems = [] }) {
+    const orderId = toGid('Order', id);
+    const items = lineItems.map(item => ({ id: toGid('LineItem', item.id), quantity: item.quantity || 1 }));
+    const order = {
+      id: orderId,
+      name,
+      note,
+      shippingAddress,
+      metafields: [],
+      lineItems: items,
+      fulfillments: [],
+      fulfillmentOrders: [{
+        id: newId('FulfillmentOrder'),
+        status: items.length > 0 ? 'OPEN' : 'CLOSED',
+        lineItems: items.map(item => ({
+          id: newId('FulfillmentOrderLineItem'),
+          remainingQuantity: item.quantity,
+          lineItem: { id: item.id }
+        }))
+      }]
+    };
+    state.orders.set(orderId, order);
+    return order;
+  }
+
+  function findFulfillmentOrder(id) {
+    for (const order of state.orders.values()) {
+      const fulfillmentOrder = order.fulfillmentOrders.find(candidate => candidate.id === id);
+      if (fulfillmentOrder) return { order, fulfillmentOrder };
+    }
+    return null;
+  }
+
+  const resolvers = {
+    order(variables) {
+      const order = state.orders.get(variables.id);
+      if (!order) return null;
+      return {
+        id: order.id,
+        name: order.name,
+        note: order.note,
+        shippingAddress: order.shippingAddress,
+        metafields: {
+          nodes: order.metafields
+            .filter(metafield => !variables.namespace || metafield.namespace === variables.namespace)
+            .slice(0, variables.first)
+        },
+        fulfillmentOrders: {
+          nodes: order.fulfillmentOrders.slice(0, variables.first).map(fulfillmentOrder => ({
+            ...fulfillmentOrder,
+            lineItems: { nodes: fulfillmentOrder.lineItems }
+          }))
+        }
+      };
+    },
+
+    metafieldsSet({ metafields }) {
+      const userErrors = [];
+      const saved = [];
+      metafields.forEach((input, index) => {
+        const order = state.orders.get(input.ownerId);
+        if (!order) {
+          userErrors.push({ field: ['metafields', String(index), 'ownerId'], message: 'Owner does not exist.', code: 'INVALID' });
+          return;
+        }
+        if (input.type === 'file_reference' && !state.files.has(input.value)) {
+          userErrors.push({ field: ['metafields', String(index), 'value'], message: 'Value must be a file reference.', code: 'INVALID_VALUE' });
+          return;
+        }
+        let metafield = order.metafields.find(existing => existing.namespace === input.namespace && existing.key === input.key);
+        if (!metafield) {
+          metafield = { id: newId('Metafield'), namespace: input.namespace, key: input.key };
+          order.metafields.push(metafield);
+        }
+        Object.assign(metafield, { type: input.type, value: input.value });
+        saved.push(metafield);
+      });
+      // metafieldsSet is atomic: nothing is returned when any input fails
+      return { metafields: userErrors.length > 0 ? [] : saved, userErrors };
+    },
+
+    orderUpdate({ input }) {
+      const order = state.orders.get(input.id);
+      if (!order) {
+        return { order: null, userErrors: [{ field: ['id'], message: 'Order does not exist' }] };
+      }
+      if (input.note !== undefined) order.note = input.note;
+      return { order: { id: order.id, note: order.note }, userErrors: [] };
+    },
+
+    fulfillmentCreate({ fulfillment }) {
+      const userErrors = [];
+      const updates = [];
+      for (const group of fulfillment.lineItemsByFulfillmentOrder || []) {
+        const found = findFulfillmentOrder(group.fulfillmentOrderId);
+        if (!found || !['OPEN', 'IN_PROGRESS'].includes(found.fulfillmentOrder.status)) {
+          userErrors.push({ field: ['fulfillment'], message: 'Fulfillment order is not open.' });
+          continue;
+        }
+        for (const { id, quantity } of group.fulfillmentOrderLineItems || []) {
+          const item = found.fulfillmentOrder.lineItems.find(candidate => candidate.id === id);
+          if (!item || quantity > item.remainingQuantity) {
+            userErrors.push({ field: ['fulfillment'], message: 'Invalid fulfillment order line item quantity requested.' });
+            continue;
+          }
+          updates.push({ ...found, item, quantity });
+        }
+      }
+      if (userErrors.length > 0 || updates.length === 0) {
+        return { fulfillment: null, userErrors: userErrors.length > 0 ? userErrors : [{ field: ['fulfillment'], message: 'No line items to fulfill.' }] };
+      }
+
+      for (const { item, quantity, fulfillmentOrder } of updates) {
+        item.remainingQuantity -= quantity;
+        if (fulfillmentOrder.lineItems.every(candidate => candidate.remainingQuantity === 0)) {
+          fulfillmentOrder.status = 'CLOSED';
+        }
+      }
+      const tracking = fulfillment.trackingInfo || {};
+      const created = {
+        id: newId('Fulfillment'),
+        status: 'SUCCESS',
+        trackingInfo: tracking.number ? [{ company: tracking.company || null, number: tracking.number, url: tracking.url || null }] : [],
+        notifyCustomer: Boolean(fulfillment.notifyCustomer)
+      };
+      updates[0].order.fulfillments.push(created);
+      return { fulfillment: { id: created.id, status: created.status, trackingInfo: created.trackingInfo }, userErrors: [] };
+    },
+
+    stagedUploadsCreate({ input }) {
+      const stagedTargets = input.map(upload => {
+        const token = crypto.randomBytes(8).toString('hex');
+        const key = `tmp/${token}/${upload.filename}`;
+        state.stagedUploads.set(token, { key, filename: upload.filename, mimeType: upload.mimeType, uploaded: false });
+        return {
+          url: `${baseUrl}/staged-uploads/${token}`,
+          resourceUrl: `${baseUrl}/staged-uploads/${token}/${key}`,
+          parameters: [
+            { name: 'key', value: key },
+            { name: 'Content-Type', value: upload.mimeType },
+            { name: 'policy', value: Buffer.from(JSON.stringify({ key })).toString('base64') }
+          ]
+        };
+      });
+      return { stagedTargets, userErrors: [] };
+    },
+
+    fileCreate({ files }) {
+      const userErrors = [];
+      const created = files.map((input, index) => {
+        const token = (input.originalSource.match(/\/staged-uploads\/([0-9a-f]+)\//) || [])[1];
+        const upload = token && state.stagedUploads.get(token);
+        if (!upload?.uploaded) {
+          userErrors.push({ field: ['files', String(index), 'originalSource'], message: 'File URL is invalid', code: 'INVALID' });
+          return null;
+        }
+        const file = {
+          id: newId('GenericFile'),
+          fileStatus: 'UPLOADED',
+          alt: input.alt || '',
+          url: null,
+          filename: upload.filename,
+          size: upload.size
+        };
+        state.files.set(file.id, file);
+        return { id: file.id, fileStatus: file.fileStatus, alt: file.alt, url: file.url };
+      });
+      return { files: userErrors.length > 0 ? [] : created, userErrors };
+    }
+  };
+
+  function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function handleGraphql(req, res, body, requestedVersion) {
+    const apiVersion = supportedVersions.includes(requestedVersion) ? requestedVersion : supportedVersions[0];
+    const versionHeader = { 'X-Shopify-API-Version': apiVersion };
+
+    if (req.headers['x-shopify-access-token'] !== accessToken) {
+      return sendJson(res, 401, { errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' }, versionHeader);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString());
+    } catch (error) {
+      return sendJson(res, 400, { errors: 'Invalid JSON in request body' }, versionHeader);
+    }
+
+    const query = payload.query || '';
+    const variables = payload.variables || {};
+    const rootField = (query.match(/\{\s*(\w+)/) || [])[1];
+    state.requests.push({ apiVersion, operationName: payload.operationName || null, rootField, variables });
+
+    const injected = state.injectedResponses.shift();
+    if (injected) {
+      return sendJson(res, injected.status, injected.body || { errors: 'Internal error' }, { ...versionHeader, ...(injected.headers || {}) });
+    }
+
+    refillBucket();
+    const requestedQueryCost = queryCost(query);
+    if (requestedQueryCost > bucket.currentlyAvailable) {
+      return sendJson(res, 200, {
+        errors: [{
+          message: 'Throttled',
+          extensions: { code: 'THROTTLED', documentation: 'https://shopify.dev/api/usage/rate-limits' }
+        }],
+        extensions: { cost: { requestedQueryCost, actualQueryCost: null, throttleStatus: throttleStatus() } }
+      }, versionHeader);
+    }
+
+    const resolver = resolvers[rootField];
+    if (!resolver) {
+      return sendJson(res, 200, {
+        errors: [{ message: `Field '${rootField}' doesn't exist on type 'QueryRoot'`, extensions: { code: 'undefinedField' } }]
+      }, versionHeader);
+    }
+
+    bucket.currentlyAvailable -= requestedQueryCost;
+    sendJson(res, 200, {
+      data: { [rootField]: resolver(variables) },
+      extensions: { cost: { requestedQueryCost, actualQueryCost: requestedQueryCost, throttleStatus: throttleStatus() } }
+    }, versionHeader);
+  }
+
+  /**
+   * Staged upload target: a multipart form whose fields must include the key
+   * handed out by stagedUploadsCreate, followed by the file
+   */
+  function handleStagedUpload(req, res, body, token) {
+    const upload = state.stagedUploads.get(token);
+    const boundary = (req.headers['content-type'] || '').match(/boundary=(?:"([^"]+)"|([^;]+))/);
+    if (!upload || !boundary) {
+      res.writeHead(400);
+      return res.end();
+    }
+
+    const parts = body.toString('latin1').split(`--${boundary[1] || boundary[2]}`);
+    const fields = {};
+    let fileSize = null;
+    for (const part of parts) {
+      const name = (part.match(/name="([^"]+)"/) || [])[1];
+      const contentStart = part.indexOf('\r\n\r\n');
+      if (!name || contentStart === -1) continue;
+      const content = part.slice(contentStart + 4, part.length - 2);
+      if (/filename="/.test(part)) {
+        fileSize = Buffer.byteLength(content, 'latin1');
+      } else {
+        fields[name] = content;
+      }
+    }
+
+    if (fields.key !== upload.key || fileSize === null) {
+      res.writeHead(403);
+      return res.end();
+    }
+
+    Object.assign(upload, { uploaded: true, size: fileSize });
+    res.writeHead(204);
+    res.end();
+  }
+
+  return {
+    accessToken,
+    state,
+    bucket,
+    addOrder,
+
+    getOrder(id) {
+      return state.orders.get(toGid('Order', id)) || null;
+    },
+
+    /**
+     * Answer the next GraphQL request with this response instead (e.g. a 503 or 429)
+     */
+    injectResponse(status, body = null, headers = {}) {
+      state.injectedResponses.push({ status, body, headers });
+    },
+
+    /**
+     * Set the points currently left in the bucket
+     */
+    setAvailablePoints(points) {
+      bucket.currentlyAvailable = points;
+      bucket.updatedAt = Date.now();
+    },
+
+    async start() {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          const body = Buffer.concat(chunks);
+          const graphqlMatch = req.url.match(/^\/admin\/api\/([^/]+)\/graphql\.json$/);
+          const uploadMatch = req.url.match(/^\/staged-uploads\/([0-9a-f]+)$/);
+
+          if (req.method === 'POST' && graphqlMatch) {
+            return handleGraphql(req, res, body, graphqlMatch[1]);
+          }
+          if (req.method === 'POST' && uploadMatch) {
+            return handleStagedUpload(req, res, body, uploadMatch[1]);
+          }
+          sendJson(res, 404, { errors: 'Not Found' });
+        });
+      });
+
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return baseUrl;
+    },
+
+    async stop() {
+      if (server) {
+        await new Promise(resolve => server.close(resolve));
+        server = null;
+      }
+    }
+  };
+}
+
+module.exports = { createShopifyAdminMockServer, SUPPORTED_VERSIONS };
@@ -0,0 +1,411 @@
+/**
+ * Order Cancellation Test Suite
+ *
+ * Validates that cancelled, refunded and edited orders never end up with a
+ * printable map: queued jobs are cancelled, generated files are quarantined
+ * and fulfillment is refused. Storage, queue and ledger files live in a
+ * temporary directory.
+ *
+ * Test Categories:
+ * 1. Quarantine Storage Tests
+ * 2. Job Withdrawal Tests
+ * 3. Refund Ledger Tests
+ * 4. Generation and Fulfillment Guard Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const fileStorageService = require('../services/fileStorageService');
+const { LocalStorageDriver } = require('../services/storageDrivers');
+const webhookLedger = require('../services/webhookLedger');
+const { WebhookLedger } = require('../services/webhookLedger');
+const { BackgroundJobManager } = require('../services/backgroundJobManager');
+const orderUpdateService = require('../services/orderUpdateService');
+const orderMapService = require('../services/orderMapService');
+const { ShopifyAdminClient } = require('../services/shopifyAdminClient');
+const { createShopifyAdminMockServer } = require('./mocks/shopify-admin-mock-server');
+
+let tempDir = null;
+const managers = [];
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+/**
+ * Point the shared services at the temporary directory
+ */
+async function useTemporaryStorage() {
+  const storageDir = path.join(tempDir, 'generated-maps');
+  fileStorageService.baseDir = storageDir;
+  fileStorageService.directories = Object.fromEntries(
+    Object.keys(fileStorageService.directories).map(type => [type, path.join(storageDir, type)])
+  );
+  fileStorageService.driver = new LocalStorageDriver({ baseDir: storageDir });
+  fileStorageService.isInitialized = false;
+  await fileStorageService.initialize();
+
+  await webhookLedger.ready;
+  webhookLedger.persistenceFile = path.join(tempDir, 'webhook-ledger.json');
+}
+
+async function writeGeneratedFile(subdirectory, filename) {
+  const dir = path.join(fileStorageService.baseDir, subdirectory);
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, filename);
+  await fs.writeFile(filePath, 'poster');
+  return filePath;
+}
+
+async function createManager(name, executeJob) {
+  const manager = new BackgroundJobManager({
+    persistenceFile: path.join(tempDir, `${name}-queue.json`),
+    retryBackoff: 0,
+    leaseDuration: 1000,
+    heartbeatInterval: 200
+  });
+  manager.executeJob = executeJob;
+  managers.push(manager);
+  await manager.ready;
+  return manager;
+}
+
+async function waitForStatus(manager, jobId, status, timeout = 3000) {
+  const started = Date.now();
+  while (Date.now() - started < timeout) {
+    if (manager.getJob(jobId)?.status === status) {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return manager.getJob(jobId);
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true).catch(() => false);
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Order Cancellation Test Suite\n');
+  console.log('=' .repeat(60));
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'order-cancellation-test-'));
+  await useTemporaryStorage();
+
+  try {
+    // 1. Quarantine Storage Tests
+    console.log('\n🔒 QUARANTINE STORAGE TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should move a generated file into quarantine with the reason', async () => {
+      const filePath = await writeGeneratedFile('print-ready', 'order_100_map.png');
+      const result = await fileStorageService.quarantineFile(filePath, {
+        reason: 'Order cancelled (customer)',
+        orderId: 100,
+        lineItemId: 1
+      });
+
+      const metadata = JSON.parse(await fs.readFile(result.metadataPath, 'utf8'));
+      return !(await exists(filePath)) &&
+             await exists(path.join(fileStorageService.directories.quarantine, 'order_100_map.png')) &&
+             metadata.quarantineReason === 'Order cancelled (customer)' &&
+             metadata.previousType === 'print-ready' &&
+             metadata.orderId === 100;
+    });
+
+    await runAsyncTest('Should keep both files when quarantined names collide', async () => {
+      const first = await writeGeneratedFile('print-ready', 'duplicate.png');
+      await fileStorageService.quarantineFile(first, { reason: 'first' });
+      const second = await writeGeneratedFile('completed', 'duplicate.png');
+      const result = await fileStorageService.quarantineFile(second, { reason: 'second' });
+
+      const firstMetadata = JSON.parse(await fs.readFile(
+        path.join(fileStorageService.directories.metadata, 'duplicate_metadata.json'), 'utf8'
+      ));
+      return result.filename !== 'duplicate.png' &&
+             result.filename.startsWith('duplicate_') &&
+             firstMetadata.quarantineReason === 'first';
+    });
+
+    await runAsyncTest('Should carry over metadata for files saved through the storage service', async () => {
+      const saved = await fileStorageService.saveMapFile(Buffer.from('poster'), {
+        userId: 'athlete1',
+        activityId: 'activity1',
+        format: 'A4',
+        type: 'permanent'
+      });
+      await fileStorageService.quarantineFile(saved.filePath, { reason: 'Line item refunded' });
+      const metadata = await fileStorageService.getFileMetadata(saved.filename);
+
+      return metadata.type === 'quarantine' &&
+             metadata.previousType === 'permanent' &&
+             metadata.userId === 'athlete1' &&
+             metadata.exists === true;
+    });
+
+    await runAsyncTest('Should refuse to quarantine files outside the storage directory', async () => {
+      const outside = path.join(tempDir, 'outside.png');
+      await fs.writeFile(outside, 'poster');
+      try {
+        await fileStorageService.quarantineFile(outside, { reason: 'test' });
+        return 'Expected quarantine to be refused';
+      } catch (error) {
+        return error.code === 'ACCESS_DENIED' && await exists(outside);
+      }
+    });
+
+    // 2. Job Withdrawal Tests
+    console.log('\n🚫 JOB WITHDRAWAL TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should quarantine the file of a completed job when it is cancelled', async () => {
+      const manager = await createManager('completed', async (job) => {
+        const filePath = await writeGeneratedFile('print-ready', `${job.id}.png`);
+        return { filePath, fileName: path.basename(filePath) };
+      });
+
+      const job = await manager.createJob({ type: 'order', orderId: 200, lineItemId: 1 });
+      const completed = await waitForStatus(manager, job.id, 'completed');
+      const originalPath = completed.filePath;
+
+      await manager.cancelJob(job.id, 'Order refunded');
+      const cancelled = manager.getJob(job.id);
+
+      return cancelled.status === 'cancelled' &&
+             cancelled.previousStatus === 'completed' &&
+             cancelled.cancelReason === 'Order refunded' &&
+             cancelled.filePath === null &&
+             !(await exists(originalPath)) &&
+             await exists(cancelled.quarantinedPath);
+    });
+
+    await runAsyncTest('Should quarantine output rendered after the job was cancelled', async () => {
+      let release;
+      const gate = new Promise(resolve => { release = resolve; });
+      const manager = await createManager('in-flight', async () => gate);
+
+      const job = await manager.createJob({ type: 'order', orderId: 201, lineItemId: 1 });
+      await waitForStatus(manager, job.id, 'processing');
+      await manager.cancelJob(job.id, 'Order cancelled');
+
+      const filePath = await writeGeneratedFile('print-ready', 'late-render.png');
+      release({ filePath, fileName: 'late-render.png' });
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      const cancelled = manager.getJob(job.id);
+      return cancelled.status === 'cancelled' &&
+             !(await exists(filePath)) &&
+             !!cancelled.quarantinedPath;
+    });
+
+    await runAsyncTest('Should cancel instead of retrying when generation reports a withdrawn order', async () => {
+      const manager = await createManager('withdrawn', async () => {
+        const error = new Error('Order cancelled (fraud)');
+        error.code = 'ORDER_CANCELLED';
+        throw error;
+      });
+
+      const job = await manager.createJob({ type: 'order', orderId: 202, lineItemId: 1 });
+      const finished = await waitForStatus(manager, job.id, 'cancelled');
+
+      return finished.status === 'cancelled' &&
+             finished.retryCount === 0 &&
+             finished.cancelReason === 'Order cancelled (fraud)';
+    });
+
+    // 3. Refund Ledger Tests
+    console.log('\n💸 REFUND LEDGER TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should withdraw a line item once it is fully refunded', async () => {
+      const ledger = new WebhookLedger({ persistenceFile: path.join(tempDir, 'refund-full.json') });
+      const { fullyRefunded } = await ledger.recordRefund({
+        id: 9001,
+        order_id: 300,
+        refund_line_items: [{ line_item_id: 1, quantity: 1, line_item: { id: 1, quantity: 1 } }]
+      });
+
+      return fullyRefunded.includes('1') &&
+             ledger.getWithdrawalReason(300, 1) === 'Line item refunded' &&
+             ledger.getWithdrawalReason(300, 2) === null;
+    });
+
+    await runAsyncTest('Should keep a line item after a partial refund', async () => {
+      const ledger = new WebhookLedger({ persistenceFile: path.join(tempDir, 'refund-partial.json') });
+      await ledger.recordRefund({
+        id: 9002,
+        order_id: 301,
+        refund_line_items: [{ line_item_id: 1, quantity: 1, line_item: { id: 1, quantity: 2 } }]
+      });
+
+      return ledger.isLineItemRefunded(301, 1) === false;
+    });
+
+    await runAsyncTest('Should not count a redelivered refund twice', async () => {
+      const ledger = new WebhookLedger({ persistenceFile: path.join(tempDir, 'refund-redelivered.json') });
+      const refund = {
+        id: 9003,
+        order_id: 302,
+        refund_line_items: [{ line_item_id: 1, quantity: 1, line_item: { id: 1, quantity: 2 } }]
+      };
+      await ledger.recordRefund(refund);
+      await ledger.recordRefund(refund);
+
+      return ledger.isLineItemRefunded(302, 1) === false &&
+             ledger.getOrderState(302).refunds.length === 1;
+    });
+
+    await runAsyncTest('Should key refund deliveries by refund when there is no webhook ID', async () => {
+      const ledger = new WebhookLedger({ persistenceFile: path.join(tempDir, 'refund-keys.json') });
+      const first = await ledger.beginDelivery({ topic: 'refunds/create', orderId: 303, resourceId: 1 });
+      await ledger.completeDelivery(first.key);
+      const second = await ledger.beginDelivery({ topic: 'refunds/create', orderId: 303, resourceId: 2 });
+
+      return second.duplicate === false;
+    });
+
+    await runAsyncTest('Should withdraw orders that are refunded or voided, or line items removed by an edit', async () => {
+      const ledger = new WebhookLedger({ persistenceFile: path.join(tempDir, 'order-updates.json') });
+      await ledger.recordOrderEvent({ id: 304, financial_status: 'refunded' }, 'orders/updated');
+      await ledger.recordOrderEvent({
+        id: 305,
+        financial_status: 'paid',
+        line_items: [{ id: 1, current_quantity: 0 }, { id: 2, current_quantity: 1 }]
+      }, 'orders/updated');
+
+      return ledger.getWithdrawalReason(304) === 'Order refunded' &&
+             ledger.getWithdrawalReason(305, 1) === 'Line item removed from order' &&
+             ledger.getWithdrawalReason(305, 2) === null;
+    });
+
+    // 4. Generation and Fulfillment Guard Tests
+    console.log('\n🛑 GENERATION AND FULFILLMENT GUARD TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should refuse to generate a map for a cancelled order', async () => {
+      try {
+        await orderMapService.generateMapFromOrder(
+          { id: 400, name: '#400', cancelled_at: '2025-01-01T00:00:00Z', cancel_reason: 'customer' },
+          { id: 1, properties: [] },
+          'orders/paid'
+        );
+        return 'Expected generation to be refused';
+      } catch (error) {
+        return error.code === 'ORDER_CANCELLED' && error.message === 'Order cancelled (customer)';
+      }
+    });
+
+    await runAsyncTest('Should refuse to generate a map once the ledger records a cancellation', async () => {
+      await webhookLedger.recordOrderEvent({ id: 401, cancelled_at: '2025-01-01T00:00:00Z' }, 'orders/cancelled');
+      try {
+        await orderMapService.generateMapFromOrder({ id: 401, name: '#401' }, { id: 1, properties: [] }, 'orders/paid');
+        return 'Expected generation to be refused';
+      } catch (error) {
+        return error.code === 'ORDER_CANCELLED';
+      }
+    });
+
+    await runAsyncTest('Should not fulfill a cancelled job', async () => {
+      const result = await orderUpdateService.fulfillOrder(402, {
+        id: 'job_1',
+        status: 'cancelled',
+        cancelReason: 'Order cancelled (customer)'
+      });
+      return result.skipped === true && result.reason === 'Order cancelled (customer)';
+    });
+
+    await runAsyncTest('Should not fulfill an order the ledger records as cancelled', async () => {
+      await webhookLedger.recordOrderEvent({ id: 403, cancelled_at: '2025-01-01T00:00:00Z' }, 'orders/cancelled');
+      const result = await orderUpdateService.fulfillOrder(403, { id: 'job_2', status: 'completed', lineItemId: 1 });
+      return result.skipped === true && result.reason === 'Order cancelled';
+    });
+
+    await runAsyncTest('Should still fulfill orders that were not withdrawn', async () => {
+      const mockShopify = createShopifyAdminMockServer();
+      const adminApiUrl = await mockShopify.start();
+      mockShopify.addOrder({ id: 404, lineItems: [{ id: 1 }] });
+      orderUpdateService.adminClient = new ShopifyAdminClient({
+        shopifyConfig: {},
+        adminApiUrl,
+        accessToken: mockShopify.accessToken
+      });
+
+      try {
+        const result = await orderUpdateService.fulfillOrder(404, { id: 'job_3', status: 'completed', lineItemId: 1 }, {
+          line_items: [{ id: 1 }]
+        });
+        return !result.skipped && result.fulfillment.status === 'SUCCESS' &&
+               mockShopify.getOrder(404).fulfillments.length === 1;
+      } finally {
+        orderUpdateService.adminClient = null;
+        await mockShopify.stop();
+      }
+    });
+  } finally {
+    for (const manager of managers) {
+      await manager.shutdown();
+    }
+    await webhookLedger.persistChain;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
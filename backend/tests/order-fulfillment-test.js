@@ -1,10 +1,14 @@
 /**
  * Order Fulfillment Test Suite
  * Tests the complete order fulfillment workflow for high-resolution map generation
+ * Shopify order updates run against the local mock Admin API (tests/mocks/shopify-admin-mock-server.js)
  */
 
 const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const { createShopifyAdminMockServer } = require('./mocks/shopify-admin-mock-server');
 
 // Test helper to create mock order data
 function createMockOrderData() {
@@ -258,6 +262,174 @@ async function testOrderFulfillmentWorkflow() {
   }
 }
 
+// Test helper to start the mock Admin API with an order, and a client pointed at it
+async function startMockShopify(clientOptions = {}, serverOptions = {}) {
+  const { ShopifyAdminClient } = require('../services/shopifyAdminClient');
+  const mockShopify = createShopifyAdminMockServer(serverOptions);
+  const adminApiUrl = await mockShopify.start();
+  mockShopify.addOrder({ id: 5001, name: '#5001', note: 'Gift wrap please', lineItems: [{ id: 7001, quantity: 1 }] });
+
+  const sleeps = [];
+  const client = new ShopifyAdminClient({
+    shopifyConfig: {},
+    adminApiUrl,
+    accessToken: mockShopify.accessToken,
+    apiVersion: '2025-01',
+    baseDelay: 5,
+    sleep: ms => {
+      sleeps.push(ms);
+      return new Promise(resolve => setTimeout(resolve, ms));
+    },
+    ...clientOptions
+  });
+  return { mockShopify, client, sleeps };
+}
+
+async function testShopifyOrderUpdates() {
+  console.log('🧪 Testing Shopify order updates against the mock Admin API...');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'order-fulfillment-test-'));
+  const { mockShopify, client } = await startMockShopify();
+
+  try {
+    const { OrderUpdateService } = require('../services/orderUpdateService');
+    const service = new OrderUpdateService({ adminClient: client, shopifyConfig: { uploadPrintFiles: true } });
+    const filePath = path.join(tempDir, 'map_5001_A4-portrait.png');
+    await fs.writeFile(filePath, Buffer.alloc(2048, 1));
+    const job = {
+      id: 'job_5001',
+      status: 'completed',
+      lineItemId: 7001,
+      fileName: 'map_5001_A4-portrait.png',
+      filePath,
+      completedAt: new Date().toISOString()
+    };
+
+    console.log('   • Testing metafields, print file upload and order note...');
+    const result = await service.addMapFileToOrder(5001, job);
+    const order = mockShopify.getOrder(5001);
+    const printFileMetafield = order.metafields.find(metafield => metafield.key === 'map_print_file');
+    assert.strictEqual(result.mapFileMetafield.value, 'map_5001_A4-portrait.png');
+    assert.ok(result.mapFileMetafield.id.startsWith('gid://shopify/Metafield/'));
+    assert.strictEqual(printFileMetafield.type, 'file_reference');
+    assert.strictEqual(printFileMetafield.value, result.printFile.id);
+    assert.strictEqual(mockShopify.state.files.get(result.printFile.id).size, 2048);
+    assert.ok(order.note.startsWith('Gift wrap please\n\n🗺️ Custom Map Generated Successfully'));
+    assert.ok(order.note.includes('Map generation job ID: job_5001'));
+
+    console.log('   • Testing metafield lookup...');
+    assert.strictEqual(await service.orderHasMapFile(5001), true);
+    assert.strictEqual(await service.orderHasMapFile(5999), false);
+
+    console.log('   • Testing fulfillment through fulfillment orders...');
+    const fulfilled = await service.fulfillOrder(5001, job);
+    assert.strictEqual(fulfilled.success, true);
+    assert.strictEqual(fulfilled.fulfillment.status, 'SUCCESS');
+    assert.strictEqual(fulfilled.fulfillment.trackingInfo[0].number, 'job_5001');
+    assert.strictEqual(order.fulfillmentOrders[0].status, 'CLOSED');
+
+    const again = await service.fulfillOrder(5001, job);
+    assert.strictEqual(again.skipped, true);
+    assert.ok(again.reason.includes('No open fulfillment order'));
+
+    console.log('   • Testing userErrors...');
+    await assert.rejects(
+      client.setMetafields('gid://shopify/Order/5999', [{ namespace: 'custom_maps', key: 'map_file_name', type: 'single_line_text_field', value: 'x' }]),
+      error => error.code === 'USER_ERRORS' && error.userErrors[0].message === 'Owner does not exist.'
+    );
+
+    console.log('✅ Shopify order updates working correctly');
+    return true;
+  } catch (error) {
+    console.error('❌ Shopify order update test failed:', error.message);
+    return false;
+  } finally {
+    await mockShopify.stop();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function testShopifyRateLimits() {
+  console.log('🧪 Testing Shopify cost-based rate limit handling...');
+
+  const { mockShopify, client, sleeps } = await startMockShopify({}, { maximumAvailable: 40, restoreRate: 100 });
+
+  try {
+    console.log('   • Testing THROTTLED retry...');
+    mockShopify.setAvailablePoints(0);
+    const metafields = await client.getOrderMetafields(5001);
+    assert.deepStrictEqual(metafields, []);
+    assert.strictEqual(client.stats.throttled, 1);
+    assert.ok(sleeps.length === 1 && sleeps[0] > 0 && sleeps[0] <= 100, `Unexpected throttle wait ${sleeps[0]}`);
+
+    console.log('   • Testing wait for budget before sending...');
+    mockShopify.setAvailablePoints(0);
+    client.throttleStatus = { ...client.throttleStatus, currentlyAvailable: 0 };
+    client.throttleObservedAt = Date.now();
+    const throttledBefore = client.stats.throttled;
+    await client.getOrderMetafields(5001);
+    assert.strictEqual(client.stats.throttled, throttledBefore);
+    assert.ok(client.stats.throttleWaitMs > 0);
+
+    console.log('   • Testing 5xx and 429 retries...');
+    mockShopify.injectResponse(503);
+    mockShopify.injectResponse(429, { errors: 'Exceeded 2 calls per second for api client.' }, { 'Retry-After': '0.02' });
+    const retriesBefore = client.stats.retries;
+    sleeps.length = 0;
+    await client.getOrderMetafields(5001);
+    assert.strictEqual(client.stats.retries - retriesBefore, 2);
+    assert.strictEqual(sleeps[sleeps.length - 1], 20);
+
+    console.log('   • Testing retry limit...');
+    const limited = new (require('../services/shopifyAdminClient').ShopifyAdminClient)({ ...client.options, maxRetries: 1 });
+    mockShopify.injectResponse(502);
+    mockShopify.injectResponse(502);
+    await assert.rejects(limited.getOrderMetafields(5001), error => error.code === 'HTTP_ERROR' && error.status === 502);
+
+    console.log('✅ Rate limit handling working correctly');
+    return true;
+  } catch (error) {
+    console.error('❌ Rate limit handling test failed:', error.message);
+    return false;
+  } finally {
+    await mockShopify.stop();
+  }
+}
+
+async function testShopifyApiVersionPinning() {
+  console.log('🧪 Testing Shopify API version pinning and authentication...');
+
+  const { mockShopify, client } = await startMockShopify({ apiVersion: '2023-01' });
+
+  try {
+    const { ShopifyAdminClient } = require('../services/shopifyAdminClient');
+
+    console.log('   • Testing requests use the pinned version...');
+    await client.getOrderMetafields(5001);
+    assert.strictEqual(mockShopify.state.requests[0].operationName, 'OrderMetafields');
+    assert.strictEqual(client.getStats().apiVersion, '2023-01');
+    assert.strictEqual(client.getStats().servedApiVersion, '2024-10');
+
+    console.log('   • Testing invalid access tokens are not retried...');
+    const unauthorized = new ShopifyAdminClient({ ...client.options, accessToken: 'shpat_wrong' });
+    const requestCount = mockShopify.state.requests.length;
+    await assert.rejects(unauthorized.getOrderMetafields(5001), error => error.code === 'HTTP_ERROR' && error.status === 401);
+    assert.strictEqual(mockShopify.state.requests.length, requestCount);
+
+    console.log('   • Testing missing configuration...');
+    const unconfigured = new ShopifyAdminClient({ shopifyConfig: {} });
+    await assert.rejects(unconfigured.getOrderMetafields(5001), error => error.code === 'NOT_CONFIGURED');
+
+    console.log('✅ API version pinning working correctly');
+    return true;
+  } catch (error) {
+    console.error('❌ API version pinning test failed:', error.message);
+    return false;
+  } finally {
+    await mockShopify.stop();
+  }
+}
+
 // Main test runner
 async function runTests() {
   console.log('🚀 Starting Order Fulfillment Test Suite\n');
@@ -267,7 +439,10 @@ async function runTests() {
     testConfigurationExtraction,
     testMapConfigValidation,
     testStravaServiceEnhancements,
-    testOrderFulfillmentWorkflow
+    testOrderFulfillmentWorkflow,
+    testShopifyOrderUpdates,
+    testShopifyRateLimits,
+    testShopifyApiVersionPinning
   ];
   
   let passed = 0;
@@ -0,0 +1,343 @@
+/**
+ * Poster Typography Test Suite
+ *
+ * Validates the shared typography layout engine used by the designer preview,
+ * the Puppeteer and canvas print renders and the PDF/SVG exports.
+ *
+ * Test Categories:
+ * 1. Settings Tests
+ * 2. Layout Tests
+ * 3. Formatting Tests
+ * 4. Stats Panel Tests
+ * 5. Renderer Tests
+ * 6. Print Pipeline Tests
+ */
+
+const PosterTypography = require('@print-my-ride/map-engines/poster-typography');
+const mapService = require('../services/mapService');
+const { PrintDocumentService } = require('../services/printDocumentService');
+const { transformPosterStats } = require('../utils/dataTransformers');
+
+const frame = { x: 100, y: 100, width: 2000, height: 3000 };
+
+const stats = {
+  distance: 53312,
+  elevation: 742.6,
+  date: '2023-06-04T07:15:00Z',
+  movingTime: 7509
+};
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Poster Typography Test Suite\n');
+  console.log('=' .repeat(60));
+
+  // 1. Settings Tests
+  console.log('\n⚙️  SETTINGS TESTS');
+  console.log('-'.repeat(30));
+
+  await runAsyncTest('Should read order customization and fall back to defaults', async () => {
+    const settings = PosterTypography.resolveSettings({
+      customization: { mainTitle: 'Ride', subtitle: 'Alps', textAlign: 'justify', showStats: true }
+    });
+    return settings.title === 'Ride' && settings.subtitle === 'Alps' &&
+           settings.textAlign === 'center' && settings.showStats === true &&
+           settings.fontFamily === PosterTypography.DEFAULTS.fontFamily;
+  });
+
+  await runAsyncTest('Should prefer design settings over customization and legacy titles', async () => {
+    const settings = PosterTypography.resolveSettings({
+      title: 'Legacy',
+      customization: { mainTitle: 'Customization' },
+      settings: { mainTitle: 'Settings' }
+    });
+    const legacy = PosterTypography.resolveSettings({ title: 'Legacy' });
+    return settings.title === 'Settings' && legacy.title === 'Legacy';
+  });
+
+  await runAsyncTest('Should take coordinates from the route start', async () => {
+    const settings = PosterTypography.resolveSettings({
+      route: { coordinates: [[-0.1278, 51.5074], [-0.12, 51.51]] },
+      settings: { showCoordinates: true }
+    });
+    return settings.coordinates.lat === 51.5074 && settings.coordinates.lng === -0.1278;
+  });
+
+  // 2. Layout Tests
+  console.log('\n📐 LAYOUT TESTS');
+  console.log('-'.repeat(30));
+
+  await runAsyncTest('Should stack the header from the top of the frame', async () => {
+    const [title, subtitle] = PosterTypography.layout(
+      PosterTypography.resolveSettings({ mainTitle: 'Title', subtitle: 'Subtitle' }),
+      frame
+    );
+    return title.x === 1100 && title.y === 100 + 3000 * 0.05 &&
+           title.fontSize === 2000 * PosterTypography.SCALE.title &&
+           subtitle.y === title.y + title.fontSize * PosterTypography.LINE_HEIGHT;
+  });
+
+  await runAsyncTest('Should scale proportionally with the frame', async () => {
+    const settings = PosterTypography.resolveSettings({ mainTitle: 'Title', subtitle: 'Subtitle', showStats: true, stats });
+    const print = PosterTypography.layout(settings, { x: 0, y: 0, width: 2480, height: 3508 });
+    const preview = PosterTypography.layout(settings, { x: 0, y: 0, width: 595, height: 841.6 });
+    const ratio = 2480 / 595;
+
+    return print.every((block, index) => {
+      const small = preview[index];
+      return Math.abs(block.fontSize / small.fontSize - ratio) < 0.01 &&
+             Math.abs(block.y / small.y - ratio) < 0.01;
+    });
+  });
+
+  await runAsyncTest('Should anchor the stats and coordinates above the bottom of the frame', async () => {
+    const blocks = PosterTypography.layout(PosterTypography.resolveSettings({
+      showStats: true,
+      stats,
+      showCoordinates: true,
+      coordinates: { lat: 51.5, lng: -0.12 }
+    }), frame);
+    const [statsBlock, coordinatesBlock] = blocks;
+    const bottom = 100 + 3000 * PosterTypography.FOOTER_BOTTOM;
+
+    return blocks.length === 2 && statsBlock.id === 'stats' &&
+           Math.abs(coordinatesBlock.y + coordinatesBlock.fontSize - bottom) < 1e-9 &&
+           statsBlock.y < coordinatesBlock.y;
+  });
+
+  await runAsyncTest('Should position text by alignment', async () => {
+    const left = PosterTypography.layout(PosterTypography.resolveSettings({ mainTitle: 'A', textAlign: 'left' }), frame)[0];
+    const right = PosterTypography.layout(PosterTypography.resolveSettings({ mainTitle: 'A', textAlign: 'right' }), frame)[0];
+    return left.x === 100 && left.align === 'left' && right.x === 2100 && right.align === 'right';
+  });
+
+  await runAsyncTest('Should shrink text to the frame width using the renderer measure', async () => {
+    const measure = (text, font) => text.length * parseFloat(font.split(' ')[1]) * 0.7;
+    const [title] = PosterTypography.layout(
+      PosterTypography.resolveSettings({ mainTitle: 'A very long ride title that runs off the poster' }),
+      frame,
+      measure
+    );
+    return title.fontSize < 100 && measure(title.text, PosterTypography.font(title.fontSize, 'bold', 'Arial')) <= frame.width;
+  });
+
+  await runAsyncTest('Should inset previews by the format safe zone', async () => {
+    const safe = PosterTypography.getSafeFrame('a4', 'portrait', 2480, 3508);
+    const unknown = PosterTypography.getSafeFrame('SQUARE_SMALL', 'portrait', 100, 100);
+    return Math.abs(safe.x - 2480 * 6 / 210) < 1e-9 && unknown.x === 0 && unknown.width === 100;
+  });
+
+  // 3. Formatting Tests
+  console.log('\n🔤 FORMATTING TESTS');
+  console.log('-'.repeat(30));
+
+  await runAsyncTest('Should format the stats block', async () => {
+    const text = PosterTypography.formatStats(stats);
+    const partial = PosterTypography.formatStats({ distance: 1000 }, ['distance', 'time']);
+    return text === '53.3 km · 743 m · 4 Jun 2023 · 2:05:09' && partial === '1.0 km';
+  });
+
+  await runAsyncTest('Should format dates independently of time zone', async () => {
+    return PosterTypography.formatDate('2023-12-31T23:30:00Z') === '31 Dec 2023' &&
+           PosterTypography.formatDate('not a date') === '';
+  });
+
+  await runAsyncTest('Should format coordinates with hemispheres', async () => {
+    return PosterTypography.formatCoordinates({ lat: 51.50735, lng: -0.12776 }) === '51.5074° N, 0.1278° W' &&
+           PosterTypography.formatCoordinates({ lat: -33.8688, lng: 151.2093 }) === '33.8688° S, 151.2093° E';
+  });
+
+  // 4. Stats Panel Tests
+  console.log('\n📊 STATS PANEL TESTS');
+  console.log('-'.repeat(30));
+
+  await runAsyncTest('Should convert stats to imperial units', async () => {
+    const text = PosterTypography.formatStats(stats, ['distance', 'elevation', 'pace'], 'imperial');
+    return text === '33.1 mi · 2436 ft · 15.9 mph';
+  });
+
+  await runAsyncTest('Should show pace for runs and speed for rides', async () => {
+    const run = { distance: 10000, movingTime: 3000, activityType: 'Run' };
+    const ride = { distance: 40000, movingTime: 4800, averageSpeed: 8.3333, activityType: 'Ride' };
+    return PosterTypography.formatStat('pace', run) === '5:00 /km' &&
+           PosterTypography.formatStat('pace', run, 'imperial') === '8:03 /mi' &&
+           PosterTypography.getStatLabel('pace', run) === 'Avg pace' &&
+           PosterTypography.formatStat('pace', ride) === '30.0 km/h';
+  });
+
+  await runAsyncTest('Should skip stats the activity does not have', async () => {
+    const entries = PosterTypography.getStatEntries({ distance: 5000 }, ['distance', 'time', 'location']);
+    return entries.length === 1 && entries[0].field === 'distance';
+  });
+
+  await runAsyncTest('Should stack one labelled line per stat', async () => {
+    const blocks = PosterTypography.layout(PosterTypography.resolveSettings({
+      showStats: true,
+      stats,
+      statsFields: ['distance', 'time'],
+      statsTemplate: 'stacked'
+    }), frame);
+    return blocks.length === 2 && blocks[0].text === 'DISTANCE  53.3 km' &&
+           blocks[1].text === 'MOVING TIME  2:05:09' && blocks[0].y < blocks[1].y;
+  });
+
+  await runAsyncTest('Should spread columns across the frame with labels under values', async () => {
+    const blocks = PosterTypography.layout(PosterTypography.resolveSettings({
+      showStats: true,
+      stats,
+      statsFields: ['distance', 'elevation'],
+      statsTemplate: 'columns',
+      textAlign: 'left'
+    }), frame);
+    const values = blocks.filter(block => block.id === 'statValue');
+    const labels = blocks.filter(block => block.id === 'statLabel');
+
+    return values.length === 2 && labels.length === 2 &&
+           values[0].x === 600 && values[1].x === 1600 && values[0].align === 'center' &&
+           labels[0].text === 'DISTANCE' && labels[0].y > values[0].y && values[0].y === values[1].y;
+  });
+
+  await runAsyncTest('Should build poster stats from a Strava activity', async () => {
+    const posterStats = transformPosterStats({
+      distance: 21097,
+      moving_time: 6300,
+      total_elevation_gain: 120,
+      average_speed: 3.35,
+      type: 'Run',
+      sport_type: 'TrailRun',
+      start_date_local: '2024-04-21T09:00:00Z',
+      location_city: 'London',
+      location_country: 'United Kingdom'
+    });
+    return posterStats.distance === 21097 && posterStats.movingTime === 6300 &&
+           posterStats.activityType === 'TrailRun' && posterStats.location === 'London, United Kingdom' &&
+           transformPosterStats(null) === null;
+  });
+
+  // 5. Renderer Tests
+  console.log('\n🖌️  RENDERER TESTS');
+  console.log('-'.repeat(30));
+
+  await runAsyncTest('Should draw blocks onto a canvas context', async () => {
+    const calls = [];
+    const ctx = {
+      fillText: (text, x, y) => calls.push({ text, x, y, font: ctx.font, align: ctx.textAlign, baseline: ctx.textBaseline })
+    };
+    const blocks = PosterTypography.layout(PosterTypography.resolveSettings({ mainTitle: 'Title', subtitle: 'Sub' }), frame);
+    PosterTypography.drawToCanvas(ctx, blocks);
+
+    return calls.length === 2 && calls[0].text === 'Title' && calls[0].y === blocks[0].y &&
+           calls[0].font.startsWith('bold 100px') && calls[1].baseline === 'top';
+  });
+
+  await runAsyncTest('Should render escaped SVG text with matching anchors', async () => {
+    const svg = PosterTypography.toSVG(PosterTypography.layout(
+      PosterTypography.resolveSettings({ mainTitle: 'Fish & <Chips>', textAlign: 'right' }),
+      frame
+    ));
+    return svg.includes('Fish &amp; &lt;Chips&gt;') && svg.includes('text-anchor="end"') &&
+           svg.includes('x="2100"') && svg.includes('dominant-baseline="hanging"');
+  });
+
+  // 6. Print Pipeline Tests
+  console.log('\n🖨️  PRINT PIPELINE TESTS');
+  console.log('-'.repeat(30));
+
+  await runAsyncTest('Should lay out the Puppeteer page text with the shared engine', async () => {
+    const html = mapService.generateValidatedMapHTML({
+      width: 800,
+      height: 1131,
+      route: { coordinates: [[-0.12, 51.50], [-0.11, 51.51]] },
+      settings: { mainTitle: 'Evening </script> loop' }
+    });
+    return html.includes('id="poster-typography"') &&
+           html.includes('PosterTypography.renderToElement') &&
+           html.includes('Evening \\u003c/script> loop') &&
+           !html.includes('Evening </script>');
+  });
+
+  await runAsyncTest('Should leave text out of vector print basemaps', async () => {
+    const html = mapService.generateValidatedMapHTML({
+      route: { coordinates: [[-0.12, 51.50], [-0.11, 51.51]] },
+      settings: { mainTitle: 'Title' },
+      omitTypography: true
+    });
+    const untitled = mapService.generateValidatedMapHTML({
+      route: { coordinates: [[-0.12, 51.50], [-0.11, 51.51]] }
+    });
+    return !html.includes('poster-typography') && !untitled.includes('poster-typography');
+  });
+
+  await runAsyncTest('Should export the stats block in print documents', async () => {
+    const printDocumentService = new PrintDocumentService({ bleed: 0, cropMarks: false });
+    const svg = printDocumentService.generateSVG({
+      format: 'A4',
+      orientation: 'portrait',
+      route: { coordinates: [[-0.12, 51.50], [-0.11, 51.51]] },
+      customization: { mainTitle: 'Ride', showStats: true, stats }
+    });
+    return svg.includes('class="stats"') && svg.includes('53.3 km · 743 m');
+  });
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,311 @@
+/**
+ * Print Document Test Suite
+ *
+ * Validates PDF page layout (bleed and crop marks) and the vector SVG export
+ * of route and typography layers without launching a browser.
+ *
+ * Test Categories:
+ * 1. Page Layout Tests
+ * 2. Crop Mark Tests
+ * 3. SVG Export Tests
+ * 4. PDF Page Tests
+ * 5. Output Format Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { PrintDocumentService } = require('../services/printDocumentService');
+const orderMapService = require('../services/orderMapService');
+
+let tempDir = null;
+let printDocumentService = null;
+
+// Sample route in [lng, lat] format
+const sampleRoute = [[-0.12, 51.50], [-0.11, 51.51], [-0.10, 51.52]];
+
+const sampleConfig = {
+  id: 'print_test',
+  format: 'A4',
+  orientation: 'portrait',
+  dpi: 300,
+  bounds: { north: 51.52, south: 51.50, east: -0.10, west: -0.12 },
+  route: { coordinates: sampleRoute, color: '#ff4444', width: 4 },
+  settings: { mainTitle: 'Lap of the <Park> & back', subtitle: 'Sunday ride' }
+};
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Print Document Test Suite\n');
+  console.log('=' .repeat(60));
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'print-document-test-'));
+  printDocumentService = new PrintDocumentService({ outputDir: tempDir, bleed: 0, cropMarks: false });
+
+  try {
+    // 1. Page Layout Tests
+    console.log('\n📐 PAGE LAYOUT TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should use the physical trim size without bleed', async () => {
+      const layout = printDocumentService.getPageLayout('A4', 'portrait');
+      return layout.page.width === 210 && layout.page.height === 297 &&
+             layout.trim.x === 0 && layout.trim.y === 0 &&
+             layout.pixels.width === 2480 && layout.pixels.height === 3508;
+    });
+
+    await runAsyncTest('Should swap trim dimensions for landscape', async () => {
+      const layout = printDocumentService.getPageLayout('A3', 'landscape');
+      return layout.trim.width === 420 && layout.trim.height === 297;
+    });
+
+    await runAsyncTest('Should extend the page and raster by the bleed', async () => {
+      const layout = printDocumentService.getPageLayout('A4', 'portrait', { bleed: 3 });
+      return layout.page.width === 216 && layout.page.height === 303 &&
+             layout.bleedBox.x === 0 && layout.trim.x === 3 &&
+             layout.pixels.width === 2551 && layout.pixels.height === 3579 &&
+             layout.pixels.bleed === 35;
+    });
+
+    await runAsyncTest('Should add a slug for crop marks outside the bleed', async () => {
+      const layout = printDocumentService.getPageLayout('A4', 'portrait', { bleed: 3, cropMarks: true });
+      return layout.page.width === 226 && layout.page.height === 313 &&
+             layout.trim.x === 8 && layout.bleedBox.x === 5 && layout.bleedBox.width === 216;
+    });
+
+    // 2. Crop Mark Tests
+    console.log('\n✂️  CROP MARK TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should draw two marks at each trim corner', async () => {
+      const layout = printDocumentService.getPageLayout('A4', 'portrait', { bleed: 3, cropMarks: true });
+      const marks = printDocumentService.buildCropMarks(layout);
+      return (marks.match(/<line /g) || []).length === 8;
+    });
+
+    await runAsyncTest('Should keep crop marks out of the bleed box', async () => {
+      const layout = printDocumentService.getPageLayout('A4', 'portrait', { bleed: 3, cropMarks: true });
+      const { bleedBox } = layout;
+      const lines = [...printDocumentService.buildCropMarks(layout).matchAll(/x1="([\d.]+)" y1="([\d.]+)" x2="([\d.]+)" y2="([\d.]+)"/g)]
+        .map(match => match.slice(1).map(Number));
+
+      return lines.every(([x1, y1, x2, y2]) => {
+        const insideX = Math.min(x1, x2) < bleedBox.x + bleedBox.width && Math.max(x1, x2) > bleedBox.x;
+        const insideY = Math.min(y1, y2) < bleedBox.y + bleedBox.height && Math.max(y1, y2) > bleedBox.y;
+        return !(insideX && insideY);
+      });
+    });
+
+    await runAsyncTest('Should omit crop marks when disabled', async () => {
+      const layout = printDocumentService.getPageLayout('A4', 'portrait', { bleed: 3 });
+      return printDocumentService.buildCropMarks(layout) === '';
+    });
+
+    // 3. SVG Export Tests
+    console.log('\n🖋️  SVG EXPORT TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should fit projected routes inside the padded canvas', async () => {
+      const [points] = printDocumentService.projectRoutes([sampleRoute], sampleConfig.bounds, 1000, 1000, 40);
+      return points.every(([x, y]) => x >= 39.99 && x <= 960.01 && y >= 39.99 && y <= 960.01) &&
+             points[0][1] > points[2][1]; // north is up
+    });
+
+    await runAsyncTest('Should size the SVG to the physical trim in millimetres', async () => {
+      const svg = printDocumentService.generateSVG(sampleConfig);
+      return svg.includes('width="210mm"') && svg.includes('height="297mm"') &&
+             svg.includes('viewBox="0 0 2480 3508"');
+    });
+
+    await runAsyncTest('Should export the route as a vector path without a basemap', async () => {
+      const svg = printDocumentService.generateSVG(sampleConfig);
+      return (svg.match(/<path /g) || []).length === 1 &&
+             (svg.match(/<circle /g) || []).length === 2 &&
+             !svg.includes('<image');
+    });
+
+    await runAsyncTest('Should escape typography text', async () => {
+      const svg = printDocumentService.generateSVG(sampleConfig);
+      return svg.includes('Lap of the &lt;Park&gt; &amp; back') && svg.includes('Sunday ride');
+    });
+
+    await runAsyncTest('Should leave out text and markers when requested', async () => {
+      const svg = printDocumentService.generateSVG(sampleConfig, { includeText: false, includeMarkers: false });
+      return !svg.includes('<text') && !svg.includes('<circle');
+    });
+
+    await runAsyncTest('Should export one path per composite route', async () => {
+      const svg = printDocumentService.generateSVG({
+        format: 'A3',
+        orientation: 'portrait',
+        routes: [
+          { coordinates: sampleRoute },
+          { coordinates: [[-0.20, 51.45], [-0.19, 51.46]] }
+        ]
+      });
+      return (svg.match(/<path /g) || []).length === 2 && !svg.includes('<circle');
+    });
+
+    await runAsyncTest('Should write the SVG to the output directory', async () => {
+      const filePath = await printDocumentService.exportSVG(sampleConfig);
+      const content = await fs.readFile(filePath, 'utf8');
+      return filePath === path.join(tempDir, 'print_test.svg') && content.startsWith('<?xml');
+    });
+
+    // 4. PDF Page Tests
+    console.log('\n📄 PDF PAGE TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should size the print page and place the artwork in the bleed box', async () => {
+      const layout = printDocumentService.getPageLayout('A4', 'portrait', { bleed: 3, cropMarks: true });
+      const html = printDocumentService.buildPrintHTML(layout, {
+        image: Buffer.from('png'),
+        width: layout.pixels.width,
+        height: layout.pixels.height
+      }, '<path d="M0 0 L10 10"/>');
+
+      return html.includes('@page { size: 226mm 313mm; margin: 0; }') &&
+             html.includes('left: 5mm; top: 5mm; width: 216mm; height: 303mm;') &&
+             html.includes('data:image/png;base64,') &&
+             html.includes(`viewBox="0 0 ${layout.pixels.width} ${layout.pixels.height}"`) &&
+             (html.match(/<line /g) || []).length === 8;
+    });
+
+    await runAsyncTest('Should lay typography out inside the trim, not the bleed', async () => {
+      const overlay = printDocumentService.buildOverlayElements(
+        { routes: [], markers: null },
+        printDocumentService.getTypography(sampleConfig),
+        { x: 35, y: 35, width: 2480, height: 3508 }
+      );
+      return overlay.includes('x="1275"') && overlay.includes(`y="${35 + 3508 * 0.05}"`);
+    });
+
+    await runAsyncTest('Should add TrimBox, BleedBox and a PDF/X output intent to the PDF', async () => {
+      const layout = printDocumentService.getPageLayout('A4', 'portrait', { bleed: 3, cropMarks: true });
+      const points = mm => mm * 72 / 25.4;
+      const rendered = await PDFDocument.create();
+      rendered.addPage([points(layout.page.width), points(layout.page.height)]);
+
+      const finished = await PDFDocument.load(await printDocumentService.finishPDF(await rendered.save(), layout));
+      const page = finished.getPages()[0];
+      const trim = page.getTrimBox();
+      const bleed = page.getBleedBox();
+      const intent = finished.catalog.lookup(PDFName.of('OutputIntents')).lookup(0);
+      const near = (a, b) => Math.abs(a - b) < 0.01;
+
+      return near(trim.x, points(8)) && near(trim.y, points(8)) && near(trim.width, points(210)) && near(trim.height, points(297)) &&
+             near(bleed.x, points(5)) && near(bleed.y, points(5)) && near(bleed.width, points(216)) && near(bleed.height, points(303)) &&
+             intent.get(PDFName.of('S')) === PDFName.of('GTS_PDFX') &&
+             intent.get(PDFName.of('OutputConditionIdentifier')).decodeText() === 'FOGRA39' &&
+             !intent.has(PDFName.of('DestOutputProfile')) &&
+             finished.getInfoDict().get(PDFName.of('Trapped')) === PDFName.of('False');
+    });
+
+    await runAsyncTest('Should embed the configured ICC profile and declare PDF/X-4', async () => {
+      // Profile header only: the service reads the colour space at bytes 16-19
+      const profilePath = path.join(tempDir, 'press.icc');
+      const header = Buffer.alloc(132);
+      header.write('CMYK', 16, 'ascii');
+      await fs.writeFile(profilePath, header);
+
+      const service = new PrintDocumentService({ outputDir: tempDir, outputIntent: { identifier: 'FOGRA51', profilePath } });
+      const layout = service.getPageLayout('A3', 'landscape', { bleed: 0, cropMarks: false });
+      const rendered = await PDFDocument.create();
+      rendered.addPage([layout.page.width * 72 / 25.4, layout.page.height * 72 / 25.4]);
+
+      const finished = await PDFDocument.load(await service.finishPDF(await rendered.save(), layout));
+      const intent = finished.catalog.lookup(PDFName.of('OutputIntents')).lookup(0);
+      const profile = intent.lookup(PDFName.of('DestOutputProfile'));
+
+      return intent.get(PDFName.of('OutputConditionIdentifier')).decodeText() === 'FOGRA51' &&
+             profile.dict.get(PDFName.of('N')).asNumber() === 4 &&
+             finished.getInfoDict().get(PDFName.of('GTS_PDFXVersion')).decodeText() === 'PDF/X-4';
+    });
+
+    // 5. Output Format Tests
+    console.log('\n🗂️  OUTPUT FORMAT TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should reject unsupported output formats', async () => {
+      try {
+        await printDocumentService.generate(sampleConfig, 'tiff');
+        return 'Expected an error for tiff output';
+      } catch (error) {
+        return error.message.includes('Unsupported output format');
+      }
+    });
+
+    await runAsyncTest('Should read requested print documents from line item properties', async () => {
+      const formats = orderMapService.getRequestedOutputFormats({
+        properties: [{ name: 'Output Format', value: 'PDF, svg, tiff, pdf' }]
+      });
+      const none = orderMapService.getRequestedOutputFormats({ properties: [] });
+      return formats.length === 2 && formats[0] === 'pdf' && formats[1] === 'svg' && none.length === 0;
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
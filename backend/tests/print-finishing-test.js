@@ -0,0 +1,232 @@
+/**
+ * Print Finishing Test Suite
+ *
+ * Validates per-product bleed, safe zone and crop mark support in MapService
+ * and the print document layout without launching a browser.
+ *
+ * Test Categories:
+ * 1. Print Dimension Tests
+ * 2. Poster Bounds Tests
+ * 3. Safe Area Tests
+ * 4. Crop Mark Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const mapService = require('../services/mapService');
+const { MapService } = require('../services/mapService');
+const { PrintDocumentService } = require('../services/printDocumentService');
+
+let tempDir = null;
+
+const routeBounds = { north: 51.52, south: 51.50, east: -0.10, west: -0.12 };
+
+const highResConfig = {
+  id: 'finishing_test',
+  format: 'A4',
+  orientation: 'portrait',
+  dpi: 300,
+  width: 2480,
+  height: 3508,
+  bounds: routeBounds,
+  route: { coordinates: [[-0.12, 51.50], [-0.10, 51.52]] }
+};
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Print Finishing Test Suite\n');
+  console.log('=' .repeat(60));
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'print-finishing-test-'));
+
+  try {
+    // 1. Print Dimension Tests
+    console.log('\n📐 PRINT DIMENSION TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should define bleed and safe zone for every print format', async () => {
+      return Object.keys(MapService.PRINT_CONFIG).every(format => {
+        const finishing = mapService.getPrintFinishing(format);
+        return finishing.bleed === 3 && finishing.safeZone > 0;
+      });
+    });
+
+    await runAsyncTest('Should keep trim size as the default width and height', async () => {
+      const dimensions = mapService.getPrintDimensions('A4', 'portrait');
+      return dimensions.width === 2480 && dimensions.height === 3508 &&
+             dimensions.trimWidth === 2480 && dimensions.bleed.mm === 3 && dimensions.bleed.pixels === 35;
+    });
+
+    await runAsyncTest('Should enlarge the canvas by the bleed on every edge', async () => {
+      const dimensions = mapService.getPrintDimensions('A3', 'landscape', { includeBleed: true });
+      return dimensions.width === 4961 + 70 && dimensions.height === 3508 + 70 &&
+             dimensions.canvasWidth === dimensions.width && dimensions.trimHeight === 3508;
+    });
+
+    await runAsyncTest('Should give larger formats a larger safe zone', async () => {
+      return mapService.getPrintFinishing('A1').safeZone > mapService.getPrintFinishing('A4').safeZone;
+    });
+
+    // 2. Poster Bounds Tests
+    console.log('\n🗺️  POSTER BOUNDS TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should widen poster bounds by the bleed ratio', async () => {
+      const trimBounds = mapService.calculatePosterBounds(routeBounds, 'A4', 'portrait', 15);
+      const bleedBounds = mapService.calculatePosterBounds(routeBounds, 'A4', 'portrait', 15, { includeBleed: true });
+      const lngRatio = (bleedBounds.east - bleedBounds.west) / (trimBounds.east - trimBounds.west);
+      const latRatio = (bleedBounds.north - bleedBounds.south) / (trimBounds.north - trimBounds.south);
+
+      return Math.abs(lngRatio - 2550 / 2480) < 1e-9 && Math.abs(latRatio - 3578 / 3508) < 1e-9;
+    });
+
+    await runAsyncTest('Should apply finishing to a high-res config once', async () => {
+      const finished = mapService.applyPrintFinishing(highResConfig);
+      const again = mapService.applyPrintFinishing(finished);
+
+      return finished.width === 2550 && finished.height === 3578 &&
+             finished.bounds.west < routeBounds.west && finished.bounds.north > routeBounds.north &&
+             finished.printFinishing.trimBounds === routeBounds &&
+             again === finished;
+    });
+
+    await runAsyncTest('Should honour a bleed override', async () => {
+      const finished = mapService.applyPrintFinishing(highResConfig, { bleed: 0, cropMarks: true });
+      return finished.width === 2480 && finished.printFinishing.cropMarks === true;
+    });
+
+    // 3. Safe Area Tests
+    console.log('\n🛟 SAFE AREA TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should inset the safe area by bleed plus safe zone', async () => {
+      const finished = mapService.applyPrintFinishing(highResConfig);
+      const safeArea = mapService.getSafeArea(finished, finished.width, finished.height);
+      const inset = 35 + mapService.calculatePixelsFromMM(6);
+
+      return safeArea.x === inset && safeArea.width === finished.width - inset * 2;
+    });
+
+    await runAsyncTest('Should use the whole canvas without finishing', async () => {
+      const safeArea = mapService.getSafeArea({}, 800, 600);
+      return safeArea.x === 0 && safeArea.y === 0 && safeArea.width === 800 && safeArea.height === 600;
+    });
+
+    await runAsyncTest('Should shrink long titles to fit the safe area', async () => {
+      const title = 'A very long ride title that would otherwise run off the printed poster';
+      const fitted = mapService.fitFontSize(title, 100, 1000);
+      const unchanged = mapService.fitFontSize('Short', 100, 1000);
+
+      return fitted < 100 && title.length * fitted * 0.6 <= 1000 && unchanged === 100;
+    });
+
+    await runAsyncTest('Should keep PDF typography inside the safe area', async () => {
+      const printDocumentService = new PrintDocumentService({ outputDir: tempDir });
+      const layout = printDocumentService.getPageLayout('A4', 'portrait');
+      const frame = mapService.getSafeArea({
+        printFinishing: { bleedPixels: layout.pixels.bleed, safeZonePixels: layout.pixels.safeZone }
+      }, layout.pixels.width, layout.pixels.height);
+      const overlay = printDocumentService.buildOverlayElements(
+        { routes: [], markers: null },
+        { title: 'Title', titleColor: '#000000' },
+        frame
+      );
+      const y = parseFloat(overlay.match(/ y="([\d.]+)"/)[1]);
+
+      return layout.bleed === 3 && layout.safeArea.x === layout.trim.x + 6 && y > frame.y;
+    });
+
+    // 4. Crop Mark Tests
+    console.log('\n✂️  CROP MARK TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should extend raster prints with crop marks outside the bleed', async () => {
+      const filePath = path.join(tempDir, 'finished.png');
+      await sharp({
+        create: { width: 2550, height: 3578, channels: 3, background: '#336699' }
+      }).png().toFile(filePath);
+
+      const finished = mapService.applyPrintFinishing(highResConfig, { cropMarks: true });
+      await mapService.addCropMarksToImage(filePath, finished);
+
+      const { width, height } = await sharp(filePath).metadata();
+      const slug = mapService.calculatePixelsFromMM(5); // 8 mm trim margin minus 3 mm bleed
+
+      // Corner of the slug is white, the artwork corner is untouched
+      const { data, info } = await sharp(filePath).raw().toBuffer({ resolveWithObject: true });
+      const pixel = (x, y) => Array.from(data.slice((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3));
+      const corner = pixel(0, 0);
+      const artwork = pixel(slug + 2, slug + 2);
+
+      return width === 2550 + slug * 2 && height === 3578 + slug * 2 &&
+             corner.every(value => value === 255) &&
+             artwork[0] === 0x33 && artwork[2] === 0x99;
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
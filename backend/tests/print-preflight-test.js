@@ -0,0 +1,296 @@
+/**
+ * Print Preflight Test Suite
+ *
+ * Validates the preflight report the approval page shows before a design is ordered:
+ * basemap DPI, route width and contrast, text safe area and route framing at print size.
+ *
+ * Test Categories:
+ * 1. Report Tests
+ * 2. Basemap Resolution Tests
+ * 3. Route Style Tests
+ * 4. Text Safe Area Tests
+ * 5. Route Framing Tests
+ */
+
+const path = require('path');
+const printPreflightService = require('../services/printPreflightService');
+const { PrintPreflightService } = require('../services/printPreflightService');
+const mapService = require('../services/mapService');
+const { createTileSource } = require('../services/tileSources');
+
+// Sample loop in [lng, lat] format, framed with 10% padding like stored previews
+const sampleRoute = Array.from({ length: 60 }, (_, i) => {
+  const angle = i / 59 * Math.PI * 2;
+  return [-0.11 + Math.cos(angle) * 0.01, 51.51 + Math.sin(angle) * 0.006];
+});
+
+const sampleConfig = {
+  id: 'preflight_test',
+  format: 'A4',
+  orientation: 'portrait',
+  width: 595,
+  height: 842,
+  style: 'mapbox://styles/mapbox/streets-v12',
+  bounds: { north: 51.5172, south: 51.5028, east: -0.098, west: -0.122 },
+  route: { coordinates: sampleRoute, color: '#ff4444', width: 4 },
+  settings: { mainTitle: 'Lap of the Park', subtitle: 'Sunday ride' }
+};
+
+const withRoute = (route, overrides = {}) => ({ ...sampleConfig, ...overrides, route: { ...sampleConfig.route, ...route } });
+const findCheck = (report, id) => report.checks.find(check => check.id === id);
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+async function runTestSuite() {
+  console.log('🧪 Starting Print Preflight Test Suite');
+  console.log('='.repeat(60));
+
+  console.log('\n📋 1. REPORT TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('A well-framed design passes every check', async () => {
+    const report = await printPreflightService.runPreflight(sampleConfig);
+    const ids = report.checks.map(check => check.id);
+
+    return report.status === 'pass' && report.warnings.length === 0 && report.format === 'A4' && report.dpi === 300 &&
+           JSON.stringify(ids) === '["basemap-resolution","route-width","route-contrast","text-safe-area","route-clipping"]' &&
+           report.checks.every(check => check.status === 'pass');
+  });
+
+  await runAsyncTest('Warnings list each failing check with its message', async () => {
+    const report = await printPreflightService.runPreflight(withRoute({ width: 2, color: '#ffffff' }));
+
+    return report.status === 'warning' &&
+           JSON.stringify(report.warnings.map(warning => warning.check)) === '["route-width","route-contrast"]' &&
+           report.warnings.every(warning => warning.label && warning.message);
+  });
+
+  await runAsyncTest('Checks the requested print size rather than the stored one', async () => {
+    const report = await printPreflightService.runPreflight(sampleConfig, { format: 'a3', orientation: 'LANDSCAPE' });
+    const error = await printPreflightService.runPreflight(sampleConfig, { format: 'B7' }).catch(err => err);
+
+    return report.format === 'A3' && report.orientation === 'landscape' &&
+           error instanceof Error && error.message.startsWith('Unsupported format');
+  });
+
+  console.log('\n🗺️  2. BASEMAP RESOLUTION TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Mapbox tiles reach the full print DPI', async () => {
+    const check = findCheck(await printPreflightService.runPreflight(sampleConfig), 'basemap-resolution');
+    return check.status === 'pass' && check.details.effectiveDpi === 300 && check.details.tileSource === 'mapbox';
+  });
+
+  await runAsyncTest('Zooming past an MBTiles file\'s maximum zoom lowers the effective DPI', async () => {
+    const originalSource = mapService.tileSource;
+    mapService.tileSource = createTileSource({
+      driver: 'mbtiles',
+      mbtilesPath: path.join(__dirname, 'fixtures', 'tiles.mbtiles')
+    });
+
+    try {
+      const check = findCheck(await printPreflightService.runPreflight(sampleConfig), 'basemap-resolution');
+      // A3 at zoom 3 spans 2048 tile pixels; the sample needs far more
+      return check.status === 'warning' && check.details.maxZoom === 3 && check.details.effectiveDpi < 10 &&
+             check.details.zoomNeeded > 14 && check.message.includes('DPI');
+    } finally {
+      await mapService.tileSource.close();
+      mapService.tileSource = originalSource;
+    }
+  });
+
+  console.log('\n🎨 3. ROUTE STYLE TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Route width is reported in millimetres at print resolution', async () => {
+    const thick = findCheck(await printPreflightService.runPreflight(sampleConfig), 'route-width');
+    const thin = findCheck(await printPreflightService.runPreflight(withRoute({ width: 2 })), 'route-width');
+
+    // 4px and 2px at 300 DPI
+    return thick.status === 'pass' && thick.details.widthsMM[0] === 0.34 &&
+           thin.status === 'warning' && thin.details.widthsMM[0] === 0.17 && thin.message.includes('0.17 mm');
+  });
+
+  await runAsyncTest('Route colours matching the theme background are flagged', async () => {
+    const blueOnBlue = findCheck(await printPreflightService.runPreflight(withRoute(
+      { color: '#2563eb' },
+      { style: 'mapbox://styles/macken04/cmdowyoil001d01sh5937dt1p' }
+    )), 'route-contrast');
+    const darkOnDark = findCheck(await printPreflightService.runPreflight(withRoute(
+      { color: '#000000' },
+      { style: 'mapbox://styles/macken04/cmdowqfh4004h01sb14fe6x3u' }
+    )), 'route-contrast');
+
+    return blueOnBlue.status === 'warning' && blueOnBlue.details.theme === 'Classic Blue' && blueOnBlue.message.includes('darker') &&
+           darkOnDark.status === 'warning' && darkOnDark.message.includes('lighter');
+  });
+
+  await runAsyncTest('Saturated colours pass on light maps despite low lightness contrast', async () => {
+    const check = findCheck(await printPreflightService.runPreflight(sampleConfig), 'route-contrast');
+    const entry = check.details.ratios[0];
+
+    return check.status === 'pass' && entry.ratio < PrintPreflightService.THRESHOLDS.minRouteContrast &&
+           entry.difference >= PrintPreflightService.THRESHOLDS.minRouteColorDifference;
+  });
+
+  await runAsyncTest('Route opacity is blended into the contrast check', async () => {
+    const check = findCheck(await printPreflightService.runPreflight(withRoute({ color: '#000000', opacity: 0.1 })), 'route-contrast');
+    return check.status === 'warning' && check.details.ratios[0].ratio < 1.5;
+  });
+
+  await runAsyncTest('Unknown styles get an estimated light or dark background', () => {
+    const light = printPreflightService.getStyleBackground('mapbox://styles/someone/custom-style');
+    const dark = printPreflightService.getStyleBackground('mapbox://styles/someone/night-rider');
+    const stock = printPreflightService.getStyleBackground('satellite-streets-v12');
+
+    return light.estimated && light.name === 'light' && dark.estimated && dark.name === 'dark' &&
+           !stock.estimated && stock.name === 'Satellite';
+  });
+
+  await runAsyncTest('Colour-by-metric routes are checked across their palette', async () => {
+    const samples = sampleRoute.map(([lng, lat], i) => [lng, lat, i]);
+    const check = findCheck(await printPreflightService.runPreflight(withRoute({}, {
+      style: 'mapbox://styles/mapbox/dark-v11',
+      colorByMetric: { metric: 'elevation', samples }
+    })), 'route-contrast');
+
+    // The dark elevation palette ends in a pale grey that reads well on the dark style
+    return check.status === 'pass' && check.details.ratios.length === 5 && check.details.theme === 'Dark';
+  });
+
+  await runAsyncTest('Parses hex and rgb() colours', () => {
+    return JSON.stringify(printPreflightService.parseColor('#f44')) === '[255,68,68]' &&
+           JSON.stringify(printPreflightService.parseColor('rgba(10, 20, 30, 0.5)')) === '[10,20,30]' &&
+           printPreflightService.parseColor('tomato') === null &&
+           Math.round(printPreflightService.getContrastRatio([0, 0, 0], [255, 255, 255])) === 21;
+  });
+
+  console.log('\n🔤 4. TEXT SAFE AREA TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Poster text is laid out inside the safe area', async () => {
+    const check = findCheck(await printPreflightService.runPreflight(withRoute({}, {
+      settings: {
+        mainTitle: 'Lap of the Park',
+        subtitle: 'Sunday ride',
+        showStats: true,
+        statsTemplate: 'columns',
+        stats: { distance: 5000, elevation: 120, date: '2023-06-04', movingTime: 1500 }
+      }
+    })), 'text-safe-area');
+
+    return check.status === 'pass' && check.details.outside.length === 0 && check.details.overlapping.length === 0;
+  });
+
+  await runAsyncTest('Text shrunk below a legible size is flagged', async () => {
+    const check = findCheck(await printPreflightService.runPreflight(withRoute({}, {
+      settings: { mainTitle: 'A'.repeat(400) }
+    })), 'text-safe-area');
+
+    return check.status === 'warning' && check.details.tooSmall.length === 1 &&
+           check.details.tooSmall[0].pt < PrintPreflightService.THRESHOLDS.minTextPt && check.message.includes('pt');
+  });
+
+  await runAsyncTest('Designs without text pass', async () => {
+    const check = findCheck(await printPreflightService.runPreflight(withRoute({}, { settings: {} })), 'text-safe-area');
+    return check.status === 'pass' && check.message === 'No poster text';
+  });
+
+  console.log('\n🖼️  5. ROUTE FRAMING TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('A route cropped by the design bounds is reported as cut off', async () => {
+    const check = findCheck(await printPreflightService.runPreflight(withRoute({}, {
+      bounds: { ...sampleConfig.bounds, east: -0.11 }
+    })), 'route-clipping');
+
+    return check.status === 'warning' && check.details.clipped > 0 && check.details.clippedPercent > 20 &&
+           check.message.includes('cut off');
+  });
+
+  await runAsyncTest('A route touching the trim is flagged for the safe margin', async () => {
+    const tightBounds = { north: 51.516, south: 51.504, east: -0.1, west: -0.12 };
+    const check = findCheck(await printPreflightService.runPreflight(withRoute({}, { bounds: tightBounds })), 'route-clipping');
+
+    return check.status === 'warning' && check.details.clipped === 0 && check.details.nearEdge > 0 &&
+           check.message.includes('6 mm');
+  });
+
+  await runAsyncTest('The elevation band hides the part of the map below it', async () => {
+    const elevationProfile = {
+      enabled: true,
+      placement: 'below',
+      points: sampleRoute.map((point, i) => [i * 100, 10 + i])
+    };
+    const config = withRoute({}, { elevationProfile });
+    const context = printPreflightService.buildContext(config);
+    const check = findCheck(await printPreflightService.runPreflight(config), 'route-clipping');
+
+    // The map is fitted above the band, so the whole route stays visible
+    return context.mapHeight < context.height && check.status === 'pass';
+  });
+}
+
+async function main() {
+  await runTestSuite();
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  main().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
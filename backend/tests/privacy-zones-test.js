@@ -0,0 +1,231 @@
+/**
+ * Privacy Zones Test Suite
+ *
+ * Validates route privacy zones: trimming the start/end of a route by distance and by
+ * circular zones, storing the settings per athlete, and applying them the same way in
+ * the GeoJSON converter, the server map render and the print documents.
+ * Stored settings use a settings file in a temporary directory.
+ *
+ * Test Categories:
+ * 1. Trimming Tests
+ * 2. Settings Storage Tests
+ * 3. Render Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PrivacyZones = require('@print-my-ride/map-engines/privacy-zones');
+const PosterTypography = require('@print-my-ride/map-engines/poster-typography');
+const { UserSettingsService } = require('../services/userSettingsService');
+const geojsonConverter = require('../services/geojsonConverter');
+const mapService = require('../services/mapService');
+const { PrintDocumentService } = require('../services/printDocumentService');
+
+// A straight route heading north, one point roughly every 111 m
+const route = Array.from({ length: 21 }, (_, i) => [-0.1, 51.5 + i * 0.001]);
+const home = { lat: 51.5, lng: -0.1, radius: 300 };
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Privacy Zones Test Suite');
+  console.log('='.repeat(60));
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'privacy-zones-test-'));
+
+  try {
+    // 1. Trimming Tests
+    console.log('\n✂️ 1. TRIMMING TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should cut the first and last metres at an interpolated point', async () => {
+      const settings = PrivacyZones.normalize({ hideFirstMeters: 150, hideLastMeters: 150 });
+      const trimmed = PrivacyZones.apply(route, settings);
+      const startGap = PrivacyZones.distance(route[0], trimmed[0]);
+      const endGap = PrivacyZones.distance(route[route.length - 1], trimmed[trimmed.length - 1]);
+      return Math.abs(startGap - 150) < 1 && Math.abs(endGap - 150) < 1 &&
+             trimmed.length === route.length - 2;
+    });
+
+    await runAsyncTest('Should drop route ends inside a zone but keep a pass through it midway', async () => {
+      const loop = [...route, ...route.slice().reverse()];
+      const midway = { lat: 51.51, lng: -0.1, radius: 150 };
+      const trimmed = PrivacyZones.apply(loop, PrivacyZones.normalize({ zones: [home, midway] }));
+      const inside = coord => PrivacyZones.isInsideZone(coord, [home]);
+      return !inside(trimmed[0]) && !inside(trimmed[trimmed.length - 1]) &&
+             trimmed.some(coord => PrivacyZones.isInsideZone(coord, [midway])) &&
+             trimmed.length === loop.length - 6;
+    });
+
+    await runAsyncTest('Should leave nothing when the whole route is inside a zone', async () => {
+      const trimmed = PrivacyZones.apply(route, PrivacyZones.normalize({ zones: [{ ...home, radius: 5000 }] }));
+      return trimmed.length === 0 &&
+             PrivacyZones.apply(route, PrivacyZones.normalize({ hideFirstMeters: 5000 })).length === 0;
+    });
+
+    await runAsyncTest('Should reject invalid settings with a 400 error', async () => {
+      const rejected = settings => {
+        try {
+          PrivacyZones.normalize(settings);
+          return false;
+        } catch (error) {
+          return error.status === 400;
+        }
+      };
+      return rejected({ zones: [{ lat: 95, lng: 0 }] }) &&
+             rejected({ zones: [{ ...home, radius: 10 }] }) &&
+             rejected({ zones: Array.from({ length: PrivacyZones.MAX_ZONES + 1 }, () => home) }) &&
+             rejected({ hideFirstMeters: -1 }) &&
+             PrivacyZones.normalize({ zones: [{ lat: 1, lng: 2 }] }).zones[0].radius === PrivacyZones.DEFAULT_RADIUS &&
+             PrivacyZones.resolveSettings({ privacyZones: { zones: [] } }) === null;
+    });
+
+    // 2. Settings Storage Tests
+    console.log('\n💾 2. SETTINGS STORAGE TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should persist privacy zones per athlete and reload them', async () => {
+      const persistenceFile = path.join(tempDir, 'user-settings.json');
+      const service = new UserSettingsService({ persistenceFile });
+      await service.updatePrivacyZones(42, { zones: [home], hideFirstMeters: 200 });
+
+      const reloaded = new UserSettingsService({ persistenceFile });
+      const settings = await reloaded.getPrivacyZones('42');
+      const other = await reloaded.getPrivacyZones(43);
+      return settings.zones.length === 1 && settings.hideFirstMeters === 200 &&
+             other.zones.length === 0 && !PrivacyZones.isActive(other);
+    });
+
+    await runAsyncTest('Should not store invalid settings and should delete on request', async () => {
+      const service = new UserSettingsService({ persistenceFile: path.join(tempDir, 'delete-settings.json') });
+      await service.updatePrivacyZones(42, { hideLastMeters: 100 });
+
+      let rejected = false;
+      try {
+        await service.updatePrivacyZones(42, { hideLastMeters: 99999 });
+      } catch (error) {
+        rejected = error.status === 400;
+      }
+      const kept = (await service.getPrivacyZones(42)).hideLastMeters === 100;
+      const deleted = await service.deleteSettings(42);
+
+      return rejected && kept && deleted && (await service.getPrivacyZones(42)).hideLastMeters === 0;
+    });
+
+    // 3. Render Tests
+    console.log('\n🗺️ 3. RENDER TESTS');
+    console.log('-'.repeat(40));
+
+    const privacyZones = { zones: [home] };
+    const config = {
+      route: { coordinates: route, color: '#ff4444' },
+      markers: { start: route[0], end: route[route.length - 1] },
+      privacyZones
+    };
+
+    await runAsyncTest('Should trim GeoJSON routes and recompute their bounds', async () => {
+      const geoJSON = await geojsonConverter.convertToGeoJSON(
+        { coordinates: route, name: 'Commute' },
+        { source: 'coordinates', privacyZones }
+      );
+      const coordinates = geoJSON.geometry.coordinates;
+      return coordinates.length === route.length - 3 &&
+             geoJSON.properties.totalPoints === coordinates.length &&
+             geoJSON.properties.privacyTrimmed === true &&
+             geoJSON.properties.bounds.southwest[1] > home.lat;
+    });
+
+    await runAsyncTest('Should trim server render routes and move markers to the trimmed ends', async () => {
+      const [layer] = mapService.normalizeRouteLayers(config);
+      const markers = mapService.resolveMarkers(config, [layer]);
+      const untrimmed = mapService.resolveMarkers({ ...config, privacyZones: null }, mapService.normalizeRouteLayers({ route: config.route }));
+      return layer.coordinates.length === route.length - 3 &&
+             markers.start === layer.coordinates[0] &&
+             markers.end === route[route.length - 1] &&
+             untrimmed.start === route[0] &&
+             mapService.extractAndValidateCoordinates(config).length === layer.coordinates.length;
+    });
+
+    await runAsyncTest('Should apply zones from the customization in print documents', async () => {
+      const printDocumentService = new PrintDocumentService({ bleed: 0, cropMarks: false });
+      const printConfig = { route: config.route, markers: config.markers, customization: { privacyZones } };
+      const routes = mapService.normalizeRouteLayers(printConfig);
+      const markers = printDocumentService.resolveMarkers(printConfig, routes);
+      const svg = printDocumentService.generateSVG({ ...printConfig, format: 'A4', orientation: 'portrait' });
+      return markers.start[1] === routes[0].coordinates[0][1] && markers.start[1] > home.lat && svg.includes('<svg');
+    });
+
+    await runAsyncTest('Should print the first visible point on the coordinates line', async () => {
+      const settings = PosterTypography.resolveSettings({
+        ...config,
+        settings: { showCoordinates: true, coordinates: { lat: home.lat, lng: home.lng } }
+      });
+      const plain = PosterTypography.resolveSettings({ route: config.route, settings: { showCoordinates: true } });
+      return settings.coordinates.lat > home.lat && plain.coordinates.lat === home.lat;
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
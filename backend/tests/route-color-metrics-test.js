@@ -0,0 +1,220 @@
+/**
+ * Route Colour By Metric Test Suite
+ *
+ * Validates colouring a route by speed, heart rate, gradient or elevation: turning Strava
+ * streams into samples, matching samples to the route, and drawing the same colours and
+ * legend in the Puppeteer map page, the canvas fallback and the print documents.
+ *
+ * Test Categories:
+ * 1. Sample and Settings Tests
+ * 2. Colour Mapping Tests
+ * 3. Render Tests
+ */
+
+const RouteColorMetrics = require('@print-my-ride/map-engines/route-color-metrics');
+const mapService = require('../services/mapService');
+const { PrintDocumentService } = require('../services/printDocumentService');
+
+// An out-and-back route: north at walking pace, then back south at cycling speed
+const outbound = Array.from({ length: 11 }, (_, i) => [-105.27, 40.01 + i * 0.001]);
+const route = [...outbound, ...outbound.slice(0, -1).reverse()];
+const streams = {
+  latlng: { data: route.map(([lng, lat]) => [lat, lng]) },
+  velocity_smooth: { data: route.map((_, i) => (i <= 10 ? 1.5 : 8)) },
+  grade_smooth: { data: route.map((_, i) => (i <= 10 ? 4 : -4)) }
+};
+const colorByMetric = { enabled: true, metric: 'speed', samples: RouteColorMetrics.normalizeSamples(streams, 'speed') };
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Route Colour By Metric Test Suite');
+  console.log('='.repeat(60));
+
+  // 1. Sample and Settings Tests
+  console.log('\n📈 1. SAMPLE AND SETTINGS TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Should turn Strava streams into [lng, lat, value] samples', async () => {
+    const keyed = RouteColorMetrics.normalizeSamples(streams, 'speed');
+    const list = RouteColorMetrics.normalizeSamples(
+      [{ type: 'latlng', data: streams.latlng.data }, { type: 'grade_smooth', data: streams.grade_smooth.data }],
+      'gradient'
+    );
+    const long = Array.from({ length: 2000 }, (_, i) => [0, i * 0.0001, i]);
+    return keyed.length === route.length && keyed[0][0] === -105.27 && keyed[0][1] === 40.01 && keyed[0][2] === 1.5 &&
+           list[list.length - 1][2] === -4 &&
+           RouteColorMetrics.normalizeSamples(streams, 'heartrate').length === 0 &&
+           RouteColorMetrics.normalizeSamples(long).length === RouteColorMetrics.MAX_SAMPLES;
+  });
+
+  await runAsyncTest('Should only resolve settings for enabled single routes with samples', async () => {
+    return RouteColorMetrics.resolveSettings({ colorByMetric }) !== null &&
+           RouteColorMetrics.resolveSettings({ customization: { colorByMetric } }) !== null &&
+           RouteColorMetrics.resolveSettings({ colorByMetric: { ...colorByMetric, enabled: false } }) === null &&
+           RouteColorMetrics.resolveSettings({ colorByMetric: { ...colorByMetric, metric: 'cadence' } }) === null &&
+           RouteColorMetrics.resolveSettings({ colorByMetric: { ...colorByMetric, samples: [] } }) === null &&
+           RouteColorMetrics.resolveSettings({ colorByMetric, routes: [{ coordinates: route }] }) === null &&
+           mapService.getColorMetric({ colorByMetric, renderMode: 'heatmap' }) === null;
+  });
+
+  await runAsyncTest('Should pick the palette for the map theme and centre gradient on zero', async () => {
+    const light = RouteColorMetrics.resolveSettings({ colorByMetric, style: 'outdoors-v12' });
+    const dark = RouteColorMetrics.resolveSettings({ colorByMetric, style: 'mapbox://styles/mapbox/dark-v11' });
+    const gradient = RouteColorMetrics.resolveSettings({
+      colorByMetric: { enabled: true, metric: 'gradient', samples: RouteColorMetrics.normalizeSamples(streams, 'gradient') }
+    });
+    return light.palette === RouteColorMetrics.PALETTES.light.speed &&
+           dark.palette === RouteColorMetrics.PALETTES.dark.speed &&
+           dark.textColor !== light.textColor &&
+           gradient.min === -gradient.max && gradient.max === 4;
+  });
+
+  // 2. Colour Mapping Tests
+  console.log('\n🎨 2. COLOUR MAPPING TESTS');
+  console.log('-'.repeat(40));
+
+  await runAsyncTest('Should keep each pass of an out-and-back route on its own samples', async () => {
+    const settings = RouteColorMetrics.resolveSettings({ colorByMetric });
+    const values = RouteColorMetrics.getValues(settings, route);
+    return values.slice(0, 11).every(value => value === 1.5) && values.slice(11).every(value => value === 8);
+  });
+
+  await runAsyncTest('Should build an ascending Mapbox line gradient covering the whole line', async () => {
+    const settings = RouteColorMetrics.resolveSettings({ colorByMetric });
+    const longRoute = Array.from({ length: 1000 }, (_, i) => [-105.27, 40.01 + i * 0.00001]);
+    const expression = RouteColorMetrics.toLineGradient(settings, longRoute);
+    const stops = expression.slice(3);
+    const progress = stops.filter((_, index) => index % 2 === 0);
+    const short = RouteColorMetrics.toLineGradient(settings, route).slice(3);
+    return expression[0] === 'interpolate' && expression[2][0] === 'line-progress' &&
+           progress[0] === 0 && progress[progress.length - 1] === 1 &&
+           progress.every((value, index) => index === 0 || value > progress[index - 1]) &&
+           progress.length <= RouteColorMetrics.MAX_GRADIENT_STOPS + 1 &&
+           short[1] === RouteColorMetrics.getColor(settings, 1.5) &&
+           short[short.length - 1] === RouteColorMetrics.getColor(settings, 8);
+  });
+
+  await runAsyncTest('Should merge same-colour segments into continuous runs', async () => {
+    const settings = RouteColorMetrics.resolveSettings({ colorByMetric });
+    const colors = RouteColorMetrics.getSegmentColors(settings, route);
+    const runs = RouteColorMetrics.buildRuns(route, colors);
+    const joined = runs.every((run, index) => index === 0 || run.points[0] === runs[index - 1].points[runs[index - 1].points.length - 1]);
+    return colors.length === route.length - 1 && runs.length === 3 && joined &&
+           runs.reduce((sum, run) => sum + run.points.length - 1, 0) === route.length - 1;
+  });
+
+  await runAsyncTest('Should label the legend in the chosen units', async () => {
+    const metric = RouteColorMetrics.getLegend(RouteColorMetrics.resolveSettings({ colorByMetric }));
+    const imperial = RouteColorMetrics.getLegend(RouteColorMetrics.resolveSettings({ colorByMetric: { ...colorByMetric, units: 'imperial' } }));
+    return metric.title === 'Speed (km/h)' && metric.min === '5' && metric.max === '29' &&
+           imperial.title === 'Speed (mph)' && imperial.max === '18';
+  });
+
+  // 3. Render Tests
+  console.log('\n🗺️ 3. RENDER TESTS');
+  console.log('-'.repeat(40));
+
+  const config = {
+    route: { coordinates: route, color: '#ff4444' },
+    colorByMetric,
+    width: 595,
+    height: 842
+  };
+
+  await runAsyncTest('Should draw a line gradient and legend on the Puppeteer map page', async () => {
+    const html = mapService.generateValidatedMapHTML(config);
+    const plain = mapService.generateValidatedMapHTML({ ...config, colorByMetric: null });
+    const basemap = mapService.generateValidatedMapHTML({ ...config, omitRouteLayers: true });
+    return html.includes('"line-progress"') && html.includes('route-color-legend') &&
+           !plain.includes('"line-progress"') && !plain.includes('route-color-legend') &&
+           !basemap.includes('route-color-legend');
+  });
+
+  await runAsyncTest('Should stroke each colour run on the canvas fallback', async () => {
+    const strokes = [];
+    const ctx = {
+      beginPath() {},
+      moveTo() {},
+      lineTo() {},
+      arc() {},
+      fill() {},
+      stroke() { strokes.push(this.strokeStyle); }
+    };
+    const bounds = mapService.calculateRouteBounds(route);
+    await mapService.drawRouteOnCanvas(ctx, route, bounds, 595, 842, { ...config, colorMetric: mapService.getColorMetric(config) });
+    const single = strokes.length;
+    await mapService.drawRouteOnCanvas(ctx, route, bounds, 595, 842, config);
+    return single === 3 && new Set(strokes.slice(0, 3)).size === 3 && strokes.length === 4 && strokes[3] === '#ff4444';
+  });
+
+  await runAsyncTest('Should print one path per colour run and the legend in SVG exports', async () => {
+    const printDocumentService = new PrintDocumentService({ bleed: 0, cropMarks: false });
+    const svg = printDocumentService.generateSVG({ ...config, format: 'A4', orientation: 'portrait' });
+    const plain = printDocumentService.generateSVG({ ...config, colorByMetric: { ...colorByMetric, showLegend: false }, format: 'A4', orientation: 'portrait' });
+    return svg.includes('id="route-0-2"') && !svg.includes('id="route-0-3"') &&
+           svg.includes('class="route-color-legend"') && svg.includes('Speed (km/h)') &&
+           !plain.includes('route-color-legend');
+  });
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,739 @@
+/**
+ * Shared State Test Suite
+ *
+ * Validates the shared state adapters and the components that opt into them: the same
+ * contract tests run against the memory adapter and the Redis adapter, then two
+ * "instances" (two Redis adapters on one server) check that cross-domain tokens, cache
+ * entries, rate limit counters and sessions created on one are seen by the other.
+ *
+ * Without a server, the Redis adapter talks to a small in-process stand-in speaking the
+ * Redis protocol (strings with expiry, sorted sets, SCAN, MULTI/EXEC and pub/sub). CI
+ * runs the suite against a real Redis; to do the same locally (test keys are prefixed
+ * and removed afterwards, and the connection tests kill other clients' connections, so
+ * use a Redis nothing else depends on):
+ *   REDIS_TEST_URL=redis://localhost:6379/15 node tests/shared-state-test.js
+ *
+ * Test Categories:
+ * 1. Adapter Contract Tests
+ * 2. Redis Connection Tests
+ * 3. Component Tests
+ */
+
+const net = require('net');
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const { createSharedStateAdapter, getSharedState, MemoryStateAdapter, RedisStateAdapter } = require('../services/sharedState');
+const SharedSessionStore = require('../services/sharedSessionStore');
+const CacheService = require('../services/cacheService');
+const { CrossDomainTokenStore } = require('../services/crossDomainTokenStore');
+const { RateLimitManager } = require('../middleware/rateLimiting');
+
+const TEST_PREFIX = `maps-test-${crypto.randomBytes(4).toString('hex')}:`;
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+/**
+ * Parse one command (a RESP array of bulk strings) sent by a client
+ * @returns {Object|null} { args, offset } or null when the buffer holds an incomplete command
+ */
+function parseCommand(buffer) {
+  let lineEnd = buffer.indexOf('\r\n');
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const count = parseInt(buffer.toString('utf8', 1, lineEnd), 10);
+  const args = [];
+  let offset = lineEnd + 2;
+  for (let i = 0; i < count; i++) {
+    lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+      return null;
+    }
+    const length = parseInt(buffer.toString('utf8', offset + 1, lineEnd), 10);
+    if (buffer.length < lineEnd + 2 + length + 2) {
+      return null;
+    }
+    args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+    offset = lineEnd + 2 + length + 2;
+  }
+  return { args, offset };
+}
+
+/**
+ * Minimal server speaking the Redis protocol, with optional password
+ * Connections are exposed so tests can drop them.
+ */
+function createRedisStandIn({ password = null } = {}) {
+  const strings = new Map(); // key -> { value, expiresAt }
+  const sortedSets = new Map(); // key -> { members: Map(member -> score), expiresAt }
+  const subscribers = new Map(); // channel -> Set of sockets
+  const connections = new Set();
+
+  const encode = (value) => {
+    if (value === null) return '$-1\r\n';
+    if (value instanceof Error) return `-${value.message}\r\n`;
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+    if (value && value.simple) return `+${value.simple}\r\n`;
+    return `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`;
+  };
+  const OK = { simple: 'OK' };
+
+  const live = (map, key) => {
+    const entry = map.get(key);
+    if (entry && entry.expiresAt && Date.now() >= entry.expiresAt) {
+      map.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const globToRegex = pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+  const execute = (socket, [name, ...args]) => {
+    const command = name.toUpperCase();
+    if (password && !socket.authenticated && command !== 'AUTH') {
+      return new Error('NOAUTH Authentication required.');
+    }
+
+    switch (command) {
+      case 'AUTH':
+        if (args[args.length - 1] !== password) return new Error('WRONGPASS invalid username-password pair');
+        socket.authenticated = true;
+        return OK;
+      case 'SELECT':
+        socket.db = args[0];
+        return OK;
+      case 'PING':
+        return { simple: 'PONG' };
+      case 'INFO':
+        return '# Server\r\nredis_version:7.2.0\r\nloading:0\r\n';
+      case 'CLIENT':
+        return OK;
+      case 'GET':
+        if (live(sortedSets, args[0])) return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        return live(strings, args[0])?.value ?? null;
+      case 'MGET':
+        return args.map(key => live(strings, key)?.value ?? null);
+      case 'SET': {
+        const pxIndex = args.findIndex(arg => arg.toUpperCase() === 'PX');
+        strings.set(args[0], { value: args[1], expiresAt: pxIndex > -1 ? Date.now() + parseInt(args[pxIndex + 1], 10) : null });
+        return OK;
+      }
+      case 'DEL':
+        return args.filter(key => strings.delete(key) | sortedSets.delete(key)).length;
+      case 'SCAN': {
+        // Two keys per page so callers have to follow the cursor
+        const regex = globToRegex(args[args.findIndex(arg => arg.toUpperCase() === 'MATCH') + 1] || '*');
+        const keys = [...strings.keys(), ...sortedSets.keys()]
+          .filter(key => live(strings, key) || live(sortedSets, key))
+          .filter(key => regex.test(key))
+          .sort();
+        const cursor = parseInt(args[0], 10);
+        const next = cursor + 2 >= keys.length ? '0' : String(cursor + 2);
+        return [next, keys.slice(cursor, cursor + 2)];
+      }
+      case 'ZREMRANGEBYSCORE': {
+        const set = live(sortedSets, args[0]);
+        if (!set) return 0;
+        const max = parseFloat(args[2]);
+        let removed = 0;
+        for (const [member, score] of set.members) {
+          if (score <= max) {
+            set.members.delete(member);
+            removed++;
+          }
+        }
+        return removed;
+      }
+      case 'ZADD': {
+        const set = live(sortedSets, args[0]) || { members: new Map(), expiresAt: null };
+        sortedSets.set(args[0], set);
+        const added = set.members.has(args[2]) ? 0 : 1;
+        set.members.set(args[2], parseFloat(args[1]));
+        return added;
+      }
+      case 'ZCARD':
+        return live(sortedSets, args[0])?.members.size || 0;
+      case 'ZREM':
+        return live(sortedSets, args[0])?.members.delete(args[1]) ? 1 : 0;
+      case 'PEXPIRE': {
+        const entry = live(sortedSets, args[0]) || live(strings, args[0]);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + parseInt(args[1], 10);
+        return 1;
+      }
+      case 'PUBLISH': {
+        const receivers = subscribers.get(args[0]) || new Set();
+        receivers.forEach(receiver => receiver.write(encode(['message', args[0], args[1]])));
+        return receivers.size;
+      }
+      case 'SUBSCRIBE':
+        // One confirmation per channel; the caller writes them out in turn
+        return args.map((channel, index) => {
+          if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+          subscribers.get(channel).add(socket);
+          return ['subscribe', channel, index + 1];
+        });
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  const server = net.createServer(socket => {
+    connections.add(socket);
+    socket.setNoDelay(true);
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while (buffer.length && (parsed = parseCommand(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const args = parsed.args;
+        const command = args[0].toUpperCase();
+
+        if (command === 'QUIT') {
+          socket.end(encode(OK));
+        } else if (command === 'MULTI') {
+          queued = [];
+          socket.write(encode(OK));
+        } else if (command === 'EXEC') {
+          const results = queued.map(queuedArgs => execute(socket, queuedArgs));
+          queued = null;
+          socket.write(encode(results));
+        } else if (queued) {
+          queued.push(args);
+          socket.write(encode({ simple: 'QUEUED' }));
+        } else if (command === 'SUBSCRIBE') {
+          execute(socket, args).forEach(reply => socket.write(encode(reply)));
+        } else {
+          socket.write(encode(execute(socket, args)));
+        }
+      }
+    });
+    socket.on('close', () => {
+      connections.delete(socket);
+      subscribers.forEach(receivers => receivers.delete(socket));
+    });
+    socket.on('error', () => {});
+  });
+
+  return {
+    server,
+    strings,
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    dropConnections: () => connections.forEach(socket => socket.destroy()),
+    close: () => {
+      connections.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Poll until a condition holds (pub/sub delivery is asynchronous)
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return false;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Drop every client connection to the server, as a Redis restart or failover would
+ * @param {Object|null} standIn - Stand-in server, or null to kill connections on the real Redis
+ */
+async function dropConnections(standIn, redisUrl) {
+  if (standIn) {
+    standIn.dropConnections();
+    return;
+  }
+
+  const admin = new Redis(redisUrl);
+  try {
+    await admin.client('KILL', 'TYPE', 'normal', 'SKIPME', 'yes');
+    await admin.client('KILL', 'TYPE', 'pubsub');
+  } finally {
+    admin.disconnect();
+  }
+}
+
+/**
+ * Run a rate limit middleware for a fake request
+ * @returns {Promise<Object>} { allowed, status, headers }
+ */
+function runRateLimit(middleware, clientIp) {
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    const req = {
+      ip: clientIp,
+      sessionID: 'session-1',
+      url: '/api/test',
+      method: 'GET',
+      connection: {},
+      get: () => 'test-agent',
+      accepts: () => 'json'
+    };
+    const res = {
+      set: values => Object.assign(headers, values),
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json() {
+        resolve({ allowed: false, status: this.statusCode, headers });
+      }
+    };
+
+    middleware(req, res, error => (error ? reject(error) : resolve({ allowed: true, status: 200, headers })));
+  });
+}
+
+async function runTestSuite() {
+  console.log('🧪 Starting Shared State Test Suite');
+  console.log('='.repeat(60));
+
+  const standIn = process.env.REDIS_TEST_URL ? null : createRedisStandIn();
+  const redisUrl = process.env.REDIS_TEST_URL || `redis://127.0.0.1:${await standIn.listen()}`;
+  const adapters = [];
+  const components = [];
+
+  const createRedisAdapter = () => {
+    const adapter = new RedisStateAdapter({ url: redisUrl, keyPrefix: TEST_PREFIX });
+    adapters.push(adapter);
+    return adapter;
+  };
+  const track = component => {
+    components.push(component);
+    return component;
+  };
+
+  console.log(`Redis: ${process.env.REDIS_TEST_URL ? redisUrl : 'in-process stand-in'}`);
+
+  try {
+    console.log('\n🔌 1. ADAPTER CONTRACT TESTS');
+    console.log('-'.repeat(40));
+
+    const contracts = [
+      ['memory', () => {
+        const adapter = new MemoryStateAdapter();
+        adapters.push(adapter);
+        return adapter;
+      }],
+      ['redis', createRedisAdapter]
+    ];
+
+    for (const [name, createAdapter] of contracts) {
+      await runAsyncTest(`[${name}] Should store, read, list and delete JSON values`, async () => {
+        const adapter = createAdapter();
+        await adapter.set('contract:a', { nested: { value: 1 } });
+        await adapter.set('contract:b', ['list', 2]);
+        await adapter.set('contract:c', 'text');
+        await adapter.set('other:d', true);
+
+        const keys = (await adapter.keys('contract:*')).sort();
+        const values = await adapter.getMany(['contract:a', 'contract:missing', 'contract:c']);
+        await adapter.delete('contract:a', 'contract:b');
+
+        return JSON.stringify(keys) === JSON.stringify(['contract:a', 'contract:b', 'contract:c']) &&
+               values[0].nested.value === 1 && values[1] === null && values[2] === 'text' &&
+               await adapter.get('contract:a') === null && await adapter.get('contract:c') === 'text' &&
+               JSON.stringify(await adapter.getMany([])) === '[]';
+      });
+
+      await runAsyncTest(`[${name}] Should expire values after their TTL`, async () => {
+        const adapter = createAdapter();
+        await adapter.set('ttl:short', { value: 1 }, 50);
+        await adapter.set('ttl:long', { value: 2 }, 60000);
+        const before = await adapter.get('ttl:short');
+        await sleep(80);
+
+        return before?.value === 1 && await adapter.get('ttl:short') === null &&
+               (await adapter.get('ttl:long')).value === 2 &&
+               JSON.stringify(await adapter.keys('ttl:*')) === JSON.stringify(['ttl:long']);
+      });
+
+      await runAsyncTest(`[${name}] Should count hits in a sliding window without counting rejected requests`, async () => {
+        const adapter = createAdapter();
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+          results.push(await adapter.recordHit('hits:client', 100, 3));
+        }
+        await sleep(120);
+        const afterWindow = await adapter.recordHit('hits:client', 100, 3);
+
+        return results.map(result => result.allowed).join() === 'true,true,true,false' &&
+               results.map(result => result.count).join() === '1,2,3,3' &&
+               afterWindow.allowed && afterWindow.count === 1;
+      });
+    }
+
+    await runAsyncTest('Should deliver published messages to other instances only', async () => {
+      const first = createRedisAdapter();
+      const second = createRedisAdapter();
+      const receivedByFirst = [];
+      const receivedBySecond = [];
+      await first.subscribe('events', message => receivedByFirst.push(message));
+      await second.subscribe('events', message => receivedBySecond.push(message));
+
+      await first.publish('events', { from: 'first' });
+      await second.publish('events', { from: 'second' });
+
+      return await waitFor(() => receivedByFirst.length === 1 && receivedBySecond.length === 1) &&
+             receivedByFirst[0].from === 'second' && receivedBySecond[0].from === 'first';
+    });
+
+    await runAsyncTest('Should select adapters from configuration and only for opted-in components', async () => {
+      const memory = createSharedStateAdapter({ driver: 'memory' });
+      adapters.push(memory);
+      const rejected = [
+        () => createSharedStateAdapter({ driver: 'redis' }),
+        () => createSharedStateAdapter({ driver: 'memcached' }),
+        () => getSharedState('unknownComponent')
+      ].filter(create => {
+        try {
+          create();
+          return false;
+        } catch (error) {
+          return true;
+        }
+      });
+
+      // The test configuration opts no component in
+      return memory instanceof MemoryStateAdapter && rejected.length === 3 &&
+             getSharedState('cache') === null && getSharedState('sessions') === null;
+    });
+
+    console.log('\n📡 2. REDIS CONNECTION TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should keep replies in order for pipelined concurrent commands', async () => {
+      const adapter = createRedisAdapter();
+      const values = Array.from({ length: 200 }, (value, index) => ({ index, padding: 'x'.repeat(index * 40) }));
+      await Promise.all(values.map(value => adapter.set(`pipeline:${value.index}`, value)));
+
+      const read = await Promise.all(values.map(value => adapter.get(`pipeline:${value.index}`)));
+      const many = await adapter.getMany(values.map(value => `pipeline:${value.index}`));
+
+      return read.every((value, index) => value.index === index && value.padding.length === index * 40) &&
+             many.every((value, index) => value.index === index);
+    });
+
+    await runAsyncTest('Should reject error replies and keep using the connection', async () => {
+      const adapter = createRedisAdapter();
+      await adapter.recordHit('wrongtype:client', 60000, 10);
+      const error = await adapter.get('wrongtype:client').catch(commandError => commandError);
+      await adapter.set('wrongtype:after', 'still works');
+
+      return error instanceof Error && error.message.startsWith('WRONGTYPE') &&
+             await adapter.get('wrongtype:after') === 'still works';
+    });
+
+    await runAsyncTest('Should fail commands while Redis is unreachable instead of queueing them', async () => {
+      const unreachable = new RedisStateAdapter({ url: 'redis://127.0.0.1:1', keyPrefix: TEST_PREFIX, connectTimeout: 500 });
+      adapters.push(unreachable);
+      const started = Date.now();
+      const error = await unreachable.get('anything').catch(commandError => commandError);
+
+      return error instanceof Error && Date.now() - started < 2000;
+    });
+
+    await runAsyncTest('Should reconnect after the server drops the connection', async () => {
+      const adapter = createRedisAdapter();
+      await adapter.set('reconnect', 'before');
+      await dropConnections(standIn, redisUrl);
+      await waitFor(() => adapter.client.status !== 'ready');
+
+      const value = await waitFor(async () => (await adapter.get('reconnect').catch(() => null)) === 'before', 3000);
+      await adapter.set('reconnect', 'after');
+      return value && await adapter.get('reconnect') === 'after';
+    });
+
+    await runAsyncTest('Should resubscribe after a dropped connection and ask mirrors to resync', async () => {
+      const publisher = createRedisAdapter();
+      const subscriber = createRedisAdapter();
+      const received = [];
+      let resyncs = 0;
+      subscriber.on('resync', () => resyncs++);
+      await subscriber.subscribe('reconnect-events', message => received.push(message));
+
+      await dropConnections(standIn, redisUrl);
+      const resubscribed = await waitFor(() => resyncs === 1 && subscriber.subscriber.status === 'ready', 3000);
+      await sleep(50); // the SUBSCRIBE is sent just after 'ready'
+      await publisher.publish('reconnect-events', { after: 'reconnect' });
+
+      return resubscribed && await waitFor(() => received.length === 1) && received[0].after === 'reconnect';
+    });
+
+    if (standIn) {
+      await runAsyncTest('Should authenticate and select the database from the URL', async () => {
+        const secured = createRedisStandIn({ password: 's3cret/pass' });
+        const port = await secured.listen();
+        const connect = url => {
+          const adapter = new RedisStateAdapter({ url, keyPrefix: TEST_PREFIX, connectTimeout: 500 });
+          adapters.push(adapter);
+          return adapter;
+        };
+        try {
+          const authenticated = connect(`redis://:${encodeURIComponent('s3cret/pass')}@127.0.0.1:${port}/2`);
+          await authenticated.set('auth', 'ok');
+          const value = await authenticated.get('auth');
+
+          const unauthenticated = await connect(`redis://127.0.0.1:${port}`).get('auth').catch(error => error);
+          const wrongPassword = await connect(`redis://:wrong@127.0.0.1:${port}`).get('auth').catch(error => error);
+
+          return value === 'ok' && unauthenticated instanceof Error && unauthenticated.message.includes('NOAUTH') &&
+                 wrongPassword instanceof Error;
+        } finally {
+          await secured.close();
+        }
+      });
+    }
+
+    console.log('\n🔁 3. COMPONENT TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should share cross-domain tokens and map previews between instances', async () => {
+      const first = track(new CrossDomainTokenStore({ sharedState: createRedisAdapter() }));
+      const second = track(new CrossDomainTokenStore({ sharedState: createRedisAdapter() }));
+      await Promise.all([first.ready, second.ready]);
+
+      first.storeToken('token-shared-1', { sessionId: 'session-abc', athlete: { id: 101 } });
+      const seenBySecond = await waitFor(() => second.tokens.has('token-shared-1'));
+      const tokenData = second.getTokenData('token-shared-1');
+
+      // The confirmation step can land on either instance
+      second.storeMapPreview('token-shared-1', 'preview-1', { style: 'dark' });
+      const previewOnFirst = await waitFor(() => first.getMapPreview('token-shared-1', 'preview-1') !== null);
+
+      // A freshly started instance loads the tokens already issued
+      const third = track(new CrossDomainTokenStore({ sharedState: createRedisAdapter() }));
+      await third.ready;
+
+      return seenBySecond && tokenData.athlete.id === 101 && previewOnFirst &&
+             first.getMapPreview('token-shared-1', 'preview-1').style === 'dark' &&
+             third.getMapPreview('token-shared-1', 'preview-1')?.style === 'dark' &&
+             third.isValidToken('token-shared-1');
+    });
+
+    await runAsyncTest('Should remove cross-domain tokens on every instance', async () => {
+      const first = track(new CrossDomainTokenStore({ sharedState: createRedisAdapter() }));
+      const second = track(new CrossDomainTokenStore({ sharedState: createRedisAdapter() }));
+      await Promise.all([first.ready, second.ready]);
+
+      first.storeToken('token-athlete-a', { sessionId: 'session-a1', athlete: { id: 202 } });
+      first.storeToken('token-athlete-b', { sessionId: 'session-a2', athlete: { id: 202 } });
+      first.storeToken('token-other', { sessionId: 'session-b1', athlete: { id: 303 } });
+      await waitFor(() => second.tokens.size >= 3);
+
+      const removed = second.removeAthleteTokens(202);
+      const removedOnFirst = await waitFor(() => !first.tokens.has('token-athlete-a') && !first.tokens.has('token-athlete-b'));
+
+      const third = track(new CrossDomainTokenStore({ sharedState: createRedisAdapter() }));
+      await third.ready;
+
+      return removed === 2 && removedOnFirst && first.isValidToken('token-other') &&
+             !third.tokens.has('token-athlete-a') && third.isValidToken('token-other');
+    });
+
+    await runAsyncTest('Should read through to entries cached by another instance and broadcast invalidations', async () => {
+      const cacheConfig = { cleanupInterval: 60000 };
+      const first = track(new CacheService(cacheConfig, { sharedState: createRedisAdapter() }));
+      const second = track(new CacheService(cacheConfig, { sharedState: createRedisAdapter() }));
+      await sleep(50); // let both subscribe
+
+      first.set('activities', '42:activities:abc', [{ id: 1 }]);
+      first.set('activities', '42:activities:def', [{ id: 2 }]);
+      first.set('activities', '77:activities:abc', [{ id: 3 }]);
+      const localMiss = second.get('activities', '42:activities:abc');
+      const shared = await waitFor(async () => (await second.fetchShared('activities', '42:activities:abc')) !== null);
+      const copiedLocally = second.get('activities', '42:activities:abc');
+      const { sharedHits } = second.getStats();
+
+      // Invalidating one user's entries on one instance drops them everywhere
+      second.invalidate('activities', /^42:/);
+      const droppedOnFirst = await waitFor(() => first.get('activities', '42:activities:def') === null);
+      const droppedShared = await waitFor(async () => (await first.fetchShared('activities', '42:activities:abc')) === null);
+      const otherUser = await second.fetchShared('activities', '77:activities:abc');
+
+      return localMiss === null && shared && copiedLocally[0].id === 1 &&
+             sharedHits === 1 && droppedOnFirst && droppedShared &&
+             otherUser[0].id === 3 && first.get('activities', '77:activities:abc')[0].id === 3;
+    });
+
+    await runAsyncTest('Should keep shared cache entries when one instance shuts down', async () => {
+      const sharedState = createRedisAdapter();
+      const first = new CacheService({ cleanupInterval: 60000 }, { sharedState });
+      const second = track(new CacheService({ cleanupInterval: 60000 }, { sharedState: createRedisAdapter() }));
+
+      first.set('athlete', '55:athlete:abc', { id: 55 });
+      await waitFor(async () => (await sharedState.get('cache:athlete:55:athlete:abc')) !== null);
+      first.destroy();
+      await sleep(50);
+
+      return (await second.fetchShared('athlete', '55:athlete:abc'))?.id === 55;
+    });
+
+    await runAsyncTest('Should enforce client rate limits across instances', async () => {
+      const first = track(new RateLimitManager({ sharedState: createRedisAdapter() }));
+      const second = track(new RateLimitManager({ sharedState: createRedisAdapter() }));
+      const options = { windowMs: 60000, maxRequests: 3 };
+      const onFirst = first.createClientRateLimit(options);
+      const onSecond = second.createClientRateLimit(options);
+
+      const results = [
+        await runRateLimit(onFirst, '10.0.0.1'),
+        await runRateLimit(onSecond, '10.0.0.1'),
+        await runRateLimit(onFirst, '10.0.0.1'),
+        await runRateLimit(onSecond, '10.0.0.1')
+      ];
+      const otherClient = await runRateLimit(onSecond, '10.0.0.2');
+
+      // Resetting on one instance lifts the limit on all of them
+      first.resetClientRateLimit(first.getClientIdentifier({ ip: '10.0.0.1', sessionID: 'session-1', get: () => 'test-agent' }));
+      const afterReset = await waitFor(async () => (await runRateLimit(onSecond, '10.0.0.1')).allowed);
+
+      return results.map(result => result.allowed).join() === 'true,true,true,false' &&
+             results[3].status === 429 && results[1].headers['X-RateLimit-Remaining'] === 0 &&
+             otherClient.allowed && afterReset;
+    });
+
+    await runAsyncTest('Should count requests in memory while the shared store is unreachable', async () => {
+      const unreachable = new RedisStateAdapter({ url: 'redis://127.0.0.1:1', keyPrefix: TEST_PREFIX, connectTimeout: 500 });
+      adapters.push(unreachable);
+      const manager = track(new RateLimitManager({ sharedState: unreachable }));
+      const middleware = manager.createClientRateLimit({ windowMs: 60000, maxRequests: 2 });
+
+      const results = [];
+      for (let i = 0; i < 3; i++) {
+        results.push(await runRateLimit(middleware, '10.0.0.3'));
+      }
+
+      return results.map(result => result.allowed).join() === 'true,true,false';
+    });
+
+    await runAsyncTest('Should share the latest Strava quota reading between instances', async () => {
+      const first = track(new RateLimitManager({ sharedState: createRedisAdapter() }));
+      const second = track(new RateLimitManager({ sharedState: createRedisAdapter() }));
+      await sleep(50); // let both subscribe
+
+      const headers = { 'x-ratelimit-limit': '100,1000', 'x-ratelimit-usage': '95,400', 'x-ratelimit-remaining': '5,600' };
+      first.trackStravaRateLimit({ headers: { get: name => headers[name] } }, 'activities');
+      const received = await waitFor(() => second.getStravaRateLimitStatus().usage15min === '95/100');
+
+      const third = track(new RateLimitManager({ sharedState: createRedisAdapter() }));
+      const loaded = await waitFor(() => third.getStravaRateLimitStatus().usage15min === '95/100');
+
+      return received && !second.getStravaRateLimitStatus().safe && loaded;
+    });
+
+    await runAsyncTest('Should share sessions between instances and expire them with their cookie', async () => {
+      const first = new SharedSessionStore({ sharedState: createRedisAdapter() });
+      const second = new SharedSessionStore({ sharedState: createRedisAdapter() });
+      const call = (store, method, ...args) => new Promise((resolve, reject) => {
+        store[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+      });
+      const cookie = expiresIn => ({ originalMaxAge: expiresIn, expires: new Date(Date.now() + expiresIn).toISOString(), httpOnly: true });
+
+      await call(first, 'clear');
+      await call(first, 'set', 'sid-1', { cookie: cookie(60000), stravaTokens: 'encrypted-1' });
+      await call(first, 'set', 'sid-2', { cookie: cookie(60000), stravaTokens: 'encrypted-2' });
+      await call(first, 'set', 'sid-short', { cookie: cookie(50), stravaTokens: 'encrypted-3' });
+      await call(first, 'set', 'sid-expired', { cookie: cookie(-1000) });
+
+      const onSecond = await call(second, 'get', 'sid-1');
+      const countBefore = await call(second, 'length');
+      await sleep(80);
+
+      // tokenManager purges a deauthorized athlete's sessions through all() and destroy()
+      const all = await call(second, 'all');
+      await call(second, 'destroy', 'sid-2');
+
+      return onSecond.stravaTokens === 'encrypted-1' && countBefore === 3 &&
+             JSON.stringify(Object.keys(all).sort()) === JSON.stringify(['sid-1', 'sid-2']) &&
+             await call(first, 'get', 'sid-2') === null && await call(first, 'get', 'sid-expired') === null &&
+             await call(first, 'length') === 1;
+    });
+  } finally {
+    components.forEach(component => component.destroy());
+    if (process.env.REDIS_TEST_URL) {
+      const cleanup = new RedisStateAdapter({ url: redisUrl, keyPrefix: TEST_PREFIX });
+      await cleanup.delete(...await cleanup.keys('*')).catch(() => {});
+      await cleanup.close();
+    }
+    await Promise.all(adapters.map(adapter => adapter.close().catch(() => {})));
+    if (standIn) {
+      await standIn.close();
+    }
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
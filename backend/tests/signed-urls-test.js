@@ -0,0 +1,279 @@
+/**
+ * Signed URL Test Suite
+ *
+ * Validates signed, expiring download links for generated map files: signing and
+ * verification, link expiry, preview vs print scope, revocation of single links and
+ * whole files (persisted across restarts), and the print lab links added to orders.
+ * Each run uses its own generated-maps and revocations file in a temporary directory.
+ *
+ * Test Categories:
+ * 1. Signing Tests
+ * 2. Scope Tests
+ * 3. Revocation Tests
+ * 4. Order Link Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { SignedUrlService } = require('../services/signedUrlService');
+const { ShopifyAdminClient } = require('../services/shopifyAdminClient');
+const { createShopifyAdminMockServer } = require('./mocks/shopify-admin-mock-server');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let tempDir = null;
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+/**
+ * Build a service with its own generated-maps directory and revocations file
+ */
+function createService(name, options = {}) {
+  return new SignedUrlService({
+    baseDir: path.join(tempDir, 'generated-maps'),
+    persistenceFile: path.join(tempDir, name, 'revocations.json'),
+    secret: 'signed-url-test-secret',
+    publicUrl: 'https://maps.example.com/',
+    ...options
+  });
+}
+
+function getToken(link) {
+  return new URL(link.url).searchParams.get('token');
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Signed URL Test Suite');
+  console.log('='.repeat(60));
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'signed-urls-test-'));
+
+  try {
+    // 1. Signing Tests
+    console.log('\n🔏 1. SIGNING TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should issue a link that verifies for its own file only', async () => {
+      const service = createService('signing');
+      const filePath = path.join(tempDir, 'generated-maps', 'completed', 'map_p1_A3-portrait.png');
+      const link = service.createSignedUrl(filePath, { scope: 'print', now: 0 });
+      const token = getToken(link);
+      const [encoded, signature] = token.split('.');
+
+      const valid = await service.verifyToken('completed/map_p1_A3-portrait.png', token, 1000);
+      const otherFile = await service.verifyToken('completed/map_p2_A3-portrait.png', token, 1000);
+      const tampered = await service.verifyToken('completed/map_p1_A3-portrait.png', `${encoded}.${signature.slice(0, -2)}xx`, 1000);
+      const otherSecret = await createService('signing', { secret: 'another-secret' })
+        .verifyToken('completed/map_p1_A3-portrait.png', token, 1000);
+
+      return link.url.startsWith('https://maps.example.com/generated-maps/completed/map_p1_A3-portrait.png?token=') &&
+             link.path.startsWith('/generated-maps/') &&
+             valid.valid === true && valid.scope === 'print' && valid.id === link.id &&
+             otherFile.reason === 'signature' && tampered.reason === 'signature' && otherSecret.reason === 'signature' &&
+             (await service.verifyToken('completed/map_p1_A3-portrait.png', undefined)).reason === 'missing' &&
+             (await service.verifyToken('completed/map_p1_A3-portrait.png', 'not-a-token')).reason === 'malformed';
+    });
+
+    await runAsyncTest('Should expire links and cap their lifetime per scope', async () => {
+      const service = createService('expiry', { printTtl: 2 * DAY });
+      const link = service.createSignedUrl('completed/order.png', { scope: 'print', now: 0 });
+      const capped = service.createSignedUrl('temporary/preview.png', { scope: 'preview', expiresIn: 30 * DAY, now: 0 });
+
+      return link.expiresAt === new Date(2 * DAY).toISOString() &&
+             (await service.verifyToken('completed/order.png', getToken(link), 2 * DAY - 1)).valid === true &&
+             (await service.verifyToken('completed/order.png', getToken(link), 2 * DAY)).reason === 'expired' &&
+             capped.expiresAt === new Date(SignedUrlService.SCOPES.preview.maxTtl).toISOString();
+    });
+
+    // 2. Scope Tests
+    console.log('\n🎯 2. SCOPE TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should keep preview links away from print files', async () => {
+      const service = createService('scope');
+      const preview = service.createSignedUrl('temporary/preview.png', { scope: 'preview' });
+
+      let previewOfPrint = null;
+      try {
+        service.createSignedUrl('completed/order.png', { scope: 'preview' });
+      } catch (error) {
+        previewOfPrint = error.status;
+      }
+
+      // A preview link stops working if its directory is no longer a preview directory
+      const narrowed = createService('scope', { previewDirectories: ['previews'] });
+
+      return (await service.verifyToken('temporary/preview.png', getToken(preview))).valid === true &&
+             previewOfPrint === 400 &&
+             (await narrowed.verifyToken('temporary/preview.png', getToken(preview))).reason === 'scope';
+    });
+
+    await runAsyncTest('Should refuse links to quarantined, nested or outside files', async () => {
+      const service = createService('blocked');
+      const statuses = [
+        'quarantine/withdrawn.png',
+        'recovery/purchase.json',
+        'metadata/map.json',
+        '../config/index.js',
+        'completed/nested/map.png',
+        path.join(tempDir, 'elsewhere', 'map.png')
+      ].map(file => {
+        try {
+          service.createSignedUrl(file, { scope: 'print' });
+          return null;
+        } catch (error) {
+          return error.status;
+        }
+      });
+
+      return statuses.every(status => status === 400) &&
+             service.isLinkable('completed/map.png') && !service.isLinkable('quarantine/map.png') &&
+             (await service.verifyToken('quarantine/withdrawn.png', 'a.b')).reason === 'malformed';
+    });
+
+    // 3. Revocation Tests
+    console.log('\n🚫 3. REVOCATION TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should revoke single links and every earlier link to a file', async () => {
+      const service = createService('revoke');
+      const first = service.createSignedUrl('completed/order.png', { scope: 'print', now: 1000 });
+      const second = service.createSignedUrl('completed/order.png', { scope: 'print', now: 2000 });
+      const other = service.createSignedUrl('completed/other.png', { scope: 'print', now: 2000 });
+
+      await service.revokeLink(first.id, first.expiresAt);
+      const afterLink = await service.verifyToken('completed/order.png', getToken(second), 3000);
+      await service.revokeFile('completed/order.png', 3000);
+      const reissued = service.createSignedUrl('completed/order.png', { scope: 'print', now: 4000 });
+
+      return (await service.verifyToken('completed/order.png', getToken(first), 3000)).reason === 'revoked' &&
+             afterLink.valid === true &&
+             (await service.verifyToken('completed/order.png', getToken(second), 4000)).reason === 'revoked' &&
+             (await service.verifyToken('completed/order.png', getToken(reissued), 5000)).valid === true &&
+             (await service.verifyToken('completed/other.png', getToken(other), 5000)).valid === true;
+    });
+
+    await runAsyncTest('Should keep revocations across restarts and prune expired ones', async () => {
+      const service = createService('persist');
+      const link = service.createSignedUrl('completed/order.png', { scope: 'print' });
+      await service.revokeLink(link.id, link.expiresAt);
+      await service.revokeFile('completed/withdrawn.png');
+      await service.revokeLink('already-expired', new Date(Date.now() - 1000).toISOString());
+
+      const restarted = createService('persist');
+      const revoked = await restarted.verifyToken('completed/order.png', getToken(link));
+
+      return revoked.reason === 'revoked' &&
+             restarted.revokedFiles.has('completed/withdrawn.png') &&
+             !restarted.revokedLinks.has('already-expired') && restarted.revokedLinks.has(link.id);
+    });
+
+    // 4. Order Link Tests
+    console.log('\n📦 4. ORDER LINK TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Should add print lab links for the map and its documents to orders', async () => {
+      const signedUrlService = require('../services/signedUrlService');
+      const orderUpdateService = require('../services/orderUpdateService');
+      const completedDir = path.join(signedUrlService.baseDir, 'completed');
+      const job = {
+        id: 'job_1',
+        fileName: 'map_p1_A3-portrait.png',
+        filePath: path.join(completedDir, 'map_p1_A3-portrait.png'),
+        completedAt: new Date().toISOString(),
+        result: { documents: { pdf: path.join(completedDir, 'map_p1_A3-portrait.pdf') } }
+      };
+
+      const mockShopify = createShopifyAdminMockServer();
+      const adminApiUrl = await mockShopify.start();
+      mockShopify.addOrder({ id: 1001, lineItems: [{ id: 1 }] });
+      orderUpdateService.adminClient = new ShopifyAdminClient({
+        shopifyConfig: {},
+        adminApiUrl,
+        accessToken: mockShopify.accessToken
+      });
+
+      try {
+        const result = await orderUpdateService.addMapFileToOrder(1001, job);
+        const order = mockShopify.getOrder(1001);
+        const urlMetafield = order.metafields.find(metafield => metafield.key === 'map_file_url');
+        const note = order.note || '';
+        const token = new URL(result.downloadLinks.map.url, 'https://maps.example.com').searchParams.get('token');
+        const verified = await signedUrlService.verifyToken('completed/map_p1_A3-portrait.png', token);
+
+        return verified.valid === true && verified.scope === 'print' &&
+               urlMetafield?.value === result.downloadLinks.map.url &&
+               note.includes(`Download: ${result.downloadLinks.map.url}`) &&
+               note.includes(`PDF Document: ${result.downloadLinks.documents.pdf.url}`);
+      } finally {
+        orderUpdateService.adminClient = null;
+        await mockShopify.stop();
+      }
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,418 @@
+/**
+ * Strava Webhook Test Suite
+ *
+ * Validates the Strava push-subscription handler: hub challenge validation,
+ * activity create/update/delete events invalidating cached activity data and the
+ * activity index, and athlete deauthorization purging tokens, caches, the index,
+ * stored settings and design drafts once Strava confirms it. Strava's token endpoint is
+ * replaced by a stub answer. Each run uses its own index directory, settings file and
+ * drafts directory in a temporary directory.
+ *
+ * Test Categories:
+ * 1. Subscription Tests
+ * 2. Activity Event Tests
+ * 3. Deauthorization Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const session = require('express-session');
+const { StravaWebhookService } = require('../services/stravaWebhookService');
+const { ActivityIndexService } = require('../services/activityIndexService');
+const { UserSettingsService } = require('../services/userSettingsService');
+const { DesignDraftService } = require('../services/designDraftService');
+const cacheManager = require('../services/cacheManager');
+const tokenManager = require('../services/tokenManager');
+const tokenService = require('../services/tokenService');
+const crossDomainTokenStore = require('../services/crossDomainTokenStore');
+
+const ATHLETE_ID = 7001;
+const OTHER_ATHLETE_ID = 7002;
+const SUBSCRIPTION_ID = 120475;
+
+let tempDir = null;
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+function buildEvent(overrides = {}) {
+  return {
+    object_type: 'activity',
+    aspect_type: 'update',
+    object_id: 9001,
+    owner_id: ATHLETE_ID,
+    subscription_id: SUBSCRIPTION_ID,
+    event_time: Math.floor(Date.now() / 1000),
+    updates: {},
+    ...overrides
+  };
+}
+
+/**
+ * Token manager whose Strava token endpoint returns a canned response
+ */
+function stubTokenEndpoint(status, body = {}) {
+  const stub = Object.create(tokenManager);
+  stub.refreshRequests = [];
+  stub.requestTokenRefresh = async refreshToken => {
+    stub.refreshRequests.push(refreshToken);
+    if (status === null) {
+      throw new Error('getaddrinfo ENOTFOUND www.strava.com');
+    }
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  };
+  return stub;
+}
+
+/**
+ * Build a webhook service with an activity index seeded with one synced activity
+ */
+async function createService(name, dependencies = {}) {
+  const activityIndexService = new ActivityIndexService({
+    directory: path.join(tempDir, name),
+    fetchPage: async () => [{
+      id: 9001,
+      name: 'Morning Ride',
+      type: 'Ride',
+      start_date: '2024-05-01T07:00:00Z',
+      distance: 42000,
+      map: null
+    }]
+  });
+  await activityIndexService.sync(ATHLETE_ID, 'token');
+
+  const userSettingsService = new UserSettingsService({
+    persistenceFile: path.join(tempDir, name, 'user-settings.json')
+  });
+
+  const designDraftService = new DesignDraftService({
+    directory: path.join(tempDir, name, 'drafts'),
+    userSettingsService
+  });
+
+  const service = new StravaWebhookService({
+    verifyToken: 'verify-me',
+    subscriptionId: SUBSCRIPTION_ID,
+    dependencies: {
+      cacheManager, tokenManager, crossDomainTokenStore, activityIndexService, userSettingsService, designDraftService,
+      ...dependencies
+    }
+  });
+  return { service, activityIndexService, userSettingsService, designDraftService };
+}
+
+function cacheFor(athleteId, endpoint) {
+  return cacheManager.cache.generateKey(athleteId, endpoint, {});
+}
+
+function encryptedTokens(athleteId) {
+  return tokenService.encryptTokens({
+    accessToken: 'access',
+    refreshToken: `refresh-${athleteId}`,
+    athlete: { id: athleteId },
+    storedAt: Math.floor(Date.now() / 1000) - 60
+  });
+}
+
+/**
+ * Store a session holding the athlete's tokens, plus settings, a draft and a cache entry
+ */
+async function seedAthleteData({ userSettingsService, designDraftService }, sessionId = 'athlete-session') {
+  await userSettingsService.updatePrivacyZones(ATHLETE_ID, { hideFirstMeters: 500 });
+  const route = { activity: { id: 9001, map: { summary_polyline: '_p~iF~ps|U_ulLnnqC_mqNvxq`@' } } };
+  const draft = await designDraftService.createDraft(ATHLETE_ID, { settings: { mainTitle: 'Morning Ride' }, route });
+  const otherDraft = await designDraftService.createDraft(OTHER_ATHLETE_ID, { settings: {}, route });
+  const store = new session.MemoryStore();
+  tokenManager.setSessionStore(store);
+
+  const cookie = { originalMaxAge: null, expires: null };
+  if (sessionId) {
+    await new Promise(resolve => store.set(sessionId, { cookie, encrypted_strava_tokens: encryptedTokens(ATHLETE_ID) }, resolve));
+  }
+  await new Promise(resolve => store.set('other-session', { cookie, encrypted_strava_tokens: encryptedTokens(OTHER_ATHLETE_ID) }, resolve));
+  crossDomainTokenStore.storeToken('cross-domain-token-1', { sessionId: 'athlete-session', athlete: { id: ATHLETE_ID } });
+  cacheManager.cache.set('athlete', cacheFor(ATHLETE_ID, 'athlete'), { id: ATHLETE_ID });
+
+  return { store, draft, otherDraft };
+}
+
+const deauthorizationEvent = () => buildEvent({
+  object_type: 'athlete',
+  object_id: ATHLETE_ID,
+  updates: { authorized: 'false' }
+});
+
+/**
+ * True when none of the seeded data for the athlete has been removed
+ */
+async function athleteDataIntact({ activityIndexService, userSettingsService, designDraftService }, store, draft) {
+  const sessions = await new Promise(resolve => store.all((err, all) => resolve(Object.keys(all || {}))));
+  const indexPresent = await fs.access(activityIndexService.getIndexFile(ATHLETE_ID)).then(() => true, () => false);
+  const settings = await userSettingsService.getPrivacyZones(ATHLETE_ID);
+
+  return sessions.length === 2 && indexPresent && settings.hideFirstMeters === 500 &&
+         (await designDraftService.getDraft(draft.id)) !== null &&
+         crossDomainTokenStore.getTokenData('cross-domain-token-1') !== null &&
+         cacheManager.cache.get('athlete', cacheFor(ATHLETE_ID, 'athlete')) !== null;
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Strava Webhook Test Suite\n');
+  console.log('=' .repeat(60));
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'strava-webhook-test-'));
+
+  try {
+    // 1. Subscription Tests
+    console.log('\n🤝 SUBSCRIPTION TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should echo the hub challenge for a matching verify token', async () => {
+      const { service } = await createService('challenge');
+      const valid = service.verifyChallenge({ 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-me', 'hub.challenge': 'abc123' });
+      const wrongToken = service.verifyChallenge({ 'hub.mode': 'subscribe', 'hub.verify_token': 'nope', 'hub.challenge': 'abc123' });
+      const unconfigured = new StravaWebhookService({ verifyToken: null }).verifyChallenge({
+        'hub.mode': 'subscribe', 'hub.verify_token': 'verify-me', 'hub.challenge': 'abc123'
+      });
+      return valid.valid === true && valid.challenge === 'abc123' && !wrongToken.valid && !unconfigured.valid;
+    });
+
+    await runAsyncTest('Should reject malformed events and other subscriptions', async () => {
+      const { service } = await createService('reject');
+      const rejected = [
+        buildEvent({ subscription_id: 1 }),
+        buildEvent({ object_type: 'route' }),
+        buildEvent({ owner_id: null }),
+        null
+      ];
+      for (const event of rejected) {
+        try {
+          await service.handleEvent(event);
+          return `Accepted ${JSON.stringify(event)}`;
+        } catch (error) {
+          if (error.status !== 400) return error.message;
+        }
+      }
+      return true;
+    });
+
+    await runAsyncTest('Should refuse every event when no subscription ID is configured', async () => {
+      const { service } = await createService('unconfigured');
+      service.subscriptionId = null;
+      try {
+        await service.handleEvent(buildEvent());
+        return 'Accepted an event without a configured subscription';
+      } catch (error) {
+        return error.status === 400 && error.message === 'Webhook subscription ID is not configured';
+      }
+    });
+
+    // 2. Activity Event Tests
+    console.log('\n🚴 ACTIVITY EVENT TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should invalidate only the owning athlete\'s cached activity data', async () => {
+      const { service } = await createService('invalidate');
+      cacheManager.cache.set('activities', cacheFor(ATHLETE_ID, 'activities'), [{ id: 9001 }]);
+      cacheManager.cache.set('activityDetails', cacheFor(ATHLETE_ID, 'activity-9001'), { id: 9001 });
+      cacheManager.cache.set('activityStreams', cacheFor(ATHLETE_ID, 'activity-9001-streams'), {});
+      cacheManager.cache.set('activities', cacheFor(OTHER_ATHLETE_ID, 'activities'), [{ id: 1 }]);
+
+      const outcome = await service.handleEvent(buildEvent({ updates: { title: 'Evening Ride' } }));
+      return outcome.action === 'activity_updated' &&
+             cacheManager.cache.get('activities', cacheFor(ATHLETE_ID, 'activities')) === null &&
+             cacheManager.cache.get('activityDetails', cacheFor(ATHLETE_ID, 'activity-9001')) === null &&
+             cacheManager.cache.get('activityStreams', cacheFor(ATHLETE_ID, 'activity-9001-streams')) === null &&
+             cacheManager.cache.get('activities', cacheFor(OTHER_ATHLETE_ID, 'activities')) !== null;
+    });
+
+    await runAsyncTest('Should key Strava caches on the authenticated athlete', async () => {
+      const key = cacheManager.generateStravaKey({ auth: { athlete: { id: ATHLETE_ID } }, session: {}, query: {} }, 'athlete');
+      return key.startsWith(`${ATHLETE_ID}:athlete:`);
+    });
+
+    await runAsyncTest('Should apply updates to the index and mark it for refresh', async () => {
+      const { service, activityIndexService } = await createService('update');
+      await service.handleEvent(buildEvent({ updates: { title: 'Evening Ride', type: 'Run' } }));
+
+      const index = await activityIndexService.getIndex(ATHLETE_ID);
+      const record = index.activities.get('9001');
+      return record.name === 'Evening Ride' && record.type === 'Run' && index.sync.lastSyncedAt === null;
+    });
+
+    await runAsyncTest('Should remove deleted activities from the index', async () => {
+      const { service, activityIndexService } = await createService('delete');
+      const outcome = await service.handleEvent(buildEvent({ aspect_type: 'delete' }));
+
+      const index = await activityIndexService.getIndex(ATHLETE_ID);
+      return outcome.action === 'activity_deleted' && outcome.indexUpdated === true && index.activities.size === 0;
+    });
+
+    await runAsyncTest('Should mark the index for refresh when an activity is created', async () => {
+      const { service, activityIndexService } = await createService('create');
+      const outcome = await service.handleEvent(buildEvent({ aspect_type: 'create', object_id: 9002 }));
+
+      const index = await activityIndexService.getIndex(ATHLETE_ID);
+      return outcome.action === 'activity_created' && index.sync.lastSyncedAt === null && index.activities.size === 1;
+    });
+
+    // 3. Deauthorization Tests
+    console.log('\n🔒 DEAUTHORIZATION TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should purge stored tokens, caches, the index, settings and drafts on deauthorization', async () => {
+      const stravaTokens = stubTokenEndpoint(400, { message: 'Bad Request', errors: [{ code: 'invalid' }] });
+      const services = await createService('deauth', { tokenManager: stravaTokens });
+      const { service, activityIndexService, userSettingsService, designDraftService } = services;
+      const { store, draft, otherDraft } = await seedAthleteData(services);
+
+      const outcome = await service.handleEvent(deauthorizationEvent());
+
+      const remaining = await new Promise(resolve => store.all((err, sessions) => resolve(Object.keys(sessions || {}))));
+      const indexFile = activityIndexService.getIndexFile(ATHLETE_ID);
+      const indexDeleted = await fs.access(indexFile).then(() => false, () => true);
+      const settings = await userSettingsService.getPrivacyZones(ATHLETE_ID);
+      const draftsLeft = (await designDraftService.listDrafts(ATHLETE_ID)).length +
+        (await designDraftService.getDraft(draft.id) ? 1 : 0);
+
+      return outcome.action === 'athlete_deauthorized' &&
+             stravaTokens.refreshRequests.length === 1 && stravaTokens.refreshRequests[0] === `refresh-${ATHLETE_ID}` &&
+             outcome.sessionsPurged === 1 && outcome.crossDomainTokensPurged === 1 &&
+             remaining.length === 1 && remaining[0] === 'other-session' &&
+             crossDomainTokenStore.getTokenData('cross-domain-token-1') === null &&
+             cacheManager.cache.get('athlete', cacheFor(ATHLETE_ID, 'athlete')) === null &&
+             indexDeleted && settings.hideFirstMeters === 0 &&
+             outcome.draftsDeleted === 1 && draftsLeft === 0 &&
+             (await designDraftService.getDraft(otherDraft.id)) !== null;
+    });
+
+    await runAsyncTest('Should delete nothing for a forged deauthorization', async () => {
+      // Strava still refreshes the token, so the athlete never revoked the app
+      const stravaTokens = stubTokenEndpoint(200, { access_token: 'access-2', refresh_token: 'refresh-2', expires_at: 1900000000 });
+      const services = await createService('forged', { tokenManager: stravaTokens });
+      const { store, draft } = await seedAthleteData(services);
+
+      const outcome = await services.service.handleEvent(deauthorizationEvent());
+
+      const stored = await new Promise(resolve => store.get('athlete-session', (err, saved) => resolve(saved)));
+      const tokens = tokenService.decryptTokens(stored.encrypted_strava_tokens);
+      const intact = await athleteDataIntact(services, store, draft);
+      crossDomainTokenStore.removeAthleteTokens(ATHLETE_ID);
+
+      return outcome.action === 'deauthorization_unconfirmed' && outcome.authorization === 'authorized' &&
+             intact && tokens.refreshToken === 'refresh-2' && tokens.accessToken === 'access-2' &&
+             tokens.athlete.id === ATHLETE_ID;
+    });
+
+    await runAsyncTest('Should delete nothing when the athlete has no stored token to check', async () => {
+      const stravaTokens = stubTokenEndpoint(400);
+      const services = await createService('no-token', { tokenManager: stravaTokens });
+      const { store, draft } = await seedAthleteData(services, null);
+      await new Promise(resolve => store.set('athlete-session', { cookie: { originalMaxAge: null, expires: null } }, resolve));
+
+      const outcome = await services.service.handleEvent(deauthorizationEvent());
+      const intact = await athleteDataIntact(services, store, draft);
+      crossDomainTokenStore.removeAthleteTokens(ATHLETE_ID);
+
+      return outcome.action === 'deauthorization_unconfirmed' && outcome.authorization === 'no_token' &&
+             stravaTokens.refreshRequests.length === 0 && intact;
+    });
+
+    await runAsyncTest('Should fail without purging when Strava cannot confirm the deauthorization', async () => {
+      const services = await createService('unavailable', { tokenManager: stubTokenEndpoint(null) });
+      const { store, draft } = await seedAthleteData(services);
+
+      let failure = null;
+      try {
+        await services.service.handleEvent(deauthorizationEvent());
+      } catch (error) {
+        failure = error;
+      }
+      const intact = await athleteDataIntact(services, store, draft);
+      crossDomainTokenStore.removeAthleteTokens(ATHLETE_ID);
+
+      return failure !== null && failure.status !== 400 && intact;
+    });
+
+    await runAsyncTest('Should reject tokens issued before deauthorization', async () => {
+      await tokenManager.purgeAthleteTokens(ATHLETE_ID);
+      const req = {
+        sessionID: 'live-session',
+        session: {
+          encrypted_strava_tokens: tokenService.encryptTokens({
+            access_token: 'access',
+            refresh_token: 'refresh',
+            athlete: { id: ATHLETE_ID },
+            storedAt: Math.floor(Date.now() / 1000) - 60
+          }),
+          isAuthenticated: true
+        }
+      };
+      return tokenManager.getTokens(req) === null && !req.session.encrypted_strava_tokens;
+    });
+  } finally {
+    tokenManager.setSessionStore(null);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,442 @@
+/**
+ * Tile Sources Test Suite
+ *
+ * Validates the raster tile sources used by the Canvas fallback renderer: the SQLite
+ * reader behind MBTiles, the MBTiles source (plain and deduplicated schemas), the XYZ
+ * and Mapbox sources against a local HTTP server, and an offline Canvas render.
+ *
+ * Fixtures (tests/fixtures, 1 KB pages so tables and indexes span several b-tree levels):
+ * - tiles.mbtiles: zooms 0-3 of solid tiles coloured rgb(z * 60, x * 30, y * 30) by XYZ
+ *   coordinate, except z3/7/7 which is a 64px noise tile large enough to overflow; the
+ *   description metadata also overflows
+ * - tiles-deduplicated.mbtiles: zooms 0-2 as map/images tables behind a tiles view, one
+ *   image per zoom coloured rgb(z * 60, 200, 100); images has no index
+ * - tiles-unique.mbtiles: the tiles of tiles.mbtiles as GDAL writes them, keyed by a
+ *   UNIQUE (zoom_level, tile_column, tile_row) constraint instead of an explicit index
+ * - tiles-without-rowid.mbtiles: the same tiles in a WITHOUT ROWID table keyed by its
+ *   primary key; both were filled in random order so rowids don't follow the tile key
+ *
+ * Test Categories:
+ * 1. SQLite Reader Tests
+ * 2. MBTiles Source Tests
+ * 3. HTTP Source Tests
+ * 4. Canvas Renderer Tests
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const SQLiteReader = require('../services/sqliteReader');
+const { createTileSource, MBTilesTileSource, XyzTileSource } = require('../services/tileSources');
+const { MapService } = require('../services/mapService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const TILES_PATH = path.join(FIXTURES_DIR, 'tiles.mbtiles');
+const DEDUPLICATED_PATH = path.join(FIXTURES_DIR, 'tiles-deduplicated.mbtiles');
+const UNIQUE_PATH = path.join(FIXTURES_DIR, 'tiles-unique.mbtiles');
+const WITHOUT_ROWID_PATH = path.join(FIXTURES_DIR, 'tiles-without-rowid.mbtiles');
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+/**
+ * First pixel [r, g, b] and width of an encoded image
+ */
+async function inspectImage(buffer) {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  return { pixel: Array.from(data.slice(0, 3)), width: info.width };
+}
+
+const expectedColor = (z, x, y) => [z * 60, x * 30, y * 30];
+const sameColor = (a, b) => a.every((value, i) => value === b[i]);
+
+/**
+ * HTTP tile server backed by the MBTiles fixture; records request URLs
+ */
+async function startTileServer(tileSource) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    requests.push(req.url);
+    const match = req.url.match(/\/(\d+)\/(\d+)\/(\d+)(?:@2x)?(?:\.png)?(?:\?|$)/);
+    if (req.url.startsWith('/broken/')) {
+      res.writeHead(500);
+      return res.end('tile server error');
+    }
+    if (!match) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    let [z, x, y] = match.slice(1).map(Number);
+    if (req.url.startsWith('/tms/')) {
+      y = Math.pow(2, z) - 1 - y;
+    }
+    const tile = await tileSource.getTile({ z, x, y });
+    if (!tile) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(tile);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function runTestSuite() {
+  console.log('🧪 Starting Tile Sources Test Suite');
+  console.log('='.repeat(60));
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tile-sources-'));
+  const fixtureSource = new MBTilesTileSource({ path: TILES_PATH });
+  const tileServer = await startTileServer(fixtureSource);
+  const closeables = [fixtureSource];
+
+  try {
+    console.log('\n🗄️  1. SQLITE READER TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Reads the schema and rows spanning overflow pages', async () => {
+      const reader = new SQLiteReader(TILES_PATH);
+      closeables.push(reader);
+      await reader.open();
+
+      const schema = reader.getSchema();
+      const metadata = {};
+      for await (const { values } of reader.scanTable('metadata')) {
+        metadata[values[0]] = values[1];
+      }
+
+      return schema.tables.has('tiles') && schema.indexes.get('tile_index').tableName === 'tiles' &&
+             JSON.stringify(schema.indexes.get('tile_index').columns) === '["zoom_level","tile_column","tile_row"]' &&
+             reader.pageSize === 1024 && metadata.maxzoom === '3' && metadata.description.length > 3000 &&
+             metadata.description.endsWith('overflow pages. ');
+    });
+
+    await runAsyncTest('Index lookups find the same row as a full scan for every tile', async () => {
+      const reader = new SQLiteReader(TILES_PATH);
+      closeables.push(reader);
+      await reader.open();
+
+      let checked = 0;
+      for await (const { rowid, values } of reader.scanTable('tiles')) {
+        const found = await reader.findRowid('tile_index', values.slice(0, 3));
+        const row = await reader.getRow('tiles', rowid);
+        if (found !== rowid || !row[3].equals(values[3])) {
+          return `Mismatch for tile ${values.slice(0, 3).join('/')}`;
+        }
+        checked++;
+      }
+
+      return checked === 85 && await reader.findRowid('tile_index', [4, 0, 0]) === null &&
+             await reader.getRow('tiles', 100000) === null;
+    });
+
+    await runAsyncTest('Reads autoindex columns from a UNIQUE constraint', async () => {
+      const reader = new SQLiteReader(UNIQUE_PATH);
+      closeables.push(reader);
+      await reader.open();
+
+      const index = reader.getSchema().indexes.get('sqlite_autoindex_tiles_1');
+      let checked = 0;
+      for await (const { rowid, values } of reader.scanTable('tiles')) {
+        if (await reader.findRowid(index.name, values.slice(0, 3)) !== rowid) {
+          return `Autoindex lookup missed tile ${values.slice(0, 3).join('/')}`;
+        }
+        checked++;
+      }
+
+      return index.sql === null && JSON.stringify(index.columns) === '["zoom_level","tile_column","tile_row"]' &&
+             checked === 85 && await reader.findRowid(index.name, [4, 0, 0]) === null;
+    });
+
+    await runAsyncTest('Reads WITHOUT ROWID tables in key order and looks rows up by primary key', async () => {
+      const reader = new SQLiteReader(WITHOUT_ROWID_PATH);
+      closeables.push(reader);
+      await reader.open();
+
+      const table = reader.getTable('tiles');
+      const rootPage = await reader.readBTreePage(table.rootPage);
+      const keys = [];
+      for await (const { rowid, values } of reader.scanTable('tiles')) {
+        const found = await reader.findRowByKey('tiles', values.slice(0, 3));
+        if (rowid !== null || !found || !found[3].equals(values[3])) {
+          return `Key lookup missed tile ${values.slice(0, 3).join('/')}`;
+        }
+        keys.push(values[0] * 100 + values[1] * 10 + values[2]);
+      }
+
+      const rowidError = await reader.getRow('tiles', 1).catch(err => err);
+      return table.withoutRowid && JSON.stringify(table.primaryKey) === '["zoom_level","tile_column","tile_row"]' &&
+             rootPage.type === 2 && keys.length === 85 && keys.every((key, i) => i === 0 || key > keys[i - 1]) &&
+             await reader.findRowByKey('tiles', [4, 0, 0]) === null && rowidError.message.includes('WITHOUT ROWID');
+    });
+
+    await runAsyncTest('Rejects files that are not SQLite databases', async () => {
+      const notDatabase = path.join(tempDir, 'not-a-database.mbtiles');
+      await fs.writeFile(notDatabase, Buffer.alloc(2048, 1));
+
+      const error = await new SQLiteReader(notDatabase).open().catch(err => err);
+      return error instanceof Error && error.message.includes('Not an SQLite database');
+    });
+
+    console.log('\n🧱 2. MBTILES SOURCE TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('Serves tiles by XYZ coordinate from the TMS-ordered file', async () => {
+      const checks = [[0, 0, 0], [1, 1, 0], [2, 3, 1], [3, 5, 2], [3, 0, 7]];
+      for (const [z, x, y] of checks) {
+        const { pixel, width } = await inspectImage(await fixtureSource.getTile({ z, x, y }));
+        if (width !== 256 || !sameColor(pixel, expectedColor(z, x, y))) {
+          return `Tile ${z}/${x}/${y} has colour ${pixel}`;
+        }
+      }
+      return true;
+    });
+
+    await runAsyncTest('Returns null outside the file and reads tiles stored on overflow pages', async () => {
+      const outside = await fixtureSource.getTile({ z: 4, x: 0, y: 0 });
+      const noise = await inspectImage(await fixtureSource.getTile({ z: 3, x: 7, y: 7 }));
+
+      return outside === null && noise.width === 64;
+    });
+
+    await runAsyncTest('Takes its zoom range from the metadata unless configured', async () => {
+      const configured = new MBTilesTileSource({ path: TILES_PATH, maxZoom: 2, tileSize: 512 });
+      closeables.push(configured);
+      await configured.open();
+      await fixtureSource.open();
+
+      return fixtureSource.minZoom === 0 && fixtureSource.maxZoom === 3 && fixtureSource.describe().title === 'Test basemap' &&
+             configured.maxZoom === 2 && configured.tileSize === 512;
+    });
+
+    await runAsyncTest('Reads the deduplicated map/images schema', async () => {
+      const source = new MBTilesTileSource({ path: DEDUPLICATED_PATH });
+      closeables.push(source);
+
+      const first = await inspectImage(await source.getTile({ z: 1, x: 1, y: 0 }));
+      const second = await inspectImage(await source.getTile({ z: 2, x: 3, y: 3 }));
+      const outside = await source.getTile({ z: 3, x: 0, y: 0 });
+
+      return source.layout === 'deduplicated' && source.maxZoom === 2 &&
+             sameColor(first.pixel, [60, 200, 100]) && sameColor(second.pixel, [120, 200, 100]) && outside === null;
+    });
+
+    await runAsyncTest('Serves tiles through UNIQUE constraint and WITHOUT ROWID keys without scanning', async () => {
+      for (const filePath of [UNIQUE_PATH, WITHOUT_ROWID_PATH]) {
+        const source = new MBTilesTileSource({ path: filePath });
+        closeables.push(source);
+
+        for (const [z, x, y] of [[0, 0, 0], [1, 1, 0], [2, 3, 1], [3, 5, 2], [3, 0, 7]]) {
+          const { pixel } = await inspectImage(await source.getTile({ z, x, y }));
+          if (!sameColor(pixel, expectedColor(z, x, y))) {
+            return `Tile ${z}/${x}/${y} of ${path.basename(filePath)} has colour ${pixel}`;
+          }
+        }
+        const noise = await inspectImage(await source.getTile({ z: 3, x: 7, y: 7 }));
+        const outside = await source.getTile({ z: 4, x: 0, y: 0 });
+
+        if (noise.width !== 64 || outside !== null || source.scanIndexes.size !== 0) {
+          return `${path.basename(filePath)} was not read through its key`;
+        }
+      }
+      return true;
+    });
+
+    await runAsyncTest('Reports unreadable files clearly', async () => {
+      const source = new MBTilesTileSource({ path: path.join(tempDir, 'missing.mbtiles') });
+      const error = await source.getTile({ z: 0, x: 0, y: 0 }).catch(err => err);
+      return error instanceof Error && error.message.includes('ENOENT');
+    });
+
+    console.log('\n🌐 3. HTTP SOURCE TESTS');
+    console.log('-'.repeat(40));
+
+    await runAsyncTest('XYZ source fetches tiles from a local tile server', async () => {
+      const source = createTileSource({ driver: 'xyz', url: `${tileServer.url}/xyz/{z}/{x}/{y}.png`, tileSize: 256 });
+      const tile = await inspectImage(await source.getTile({ z: 2, x: 1, y: 3 }));
+      const missing = await source.getTile({ z: 5, x: 0, y: 0 });
+
+      return source instanceof XyzTileSource && source.name === 'xyz' &&
+             sameColor(tile.pixel, expectedColor(2, 1, 3)) && missing === null;
+    });
+
+    await runAsyncTest('XYZ source supports TMS servers', async () => {
+      const source = createTileSource({ driver: 'xyz', url: `${tileServer.url}/tms/{z}/{x}/{y}.png`, scheme: 'tms' });
+      const tile = await inspectImage(await source.getTile({ z: 2, x: 1, y: 3 }));
+
+      return sameColor(tile.pixel, expectedColor(2, 1, 3)) && tileServer.requests.includes('/tms/2/1/0.png') &&
+             source.getTileUrl({ z: 2, x: 1, y: 3 }) === `${tileServer.url}/tms/2/1/0.png`;
+    });
+
+    await runAsyncTest('XYZ source reports server errors', async () => {
+      const source = createTileSource({ driver: 'xyz', url: `${tileServer.url}/broken/{z}/{x}/{y}.png` });
+      const error = await source.getTile({ z: 0, x: 0, y: 0 }).catch(err => err);
+      return error instanceof Error && error.message.includes('Tile 0/0/0 request to xyz failed');
+    });
+
+    await runAsyncTest('Mapbox source requests style tiles at @2x and keeps the token out of describe()', async () => {
+      const source = createTileSource({ driver: 'mapbox', mapboxUrl: tileServer.url }, { accessToken: 'pk.test-token' });
+      const tile = await inspectImage(await source.getTile({ z: 1, x: 0, y: 1, style: 'outdoors-v12' }));
+
+      return source.name === 'mapbox' && sameColor(tile.pixel, expectedColor(1, 0, 1)) &&
+             tileServer.requests.includes('/styles/v1/mapbox/outdoors-v12/tiles/512/1/0/1@2x?access_token=pk.test-token') &&
+             !JSON.stringify(source.describe()).includes('pk.test-token');
+    });
+
+    await runAsyncTest('Rejects incomplete or unknown tile source configuration', async () => {
+      const errors = [
+        () => createTileSource({ driver: 'mbtiles' }),
+        () => createTileSource({ driver: 'xyz' }),
+        () => createTileSource({ driver: 'wms' })
+      ].map(create => {
+        try {
+          create();
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      });
+
+      return errors[0].includes('mbtilesPath') && errors[1].includes('url') && errors[2] === 'Unknown tile source: wms' &&
+             createTileSource({}, { accessToken: 'pk.x' }).name === 'mapbox';
+    });
+
+    console.log('\n🖼️  4. CANVAS RENDERER TESTS');
+    console.log('-'.repeat(40));
+
+    const createOfflineMapService = () => {
+      const service = new MapService();
+      service.renderPool.destroy();
+      service.appConfig = {
+        ...service.appConfig,
+        mapbox: { accessToken: undefined },
+        storage: { ...service.appConfig.storage, generatedMapsDir: tempDir },
+        tileSource: { driver: 'mbtiles', mbtilesPath: TILES_PATH }
+      };
+      closeables.push({ close: () => service.getTileSource().close() });
+      return service;
+    };
+
+    // Wide bounds, so the renderer's zoom has to be clamped to the file's maximum (3)
+    const worldConfig = {
+      routeCoordinates: [[-60, -10], [-20, 10], [20, -10], [60, 10]],
+      bounds: { north: 40, south: -40, east: 80, west: -80 },
+      width: 600,
+      height: 400,
+      dpi: 96
+    };
+
+    await runAsyncTest('Canvas tiles come from the configured source within its zoom range', async () => {
+      const service = createOfflineMapService();
+      const drawn = [];
+      service.loadAndDrawTile = async (ctx, tile, styleId) => {
+        const tileData = await service.getTileSource().getTile({ z: tile.z, x: tile.x, y: tile.y, style: styleId });
+        drawn.push({ tile, pixel: tileData && (await inspectImage(tileData)).pixel });
+      };
+
+      await service.drawMapTilesOnCanvas(null, worldConfig.bounds, worldConfig, 18, {});
+
+      return drawn.length > 0 && service.getTileSource().name === 'mbtiles' &&
+             drawn.every(({ tile, pixel }) => tile.z === 3 && pixel && sameColor(pixel, expectedColor(3, tile.x, tile.y)));
+    });
+
+    let canvasAvailable = true;
+    try {
+      require('canvas');
+    } catch (error) {
+      canvasAvailable = false;
+      console.log('\n⚠️  node-canvas is not installed - skipping the offline Canvas render test');
+    }
+
+    if (canvasAvailable) {
+      await runAsyncTest('Canvas fallback renders offline from an MBTiles file', async () => {
+        const service = createOfflineMapService();
+        const filePath = await service.generateCanvasMapFallback({
+          ...worldConfig,
+          id: 'offline-canvas',
+          backgroundColor: '#010203'
+        });
+
+        const { data, info } = await sharp(filePath).raw().toBuffer({ resolveWithObject: true });
+        // Left edge, clear of the route and the decorations
+        const offset = (Math.floor(info.height / 2) * info.width + 2) * info.channels;
+        const edge = Array.from(data.slice(offset, offset + 3));
+
+        return filePath.startsWith(tempDir) && info.width === 600 &&
+               !sameColor(edge, [1, 2, 3]) && edge[0] === 180;
+      });
+    }
+  } finally {
+    await tileServer.close();
+    await Promise.all(closeables.map(closeable => closeable.close().catch(() => {})));
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
@@ -0,0 +1,235 @@
+/**
+ * Webhook Ledger Test Suite
+ *
+ * Validates deduplication of Shopify webhook deliveries and reconciliation
+ * of out-of-order order topics. Each test uses its own ledger file in a
+ * temporary directory.
+ *
+ * Test Categories:
+ * 1. Delivery Deduplication Tests
+ * 2. Order Reconciliation Tests
+ * 3. Persistence Tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { WebhookLedger } = require('../services/webhookLedger');
+
+let tempDir = null;
+
+// Test results collector
+const testResults = {
+  total: 0,
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+async function runAsyncTest(testName, testFunction) {
+  testResults.total++;
+  console.log(`\n🔍 Running: ${testName}`);
+
+  try {
+    const result = await testFunction();
+    if (result === true) {
+      testResults.passed++;
+      console.log(`✅ PASS: ${testName}`);
+    } else {
+      testResults.failed++;
+      console.log(`❌ FAIL: ${testName}`);
+      testResults.errors.push({ test: testName, error: result || 'Test returned false' });
+    }
+  } catch (error) {
+    testResults.failed++;
+    console.log(`💥 ERROR: ${testName} - ${error.message}`);
+    testResults.errors.push({ test: testName, error: error.message });
+  }
+}
+
+async function createLedger(name, options = {}) {
+  const ledger = new WebhookLedger({
+    persistenceFile: path.join(tempDir, `${name}.json`),
+    ...options
+  });
+  await ledger.ready;
+  return ledger;
+}
+
+// Test Suite
+async function runTestSuite() {
+  console.log('🚀 Starting Webhook Ledger Test Suite\n');
+  console.log('=' .repeat(60));
+
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhook-ledger-test-'));
+
+  try {
+    // 1. Delivery Deduplication Tests
+    console.log('\n🔁 DELIVERY DEDUPLICATION TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should accept the first delivery of a webhook', async () => {
+      const ledger = await createLedger('first');
+      const delivery = await ledger.beginDelivery({ webhookId: 'wh-1', topic: 'orders/paid', orderId: 1001 });
+      return delivery.duplicate === false && delivery.record.status === 'processing';
+    });
+
+    await runAsyncTest('Should flag a retried delivery with the same webhook ID', async () => {
+      const ledger = await createLedger('retry');
+      const first = await ledger.beginDelivery({ webhookId: 'wh-1', topic: 'orders/paid', orderId: 1001 });
+      await ledger.completeDelivery(first.key, { skipGeneration: false });
+
+      const retry = await ledger.beginDelivery({ webhookId: 'wh-1', topic: 'orders/paid', orderId: 1001 });
+      return retry.duplicate === true && retry.original.status === 'processed';
+    });
+
+    await runAsyncTest('Should flag a delivery that is still in flight', async () => {
+      const ledger = await createLedger('in-flight');
+      await ledger.beginDelivery({ webhookId: 'wh-2', topic: 'orders/paid', orderId: 1002 });
+      const concurrent = await ledger.beginDelivery({ webhookId: 'wh-2', topic: 'orders/paid', orderId: 1002 });
+      return concurrent.duplicate === true;
+    });
+
+    await runAsyncTest('Should reprocess a delivery whose earlier attempt failed', async () => {
+      const ledger = await createLedger('failed');
+      const first = await ledger.beginDelivery({ webhookId: 'wh-3', topic: 'orders/paid', orderId: 1003 });
+      await ledger.failDelivery(first.key, new Error('Queue unavailable'));
+
+      const retry = await ledger.beginDelivery({ webhookId: 'wh-3', topic: 'orders/paid', orderId: 1003 });
+      return retry.duplicate === false && retry.record.attempts === 2;
+    });
+
+    await runAsyncTest('Should reprocess a delivery stuck in processing past the timeout', async () => {
+      const ledger = await createLedger('stuck', { processingTimeout: 1 });
+      await ledger.beginDelivery({ webhookId: 'wh-4', topic: 'orders/paid', orderId: 1004 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const retry = await ledger.beginDelivery({ webhookId: 'wh-4', topic: 'orders/paid', orderId: 1004 });
+      return retry.duplicate === false;
+    });
+
+    await runAsyncTest('Should flag a re-sent orders/paid with a new webhook ID', async () => {
+      const ledger = await createLedger('resent');
+      const first = await ledger.beginDelivery({ webhookId: 'wh-5', topic: 'orders/paid', orderId: 1005 });
+      await ledger.completeDelivery(first.key);
+
+      const resent = await ledger.beginDelivery({ webhookId: 'wh-6', topic: 'orders/paid', orderId: 1005 });
+      return resent.duplicate === true;
+    });
+
+    await runAsyncTest('Should treat different topics for the same order independently', async () => {
+      const ledger = await createLedger('topics');
+      const create = await ledger.beginDelivery({ webhookId: 'wh-7', topic: 'orders/create', orderId: 1006 });
+      await ledger.completeDelivery(create.key);
+
+      const paid = await ledger.beginDelivery({ webhookId: 'wh-8', topic: 'orders/paid', orderId: 1006 });
+      return paid.duplicate === false;
+    });
+
+    await runAsyncTest('Should fall back to order ID and topic without a webhook ID', async () => {
+      const ledger = await createLedger('no-webhook-id');
+      const first = await ledger.beginDelivery({ topic: 'orders/paid', orderId: 1007 });
+      await ledger.completeDelivery(first.key);
+
+      const second = await ledger.beginDelivery({ topic: 'orders/paid', orderId: 1007 });
+      return first.key === 'order_1007_orders/paid' && second.duplicate === true;
+    });
+
+    // 2. Order Reconciliation Tests
+    console.log('\n🧮 ORDER RECONCILIATION TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should record cancellation from orders/cancelled', async () => {
+      const ledger = await createLedger('cancelled');
+      const { state } = await ledger.recordOrderEvent({
+        id: 2001,
+        cancelled_at: '2025-01-02T10:00:00Z',
+        cancel_reason: 'customer'
+      }, 'orders/cancelled');
+
+      return state.cancelledAt === '2025-01-02T10:00:00Z' &&
+             state.cancelReason === 'customer' &&
+             ledger.isOrderCancelled(2001);
+    });
+
+    await runAsyncTest('Should keep the order cancelled when orders/paid arrives late', async () => {
+      const ledger = await createLedger('late-paid');
+      await ledger.recordOrderEvent({ id: 2002, cancelled_at: '2025-01-02T10:00:00Z' }, 'orders/cancelled');
+      const { state } = await ledger.recordOrderEvent({ id: 2002, cancelled_at: null }, 'orders/paid');
+
+      return !!state.cancelledAt && state.topics['orders/paid'].count === 1;
+    });
+
+    await runAsyncTest('Should detect stale payloads by updated_at', async () => {
+      const ledger = await createLedger('stale');
+      await ledger.recordOrderEvent({ id: 2003, updated_at: '2025-01-02T12:00:00Z' }, 'orders/updated');
+      const older = await ledger.recordOrderEvent({ id: 2003, updated_at: '2025-01-02T11:00:00Z' }, 'orders/paid');
+      const newer = await ledger.recordOrderEvent({ id: 2003, updated_at: '2025-01-02T13:00:00Z' }, 'orders/updated');
+
+      return older.stale === true &&
+             newer.stale === false &&
+             newer.state.lastOrderUpdatedAt === '2025-01-02T13:00:00Z';
+    });
+
+    // 3. Persistence Tests
+    console.log('\n💾 PERSISTENCE TESTS');
+    console.log('-'.repeat(30));
+
+    await runAsyncTest('Should recognise duplicates after a restart', async () => {
+      const ledger = await createLedger('restart');
+      const first = await ledger.beginDelivery({ webhookId: 'wh-9', topic: 'orders/paid', orderId: 3001 });
+      await ledger.completeDelivery(first.key);
+
+      const restarted = await createLedger('restart');
+      const byWebhookId = await restarted.beginDelivery({ webhookId: 'wh-9', topic: 'orders/paid', orderId: 3001 });
+      const byOrder = await restarted.beginDelivery({ webhookId: 'wh-10', topic: 'orders/paid', orderId: 3001 });
+
+      return byWebhookId.duplicate === true && byOrder.duplicate === true;
+    });
+
+    await runAsyncTest('Should prune records older than the retention period', async () => {
+      const ledger = await createLedger('prune', { retentionPeriod: 1 });
+      await ledger.beginDelivery({ webhookId: 'wh-11', topic: 'orders/paid', orderId: 3002 });
+      await ledger.recordOrderEvent({ id: 3002 }, 'orders/paid');
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const removed = await ledger.prune();
+      return removed === 2 && ledger.getStats().deliveries === 0 && ledger.getStats().orders === 0;
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // Display Results
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 TEST RESULTS SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Total Tests: ${testResults.total}`);
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`📈 Success Rate: ${((testResults.passed / testResults.total) * 100).toFixed(1)}%`);
+
+  if (testResults.failed > 0) {
+    console.log('\n💥 FAILED TESTS:');
+    testResults.errors.forEach((error, index) => {
+      console.log(`${index + 1}. ${error.test}: ${error.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60));
+
+  // Return success/failure for CI integration
+  return testResults.failed === 0;
+}
+
+// Run the test suite if this file is executed directly
+if (require.main === module) {
+  runTestSuite().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test suite failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTestSuite };
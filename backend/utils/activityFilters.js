@@ -6,6 +6,9 @@
  * after fetching activities from the API.
  */
 
+const EARTH_RADIUS = 6371000; // meters
+const DEFAULT_NEAR_RADIUS = 5000; // meters
+
 /**
  * Validate and parse query parameters for activity filtering
  * @param {Object} query - Express req.query object
@@ -33,6 +36,12 @@ function validateAndParseQuery(query) {
     // Search
     search_name: query.search_name ? query.search_name.toLowerCase() : null,
     
+    // Geographic filtering (client-side, against the route's summary polyline)
+    bbox: query.bbox ? parseCoordinateList(query.bbox) : null, // west,south,east,north
+    near: query.near ? parseCoordinateList(query.near) : null, // lat,lng
+    radius: query.radius ? parseFloat(query.radius) : null, // in meters
+    place: query.place ? String(query.place).trim() : null, // resolved to `near` by the activity index
+    
     // Sorting
     sort_by: query.sort_by || 'start_date',
     sort_order: query.sort_order === 'asc' ? 'asc' : 'desc'
@@ -86,6 +95,29 @@ function validateAndParseQuery(query) {
     throw new Error('min_duration cannot be greater than max_duration');
   }
   
+  // Validate geographic parameters
+  if (params.bbox) {
+    const [west, south, east, north] = params.bbox;
+    if (params.bbox.length !== 4 || params.bbox.some(isNaN) || south > north || Math.abs(south) > 90 || Math.abs(north) > 90) {
+      throw new Error('Invalid bbox parameter: must be west,south,east,north in degrees');
+    }
+    if (Math.abs(west) > 180 || Math.abs(east) > 180) {
+      throw new Error('Invalid bbox parameter: longitudes must be between -180 and 180');
+    }
+  }
+  
+  if (params.near && (params.near.length !== 2 || params.near.some(isNaN) || Math.abs(params.near[0]) > 90 || Math.abs(params.near[1]) > 180)) {
+    throw new Error('Invalid near parameter: must be lat,lng in degrees');
+  }
+  
+  if (params.radius !== null && (isNaN(params.radius) || params.radius <= 0)) {
+    throw new Error('Invalid radius parameter: must be a positive number (meters)');
+  }
+  
+  if (params.near || params.place) {
+    params.radius = params.radius || DEFAULT_NEAR_RADIUS;
+  }
+  
   // Validate sort_by parameter
   const validSortFields = ['start_date', 'distance', 'moving_time', 'elapsed_time', 'total_elevation_gain', 'average_speed', 'max_speed', 'name'];
   if (!validSortFields.includes(params.sort_by)) {
@@ -164,10 +196,105 @@ function filterActivities(activities, filters) {
       return false;
     }
     
+    // Geographic filtering (activities without GPS data never match)
+    if (filters.bbox && !routePassesThroughBbox(activity, filters.bbox)) {
+      return false;
+    }
+    
+    if (filters.near && !routePassesNear(activity, filters.near, filters.radius || DEFAULT_NEAR_RADIUS)) {
+      return false;
+    }
+    
     return true;
   });
 }
 
+/**
+ * Parse a comma-separated list of coordinates
+ * @param {string|Array} value - e.g. "-0.2,51.4,0.1,51.6"
+ * @returns {Array<number>} - Parsed numbers (NaN for invalid entries)
+ */
+function parseCoordinateList(value) {
+  return (Array.isArray(value) ? value : String(value).split(',')).map(part => parseFloat(part));
+}
+
+/**
+ * Decode an activity's summary polyline to [lat, lng] points
+ * @param {Object} activity - Activity with map.summary_polyline
+ * @returns {Array} - Route points, empty when the activity has no GPS data
+ */
+function getRoutePoints(activity) {
+  const encoded = activity.map?.summary_polyline;
+  if (!encoded) {
+    return [];
+  }
+  
+  try {
+    const polyline = require('@mapbox/polyline');
+    return polyline.decode(encoded);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Check whether an activity's route passes through a bounding box
+ * @param {Object} activity - Activity object (uses precomputed `bounds` when present)
+ * @param {Array<number>} bbox - [west, south, east, north]
+ * @returns {boolean}
+ */
+function routePassesThroughBbox(activity, bbox) {
+  const [west, south, east, north] = bbox;
+  const containsLng = lng => (west <= east ? lng >= west && lng <= east : lng >= west || lng <= east);
+  
+  // Cheap rejection on the route's own bounds before decoding the polyline
+  if (activity.bounds) {
+    const [minLng, minLat] = activity.bounds.southwest;
+    const [maxLng, maxLat] = activity.bounds.northeast;
+    if (maxLat < south || minLat > north || (west <= east && (maxLng < west || minLng > east))) {
+      return false;
+    }
+  }
+  
+  return getRoutePoints(activity).some(([lat, lng]) => lat >= south && lat <= north && containsLng(lng));
+}
+
+/**
+ * Check whether an activity's route passes within a radius of a point
+ * @param {Object} activity - Activity object
+ * @param {Array<number>} near - [lat, lng]
+ * @param {number} radius - Radius in meters
+ * @returns {boolean}
+ */
+function routePassesNear(activity, near, radius) {
+  const [lat, lng] = near;
+  const latDelta = radius / 111320;
+  const lngDelta = radius / (111320 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  
+  if (activity.bounds) {
+    const [minLng, minLat] = activity.bounds.southwest;
+    const [maxLng, maxLat] = activity.bounds.northeast;
+    if (maxLat < lat - latDelta || minLat > lat + latDelta || maxLng < lng - lngDelta || minLng > lng + lngDelta) {
+      return false;
+    }
+  }
+  
+  return getRoutePoints(activity).some(point => haversineDistance(point, near) <= radius);
+}
+
+/**
+ * Great-circle distance between two [lat, lng] points
+ * @returns {number} - Distance in meters
+ */
+function haversineDistance([lat1, lng1], [lat2, lng2]) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
 /**
  * Sort activities based on specified criteria
  * @param {Array} activities - Array of activity objects
@@ -314,6 +441,14 @@ function getFilterSummary(filters, originalCount, filteredCount) {
     activeFilters.push(`name contains: "${filters.search_name}"`);
   }
   
+  if (filters.bbox) {
+    activeFilters.push(`passes through: [${filters.bbox.join(', ')}]`);
+  }
+  
+  if (filters.near || filters.place) {
+    activeFilters.push(`within ${filters.radius} meters of: ${filters.place ? `"${filters.place}"` : filters.near.join(', ')}`);
+  }
+  
   return {
     activeFilters,
     originalCount,
@@ -330,5 +465,8 @@ module.exports = {
   sortActivities,
   dateStringToTimestamp,
   buildStravaApiParams,
-  getFilterSummary
+  getFilterSummary,
+  routePassesThroughBbox,
+  routePassesNear,
+  haversineDistance
 };
\ No newline at end of file
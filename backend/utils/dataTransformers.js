@@ -168,6 +168,35 @@ function transformActivityDetails(stravaActivity) {
   };
 }
 
+/**
+ * Transform an activity into the stats panel printed on a poster
+ * Values stay in metres and seconds; the poster typography converts them to the customer's units
+ * 
+ * @param {Object} stravaActivity - Activity object from Strava API or a parsed GPX/TCX upload
+ * @returns {Object|null} - { distance, movingTime, elevation, averageSpeed, activityType, date, location }
+ */
+function transformPosterStats(stravaActivity) {
+  if (!stravaActivity || typeof stravaActivity !== 'object') {
+    return null;
+  }
+
+  const summary = transformActivitySummary(stravaActivity);
+  const location = [stravaActivity.location_city, stravaActivity.location_state, stravaActivity.location_country]
+    .filter(Boolean)
+    .slice(0, 2)
+    .join(', ');
+
+  return {
+    distance: summary.distance.meters,
+    movingTime: summary.duration.moving_time_seconds,
+    elevation: summary.elevation.gain_meters,
+    averageSpeed: summary.speed.average_mps || null,
+    activityType: summary.sport_type || summary.type || null,
+    date: summary.start_date_local || summary.start_date || null,
+    location: location || null
+  };
+}
+
 /**
  * Transform Strava activity streams data for map rendering
  * Converts GPS streams into format suitable for Mapbox GL JS
@@ -1123,6 +1152,7 @@ module.exports = {
   transformActivityStreams,
   transformAthleteData,
   transformForMapGeneration,
+  transformPosterStats,
   transformElevationForChart,
   normalizeActivityData,
   getActivityColorCategory,
@@ -32,7 +32,10 @@ const validationRules = {
   urls: [
     'STRAVA_REDIRECT_URI',
     'SHOPIFY_STORE_URL',
-    'NGROK_URL'
+    'NGROK_URL',
+    'S3_ENDPOINT',
+    'REDIS_URL',
+    'TILE_SERVER_URL'
   ],
   
   // Numeric validation
@@ -42,7 +45,17 @@ const validationRules = {
     'MAX_FILE_SIZE',
     'CLEANUP_INTERVAL',
     'MAP_EXPORT_TIMEOUT',
-    'MAP_QUALITY'
+    'MAP_QUALITY',
+    'RENDER_POOL_BROWSERS',
+    'RENDER_POOL_PAGES_PER_BROWSER',
+    'RENDER_POOL_MEMORY_MB',
+    'RENDER_TIMEOUT',
+    'RENDER_POOL_RECYCLE_AFTER',
+    'JOB_MAX_CONCURRENT',
+    'TILE_SIZE',
+    'TILE_MIN_ZOOM',
+    'TILE_MAX_ZOOM',
+    'TILE_TIMEOUT'
   ],
   
   // Minimum string lengths
@@ -55,7 +68,33 @@ const validationRules = {
     'NODE_ENV': ['development', 'production', 'test'],
     'MAP_FORMAT': ['png', 'jpg', 'jpeg', 'webp'],
     'LOG_LEVEL': ['error', 'warn', 'info', 'debug'],
-    'PUPPETEER_HEADLESS': ['true', 'false']
+    'PUPPETEER_HEADLESS': ['true', 'false'],
+    'STORAGE_DRIVER': ['local', 's3'],
+    'SHARED_STATE_DRIVER': ['memory', 'redis'],
+    'TILE_SOURCE': ['mapbox', 'mbtiles', 'xyz'],
+    'TILE_SERVER_SCHEME': ['xyz', 'tms']
+  },
+
+  // Variables required by the selected storage driver (STORAGE_DRIVER)
+  // S3 keys are optional: without them the AWS SDK credential chain is used
+  storageDrivers: {
+    's3': ['S3_BUCKET']
+  },
+
+  // Comma-separated lists and the values they may contain
+  allowedListValues: {
+    'SHARED_STATE_COMPONENTS': ['cache', 'crossDomainTokens', 'rateLimits', 'sessions']
+  },
+
+  // Variables required by the selected shared state driver (SHARED_STATE_DRIVER)
+  sharedStateDrivers: {
+    'redis': ['REDIS_URL']
+  },
+
+  // Variables required by the selected tile source (TILE_SOURCE)
+  tileSources: {
+    'mbtiles': ['TILE_MBTILES_PATH'],
+    'xyz': ['TILE_SERVER_URL']
   },
 
   // Token format validation patterns
@@ -98,6 +137,27 @@ function validateEnvironment(environment = process.env.NODE_ENV) {
     });
   }
   
+  // Check storage driver variables
+  (validationRules.storageDrivers[process.env.STORAGE_DRIVER] || []).forEach(varName => {
+    if (!process.env[varName]) {
+      errors.push(`Missing environment variable for STORAGE_DRIVER=${process.env.STORAGE_DRIVER}: ${varName}`);
+    }
+  });
+
+  // Check shared state driver variables
+  (validationRules.sharedStateDrivers[process.env.SHARED_STATE_DRIVER] || []).forEach(varName => {
+    if (!process.env[varName]) {
+      errors.push(`Missing environment variable for SHARED_STATE_DRIVER=${process.env.SHARED_STATE_DRIVER}: ${varName}`);
+    }
+  });
+  
+  // Check tile source variables
+  (validationRules.tileSources[process.env.TILE_SOURCE] || []).forEach(varName => {
+    if (!process.env[varName]) {
+      errors.push(`Missing environment variable for TILE_SOURCE=${process.env.TILE_SOURCE}: ${varName}`);
+    }
+  });
+  
   // Validate URLs
   validationRules.urls.forEach(varName => {
     const value = process.env[varName];
@@ -130,6 +190,16 @@ function validateEnvironment(environment = process.env.NODE_ENV) {
     }
   });
 
+  // Validate list values
+  Object.entries(validationRules.allowedListValues).forEach(([varName, allowedValues]) => {
+    const invalid = (process.env[varName] || '').split(',')
+      .map(value => value.trim())
+      .filter(value => value && !allowedValues.includes(value));
+    if (invalid.length > 0) {
+      errors.push(`Invalid value for ${varName}: ${invalid.join(', ')}. Allowed values: ${allowedValues.join(', ')}`);
+    }
+  });
+
   // Validate token formats
   Object.entries(validationRules.tokenFormats).forEach(([varName, pattern]) => {
     const value = process.env[varName];
@@ -312,6 +312,150 @@ class FileCompressionUtils {
     return results;
   }
 
+  /**
+   * Batch compress files kept by a storage driver (see services/storageDrivers.js)
+   * Writes `<name>.gz` and `<name>.gz.meta` next to each original in the same storage type
+   * @param {Object} storage - Storage driver
+   * @param {string} type - Storage type (e.g. 'temporary')
+   * @param {Array} filenames - Files to compress
+   * @param {Object} options - Compression options
+   * @returns {Promise<Array>} Array of compression results
+   */
+  static async batchCompressStored(storage, type, filenames, options = {}) {
+    const results = [];
+    const { concurrency = 3, compressionLevel = 6 } = options;
+
+    for (let i = 0; i < filenames.length; i += concurrency) {
+      const batch = filenames.slice(i, i + concurrency);
+
+      const batchPromises = batch.map(async (filename) => {
+        const originalPath = storage.getLocation(type, filename);
+        try {
+          const data = await storage.readFile(type, filename);
+          const analysis = this.analyzeCompressionBenefit(data);
+
+          if (!analysis.shouldCompress) {
+            return {
+              originalPath,
+              success: false,
+              reason: analysis.reason,
+              size: analysis.size
+            };
+          }
+
+          const compressed = await new Promise((resolve, reject) => {
+            zlib.gzip(data, { level: compressionLevel }, (error, result) => error ? reject(error) : resolve(result));
+          });
+          const stats = this.calculateCompressionStats(data.length, compressed.length);
+          const compressedName = `${filename}.gz`;
+
+          await storage.writeFile(type, compressedName, compressed);
+          await storage.writeFile(type, `${compressedName}.meta`, JSON.stringify({
+            ...stats,
+            compressionLevel,
+            algorithm: 'gzip',
+            compressedAt: new Date().toISOString()
+          }, null, 2));
+
+          return {
+            ...stats,
+            filePath: storage.getLocation(type, compressedName),
+            originalPath,
+            compressionLevel,
+            algorithm: 'gzip',
+            success: true
+          };
+        } catch (error) {
+          return {
+            originalPath,
+            success: false,
+            error: error.message
+          };
+        }
+      });
+
+      results.push(...await Promise.all(batchPromises));
+    }
+
+    return results;
+  }
+
+  /**
+   * Calculate total compression statistics for a storage type kept by a storage driver
+   * @param {Object} storage - Storage driver
+   * @param {string} type - Storage type
+   * @returns {Promise<Object>} Compression statistics, in the same shape as getDirectoryCompressionStats
+   */
+  static async getStoredCompressionStats(storage, type) {
+    const location = storage.getLocation(type);
+
+    try {
+      const files = await storage.list(type);
+      const compressedFiles = files.filter(file => file.name.endsWith('.gz'));
+
+      let totalOriginalSize = 0;
+      let totalCompressedSize = 0;
+      let fileCount = 0;
+
+      for (const file of compressedFiles) {
+        try {
+          let stats;
+          try {
+            stats = JSON.parse((await storage.readFile(type, `${file.name}.meta`)).toString('utf8'));
+          } catch (metadataError) {
+            // No metadata file - measure the compressed file itself
+            const decompressed = await this.decompressData(await storage.readFile(type, file.name));
+            stats = this.calculateCompressionStats(decompressed.length, file.size);
+          }
+
+          totalOriginalSize += stats.originalSize || 0;
+          totalCompressedSize += stats.compressedSize || 0;
+          fileCount++;
+        } catch (error) {
+          console.warn(`FileCompressionUtils: Could not get stats for ${file.name}:`, error.message);
+        }
+      }
+
+      const totalSpaceSaved = totalOriginalSize - totalCompressedSize;
+      const overallCompressionRatio = totalOriginalSize > 0 ? (totalCompressedSize / totalOriginalSize) : 1;
+      const overallCompressionPercent = totalOriginalSize > 0 ? ((totalSpaceSaved / totalOriginalSize) * 100) : 0;
+
+      return {
+        directoryPath: location,
+        fileCount,
+        totalOriginalSize,
+        totalCompressedSize,
+        totalSpaceSaved,
+        overallCompressionRatio,
+        overallCompressionPercent,
+        averageCompressionRatio: fileCount > 0 ? (overallCompressionRatio / fileCount) : 1,
+        calculatedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      throw new FileOperationError('Could not calculate storage compression stats', 'DIRECTORY_STATS_ERROR', {
+        directoryPath: location,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Size statistics for one compressed file
+   * @returns {Object} { originalSize, compressedSize, compressionRatio, compressionPercent, spaceSaved }
+   */
+  static calculateCompressionStats(originalSize, compressedSize) {
+    const spaceSaved = originalSize - compressedSize;
+
+    return {
+      originalSize,
+      compressedSize,
+      compressionRatio: originalSize > 0 ? (compressedSize / originalSize) : 1,
+      compressionPercent: originalSize > 0 ? ((spaceSaved / originalSize) * 100) : 0,
+      spaceSaved
+    };
+  }
+
   /**
    * Calculate total compression statistics for a directory
    * @param {string} directoryPath - Path to directory
@@ -0,0 +1,41 @@
+/**
+ * Print Provider Error
+ * Raised by print providers (services/printProviders.js) when a print lab rejects
+ * or cannot be reached for a request
+ */
+
+class PrintProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - e.g. REQUEST_FAILED, ORDER_NOT_FOUND, NOT_CANCELLABLE, INVALID_SIGNATURE
+   * @param {Object} details - { status, retryable, ... }
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+    // Network failures and 5xx/429 answers may succeed later; validation errors will not
+    this.retryable = Boolean(details.retryable);
+    this.timestamp = new Date().toISOString();
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      code: this.code,
+      retryable: this.retryable,
+      details: this.details,
+      timestamp: this.timestamp
+    };
+  }
+}
+
+module.exports = {
+  PrintProviderError
+};
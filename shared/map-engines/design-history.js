@@ -0,0 +1,205 @@
+/**
+ * Design History
+ * Undo/redo history for the map designer, kept as plain data so it survives reloads
+ *
+ * Each entry is a full snapshot of the design (settings plus annotations) rather than an
+ * inverse command, so undoing a theme change, a text edit or a cleared annotation all
+ * work the same way and the history can be written to localStorage or a saved draft as
+ * JSON. Rapid changes to the same control (typing a title, dragging a slider) are merged
+ * into one entry.
+ *
+ * Usage:
+ * let history = DesignHistory.restore(savedHistory) || DesignHistory.create(snapshot, 'Open design');
+ * history = DesignHistory.record(history, 'Route width', snapshot);
+ * const step = DesignHistory.undo(history); // { history, label, state } or null
+ * DesignHistory.save(localStorage, key, history);
+ */
+
+(function(global) {
+  'use strict';
+
+  const DesignHistory = {
+    // Oldest entries are dropped beyond this
+    MAX_ENTRIES: 50,
+
+    // Changes with the same label within this window merge into one entry (ms)
+    COALESCE_WINDOW: 1500,
+
+    STORAGE_PREFIX: 'mapDesignHistory:',
+
+    /**
+     * Start a history whose only entry is the given state
+     * @param {Object} state - Design snapshot
+     * @param {string} label - Description of the starting point
+     * @returns {Object} { entries: [{ label, state, at }], index }
+     */
+    create(state, label = 'Start', now = Date.now()) {
+      return {
+        entries: [{ label, state: this.clone(state), at: now }],
+        index: 0
+      };
+    },
+
+    /**
+     * Record a new state after an edit
+     * Drops any redo entries; unchanged states are ignored
+     * @returns {Object} The updated history (a new object)
+     */
+    record(history, label, state, now = Date.now()) {
+      const current = history.entries[history.index];
+      if (current && this.isEqual(current.state, state)) {
+        return history;
+      }
+
+      const entries = history.entries.slice(0, history.index + 1);
+      const entry = { label, state: this.clone(state), at: now };
+      const atEnd = history.index === history.entries.length - 1;
+
+      // Keep typing and slider drags as one step; the first entry is the starting point, so never merge into it
+      if (atEnd && history.index > 0 && current.label === label && now - current.at < this.COALESCE_WINDOW) {
+        entries[entries.length - 1] = entry;
+      } else {
+        entries.push(entry);
+      }
+
+      const overflow = Math.max(0, entries.length - this.MAX_ENTRIES);
+      return {
+        entries: entries.slice(overflow),
+        index: entries.length - overflow - 1
+      };
+    },
+
+    canUndo(history) {
+      return Boolean(history) && history.index > 0;
+    },
+
+    canRedo(history) {
+      return Boolean(history) && history.index < history.entries.length - 1;
+    },
+
+    /**
+     * Step back one entry
+     * @returns {Object|null} { history, label, state } - label is the edit being undone
+     */
+    undo(history) {
+      if (!this.canUndo(history)) return null;
+
+      const undone = history.entries[history.index];
+      const index = history.index - 1;
+      return {
+        history: { entries: history.entries, index },
+        label: undone.label,
+        state: this.clone(history.entries[index].state)
+      };
+    },
+
+    /**
+     * Step forward one entry
+     * @returns {Object|null} { history, label, state } - label is the edit being redone
+     */
+    redo(history) {
+      if (!this.canRedo(history)) return null;
+
+      const index = history.index + 1;
+      return {
+        history: { entries: history.entries, index },
+        label: history.entries[index].label,
+        state: this.clone(history.entries[index].state)
+      };
+    },
+
+    /**
+     * Current state, or null for an empty history
+     */
+    current(history) {
+      const entry = history?.entries[history.index];
+      return entry ? this.clone(entry.state) : null;
+    },
+
+    serialize(history) {
+      return {
+        entries: history.entries.map(entry => ({ label: entry.label, state: entry.state, at: entry.at })),
+        index: history.index
+      };
+    },
+
+    /**
+     * Rebuild a history from serialized data
+     * @returns {Object|null} The history, or null when the data is not a valid history
+     */
+    restore(data) {
+      if (!data || !Array.isArray(data.entries) || data.entries.length === 0) {
+        return null;
+      }
+
+      const valid = data.entries.every(entry =>
+        entry && typeof entry.label === 'string' && entry.state && typeof entry.state === 'object' && Number.isFinite(entry.at)
+      );
+      if (!valid || !Number.isInteger(data.index) || data.index < 0 || data.index >= data.entries.length) {
+        return null;
+      }
+
+      const overflow = Math.max(0, data.entries.length - this.MAX_ENTRIES);
+      if (data.index < overflow) {
+        return null;
+      }
+
+      return {
+        entries: data.entries.slice(overflow).map(entry => ({
+          label: entry.label,
+          state: this.clone(entry.state),
+          at: entry.at
+        })),
+        index: data.index - overflow
+      };
+    },
+
+    /**
+     * Write a history to storage (e.g. localStorage); quota errors are logged, not thrown
+     */
+    save(storage, key, history) {
+      try {
+        storage.setItem(this.STORAGE_PREFIX + key, JSON.stringify(this.serialize(history)));
+        return true;
+      } catch (error) {
+        console.warn('DesignHistory: Could not save history:', error);
+        return false;
+      }
+    },
+
+    /**
+     * Read a history from storage
+     * @returns {Object|null} The history, or null when none is stored or it is unreadable
+     */
+    load(storage, key) {
+      try {
+        const saved = storage.getItem(this.STORAGE_PREFIX + key);
+        return saved ? this.restore(JSON.parse(saved)) : null;
+      } catch (error) {
+        console.warn('DesignHistory: Could not load history:', error);
+        return null;
+      }
+    },
+
+    clone(state) {
+      return JSON.parse(JSON.stringify(state));
+    },
+
+    isEqual(a, b) {
+      return JSON.stringify(a) === JSON.stringify(b);
+    }
+  };
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    // CommonJS (Node.js)
+    module.exports = DesignHistory;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD (RequireJS)
+    define(function() { return DesignHistory; });
+  } else {
+    // Browser globals
+    global.DesignHistory = DesignHistory;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,16 @@
+/**
+ * Shared Map Engines
+ * Plain-data engines used by both the map designer (browser) and the backend renderers
+ *
+ * Each engine is a UMD file: Node loads it with require(), the theme loads the copy in
+ * shopify-theme/dawn/assets with a script tag. Edit the files here and run
+ * `npm run sync:theme` to refresh the theme copies.
+ */
+
+module.exports = {
+  DesignHistory: require('./design-history'),
+  PosterElevationProfile: require('./poster-elevation-profile'),
+  PosterTypography: require('./poster-typography'),
+  PrivacyZones: require('./privacy-zones'),
+  RouteColorMetrics: require('./route-color-metrics')
+};
@@ -0,0 +1,219 @@
+/**
+ * Poster Elevation Profile Band
+ * Geometry and rendering of the optional elevation-profile strip on a poster
+ *
+ * The band either sits below the map (the map is shortened to make room) or is overlaid
+ * on the bottom of the map. Its geometry is computed in the target's pixel space, so the
+ * designer preview, the Puppeteer print page, the canvas fallback and the PDF/SVG exports
+ * all draw the same profile at their own resolution.
+ *
+ * Usage:
+ * const settings = PosterElevationProfile.resolveSettings(mapConfig);
+ * const band = PosterElevationProfile.getBand(settings, 2480, 3508, { bleed: 0, safe: 70 });
+ * svg += PosterElevationProfile.toSVG(settings, band);
+ */
+
+(function(global) {
+  'use strict';
+
+  const PosterElevationProfile = {
+    PLACEMENTS: ['below', 'overlay'],
+
+    // Band height as a fraction of the trim height
+    BAND_HEIGHT: {
+      below: 0.14,
+      overlay: 0.12
+    },
+
+    // Space above the profile inside the band, as a fraction of the band height
+    HEADROOM: 0.15,
+
+    MAX_POINTS: 500,
+
+    // Band colours for light and dark map themes; the line follows the route colour
+    THEME_COLORS: {
+      light: { background: '#ffffff', line: '#1f2937' },
+      dark: { background: '#111827', line: '#f9fafb' }
+    },
+
+    /**
+     * Resolve band settings from a map config, design settings or order customization
+     * @param {Object} source - Map config or flat settings carrying `elevationProfile`
+     * @returns {Object|null} Settings, or null when the band is disabled or has no data
+     */
+    resolveSettings(source = {}) {
+      const profile = source.settings?.elevationProfile || source.customization?.elevationProfile || source.elevationProfile;
+      if (!profile || profile.enabled === false) {
+        return null;
+      }
+
+      const points = this.normalizePoints(profile.points || profile.elevation || profile);
+      if (points.length < 2) {
+        return null;
+      }
+
+      const theme = this.getThemeColors(source.style || source.mapStyle);
+      const routeColor = source.route?.color || (Array.isArray(source.routes) ? source.routes[0]?.color : null);
+      const lineColor = profile.lineColor || routeColor || theme.line;
+
+      return {
+        placement: this.PLACEMENTS.includes(profile.placement) ? profile.placement : 'below',
+        points,
+        lineColor,
+        fillColor: profile.fillColor || lineColor,
+        backgroundColor: profile.backgroundColor || theme.background
+      };
+    },
+
+    /**
+     * Pick light or dark band colours for a Mapbox style
+     */
+    getThemeColors(style) {
+      return /dark|night|satellite/i.test(String(style || '')) ? this.THEME_COLORS.dark : this.THEME_COLORS.light;
+    },
+
+    /**
+     * Normalize altitude samples to [[distanceMeters, elevationMeters]], downsampled to MAX_POINTS
+     * Accepts point pairs or the `elevation` array produced by transformElevationForChart
+     */
+    normalizePoints(data) {
+      const source = Array.isArray(data) ? data : Array.isArray(data?.elevation) ? data.elevation : [];
+      const points = source
+        .map(point => Array.isArray(point)
+          ? [Number(point[0]), Number(point[1])]
+          : [Number(point?.distance_km) * 1000, Number(point?.elevation_meters)])
+        .filter(([distance, elevation]) => Number.isFinite(distance) && Number.isFinite(elevation));
+
+      if (points.length <= this.MAX_POINTS) {
+        return points;
+      }
+
+      const step = (points.length - 1) / (this.MAX_POINTS - 1);
+      return Array.from({ length: this.MAX_POINTS }, (_, index) => points[Math.round(index * step)]);
+    },
+
+    /**
+     * Get the band and plot rectangles for a canvas
+     * @param {Object} settings - Settings from resolveSettings
+     * @param {number} width - Canvas width in pixels (including any bleed)
+     * @param {number} height - Canvas height in pixels (including any bleed)
+     * @param {Object} insets - { bleed, safe } in pixels; the plot stays inside bleed + safe
+     * @returns {Object} { band, plot, mapHeight } - mapHeight is the height left for the map
+     */
+    getBand(settings, width, height, insets = {}) {
+      const bleed = insets.bleed || 0;
+      const inset = bleed + (insets.safe || 0);
+      const bandHeight = (height - bleed * 2) * this.BAND_HEIGHT[settings.placement];
+      const safeBottom = height - inset;
+
+      // Below: the band runs into the bottom bleed; overlay: it sits on the map inside the safe area
+      const band = settings.placement === 'below'
+        ? { x: 0, y: height - bleed - bandHeight, width, height: bandHeight + bleed }
+        : { x: 0, y: safeBottom - bandHeight, width, height: bandHeight };
+
+      const plotTop = band.y + bandHeight * this.HEADROOM;
+      const plotBottom = Math.min(safeBottom, band.y + bandHeight);
+      return {
+        band,
+        plot: { x: inset, y: plotTop, width: Math.max(1, width - inset * 2), height: Math.max(1, plotBottom - plotTop) },
+        mapHeight: settings.placement === 'below' ? band.y : height
+      };
+    },
+
+    /**
+     * Project the profile into the plot rectangle
+     * @returns {Array<Array<number>>} [[x, y]] in pixels, lowest point on the plot's bottom edge
+     */
+    buildGeometry(points, plot) {
+      const distances = points.map(point => point[0]);
+      const elevations = points.map(point => point[1]);
+      const minDistance = Math.min(...distances);
+      const distanceSpan = Math.max(...distances) - minDistance || 1;
+      const minElevation = Math.min(...elevations);
+      const elevationSpan = Math.max(...elevations) - minElevation || 1;
+
+      return points.map(([distance, elevation]) => [
+        plot.x + (distance - minDistance) / distanceSpan * plot.width,
+        plot.y + plot.height - (elevation - minElevation) / elevationSpan * plot.height
+      ]);
+    },
+
+    /**
+     * Render the band as SVG elements in the canvas pixel space
+     */
+    toSVG(settings, geometry) {
+      const line = this.buildGeometry(settings.points, geometry.plot);
+      const number = value => String(Math.round(value * 100) / 100);
+      const path = line.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${number(x)} ${number(y)}`).join(' ');
+      const bottom = number(geometry.plot.y + geometry.plot.height);
+      const area = `${path} L${number(line[line.length - 1][0])} ${bottom} L${number(line[0][0])} ${bottom} Z`;
+      const { band } = geometry;
+
+      const elements = [];
+      if (settings.placement === 'below') {
+        elements.push(`<rect x="${number(band.x)}" y="${number(band.y)}" width="${number(band.width)}" height="${number(band.height)}" fill="${this.escapeXml(settings.backgroundColor)}"/>`);
+      }
+      elements.push(`<path class="elevation-area" d="${area}" fill="${this.escapeXml(settings.fillColor)}" fill-opacity="0.25" stroke="none"/>`);
+      elements.push(`<path class="elevation-line" d="${path}" fill="none" stroke="${this.escapeXml(settings.lineColor)}" ` +
+        `stroke-width="${number(Math.max(1, geometry.plot.height / 60))}" stroke-linejoin="round" stroke-linecap="round"/>`);
+
+      return `<g class="elevation-profile">${elements.join('')}</g>`;
+    },
+
+    /**
+     * Draw the band onto a 2D canvas context
+     */
+    drawToCanvas(ctx, settings, geometry) {
+      const line = this.buildGeometry(settings.points, geometry.plot);
+      const bottom = geometry.plot.y + geometry.plot.height;
+      const { band } = geometry;
+
+      ctx.save();
+      if (settings.placement === 'below') {
+        ctx.fillStyle = settings.backgroundColor;
+        ctx.fillRect(band.x, band.y, band.width, band.height);
+      }
+
+      ctx.beginPath();
+      line.forEach(([x, y], index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.lineTo(line[line.length - 1][0], bottom);
+      ctx.lineTo(line[0][0], bottom);
+      ctx.closePath();
+      ctx.globalAlpha = 0.25;
+      ctx.fillStyle = settings.fillColor;
+      ctx.fill();
+
+      ctx.beginPath();
+      line.forEach(([x, y], index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = settings.lineColor;
+      ctx.lineWidth = Math.max(1, geometry.plot.height / 60);
+      ctx.lineJoin = 'round';
+      ctx.lineCap = 'round';
+      ctx.stroke();
+      ctx.restore();
+    },
+
+    escapeXml(value) {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+    }
+  };
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    // CommonJS (Node.js)
+    module.exports = PosterElevationProfile;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD (RequireJS)
+    define(function() { return PosterElevationProfile; });
+  } else {
+    // Browser globals
+    global.PosterElevationProfile = PosterElevationProfile;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
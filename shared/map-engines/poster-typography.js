@@ -0,0 +1,480 @@
+/**
+ * Poster Typography Layout Engine
+ * Lays out the title, subtitle, stats block and coordinates line of a poster
+ *
+ * The same layout is used by the designer preview (DOM), the Puppeteer print page (DOM),
+ * the server canvas fallback (2D canvas) and the PDF/SVG exports (SVG text), so the
+ * printed text matches what the customer approved. All sizes are proportional to the
+ * frame the text is laid out in, which makes a layout resolution independent.
+ *
+ * Usage:
+ * const settings = PosterTypography.resolveSettings(mapConfig);
+ * const blocks = PosterTypography.layout(settings, { x: 0, y: 0, width: 595, height: 842 });
+ * PosterTypography.drawToCanvas(ctx, blocks);
+ */
+
+(function(global) {
+  'use strict';
+
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  // Privacy zones (privacy-zones.js) are optional; without them the route start is used as-is
+  function getPrivacyZones() {
+    if (typeof module !== 'undefined' && module.exports) {
+      return require('./privacy-zones');
+    }
+    return global.PrivacyZones || null;
+  }
+
+  const PosterTypography = {
+    ALIGNMENTS: ['left', 'center', 'right'],
+    STATS_FIELDS: ['distance', 'time', 'elevation', 'pace', 'date', 'location'],
+    STATS_TEMPLATES: ['inline', 'stacked', 'columns'],
+    UNITS: ['metric', 'imperial'],
+
+    // Activity types whose average is shown as pace rather than speed
+    PACE_ACTIVITY_TYPES: ['Run', 'TrailRun', 'VirtualRun', 'Walk', 'Hike'],
+
+    STAT_LABELS: {
+      distance: 'Distance',
+      time: 'Moving time',
+      elevation: 'Elevation',
+      pace: 'Avg speed',
+      date: 'Date',
+      location: 'Location'
+    },
+
+    DEFAULTS: {
+      fontFamily: "'Helvetica Neue', Arial, sans-serif",
+      titleWeight: 'bold',
+      subtitleWeight: 'normal',
+      textAlign: 'center',
+      titleColor: '#1f2937',
+      subtitleColor: '#6b7280',
+      statsColor: '#374151',
+      showStats: false,
+      statsFields: ['distance', 'elevation', 'date', 'time'],
+      statsTemplate: 'inline',
+      units: 'metric',
+      showCoordinates: false
+    },
+
+    // Font sizes as a fraction of the frame's short side
+    SCALE: {
+      title: 0.05,
+      subtitle: 0.024,
+      stats: 0.02,
+      statValue: 0.03,
+      statLabel: 0.012,
+      coordinates: 0.016
+    },
+
+    LINE_HEIGHT: 1.3,
+
+    // Vertical anchors as a fraction of the frame height
+    HEADER_TOP: 0.05,
+    FOOTER_BOTTOM: 0.95,
+
+    // Physical trim size and safe zone (mm) per print format, for laying out previews
+    PRINT_SAFE_AREA: {
+      A4: { width: 210, height: 297, safeZone: 6 },
+      A3: { width: 297, height: 420, safeZone: 8 },
+      A2: { width: 420, height: 594, safeZone: 10 },
+      A1: { width: 594, height: 841, safeZone: 12 }
+    },
+
+    /**
+     * Resolve typography settings from a map config, design settings or order customization
+     * @param {Object} source - Map config ({ settings, customization, title, stats, route }) or flat settings
+     * @returns {Object} Normalized settings
+     */
+    resolveSettings(source = {}) {
+      const settings = { ...(source.customization || {}), ...(source.settings || {}) };
+      const flat = source.settings || source.customization ? settings : source;
+      const defaults = this.DEFAULTS;
+
+      const textAlign = this.ALIGNMENTS.includes(flat.textAlign) ? flat.textAlign : defaults.textAlign;
+      const statsFields = Array.isArray(flat.statsFields)
+        ? flat.statsFields.filter(field => this.STATS_FIELDS.includes(field))
+        : defaults.statsFields;
+
+      return {
+        title: flat.mainTitle || flat.title || source.title || '',
+        subtitle: flat.subtitle || '',
+        fontFamily: flat.fontFamily || defaults.fontFamily,
+        titleWeight: flat.titleWeight || defaults.titleWeight,
+        subtitleWeight: flat.subtitleWeight || defaults.subtitleWeight,
+        textAlign,
+        titleColor: flat.titleColor || defaults.titleColor,
+        subtitleColor: flat.subtitleColor || defaults.subtitleColor,
+        statsColor: flat.statsColor || defaults.statsColor,
+        showStats: flat.showStats === true,
+        statsFields,
+        statsTemplate: this.STATS_TEMPLATES.includes(flat.statsTemplate) ? flat.statsTemplate : defaults.statsTemplate,
+        units: this.UNITS.includes(flat.units) ? flat.units : defaults.units,
+        stats: flat.stats || source.stats || null,
+        showCoordinates: flat.showCoordinates === true,
+        coordinates: this.resolveCoordinates(flat, source)
+      };
+    },
+
+    /**
+     * Resolve the { lat, lng } shown on the coordinates line
+     * When privacy zones trim the route, the first visible point replaces any stored start
+     */
+    resolveCoordinates(flat, source) {
+      const privacyZones = getPrivacyZones();
+      const privacy = privacyZones ? privacyZones.resolveSettings(source) : null;
+      if (privacy) {
+        return this.getRouteStart(source, route => privacyZones.apply(route, privacy));
+      }
+
+      return flat.coordinates || source.coordinates || this.getRouteStart(source);
+    },
+
+    /**
+     * Get the first route point as { lat, lng } for the coordinates line
+     * @param {Function} [trim] - Optional trimming applied to the route coordinates first
+     */
+    getRouteStart(source, trim = null) {
+      const route = source.route || (Array.isArray(source.routes) ? source.routes[0] : null);
+      const coordinates = route && Array.isArray(route.coordinates) ? route.coordinates : [];
+      const point = (trim ? trim(coordinates) : coordinates)[0];
+      return Array.isArray(point) ? { lng: point[0], lat: point[1] } : null;
+    },
+
+    /**
+     * Get the safe frame for a preview of the given size
+     * The preview shows the trim, so it is inset by the format's safe zone
+     */
+    getSafeFrame(format, orientation, width, height) {
+      const area = this.PRINT_SAFE_AREA[String(format || '').toUpperCase()];
+      if (!area) {
+        return { x: 0, y: 0, width, height };
+      }
+
+      const trimWidth = orientation === 'landscape' ? area.height : area.width;
+      const inset = width * area.safeZone / trimWidth;
+      return {
+        x: inset,
+        y: inset,
+        width: Math.max(1, width - inset * 2),
+        height: Math.max(1, height - inset * 2)
+      };
+    },
+
+    /**
+     * Lay out all text blocks inside a frame
+     * @param {Object} settings - Settings from resolveSettings
+     * @param {Object} frame - { x, y, width, height } in the target's pixels
+     * @param {Function} [measure] - (text, font) => width; estimated from character count when omitted
+     * @returns {Array<Object>} Blocks { id, text, x, y, fontSize, fontWeight, fontFamily, color, align }
+     */
+    layout(settings, frame, measure) {
+      const base = Math.min(frame.width, frame.height);
+      const align = settings.textAlign;
+      const x = align === 'left' ? frame.x : align === 'right' ? frame.x + frame.width : frame.x + frame.width / 2;
+
+      const block = (id, text, weight, color, options = {}) => {
+        const maxWidth = options.maxWidth || frame.width;
+        const fontSize = this.fitFontSize(text, base * this.SCALE[id], maxWidth, weight, settings.fontFamily, measure);
+        return {
+          id,
+          text,
+          x: options.x ?? x,
+          y: 0,
+          fontSize,
+          fontWeight: weight,
+          fontFamily: settings.fontFamily,
+          color,
+          align: options.align || align
+        };
+      };
+
+      const header = [];
+      if (settings.title) {
+        header.push(block('title', settings.title, settings.titleWeight, settings.titleColor));
+      }
+      if (settings.subtitle) {
+        header.push(block('subtitle', settings.subtitle, settings.subtitleWeight, settings.subtitleColor));
+      }
+
+      // Footer rows share a baseline; a row's height is its nominal (unfitted) font size
+      const rows = settings.showStats ? this.layoutStatsRows(settings, frame, base, block) : [];
+      const coordinatesText = settings.showCoordinates ? this.formatCoordinates(settings.coordinates) : '';
+      if (coordinatesText) {
+        rows.push({ size: base * this.SCALE.coordinates, blocks: [block('coordinates', coordinatesText, 'normal', settings.statsColor)] });
+      }
+
+      // Header stacks down from the top anchor, footer stacks up from the bottom anchor
+      let top = frame.y + frame.height * this.HEADER_TOP;
+      header.forEach(item => {
+        item.y = top;
+        top += item.fontSize * this.LINE_HEIGHT;
+      });
+
+      let bottom = frame.y + frame.height * this.FOOTER_BOTTOM;
+      rows.slice().reverse().forEach(row => {
+        bottom -= row.size;
+        row.blocks.forEach(item => {
+          item.y = bottom;
+        });
+        bottom -= row.size * (this.LINE_HEIGHT - 1);
+      });
+
+      const footer = rows.reduce((blocks, row) => blocks.concat(row.blocks), []);
+      return header.concat(footer);
+    },
+
+    /**
+     * Lay out the stats panel as footer rows for the selected template
+     * - inline: one line, stats separated by dots
+     * - stacked: one "LABEL value" line per stat
+     * - columns: values spread across the frame with small labels underneath
+     */
+    layoutStatsRows(settings, frame, base, block) {
+      const stats = this.getStatEntries(settings.stats, settings.statsFields, settings.units);
+      if (stats.length === 0) {
+        return [];
+      }
+
+      const color = settings.statsColor;
+      if (settings.statsTemplate === 'stacked') {
+        return stats.map(stat => ({
+          size: base * this.SCALE.stats,
+          blocks: [block('stats', `${stat.label.toUpperCase()}  ${stat.value}`, 'normal', color)]
+        }));
+      }
+
+      if (settings.statsTemplate === 'columns') {
+        const columnWidth = frame.width / stats.length;
+        const column = index => ({ x: frame.x + columnWidth * (index + 0.5), align: 'center', maxWidth: columnWidth * 0.9 });
+        return [
+          { size: base * this.SCALE.statValue, blocks: stats.map((stat, index) => block('statValue', stat.value, 'bold', color, column(index))) },
+          { size: base * this.SCALE.statLabel, blocks: stats.map((stat, index) => block('statLabel', stat.label.toUpperCase(), 'normal', color, column(index))) }
+        ];
+      }
+
+      return [{
+        size: base * this.SCALE.stats,
+        blocks: [block('stats', stats.map(stat => stat.value).join(' · '), 'normal', color)]
+      }];
+    },
+
+    /**
+     * Shrink a font size until the text fits a maximum width
+     */
+    fitFontSize(text, fontSize, maxWidth, weight, family, measure) {
+      const widthAt = size => measure
+        ? measure(text, this.font(size, weight, family))
+        : String(text).length * size * (weight === 'bold' ? 0.6 : 0.5);
+
+      const textWidth = widthAt(fontSize);
+      if (!text || textWidth <= maxWidth) {
+        return fontSize;
+      }
+      return Math.floor(fontSize * maxWidth / textWidth * 100) / 100;
+    },
+
+    /**
+     * CSS/canvas font shorthand for a block
+     */
+    font(size, weight, family) {
+      return `${weight} ${size}px ${family}`;
+    },
+
+    /**
+     * Create a measure function backed by a 2D canvas context
+     * Without a context, a detached canvas is created when running in a browser
+     */
+    canvasMeasure(ctx) {
+      let context = ctx;
+      if (!context && typeof document !== 'undefined' && document.createElement) {
+        context = document.createElement('canvas').getContext('2d');
+      }
+      if (!context || typeof context.measureText !== 'function') {
+        return undefined;
+      }
+      return (text, font) => {
+        context.font = font;
+        return context.measureText(text).width;
+      };
+    },
+
+    /**
+     * Format the stats block as one line, e.g. "53.3 km · 743 m · 4 Jun 2023 · 2:05:09"
+     * @param {Object} stats - { distance (m), elevation (m), date (ISO), movingTime (s),
+     *   averageSpeed (m/s), activityType, location }
+     */
+    formatStats(stats, fields = this.DEFAULTS.statsFields, units = this.DEFAULTS.units) {
+      return this.getStatEntries(stats, fields, units).map(stat => stat.value).join(' · ');
+    },
+
+    /**
+     * Get the labelled, unit-converted values of the requested stats, skipping missing ones
+     * @returns {Array<Object>} [{ field, label, value }]
+     */
+    getStatEntries(stats, fields = this.DEFAULTS.statsFields, units = this.DEFAULTS.units) {
+      if (!stats) {
+        return [];
+      }
+
+      return fields
+        .map(field => ({ field, label: this.getStatLabel(field, stats), value: this.formatStat(field, stats, units) }))
+        .filter(stat => stat.value);
+    },
+
+    getStatLabel(field, stats) {
+      return field === 'pace' && this.PACE_ACTIVITY_TYPES.includes(stats.activityType) ? 'Avg pace' : this.STAT_LABELS[field];
+    },
+
+    /**
+     * Format a single stat in metric (km, m, km/h, /km) or imperial (mi, ft, mph, /mi) units
+     */
+    formatStat(field, stats, units = this.DEFAULTS.units) {
+      const imperial = units === 'imperial';
+
+      switch (field) {
+        case 'distance':
+          return Number.isFinite(stats.distance)
+            ? `${(stats.distance / (imperial ? 1609.344 : 1000)).toFixed(1)} ${imperial ? 'mi' : 'km'}`
+            : '';
+        case 'elevation':
+          return Number.isFinite(stats.elevation)
+            ? `${Math.round(stats.elevation * (imperial ? 3.28084 : 1))} ${imperial ? 'ft' : 'm'}`
+            : '';
+        case 'time':
+          return Number.isFinite(stats.movingTime) ? this.formatDuration(stats.movingTime) : '';
+        case 'pace': {
+          const speed = Number.isFinite(stats.averageSpeed) && stats.averageSpeed > 0
+            ? stats.averageSpeed
+            : stats.movingTime > 0 && stats.distance > 0 ? stats.distance / stats.movingTime : null;
+          if (!speed) {
+            return '';
+          }
+          if (this.PACE_ACTIVITY_TYPES.includes(stats.activityType)) {
+            return `${this.formatDuration((imperial ? 1609.344 : 1000) / speed)} /${imperial ? 'mi' : 'km'}`;
+          }
+          return `${(speed * (imperial ? 2.236936 : 3.6)).toFixed(1)} ${imperial ? 'mph' : 'km/h'}`;
+        }
+        case 'date':
+          return this.formatDate(stats.date);
+        case 'location':
+          return stats.location ? String(stats.location) : '';
+        default:
+          return '';
+      }
+    },
+
+    /**
+     * Format an activity date without depending on the renderer's locale or time zone
+     */
+    formatDate(value) {
+      const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+      if (!match) {
+        return '';
+      }
+      return `${Number(match[3])} ${MONTHS[Number(match[2]) - 1]} ${match[1]}`;
+    },
+
+    /**
+     * Format seconds as h:mm:ss (or m:ss under an hour)
+     */
+    formatDuration(seconds) {
+      const total = Math.round(seconds);
+      const hours = Math.floor(total / 3600);
+      const minutes = Math.floor((total % 3600) / 60);
+      const secs = String(total % 60).padStart(2, '0');
+      return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    },
+
+    /**
+     * Format a point as "51.5074° N, 0.1278° W"
+     */
+    formatCoordinates(point) {
+      if (!point || !Number.isFinite(point.lat) || !Number.isFinite(point.lng)) {
+        return '';
+      }
+      const lat = `${Math.abs(point.lat).toFixed(4)}° ${point.lat >= 0 ? 'N' : 'S'}`;
+      const lng = `${Math.abs(point.lng).toFixed(4)}° ${point.lng >= 0 ? 'E' : 'W'}`;
+      return `${lat}, ${lng}`;
+    },
+
+    /**
+     * Draw blocks onto a 2D canvas context
+     */
+    drawToCanvas(ctx, blocks) {
+      blocks.forEach(block => {
+        ctx.font = this.font(block.fontSize, block.fontWeight, block.fontFamily);
+        ctx.fillStyle = block.color;
+        ctx.textAlign = block.align;
+        ctx.textBaseline = 'top';
+        ctx.fillText(block.text, block.x, block.y);
+      });
+    },
+
+    /**
+     * Render blocks as SVG <text> elements in the same pixel space as the layout frame
+     */
+    toSVG(blocks) {
+      const anchors = { left: 'start', center: 'middle', right: 'end' };
+      const number = value => String(Math.round(value * 100) / 100);
+
+      return blocks.map(block =>
+        `<text class="${block.id}" x="${number(block.x)}" y="${number(block.y)}" ` +
+        `font-family="${this.escapeXml(block.fontFamily)}" font-weight="${this.escapeXml(block.fontWeight)}" font-size="${number(block.fontSize)}" ` +
+        `fill="${this.escapeXml(block.color)}" text-anchor="${anchors[block.align]}" dominant-baseline="hanging">${this.escapeXml(block.text)}</text>`
+      ).join('\n    ');
+    },
+
+    /**
+     * Render blocks as absolutely positioned elements inside a container
+     * Replaces any blocks previously rendered into the container
+     */
+    renderToElement(container, blocks) {
+      const shifts = { left: '0', center: '-50%', right: '-100%' };
+
+      container.querySelectorAll('[data-poster-text]').forEach(node => node.remove());
+      blocks.forEach(block => {
+        const node = container.ownerDocument.createElement('div');
+        node.setAttribute('data-poster-text', block.id);
+        node.className = `poster-text poster-text-${block.id}`;
+        node.textContent = block.text;
+        Object.assign(node.style, {
+          position: 'absolute',
+          left: `${block.x}px`,
+          top: `${block.y}px`,
+          transform: `translateX(${shifts[block.align]})`,
+          font: this.font(block.fontSize, block.fontWeight, block.fontFamily),
+          lineHeight: '1',
+          color: block.color,
+          whiteSpace: 'nowrap',
+          textAlign: block.align
+        });
+        container.appendChild(node);
+      });
+    },
+
+    escapeXml(value) {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+    }
+  };
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    // CommonJS (Node.js)
+    module.exports = PosterTypography;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD (RequireJS)
+    define(function() { return PosterTypography; });
+  } else {
+    // Browser globals
+    global.PosterTypography = PosterTypography;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
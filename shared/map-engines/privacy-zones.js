@@ -0,0 +1,209 @@
+/**
+ * Route Privacy Zones
+ * Trims the start and end of a route so posters don't show where an athlete lives
+ *
+ * An athlete's settings combine two kinds of trimming:
+ * - zones: circles (centre plus radius in metres); leading and trailing points inside
+ *   any zone are dropped until the route first leaves it
+ * - hideFirstMeters / hideLastMeters: a fixed distance cut from each end of the route
+ *
+ * Only the ends of a route are trimmed; a route that passes back through a zone midway
+ * is left intact. The same code runs in the designer preview, the GeoJSON converter and
+ * the server high-res render, so every output trims identically. Trimming should be
+ * applied once, at render time, to the raw route.
+ *
+ * Usage:
+ * const settings = PrivacyZones.resolveSettings(mapConfig);
+ * const coordinates = PrivacyZones.apply(route.coordinates, settings); // [lng, lat] pairs
+ */
+
+(function(global) {
+  'use strict';
+
+  const PrivacyZones = {
+    MAX_ZONES: 10,
+    MIN_RADIUS: 50,
+    MAX_RADIUS: 5000,
+    MAX_TRIM: 5000,
+    DEFAULT_RADIUS: 500,
+
+    EARTH_RADIUS: 6371000, // metres
+
+    /**
+     * Validate and normalize privacy settings
+     * @param {Object} settings - { zones: [{ lat, lng, radius, label }], hideFirstMeters, hideLastMeters }
+     * @returns {Object} Normalized settings
+     * @throws {Error} With status 400 when the settings are invalid
+     */
+    normalize(settings = {}) {
+      if (!settings || typeof settings !== 'object') {
+        throw this.createError('Privacy settings must be an object');
+      }
+
+      const zones = settings.zones === undefined || settings.zones === null ? [] : settings.zones;
+      if (!Array.isArray(zones)) {
+        throw this.createError('zones must be an array');
+      }
+      if (zones.length > this.MAX_ZONES) {
+        throw this.createError(`A maximum of ${this.MAX_ZONES} privacy zones is supported`);
+      }
+
+      return {
+        zones: zones.map((zone, index) => this.normalizeZone(zone, index)),
+        hideFirstMeters: this.normalizeTrim(settings.hideFirstMeters, 'hideFirstMeters'),
+        hideLastMeters: this.normalizeTrim(settings.hideLastMeters, 'hideLastMeters')
+      };
+    },
+
+    normalizeZone(zone, index) {
+      const lat = parseFloat(zone?.lat);
+      const lng = parseFloat(zone?.lng);
+      const radius = zone?.radius === undefined || zone?.radius === null ? this.DEFAULT_RADIUS : parseFloat(zone.radius);
+
+      if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+        throw this.createError(`Zone ${index + 1} must have a valid lat and lng`);
+      }
+      if (isNaN(radius) || radius < this.MIN_RADIUS || radius > this.MAX_RADIUS) {
+        throw this.createError(`Zone ${index + 1} radius must be between ${this.MIN_RADIUS} and ${this.MAX_RADIUS} metres`);
+      }
+
+      const normalized = { lat, lng, radius };
+      if (zone.label) {
+        normalized.label = String(zone.label).slice(0, 60);
+      }
+      return normalized;
+    },
+
+    normalizeTrim(value, name) {
+      if (value === undefined || value === null || value === '') {
+        return 0;
+      }
+
+      const meters = parseFloat(value);
+      if (isNaN(meters) || meters < 0 || meters > this.MAX_TRIM) {
+        throw this.createError(`${name} must be between 0 and ${this.MAX_TRIM} metres`);
+      }
+      return meters;
+    },
+
+    createError(message) {
+      const error = new Error(message);
+      error.status = 400;
+      return error;
+    },
+
+    /**
+     * Resolve privacy settings from a map config, design settings or order customization
+     * @param {Object} source - Map config or flat settings carrying `privacyZones`
+     * @returns {Object|null} Normalized settings, or null when nothing is trimmed
+     */
+    resolveSettings(source = {}) {
+      const settings = source?.privacyZones || source?.customization?.privacyZones || source?.settings?.privacyZones;
+      if (!settings) {
+        return null;
+      }
+
+      const normalized = this.normalize(settings);
+      return this.isActive(normalized) ? normalized : null;
+    },
+
+    /**
+     * Check whether settings trim anything
+     */
+    isActive(settings) {
+      return !!settings && (
+        (Array.isArray(settings.zones) && settings.zones.length > 0) ||
+        settings.hideFirstMeters > 0 ||
+        settings.hideLastMeters > 0
+      );
+    },
+
+    /**
+     * Trim a route's ends according to privacy settings
+     * @param {Array} coordinates - Route as [lng, lat] pairs
+     * @param {Object} settings - Normalized settings (see normalize)
+     * @returns {Array} Trimmed coordinates; empty when nothing is left to show
+     */
+    apply(coordinates, settings) {
+      if (!Array.isArray(coordinates) || !this.isActive(settings)) {
+        return coordinates;
+      }
+
+      let trimmed = coordinates;
+
+      if (settings.hideFirstMeters > 0) {
+        trimmed = this.trimStart(trimmed, settings.hideFirstMeters);
+      }
+      if (settings.hideLastMeters > 0) {
+        trimmed = this.trimStart(trimmed.slice().reverse(), settings.hideLastMeters).reverse();
+      }
+
+      if (settings.zones.length > 0) {
+        const first = trimmed.findIndex(coord => !this.isInsideZone(coord, settings.zones));
+        if (first === -1) {
+          return [];
+        }
+
+        let last = trimmed.length - 1;
+        while (last > first && this.isInsideZone(trimmed[last], settings.zones)) {
+          last--;
+        }
+        trimmed = trimmed.slice(first, last + 1);
+      }
+
+      return trimmed.length >= 2 ? trimmed : [];
+    },
+
+    /**
+     * Cut a distance off the start of a route, interpolating the new first point
+     */
+    trimStart(coordinates, meters) {
+      let travelled = 0;
+
+      for (let i = 1; i < coordinates.length; i++) {
+        const segment = this.distance(coordinates[i - 1], coordinates[i]);
+        if (travelled + segment >= meters) {
+          const ratio = segment > 0 ? (meters - travelled) / segment : 0;
+          const [lng1, lat1] = coordinates[i - 1];
+          const [lng2, lat2] = coordinates[i];
+          const cut = [lng1 + (lng2 - lng1) * ratio, lat1 + (lat2 - lat1) * ratio];
+
+          return ratio < 1 ? [cut, ...coordinates.slice(i)] : coordinates.slice(i);
+        }
+        travelled += segment;
+      }
+
+      return [];
+    },
+
+    isInsideZone(coord, zones) {
+      return zones.some(zone => this.distance(coord, [zone.lng, zone.lat]) <= zone.radius);
+    },
+
+    /**
+     * Great-circle distance in metres between two [lng, lat] points
+     */
+    distance([lng1, lat1], [lng2, lat2]) {
+      const toRadians = degrees => degrees * Math.PI / 180;
+      const dLat = toRadians(lat2 - lat1);
+      const dLng = toRadians(lng2 - lng1);
+      const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+      return 2 * this.EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+  };
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    // CommonJS (Node.js)
+    module.exports = PrivacyZones;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD (RequireJS)
+    define(function() { return PrivacyZones; });
+  } else {
+    // Browser globals
+    global.PrivacyZones = PrivacyZones;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
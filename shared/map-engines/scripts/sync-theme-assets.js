@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Sync Theme Assets
+ * Copies the shared engines into the Shopify theme's assets folder
+ *
+ * Shopify only serves scripts from a theme's own assets/ directory, so the theme keeps a
+ * generated copy of each engine. The copies carry a banner pointing back here and must
+ * not be edited by hand.
+ *
+ * Usage:
+ * node scripts/sync-theme-assets.js          # write the theme copies
+ * node scripts/sync-theme-assets.js --check  # exit 1 if any copy is missing or stale
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PACKAGE_DIR = path.join(__dirname, '..');
+const THEME_ASSETS_DIR = path.join(PACKAGE_DIR, '../../shopify-theme/dawn/assets');
+
+const ENGINES = [
+  'design-history.js',
+  'poster-elevation-profile.js',
+  'poster-typography.js',
+  'privacy-zones.js',
+  'route-color-metrics.js'
+];
+
+function buildThemeCopy(fileName) {
+  const source = fs.readFileSync(path.join(PACKAGE_DIR, fileName), 'utf8');
+  return `// Generated from shared/map-engines/${fileName} by \`npm run sync:theme\`. Do not edit this copy.\n${source}`;
+}
+
+function syncThemeAssets({ check = false } = {}) {
+  const stale = [];
+
+  for (const fileName of ENGINES) {
+    const target = path.join(THEME_ASSETS_DIR, fileName);
+    const expected = buildThemeCopy(fileName);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+
+    if (current === expected) {
+      continue;
+    }
+
+    stale.push(fileName);
+    if (!check) {
+      fs.writeFileSync(target, expected);
+    }
+  }
+
+  return stale;
+}
+
+if (require.main === module) {
+  const check = process.argv.includes('--check');
+  const stale = syncThemeAssets({ check });
+
+  if (check && stale.length > 0) {
+    console.error(`[MapEngines] Theme copies are out of date: ${stale.join(', ')}`);
+    console.error('[MapEngines] Run `npm run sync:theme` in shared/map-engines and commit the result.');
+    process.exit(1);
+  }
+
+  console.log(stale.length > 0
+    ? `[MapEngines] Updated theme copies: ${stale.join(', ')}`
+    : '[MapEngines] Theme copies are up to date');
+}
+
+module.exports = { ENGINES, buildThemeCopy, syncThemeAssets };
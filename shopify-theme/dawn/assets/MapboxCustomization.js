@@ -38,6 +38,7 @@ class MapboxCustomization {
     this.undoStack = [];
     this.redoStack = [];
     this.maxUndoSteps = 20;
+    this.historyListener = null;  // Designer's design history, told about each recorded action
 
     // UI components
     this.customizationPanel = null;
@@ -910,6 +911,57 @@ class MapboxCustomization {
 
     // Clear redo stack when new action is performed
     this.redoStack = [];
+
+    // Some actions record before they change state, so notify once the current call has finished
+    if (this.historyListener) {
+      Promise.resolve().then(() => this.historyListener(actionType));
+    }
+  }
+
+  /**
+   * Register a listener for recorded actions (the designer's undo/redo history)
+   * @param {Function|null} listener - Called with the action type after each action
+   */
+  setHistoryListener(listener) {
+    this.historyListener = listener;
+  }
+
+  /**
+   * Get annotations and text labels without their map markers, for design history snapshots
+   * @returns {Object} { annotations, textLabels }
+   */
+  getAnnotationState() {
+    return {
+      annotations: this.customizationState.annotations.map(({ marker, ...annotation }) => annotation),
+      textLabels: this.customizationState.textLabels.map(label => ({ ...label }))
+    };
+  }
+
+  /**
+   * Replace annotations and text labels from a design history snapshot
+   * Markers are recreated on the map; no undo step is recorded
+   * @param {Object} state - { annotations, textLabels } as returned by getAnnotationState
+   */
+  setAnnotationState(state = {}) {
+    this.customizationState.annotations.forEach(annotation => {
+      if (annotation.marker) {
+        annotation.marker.remove();
+      }
+    });
+
+    this.customizationState.annotations = (state.annotations || []).map(annotation => ({
+      ...annotation,
+      marker: this.map ? new mapboxgl.Marker()
+        .setLngLat(annotation.coordinates)
+        .setPopup(new mapboxgl.Popup().setHTML(`
+          <strong>${annotation.title}</strong><br>
+          ${annotation.description}
+        `))
+        .addTo(this.map) : null
+    }));
+    this.customizationState.textLabels = (state.textLabels || []).map(label => ({ ...label }));
+
+    this.saveCustomizationState();
   }
 
   /**
@@ -49,6 +49,9 @@ class MapboxRoutes {
     // Route controls UI
     this.routeControls = null;
 
+    // Colour-by-metric settings (route-color-metrics.js); kept across route and style changes
+    this.colorByMetric = null;
+
     // Default options
     this.options = {
       routeColor: '#FF4444',
@@ -103,7 +106,7 @@ class MapboxRoutes {
   /**
    * Main method to render route on map
    * @param {Object} routeData - GeoJSON route data
-   * @param {Object} customization - Route customization options
+   * @param {Object} customization - Route customization options (privacyZones trims the route ends)
    * @param {Object} stats - Route statistics
    */
   async renderRouteMap(routeData, customization = {}, stats = {}) {
@@ -118,7 +121,7 @@ class MapboxRoutes {
       this.clearRoute();
 
       // Extract and validate coordinates
-      const coordinates = this.extractCoordinates(routeData);
+      const coordinates = this.applyPrivacyZones(this.extractCoordinates(routeData), customization.privacyZones);
       
       if (coordinates.length === 0) {
         throw new Error('No valid coordinates found in route data');
@@ -138,7 +141,7 @@ class MapboxRoutes {
       console.log(`MapboxRoutes: Valid coordinates: ${coordinates.length}`);
 
       // Add route source
-      this.addRouteSource(routeData);
+      this.addRouteSource(routeData, coordinates);
 
       // Add route layers with proper styling
       this.addRouteLayers(customization);
@@ -246,15 +249,38 @@ class MapboxRoutes {
     }
   }
 
+  /**
+   * Trim the start/end of the route with the athlete's privacy zones
+   * Uses the shared PrivacyZones module so the preview matches the printed poster
+   * @param {Array} coordinates - Validated [lng, lat] coordinates
+   * @param {Object} privacyZones - Privacy settings, or null
+   * @returns {Array} Trimmed coordinates
+   */
+  applyPrivacyZones(coordinates, privacyZones) {
+    if (!privacyZones) {
+      return coordinates;
+    }
+
+    if (typeof PrivacyZones === 'undefined') {
+      throw new Error('MapboxRoutes: privacy-zones.js must be loaded to apply privacy zones');
+    }
+
+    const settings = PrivacyZones.normalize(privacyZones);
+    const trimmed = PrivacyZones.apply(coordinates, settings);
+    console.log(`MapboxRoutes: Privacy zones trimmed route from ${coordinates.length} to ${trimmed.length} coordinates`);
+    return trimmed;
+  }
+
   /**
    * Add route source to map
    * @param {Object} routeData - GeoJSON route data
+   * @param {Array} [coordinates] - Already extracted (and privacy-trimmed) coordinates
    */
-  addRouteSource(routeData) {
+  addRouteSource(routeData, coordinates = null) {
     console.log('MapboxRoutes: Adding route source to map');
     
     // Extract coordinates and create proper GeoJSON
-    const coordinates = this.extractCoordinates(routeData);
+    coordinates = coordinates || this.extractCoordinates(routeData);
     
     if (coordinates.length === 0) {
       throw new Error('No valid coordinates found in route data');
@@ -371,6 +397,43 @@ class MapboxRoutes {
       this.map.setPaintProperty('route-animated', 'line-width', Math.max(routeWidth + 1, 4));
       console.log('MapboxRoutes: Updated existing animated route layer styling');
     }
+
+    this.applyColorByMetric();
+  }
+
+  /**
+   * Colour the route by speed, heart rate, gradient or elevation, or back to a single colour
+   * Uses the shared RouteColorMetrics module so the preview matches the printed poster
+   * @param {Object|null} colorByMetric - { enabled, metric, samples, showLegend, units }, or null to turn off
+   * @param {string} style - Map style, which picks the light or dark palette
+   * @returns {Object|null} Resolved settings, or null when the route uses a single colour
+   */
+  setColorByMetric(colorByMetric, style) {
+    if (colorByMetric && typeof RouteColorMetrics === 'undefined') {
+      throw new Error('MapboxRoutes: route-color-metrics.js must be loaded to colour the route by metric');
+    }
+
+    this.colorByMetric = colorByMetric ? RouteColorMetrics.resolveSettings({ colorByMetric, style }) : null;
+    this.applyColorByMetric();
+    return this.colorByMetric;
+  }
+
+  /**
+   * Apply the stored colour-by-metric settings to the route layer as a line gradient
+   */
+  applyColorByMetric() {
+    if (!this.map || !this.map.getLayer('route-line')) {
+      return;
+    }
+
+    const coordinates = this.routeAnimation.coordinates;
+    const gradient = this.colorByMetric && coordinates.length >= 2
+      ? RouteColorMetrics.toLineGradient(this.colorByMetric, coordinates)
+      : null;
+
+    // A null gradient falls back to the layer's line-color
+    this.map.setPaintProperty('route-line', 'line-gradient', gradient);
+    console.log('MapboxRoutes: Route colour by metric', gradient ? this.colorByMetric.metric : 'off');
   }
 
   /**
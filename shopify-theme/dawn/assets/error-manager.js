@@ -567,8 +567,8 @@ class ErrorManager {
       },
       [ErrorManager.ERROR_TYPES.FILE_FORMAT]: {
         title: 'Invalid File Format',
-        message: 'The uploaded file is not in a supported format. Please upload a GPX or TCX file.',
-        details: 'Supported formats: .gpx, .tcx'
+        message: 'The uploaded file is not in a supported format. Please upload a GPX, TCX or FIT file.',
+        details: 'Supported formats: .gpx, .tcx, .fit'
       },
       [ErrorManager.ERROR_TYPES.COORDINATE_VALIDATION]: {
         title: 'Invalid Coordinates',
@@ -624,7 +624,7 @@ class ErrorManager {
       case ErrorManager.ERROR_TYPES.FILE_FORMAT:
         actions.push({
           label: 'Choose Different File',
-          description: 'Select a valid GPX or TCX file',
+          description: 'Select a valid GPX, TCX or FIT file',
           callback: 'document.querySelector(\'input[type="file"]\').click()'
         });
         break;
@@ -23,6 +23,14 @@ class MapDesign {
     this.sessionToken = null;
     this.currentStep = 'style';
     this.currentPreviewId = null;  // Track current preview for purchase flow
+    this.elevationProfilePoints = null;  // Altitude samples for the poster's elevation band
+    this.routeMetricSamples = {};  // Stream samples ([lng, lat, value]) per colour metric, fetched on first use
+    this.privacyZones = null;  // Athlete's saved route privacy zones, trimmed from every render
+    this.visibleRouteStart = null;  // First route point left visible by the privacy zones ([lng, lat])
+    this.draft = null;  // Server-saved draft being edited or viewed: { id, version, editable, shareUrl }
+    this.savedDesignHistory = null;  // Undo/redo history stored with the opened draft
+    this.designHistory = null;  // Undo/redo history of design snapshots (DesignHistory), kept across reloads
+    this.applyingHistory = false;  // Set while a snapshot is applied, so the changes it makes are not recorded
     this.currentSettings = {
       mapType: 'street',           // New: Currently selected map type
       mapStyle: 'streets',         // New: Currently selected map style
@@ -31,6 +39,15 @@ class MapDesign {
       routeColor: '#ff4444',       // New: Route line color (default red)
       mainTitle: 'EPIC RIDE',
       subtitle: 'Summer 2023',
+      fontFamily: "'Helvetica Neue', Arial, sans-serif",
+      textAlign: 'center',
+      showStats: false,
+      statsFields: ['distance', 'time', 'elevation', 'date'],
+      statsTemplate: 'inline',
+      units: 'metric',
+      showCoordinates: false,
+      elevationProfile: { enabled: false, placement: 'below' },
+      colorByMetric: { enabled: false, metric: 'speed', showLegend: true },
       layout: 'portrait',
       printSize: 'a3'              // Default to A3 (most popular)
     };
@@ -92,6 +109,24 @@ class MapDesign {
       // Text controls
       mainTitleInput: document.getElementById('main-title-input'),
       subtitleInput: document.getElementById('subtitle-input'),
+      fontFamilySelect: document.getElementById('font-family-select'),
+      textAlignSelect: document.getElementById('text-align-select'),
+      showStatsToggle: document.getElementById('show-stats-toggle'),
+      statsOptions: document.getElementById('stats-options'),
+      statFieldToggles: document.querySelectorAll('[data-stat-field]'),
+      statsTemplateSelect: document.getElementById('stats-template-select'),
+      statsUnitsSelect: document.getElementById('stats-units-select'),
+      showCoordinatesToggle: document.getElementById('show-coordinates-toggle'),
+      elevationProfileToggle: document.getElementById('elevation-profile-toggle'),
+      elevationPlacementSelect: document.getElementById('elevation-placement-select'),
+      elevationBand: document.getElementById('elevation-band'),
+      routeMetricSelect: document.getElementById('route-metric-select'),
+      routeMetricLegendToggle: document.getElementById('route-metric-legend-toggle'),
+      routeColorLegend: document.getElementById('route-color-legend'),
+      privacyTrimSelect: document.getElementById('privacy-trim-select'),
+      privacyZoneAddButton: document.getElementById('privacy-zone-add'),
+      privacyZonesClearButton: document.getElementById('privacy-zones-clear'),
+      privacyZonesSummary: document.getElementById('privacy-zones-summary'),
       suggestionItems: document.querySelectorAll('.suggestion-item'),
       
       // Layout controls
@@ -99,15 +134,13 @@ class MapDesign {
       sizeOptions: document.querySelectorAll('.size-option'),
       
       // Text overlays
-      titleOverlay: document.getElementById('main-title-overlay'),
-      subtitleOverlay: document.getElementById('subtitle-overlay'),
-      statsOverlay: document.getElementById('stats-overlay'),
-      overlayDistance: document.getElementById('overlay-distance'),
-      overlayElevation: document.getElementById('overlay-elevation'),
+      textOverlays: document.getElementById('text-overlays'),
       
       // Action buttons
       saveButton: document.getElementById('save-button'),
       shareButton: document.getElementById('share-button'),
+      undoButton: document.getElementById('undo-button'),
+      redoButton: document.getElementById('redo-button'),
 
       // Summary bar elements
       summaryBar: document.querySelector('.selection-summary-bar'),
@@ -282,8 +315,13 @@ class MapDesign {
     console.log('🔍 [map-design init] localStorage expiry:', storedExpiry);
     
     try {
-      // Load activity data from storage or URL
-      await this.loadActivityData();
+      // A ?draft= link opens a server-saved design; otherwise load activity data from storage or URL
+      const draftId = urlParams.get('draft');
+      if (draftId) {
+        await this.loadDraft(draftId);
+      } else {
+        await this.loadActivityData();
+      }
       
       if (!this.activityData) {
         this.showError('No Activity Selected', 'Please select an activity from the activities page to create a custom map.');
@@ -298,6 +336,12 @@ class MapDesign {
       // Initialize Mapbox integration
       await this.initializeMap();
 
+      if (this.draft) {
+        await this.applyDraftDesign();
+      }
+
+      await this.initializeDesignHistory(this.savedDesignHistory);
+
       // Update summary bar with initial values
       this.updateSummaryBar();
 
@@ -358,6 +402,265 @@ class MapDesign {
     }
   }
 
+  /**
+   * Load a server-saved draft: editable for its owner, the shared read-only view for anyone else
+   * @param {string} draftId - Draft short ID from the share link
+   */
+  async loadDraft(draftId) {
+    let data = null;
+
+    if (window.AuthUtils?.getToken()) {
+      try {
+        const response = await window.AuthUtils.authenticatedFetch(`${this.options.baseUrl}/api/drafts/${encodeURIComponent(draftId)}`, {
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        });
+        if (response.ok) {
+          data = await response.json();
+        }
+      } catch (error) {
+        console.warn('Draft not editable in this session, opening the shared view:', error);
+      }
+    }
+
+    if (!data) {
+      const response = await fetch(`${this.options.baseUrl}/api/drafts/${encodeURIComponent(draftId)}/public`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'ngrok-skip-browser-warning': 'true'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(response.status === 404 ? 'This design is no longer available.' : `Failed to load design: ${response.status}`);
+      }
+      data = await response.json();
+    }
+
+    const draft = data.draft;
+    this.currentSettings = { ...this.currentSettings, ...draft.settings };
+    this.activityData = draft.route.activity;
+    this.elevationProfilePoints = draft.data.elevationProfile || null;
+    this.routeMetricSamples = { ...draft.data.routeMetricSamples };
+    this.draft = { id: draft.id, version: draft.version, editable: draft.editable, shareUrl: data.shareUrl || null };
+    this.savedDesignHistory = draft.editHistory || null;
+    console.log('Loaded design draft:', this.draft);
+  }
+
+  /**
+   * Apply a loaded draft's settings to the controls and the map
+   */
+  async applyDraftDesign() {
+    await this.applyDesignSnapshot({ settings: this.currentSettings, annotations: null }, { reloadStyle: true });
+
+    if (!this.draft.editable) {
+      this.enterReadOnlyMode();
+    }
+  }
+
+  /**
+   * Lock the design controls while viewing someone else's shared design
+   */
+  enterReadOnlyMode() {
+    document.body.classList.add('map-design--read-only');
+    document.querySelectorAll('.step-panel input, .step-panel select, .step-panel button').forEach(control => {
+      control.disabled = true;
+    });
+    if (this.elements.saveButton) {
+      this.elements.saveButton.disabled = true;
+    }
+    this.showToast('Viewing a shared design (read-only)', 'info');
+  }
+
+  /**
+   * Snapshot of everything the undo/redo history covers
+   * Privacy zones are left out: they are athlete settings shared by every design
+   * @returns {Object} { settings, annotations }
+   */
+  getDesignSnapshot() {
+    return {
+      settings: this.currentSettings,
+      annotations: this.mapboxIntegration?.customization?.getAnnotationState() || null
+    };
+  }
+
+  /**
+   * Storage key for this design's history: the draft once saved, otherwise the activity
+   * @returns {string|null}
+   */
+  getHistoryKey() {
+    if (this.draft) {
+      return `draft:${this.draft.id}`;
+    }
+    return this.activityData?.id ? `activity:${this.activityData.id}` : null;
+  }
+
+  /**
+   * Restore the design's undo/redo history from this device, or from the saved draft
+   * An unsaved design reopens where it was left; a draft opens at its saved version,
+   * with any later edits made on this device still one undo away.
+   * @param {Object|null} savedHistory - History stored with the draft
+   */
+  async initializeDesignHistory(savedHistory = null) {
+    if (this.draft && !this.draft.editable) {
+      return;
+    }
+
+    const key = this.getHistoryKey();
+    const history = (key && DesignHistory.load(localStorage, key)) || DesignHistory.restore(savedHistory);
+
+    if (!history) {
+      this.designHistory = DesignHistory.create(this.getDesignSnapshot(), 'Open design');
+    } else if (this.draft) {
+      this.designHistory = DesignHistory.record(history, 'Open saved design', this.getDesignSnapshot());
+    } else {
+      this.designHistory = history;
+      const current = DesignHistory.current(history);
+      if (!DesignHistory.isEqual(current, this.getDesignSnapshot())) {
+        await this.applyDesignSnapshot(current);
+      }
+    }
+
+    // Markers and labels are added through the annotation tools rather than the design panels
+    const customization = this.mapboxIntegration?.customization;
+    if (customization?.setHistoryListener) {
+      customization.setHistoryListener((actionType) => {
+        if (['addAnnotation', 'addLabel', 'clearAnnotations'].includes(actionType)) {
+          this.recordDesignChange('Annotations');
+        }
+      });
+    }
+
+    this.persistDesignHistory();
+    this.updateHistoryControls();
+  }
+
+  /**
+   * Add the current design to the undo/redo history after an edit
+   * @param {string} label - What changed, shown when the edit is undone or redone
+   */
+  recordDesignChange(label) {
+    if (!this.designHistory || this.applyingHistory) {
+      return;
+    }
+
+    this.designHistory = DesignHistory.record(this.designHistory, label, this.getDesignSnapshot());
+    this.persistDesignHistory();
+    this.updateHistoryControls();
+  }
+
+  /**
+   * Undo the last design edit
+   */
+  undoDesignChange() {
+    return this.stepDesignHistory(DesignHistory.undo(this.designHistory), 'Undo');
+  }
+
+  /**
+   * Redo the last undone design edit
+   */
+  redoDesignChange() {
+    return this.stepDesignHistory(DesignHistory.redo(this.designHistory), 'Redo');
+  }
+
+  /**
+   * Move through the history and apply the design at the new position
+   * @param {Object|null} step - { history, label, state } from DesignHistory.undo/redo
+   * @param {string} action - 'Undo' or 'Redo', for the toast
+   */
+  async stepDesignHistory(step, action) {
+    if (!step || this.applyingHistory) {
+      return;
+    }
+
+    this.designHistory = step.history;
+    await this.applyDesignSnapshot(step.state);
+    this.persistDesignHistory();
+    this.updateHistoryControls();
+    this.showToast(`${action}: ${step.label}`, 'info');
+  }
+
+  /**
+   * Apply a design snapshot to the controls and the map
+   * Opens saved drafts and steps through the undo/redo history. The map style is only
+   * reloaded when it changed, so undoing a text edit does not redraw the map.
+   * @param {Object} snapshot - { settings, annotations } from getDesignSnapshot
+   * @param {Object} options - { reloadStyle } applies the map style even when unchanged
+   */
+  async applyDesignSnapshot(snapshot, { reloadStyle = false } = {}) {
+    const previous = this.currentSettings;
+    const settings = DesignHistory.clone(snapshot.settings);
+    const styleChanged = reloadStyle || settings.mapStyle !== previous.mapStyle;
+
+    this.applyingHistory = true;
+    try {
+      this.currentSettings = settings;
+      this.applySettingsToUI();
+
+      if (styleChanged && settings.mapTheme && settings.mapColor) {
+        document.querySelectorAll('.theme-card').forEach(card => {
+          card.classList.toggle('active', card.dataset.theme === settings.mapTheme);
+        });
+        this.renderColorSelector(settings.mapTheme);
+        await this.setThemeColor(settings.mapTheme, settings.mapColor);
+      } else if (styleChanged) {
+        if (this.elements.mapTypeOptions) {
+          this.elements.mapTypeOptions.forEach(option => {
+            option.classList.toggle('active', option.dataset.type === settings.mapType);
+          });
+        }
+        this.updateStyleSelector(settings.mapType);
+        await this.setMapStyle(settings.mapStyle);
+      }
+
+      document.querySelectorAll('.route-color-box, .route-color-option').forEach(option => {
+        option.classList.toggle('selected', option.dataset.color === settings.routeColor);
+      });
+      this.updateRouteColor(settings.routeColor);
+      this.updateRouteThickness(settings.routeThickness);
+      await this.updateMapLayout();
+
+      if (settings.elevationProfile.enabled) {
+        await this.loadElevationProfile();
+      }
+      if (settings.colorByMetric.enabled) {
+        await this.loadRouteMetricSamples(settings.colorByMetric.metric);
+      }
+      this.applyColorByMetric();
+
+      if (snapshot.annotations) {
+        this.mapboxIntegration?.customization?.setAnnotationState(snapshot.annotations);
+      }
+
+      this.updateSummaryBar();
+    } finally {
+      this.applyingHistory = false;
+    }
+  }
+
+  /**
+   * Keep the history on this device, so it survives a reload
+   */
+  persistDesignHistory() {
+    const key = this.getHistoryKey();
+    if (this.designHistory && key) {
+      DesignHistory.save(localStorage, key, this.designHistory);
+    }
+  }
+
+  /**
+   * Enable the undo/redo buttons when there is something to step to
+   */
+  updateHistoryControls() {
+    if (this.elements.undoButton) {
+      this.elements.undoButton.disabled = !DesignHistory.canUndo(this.designHistory);
+    }
+    if (this.elements.redoButton) {
+      this.elements.redoButton.disabled = !DesignHistory.canRedo(this.designHistory);
+    }
+  }
+
   /**
    * Get activity ID from multiple sources with priority
    * @returns {string|null} Activity ID
@@ -616,16 +919,8 @@ class MapDesign {
       this.elements.routeDate.textContent = date.toLocaleDateString();
     }
     
-    // Update overlay stats
-    if (this.elements.overlayDistance) {
-      const distance = (activity.distance / 1000).toFixed(1);
-      this.elements.overlayDistance.textContent = `${distance}km`;
-    }
-    
-    if (this.elements.overlayElevation) {
-      const elevation = Math.round(activity.total_elevation_gain || 0);
-      this.elements.overlayElevation.textContent = `${elevation}m`;
-    }
+    // Stats and coordinates lines depend on the activity
+    this.renderTextOverlays();
   }
 
   /**
@@ -958,6 +1253,9 @@ class MapDesign {
         orientation: this.currentSettings.layout || 'portrait',
         mainTitle: this.currentSettings.mainTitle || 'EPIC RIDE',
         subtitle: this.currentSettings.subtitle || '',
+        typography: this.getTypographySettings(),
+        elevationProfile: this.getElevationProfileSettings(),
+        colorByMetric: this.getColorByMetricSettings(),
         showStartEnd: true,
         lineColor: this.currentSettings.routeColor,
         lineWidth: this.currentSettings.routeThickness,
@@ -1289,8 +1587,19 @@ class MapDesign {
     // Generate a unique preview ID (client-side)
     const previewId = `preview_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    // Capture the current visible map as an image (canvas already captured above)
-    const canvasImageData = canvas.toDataURL('image/jpeg', 0.85);
+    // Capture the current visible map with its text and elevation band, laid out exactly as they will be printed
+    // (a band below the map makes the poster taller than the map canvas)
+    const wrapper = document.querySelector('.map-display-wrapper');
+    const posterHeight = this.getElevationBandSettings()?.placement === 'below' && wrapper?.clientWidth
+      ? Math.round(canvasWidth * wrapper.clientHeight / wrapper.clientWidth)
+      : canvasHeight;
+    const captureCanvas = document.createElement('canvas');
+    captureCanvas.width = canvasWidth;
+    captureCanvas.height = posterHeight;
+    const captureContext = captureCanvas.getContext('2d');
+    captureContext.drawImage(canvas, 0, 0);
+    this.addTextOverlaysToCanvas(captureContext, canvasWidth, posterHeight);
+    const canvasImageData = captureCanvas.toDataURL('image/jpeg', 0.85);
 
     // Calculate dimensions based on current settings
     const printSize = this.currentSettings.printSize || 'A4';
@@ -1310,6 +1619,9 @@ class MapDesign {
       zoom: currentZoom,
       camera: camera,  // Include exact camera for preview-to-print matching
       customization: {
+        ...this.getTypographySettings(),
+        elevationProfile: this.getElevationProfileSettings(),
+        colorByMetric: this.getColorByMetricSettings(),
         mainTitle: this.currentSettings.mainTitle,
         subtitle: this.currentSettings.subtitle,
         colorScheme: this.currentSettings.colorScheme,
@@ -1854,38 +2166,309 @@ class MapDesign {
   }
   
   /**
-   * Add text overlays to canvas
+   * Add text overlays (and any elevation band and colour legend) to canvas
+   * Uses the shared typography, band and legend layout so the capture matches the print render
    */
   addTextOverlaysToCanvas(ctx, width, height) {
-    // Title
-    if (this.currentSettings.mainTitle) {
-      ctx.font = `bold ${Math.floor(width * 0.04)}px Arial`;
-      ctx.fillStyle = '#ec4899';
-      ctx.textAlign = 'center';
-      ctx.fillText(this.currentSettings.mainTitle, width / 2, height * 0.1);
-    }
-    
-    // Subtitle
-    if (this.currentSettings.subtitle) {
-      ctx.font = `${Math.floor(width * 0.02)}px Arial`;
-      ctx.fillStyle = '#ffffff';
-      ctx.textAlign = 'center';
-      ctx.fillText(this.currentSettings.subtitle, width / 2, height * 0.15);
-    }
-    
-    // Stats
-    if (this.activityData) {
-      const distance = (this.activityData.distance / 1000).toFixed(1);
-      const elevation = Math.round(this.activityData.total_elevation_gain || 0);
-      const statsText = `${distance}km — ${elevation}m`;
-      
-      ctx.font = `${Math.floor(width * 0.02)}px monospace`;
-      ctx.fillStyle = '#ffffff';
-      ctx.textAlign = 'center';
-      ctx.fillText(statsText, width / 2, height * 0.9);
+    if (typeof PosterTypography === 'undefined') {
+      console.warn('PosterTypography not available - skipping canvas text');
+      return;
     }
+
+    const { frame, band } = this.getPosterFrames(width, height);
+    if (band) {
+      PosterElevationProfile.drawToCanvas(ctx, band.settings, band);
+    }
+
+    const colorMetric = this.getRouteColorMetricSettings();
+    if (colorMetric?.showLegend) {
+      RouteColorMetrics.drawToCanvas(ctx, colorMetric, RouteColorMetrics.getLegendBox(frame));
+    }
+
+    const blocks = PosterTypography.layout(
+      PosterTypography.resolveSettings(this.getTypographySettings()),
+      frame,
+      PosterTypography.canvasMeasure(ctx)
+    );
+    PosterTypography.drawToCanvas(ctx, blocks);
   }
-  
+
+  /**
+   * Get the text frame and elevation band for a poster of the given size
+   * Mirrors mapService.getTypographyFrame: text stays in the safe area, above the band
+   */
+  getPosterFrames(width, height) {
+    const frame = PosterTypography.getSafeFrame(this.currentSettings.printSize, this.currentSettings.layout, width, height);
+    const settings = this.getElevationBandSettings();
+    if (!settings) {
+      return { frame, band: null };
+    }
+
+    const band = { settings, ...PosterElevationProfile.getBand(settings, width, height, { bleed: 0, safe: frame.x }) };
+    return {
+      frame: { ...frame, height: Math.max(1, Math.min(frame.height, band.band.y - frame.y)) },
+      band
+    };
+  }
+
+  /**
+   * Get the elevation band sent with previews and orders, or null when it is off or not loaded
+   */
+  getElevationProfileSettings() {
+    const profile = this.currentSettings.elevationProfile;
+    if (!profile.enabled || !this.elevationProfilePoints) {
+      return null;
+    }
+    return { enabled: true, placement: profile.placement, points: this.elevationProfilePoints };
+  }
+
+  /**
+   * Resolve the band with the current theme and route colours
+   */
+  getElevationBandSettings() {
+    if (typeof PosterElevationProfile === 'undefined') {
+      return null;
+    }
+    return PosterElevationProfile.resolveSettings({
+      elevationProfile: this.getElevationProfileSettings(),
+      style: this.currentSettings.mapStyle,
+      route: { color: this.currentSettings.routeColor }
+    });
+  }
+
+  /**
+   * Load the activity's altitude samples for the elevation band
+   */
+  async loadElevationProfile() {
+    if (this.elevationProfilePoints || !this.activityData?.id) {
+      return;
+    }
+
+    try {
+      const url = `${this.options.baseUrl}/api/strava/activities/${this.activityData.id}/elevation?maxPoints=500${this.sessionToken ? `&token=${this.sessionToken}` : ''}`;
+      const response = await fetch(url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'ngrok-skip-browser-warning': 'true'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch elevation data: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const points = PosterElevationProfile.normalizePoints(data.elevation_data);
+      this.elevationProfilePoints = points.length >= 2 ? points : null;
+    } catch (error) {
+      console.error('Failed to load elevation profile:', error);
+      this.elevationProfilePoints = null;
+    }
+  }
+
+  /**
+   * Get the colour-by-metric settings sent with previews and orders, or null when the route has one colour
+   */
+  getColorByMetricSettings() {
+    const colorByMetric = this.currentSettings.colorByMetric;
+    const samples = this.routeMetricSamples[colorByMetric.metric];
+    if (!colorByMetric.enabled || !samples) {
+      return null;
+    }
+    return {
+      enabled: true,
+      metric: colorByMetric.metric,
+      showLegend: colorByMetric.showLegend,
+      units: this.currentSettings.units,
+      samples
+    };
+  }
+
+  /**
+   * Resolve colour-by-metric settings with the current theme's palette
+   */
+  getRouteColorMetricSettings() {
+    if (typeof RouteColorMetrics === 'undefined') {
+      return null;
+    }
+    return RouteColorMetrics.resolveSettings({
+      colorByMetric: this.getColorByMetricSettings(),
+      style: this.currentSettings.mapStyle
+    });
+  }
+
+  /**
+   * Load the activity's stream samples for a colour metric
+   * @returns {boolean} Whether the activity has data for the metric
+   */
+  async loadRouteMetricSamples(metric) {
+    if (this.routeMetricSamples[metric]) {
+      return true;
+    }
+    if (!this.activityData?.id) {
+      return false;
+    }
+
+    try {
+      const types = `latlng,${RouteColorMetrics.METRICS[metric].stream}`;
+      const url = `${this.options.baseUrl}/api/strava/activities/${this.activityData.id}/streams?types=${types}${this.sessionToken ? `&token=${this.sessionToken}` : ''}`;
+      const response = await fetch(url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'ngrok-skip-browser-warning': 'true'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch streams data: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const samples = RouteColorMetrics.normalizeSamples(data.streams, metric);
+      if (samples.length < 2) {
+        return false;
+      }
+
+      this.routeMetricSamples[metric] = samples;
+      return true;
+    } catch (error) {
+      console.error('Failed to load route metric samples:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Colour the route on the map by the selected metric (or back to one colour) and redraw the legend
+   * Re-applied after style changes, since the palette follows the map theme
+   */
+  applyColorByMetric() {
+    try {
+      this.mapboxIntegration?.routes?.setColorByMetric(this.getColorByMetricSettings(), this.currentSettings.mapStyle);
+    } catch (error) {
+      console.error('Failed to colour route by metric:', error);
+    }
+    this.renderTextOverlays();
+  }
+
+  /**
+   * Get the athlete's privacy settings, with empty defaults before they are loaded
+   */
+  getPrivacySettings() {
+    return this.privacyZones || { zones: [], hideFirstMeters: 0, hideLastMeters: 0 };
+  }
+
+  /**
+   * Load the athlete's route privacy zones once; the route is trimmed with them on every render
+   */
+  async loadPrivacyZones() {
+    if (this.privacyZones) {
+      return;
+    }
+
+    try {
+      const response = await window.AuthUtils.authenticatedFetch(`${this.options.baseUrl}/api/strava/settings/privacy-zones`, {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch privacy zones: ${response.status}`);
+      }
+
+      const data = await response.json();
+      this.privacyZones = data.privacyZones || null;
+    } catch (error) {
+      console.error('Failed to load privacy zones:', error);
+      this.privacyZones = null;
+    }
+
+    this.updatePrivacyControls();
+  }
+
+  /**
+   * Save the athlete's route privacy zones and re-render the route with them
+   */
+  async savePrivacyZones(settings) {
+    try {
+      const response = await window.AuthUtils.authenticatedFetch(`${this.options.baseUrl}/api/strava/settings/privacy-zones`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(settings)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Failed to save privacy zones: ${response.status}`);
+      }
+
+      this.privacyZones = data.privacyZones;
+      this.updatePrivacyControls();
+      await this.renderActivityRoute();
+      this.renderTextOverlays();
+    } catch (error) {
+      console.error('Failed to save privacy zones:', error);
+      this.showError('Privacy Settings Not Saved', error.message);
+      this.updatePrivacyControls();
+    }
+  }
+
+  /**
+   * Reflect the saved privacy settings in the privacy controls
+   */
+  updatePrivacyControls() {
+    const settings = this.getPrivacySettings();
+
+    if (this.elements.privacyTrimSelect) {
+      this.elements.privacyTrimSelect.value = String(settings.hideFirstMeters || 0);
+    }
+
+    if (this.elements.privacyZonesSummary) {
+      const count = settings.zones.length;
+      this.elements.privacyZonesSummary.textContent = count === 0
+        ? 'No privacy zones'
+        : `${count} privacy zone${count === 1 ? '' : 's'}`;
+    }
+  }
+
+  /**
+   * Get the typography settings sent with previews and orders
+   * Includes the activity stats and start coordinates so the server can lay out the same text
+   */
+  getTypographySettings() {
+    const activity = this.activityData;
+    // With privacy zones, the coordinates line shows the first visible point instead of the activity start
+    const startLatLng = this.visibleRouteStart
+      ? [this.visibleRouteStart[1], this.visibleRouteStart[0]]
+      : activity?.start_latlng;
+
+    return {
+      mainTitle: this.currentSettings.mainTitle,
+      subtitle: this.currentSettings.subtitle,
+      fontFamily: this.currentSettings.fontFamily,
+      textAlign: this.currentSettings.textAlign,
+      showStats: this.currentSettings.showStats,
+      statsFields: this.currentSettings.statsFields,
+      statsTemplate: this.currentSettings.statsTemplate,
+      units: this.currentSettings.units,
+      showCoordinates: this.currentSettings.showCoordinates,
+      stats: activity ? {
+        distance: activity.distance,
+        elevation: activity.total_elevation_gain || 0,
+        date: activity.start_date_local,
+        movingTime: activity.moving_time,
+        averageSpeed: activity.average_speed,
+        activityType: activity.sport_type || activity.type,
+        location: this.extractLocationFromActivity(activity)
+      } : null,
+      coordinates: Array.isArray(startLatLng) && startLatLng.length === 2
+        ? { lat: startLatLng[0], lng: startLatLng[1] }
+        : null
+    };
+  }
+
   /**
    * Proceed to checkout - complete purchase flow implementation
    */
@@ -2172,8 +2755,17 @@ class MapDesign {
       console.error('🔥🔥🔥 COORDINATE DEBUG - LAST 3:', coordinates.slice(-3));
       console.error('🔥🔥🔥 COORDINATE DEBUG - STRUCTURE:', typeof coordinates[0], coordinates[0]);
 
-      // Calculate bounds for the route
-      const bounds = this.calculateBounds(coordinates);
+      // Privacy zones trim the ends of the route when it is rendered; shared drafts arrive already trimmed
+      if (!this.draft || this.draft.editable) {
+        await this.loadPrivacyZones();
+      }
+      const visibleCoordinates = this.privacyZones && PrivacyZones.isActive(this.privacyZones)
+        ? PrivacyZones.apply(coordinates, this.privacyZones)
+        : coordinates;
+      this.visibleRouteStart = visibleCoordinates !== coordinates ? visibleCoordinates[0] || null : null;
+
+      // Calculate bounds for the visible part of the route
+      const bounds = this.calculateBounds(visibleCoordinates);
 
       // Format data for MapboxIntegration.renderRouteMap
       const routeData = {
@@ -2194,7 +2786,8 @@ class MapDesign {
       // Use MapboxIntegration's renderRouteMap method with poster format
       await this.mapboxIntegration.renderRouteMap(routeData, {
         format: this.currentSettings.printSize.toUpperCase(),
-        orientation: this.currentSettings.layout
+        orientation: this.currentSettings.layout,
+        privacyZones: this.privacyZones
       });
       console.log('Activity route rendered successfully');
     } catch (error) {
@@ -2458,25 +3051,23 @@ class MapDesign {
           this.currentSettings.colorScheme = schemes[schemeIndex];
           this.applySettingsToUI();
           this.updateMapStyle();
+          this.recordDesignChange('Colour scheme');
           this.showToast(`Applied ${schemes[schemeIndex]} color scheme`, 'success');
         }
         this.colorSchemeShortcutActive = false;
       }
       
-      // Ctrl/Cmd + Z for undo
-      if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
+      // Ctrl/Cmd + Z for undo (e.key is upper case while Shift is held)
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === 'z' && !e.shiftKey) {
         e.preventDefault();
-        if (this.mapboxIntegration && this.mapboxIntegration.undo) {
-          this.mapboxIntegration.undo();
-        }
+        this.undoDesignChange();
       }
       
-      // Ctrl/Cmd + Shift + Z for redo
-      if ((e.ctrlKey || e.metaKey) && e.key === 'z' && e.shiftKey) {
+      // Ctrl/Cmd + Shift + Z or Ctrl + Y for redo
+      if ((e.ctrlKey || e.metaKey) && ((key === 'z' && e.shiftKey) || key === 'y')) {
         e.preventDefault();
-        if (this.mapboxIntegration && this.mapboxIntegration.redo) {
-          this.mapboxIntegration.redo();
-        }
+        this.redoDesignChange();
       }
       
       // Escape key to cancel current action or close modals
@@ -2841,6 +3432,7 @@ class MapDesign {
         
         // Apply to map
         this.updateMapStyle();
+        this.recordDesignChange('Colour scheme');
         
         console.log('Color scheme changed to:', this.currentSettings.colorScheme);
       });
@@ -2854,6 +3446,7 @@ class MapDesign {
 
         // Update map route thickness
         this.updateRouteThickness(thickness);
+        this.recordDesignChange('Route width');
 
         console.log('Route thickness changed to:', thickness);
       });
@@ -2877,6 +3470,7 @@ class MapDesign {
 
           // Update map route color
           this.updateRouteColor(color);
+          this.recordDesignChange('Route colour');
 
           console.log('Route color changed to:', color);
         });
@@ -3243,6 +3837,10 @@ class MapDesign {
           this.mapboxIntegration.updateRouteStyle({ routeColor: color });
         }
 
+        // The elevation band follows the route colour
+        this.renderTextOverlays();
+        this.recordDesignChange('Route colour');
+
         console.log('Route color changed to:', color);
       });
     });
@@ -3286,6 +3884,8 @@ class MapDesign {
         // Pass the style key directly - the integration will handle URL resolution
         await this.mapboxIntegration.setStyle(styleKey);
         console.log('Map style applied successfully with route preservation');
+        this.applyColorByMetric();
+        this.recordDesignChange('Map style');
         this.hideRouteLoading();
         this.showRouteSuccess('Map style updated successfully');
       } else {
@@ -3316,6 +3916,7 @@ class MapDesign {
       this.elements.mainTitleInput.addEventListener('input', (e) => {
         this.currentSettings.mainTitle = e.target.value;
         this.updateTextOverlay('title', e.target.value);
+        this.recordDesignChange('Title');
       });
     }
     
@@ -3324,6 +3925,144 @@ class MapDesign {
       this.elements.subtitleInput.addEventListener('input', (e) => {
         this.currentSettings.subtitle = e.target.value;
         this.updateTextOverlay('subtitle', e.target.value);
+        this.recordDesignChange('Subtitle');
+      });
+    }
+
+    // Font, alignment, stats and coordinates controls
+    if (this.elements.fontFamilySelect) {
+      this.elements.fontFamilySelect.addEventListener('change', (e) => {
+        this.currentSettings.fontFamily = e.target.value;
+        this.renderTextOverlays();
+        this.recordDesignChange('Font');
+      });
+    }
+
+    if (this.elements.textAlignSelect) {
+      this.elements.textAlignSelect.addEventListener('change', (e) => {
+        this.currentSettings.textAlign = e.target.value;
+        this.renderTextOverlays();
+        this.recordDesignChange('Text alignment');
+      });
+    }
+
+    if (this.elements.showStatsToggle) {
+      this.elements.showStatsToggle.addEventListener('change', (e) => {
+        this.currentSettings.showStats = e.target.checked;
+        this.elements.statsOptions?.classList.toggle('hidden', !e.target.checked);
+        this.renderTextOverlays();
+        this.recordDesignChange('Stats');
+      });
+    }
+
+    // Stats panel: which stats, in which order (as listed), units and layout template
+    this.elements.statFieldToggles.forEach((toggle) => {
+      toggle.addEventListener('change', () => {
+        this.currentSettings.statsFields = Array.from(this.elements.statFieldToggles)
+          .filter(item => item.checked)
+          .map(item => item.dataset.statField);
+        this.renderTextOverlays();
+        this.recordDesignChange('Stats');
+      });
+    });
+
+    if (this.elements.statsTemplateSelect) {
+      this.elements.statsTemplateSelect.addEventListener('change', (e) => {
+        this.currentSettings.statsTemplate = e.target.value;
+        this.renderTextOverlays();
+        this.recordDesignChange('Stats layout');
+      });
+    }
+
+    if (this.elements.statsUnitsSelect) {
+      this.elements.statsUnitsSelect.addEventListener('change', (e) => {
+        this.currentSettings.units = e.target.value;
+        this.renderTextOverlays();
+        this.recordDesignChange('Units');
+      });
+    }
+
+    if (this.elements.showCoordinatesToggle) {
+      this.elements.showCoordinatesToggle.addEventListener('change', (e) => {
+        this.currentSettings.showCoordinates = e.target.checked;
+        this.renderTextOverlays();
+        this.recordDesignChange('Coordinates');
+      });
+    }
+
+    // Elevation band: altitude samples are fetched the first time it is switched on
+    if (this.elements.elevationProfileToggle) {
+      this.elements.elevationProfileToggle.addEventListener('change', async (e) => {
+        this.currentSettings.elevationProfile.enabled = e.target.checked;
+        if (e.target.checked) {
+          await this.loadElevationProfile();
+        }
+        this.renderTextOverlays();
+        this.recordDesignChange('Elevation profile');
+      });
+    }
+
+    if (this.elements.elevationPlacementSelect) {
+      this.elements.elevationPlacementSelect.addEventListener('change', (e) => {
+        this.currentSettings.elevationProfile.placement = e.target.value;
+        this.renderTextOverlays();
+        this.recordDesignChange('Elevation profile');
+      });
+    }
+
+    // Colour by metric: stream samples are fetched the first time each metric is chosen
+    if (this.elements.routeMetricSelect) {
+      this.elements.routeMetricSelect.addEventListener('change', async (e) => {
+        const metric = e.target.value;
+        const colorByMetric = this.currentSettings.colorByMetric;
+        colorByMetric.enabled = !!metric;
+
+        if (metric) {
+          colorByMetric.metric = metric;
+          if (!(await this.loadRouteMetricSamples(metric))) {
+            colorByMetric.enabled = false;
+            e.target.value = '';
+            this.showError('Route Colour Unavailable', `This activity has no ${RouteColorMetrics.METRICS[metric].label.toLowerCase()} data.`);
+          }
+        }
+        this.applyColorByMetric();
+        this.recordDesignChange('Route colour');
+      });
+    }
+
+    if (this.elements.routeMetricLegendToggle) {
+      this.elements.routeMetricLegendToggle.addEventListener('change', (e) => {
+        this.currentSettings.colorByMetric.showLegend = e.target.checked;
+        this.renderTextOverlays();
+        this.recordDesignChange('Route colour legend');
+      });
+    }
+
+    // Route privacy: saved to the athlete's settings, so every poster and order is trimmed the same way
+    if (this.elements.privacyTrimSelect) {
+      this.elements.privacyTrimSelect.addEventListener('change', (e) => {
+        const meters = parseInt(e.target.value, 10) || 0;
+        this.savePrivacyZones({ ...this.getPrivacySettings(), hideFirstMeters: meters, hideLastMeters: meters });
+      });
+    }
+
+    if (this.elements.privacyZoneAddButton) {
+      this.elements.privacyZoneAddButton.addEventListener('click', () => {
+        const start = this.activityData?.start_latlng;
+        if (!Array.isArray(start) || start.length !== 2) {
+          return;
+        }
+        const settings = this.getPrivacySettings();
+        this.savePrivacyZones({
+          ...settings,
+          zones: [...settings.zones, { lat: start[0], lng: start[1], radius: 500, label: this.activityData.name }]
+        });
+      });
+    }
+
+    if (this.elements.privacyZonesClearButton) {
+      this.elements.privacyZonesClearButton.addEventListener('click', () => {
+        this.savePrivacyZones({ ...this.getPrivacySettings(), zones: [] });
       });
     }
     
@@ -3340,6 +4079,7 @@ class MapDesign {
             this.elements.mainTitleInput.value = routeName;
           }
           this.updateTextOverlay('title', routeName);
+          this.recordDesignChange('Title');
         } else if (text) {
           // Use suggested text
           this.currentSettings.mainTitle = text;
@@ -3347,6 +4087,7 @@ class MapDesign {
             this.elements.mainTitleInput.value = text;
           }
           this.updateTextOverlay('title', text);
+          this.recordDesignChange('Title');
         }
       });
     });
@@ -3384,6 +4125,7 @@ class MapDesign {
 
         // Update summary bar
         this.updateSummaryBar();
+        this.recordDesignChange('Print size');
 
         console.log('Print size changed to:', sizeKey);
       });
@@ -3405,6 +4147,7 @@ class MapDesign {
 
           // Update summary bar
           this.updateSummaryBar();
+          this.recordDesignChange('Layout');
 
           console.log('Layout changed to:', this.currentSettings.layout);
         });
@@ -3430,6 +4173,7 @@ class MapDesign {
 
           // Update summary bar
           this.updateSummaryBar();
+          this.recordDesignChange('Print size');
 
           console.log('Print size changed to:', this.currentSettings.printSize);
         });
@@ -3452,6 +4196,18 @@ class MapDesign {
         this.shareCurrentDesign();
       });
     }
+
+    if (this.elements.undoButton) {
+      this.elements.undoButton.addEventListener('click', () => {
+        this.undoDesignChange();
+      });
+    }
+
+    if (this.elements.redoButton) {
+      this.elements.redoButton.addEventListener('click', () => {
+        this.redoDesignChange();
+      });
+    }
     
     // Main "Create My Poster" button
     const createPosterBtn = document.getElementById('create-poster-btn');
@@ -3639,13 +4395,71 @@ class MapDesign {
    * Update text overlay
    */
   updateTextOverlay(type, text) {
-    if (type === 'title' && this.elements.titleOverlay) {
-      this.elements.titleOverlay.textContent = text;
-    } else if (type === 'subtitle' && this.elements.subtitleOverlay) {
-      this.elements.subtitleOverlay.textContent = text;
+    if (type === 'title') {
+      this.currentSettings.mainTitle = text;
+    } else if (type === 'subtitle') {
+      this.currentSettings.subtitle = text;
     }
+    this.renderTextOverlays();
   }
-  
+
+  /**
+   * Lay out the poster text over the live map preview
+   */
+  renderTextOverlays() {
+    const container = this.elements.textOverlays;
+    if (!container || typeof PosterTypography === 'undefined') {
+      return;
+    }
+
+    const { frame, band } = this.getPosterFrames(container.clientWidth, container.clientHeight);
+    this.renderElevationBand(band, container.clientWidth, container.clientHeight);
+    this.renderColorLegend(frame, container.clientWidth, container.clientHeight);
+
+    const blocks = PosterTypography.layout(
+      PosterTypography.resolveSettings(this.getTypographySettings()),
+      frame,
+      PosterTypography.canvasMeasure()
+    );
+    PosterTypography.renderToElement(container, blocks);
+  }
+
+  /**
+   * Draw the elevation band over the preview; a band below the map shortens the map
+   */
+  renderElevationBand(band, width, height) {
+    const host = this.elements.elevationBand;
+    const mapContainer = this.elements.mapContainer;
+    if (!host || !mapContainer) {
+      return;
+    }
+
+    host.innerHTML = band
+      ? `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${PosterElevationProfile.toSVG(band.settings, band)}</svg>`
+      : '';
+
+    const mapHeight = band && band.settings.placement === 'below' ? `${band.mapHeight}px` : '';
+    if (mapContainer.style.height !== mapHeight) {
+      mapContainer.style.height = mapHeight;
+      this.mapboxIntegration?.map?.resize();
+    }
+  }
+
+  /**
+   * Draw the colour-by-metric legend below the poster text, as on the printed poster
+   */
+  renderColorLegend(frame, width, height) {
+    const host = this.elements.routeColorLegend;
+    if (!host) {
+      return;
+    }
+
+    const settings = this.getRouteColorMetricSettings();
+    host.innerHTML = settings?.showLegend
+      ? `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${RouteColorMetrics.toSVG(settings, RouteColorMetrics.getLegendBox(frame))}</svg>`
+      : '';
+  }
+
   /**
    * Update map layout (portrait/landscape)
    * Uses CanvasSizeManager for precise preview-to-print matching
@@ -3700,7 +4514,10 @@ class MapDesign {
       setTimeout(() => {
         console.log('Triggering Mapbox map.resize()');
         this.mapboxIntegration.map.resize();
+        this.renderTextOverlays();
       }, 350); // Give time for canvas resize transition + CSS
+    } else {
+      this.renderTextOverlays();
     }
   }
   
@@ -3753,6 +4570,7 @@ class MapDesign {
     this.updateMapStyle();
     this.updateRouteThickness(this.currentSettings.routeThickness);
     this.updateTextOverlay('title', this.currentSettings.mainTitle);
+    this.recordDesignChange('Style preset');
   }
   
   /**
@@ -3777,6 +4595,54 @@ class MapDesign {
     if (this.elements.subtitleInput) {
       this.elements.subtitleInput.value = this.currentSettings.subtitle;
     }
+
+    if (this.elements.fontFamilySelect) {
+      this.elements.fontFamilySelect.value = this.currentSettings.fontFamily;
+    }
+
+    if (this.elements.textAlignSelect) {
+      this.elements.textAlignSelect.value = this.currentSettings.textAlign;
+    }
+
+    if (this.elements.showStatsToggle) {
+      this.elements.showStatsToggle.checked = this.currentSettings.showStats;
+      this.elements.statsOptions?.classList.toggle('hidden', !this.currentSettings.showStats);
+    }
+
+    this.elements.statFieldToggles.forEach((toggle) => {
+      toggle.checked = this.currentSettings.statsFields.includes(toggle.dataset.statField);
+    });
+
+    if (this.elements.statsTemplateSelect) {
+      this.elements.statsTemplateSelect.value = this.currentSettings.statsTemplate;
+    }
+
+    if (this.elements.statsUnitsSelect) {
+      this.elements.statsUnitsSelect.value = this.currentSettings.units;
+    }
+
+    if (this.elements.showCoordinatesToggle) {
+      this.elements.showCoordinatesToggle.checked = this.currentSettings.showCoordinates;
+    }
+
+    if (this.elements.elevationProfileToggle) {
+      this.elements.elevationProfileToggle.checked = this.currentSettings.elevationProfile.enabled;
+    }
+
+    if (this.elements.elevationPlacementSelect) {
+      this.elements.elevationPlacementSelect.value = this.currentSettings.elevationProfile.placement;
+    }
+
+    if (this.elements.routeMetricSelect) {
+      const colorByMetric = this.currentSettings.colorByMetric;
+      this.elements.routeMetricSelect.value = colorByMetric.enabled ? colorByMetric.metric : '';
+    }
+
+    if (this.elements.routeMetricLegendToggle) {
+      this.elements.routeMetricLegendToggle.checked = this.currentSettings.colorByMetric.showLegend;
+    }
+
+    this.updatePrivacyControls();
     
     // Update layout selection
     this.elements.layoutOptions.forEach(layout => {
@@ -3794,9 +4660,12 @@ class MapDesign {
    */
   
   /**
-   * Save current design
+   * Save current design as a server draft, as a new version when a draft is already open
+   * A local copy is kept as well, so signed-out sessions still keep their work on this device.
+   * @param {Object} options - { silent } skips the confirmation toast
+   * @returns {Promise<Object|null>} The saved draft, or null when it was not saved to the server
    */
-  saveCurrentDesign() {
+  async saveCurrentDesign({ silent = false } = {}) {
     console.log('Saving design with settings:', this.currentSettings);
     
     // Save to localStorage
@@ -3805,29 +4674,88 @@ class MapDesign {
       activityData: this.activityData,
       timestamp: Date.now()
     }));
-    
-    // Show confirmation
-    this.showToast('Design saved successfully!', 'success');
+
+    if (this.draft && !this.draft.editable) {
+      this.showToast('Shared designs are read-only', 'error');
+      return null;
+    }
+
+    try {
+      const payload = {
+        settings: this.currentSettings,
+        route: { activityId: this.activityData?.id || null, activity: this.activityData },
+        data: { elevationProfile: this.elevationProfilePoints, routeMetricSamples: this.routeMetricSamples },
+        editHistory: this.designHistory ? DesignHistory.serialize(this.designHistory) : null
+      };
+      const url = this.draft
+        ? `${this.options.baseUrl}/api/drafts/${encodeURIComponent(this.draft.id)}`
+        : `${this.options.baseUrl}/api/drafts`;
+
+      const response = await window.AuthUtils.authenticatedFetch(url, {
+        method: this.draft ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(this.draft ? { ...payload, baseVersion: this.draft.version } : payload)
+      });
+
+      const data = await response.json();
+      if (response.status === 409) {
+        throw new Error('This design was saved from another window or device. Reload to get the latest version.');
+      }
+      if (!response.ok) {
+        throw new Error(data.message || `Failed to save design: ${response.status}`);
+      }
+
+      this.draft = { id: data.draft.id, version: data.draft.version, editable: true, shareUrl: data.shareUrl };
+
+      // Reloading the page reopens the saved draft
+      const urlParams = new URLSearchParams(window.location.search);
+      urlParams.set('draft', this.draft.id);
+      window.history.replaceState({ draftId: this.draft.id }, '', `${window.location.pathname}?${urlParams.toString()}`);
+
+      // The history now lives under the draft's key
+      this.persistDesignHistory();
+
+      if (!silent) {
+        this.showToast(`Design saved (version ${this.draft.version})`, 'success');
+      }
+      return this.draft;
+    } catch (error) {
+      console.error('Failed to save design draft:', error);
+      this.showToast(`Design saved on this device only: ${error.message}`, 'error');
+      return null;
+    }
   }
   
   /**
    * Share current design
+   * Saves it first, so the link always opens what is on screen
    */
-  shareCurrentDesign() {
+  async shareCurrentDesign() {
     console.log('Sharing design with settings:', this.currentSettings);
+
+    let shareUrl = this.draft?.shareUrl;
+    if (!this.draft || this.draft.editable) {
+      const draft = await this.saveCurrentDesign({ silent: true });
+      if (!draft) {
+        return;
+      }
+      shareUrl = draft.shareUrl;
+    }
     
     // Create shareable URL
     const shareData = {
       title: 'My Custom Map Poster',
       text: `Check out my custom map poster: ${this.currentSettings.mainTitle}`,
-      url: window.location.href
+      url: shareUrl
     };
     
     if (navigator.share) {
       navigator.share(shareData);
     } else {
       // Fallback - copy URL to clipboard
-      navigator.clipboard.writeText(window.location.href).then(() => {
+      navigator.clipboard.writeText(shareUrl).then(() => {
         this.showToast('Share URL copied to clipboard!', 'success');
       });
     }
@@ -4369,6 +5297,8 @@ class MapDesign {
         } else {
           this.mapboxIntegration.map.setStyle(styleUrl);
         }
+        this.applyColorByMetric();
+        this.recordDesignChange('Map style');
         
         console.log('Theme applied successfully:', themeKey, colorKey);
       } else {
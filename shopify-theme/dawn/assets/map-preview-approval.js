@@ -13,6 +13,7 @@ class MapPreviewApproval {
     };
 
     this.previewData = null;
+    this.preflightReport = null;
     this.currentRetry = 0;
     this.isInitialized = false;
 
@@ -39,6 +40,15 @@ class MapPreviewApproval {
       }
     };
 
+    // Print finishing in mm (matching backend MapService.PRINT_FINISHING)
+    // Bleed is printed beyond the trim and cut off; text must stay inside the safe zone
+    this.PRINT_FINISHING = {
+      A4: { bleed: 3, safeZone: 6 },
+      A3: { bleed: 3, safeZone: 8 },
+      A2: { bleed: 3, safeZone: 10 },
+      A1: { bleed: 3, safeZone: 12 }
+    };
+
     console.log('MapPreviewApproval initialized with options:', this.options);
   }
 
@@ -148,7 +158,14 @@ class MapPreviewApproval {
       previewContainer: document.getElementById('preview-container'),
       aspectRatioDisplay: document.getElementById('aspect-ratio-display'),
       aspectRatioText: document.getElementById('aspect-ratio-text'),
-      posterActualSize: document.getElementById('poster-actual-size')
+      posterActualSize: document.getElementById('poster-actual-size'),
+
+      // Print preflight
+      preflightReport: document.getElementById('preflight-report'),
+      preflightSummary: document.getElementById('preflight-summary'),
+      preflightWarnings: document.getElementById('preflight-warnings'),
+      preflightAcknowledgeLabel: document.getElementById('preflight-acknowledge-label'),
+      preflightAcknowledge: document.getElementById('preflight-acknowledge')
     };
 
     console.log('=== DOM ELEMENTS DEBUG ===');
@@ -209,6 +226,13 @@ class MapPreviewApproval {
       });
     }
     
+    // Print warnings must be acknowledged before the order button is enabled
+    if (this.elements.preflightAcknowledge) {
+      this.elements.preflightAcknowledge.addEventListener('change', () => {
+        this.updateOrderButtonState();
+      });
+    }
+    
     // Order button with immediate click protection
     if (this.elements.orderPosterBtn) {
       this.elements.orderPosterBtn.addEventListener('click', (event) => {
@@ -306,6 +330,9 @@ class MapPreviewApproval {
       this.elements.previewContainer.dataset.orientation = orientation;
 
       console.log('Applied aspect ratio class:', aspectRatioClass);
+
+      // Overlay trim and safe-area lines
+      this.renderPrintGuides(printSize, dimensions);
     }
 
     // Update physical size display
@@ -319,8 +346,12 @@ class MapPreviewApproval {
     if (this.elements.aspectRatioDisplay && this.elements.aspectRatioText) {
       const aspectRatioFormatted = dimensions.aspectRatio.toFixed(3);
       const pixelDimensions = `${dimensions.width} × ${dimensions.height} pixels`;
+      const finishing = this.PRINT_FINISHING[printSize];
+      const bleedNote = finishing
+        ? ` A ${finishing.bleed} mm bleed is printed beyond the trim line; titles stay inside the safe area.`
+        : '';
       this.elements.aspectRatioText.textContent =
-        `Preview shown at actual print proportions (${pixelDimensions} at 300 DPI)`;
+        `Preview shown at actual print proportions (${pixelDimensions} at 300 DPI).${bleedNote}`;
 
       // Show the aspect ratio display
       this.elements.aspectRatioDisplay.style.display = 'flex';
@@ -335,6 +366,49 @@ class MapPreviewApproval {
     });
   }
 
+  /**
+   * Overlay trim and safe-area guide lines on the preview
+   * The preview shows the trimmed poster, so the trim line follows its edge and the
+   * safe line is inset by the product's safe zone
+   */
+  renderPrintGuides(printSize, dimensions) {
+    const container = this.elements.previewContainer;
+    const finishing = this.PRINT_FINISHING[printSize];
+
+    if (!container) {
+      return;
+    }
+
+    let guides = container.querySelector('.print-guides');
+    if (!finishing) {
+      if (guides) {
+        guides.remove();
+      }
+      return;
+    }
+
+    if (!guides) {
+      guides = document.createElement('div');
+      guides.className = 'print-guides';
+      guides.setAttribute('aria-hidden', 'true');
+      guides.innerHTML = `
+        <div class="print-guide print-guide-trim"><span class="print-guide-label">Trim</span></div>
+        <div class="print-guide print-guide-safe"><span class="print-guide-label">Safe area</span></div>
+      `;
+      container.appendChild(guides);
+    }
+
+    const safeGuide = guides.querySelector('.print-guide-safe');
+    const insetX = `${(finishing.safeZone / dimensions.physicalWidth * 100).toFixed(2)}%`;
+    const insetY = `${(finishing.safeZone / dimensions.physicalHeight * 100).toFixed(2)}%`;
+    safeGuide.style.left = insetX;
+    safeGuide.style.right = insetX;
+    safeGuide.style.top = insetY;
+    safeGuide.style.bottom = insetY;
+
+    console.log('Print guides applied:', { printSize, ...finishing });
+  }
+
   /**
    * Check authentication status
    */
@@ -514,6 +588,9 @@ class MapPreviewApproval {
       // Set up pricing (always works)
       this.setupPricing();
 
+      // Check the design for print problems (never blocks the page)
+      await this.loadPreflightReport();
+
       // Try to set up preview image (might fail, but don't block the page)
       try {
         console.log('Attempting to load preview image...');
@@ -1024,6 +1101,92 @@ class MapPreviewApproval {
     console.log('Pricing set up for size:', size, 'Price:', formattedPrice);
   }
 
+  /**
+   * Fetch the print preflight report for the preview and show its warnings
+   * A failed check leaves ordering available - preflight only advises
+   */
+  async loadPreflightReport() {
+    const previewId = this.previewData.previewId;
+    if (!previewId || !this.elements.preflightReport || !window.AuthUtils?.authenticatedFetch) {
+      return;
+    }
+
+    this.elements.preflightReport.classList.remove('hidden', 'preflight-pass');
+    this.elements.preflightSummary.textContent = 'Checking your design for print...';
+    this.elements.preflightWarnings.replaceChildren();
+
+    try {
+      const settings = this.previewData.settings || {};
+      const params = new URLSearchParams({
+        format: (settings.printSize || 'A4').toUpperCase(),
+        orientation: settings.layout || 'portrait'
+      });
+      const response = await window.AuthUtils.authenticatedFetch(
+        `${this.options.baseUrl}/api/maps/preflight/${encodeURIComponent(previewId)}?${params}`
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const result = await response.json();
+      this.preflightReport = result.preflight;
+      this.renderPreflightReport(this.preflightReport);
+    } catch (error) {
+      console.warn('Print preflight unavailable:', error);
+      this.preflightReport = null;
+      this.elements.preflightReport.classList.add('hidden');
+      this.updateOrderButtonState();
+    }
+  }
+
+  /**
+   * Show the preflight result; warnings need the customer's acknowledgement before ordering
+   */
+  renderPreflightReport(report) {
+    const { preflightReport, preflightSummary, preflightWarnings, preflightAcknowledgeLabel, preflightAcknowledge } = this.elements;
+    const warnings = report?.warnings || [];
+
+    preflightWarnings.replaceChildren(...warnings.map(warning => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'preflight-warning-label';
+      label.textContent = `${warning.label}: `;
+      item.append(label, warning.message);
+      return item;
+    }));
+
+    preflightReport.classList.toggle('preflight-pass', warnings.length === 0);
+    preflightSummary.textContent = warnings.length === 0
+      ? `Print check passed for ${report.format} ${report.orientation}`
+      : `${warnings.length} print ${warnings.length === 1 ? 'warning' : 'warnings'} for ${report.format} ${report.orientation} - please review before ordering`;
+
+    if (preflightAcknowledgeLabel) {
+      preflightAcknowledgeLabel.classList.toggle('hidden', warnings.length === 0);
+      preflightAcknowledge.checked = false;
+    }
+    this.updateOrderButtonState();
+
+    console.log('Print preflight:', { status: report.status, warnings: warnings.map(warning => warning.check) });
+  }
+
+  /**
+   * Whether preflight warnings still need the customer's acknowledgement
+   */
+  hasUnacknowledgedWarnings() {
+    return (this.preflightReport?.warnings?.length || 0) > 0 && !this.elements.preflightAcknowledge?.checked;
+  }
+
+  /**
+   * Enable the order button unless warnings are unacknowledged or an order is in progress
+   */
+  updateOrderButtonState() {
+    const button = this.elements.orderPosterBtn;
+    if (!button || button.dataset.processing === 'true') {
+      return;
+    }
+    button.disabled = this.hasUnacknowledgedWarnings();
+  }
+
   /**
    * Process purchase using JSON file-based configuration approach
    * Simplified flow: save configuration → add to cart
@@ -1056,7 +1219,14 @@ class MapPreviewApproval {
         mapConfiguration: {
           ...this.previewData,
           camera: camera,  // ✅ Place camera at top level
-          activityId: this.previewData.activityData?.id  // Add direct activityId for backend validation
+          activityId: this.previewData.activityData?.id,  // Add direct activityId for backend validation
+          // Print warnings the customer accepted, kept with the order for fulfilment
+          preflight: this.preflightReport ? {
+            status: this.preflightReport.status,
+            warnings: this.preflightReport.warnings,
+            checkedAt: this.preflightReport.checkedAt,
+            acknowledged: this.preflightReport.warnings.length > 0
+          } : null
         },
         printSize: printSize,
         orientation: this.previewData.settings?.layout || 'portrait'
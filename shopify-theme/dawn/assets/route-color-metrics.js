@@ -0,0 +1,403 @@
+// Generated from shared/map-engines/route-color-metrics.js by `npm run sync:theme`. Do not edit this copy.
+/**
+ * Route Colour By Metric
+ * Colours a route along its length by speed, heart rate, gradient or elevation
+ *
+ * Activity stream samples ([lng, lat, value]) are matched to the route's vertices, and
+ * each vertex is coloured from a theme-aware palette. The same colours drive the Mapbox
+ * `line-gradient` in the designer and the Puppeteer print page, the per-segment strokes of
+ * the canvas fallback and the PDF/SVG exports, and the optional legend drawn in the bottom
+ * corner of the poster's text frame.
+ *
+ * Usage:
+ * const settings = RouteColorMetrics.resolveSettings(mapConfig);
+ * map.setPaintProperty('route-line', 'line-gradient', RouteColorMetrics.toLineGradient(settings, coordinates));
+ * svg += RouteColorMetrics.toSVG(settings, RouteColorMetrics.getLegendBox(frame));
+ */
+
+(function(global) {
+  'use strict';
+
+  const RouteColorMetrics = {
+    // Metric -> Strava stream type
+    METRICS: {
+      speed: { stream: 'velocity_smooth', label: 'Speed' },
+      heartrate: { stream: 'heartrate', label: 'Heart rate' },
+      gradient: { stream: 'grade_smooth', label: 'Gradient' },
+      elevation: { stream: 'altitude', label: 'Elevation' }
+    },
+
+    UNITS: ['metric', 'imperial'],
+
+    // Palettes run from the lowest to the highest value; dark themes use brighter variants
+    PALETTES: {
+      light: {
+        speed: ['#2563eb', '#16a34a', '#facc15', '#f97316', '#dc2626'],
+        heartrate: ['#fde68a', '#f59e0b', '#dc2626', '#7f1d1d'],
+        gradient: ['#2563eb', '#93c5fd', '#d1d5db', '#fca5a5', '#dc2626'],
+        elevation: ['#166534', '#65a30d', '#ca8a04', '#92400e', '#44403c']
+      },
+      dark: {
+        speed: ['#60a5fa', '#4ade80', '#fde047', '#fb923c', '#f87171'],
+        heartrate: ['#fef3c7', '#fbbf24', '#f87171', '#ef4444'],
+        gradient: ['#60a5fa', '#bfdbfe', '#f3f4f6', '#fecaca', '#f87171'],
+        elevation: ['#4ade80', '#a3e635', '#facc15', '#fb923c', '#e7e5e4']
+      }
+    },
+
+    LEGEND_TEXT_COLORS: {
+      light: '#1f2937',
+      dark: '#f9fafb'
+    },
+
+    MAX_SAMPLES: 500,
+
+    // Colours are quantized so vector outputs can merge neighbouring segments into one stroke
+    COLOR_STEPS: 32,
+
+    // Mapbox line-gradient stops
+    MAX_GRADIENT_STOPS: 64,
+
+    // Samples searched ahead of the previous match, so out-and-back routes keep their own values
+    MATCH_WINDOW: 50,
+
+    // Values outside these percentiles are clamped, so GPS spikes don't flatten the scale
+    RANGE_PERCENTILES: [0.05, 0.95],
+
+    // Legend box as fractions of the text frame; it sits below the footer anchor (95%)
+    LEGEND: {
+      top: 0.955,
+      height: 0.04,
+      width: 0.3
+    },
+
+    /**
+     * Resolve colour-by-metric settings from a map config, design settings or order customization
+     * Composite posters keep their per-route colours
+     * @param {Object} source - Map config or flat settings carrying `colorByMetric`
+     * @returns {Object|null} Settings, or null when disabled or there are no samples
+     */
+    resolveSettings(source = {}) {
+      const options = source.settings?.colorByMetric || source.customization?.colorByMetric || source.colorByMetric;
+      if (!options || options.enabled === false || !this.METRICS[options.metric]) {
+        return null;
+      }
+      if (Array.isArray(source.routes) && source.routes.length > 0) {
+        return null;
+      }
+
+      const samples = this.normalizeSamples(options.samples || options.streams, options.metric);
+      if (samples.length < 2) {
+        return null;
+      }
+
+      const theme = this.getTheme(source.style || source.mapStyle);
+      const range = this.getRange(samples.map(sample => sample[2]), options.metric);
+
+      return {
+        metric: options.metric,
+        samples,
+        min: range.min,
+        max: range.max,
+        palette: this.PALETTES[theme][options.metric],
+        showLegend: options.showLegend !== false,
+        units: this.UNITS.includes(options.units) ? options.units : 'metric',
+        textColor: this.LEGEND_TEXT_COLORS[theme]
+      };
+    },
+
+    /**
+     * Pick the light or dark palette for a Mapbox style
+     */
+    getTheme(style) {
+      return /dark|night|satellite/i.test(String(style || '')) ? 'dark' : 'light';
+    },
+
+    /**
+     * Normalize samples to [[lng, lat, value]], downsampled to MAX_SAMPLES
+     * Accepts sample triples or Strava streams (keyed by type, or the array form)
+     */
+    normalizeSamples(data, metric) {
+      let samples = [];
+
+      if (Array.isArray(data) && Array.isArray(data[0])) {
+        samples = data.map(sample => [Number(sample[0]), Number(sample[1]), Number(sample[2])]);
+      } else if (data && typeof data === 'object' && this.METRICS[metric]) {
+        const streams = Array.isArray(data)
+          ? data.reduce((byType, stream) => ({ ...byType, [stream.type]: stream }), {})
+          : data;
+        const latlng = streams.latlng?.data || [];
+        const values = streams[this.METRICS[metric].stream]?.data || [];
+
+        // Strava latlng is [lat, lng]
+        samples = latlng.slice(0, values.length).map((point, index) => [Number(point?.[1]), Number(point?.[0]), Number(values[index])]);
+      }
+
+      samples = samples.filter(sample => sample.every(Number.isFinite));
+      if (samples.length <= this.MAX_SAMPLES) {
+        return samples;
+      }
+
+      const step = (samples.length - 1) / (this.MAX_SAMPLES - 1);
+      return Array.from({ length: this.MAX_SAMPLES }, (_, index) => samples[Math.round(index * step)]);
+    },
+
+    /**
+     * Value range for the colour scale; gradient is symmetric so flat ground is the middle colour
+     */
+    getRange(values, metric) {
+      const sorted = values.slice().sort((a, b) => a - b);
+      const at = fraction => sorted[Math.round(fraction * (sorted.length - 1))];
+      let min = at(this.RANGE_PERCENTILES[0]);
+      let max = at(this.RANGE_PERCENTILES[1]);
+
+      if (metric === 'gradient') {
+        max = Math.max(1, Math.abs(min), Math.abs(max));
+        min = -max;
+      }
+      if (max - min < 1e-6) {
+        max = min + 1;
+      }
+      return { min, max };
+    },
+
+    /**
+     * Match each route vertex to its nearest sample and return the sample values
+     * The first vertex searches every sample (privacy-trimmed routes start part way in);
+     * later vertices only search forward from the previous match
+     * @param {Object} settings - Settings from resolveSettings
+     * @param {Array} coordinates - Route as [lng, lat] pairs
+     * @returns {Array<number>} One value per vertex
+     */
+    getValues(settings, coordinates) {
+      const { samples } = settings;
+      const distance = ([lng1, lat1], [lng2, lat2]) => {
+        const dx = (lng2 - lng1) * Math.cos((lat1 + lat2) * Math.PI / 360);
+        const dy = lat2 - lat1;
+        return dx * dx + dy * dy;
+      };
+      const nearest = (coord, from, to) => {
+        let best = from;
+        for (let index = from + 1; index < to; index++) {
+          if (distance(coord, samples[index]) < distance(coord, samples[best])) {
+            best = index;
+          }
+        }
+        return best;
+      };
+
+      let match = 0;
+      return coordinates.map((coord, index) => {
+        match = index === 0
+          ? nearest(coord, 0, samples.length)
+          : nearest(coord, match, Math.min(samples.length, match + this.MATCH_WINDOW));
+        return samples[match][2];
+      });
+    },
+
+    /**
+     * Colour for a value, quantized to COLOR_STEPS along the palette
+     */
+    getColor(settings, value) {
+      const ratio = Math.min(1, Math.max(0, (value - settings.min) / (settings.max - settings.min)));
+      return this.interpolatePalette(settings.palette, Math.round(ratio * (this.COLOR_STEPS - 1)) / (this.COLOR_STEPS - 1));
+    },
+
+    interpolatePalette(palette, ratio) {
+      const position = ratio * (palette.length - 1);
+      const index = Math.min(palette.length - 2, Math.floor(position));
+      const local = position - index;
+      const from = this.parseHex(palette[index]);
+      const to = this.parseHex(palette[index + 1]);
+
+      return '#' + from.map((channel, i) => Math.round(channel + (to[i] - channel) * local).toString(16).padStart(2, '0')).join('');
+    },
+
+    parseHex(color) {
+      const hex = color.replace('#', '');
+      return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    },
+
+    /**
+     * Colour of each segment (vertex i to i + 1), from the mean of its two vertex values
+     */
+    getSegmentColors(settings, coordinates) {
+      const values = this.getValues(settings, coordinates);
+      return values.slice(1).map((value, index) => this.getColor(settings, (values[index] + value) / 2));
+    },
+
+    /**
+     * Group consecutive segments of the same colour into runs, for SVG paths and canvas strokes
+     * @param {Array} points - Projected route points (same order as the coordinates)
+     * @param {Array<string>} colors - Segment colours from getSegmentColors
+     * @returns {Array<Object>} [{ color, points }] - neighbouring runs share their end point
+     */
+    buildRuns(points, colors) {
+      const runs = [];
+      colors.forEach((color, index) => {
+        const last = runs[runs.length - 1];
+        if (last && last.color === color) {
+          last.points.push(points[index + 1]);
+        } else {
+          runs.push({ color, points: [points[index], points[index + 1]] });
+        }
+      });
+      return runs;
+    },
+
+    /**
+     * Build a Mapbox `line-gradient` expression (the source needs `lineMetrics: true`)
+     * @param {Object} settings - Settings from resolveSettings
+     * @param {Array} coordinates - Route as [lng, lat] pairs, exactly as drawn
+     * @returns {Array} Expression interpolating colours over `line-progress`
+     */
+    toLineGradient(settings, coordinates) {
+      const values = this.getValues(settings, coordinates);
+      const lengths = [0];
+      for (let index = 1; index < coordinates.length; index++) {
+        const [lng1, lat1] = coordinates[index - 1];
+        const [lng2, lat2] = coordinates[index];
+        const dx = (lng2 - lng1) * Math.cos((lat1 + lat2) * Math.PI / 360);
+        lengths.push(lengths[index - 1] + Math.sqrt(dx * dx + (lat2 - lat1) ** 2));
+      }
+      const total = lengths[lengths.length - 1] || 1;
+
+      const step = Math.max(1, (coordinates.length - 1) / (this.MAX_GRADIENT_STOPS - 1));
+      const stops = [];
+      let previous = -1;
+      for (let position = 0; position <= coordinates.length - 1 + 1e-9; position += step) {
+        const index = Math.min(coordinates.length - 1, Math.round(position));
+        const progress = lengths[index] / total;
+        if (progress > previous) {
+          stops.push(progress, this.getColor(settings, values[index]));
+          previous = progress;
+        }
+      }
+
+      // Stops must cover the whole line
+      if (previous < 1) {
+        stops.push(1, this.getColor(settings, values[values.length - 1]));
+      }
+      return ['interpolate', ['linear'], ['line-progress'], ...stops];
+    },
+
+    /**
+     * Legend title and end labels in the chosen units
+     */
+    getLegend(settings) {
+      const imperial = settings.units === 'imperial';
+      const formats = {
+        speed: imperial ? { unit: 'mph', scale: 2.23694 } : { unit: 'km/h', scale: 3.6 },
+        heartrate: { unit: 'bpm', scale: 1 },
+        gradient: { unit: '%', scale: 1 },
+        elevation: imperial ? { unit: 'ft', scale: 3.28084 } : { unit: 'm', scale: 1 }
+      };
+      const format = formats[settings.metric];
+      const label = value => String(Math.round(value * format.scale));
+
+      return {
+        title: `${this.METRICS[settings.metric].label} (${format.unit})`,
+        min: label(settings.min),
+        max: label(settings.max)
+      };
+    },
+
+    /**
+     * Legend rectangle in the bottom-left corner of a text frame
+     * @param {Object} frame - { x, y, width, height } the poster text is laid out in
+     */
+    getLegendBox(frame) {
+      return {
+        x: frame.x,
+        y: frame.y + frame.height * this.LEGEND.top,
+        width: frame.width * this.LEGEND.width,
+        height: frame.height * this.LEGEND.height
+      };
+    },
+
+    /**
+     * Legend layout: title on top, gradient bar, min/max labels underneath
+     */
+    getLegendGeometry(box) {
+      const fontSize = box.height * 0.28;
+      return {
+        fontSize,
+        titleY: box.y + fontSize,
+        bar: { x: box.x, y: box.y + box.height * 0.38, width: box.width, height: box.height * 0.24 },
+        labelY: box.y + box.height
+      };
+    },
+
+    /**
+     * Render the legend as SVG elements in the target's pixel space
+     */
+    toSVG(settings, box) {
+      const legend = this.getLegend(settings);
+      const geometry = this.getLegendGeometry(box);
+      const number = value => String(Math.round(value * 100) / 100);
+      const { bar } = geometry;
+      const text = (value, x, y, anchor) =>
+        `<text x="${number(x)}" y="${number(y)}" font-family="Inter, Arial, sans-serif" font-size="${number(geometry.fontSize)}" ` +
+        `fill="${this.escapeXml(settings.textColor)}" text-anchor="${anchor}">${this.escapeXml(value)}</text>`;
+      const stops = settings.palette.map((color, index) =>
+        `<stop offset="${number(index / (settings.palette.length - 1))}" stop-color="${this.escapeXml(color)}"/>`
+      ).join('');
+
+      return `<g class="route-color-legend">` +
+        `<defs><linearGradient id="route-color-legend-gradient" x1="0" y1="0" x2="1" y2="0">${stops}</linearGradient></defs>` +
+        text(legend.title, box.x, geometry.titleY, 'start') +
+        `<rect x="${number(bar.x)}" y="${number(bar.y)}" width="${number(bar.width)}" height="${number(bar.height)}" ` +
+        `fill="url(#route-color-legend-gradient)"/>` +
+        text(legend.min, bar.x, geometry.labelY, 'start') +
+        text(legend.max, bar.x + bar.width, geometry.labelY, 'end') +
+        `</g>`;
+    },
+
+    /**
+     * Draw the legend onto a 2D canvas context
+     */
+    drawToCanvas(ctx, settings, box) {
+      const legend = this.getLegend(settings);
+      const geometry = this.getLegendGeometry(box);
+      const { bar } = geometry;
+
+      ctx.save();
+      ctx.font = `${geometry.fontSize}px Inter, Arial, sans-serif`;
+      ctx.fillStyle = settings.textColor;
+      ctx.textBaseline = 'alphabetic';
+      ctx.textAlign = 'left';
+      ctx.fillText(legend.title, box.x, geometry.titleY);
+      ctx.fillText(legend.min, bar.x, geometry.labelY);
+      ctx.textAlign = 'right';
+      ctx.fillText(legend.max, bar.x + bar.width, geometry.labelY);
+
+      const gradient = ctx.createLinearGradient(bar.x, 0, bar.x + bar.width, 0);
+      settings.palette.forEach((color, index) => gradient.addColorStop(index / (settings.palette.length - 1), color));
+      ctx.fillStyle = gradient;
+      ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+      ctx.restore();
+    },
+
+    escapeXml(value) {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+    }
+  };
+
+  // Export for different module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    // CommonJS (Node.js)
+    module.exports = RouteColorMetrics;
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD (RequireJS)
+    define(function() { return RouteColorMetrics; });
+  } else {
+    // Browser globals
+    global.RouteColorMetrics = RouteColorMetrics;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -2558,10 +2558,119 @@ class StravaActivities {
 
     console.log(`🖼️ [Bulk Actions] Creating posters for ${activitiesWithGPS.length} activities`);
 
-    // For now, create poster for the first activity (in future, this could batch create)
-    // This is a placeholder - actual implementation would need backend support for batch processing
-    if (confirm(`This will create posters for ${activitiesWithGPS.length} activities. Start with the first one?`)) {
+    // A single activity goes through the normal designer flow
+    if (activitiesWithGPS.length === 1) {
       this.createMapForActivity(activitiesWithGPS[0]);
+      return;
+    }
+
+    if (!confirm(`This will combine ${activitiesWithGPS.length} activities into one composite poster. Continue?`)) {
+      return;
+    }
+
+    const renderMode = confirm('Show the routes as a density heatmap?\n\nOK for heatmap, Cancel to draw each route as its own line.')
+      ? 'heatmap'
+      : 'lines';
+
+    this.createCompositePoster(activitiesWithGPS, renderMode);
+  }
+
+  /**
+   * Create a composite ("year in review") poster preview from several activities
+   * @param {Array} activities - Activities with GPS data
+   * @param {string} renderMode - 'lines' or 'heatmap'
+   */
+  async createCompositePoster(activities, renderMode = 'lines') {
+    const activityIds = activities.map(activity => activity.id);
+    const sortedDates = activities
+      .map(activity => new Date(activity.start_date_local || activity.start_date))
+      .filter(date => !isNaN(date))
+      .sort((a, b) => a - b);
+
+    const dateRange = sortedDates.length > 0
+      ? `${sortedDates[0].toLocaleDateString()} – ${sortedDates[sortedDates.length - 1].toLocaleDateString()}`
+      : '';
+
+    const settings = {
+      printSize: 'A4',
+      layout: 'portrait',
+      mapStyle: 'outdoors-v12',
+      mainTitle: 'YEAR IN REVIEW',
+      subtitle: dateRange,
+      renderMode
+    };
+
+    try {
+      if (this.elements.bulkCreatePosters) {
+        this.elements.bulkCreatePosters.disabled = true;
+      }
+
+      console.log('🖼️ [Bulk Actions] Requesting composite preview:', { activityIds, renderMode });
+
+      const response = await fetch(this.getApiUrl('/api/maps/generate-composite-preview'), {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          ...this.getAuthHeaders(),
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          activityIds,
+          format: settings.printSize,
+          orientation: settings.layout,
+          mapConfiguration: {
+            style: `mapbox://styles/mapbox/${settings.mapStyle}`,
+            renderMode,
+            title: settings.mainTitle
+          }
+        })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+
+      if (result.preview.skipped?.length > 0) {
+        console.warn('⚠️ [Bulk Actions] Some activities were skipped:', result.preview.skipped);
+      }
+
+      // Summarise the included activities so the approval page can show combined stats
+      const includedIds = new Set(result.preview.config.routes.map(route => String(route.activityId)));
+      const included = activities.filter(activity => includedIds.has(String(activity.id)));
+
+      const previewPageData = {
+        previewId: result.preview.id,
+        previewUrl: result.preview.url,
+        activityData: {
+          name: result.preview.activityName,
+          type: 'Composite',
+          distance: included.reduce((sum, activity) => sum + (activity.distance || 0), 0),
+          total_elevation_gain: included.reduce((sum, activity) => sum + (activity.total_elevation_gain || 0), 0),
+          start_date_local: sortedDates.length > 0 ? sortedDates[0].toISOString() : null,
+          activityIds: Array.from(includedIds)
+        },
+        settings,
+        dimensions: result.preview.dimensions,
+        config: result.preview.config,
+        createdAt: result.preview.createdAt
+      };
+
+      if (window.AuthUtils && window.AuthUtils.storePreviewData) {
+        window.AuthUtils.storePreviewData(previewPageData);
+      } else {
+        localStorage.setItem('previewData', JSON.stringify(previewPageData));
+      }
+
+      window.location.href = '/pages/map-preview';
+    } catch (error) {
+      console.error('🚨 [Bulk Actions] Composite poster creation failed:', error);
+      alert(`Failed to create composite poster: ${error.message}`);
+    } finally {
+      if (this.elements.bulkCreatePosters) {
+        this.elements.bulkCreatePosters.disabled = false;
+      }
     }
   }
 